@@ -0,0 +1,142 @@
+/**
+ * Calendar Feed Endpoint
+ *
+ * Serves subscribable iCalendar feeds as a Vercel serverless function:
+ *   GET /api/calendar?type=promoter&id={promoterId}
+ *   GET /api/calendar?type=hashtag&id={hashtag}
+ *   GET /api/calendar?type=favorites&id={userId}
+ *
+ * Calendar apps poll this URL (see REFRESH-INTERVAL in buildICalendar), so
+ * edits, cancellations and new events show up without re-subscribing.
+ *
+ * Vercel runs this file as plain Node ESM, so every module it imports (and
+ * everything those import) must use full `.js` specifiers.
+ */
+
+import { initializeApp, getApps } from 'firebase/app';
+import { getFirestore, collection, doc, getDoc, getDocs, query, where } from 'firebase/firestore';
+import {
+  CALENDAR_FEED_TYPES,
+  buildICalendar,
+  getFeedCutoff,
+  selectFeedEvents,
+} from '../src/utils/calendarHelpers.js';
+
+// Initialize Firebase (same config as in firebase.js)
+const firebaseConfig = {
+  apiKey: process.env.VITE_FIREBASE_API_KEY,
+  authDomain: process.env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: process.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: process.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: process.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: process.env.VITE_FIREBASE_APP_ID,
+};
+
+const app = getApps()[0] || initializeApp(firebaseConfig);
+const db = getFirestore(app);
+
+/**
+ * Map a query snapshot to event objects
+ * @param {Object} snapshot - Firestore query snapshot
+ * @returns {Array<Object>} Events with IDs
+ */
+const toEvents = (snapshot) => snapshot.docs.map((eventDoc) => ({ id: eventDoc.id, ...eventDoc.data() }));
+
+/**
+ * Only read events that start within the feed's history window or later
+ * (selectFeedEvents drops anything older anyway)
+ * @returns {Object} Firestore where() constraint on `date`
+ */
+const recentEvents = () => where('date', '>=', getFeedCutoff().toISOString());
+
+/**
+ * Get the events a promoter hosts in any role, plus legacy events that only have `promoterId`
+ * @param {string} promoterId - Promoter's user ID
+ * @returns {Promise<Object>} { name, events }
+ */
+const getPromoterFeed = async (promoterId) => {
+  const [userDoc, hostedSnapshot, legacySnapshot] = await Promise.all([
+    getDoc(doc(db, 'users', promoterId)),
+    getDocs(query(collection(db, 'events'), where('hostIds', 'array-contains', promoterId), recentEvents())),
+    getDocs(query(collection(db, 'events'), where('promoterId', '==', promoterId), recentEvents())),
+  ]);
+
+  const eventsById = new Map();
+  [...toEvents(hostedSnapshot), ...toEvents(legacySnapshot)].forEach((event) => {
+    eventsById.set(event.id, event);
+  });
+
+  const promoter = userDoc.exists() ? userDoc.data() : {};
+  const promoterName = promoter.fullName || promoter.username || 'Promoter';
+
+  return { name: `${promoterName} on Afro Fete`, events: [...eventsById.values()] };
+};
+
+/**
+ * Get the events tagged with a hashtag
+ * @param {string} hashtag - Hashtag (with or without #)
+ * @returns {Promise<Object>} { name, events }
+ */
+const getHashtagFeed = async (hashtag) => {
+  const normalizedHashtag = hashtag.replace('#', '').toLowerCase().trim();
+  const snapshot = await getDocs(
+    query(collection(db, 'events'), where('hashtags', 'array-contains', normalizedHashtag), recentEvents())
+  );
+
+  return { name: `#${normalizedHashtag} on Afro Fete`, events: toEvents(snapshot) };
+};
+
+/**
+ * Get a user's favorite events
+ * Firestore 'in' queries accept at most 10 values, so IDs are fetched in batches.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { name, events }
+ */
+const getFavoritesFeed = async (userId) => {
+  const userDoc = await getDoc(doc(db, 'users', userId));
+  if (!userDoc.exists()) {
+    throw new Error('User not found');
+  }
+
+  const favoriteIds = userDoc.data().favoriteEvents || [];
+  const batches = [];
+  for (let i = 0; i < favoriteIds.length; i += 10) {
+    batches.push(favoriteIds.slice(i, i + 10));
+  }
+
+  const snapshots = await Promise.all(batches.map((ids) => (
+    getDocs(query(collection(db, 'events'), where('__name__', 'in', ids)))
+  )));
+
+  return { name: 'My Afro Fete Favorites', events: snapshots.flatMap(toEvents) };
+};
+
+const feedLoaders = {
+  [CALENDAR_FEED_TYPES.PROMOTER]: getPromoterFeed,
+  [CALENDAR_FEED_TYPES.HASHTAG]: getHashtagFeed,
+  [CALENDAR_FEED_TYPES.FAVORITES]: getFavoritesFeed,
+};
+
+export default async function handler(req, res) {
+  const { type, id } = req.query;
+  const loadFeed = feedLoaders[type];
+
+  if (!loadFeed || !id) {
+    res.status(400).send('Expected ?type=promoter|hashtag|favorites&id=...');
+    return;
+  }
+
+  try {
+    const { name, events } = await loadFeed(String(id));
+    const protocol = req.headers['x-forwarded-proto'] || 'https';
+    const baseUrl = `${protocol}://${req.headers.host}`;
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="afro-fete-${type}.ics"`);
+    res.setHeader('Cache-Control', 'public, s-maxage=900, stale-while-revalidate=3600');
+    res.status(200).send(buildICalendar(selectFeedEvents(events), { baseUrl, name }));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(error.message === 'User not found' ? 404 : 500).send(error.message || 'Failed to build calendar feed');
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Script to rebuild the Firestore search index from every event
+ * Run once after deploying search, whenever SEARCH_INDEX_VERSION changes, and
+ * to catch search up after an index write failed
+ *
+ * Usage: npm run rebuild-search-index
+ */
+
+import process from 'node:process';
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInWithEmailAndPassword } from 'firebase/auth';
+import { getFirestore, collection, getDocs } from 'firebase/firestore';
+import { createFirestoreSearchIndexer, DOCUMENTS_COLLECTION } from '../src/services/firestoreSearchIndexer.js';
+import { SEARCH_INDEX_VERSION } from '../src/utils/searchIndexHelpers.js';
+
+// Firebase configuration
+const firebaseConfig = {
+  apiKey: process.env.VITE_FIREBASE_API_KEY,
+  authDomain: process.env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: process.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: process.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: process.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: process.env.VITE_FIREBASE_APP_ID,
+};
+
+// Initialize Firebase
+const app = initializeApp(firebaseConfig);
+const auth = getAuth(app);
+const db = getFirestore(app);
+const indexer = createFirestoreSearchIndexer(db);
+
+async function rebuildSearchIndex() {
+  console.log(`🚀 Rebuilding search index (version ${SEARCH_INDEX_VERSION})...\n`);
+
+  // Only search admins may index events they don't host (see firestoreSchema.js)
+  const { SEARCH_ADMIN_EMAIL, SEARCH_ADMIN_PASSWORD } = process.env;
+  if (!SEARCH_ADMIN_EMAIL || !SEARCH_ADMIN_PASSWORD) {
+    throw new Error('Set SEARCH_ADMIN_EMAIL and SEARCH_ADMIN_PASSWORD in .env');
+  }
+  await signInWithEmailAndPassword(auth, SEARCH_ADMIN_EMAIL, SEARCH_ADMIN_PASSWORD);
+
+  const [eventsSnapshot, indexedSnapshot] = await Promise.all([
+    getDocs(collection(db, 'events')),
+    getDocs(collection(db, DOCUMENTS_COLLECTION)),
+  ]);
+  const events = eventsSnapshot.docs.map(eventDoc => ({ id: eventDoc.id, ...eventDoc.data() }));
+  const eventIds = new Set(events.map(event => event.id));
+  // Purged events whose index entries were never removed
+  const orphanIds = indexedSnapshot.docs.map(indexedDoc => indexedDoc.id).filter(id => !eventIds.has(id));
+
+  console.log(`🗂️  Found ${events.length} events and ${orphanIds.length} index entries without an event\n`);
+
+  let indexedCount = 0;
+  let removedCount = 0;
+  let errorCount = 0;
+
+  // Events in the trash are taken out of the index by indexEvents
+  for (const event of events) {
+    try {
+      await indexer.indexEvents([event]);
+      console.log(`✅ ${event.deletedAt ? 'Removed trashed' : 'Indexed'} event ${event.id}`);
+      indexedCount++;
+    } catch (error) {
+      console.error(`❌ Error indexing event ${event.id}:`, error.message);
+      errorCount++;
+    }
+  }
+
+  for (const eventId of orphanIds) {
+    try {
+      await indexer.removeEvents([eventId]);
+      console.log(`🧹 Removed index entry for missing event ${eventId}`);
+      removedCount++;
+    } catch (error) {
+      console.error(`❌ Error removing index entry ${eventId}:`, error.message);
+      errorCount++;
+    }
+  }
+
+  // Summary
+  console.log('\n========================================');
+  console.log('📊 SUMMARY');
+  console.log('========================================');
+  console.log(`Total events processed: ${events.length}`);
+  console.log(`✅ Indexed: ${indexedCount}`);
+  console.log(`🧹 Entries for missing events removed: ${removedCount}`);
+  console.log(`❌ Errors: ${errorCount}`);
+  console.log('========================================\n');
+
+  if (errorCount > 0) {
+    throw new Error(`${errorCount} events could not be indexed; run the script again`);
+  }
+
+  console.log('✨ Search index rebuilt successfully!');
+}
+
+// Run the script
+rebuildSearchIndex()
+  .then(() => {
+    console.log('\n✅ Script finished');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Script failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,79 @@
+/**
+ * Script to move events onto the venue their venue was merged into
+ * Run after merging venues on a venue page; safe to run as often as needed
+ *
+ * Usage: npm run repoint-venue-events
+ */
+
+import process from 'node:process';
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInWithEmailAndPassword } from 'firebase/auth';
+import { getFirestore } from 'firebase/firestore';
+import { repointMergedVenueEvents } from '../src/services/venueEventRepointer.js';
+import { createFirestoreSearchIndexer } from '../src/services/firestoreSearchIndexer.js';
+
+// Firebase configuration
+const firebaseConfig = {
+  apiKey: process.env.VITE_FIREBASE_API_KEY,
+  authDomain: process.env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: process.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: process.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: process.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: process.env.VITE_FIREBASE_APP_ID,
+};
+
+// Initialize Firebase
+const app = initializeApp(firebaseConfig);
+const auth = getAuth(app);
+const db = getFirestore(app);
+const indexer = createFirestoreSearchIndexer(db);
+
+async function repointVenueEvents() {
+  console.log('🚀 Moving events off merged venues...\n');
+
+  // Only venue admins may change the venue of events they don't host (see firestoreSchema.js)
+  const { VENUE_ADMIN_EMAIL, VENUE_ADMIN_PASSWORD } = process.env;
+  if (!VENUE_ADMIN_EMAIL || !VENUE_ADMIN_PASSWORD) {
+    throw new Error('Set VENUE_ADMIN_EMAIL and VENUE_ADMIN_PASSWORD in .env');
+  }
+  await signInWithEmailAndPassword(auth, VENUE_ADMIN_EMAIL, VENUE_ADMIN_PASSWORD);
+
+  const events = await repointMergedVenueEvents(db);
+  events.forEach(event => console.log(`✅ Moved event ${event.id} to ${event.venue} (${event.venueId})`));
+
+  // The events' venue name changed
+  let searchErrorCount = 0;
+  for (const event of events) {
+    try {
+      await indexer.indexEvents([event]);
+    } catch (error) {
+      console.error(`❌ Error updating search for event ${event.id}:`, error.message);
+      searchErrorCount++;
+    }
+  }
+
+  // Summary
+  console.log('\n========================================');
+  console.log('📊 SUMMARY');
+  console.log('========================================');
+  console.log(`✅ Events moved: ${events.length}`);
+  console.log(`❌ Search updates failed: ${searchErrorCount}`);
+  console.log('========================================\n');
+
+  if (searchErrorCount > 0) {
+    console.log('⚠️  The events were moved; run npm run rebuild-search-index as a search admin to catch search up');
+  }
+
+  console.log('✨ Venue events are up to date!');
+}
+
+// Run the script
+repointVenueEvents()
+  .then(() => {
+    console.log('\n✅ Script finished');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Script failed:', error);
+    process.exit(1);
+  });
@@ -14,12 +14,19 @@ import CategoryView from './pages/CategoryView';
 import EventDetail from './pages/EventDetail';
 import PhotoGallery from './pages/PhotoGallery';
 import CreateEvent from './pages/CreateEvent';
+import EditEvent from './pages/EditEvent';
+import EventCheckIn from './pages/EventCheckIn';
 import About from './pages/About';
 import HowItWorks from './pages/HowItWorks';
 import HashtagBrowse from './pages/HashtagBrowse';
 import PromoterProfile from './pages/PromoterProfile';
 import PromotersList from './pages/PromotersList';
 import UserProfile from './pages/UserProfile';
+import VenueDetail from './pages/VenueDetail';
+import PerformerDetail from './pages/PerformerDetail';
+import CalendarView from './pages/CalendarView';
+import CityLanding from './pages/CityLanding';
+import SearchResults from './pages/SearchResults';
 
 function App() {
   return (
@@ -64,8 +71,13 @@ function App() {
           <Route path="/promoters" element={<PromotersList />} />
           <Route path="/user/:userId" element={<UserProfile />} />
           <Route path="/promoter/:promoterId" element={<PromoterProfile />} />
+          <Route path="/venues/:venueId" element={<VenueDetail />} />
+          <Route path="/performers/:performerId" element={<PerformerDetail />} />
           <Route path="/photos" element={<PhotoGallery />} />
           <Route path="/hashtags" element={<HashtagBrowse />} />
+          <Route path="/calendar" element={<CalendarView />} />
+          <Route path="/city/:citySlug" element={<CityLanding />} />
+          <Route path="/search" element={<SearchResults />} />
 
           {/* Protected Routes */}
           <Route
@@ -84,6 +96,22 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/events/:eventId/edit"
+            element={
+              <ProtectedRoute>
+                <EditEvent />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/events/:eventId/checkin"
+            element={
+              <ProtectedRoute>
+                <EventCheckIn />
+              </ProtectedRoute>
+            }
+          />
         </Routes>
       </AuthProvider>
     </Router>
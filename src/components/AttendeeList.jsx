@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { EyeOff } from 'lucide-react';
+import { getAttendees } from '../services/rsvpService';
+
+/**
+ * AttendeeList Component
+ *
+ * Shows who's going to (or might go to) an event. Attendees who hide their
+ * RSVPs in their profile settings are only counted, not named. The waitlist
+ * is only shown to the event's hosts (and to each user for their own spot).
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.eventId - Event ID
+ * @param {Array<string>} props.hostIds - User IDs of the event's hosts (keep the array stable between renders)
+ * @param {string|null} [props.viewerId] - User ID of the signed-in viewer
+ * @param {number} [props.refreshKey] - Change to reload the list (e.g. after an RSVP)
+ */
+const AttendeeList = ({ eventId, hostIds, viewerId = null, refreshKey = 0 }) => {
+  const [attendees, setAttendees] = useState({ going: [], maybe: [], waitlist: [], hiddenCount: 0 });
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchAttendees = async () => {
+      try {
+        const data = await getAttendees(eventId, { viewerId, hostIds });
+        setAttendees(data);
+      } catch (err) {
+        console.error('Error fetching attendees:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAttendees();
+  }, [eventId, hostIds, viewerId, refreshKey]);
+
+  const { going, maybe, waitlist, hiddenCount } = attendees;
+  const isHost = Boolean(viewerId) && hostIds.includes(viewerId);
+
+  if (loading) {
+    return null;
+  }
+
+  if (going.length === 0 && maybe.length === 0 && waitlist.length === 0 && hiddenCount === 0) {
+    return (
+      <p className="text-sm text-gray-500">No RSVPs yet. Be the first!</p>
+    );
+  }
+
+  const renderGroup = (title, people) => people.length > 0 && (
+    <div className="mb-4">
+      <h4 className="text-sm font-semibold text-gray-700 mb-2">
+        {title} ({people.length})
+      </h4>
+      <div className="flex flex-wrap gap-2">
+        {people.map((person) => (
+          <Link
+            key={person.uid}
+            to={`/user/${person.uid}`}
+            className="flex items-center gap-2 bg-gray-50 hover:bg-pink-50 border border-gray-200 rounded-full pl-1 pr-3 py-1 transition-colors duration-200"
+          >
+            {person.profilePhoto ? (
+              <img
+                src={person.profilePhoto}
+                alt={person.fullName || person.username}
+                className="w-7 h-7 rounded-full object-cover"
+              />
+            ) : (
+              <div className="w-7 h-7 rounded-full bg-gradient-to-br from-[#FF6B6B] to-[#FF8E8E] flex items-center justify-center text-white text-xs font-bold">
+                {(person.fullName || person.username || '?').charAt(0).toUpperCase()}
+              </div>
+            )}
+            <span className="text-sm text-gray-800">
+              {person.uid === viewerId ? 'You' : person.fullName || `@${person.username}`}
+            </span>
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div>
+      {renderGroup('Going', going)}
+      {renderGroup('Maybe', maybe)}
+      {renderGroup(isHost ? 'Waitlist' : 'Your Waitlist Spot', waitlist)}
+
+      {hiddenCount > 0 && (
+        <p className="flex items-center gap-2 text-sm text-gray-500">
+          <EyeOff className="w-4 h-4" />
+          {hiddenCount} {hiddenCount === 1 ? 'person keeps' : 'people keep'} their RSVP private
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AttendeeList;
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { Rss, Copy, Check } from 'lucide-react';
+import { getCalendarFeedUrl, toWebcalUrl } from '../utils/calendarHelpers';
+
+/**
+ * CalendarSubscribe Component
+ *
+ * Button that opens subscription options for a calendar feed: open it in the
+ * device's calendar app (webcal://), add it to Google Calendar, or copy the
+ * feed URL for any other app.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.type - Feed type (one of CALENDAR_FEED_TYPES)
+ * @param {string} props.id - Promoter ID, hashtag name or user ID
+ * @param {string} [props.label] - Button label (default: 'Subscribe to calendar')
+ */
+const CalendarSubscribe = ({ type, id, label = 'Subscribe to calendar' }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const feedUrl = getCalendarFeedUrl(window.location.origin, type, id);
+  const webcalUrl = toWebcalUrl(feedUrl);
+  const googleUrl = `https://calendar.google.com/calendar/r?cid=${encodeURIComponent(webcalUrl)}`;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying feed URL:', err);
+      window.prompt('Copy this calendar URL:', feedUrl);
+    }
+  };
+
+  return (
+    <div className="relative inline-block">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="flex items-center gap-2 px-4 py-2 border-2 border-[#FF6B6B] text-[#FF6B6B] rounded-full text-sm font-semibold hover:bg-[#FF6B6B] hover:text-white transition-colors"
+        aria-expanded={isOpen}
+      >
+        <Rss className="w-4 h-4" />
+        {label}
+      </button>
+
+      {isOpen && (
+        <div className="absolute z-20 mt-2 w-64 bg-white rounded-xl border border-gray-200 shadow-lg p-2 text-sm">
+          <a
+            href={webcalUrl}
+            className="block px-3 py-2 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            Apple / Outlook Calendar
+          </a>
+          <a
+            href={googleUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="block px-3 py-2 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            Google Calendar
+          </a>
+          <button
+            onClick={handleCopy}
+            className="w-full flex items-center gap-2 px-3 py-2 rounded-lg text-gray-700 hover:bg-gray-50 text-left"
+          >
+            {copied ? <Check className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4" />}
+            {copied ? 'Copied!' : 'Copy feed URL'}
+          </button>
+          <p className="px-3 pt-1 text-xs text-gray-500">
+            Your calendar app checks for new and changed events automatically.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarSubscribe;
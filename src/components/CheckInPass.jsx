@@ -0,0 +1,80 @@
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { QrCode, Copy, Check } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { getCheckInCode } from '../services/checkInService';
+
+/**
+ * CheckInPass Component
+ *
+ * Shows the signed-in attendee's check-in QR code for an event. Renders
+ * nothing unless the user has a confirmed "going" RSVP.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.eventId - Event ID
+ * @param {number} [props.refreshKey] - Change to reload the pass (e.g. after an RSVP)
+ */
+const CheckInPass = ({ eventId, refreshKey = 0 }) => {
+  const { user } = useAuth();
+  const [code, setCode] = useState(null);
+  const [qrDataUrl, setQrDataUrl] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!user?.uid) {
+      setCode(null);
+      return;
+    }
+
+    const loadPass = async () => {
+      try {
+        const checkInCode = await getCheckInCode(eventId, user.uid);
+        setCode(checkInCode);
+        setQrDataUrl(checkInCode ? await QRCode.toDataURL(checkInCode, { width: 240, margin: 1 }) : '');
+      } catch (err) {
+        console.error('Error loading check-in pass:', err);
+      }
+    };
+
+    loadPass();
+  }, [eventId, user?.uid, refreshKey]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying check-in code:', err);
+    }
+  };
+
+  if (!code || !qrDataUrl) {
+    return null;
+  }
+
+  return (
+    <div className="bg-gradient-to-r from-pink-50 to-red-50 border-2 border-[#FF6B6B] rounded-2xl p-6 text-center">
+      <h3 className="text-lg font-bold text-gray-900 mb-1 flex items-center justify-center gap-2">
+        <QrCode className="w-5 h-5 text-[#FF6B6B]" />
+        Your Check-in Pass
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">Show this at the door</p>
+      <img
+        src={qrDataUrl}
+        alt="Check-in QR code"
+        className="w-48 h-48 mx-auto bg-white p-2 rounded-xl"
+      />
+      <button
+        type="button"
+        onClick={handleCopy}
+        className="mt-4 inline-flex items-center gap-2 text-sm text-gray-600 hover:text-[#FF6B6B] transition-colors"
+      >
+        {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+        {copied ? 'Copied!' : 'Copy code instead'}
+      </button>
+    </div>
+  );
+};
+
+export default CheckInPass;
@@ -1,7 +1,13 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { Heart, User } from 'lucide-react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Heart, User, Users, Repeat, ChevronDown, ChevronUp } from 'lucide-react';
 import { format } from 'date-fns';
+import { getStatusLabel } from '../utils/eventStatusHelpers';
+import { formatPriceRange } from '../utils/ticketTierHelpers';
+import { isEventHost } from '../utils/hostHelpers';
+import { getEventTimezone, toZonedWallClock } from '../utils/timezoneHelpers';
+import { isEventHappeningNow } from '../utils/dateHelpers';
+import { formatDistance } from '../utils/geoHelpers';
 
 /**
  * EventCard Component
@@ -13,10 +19,21 @@ import { format } from 'date-fns';
  * @param {string} props.event.id - Unique event identifier
  * @param {string} props.event.name - Event name
  * @param {string} props.event.venueName - Venue name where event takes place
+ * @param {string} [props.event.venueId] - Linked venue; the venue name links to its page
  * @param {string} props.event.address - Full address of the venue
+ * @param {number} [props.event.distanceMiles] - Distance from the searched location (set by "near me" searches)
  * @param {string} props.event.flyerUrl - URL of the event flyer image
  * @param {Date|string} props.event.date - Event date (Date object or date string)
  * @param {string[]} props.event.hashtags - Array of hashtags associated with the event
+ * @param {string} [props.event.status] - Lifecycle status; non-live statuses show a badge on the flyer
+ * @param {string} [props.event.startAt] - Start instant; with `endAt`, events in progress show a "Happening now" badge
+ * @param {string|null} [props.event.endAt] - End instant
+ * @param {string} [props.event.recurrenceLabel] - Series description (e.g., "Every Sunday") for collapsed series
+ * @param {Array<Object>} [props.event.seriesOccurrences] - Occurrences ({ id, date }) of a collapsed series
+ * @param {Array<Object>} [props.event.ticketTiers] - Ticket tiers; the card shows the "from" price
+ * @param {number} [props.event.price] - Lowest ticket price (legacy events only have this)
+ * @param {number} [props.event.goingCount] - Number of confirmed "going" RSVPs
+ * @param {number|null} [props.event.capacity] - RSVP capacity limit, shown next to the going count
  * @param {Function} props.onFavoriteToggle - Callback function when favorite is toggled
  * @param {boolean} props.isFavorited - Whether the event is currently favorited
  * @param {Function} [props.onHashtagClick] - Optional callback when hashtag is clicked
@@ -33,14 +50,15 @@ const EventCard = ({
 }) => {
   const navigate = useNavigate();
   const [imageLoaded, setImageLoaded] = useState(false);
+  const [showSeriesDates, setShowSeriesDates] = useState(false);
 
-  // Check if current user is the event creator
+  // Check if current user hosts the event (owner, editor or door staff)
   // Handle both 'promoterId' and 'createdBy' field names for backwards compatibility
   const eventPromoterId = event.promoterId || event.createdBy;
-  const isOwnEvent = currentUserId && eventPromoterId === currentUserId;
+  const isOwnEvent = isEventHost(event, currentUserId);
 
-  // Parse date if it's a string
-  const eventDate = typeof event.date === 'string' ? new Date(event.date) : event.date;
+  // Parse date if it's a string, reading it where the event takes place
+  const eventDate = toZonedWallClock(typeof event.date === 'string' ? new Date(event.date) : event.date, getEventTimezone(event));
 
   // Format date for display
   const month = format(eventDate, 'MMM').toUpperCase();
@@ -52,6 +70,9 @@ const EventCard = ({
     ? `${event.address.street}, ${event.address.city}, ${event.address.state} ${event.address.zip}`
     : event.address || '';
   const flyerImage = event.flyerUrl || event.imageUrl || '';
+  const seriesOccurrences = event.seriesOccurrences || [];
+  const statusLabel = getStatusLabel(event);
+  const isHappeningNow = !statusLabel && isEventHappeningNow(event);
 
   const handleCardClick = (e) => {
     // Prevent navigation if clicking on interactive elements
@@ -75,11 +96,21 @@ const EventCard = ({
     if (onHashtagClick) {
       onHashtagClick(hashtag);
     } else {
-      // Default behavior: navigate to events page with hashtag filter
-      navigate(`/events?hashtag=${encodeURIComponent(hashtag)}`);
+      // Default behavior: navigate to the home page listings with hashtag filter
+      navigate(`/?hashtag=${encodeURIComponent(hashtag)}`);
     }
   };
 
+  const handleSeriesToggle = (e) => {
+    e.stopPropagation();
+    setShowSeriesDates(prev => !prev);
+  };
+
+  const handleOccurrenceClick = (e, occurrenceId) => {
+    e.stopPropagation();
+    navigate(`/events/${occurrenceId}`);
+  };
+
   const handlePromoterClick = (e) => {
     e.stopPropagation();
     if (eventPromoterId) {
@@ -112,6 +143,17 @@ const EventCard = ({
                  aria-label="Loading image" />
           </div>
         )}
+        {/* Status Badge (sold out, postponed, or draft/scheduled in owner views) */}
+        {statusLabel && (
+          <span className="absolute top-3 left-3 px-3 py-1 bg-gray-900/80 text-white text-xs font-bold uppercase tracking-wide rounded-full">
+            {statusLabel}
+          </span>
+        )}
+        {isHappeningNow && (
+          <span className="absolute top-3 left-3 px-3 py-1 bg-green-600 text-white text-xs font-bold uppercase tracking-wide rounded-full">
+            Happening now
+          </span>
+        )}
       </div>
 
       {/* Event Details Section */}
@@ -148,12 +190,71 @@ const EventCard = ({
               {event.name || event.title}
             </h3>
             <p className="text-sm font-medium text-gray-700 mb-1 truncate">
-              {venueName}
+              {event.venueId ? (
+                <Link to={`/venues/${event.venueId}`} className="hover:text-[#FF6B6B] transition-colors">
+                  {venueName}
+                </Link>
+              ) : venueName}
             </p>
             <p className="text-xs text-gray-500 mb-2 line-clamp-2">
+              {event.distanceMiles != null && (
+                <span className="font-semibold text-[#FF6B6B]">{formatDistance(event.distanceMiles)} away · </span>
+              )}
               {fullAddress}
             </p>
 
+            {/* Price */}
+            {(event.ticketTiers?.length > 0 || event.price > 0) && (
+              <p className="text-xs font-semibold text-gray-900 mb-2">
+                {formatPriceRange(event)}
+              </p>
+            )}
+
+            {/* Recurring Series */}
+            {event.recurrenceLabel && (
+              <div className="mb-2">
+                <div className="flex items-center gap-1">
+                  <Repeat className="w-3 h-3 text-[#FF6B6B]" />
+                  <span className="text-xs font-semibold text-[#FF6B6B]">
+                    {event.recurrenceLabel}
+                  </span>
+                  {seriesOccurrences.length > 1 && (
+                    <button
+                      onClick={handleSeriesToggle}
+                      className="flex items-center gap-0.5 text-xs text-gray-600 hover:text-[#FF6B6B] transition-colors ml-1"
+                      aria-expanded={showSeriesDates}
+                    >
+                      {seriesOccurrences.length} dates
+                      {showSeriesDates ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+                    </button>
+                  )}
+                </div>
+                {showSeriesDates && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {seriesOccurrences.map((occurrence) => (
+                      <button
+                        key={occurrence.id}
+                        onClick={(e) => handleOccurrenceClick(e, occurrence.id)}
+                        className="text-xs px-2 py-1 bg-gray-100 hover:bg-[#FF6B6B] hover:text-white rounded-full transition-colors"
+                      >
+                        {format(new Date(occurrence.date), 'MMM d')}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Attendee Count */}
+            {event.goingCount > 0 && (
+              <div className="flex items-center gap-1 mb-2">
+                <Users className="w-3 h-3 text-gray-400" />
+                <span className="text-xs text-gray-600">
+                  {event.goingCount}{event.capacity ? `/${event.capacity}` : ''} going
+                </span>
+              </div>
+            )}
+
             {/* Promoter Info */}
             {(promoterName || eventPromoterId) && (
               <div className="flex items-center gap-1 mb-2">
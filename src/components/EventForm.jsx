@@ -0,0 +1,1477 @@
+import { useState } from 'react';
+import { format } from 'date-fns';
+import { Calendar, MapPin, DollarSign, Tag, Upload, Image as ImageIcon, Repeat, X, Send, Plus, Music } from 'lucide-react';
+import VenueAutocomplete from './VenueAutocomplete';
+import PerformerAutocomplete from './PerformerAutocomplete';
+import { uploadImage } from '../services/storageService';
+import { findOrCreateVenue } from '../services/venueService';
+import { findOrCreatePerformer } from '../services/performerService';
+import { EVENT_CATEGORIES } from '../data/eventCategories';
+import { venueToEventFields } from '../utils/venueHelpers';
+import { normalizeCoordinates, buildGeoFields, geocodeAddress } from '../utils/geoHelpers';
+import { getCitySlugForCoordinates } from '../utils/cityHelpers';
+import { RECURRENCE_FREQUENCIES, MAX_OCCURRENCES } from '../utils/recurrenceHelpers';
+import { EVENT_STATUSES, getEventStatus, isScheduled } from '../utils/eventStatusHelpers';
+import { TICKET_CURRENCIES, DEFAULT_CURRENCY, normalizeTicketTiers, getPriceRange } from '../utils/ticketTierHelpers';
+import { PERFORMER_ROLES, PERFORMER_ROLE_LABELS, buildLineupFields } from '../utils/lineupHelpers';
+import {
+  getViewerTimezone,
+  getSupportedTimezones,
+  getEventTimezone,
+  toZonedWallClock,
+  toDayKey,
+  buildEventInstants,
+} from '../utils/timezoneHelpers';
+
+/**
+ * Convert a stored time string to the "HH:mm" value used by time inputs.
+ * Seeded events store times like "9:00 PM"; events created through the form
+ * already store "21:00".
+ * @param {string} time - Stored time string
+ * @returns {string} Time in 24-hour "HH:mm" format, or '' if empty
+ */
+const toTimeInputValue = (time) => {
+  if (!time) return '';
+
+  const match = time.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!match) return '';
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2];
+  const meridiem = match[3]?.toUpperCase();
+
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+
+  return `${String(hours).padStart(2, '0')}:${minutes}`;
+};
+
+/**
+ * Convert a stored event date to the "yyyy-MM-dd" value used by date inputs.
+ * Events with a timezone use their day in that zone. Older events were saved
+ * as UTC midnight of the picked day, so those keep their UTC calendar day;
+ * everything else uses the local day.
+ * @param {string} date - Stored ISO date
+ * @param {string} [timeZone] - Event's IANA timezone
+ * @returns {string} Date in "yyyy-MM-dd" format, or '' if invalid
+ */
+const toDateInputValue = (date, timeZone) => {
+  if (!date) return '';
+
+  const dateObj = new Date(date);
+  if (isNaN(dateObj.getTime())) return '';
+
+  if (timeZone) {
+    return toDayKey(toZonedWallClock(dateObj, timeZone));
+  }
+
+  if (typeof date === 'string' && date.endsWith('T00:00:00.000Z')) {
+    return date.slice(0, 10);
+  }
+
+  return format(dateObj, 'yyyy-MM-dd');
+};
+
+/**
+ * Get the "End Date" input value of a multi-day event
+ * @param {Object} event - Existing event document
+ * @returns {string} Last day in "yyyy-MM-dd" format, or '' for single-day events
+ */
+const toEndDateInputValue = (event) => {
+  if (!event.isMultiDay || !event.endAt) return '';
+
+  // Without an end time the event runs until midnight after its last day
+  const lastMoment = new Date(new Date(event.endAt).getTime() - (event.endTime ? 0 : 1));
+  return toDateInputValue(lastMoment.toISOString(), getEventTimezone(event));
+};
+
+/**
+ * Get how an event is currently published, for the "Publishing" radio buttons
+ * @param {Object} [event] - Existing event document
+ * @returns {'now'|'schedule'|'draft'} Publish mode
+ */
+const getPublishMode = (event) => {
+  if (!event) return 'now';
+  if (getEventStatus(event) === EVENT_STATUSES.DRAFT) return 'draft';
+  return isScheduled(event) ? 'schedule' : 'now';
+};
+
+/**
+ * Build the initial form state from an existing event (or blank for new events)
+ * @param {Object} [event] - Existing event document
+ * @returns {Object} Form state
+ */
+const getInitialFormData = (event) => {
+  if (!event) {
+    return {
+      title: '',
+      description: '',
+      category: '',
+      date: '',
+      endDate: '',
+      startTime: '',
+      endTime: '',
+      timezone: getViewerTimezone(),
+      venue: '',
+      venueId: null,
+      street: '',
+      city: '',
+      state: '',
+      zip: '',
+      lat: '',
+      lng: '',
+      ticketLink: '',
+      capacity: '',
+      hashtags: '',
+      recurrenceFrequency: '',
+      recurrenceEnd: 'count',
+      recurrenceCount: '4',
+      recurrenceUntil: '',
+      publishMode: 'now',
+      publishAt: '',
+    };
+  }
+
+  return {
+    title: event.title || event.name || '',
+    description: event.description || '',
+    category: event.category || '',
+    date: toDateInputValue(event.date, getEventTimezone(event)),
+    endDate: toEndDateInputValue(event),
+    startTime: toTimeInputValue(event.startTime),
+    endTime: toTimeInputValue(event.endTime),
+    timezone: getEventTimezone(event) || getViewerTimezone(),
+    venue: event.venue || event.venueName || '',
+    venueId: event.venueId || null,
+    street: event.address?.street || '',
+    city: event.address?.city || '',
+    state: event.address?.state || '',
+    zip: event.address?.zip || '',
+    lat: event.coordinates ? String(event.coordinates.lat) : '',
+    lng: event.coordinates ? String(event.coordinates.lng) : '',
+    ticketLink: event.ticketLink || '',
+    capacity: event.capacity ? String(event.capacity) : '',
+    hashtags: (event.hashtags || []).join(', '),
+    recurrenceFrequency: '',
+    recurrenceEnd: 'count',
+    recurrenceCount: '4',
+    recurrenceUntil: '',
+    publishMode: getPublishMode(event),
+    publishAt: event.publishAt ? format(new Date(event.publishAt), "yyyy-MM-dd'T'HH:mm") : '',
+  };
+};
+
+/**
+ * Format an ISO timestamp for a datetime-local input
+ * @param {string|null} value - ISO timestamp
+ * @returns {string} Value in "yyyy-MM-ddTHH:mm" format, or empty string
+ */
+const toDateTimeInputValue = (value) => (value ? format(new Date(value), "yyyy-MM-dd'T'HH:mm") : '');
+
+/**
+ * Build an empty ticket tier row
+ * @param {string} [name=''] - Tier name
+ * @returns {Object} Tier form state
+ */
+const createBlankTier = (name = '') => ({
+  id: `tier-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  name,
+  price: '',
+  currency: DEFAULT_CURRENCY,
+  quantity: '',
+  saleStart: '',
+  saleEnd: '',
+  ticketLink: '',
+});
+
+/**
+ * Build the initial ticket tier rows from an existing event
+ * Events from before tiers existed get one "General Admission" row with their price.
+ * @param {Object} [event] - Existing event document
+ * @returns {Array<Object>} Tier form state
+ */
+const getInitialTicketTiers = (event) => {
+  if (!event?.ticketTiers?.length) {
+    return [{
+      ...createBlankTier('General Admission'),
+      price: event?.price ? String(event.price) : '',
+    }];
+  }
+
+  return event.ticketTiers.map((tier) => ({
+    id: tier.id,
+    name: tier.name,
+    price: tier.price ? String(tier.price) : '',
+    currency: tier.currency || DEFAULT_CURRENCY,
+    quantity: tier.quantity ? String(tier.quantity) : '',
+    saleStart: toDateTimeInputValue(tier.saleStart),
+    saleEnd: toDateTimeInputValue(tier.saleEnd),
+    ticketLink: tier.ticketLink || '',
+  }));
+};
+
+/**
+ * Create an empty lineup row
+ * @returns {Object} Lineup entry form state
+ */
+const createBlankLineupEntry = () => ({
+  id: `lineup-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  performerId: null,
+  name: '',
+  role: PERFORMER_ROLES.DJ,
+  setTime: '',
+  instagram: '',
+});
+
+/**
+ * Build the initial lineup rows from an existing event
+ * @param {Object} [event] - Existing event document
+ * @returns {Array<Object>} Lineup form state
+ */
+const getInitialLineup = (event) => (event?.lineup || []).map((entry) => ({
+  ...createBlankLineupEntry(),
+  performerId: entry.performerId || null,
+  name: entry.name || '',
+  role: entry.role || PERFORMER_ROLES.DJ,
+  setTime: toTimeInputValue(entry.setTime),
+  instagram: entry.socials?.instagram || '',
+}));
+
+/**
+ * EventForm Component
+ *
+ * Shared form for creating and editing events. Handles field state, validation
+ * and flyer upload, then hands the prepared event data to `onSubmit`.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.userId - ID of the promoter (used for the flyer storage path and to record new venues)
+ * @param {Function} props.onSubmit - Async callback receiving the prepared event data
+ * @param {Function} props.onCancel - Callback when the cancel button is clicked
+ * @param {Object} [props.event] - Existing event to prefill the form with
+ * @param {string} [props.submitLabel='Create Event'] - Submit button label
+ * @param {string} [props.submittingLabel='Creating Event...'] - Submit button label while saving
+ * @param {boolean} [props.allowRecurrence=false] - Show the "Repeat" section for creating a series
+ * @param {boolean} [props.isTemplate=false] - Edit an event template instead: the title field becomes the
+ *   template name, there is no date, capacity or publishing, and `onSubmit` receives template fields
+ *   (see buildTemplateFromEvent)
+ */
+const EventForm = ({
+  userId,
+  onSubmit,
+  onCancel,
+  event,
+  submitLabel = 'Create Event',
+  submittingLabel = 'Creating Event...',
+  allowRecurrence = false,
+  isTemplate = false,
+}) => {
+  const initialImageUrl = event?.imageUrl || event?.flyerUrl || '';
+  // Cancelled, postponed and sold out events are managed from the status panel instead
+  const allowPublishing = !isTemplate && (!event || [EVENT_STATUSES.DRAFT, EVENT_STATUSES.PUBLISHED].includes(getEventStatus(event)));
+
+  const [formData, setFormData] = useState(() => getInitialFormData(event));
+  const [timezoneOptions] = useState(() => {
+    const timeZones = getSupportedTimezones();
+    return timeZones.includes(formData.timezone) ? timeZones : [formData.timezone, ...timeZones];
+  });
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(initialImageUrl);
+  const [imageUrl, setImageUrl] = useState(initialImageUrl);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const [customDates, setCustomDates] = useState([]);
+  const [customDateInput, setCustomDateInput] = useState('');
+  const [ticketTiers, setTicketTiers] = useState(() => getInitialTicketTiers(event));
+  const [lineup, setLineup] = useState(() => getInitialLineup(event));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (error) setError('');
+  };
+
+  // Typing a different name unlinks the saved venue
+  const handleVenueNameChange = (name) => {
+    setFormData(prev => ({ ...prev, venue: name, venueId: null }));
+    if (error) setError('');
+  };
+
+  const handleVenueSelect = (venue) => {
+    const { venueId, venue: name, address } = venueToEventFields(venue);
+    setFormData(prev => ({
+      ...prev,
+      venueId,
+      venue: name,
+      ...address,
+      // Keep coordinates typed for this event if the venue has none
+      ...(venue.coordinates ? { lat: String(venue.coordinates.lat), lng: String(venue.coordinates.lng) } : {}),
+    }));
+    if (error) setError('');
+  };
+
+  const handleTierChange = (tierId, field, value) => {
+    setTicketTiers(prev => prev.map(tier => (tier.id === tierId ? { ...tier, [field]: value } : tier)));
+    if (error) setError('');
+  };
+
+  const handleAddTier = () => {
+    setTicketTiers(prev => [...prev, createBlankTier()]);
+  };
+
+  const handleRemoveTier = (tierId) => {
+    setTicketTiers(prev => prev.filter(tier => tier.id !== tierId));
+  };
+
+  const handleLineupChange = (entryId, field, value) => {
+    setLineup(prev => prev.map(entry => (
+      entry.id === entryId
+        // Typing a different name unlinks the saved performer
+        ? { ...entry, [field]: value, ...(field === 'name' ? { performerId: null } : {}) }
+        : entry
+    )));
+    if (error) setError('');
+  };
+
+  const handlePerformerSelect = (entryId, performer) => {
+    setLineup(prev => prev.map(entry => (
+      entry.id === entryId
+        ? {
+          ...entry,
+          performerId: performer.id,
+          name: performer.name,
+          role: performer.role || entry.role,
+          instagram: performer.socials?.instagram || entry.instagram,
+        }
+        : entry
+    )));
+    if (error) setError('');
+  };
+
+  const handleAddLineupEntry = () => {
+    setLineup(prev => [...prev, createBlankLineupEntry()]);
+  };
+
+  const handleRemoveLineupEntry = (entryId) => {
+    setLineup(prev => prev.filter(entry => entry.id !== entryId));
+  };
+
+  const handleFileSelect = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    // Validate file type
+    if (!file.type.startsWith('image/')) {
+      setError('Please select an image file');
+      return;
+    }
+
+    // Validate file size (max 5MB)
+    if (file.size > 5 * 1024 * 1024) {
+      setError('Image size must be less than 5MB');
+      return;
+    }
+
+    setSelectedFile(file);
+    setError('');
+
+    // Create preview
+    const reader = new FileReader();
+    reader.onloadend = () => {
+      setPreviewUrl(reader.result);
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const handleImageUrlChange = (e) => {
+    const url = e.target.value;
+    setImageUrl(url);
+    setPreviewUrl(url);
+    setSelectedFile(null);
+  };
+
+  const handleAddCustomDate = () => {
+    if (!customDateInput || customDates.includes(customDateInput)) return;
+    setCustomDates(prev => [...prev, customDateInput].sort());
+    setCustomDateInput('');
+  };
+
+  const handleRemoveCustomDate = (date) => {
+    setCustomDates(prev => prev.filter(d => d !== date));
+  };
+
+  /**
+   * Build the recurrence rule from the "Repeat" fields
+   * @returns {Object|null} Recurrence rule, or null for one-off events
+   */
+  const buildRecurrence = () => {
+    const frequency = formData.recurrenceFrequency;
+    if (!allowRecurrence || !frequency) return null;
+
+    if (frequency === RECURRENCE_FREQUENCIES.CUSTOM) {
+      if (customDates.length === 0) {
+        throw new Error('Add at least one more date for this series');
+      }
+      return { frequency, dates: customDates };
+    }
+
+    if (formData.recurrenceEnd === 'until') {
+      if (!formData.recurrenceUntil) {
+        throw new Error('Choose when this series ends');
+      }
+      if (formData.recurrenceUntil < formData.date) {
+        throw new Error('Series end date must be after the first date');
+      }
+      return { frequency, until: formData.recurrenceUntil };
+    }
+
+    const count = parseInt(formData.recurrenceCount, 10);
+    if (!count || count < 2) {
+      throw new Error('A series needs at least 2 occurrences');
+    }
+    return { frequency, count: Math.min(count, MAX_OCCURRENCES) };
+  };
+
+  /**
+   * Build the status fields from the "Publishing" section
+   * @returns {Object} Object with status and publishAt, or empty if publishing isn't editable
+   */
+  const buildPublishing = () => {
+    if (!allowPublishing) return {};
+
+    if (formData.publishMode === 'draft') {
+      return { status: EVENT_STATUSES.DRAFT, publishAt: null };
+    }
+
+    if (formData.publishMode === 'schedule') {
+      if (!formData.publishAt) {
+        throw new Error('Choose when this event should be published');
+      }
+      const publishAt = new Date(formData.publishAt);
+      if (publishAt <= new Date()) {
+        throw new Error('Scheduled publish time must be in the future');
+      }
+      return { status: EVENT_STATUSES.PUBLISHED, publishAt: publishAt.toISOString() };
+    }
+
+    return { status: EVENT_STATUSES.PUBLISHED, publishAt: null };
+  };
+
+  /**
+   * Validate the ticket tier rows and convert them for saving
+   * Rows left completely blank are ignored.
+   * @returns {Array<Object>} Normalized ticket tiers
+   */
+  const buildTicketTiers = () => {
+    const filledTiers = ticketTiers.filter(
+      tier => tier.name.trim() || tier.price || tier.quantity || tier.ticketLink.trim()
+    );
+
+    filledTiers.forEach((tier) => {
+      if (!tier.name.trim()) {
+        throw new Error('Give each ticket tier a name');
+      }
+      if (tier.price && (isNaN(Number(tier.price)) || Number(tier.price) < 0)) {
+        throw new Error(`Price for "${tier.name.trim()}" must be a positive number`);
+      }
+      if (tier.saleStart && tier.saleEnd && new Date(tier.saleEnd) <= new Date(tier.saleStart)) {
+        throw new Error(`Sales for "${tier.name.trim()}" must end after they start`);
+      }
+    });
+
+    return normalizeTicketTiers(filledTiers.map(tier => ({
+      ...tier,
+      saleStart: tier.saleStart ? new Date(tier.saleStart).toISOString() : null,
+      saleEnd: tier.saleEnd ? new Date(tier.saleEnd).toISOString() : null,
+    })));
+  };
+
+  /**
+   * Link each lineup row to a performer page, saving performers the first time they're entered
+   * Rows without a name are ignored.
+   * @returns {Promise<Object>} Lineup fields for the event (see buildLineupFields)
+   */
+  const buildLineup = async () => {
+    const entries = await Promise.all(
+      lineup
+        .filter(entry => entry.name.trim())
+        .map(async (entry) => {
+          const socials = { instagram: entry.instagram };
+          const performerId = entry.performerId
+            || (await findOrCreatePerformer({ name: entry.name, role: entry.role, socials }, userId)).id;
+
+          return { ...entry, performerId, socials };
+        })
+    );
+
+    return buildLineupFields(entries);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setUploading(true);
+
+    try {
+      // Validate required fields
+      if (!formData.title.trim()) {
+        throw new Error(isTemplate ? 'Template name is required' : 'Event title is required');
+      }
+      if (!isTemplate && !formData.category) {
+        throw new Error('Category is required');
+      }
+      if (!isTemplate && !formData.date) {
+        throw new Error('Event date is required');
+      }
+      if (!isTemplate && formData.endDate && formData.endDate < formData.date) {
+        throw new Error('End date must be on or after the start date');
+      }
+      if (!formData.venue.trim()) {
+        throw new Error('Venue name is required');
+      }
+
+      const capacity = formData.capacity ? Number(formData.capacity) : null;
+      if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+        throw new Error('Capacity must be a positive whole number');
+      }
+
+      if ((formData.lat.trim() || formData.lng.trim()) && !normalizeCoordinates({ lat: formData.lat, lng: formData.lng })) {
+        throw new Error('Enter both a latitude and a longitude, or leave both blank');
+      }
+
+      const recurrence = buildRecurrence();
+      const publishing = buildPublishing();
+      const tiers = buildTicketTiers();
+
+      let finalImageUrl = imageUrl;
+      // Storage path of an uploaded flyer, so it can be removed when the event is purged
+      let imageStoragePath;
+
+      // Upload image if file is selected
+      if (selectedFile) {
+        imageStoragePath = `events/${userId}/${Date.now()}_${selectedFile.name}`;
+        finalImageUrl = await uploadImage(selectedFile, imageStoragePath);
+      } else if (imageUrl !== initialImageUrl) {
+        // Switched to a pasted image URL
+        imageStoragePath = '';
+      }
+
+      // Parse hashtags
+      const hashtagArray = formData.hashtags
+        .split(',')
+        .map(tag => tag.trim().toLowerCase().replace('#', ''))
+        .filter(tag => tag.length > 0);
+
+      // Templates keep only the fields that carry over between dates
+      if (isTemplate) {
+        await onSubmit({
+          name: formData.title.trim(),
+          category: formData.category,
+          description: formData.description.trim(),
+          venue: formData.venue.trim(),
+          venueId: formData.venueId,
+          address: {
+            street: formData.street.trim(),
+            city: formData.city.trim(),
+            state: formData.state.trim(),
+            zip: formData.zip.trim(),
+          },
+          imageUrl: finalImageUrl,
+          imageStoragePath: imageStoragePath ?? event?.imageStoragePath ?? '',
+          ticketTiers: tiers,
+          ticketLink: formData.ticketLink.trim(),
+          hashtags: [...new Set(hashtagArray)],
+        });
+        return;
+      }
+
+      const address = {
+        street: formData.street.trim(),
+        city: formData.city.trim(),
+        state: formData.state.trim(),
+        zip: formData.zip.trim(),
+      };
+
+      // Map position typed in (or copied from the venue), else the city's from the local table
+      const enteredCoordinates = normalizeCoordinates({ lat: formData.lat, lng: formData.lng });
+      const geoFields = buildGeoFields(enteredCoordinates || geocodeAddress(address));
+
+      // Link the event to its venue, saving venues the first time they're entered
+      const venueId = formData.venueId
+        || (await findOrCreateVenue({ name: formData.venue, address, coordinates: enteredCoordinates }, userId)).id;
+      const lineupFields = await buildLineup();
+
+      // Prepare event data
+      const eventData = {
+        title: formData.title.trim(),
+        description: formData.description.trim(),
+        category: formData.category,
+        // Times are entered in the event's timezone; store the real start/end instants
+        ...buildEventInstants(formData),
+        startTime: formData.startTime,
+        endTime: formData.endTime,
+        venue: formData.venue.trim(),
+        venueId,
+        address,
+        ...geoFields,
+        citySlug: getCitySlugForCoordinates(geoFields.coordinates),
+        imageUrl: finalImageUrl,
+        ticketTiers: tiers,
+        price: tiers.length > 0 ? getPriceRange({ ticketTiers: tiers }).min : 0,
+        ticketLink: formData.ticketLink.trim(),
+        capacity,
+        hashtags: [...new Set(hashtagArray)],
+        ...lineupFields,
+        ...publishing,
+      };
+
+      if (imageStoragePath !== undefined) {
+        eventData.imageStoragePath = imageStoragePath;
+      }
+
+      if (recurrence) {
+        eventData.recurrence = recurrence;
+      }
+
+      await onSubmit(eventData);
+    } catch (err) {
+      console.error('Error saving event:', err);
+      setError(err.message || 'Failed to save event. Please try again.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-8">
+      {/* Basic Information */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-4 sm:p-6 shadow-sm">
+        <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-4 sm:mb-6">Basic Information</h2>
+
+        {/* Event Title */}
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {isTemplate ? 'Template Name *' : 'Event Title *'}
+          </label>
+          <input
+            type="text"
+            name="title"
+            value={formData.title}
+            onChange={handleChange}
+            required
+            placeholder={isTemplate ? 'e.g., Sunday Brunch @ Lot 45' : 'e.g., Afrobeats Brunch Party'}
+            className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+          />
+        </div>
+
+        {/* Category */}
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {isTemplate ? 'Category' : 'Category *'}
+          </label>
+          <select
+            name="category"
+            value={formData.category}
+            onChange={handleChange}
+            required={!isTemplate}
+            className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+          >
+            <option value="">Select a category</option>
+            {EVENT_CATEGORIES.map((cat) => (
+              <option key={cat.id} value={cat.name}>
+                {cat.displayName}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Description */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Description
+          </label>
+          <textarea
+            name="description"
+            value={formData.description}
+            onChange={handleChange}
+            rows={5}
+            placeholder="Describe your event..."
+            className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all resize-none"
+          />
+        </div>
+      </div>
+
+      {/* Date & Time */}
+      {!isTemplate && (
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+          <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
+            <Calendar className="w-6 h-6 text-[#FF6B6B]" />
+            Date & Time
+          </h2>
+
+          <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-6">
+            {/* Date */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Date *
+              </label>
+              <input
+                type="date"
+                name="date"
+                value={formData.date}
+                onChange={handleChange}
+                required
+                className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+              />
+            </div>
+
+            {/* End Date */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                End Date
+              </label>
+              <input
+                type="date"
+                name="endDate"
+                value={formData.endDate}
+                min={formData.date || undefined}
+                onChange={handleChange}
+                className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+              />
+            </div>
+
+            {/* Start Time */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Start Time
+              </label>
+              <input
+                type="time"
+                name="startTime"
+                value={formData.startTime}
+                onChange={handleChange}
+                className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+              />
+            </div>
+
+            {/* End Time */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                End Time
+              </label>
+              <input
+                type="time"
+                name="endTime"
+                value={formData.endTime}
+                onChange={handleChange}
+                className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+              />
+            </div>
+          </div>
+
+          {/* Timezone */}
+          <div className="mt-6">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Timezone
+            </label>
+            <select
+              name="timezone"
+              value={formData.timezone}
+              onChange={handleChange}
+              className="w-full md:w-1/2 px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+            >
+              {timezoneOptions.map((timeZone) => (
+                <option key={timeZone} value={timeZone}>
+                  {timeZone.replace(/_/g, ' ')}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-2">
+              Enter times as they are where the event takes place. An end time earlier than the start time means the next day.
+              Set an end date for events that run over several days, like festivals.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Repeat */}
+      {allowRecurrence && !isTemplate && (
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+          <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
+            <Repeat className="w-6 h-6 text-[#FF6B6B]" />
+            Repeat
+          </h2>
+
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              How often does this event happen?
+            </label>
+            <select
+              name="recurrenceFrequency"
+              value={formData.recurrenceFrequency}
+              onChange={handleChange}
+              className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+            >
+              <option value="">Does not repeat</option>
+              <option value={RECURRENCE_FREQUENCIES.WEEKLY}>Every week</option>
+              <option value={RECURRENCE_FREQUENCIES.BIWEEKLY}>Every other week</option>
+              <option value={RECURRENCE_FREQUENCIES.MONTHLY_BY_WEEKDAY}>Monthly (same weekday, e.g. 2nd Sunday)</option>
+              <option value={RECURRENCE_FREQUENCIES.CUSTOM}>Custom dates</option>
+            </select>
+          </div>
+
+          {formData.recurrenceFrequency && formData.recurrenceFrequency !== RECURRENCE_FREQUENCIES.CUSTOM && (
+            <div className="grid md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Ends
+                </label>
+                <select
+                  name="recurrenceEnd"
+                  value={formData.recurrenceEnd}
+                  onChange={handleChange}
+                  className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                >
+                  <option value="count">After a number of dates</option>
+                  <option value="until">On a date</option>
+                </select>
+              </div>
+
+              {formData.recurrenceEnd === 'until' ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Last Date
+                  </label>
+                  <input
+                    type="date"
+                    name="recurrenceUntil"
+                    value={formData.recurrenceUntil}
+                    onChange={handleChange}
+                    min={formData.date}
+                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                  />
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Number of Dates
+                  </label>
+                  <input
+                    type="number"
+                    name="recurrenceCount"
+                    value={formData.recurrenceCount}
+                    onChange={handleChange}
+                    min="2"
+                    max={MAX_OCCURRENCES}
+                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
+          {formData.recurrenceFrequency === RECURRENCE_FREQUENCIES.CUSTOM && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Additional Dates
+              </label>
+              <div className="flex gap-3 mb-4">
+                <input
+                  type="date"
+                  value={customDateInput}
+                  onChange={(e) => setCustomDateInput(e.target.value)}
+                  min={formData.date}
+                  className="flex-1 px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                />
+                <button
+                  type="button"
+                  onClick={handleAddCustomDate}
+                  className="px-6 py-3 bg-white border-2 border-[#FF6B6B] text-[#FF6B6B] font-semibold rounded-xl hover:bg-gray-50 transition-all"
+                >
+                  Add Date
+                </button>
+              </div>
+              {customDates.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {customDates.map((date) => (
+                    <span
+                      key={date}
+                      className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-pink-50 to-red-50 border-2 border-[#FF6B6B] text-[#FF6B6B] rounded-full text-sm font-medium"
+                    >
+                      {format(new Date(`${date}T00:00`), 'EEE, MMM d, yyyy')}
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveCustomDate(date)}
+                        aria-label={`Remove ${date}`}
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500 mt-4">
+            Each date becomes its own event page, so you can edit or cancel dates individually later.
+          </p>
+        </div>
+      )}
+
+      {/* Location */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
+          <MapPin className="w-6 h-6 text-[#FF6B6B]" />
+          Location
+        </h2>
+
+        {/* Venue Name */}
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Venue Name *
+          </label>
+          <VenueAutocomplete
+            value={formData.venue}
+            venueId={formData.venueId}
+            onChange={handleVenueNameChange}
+            onSelect={handleVenueSelect}
+          />
+        </div>
+
+        {/* Address */}
+        <div className="grid md:grid-cols-2 gap-6 mb-6">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Street Address
+            </label>
+            <input
+              type="text"
+              name="street"
+              value={formData.street}
+              onChange={handleChange}
+              placeholder="222 Pearl Street"
+              className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              City
+            </label>
+            <input
+              type="text"
+              name="city"
+              value={formData.city}
+              onChange={handleChange}
+              placeholder="Brooklyn"
+              className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              State
+            </label>
+            <input
+              type="text"
+              name="state"
+              value={formData.state}
+              onChange={handleChange}
+              placeholder="NY"
+              className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+            />
+          </div>
+
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              ZIP Code
+            </label>
+            <input
+              type="text"
+              name="zip"
+              value={formData.zip}
+              onChange={handleChange}
+              placeholder="11201"
+              className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+            />
+          </div>
+
+          {!isTemplate && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Latitude
+                </label>
+                <input
+                  type="text"
+                  name="lat"
+                  value={formData.lat}
+                  onChange={handleChange}
+                  inputMode="decimal"
+                  placeholder="40.7033"
+                  className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Longitude
+                </label>
+                <input
+                  type="text"
+                  name="lng"
+                  value={formData.lng}
+                  onChange={handleChange}
+                  inputMode="decimal"
+                  placeholder="-73.9881"
+                  className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                />
+              </div>
+
+              <p className="md:col-span-2 text-sm text-gray-500 -mt-4">
+                Optional. Used for &quot;near me&quot; searches; without them the event is placed at the center of its city.
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Event Flyer/Image */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
+          <ImageIcon className="w-6 h-6 text-[#FF6B6B]" />
+          Event Flyer
+        </h2>
+
+        {/* Image Upload */}
+        {previewUrl ? (
+          <div className="relative mb-6">
+            <img
+              src={previewUrl}
+              alt="Preview"
+              className="w-full max-h-96 object-contain rounded-lg border-2 border-gray-200"
+            />
+            <button
+              type="button"
+              onClick={() => {
+                setSelectedFile(null);
+                setPreviewUrl('');
+                setImageUrl('');
+              }}
+              className="absolute top-2 right-2 w-8 h-8 bg-white rounded-full flex items-center justify-center shadow-lg hover:bg-gray-100 transition-colors"
+            >
+              ×
+            </button>
+          </div>
+        ) : (
+          <label className="block w-full border-2 border-dashed border-gray-300 rounded-lg p-12 text-center cursor-pointer hover:border-[#FF6B6B] hover:bg-gray-50 transition-all mb-6">
+            <input
+              type="file"
+              accept="image/*"
+              onChange={handleFileSelect}
+              className="hidden"
+            />
+            <Upload className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600 font-medium mb-2">
+              Click to upload event flyer
+            </p>
+            <p className="text-sm text-gray-500">
+              PNG, JPG up to 5MB
+            </p>
+          </label>
+        )}
+
+        {/* Or Image URL */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Or paste image URL
+          </label>
+          <input
+            type="url"
+            value={imageUrl}
+            onChange={handleImageUrlChange}
+            placeholder="https://example.com/image.jpg"
+            className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+          />
+        </div>
+      </div>
+
+      {/* Lineup */}
+      {!isTemplate && (
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2 flex items-center gap-2">
+            <Music className="w-6 h-6 text-[#FF6B6B]" />
+            Lineup
+          </h2>
+          <p className="text-sm text-gray-500 mb-6">
+            DJs, hosts and artists get a performer page listing their gigs, and fans can follow them
+          </p>
+
+          <div className="space-y-4">
+            {lineup.map((entry, index) => (
+              <div key={entry.id} className="border border-gray-200 rounded-xl p-4">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-sm font-semibold text-gray-900">Performer {index + 1}</h3>
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveLineupEntry(entry.id)}
+                    className="text-gray-400 hover:text-[#FF6B6B] transition-colors"
+                    aria-label={`Remove ${entry.name || 'performer'}`}
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+
+                <div className="grid md:grid-cols-4 gap-4">
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Name
+                    </label>
+                    <PerformerAutocomplete
+                      value={entry.name}
+                      performerId={entry.performerId}
+                      onChange={(name) => handleLineupChange(entry.id, 'name', name)}
+                      onSelect={(performer) => handlePerformerSelect(entry.id, performer)}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Role
+                    </label>
+                    <select
+                      value={entry.role}
+                      onChange={(e) => handleLineupChange(entry.id, 'role', e.target.value)}
+                      className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                    >
+                      {Object.values(PERFORMER_ROLES).map(role => (
+                        <option key={role} value={role}>{PERFORMER_ROLE_LABELS[role]}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Set Time
+                    </label>
+                    <input
+                      type="time"
+                      value={entry.setTime}
+                      onChange={(e) => handleLineupChange(entry.id, 'setTime', e.target.value)}
+                      className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                    />
+                  </div>
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Instagram
+                    </label>
+                    <input
+                      type="text"
+                      value={entry.instagram}
+                      onChange={(e) => handleLineupChange(entry.id, 'instagram', e.target.value)}
+                      placeholder="@handle"
+                      className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                    />
+                  </div>
+                </div>
+              </div>
+            ))}
+
+            <button
+              type="button"
+              onClick={handleAddLineupEntry}
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-[#FF6B6B] border-2 border-dashed border-[#FF6B6B]/50 rounded-xl hover:border-[#FF6B6B] hover:bg-pink-50 transition-all"
+            >
+              <Plus className="w-4 h-4" />
+              Add Performer
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Pricing & Tickets */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
+          <DollarSign className="w-6 h-6 text-[#FF6B6B]" />
+          Pricing & Tickets
+        </h2>
+
+        {/* Ticket Tiers */}
+        <div className="space-y-4 mb-6">
+          {ticketTiers.map((tier, index) => (
+            <div key={tier.id} className="border border-gray-200 rounded-xl p-4">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-sm font-semibold text-gray-900">Ticket Tier {index + 1}</h3>
+                {ticketTiers.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveTier(tier.id)}
+                    className="text-gray-400 hover:text-[#FF6B6B] transition-colors"
+                    aria-label={`Remove ${tier.name || 'ticket tier'}`}
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+
+              <div className="grid md:grid-cols-4 gap-4">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Name
+                  </label>
+                  <input
+                    type="text"
+                    value={tier.name}
+                    onChange={(e) => handleTierChange(tier.id, 'name', e.target.value)}
+                    placeholder="e.g., Early Bird, GA, VIP Table"
+                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Price
+                  </label>
+                  <input
+                    type="number"
+                    value={tier.price}
+                    onChange={(e) => handleTierChange(tier.id, 'price', e.target.value)}
+                    min="0"
+                    step="0.01"
+                    placeholder="0.00"
+                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Currency
+                  </label>
+                  <select
+                    value={tier.currency}
+                    onChange={(e) => handleTierChange(tier.id, 'currency', e.target.value)}
+                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                  >
+                    {TICKET_CURRENCIES.map(currency => (
+                      <option key={currency} value={currency}>{currency}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Quantity
+                  </label>
+                  <input
+                    type="number"
+                    value={tier.quantity}
+                    onChange={(e) => handleTierChange(tier.id, 'quantity', e.target.value)}
+                    min="1"
+                    step="1"
+                    placeholder="Unlimited"
+                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Sales Start
+                  </label>
+                  <input
+                    type="datetime-local"
+                    value={tier.saleStart}
+                    onChange={(e) => handleTierChange(tier.id, 'saleStart', e.target.value)}
+                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Sales End
+                  </label>
+                  <input
+                    type="datetime-local"
+                    value={tier.saleEnd}
+                    onChange={(e) => handleTierChange(tier.id, 'saleEnd', e.target.value)}
+                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Tier Link
+                  </label>
+                  <input
+                    type="url"
+                    value={tier.ticketLink}
+                    onChange={(e) => handleTierChange(tier.id, 'ticketLink', e.target.value)}
+                    placeholder="Uses ticket link below"
+                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                  />
+                </div>
+              </div>
+            </div>
+          ))}
+
+          <button
+            type="button"
+            onClick={handleAddTier}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm font-semibold text-[#FF6B6B] border-2 border-dashed border-[#FF6B6B]/50 rounded-xl hover:border-[#FF6B6B] hover:bg-pink-50 transition-all"
+          >
+            <Plus className="w-4 h-4" />
+            Add Ticket Tier
+          </button>
+          <p className="text-xs text-gray-500">
+            Leave the price empty for free entry
+          </p>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          {/* Ticket Link */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Ticket Link
+            </label>
+            <input
+              type="url"
+              name="ticketLink"
+              value={formData.ticketLink}
+              onChange={handleChange}
+              placeholder="https://tickets.example.com"
+              className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+            />
+          </div>
+
+          {/* Capacity */}
+          {!isTemplate && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                RSVP Capacity
+              </label>
+              <input
+                type="number"
+                name="capacity"
+                value={formData.capacity}
+                onChange={handleChange}
+                min="1"
+                step="1"
+                placeholder="Unlimited"
+                className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Once full, new RSVPs join a waitlist and move up as spots open
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Hashtags */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
+          <Tag className="w-6 h-6 text-[#FF6B6B]" />
+          Hashtags
+        </h2>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Event Hashtags
+          </label>
+          <input
+            type="text"
+            name="hashtags"
+            value={formData.hashtags}
+            onChange={handleChange}
+            placeholder="e.g., afrobeats, brunch, brooklyn, dayparty"
+            className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+          />
+          <p className="text-xs text-gray-500 mt-2">
+            Separate multiple hashtags with commas
+          </p>
+        </div>
+      </div>
+
+      {/* Publishing */}
+      {allowPublishing && (
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+          <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
+            <Send className="w-6 h-6 text-[#FF6B6B]" />
+            Publishing
+          </h2>
+
+          <div className="flex flex-col sm:flex-row gap-4 mb-4">
+            {[
+              { value: 'now', label: 'Publish now' },
+              { value: 'schedule', label: 'Schedule for later' },
+              { value: 'draft', label: 'Save as draft' },
+            ].map((option) => (
+              <label key={option.value} className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="radio"
+                  name="publishMode"
+                  value={option.value}
+                  checked={formData.publishMode === option.value}
+                  onChange={handleChange}
+                  className="text-[#FF6B6B] focus:ring-[#FF6B6B]"
+                />
+                <span className="text-sm font-medium text-gray-700">{option.label}</span>
+              </label>
+            ))}
+          </div>
+
+          {formData.publishMode === 'schedule' && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Publish On
+              </label>
+              <input
+                type="datetime-local"
+                name="publishAt"
+                value={formData.publishAt}
+                onChange={handleChange}
+                className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+              />
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            {formData.publishMode === 'draft'
+              ? 'Drafts are only visible to you until you publish them.'
+              : formData.publishMode === 'schedule'
+                ? 'Your event will appear in listings and search at the chosen time.'
+                : 'Your event will appear in listings and search right away.'}
+          </p>
+        </div>
+      )}
+
+      {/* Error Message */}
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 text-red-700 px-4 py-3 rounded-lg">
+          <p className="font-medium">Error</p>
+          <p>{error}</p>
+        </div>
+      )}
+
+
+      {/* Submit Buttons */}
+      <div className="flex flex-col sm:flex-row gap-4 pt-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={uploading}
+          className="flex-1 px-8 py-4 bg-white border-2 border-gray-300 text-gray-700 font-semibold rounded-xl hover:bg-gray-50 transition-all disabled:opacity-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={uploading}
+          className="flex-1 px-8 py-4 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] hover:from-[#ff5252] hover:to-[#FF6B6B] text-white font-semibold rounded-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-lg hover:shadow-xl flex items-center justify-center gap-2"
+        >
+          {uploading ? (
+            <>
+              <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              {submittingLabel}
+            </>
+          ) : (
+            submitLabel
+          )}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default EventForm;
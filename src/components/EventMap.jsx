@@ -0,0 +1,192 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import EventCard from './EventCard';
+import { EVENT_CATEGORIES, getCategoryColor } from '../data/eventCategories';
+import { GEOCODING_TABLE } from '../data/geocodingTable';
+import { getTileSource, clusterMapPoints, getMapBounds } from '../utils/mapHelpers';
+import { normalizeCoordinates } from '../utils/geoHelpers';
+import { hasEventPassed } from '../utils/dateHelpers';
+
+// Shown before any events are plotted
+const DEFAULT_CENTER = [GEOCODING_TABLE[0].lat, GEOCODING_TABLE[0].lng];
+const DEFAULT_ZOOM = 11;
+
+/**
+ * Build the icon for a single event pin
+ * @param {string} color - Category color
+ * @returns {Object} Leaflet icon
+ */
+const createPinIcon = (color) => L.divIcon({
+  className: '',
+  html: `<span style="display:block;width:22px;height:22px;border-radius:9999px 9999px 9999px 0;transform:rotate(-45deg);background:${color};border:3px solid #fff;box-shadow:0 2px 6px rgba(0,0,0,.35)"></span>`,
+  iconSize: [22, 22],
+  iconAnchor: [11, 22],
+});
+
+/**
+ * Build the icon for a cluster: the count, ringed with its categories' colors
+ * @param {Array<Object>} items - Clustered points ({ event })
+ * @returns {Object} Leaflet icon
+ */
+const createClusterIcon = (items) => {
+  const colors = items.map(({ event }) => getCategoryColor(event.category)).sort();
+  const stops = colors.map((color, index) => (
+    `${color} ${(index / colors.length) * 100}% ${((index + 1) / colors.length) * 100}%`
+  ));
+  const size = items.length < 10 ? 36 : items.length < 100 ? 44 : 52;
+
+  return L.divIcon({
+    className: '',
+    html: `<span style="display:flex;align-items:center;justify-content:center;width:${size}px;height:${size}px;border-radius:9999px;background:conic-gradient(${stops.join(',')});box-shadow:0 2px 6px rgba(0,0,0,.35)"><span style="display:flex;align-items:center;justify-content:center;width:${size - 12}px;height:${size - 12}px;border-radius:9999px;background:#fff;color:#111827;font-weight:700;font-size:13px">${items.length}</span></span>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+};
+
+/**
+ * EventMap Component
+ *
+ * Plots upcoming events as pins colored by category, clustering pins that
+ * would overlap. Clicking a pin opens a popup with the event's card; clicking
+ * a cluster zooms in on it, or lists its events when they share a venue.
+ * Events without coordinates are left off. Tiles come from getTileSource, so
+ * development can use locally served tiles.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.events - Events to plot (already filtered by the page)
+ * @param {Function} props.isEventFavorited - Called with an event ID
+ * @param {Function} props.onFavoriteToggle - Passed to the popup's EventCard
+ * @param {Function} [props.onHashtagClick] - Passed to the popup's EventCard
+ * @param {string} [props.currentUserId] - Passed to the popup's EventCard
+ */
+const EventMap = ({ events, isEventFavorited, onFavoriteToggle, onHashtagClick, currentUserId }) => {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const pinLayerRef = useRef(null);
+  const [zoom, setZoom] = useState(null);
+  const [popup, setPopup] = useState(null); // { events, container, leafletPopup }
+
+  const upcomingEvents = useMemo(() => events.filter(event => !hasEventPassed(event)), [events]);
+  const points = useMemo(() => upcomingEvents
+    .map(event => ({ event, ...normalizeCoordinates(event.coordinates) }))
+    .filter(point => point.lat !== undefined), [upcomingEvents]);
+
+  const unmappedCount = upcomingEvents.length - points.length;
+  const categoriesShown = EVENT_CATEGORIES.filter(category => points.some(({ event }) => event.category === category.id));
+
+  // Create the map once
+  useEffect(() => {
+    const tileSource = getTileSource();
+    const map = L.map(containerRef.current, { center: DEFAULT_CENTER, zoom: DEFAULT_ZOOM });
+
+    L.tileLayer(tileSource.url, { attribution: tileSource.attribution, maxZoom: tileSource.maxZoom }).addTo(map);
+    pinLayerRef.current = L.layerGroup().addTo(map);
+    map.on('zoomend', () => setZoom(map.getZoom()));
+
+    mapRef.current = map;
+    setZoom(map.getZoom());
+
+    return () => {
+      map.remove();
+      mapRef.current = null;
+    };
+  }, []);
+
+  // Frame the events whenever the filters change
+  useEffect(() => {
+    const bounds = getMapBounds(points);
+    if (mapRef.current && bounds) {
+      mapRef.current.fitBounds(bounds, { padding: [48, 48], maxZoom: 14 });
+    }
+  }, [points]);
+
+  // Redraw pins and clusters for the current zoom
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || zoom === null) return;
+
+    const openPopup = (cluster) => {
+      const container = document.createElement('div');
+      const leafletPopup = L.popup({ minWidth: 280, maxWidth: 320 })
+        .setLatLng([cluster.lat, cluster.lng])
+        .setContent(container)
+        .openOn(map);
+
+      leafletPopup.on('remove', () => setPopup(current => (current?.leafletPopup === leafletPopup ? null : current)));
+      setPopup({ events: cluster.items.map(({ event }) => event), container, leafletPopup });
+    };
+
+    pinLayerRef.current.clearLayers();
+    clusterMapPoints(points, zoom).forEach((cluster) => {
+      if (cluster.items.length === 1) {
+        const { event } = cluster.items[0];
+        L.marker([cluster.lat, cluster.lng], {
+          icon: createPinIcon(getCategoryColor(event.category)),
+          title: event.title || event.name,
+        })
+          .on('click', () => openPopup(cluster))
+          .addTo(pinLayerRef.current);
+        return;
+      }
+
+      // Zoom in on a cluster; events at the same venue can't be split, so list them instead
+      const [[south, west], [north, east]] = getMapBounds(cluster.items);
+      const isSingleSpot = south === north && west === east;
+      L.marker([cluster.lat, cluster.lng], { icon: createClusterIcon(cluster.items) })
+        .on('click', () => {
+          if (isSingleSpot || map.getZoom() >= map.getMaxZoom()) {
+            openPopup(cluster);
+          } else {
+            map.fitBounds([[south, west], [north, east]], { padding: [48, 48] });
+          }
+        })
+        .addTo(pinLayerRef.current);
+    });
+  }, [points, zoom]);
+
+  // Resize the popup to fit the card once it has rendered
+  useEffect(() => {
+    popup?.leafletPopup.update();
+  }, [popup]);
+
+  return (
+    <div>
+      <div ref={containerRef} className="relative z-0 w-full h-[32rem] rounded-2xl overflow-hidden shadow-lg" />
+
+      <div className="mt-4 flex flex-wrap items-center justify-center gap-x-5 gap-y-2">
+        {categoriesShown.map(category => (
+          <span key={category.id} className="flex items-center gap-2 text-sm text-gray-700">
+            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: category.color }} />
+            {category.displayName}
+          </span>
+        ))}
+      </div>
+
+      {unmappedCount > 0 && (
+        <p className="mt-2 text-center text-sm text-gray-500">
+          {unmappedCount} {unmappedCount === 1 ? 'event has' : 'events have'} no location and {unmappedCount === 1 ? 'isn\'t' : 'aren\'t'} on the map.
+        </p>
+      )}
+
+      {popup && createPortal(
+        <div className="space-y-4 max-h-96 overflow-y-auto">
+          {popup.events.map(event => (
+            <EventCard
+              key={event.id}
+              event={event}
+              isFavorited={isEventFavorited(event.id)}
+              onFavoriteToggle={onFavoriteToggle}
+              onHashtagClick={onHashtagClick}
+              currentUserId={currentUserId}
+            />
+          ))}
+        </div>,
+        popup.container
+      )}
+    </div>
+  );
+};
+
+export default EventMap;
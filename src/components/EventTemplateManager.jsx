@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { LayoutTemplate, MapPin, Pencil, Trash2 } from 'lucide-react';
+import EventForm from './EventForm';
+import {
+  getEventTemplates,
+  updateEventTemplate,
+  deleteEventTemplate,
+} from '../services/eventTemplateService';
+import { formatPriceRange } from '../utils/ticketTierHelpers';
+
+/**
+ * EventTemplateManager Component
+ *
+ * Lists a promoter's saved event templates with actions to start a new event
+ * from one, edit it (in the shared EventForm) or delete it.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.promoterId - Promoter's user ID
+ * @param {number} [props.refreshKey] - Change to reload the list (e.g. after saving a new template)
+ */
+const EventTemplateManager = ({ promoterId, refreshKey = 0 }) => {
+  const navigate = useNavigate();
+  const [templates, setTemplates] = useState([]);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        setTemplates(await getEventTemplates(promoterId));
+      } catch (err) {
+        console.error('Error fetching event templates:', err);
+      }
+    };
+
+    fetchTemplates();
+  }, [promoterId, refreshKey, version]);
+
+  const handleSave = async (templateData) => {
+    await updateEventTemplate(promoterId, editingTemplate.id, templateData);
+    setEditingTemplate(null);
+    setVersion(v => v + 1);
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"? Events made from it won't change.`)) return;
+
+    try {
+      await deleteEventTemplate(promoterId, template.id);
+      setVersion(v => v + 1);
+    } catch (err) {
+      console.error('Error deleting event template:', err);
+      alert(err.message || 'Failed to delete template');
+    }
+  };
+
+  if (editingTemplate) {
+    return (
+      <div>
+        <h3 className="text-2xl font-bold text-gray-900 mb-6">Edit Template</h3>
+        <EventForm
+          key={editingTemplate.id}
+          userId={promoterId}
+          event={editingTemplate}
+          onSubmit={handleSave}
+          onCancel={() => setEditingTemplate(null)}
+          submitLabel="Save Template"
+          submittingLabel="Saving..."
+          isTemplate
+        />
+      </div>
+    );
+  }
+
+  if (templates.length === 0) {
+    return (
+      <p className="text-gray-600 text-center">
+        No templates yet. Use &quot;Save as template&quot; on one of your events to reuse its venue, tickets and flyer.
+      </p>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+      {templates.map(template => (
+        <div key={template.id} className="bg-white rounded-2xl border border-gray-200 shadow-sm overflow-hidden flex flex-col">
+          {template.imageUrl ? (
+            <img src={template.imageUrl} alt="" className="w-full h-32 object-cover" />
+          ) : (
+            <div className="w-full h-32 bg-gradient-to-br from-pink-50 to-red-50 flex items-center justify-center">
+              <LayoutTemplate className="w-10 h-10 text-[#FF6B6B]" />
+            </div>
+          )}
+          <div className="p-4 flex-1 flex flex-col">
+            <h4 className="font-bold text-gray-900 mb-1">{template.name}</h4>
+            {template.venue && (
+              <p className="text-sm text-gray-600 flex items-center gap-1 mb-1">
+                <MapPin className="w-3 h-3" />
+                {template.venue}
+              </p>
+            )}
+            <p className="text-xs text-gray-500 mb-4">
+              {formatPriceRange(template)}
+              {template.hashtags?.length > 0 && ` · ${template.hashtags.map(tag => `#${tag}`).join(' ')}`}
+            </p>
+            <div className="mt-auto flex items-center gap-2">
+              <button
+                onClick={() => navigate(`/events/create?template=${template.id}`)}
+                className="flex-1 px-4 py-2 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-full text-sm font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all"
+              >
+                Use Template
+              </button>
+              <button
+                onClick={() => setEditingTemplate(template)}
+                className="p-2 text-gray-500 hover:text-[#FF6B6B]"
+                title="Edit Template"
+              >
+                <Pencil className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => handleDelete(template)}
+                className="p-2 text-gray-500 hover:text-red-600"
+                title="Delete Template"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default EventTemplateManager;
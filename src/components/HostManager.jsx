@@ -0,0 +1,240 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Users, UserPlus, X } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import {
+  inviteHost,
+  getEventHostInvites,
+  revokeHostInvite,
+  updateHostRole,
+  removeHost,
+  getEventHostProfiles,
+} from '../services/hostService';
+import { HOST_ROLES, HOST_ROLE_LABELS } from '../utils/hostHelpers';
+
+/**
+ * HostManager Component
+ *
+ * Lists the promoters hosting an event. Owners can invite co-hosts by
+ * username, change roles and remove hosts; other hosts can step down.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.event - Event being edited
+ * @param {boolean} props.canManage - Whether the viewer is an owner of the event
+ * @param {Function} [props.onHostsChange] - Called with the updated hosts after a change
+ */
+const HostManager = ({ event, canManage, onHostsChange }) => {
+  const { user } = useAuth();
+  const [hosts, setHosts] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [username, setUsername] = useState('');
+  const [role, setRole] = useState(HOST_ROLES.EDITOR);
+  const [inviting, setInviting] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  // Reload host profiles whenever the event's hosts change
+  useEffect(() => {
+    const fetchHosts = async () => {
+      try {
+        setHosts(await getEventHostProfiles(event));
+      } catch (err) {
+        console.error('Error fetching hosts:', err);
+      }
+    };
+
+    fetchHosts();
+  }, [event]);
+
+  // Owners also see the invites that haven't been answered yet
+  useEffect(() => {
+    if (!canManage) return;
+
+    const fetchInvites = async () => {
+      try {
+        setInvites(await getEventHostInvites(event.id));
+      } catch (err) {
+        console.error('Error fetching host invites:', err);
+      }
+    };
+
+    fetchInvites();
+  }, [event.id, canManage, refreshKey]);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!username.trim()) return;
+
+    setInviting(true);
+    setError('');
+    setMessage('');
+    try {
+      const invite = await inviteHost(event.id, username, role, user.uid);
+      setMessage(`Invite sent to @${invite.inviteeUsername}`);
+      setUsername('');
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      setError(err.message || 'Failed to invite host');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleRevoke = async (invite) => {
+    try {
+      await revokeHostInvite(invite.id);
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      setError(err.message || 'Failed to revoke invite');
+    }
+  };
+
+  const handleRoleChange = async (host, newRole) => {
+    setError('');
+    try {
+      const updatedHosts = await updateHostRole(event.id, host.userId, newRole);
+      onHostsChange?.(updatedHosts);
+    } catch (err) {
+      setError(err.message || 'Failed to update role');
+    }
+  };
+
+  const handleRemove = async (host) => {
+    const isSelf = host.userId === user?.uid;
+    const name = host.fullName || `@${host.username}`;
+    if (!window.confirm(isSelf ? 'Step down as a host of this event?' : `Remove ${name} as a host?`)) return;
+
+    setError('');
+    try {
+      const updatedHosts = await removeHost(event.id, host.userId);
+      onHostsChange?.(updatedHosts);
+    } catch (err) {
+      setError(err.message || 'Failed to remove host');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm mb-8">
+      <h2 className="text-2xl font-bold text-gray-900 mb-4 flex items-center gap-2">
+        <Users className="w-6 h-6 text-[#FF6B6B]" />
+        Hosts
+      </h2>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 text-red-700 px-4 py-3 rounded-lg text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-50 border-l-4 border-green-500 text-green-700 px-4 py-3 rounded-lg text-sm mb-4">
+          {message}
+        </div>
+      )}
+
+      <div className="divide-y divide-gray-100 mb-4">
+        {hosts.map(host => (
+          <div key={host.userId} className="flex flex-wrap items-center justify-between gap-4 py-3">
+            <Link to={`/user/${host.uid}`} className="flex items-center gap-3 min-w-0">
+              {host.profilePhoto ? (
+                <img src={host.profilePhoto} alt="" className="w-10 h-10 rounded-full object-cover" />
+              ) : (
+                <div className="w-10 h-10 rounded-full bg-[#FF6B6B] text-white flex items-center justify-center font-bold">
+                  {(host.fullName || host.username || '?')[0].toUpperCase()}
+                </div>
+              )}
+              <div className="min-w-0">
+                <p className="font-semibold text-gray-900 truncate">
+                  {host.fullName || host.username}
+                  {host.userId === user?.uid && <span className="text-gray-500 font-normal"> (you)</span>}
+                </p>
+                {host.username && <p className="text-xs text-gray-500">@{host.username}</p>}
+              </div>
+            </Link>
+            <div className="flex items-center gap-3">
+              {canManage ? (
+                <select
+                  value={host.role}
+                  onChange={(e) => handleRoleChange(host, e.target.value)}
+                  className="px-3 py-2 bg-gray-50 border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                >
+                  {Object.values(HOST_ROLES).map(hostRole => (
+                    <option key={hostRole} value={hostRole}>{HOST_ROLE_LABELS[hostRole]}</option>
+                  ))}
+                </select>
+              ) : (
+                <span className="text-sm font-semibold text-gray-600">{HOST_ROLE_LABELS[host.role]}</span>
+              )}
+              {(canManage || host.userId === user?.uid) && (
+                <button
+                  type="button"
+                  onClick={() => handleRemove(host)}
+                  className="text-gray-400 hover:text-red-600"
+                  aria-label={host.userId === user?.uid ? 'Step down as host' : `Remove ${host.username}`}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {canManage && invites.length > 0 && (
+        <div className="mb-4">
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Pending Invites</h3>
+          <div className="flex flex-wrap gap-2">
+            {invites.map(invite => (
+              <span key={invite.id} className="inline-flex items-center gap-2 px-3 py-1 bg-gray-100 rounded-full text-sm text-gray-700">
+                @{invite.inviteeUsername} · {HOST_ROLE_LABELS[invite.role]}
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(invite)}
+                  className="text-gray-400 hover:text-red-600"
+                  aria-label={`Revoke invite for ${invite.inviteeUsername}`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {canManage && (
+        <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-3">
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => {
+              setUsername(e.target.value);
+              if (error) setError('');
+            }}
+            placeholder="Promoter username"
+            className="flex-1 px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+          />
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+          >
+            {Object.values(HOST_ROLES).map(hostRole => (
+              <option key={hostRole} value={hostRole}>{HOST_ROLE_LABELS[hostRole]}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={inviting || !username.trim()}
+            className="inline-flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-xl font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all disabled:opacity-50"
+          >
+            <UserPlus className="w-4 h-4" />
+            {inviting ? 'Inviting...' : 'Invite'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default HostManager;
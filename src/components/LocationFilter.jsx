@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { MapPin, LocateFixed } from 'lucide-react';
+import { GEOCODING_TABLE } from '../data/geocodingTable';
+import { RADIUS_OPTIONS_MILES, DEFAULT_LOCATION_FILTER, getPlaceLabel } from '../utils/geoHelpers';
+
+const NEAR_ME = 'near-me';
+const ANYWHERE = 'anywhere';
+
+const selectClassName = 'px-4 py-2 bg-white border border-gray-200 rounded-full text-sm font-semibold text-gray-700 focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent';
+
+/**
+ * LocationFilter Component
+ *
+ * "Within N miles" controls for event listings: search anywhere, near the
+ * browser's location or near a city from the local geocoding table, and
+ * choose between soonest-first and closest-first.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.value - { center, label, radiusMiles, sortBy } (see DEFAULT_LOCATION_FILTER)
+ * @param {Function} props.onChange - Called with the new filter state
+ * @param {boolean} [props.sortable=true] - Offer closest-first; listings that can't sort by distance pass false
+ */
+const LocationFilter = ({ value, onChange, sortable = true }) => {
+  const [locating, setLocating] = useState(false);
+  const [error, setError] = useState('');
+
+  const selectedPlace = !value.center ? ANYWHERE : value.label === 'Near me' ? NEAR_ME : value.label;
+
+  const handleNearMe = () => {
+    if (!navigator.geolocation) {
+      setError('Your browser can\'t share your location. Pick a city instead.');
+      return;
+    }
+
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocating(false);
+        onChange({
+          ...value,
+          center: { lat: position.coords.latitude, lng: position.coords.longitude },
+          label: 'Near me',
+        });
+      },
+      (err) => {
+        console.error('Error getting location:', err);
+        setLocating(false);
+        setError('We couldn\'t get your location. Pick a city instead.');
+      },
+      { timeout: 10000, maximumAge: 10 * 60 * 1000 }
+    );
+  };
+
+  const handlePlaceChange = (e) => {
+    const selected = e.target.value;
+    setError('');
+
+    if (selected === NEAR_ME) {
+      handleNearMe();
+      return;
+    }
+
+    if (selected === ANYWHERE) {
+      onChange({ ...value, center: null, label: DEFAULT_LOCATION_FILTER.label, sortBy: 'date' });
+      return;
+    }
+
+    const place = GEOCODING_TABLE.find(entry => getPlaceLabel(entry) === selected);
+    onChange({ ...value, center: { lat: place.lat, lng: place.lng }, label: selected });
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-2">
+      <div className="flex flex-wrap items-center justify-center gap-3">
+        <span className="flex items-center gap-1 text-sm font-medium text-gray-600">
+          {locating ? <LocateFixed className="w-4 h-4 text-[#FF6B6B] animate-pulse" /> : <MapPin className="w-4 h-4 text-[#FF6B6B]" />}
+          {locating ? 'Finding you...' : 'Location'}
+        </span>
+
+        <select
+          value={selectedPlace}
+          onChange={handlePlaceChange}
+          disabled={locating}
+          aria-label="Location"
+          className={selectClassName}
+        >
+          <option value={ANYWHERE}>Anywhere</option>
+          <option value={NEAR_ME}>Near me</option>
+          {GEOCODING_TABLE.map(place => (
+            <option key={getPlaceLabel(place)} value={getPlaceLabel(place)}>{getPlaceLabel(place)}</option>
+          ))}
+        </select>
+
+        {value.center && (
+          <>
+            <select
+              value={value.radiusMiles}
+              onChange={(e) => onChange({ ...value, radiusMiles: Number(e.target.value) })}
+              aria-label="Distance"
+              className={selectClassName}
+            >
+              {RADIUS_OPTIONS_MILES.map(miles => (
+                <option key={miles} value={miles}>Within {miles} miles</option>
+              ))}
+            </select>
+
+            {sortable && (
+              <select
+                value={value.sortBy}
+                onChange={(e) => onChange({ ...value, sortBy: e.target.value })}
+                aria-label="Sort"
+                className={selectClassName}
+              >
+                <option value="date">Soonest first</option>
+                <option value="distance">Closest first</option>
+              </select>
+            )}
+          </>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default LocationFilter;
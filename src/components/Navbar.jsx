@@ -1,11 +1,14 @@
 import { useState } from 'react';
-import { Link } from 'react-router-dom';
-import { Menu, X } from 'lucide-react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { Menu, X, MapPin } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { CITIES } from '../data/cities';
 import logo from '../assets/logo/logo.png';
 
 const Navbar = () => {
-  const { user, signOut } = useAuth();
+  const { user, signOut, homeCity, setHomeCity } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [dropdownOpen, setDropdownOpen] = useState(false);
 
@@ -15,6 +18,7 @@ const Navbar = () => {
     { name: 'Promoters', path: '/promoters' },
     { name: 'Photo Gallery', path: '/photos' },
     { name: 'Hashtags', path: '/hashtags' },
+    { name: 'Calendar', path: '/calendar' },
   ];
 
   // Filter out "How It Works" when user is logged in
@@ -32,6 +36,37 @@ const Navbar = () => {
     }
   };
 
+  const handleCityChange = async (citySlug) => {
+    try {
+      await setHomeCity(citySlug || null);
+      setMobileMenuOpen(false);
+
+      // Switch city pages along with the picker
+      if (location.pathname.startsWith('/city/')) {
+        navigate(citySlug ? `/city/${citySlug}` : '/');
+      }
+    } catch (error) {
+      console.error('Change city error:', error);
+    }
+  };
+
+  const renderCityPicker = (className) => (
+    <label className={`flex items-center gap-1.5 text-gray-700 ${className}`}>
+      <MapPin className="w-4 h-4 text-[#FF6B6B] flex-shrink-0" />
+      <select
+        value={homeCity || ''}
+        onChange={(e) => handleCityChange(e.target.value)}
+        aria-label="Home city"
+        className="bg-transparent font-medium text-sm focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] rounded cursor-pointer"
+      >
+        <option value="">All cities</option>
+        {CITIES.map(city => (
+          <option key={city.slug} value={city.slug}>{city.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+
   const getUserInitials = () => {
     if (user?.fullName) {
       const names = user.fullName.split(' ');
@@ -67,6 +102,7 @@ const Navbar = () => {
 
           {/* Desktop Auth Section - Right */}
           <div className="hidden md:flex items-center space-x-4">
+            {renderCityPicker('')}
             {user ? (
               <div className="relative">
                 <button
@@ -165,6 +201,9 @@ const Navbar = () => {
               </div>
             )}
 
+            {/* Mobile City Picker */}
+            {renderCityPicker('justify-center')}
+
             {/* Mobile Nav Links */}
             <div className="flex flex-col items-center space-y-4">
               {navLinks.map((link) => (
@@ -0,0 +1,94 @@
+import { useState, useEffect } from 'react';
+import { Music, Check } from 'lucide-react';
+import { searchPerformers } from '../services/performerService';
+import { PERFORMER_ROLE_LABELS } from '../utils/lineupHelpers';
+
+/**
+ * PerformerAutocomplete Component
+ *
+ * Lineup name input that suggests saved performers as the promoter types.
+ * Typing a new name works too; the performer is saved when the event is.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - Performer name
+ * @param {string|null} props.performerId - ID of the picked performer (null while typing a new one)
+ * @param {Function} props.onChange - Called with the typed name
+ * @param {Function} props.onSelect - Called with the picked performer document
+ */
+const PerformerAutocomplete = ({ value, performerId, onChange, onSelect }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Search once typing pauses
+  useEffect(() => {
+    if (performerId || value.trim().length < 2) return undefined;
+
+    const timeout = setTimeout(async () => {
+      try {
+        setSuggestions(await searchPerformers(value));
+      } catch (err) {
+        console.error('Error searching performers:', err);
+      }
+    }, 250);
+
+    return () => clearTimeout(timeout);
+  }, [value, performerId]);
+
+  const handleSelect = (performer) => {
+    onSelect(performer);
+    setIsOpen(false);
+  };
+
+  const showSuggestions = isOpen && !performerId && value.trim().length >= 2 && suggestions.length > 0;
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        autoComplete="off"
+        placeholder="e.g., DJ Tunez"
+        className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+      />
+
+      {performerId && (
+        <p className="flex items-center gap-1 text-xs text-green-700 mt-2">
+          <Check className="w-3 h-3" />
+          Linked to their performer page
+        </p>
+      )}
+
+      {showSuggestions && (
+        <ul className="absolute z-20 mt-2 w-full bg-white rounded-xl border border-gray-200 shadow-lg py-2 max-h-72 overflow-y-auto">
+          {suggestions.map((performer) => (
+            <li key={performer.id}>
+              <button
+                type="button"
+                // Pick before the input's blur closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  handleSelect(performer);
+                }}
+                className="w-full flex items-start gap-2 px-4 py-2 text-left hover:bg-gray-50"
+              >
+                <Music className="w-4 h-4 text-[#FF6B6B] flex-shrink-0 mt-0.5" />
+                <span>
+                  <span className="block text-sm font-semibold text-gray-900">{performer.name}</span>
+                  <span className="block text-xs text-gray-500">{PERFORMER_ROLE_LABELS[performer.role] || 'Performer'}</span>
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PerformerAutocomplete;
@@ -0,0 +1,309 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { BadgePercent, Plus, Trash2 } from 'lucide-react';
+import {
+  DISCOUNT_TYPES,
+  getPromoCodes,
+  createPromoCode,
+  setPromoCodeActive,
+  deletePromoCode,
+} from '../services/promoCodeService';
+import { formatPrice } from '../utils/ticketTierHelpers';
+
+const EMPTY_FORM = {
+  code: '',
+  discountType: DISCOUNT_TYPES.PERCENT,
+  discountValue: '',
+  maxUses: '',
+  expiresAt: '',
+  tierIds: [],
+};
+
+/**
+ * PromoCodeManager Component
+ *
+ * Lets a promoter create, pause and delete promo codes for an event and see
+ * how many times each code has been redeemed.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.eventId - Event ID
+ * @param {Array<Object>} [props.ticketTiers] - Event's ticket tiers, for tier restrictions
+ */
+const PromoCodeManager = ({ eventId, ticketTiers = [] }) => {
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  // Reload the codes (and their redemption counts) after every change
+  useEffect(() => {
+    const fetchPromoCodes = async () => {
+      try {
+        setPromoCodes(await getPromoCodes(eventId));
+      } catch (err) {
+        console.error('Error fetching promo codes:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPromoCodes();
+  }, [eventId, refreshKey]);
+
+  const refreshPromoCodes = () => setRefreshKey(key => key + 1);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (error) setError('');
+  };
+
+  const handleTierToggle = (tierId) => {
+    setFormData(prev => ({
+      ...prev,
+      tierIds: prev.tierIds.includes(tierId)
+        ? prev.tierIds.filter(id => id !== tierId)
+        : [...prev.tierIds, tierId],
+    }));
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await createPromoCode(eventId, {
+        ...formData,
+        expiresAt: formData.expiresAt ? new Date(formData.expiresAt).toISOString() : null,
+      });
+      setFormData(EMPTY_FORM);
+      setShowForm(false);
+      refreshPromoCodes();
+    } catch (err) {
+      setError(err.message || 'Failed to create promo code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (promo) => {
+    try {
+      await setPromoCodeActive(eventId, promo.code, !promo.active);
+      refreshPromoCodes();
+    } catch (err) {
+      setError(err.message || 'Failed to update promo code');
+    }
+  };
+
+  const handleDelete = async (promo) => {
+    if (!window.confirm(`Delete the code ${promo.code}? Guests won't be able to use it anymore.`)) return;
+
+    try {
+      await deletePromoCode(eventId, promo.code);
+      refreshPromoCodes();
+    } catch (err) {
+      setError(err.message || 'Failed to delete promo code');
+    }
+  };
+
+  const describeDiscount = (promo) => (promo.discountType === DISCOUNT_TYPES.PERCENT
+    ? `${promo.discountValue}% off`
+    : `${formatPrice(promo.discountValue, ticketTiers[0]?.currency)} off`);
+
+  const describeTiers = (promo) => {
+    if (!promo.tierIds?.length) return 'All tickets';
+    return ticketTiers
+      .filter(tier => promo.tierIds.includes(tier.id))
+      .map(tier => tier.name)
+      .join(', ') || 'All tickets';
+  };
+
+  return (
+    <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+          <BadgePercent className="w-6 h-6 text-[#FF6B6B]" />
+          Promo Codes
+        </h2>
+        {!showForm && (
+          <button
+            type="button"
+            onClick={() => setShowForm(true)}
+            className="flex items-center gap-2 text-sm font-semibold text-[#FF6B6B] hover:text-[#ff5252]"
+          >
+            <Plus className="w-4 h-4" />
+            New code
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 text-red-700 px-4 py-3 rounded-lg text-sm mb-4">
+          {error}
+        </div>
+      )}
+
+      {showForm && (
+        <div className="border border-gray-200 rounded-xl p-4 mb-6">
+          <div className="grid md:grid-cols-3 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Code
+              </label>
+              <input
+                type="text"
+                name="code"
+                value={formData.code}
+                onChange={handleChange}
+                placeholder="e.g., DJKAY20"
+                className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all uppercase"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Discount
+              </label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  name="discountValue"
+                  value={formData.discountValue}
+                  onChange={handleChange}
+                  min="0"
+                  step="0.01"
+                  placeholder="20"
+                  className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                />
+                <select
+                  name="discountType"
+                  value={formData.discountType}
+                  onChange={handleChange}
+                  className="px-3 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                >
+                  <option value={DISCOUNT_TYPES.PERCENT}>%</option>
+                  <option value={DISCOUNT_TYPES.FIXED}>{ticketTiers[0]?.currency || 'USD'}</option>
+                </select>
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Usage Cap
+              </label>
+              <input
+                type="number"
+                name="maxUses"
+                value={formData.maxUses}
+                onChange={handleChange}
+                min="1"
+                step="1"
+                placeholder="Unlimited"
+                className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Expires
+              </label>
+              <input
+                type="datetime-local"
+                name="expiresAt"
+                value={formData.expiresAt}
+                onChange={handleChange}
+                className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+              />
+            </div>
+            {ticketTiers.length > 1 && (
+              <div className="md:col-span-2">
+                <span className="block text-sm font-medium text-gray-700 mb-2">
+                  Applies To
+                </span>
+                <div className="flex flex-wrap gap-3">
+                  {ticketTiers.map(tier => (
+                    <label key={tier.id} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={formData.tierIds.includes(tier.id)}
+                        onChange={() => handleTierToggle(tier.id)}
+                        className="accent-[#FF6B6B]"
+                      />
+                      {tier.name}
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">Leave all unchecked to apply to every ticket</p>
+              </div>
+            )}
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={handleCreate}
+              disabled={saving}
+              className="px-6 py-3 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-xl font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Create Code'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setShowForm(false);
+                setFormData(EMPTY_FORM);
+                setError('');
+              }}
+              className="px-6 py-3 bg-white border-2 border-gray-300 text-gray-700 rounded-xl font-semibold hover:bg-gray-50 transition-all"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading promo codes...</p>
+      ) : promoCodes.length === 0 ? (
+        <p className="text-sm text-gray-500">No promo codes yet.</p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {promoCodes.map(promo => (
+            <div key={promo.code} className="flex flex-wrap items-center justify-between gap-4 py-3">
+              <div className="min-w-0">
+                <p className={`font-mono font-bold ${promo.active ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                  {promo.code}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {describeDiscount(promo)} · {describeTiers(promo)}
+                  {promo.expiresAt && ` · Expires ${format(new Date(promo.expiresAt), "MMM d 'at' h:mm a")}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-4">
+                <span className="text-sm font-semibold text-gray-700">
+                  {promo.redemptionCount || 0}{promo.maxUses ? ` / ${promo.maxUses}` : ''} redeemed
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleToggleActive(promo)}
+                  className="text-sm font-semibold text-gray-600 hover:text-[#FF6B6B]"
+                >
+                  {promo.active ? 'Pause' : 'Resume'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(promo)}
+                  className="text-gray-400 hover:text-red-600"
+                  aria-label={`Delete ${promo.code}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PromoCodeManager;
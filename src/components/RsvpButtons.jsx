@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react';
+import { UserCheck, HelpCircle, XCircle, Hourglass } from 'lucide-react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { getUserRsvp, setRsvp, RSVP_RESPONSES, RSVP_STATUSES } from '../services/rsvpService';
+
+/**
+ * RsvpButtons Component
+ *
+ * Lets the signed-in user answer Going / Maybe / Can't go for an event.
+ * When the event is at capacity, "Going" puts the user on the waitlist.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.event - Event object (needs id, capacity and goingCount)
+ * @param {Function} [props.onRsvpChange] - Callback with the saved RSVP after it changes
+ */
+const RsvpButtons = ({ event, onRsvpChange }) => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [rsvp, setRsvpState] = useState(null);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState('');
+
+  // Load the user's current response
+  useEffect(() => {
+    if (!user?.uid) {
+      setRsvpState(null);
+      return;
+    }
+
+    getUserRsvp(event.id, user.uid)
+      .then(setRsvpState)
+      .catch((err) => console.error('Error loading RSVP:', err));
+  }, [event.id, user?.uid]);
+
+  const isFull = Boolean(event.capacity) && (event.goingCount || 0) >= event.capacity;
+  const isGoing = rsvp?.response === RSVP_RESPONSES.GOING;
+  const isWaitlisted = isGoing && rsvp.status === RSVP_STATUSES.WAITLISTED;
+
+  const handleResponse = async (response) => {
+    // Redirect to signin if not authenticated
+    if (!user) {
+      navigate('/signin', { state: { from: location.pathname } });
+      return;
+    }
+
+    if (rsvp?.response === response) return;
+
+    setIsProcessing(true);
+    setError('');
+
+    try {
+      const savedRsvp = await setRsvp(event.id, user.uid, response);
+      setRsvpState(savedRsvp);
+
+      if (onRsvpChange) {
+        onRsvpChange(savedRsvp);
+      }
+    } catch (err) {
+      console.error('Error saving RSVP:', err);
+      setError(err.message || 'Failed to save your RSVP');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const options = [
+    {
+      response: RSVP_RESPONSES.GOING,
+      label: isWaitlisted ? 'On Waitlist' : isFull && !isGoing ? 'Join Waitlist' : 'Going',
+      Icon: isWaitlisted || (isFull && !isGoing) ? Hourglass : UserCheck,
+    },
+    { response: RSVP_RESPONSES.MAYBE, label: 'Maybe', Icon: HelpCircle },
+    { response: RSVP_RESPONSES.NOT_GOING, label: "Can't Go", Icon: XCircle },
+  ];
+
+  return (
+    <div>
+      <div className="grid grid-cols-3 gap-3">
+        {options.map((option) => {
+          const { response, label, Icon } = option;
+          const isSelected = rsvp?.response === response;
+          return (
+            <button
+              key={response}
+              type="button"
+              onClick={() => handleResponse(response)}
+              disabled={isProcessing}
+              aria-pressed={isSelected}
+              className={`flex items-center justify-center gap-2 px-4 py-3 rounded-full font-semibold text-sm border-2 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:ring-offset-1 ${
+                isSelected
+                  ? 'bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white border-transparent'
+                  : 'bg-white text-gray-700 border-gray-300 hover:border-[#FF6B6B] hover:text-[#FF6B6B]'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              <span>{label}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      {isWaitlisted && (
+        <p className="text-sm text-gray-600 mt-3">
+          This event is full. You&apos;ll get a spot automatically if one opens up.
+        </p>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-600 mt-3">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default RsvpButtons;
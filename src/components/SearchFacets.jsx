@@ -0,0 +1,56 @@
+import { X } from 'lucide-react';
+
+/**
+ * SearchFacets Component
+ *
+ * Sidebar listing how many search results fall into each category, price,
+ * date and hashtag. Clicking an option narrows the results to it; clicking
+ * it again (or "Clear") widens them back.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.facets - Facets from getSearchFacets
+ * @param {Function} props.onToggle - Called with (facetId, value); value is null when un-picking
+ * @param {Function} props.onClear - Called to un-pick every facet
+ */
+const SearchFacets = ({ facets, onToggle, onClear }) => {
+  const hasSelection = facets.some(facet => facet.options.some(option => option.selected));
+
+  return (
+    <aside className="space-y-8">
+      {hasSelection && (
+        <button
+          onClick={onClear}
+          className="flex items-center gap-1 text-sm font-semibold text-[#FF6B6B] hover:text-[#ff5252]"
+        >
+          <X className="w-4 h-4" />
+          Clear filters
+        </button>
+      )}
+
+      {facets.filter(facet => facet.options.length > 0).map((facet) => (
+        <div key={facet.id}>
+          <h3 className="text-sm font-bold uppercase tracking-wide text-gray-900 mb-3">{facet.label}</h3>
+          <ul className="space-y-1">
+            {facet.options.map((option) => (
+              <li key={option.value}>
+                <button
+                  onClick={() => onToggle(facet.id, option.selected ? null : option.value)}
+                  className={`w-full flex items-center justify-between gap-2 px-3 py-1.5 rounded-lg text-sm text-left transition-colors ${
+                    option.selected
+                      ? 'bg-[#FF6B6B]/10 text-[#FF6B6B] font-semibold'
+                      : 'text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  <span className="truncate">{option.label}</span>
+                  <span className={option.selected ? 'text-[#FF6B6B]' : 'text-gray-400'}>{option.count}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </aside>
+  );
+};
+
+export default SearchFacets;
@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import { MapPin, Check } from 'lucide-react';
+import { searchVenues } from '../services/venueService';
+import { formatVenueAddress } from '../utils/venueHelpers';
+
+/**
+ * VenueAutocomplete Component
+ *
+ * Venue name input that suggests saved venues as the promoter types. Picking
+ * one fills in its saved address; typing a new name works as before and the
+ * venue is saved when the event is.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - Venue name
+ * @param {string|null} props.venueId - ID of the picked venue (null while typing a new one)
+ * @param {Function} props.onChange - Called with the typed name
+ * @param {Function} props.onSelect - Called with the picked venue document
+ */
+const VenueAutocomplete = ({ value, venueId, onChange, onSelect }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Search once typing pauses
+  useEffect(() => {
+    if (venueId || value.trim().length < 2) return undefined;
+
+    const timeout = setTimeout(async () => {
+      try {
+        setSuggestions(await searchVenues(value));
+      } catch (err) {
+        console.error('Error searching venues:', err);
+      }
+    }, 250);
+
+    return () => clearTimeout(timeout);
+  }, [value, venueId]);
+
+  const handleSelect = (venue) => {
+    onSelect(venue);
+    setIsOpen(false);
+  };
+
+  const showSuggestions = isOpen && !venueId && value.trim().length >= 2 && suggestions.length > 0;
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        name="venue"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        required
+        autoComplete="off"
+        placeholder="e.g., Brooklyn Harbor Loft"
+        className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+      />
+
+      {venueId && (
+        <p className="flex items-center gap-1 text-xs text-green-700 mt-2">
+          <Check className="w-3 h-3" />
+          Saved venue. Its address is filled in below.
+        </p>
+      )}
+
+      {showSuggestions && (
+        <ul className="absolute z-20 mt-2 w-full bg-white rounded-xl border border-gray-200 shadow-lg py-2 max-h-72 overflow-y-auto">
+          {suggestions.map((venue) => (
+            <li key={venue.id}>
+              <button
+                type="button"
+                // Pick before the input's blur closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  handleSelect(venue);
+                }}
+                className="w-full flex items-start gap-2 px-4 py-2 text-left hover:bg-gray-50"
+              >
+                <MapPin className="w-4 h-4 text-[#FF6B6B] flex-shrink-0 mt-0.5" />
+                <span>
+                  <span className="block text-sm font-semibold text-gray-900">{venue.name}</span>
+                  {formatVenueAddress(venue.address) && (
+                    <span className="block text-xs text-gray-500">{formatVenueAddress(venue.address)}</span>
+                  )}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default VenueAutocomplete;
@@ -0,0 +1,292 @@
+import { useState, useEffect } from 'react';
+import { Pencil, GitMerge, Upload } from 'lucide-react';
+import { updateVenue, searchVenues, mergeVenues } from '../services/venueService';
+import { uploadImage } from '../services/storageService';
+import { formatVenueAddress } from '../utils/venueHelpers';
+
+const inputClassName = 'w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all';
+
+/**
+ * Build the edit form state from a venue
+ * @param {Object} venue - Venue document
+ * @returns {Object} Form state
+ */
+const getFormData = (venue) => ({
+  name: venue.name || '',
+  street: venue.address?.street || '',
+  city: venue.address?.city || '',
+  state: venue.address?.state || '',
+  zip: venue.address?.zip || '',
+  capacity: venue.capacity ? String(venue.capacity) : '',
+  instagram: venue.socials?.instagram || '',
+  twitter: venue.socials?.twitter || '',
+  website: venue.socials?.website || '',
+  lat: venue.coordinates ? String(venue.coordinates.lat) : '',
+  lng: venue.coordinates ? String(venue.coordinates.lng) : '',
+  photos: (venue.photos || []).join('\n'),
+});
+
+/**
+ * VenueManager Component
+ *
+ * Tools on a venue page: the promoter who added the venue can edit its
+ * details and photos, and venue admins can also merge duplicate venues (other
+ * spellings of the same place) into it, which lists their events here.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.venue - Venue document
+ * @param {boolean} [props.canMerge=false] - Show the merge tool (venue admins only; see isVenueAdmin)
+ * @param {Function} props.onChange - Called after the venue is saved or duplicates are merged
+ */
+const VenueManager = ({ venue, canMerge = false, onChange }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [formData, setFormData] = useState(() => getFormData(venue));
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+
+  const [mergeSearch, setMergeSearch] = useState('');
+  const [mergeResults, setMergeResults] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [merging, setMerging] = useState(false);
+  const [mergeMessage, setMergeMessage] = useState('');
+
+  // Find merge candidates once typing pauses
+  useEffect(() => {
+    if (mergeSearch.trim().length < 2) return undefined;
+
+    const timeout = setTimeout(async () => {
+      try {
+        const venues = await searchVenues(mergeSearch, { limit: 10 });
+        setMergeResults(venues.filter(result => result.id !== venue.id));
+      } catch (err) {
+        console.error('Error searching venues:', err);
+      }
+    }, 250);
+
+    return () => clearTimeout(timeout);
+  }, [mergeSearch, venue.id]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (error) setError('');
+  };
+
+  const handlePhotoUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      setError('Please select an image file');
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const photoUrl = await uploadImage(file, `venues/${venue.id}/${Date.now()}_${file.name}`);
+      setFormData(prev => ({ ...prev, photos: [prev.photos, photoUrl].filter(Boolean).join('\n') }));
+    } catch (err) {
+      setError(err.message || 'Failed to upload photo');
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await updateVenue(venue.id, {
+        name: formData.name,
+        address: {
+          street: formData.street,
+          city: formData.city,
+          state: formData.state,
+          zip: formData.zip,
+        },
+        capacity: formData.capacity,
+        photos: formData.photos.split('\n').map(url => url.trim()).filter(Boolean),
+        socials: {
+          instagram: formData.instagram,
+          twitter: formData.twitter,
+          website: formData.website,
+        },
+        coordinates: { lat: formData.lat, lng: formData.lng },
+      });
+      setIsEditing(false);
+      onChange();
+    } catch (err) {
+      setError(err.message || 'Failed to save venue');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleDuplicate = (venueId) => {
+    setSelectedIds(prev => (prev.includes(venueId) ? prev.filter(id => id !== venueId) : [...prev, venueId]));
+  };
+
+  const handleMerge = async () => {
+    const names = mergeResults.filter(result => selectedIds.includes(result.id)).map(result => result.name);
+    if (!window.confirm(`Merge ${names.join(', ')} into ${venue.name}? Their events will move to this venue.`)) return;
+
+    setMerging(true);
+    setMergeMessage('');
+    try {
+      await mergeVenues(venue.id, selectedIds);
+      setMergeMessage(`Merged ${names.length} ${names.length === 1 ? 'venue' : 'venues'}. Their events are listed here and take this venue's name and address the next time the venue events script runs.`);
+      setSelectedIds([]);
+      setMergeResults(prev => prev.filter(result => !selectedIds.includes(result.id)));
+      onChange();
+    } catch (err) {
+      setMergeMessage(err.message || 'Failed to merge venues');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  return (
+    <div className={`grid gap-6 ${canMerge ? 'md:grid-cols-2' : ''}`}>
+      {/* Details */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <Pencil className="w-6 h-6 text-[#FF6B6B]" />
+            Venue Details
+          </h2>
+          {!isEditing && (
+            <button
+              type="button"
+              onClick={() => {
+                setFormData(getFormData(venue));
+                setIsEditing(true);
+              }}
+              className="text-sm font-semibold text-[#FF6B6B] hover:text-[#ff5252]"
+            >
+              Edit
+            </button>
+          )}
+        </div>
+
+        {isEditing ? (
+          <div className="space-y-4">
+            <input name="name" value={formData.name} onChange={handleChange} placeholder="Venue name" className={inputClassName} />
+            <input name="street" value={formData.street} onChange={handleChange} placeholder="Street address" className={inputClassName} />
+            <div className="grid grid-cols-3 gap-3">
+              <input name="city" value={formData.city} onChange={handleChange} placeholder="City" className={inputClassName} />
+              <input name="state" value={formData.state} onChange={handleChange} placeholder="State" className={inputClassName} />
+              <input name="zip" value={formData.zip} onChange={handleChange} placeholder="ZIP" className={inputClassName} />
+            </div>
+            <input name="capacity" type="number" min="1" value={formData.capacity} onChange={handleChange} placeholder="Capacity" className={inputClassName} />
+            <div className="grid grid-cols-2 gap-3">
+              <input name="lat" value={formData.lat} onChange={handleChange} placeholder="Latitude" className={inputClassName} />
+              <input name="lng" value={formData.lng} onChange={handleChange} placeholder="Longitude" className={inputClassName} />
+            </div>
+            <div className="grid grid-cols-3 gap-3">
+              <input name="instagram" value={formData.instagram} onChange={handleChange} placeholder="Instagram" className={inputClassName} />
+              <input name="twitter" value={formData.twitter} onChange={handleChange} placeholder="X / Twitter" className={inputClassName} />
+              <input name="website" value={formData.website} onChange={handleChange} placeholder="Website" className={inputClassName} />
+            </div>
+            <div>
+              <textarea
+                name="photos"
+                value={formData.photos}
+                onChange={handleChange}
+                rows={3}
+                placeholder="Photo URLs, one per line"
+                className={inputClassName}
+              />
+              <label className="inline-flex items-center gap-2 mt-2 text-sm font-semibold text-[#FF6B6B] hover:text-[#ff5252] cursor-pointer">
+                <Upload className="w-4 h-4" />
+                {uploading ? 'Uploading...' : 'Upload a photo'}
+                <input type="file" accept="image/*" onChange={handlePhotoUpload} disabled={uploading} className="hidden" />
+              </label>
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div className="flex items-center gap-3">
+              <button
+                type="button"
+                onClick={handleSave}
+                disabled={saving || uploading}
+                className="px-6 py-3 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-xl font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save Venue'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setIsEditing(false)}
+                className="px-6 py-3 text-gray-600 hover:text-gray-900"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-600">
+            Keep the address, capacity, photos and socials up to date for every promoter who books this venue.
+          </p>
+        )}
+      </div>
+
+      {/* Merge duplicates */}
+      {canMerge && (
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2 flex items-center gap-2">
+            <GitMerge className="w-6 h-6 text-[#FF6B6B]" />
+            Merge Duplicates
+          </h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Find other spellings of this venue and fold them into it. Their events move here.
+          </p>
+
+          <input
+            value={mergeSearch}
+            onChange={(e) => setMergeSearch(e.target.value)}
+            placeholder="Search venues"
+            className={inputClassName}
+          />
+
+          {mergeSearch.trim().length >= 2 && mergeResults.length > 0 && (
+            <ul className="mt-4 space-y-2">
+              {mergeResults.map(result => (
+                <li key={result.id}>
+                  <label className="flex items-start gap-3 p-3 rounded-xl border border-gray-200 hover:bg-gray-50 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(result.id)}
+                      onChange={() => handleToggleDuplicate(result.id)}
+                      className="mt-1 accent-[#FF6B6B]"
+                    />
+                    <span>
+                      <span className="block text-sm font-semibold text-gray-900">{result.name}</span>
+                      <span className="block text-xs text-gray-500">{formatVenueAddress(result.address) || 'No address'}</span>
+                    </span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {selectedIds.length > 0 && (
+            <button
+              type="button"
+              onClick={handleMerge}
+              disabled={merging}
+              className="mt-4 px-6 py-3 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-xl font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all disabled:opacity-50"
+            >
+              {merging ? 'Merging...' : `Merge ${selectedIds.length} into this venue`}
+            </button>
+          )}
+
+          {mergeMessage && <p className="mt-4 text-sm text-gray-700">{mergeMessage}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VenueManager;
@@ -1,7 +1,7 @@
 import { createContext, useContext, useEffect, useState } from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { onAuthStateChanged } from 'firebase/auth';
-import { doc, onSnapshot, updateDoc, arrayUnion, arrayRemove, setDoc } from 'firebase/firestore';
+import { doc, onSnapshot, updateDoc, arrayUnion, arrayRemove, setDoc, increment, writeBatch } from 'firebase/firestore';
 import { auth, db } from '../config/firebase';
 import {
   signUpUser,
@@ -9,6 +9,10 @@ import {
   signOutUser,
   updateUserProfile,
 } from '../services/authService';
+import { RSVP_VISIBILITY, syncPublicAttendance } from '../services/rsvpService';
+import { purgeExpiredTrash } from '../services/trashService';
+import { getCityBySlug } from '../data/cities';
+import { getStoredHomeCity, storeHomeCity } from '../utils/cityHelpers';
 
 /**
  * @typedef {Object} User
@@ -20,9 +24,12 @@ import {
  * @property {string} [profilePhoto] - Profile photo URL
  * @property {string[]} favoriteEvents - Array of favorited event IDs
  * @property {string[]} followedHashtags - Array of followed hashtags
+ * @property {string[]} [followedPerformers] - Array of followed performer IDs
  * @property {string} [bio] - User bio
  * @property {string} [instagramHandle] - Instagram handle
  * @property {string} [twitterHandle] - Twitter handle
+ * @property {'public'|'promoterOnly'|'private'} [rsvpVisibility] - Who sees the user on attendee lists
+ * @property {string|null} [homeCity] - Slug of the user's home city (see cities.js)
  */
 
 /**
@@ -37,7 +44,11 @@ import {
  * @property {Function} toggleFavorite - Toggle event favorite
  * @property {Function} followHashtag - Follow a hashtag
  * @property {Function} unfollowHashtag - Unfollow a hashtag
+ * @property {Function} followPerformer - Follow a performer
+ * @property {Function} unfollowPerformer - Unfollow a performer
  * @property {Function} getCurrentUser - Get current user data
+ * @property {string | null} homeCity - Home city slug (from the profile, or this device for guests); null for all cities
+ * @property {Function} setHomeCity - Change the home city
  * @property {string | null} error - Error message if any
  */
 
@@ -74,11 +85,17 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isInitializing, setIsInitializing] = useState(true); // For initial auth check only
   const [error, setError] = useState(null);
+  const [deviceHomeCity, setDeviceHomeCity] = useState(getStoredHomeCity);
 
   useEffect(() => {
     // Subscribe to Firebase Auth state changes
     const unsubscribeAuth = onAuthStateChanged(auth, (firebaseUser) => {
       if (firebaseUser) {
+        // Clear out the user's trash past the retention period, once per session
+        purgeExpiredTrash(firebaseUser.uid).catch((error) => {
+          console.error('Error purging expired trash:', error);
+        });
+
         // User is signed in, set up Firestore listener
         const userDocRef = doc(db, 'users', firebaseUser.uid);
 
@@ -229,6 +246,13 @@ export const AuthProvider = ({ children }) => {
 
       setError(null);
       const updatedUser = await updateUserProfile(user.uid, updates);
+
+      // Take the user on or off the public attendee lists of events they RSVP'd to
+      const visibilityOf = (profile) => profile.rsvpVisibility || RSVP_VISIBILITY.PUBLIC;
+      if (updates.rsvpVisibility && visibilityOf(updates) !== visibilityOf(user)) {
+        await syncPublicAttendance(user.uid, updates.rsvpVisibility);
+      }
+
       return updatedUser;
     } catch (err) {
       console.error('Update profile error:', err);
@@ -341,6 +365,67 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Follow a performer (DJ, host, MC or artist)
+   * @param {string} performerId - Performer ID
+   * @returns {Promise<void>}
+   * @throws {Error} If follow fails or user not authenticated
+   */
+  const followPerformer = async (performerId) => {
+    try {
+      if (!user) {
+        throw new Error('You must be signed in to follow performers');
+      }
+      if (user.followedPerformers?.includes(performerId)) return;
+
+      setError(null);
+      // One write, so security rules can match the count to the follow
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'users', user.uid), {
+        followedPerformers: arrayUnion(performerId),
+      });
+      batch.update(doc(db, 'performers', performerId), {
+        followersCount: increment(1),
+      });
+      await batch.commit();
+    } catch (err) {
+      console.error('Follow performer error:', err);
+      const errorMessage = getErrorMessage(err);
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  /**
+   * Unfollow a performer
+   * @param {string} performerId - Performer ID
+   * @returns {Promise<void>}
+   * @throws {Error} If unfollow fails or user not authenticated
+   */
+  const unfollowPerformer = async (performerId) => {
+    try {
+      if (!user) {
+        throw new Error('You must be signed in to unfollow performers');
+      }
+      if (!user.followedPerformers?.includes(performerId)) return;
+
+      setError(null);
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'users', user.uid), {
+        followedPerformers: arrayRemove(performerId),
+      });
+      batch.update(doc(db, 'performers', performerId), {
+        followersCount: increment(-1),
+      });
+      await batch.commit();
+    } catch (err) {
+      console.error('Unfollow performer error:', err);
+      const errorMessage = getErrorMessage(err);
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
   /**
    * Get current user data
    * @returns {User | null} Current user object or null if not authenticated
@@ -349,6 +434,38 @@ export const AuthProvider = ({ children }) => {
     return user;
   };
 
+  /**
+   * Change the home city used to scope listings
+   * Saved on this device, and on the profile when signed in.
+   * @param {string|null} citySlug - City slug, or null for all cities
+   * @returns {Promise<void>}
+   * @throws {Error} If saving to the profile fails
+   */
+  const setHomeCity = async (citySlug) => {
+    try {
+      setError(null);
+      storeHomeCity(citySlug);
+      setDeviceHomeCity(citySlug);
+
+      if (user) {
+        await updateDoc(doc(db, 'users', user.uid), {
+          homeCity: citySlug || null,
+          updatedAt: new Date().toISOString(),
+        });
+      }
+    } catch (err) {
+      console.error('Set home city error:', err);
+      const errorMessage = getErrorMessage(err);
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  // The profile's city wins so it follows the user across devices
+  const homeCity = user && user.homeCity !== undefined
+    ? (getCityBySlug(user.homeCity) ? user.homeCity : null)
+    : deviceHomeCity;
+
   const value = {
     user,
     isLoading: isInitializing, // Expose isInitializing as isLoading for backward compatibility
@@ -360,7 +477,11 @@ export const AuthProvider = ({ children }) => {
     toggleFavorite,
     followHashtag,
     unfollowHashtag,
+    followPerformer,
+    unfollowPerformer,
     getCurrentUser,
+    homeCity,
+    setHomeCity,
     error,
   };
 
@@ -0,0 +1,78 @@
+// Cities (metro areas) Afro-fete lists events in
+// Events are assigned to the nearest city whose centre is within
+// `radiusMiles` of their coordinates (see cityHelpers.js), so a metro covers
+// its suburbs too, e.g. New York includes Jersey City and Newark.
+
+export const CITIES = [
+  {
+    slug: 'new-york',
+    name: 'New York',
+    shortName: 'NYC',
+    state: 'NY',
+    timezone: 'America/New_York',
+    lat: 40.7128,
+    lng: -74.0060,
+    radiusMiles: 40,
+    tagline: 'Brunches, rooftops and carnival season across the five boroughs',
+  },
+  {
+    slug: 'atlanta',
+    name: 'Atlanta',
+    shortName: 'ATL',
+    state: 'GA',
+    timezone: 'America/New_York',
+    lat: 33.7490,
+    lng: -84.3880,
+    radiusMiles: 40,
+    tagline: 'Day parties, Afrobeats nights and Caribbean brunches in the A',
+  },
+  {
+    slug: 'washington-dc',
+    name: 'Washington, DC',
+    shortName: 'DC',
+    state: 'DC',
+    timezone: 'America/New_York',
+    lat: 38.9072,
+    lng: -77.0369,
+    radiusMiles: 30,
+    tagline: 'Go-go meets Afrobeats in the DMV',
+  },
+  {
+    slug: 'miami',
+    name: 'Miami',
+    shortName: 'MIA',
+    state: 'FL',
+    timezone: 'America/New_York',
+    lat: 25.7617,
+    lng: -80.1918,
+    radiusMiles: 40,
+    tagline: 'Boat rides and carnival all year round',
+  },
+  {
+    slug: 'houston',
+    name: 'Houston',
+    shortName: 'HTX',
+    state: 'TX',
+    timezone: 'America/Chicago',
+    lat: 29.7604,
+    lng: -95.3698,
+    radiusMiles: 40,
+    tagline: 'Afrobeats and amapiano across H-Town',
+  },
+  {
+    slug: 'toronto',
+    name: 'Toronto',
+    shortName: 'TO',
+    state: 'ON',
+    timezone: 'America/Toronto',
+    lat: 43.6532,
+    lng: -79.3832,
+    radiusMiles: 40,
+    tagline: 'Caribana, soca fetes and more in the 6ix',
+  },
+];
+
+// Helper function to get a city by its URL slug
+export const getCityBySlug = (slug) => {
+  return CITIES.find(city => city.slug === slug);
+};
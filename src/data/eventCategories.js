@@ -6,6 +6,7 @@ export const EVENT_CATEGORIES = [
     id: 'brunch',
     name: 'brunch',
     hashtag: '#brunch',
+    color: '#F59E0B', // Map pins and legend
     displayName: 'Brunch',
     image: 'https://images.unsplash.com/photo-1533777857889-4be7c70b33f7?w=500',
     description: 'Brunch events and experiences'
@@ -14,6 +15,7 @@ export const EVENT_CATEGORIES = [
     id: 'festivals',
     name: 'festivals',
     hashtag: '#festivals',
+    color: '#8B5CF6',
     displayName: 'Festivals',
     image: 'https://images.unsplash.com/photo-1533174072545-7a4b6ad7a6c3?w=500',
     description: 'Music festivals and cultural celebrations'
@@ -22,6 +24,7 @@ export const EVENT_CATEGORIES = [
     id: 'nightlife',
     name: 'nightlife',
     hashtag: '#nightlife',
+    color: '#6366F1',
     displayName: 'Nightlife',
     image: 'https://images.unsplash.com/photo-1566417713940-fe7c737a9ef2?w=500',
     description: 'Clubs, parties, and nightlife events'
@@ -30,6 +33,7 @@ export const EVENT_CATEGORIES = [
     id: 'afterwork',
     name: 'afterwork',
     hashtag: '#afterwork',
+    color: '#10B981',
     displayName: 'After Work',
     image: 'https://images.unsplash.com/photo-1511795409834-ef04bbd61622?w=500',
     description: 'After-work social events and happy hours'
@@ -38,6 +42,7 @@ export const EVENT_CATEGORIES = [
     id: 'arts',
     name: 'arts',
     hashtag: '#arts',
+    color: '#EC4899',
     displayName: 'Arts',
     image: 'https://images.unsplash.com/photo-1460661419201-fd4cecdf8a8b?w=500',
     description: 'Art exhibitions, galleries, and cultural events'
@@ -46,6 +51,7 @@ export const EVENT_CATEGORIES = [
     id: 'concerts',
     name: 'concerts',
     hashtag: '#concerts',
+    color: '#EF4444',
     displayName: 'Concerts',
     image: 'https://images.unsplash.com/photo-1501386761578-eac5c94b800a?w=500',
     description: 'Live music and concert performances'
@@ -54,6 +60,7 @@ export const EVENT_CATEGORIES = [
     id: 'dayparty',
     name: 'dayparty',
     hashtag: '#dayparty',
+    color: '#F97316',
     displayName: 'Day Party',
     image: 'https://images.unsplash.com/photo-1470229722913-7c0e2dbbafd3?w=500',
     description: 'Daytime parties and social gatherings'
@@ -62,6 +69,7 @@ export const EVENT_CATEGORIES = [
     id: 'boatrides',
     name: 'boatrides',
     hashtag: '#boatrides',
+    color: '#0EA5E9',
     displayName: 'Boat Rides',
     image: 'https://images.unsplash.com/photo-1544551763-46a013bb70d5?w=500',
     description: 'Boat parties and water-based events'
@@ -73,6 +81,11 @@ export const getCategoryById = (id) => {
   return EVENT_CATEGORIES.find(category => category.id === id);
 };
 
+// Helper function to get a category's color, with the brand coral for unknown categories
+export const getCategoryColor = (id) => {
+  return getCategoryById(id)?.color || '#FF6B6B';
+};
+
 // Helper function to get category by hashtag
 export const getCategoryByHashtag = (hashtag) => {
   return EVENT_CATEGORIES.find(category => category.hashtag === hashtag);
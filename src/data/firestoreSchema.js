@@ -24,9 +24,12 @@
  * @property {string} [profilePhoto] - URL to user's profile photo
  * @property {string[]} favoriteEvents - Array of event IDs favorited by user
  * @property {string[]} followedHashtags - Array of hashtag names user follows
+ * @property {string[]} [followedPerformers] - Array of performer IDs user follows
  * @property {string} [bio] - User bio/description
  * @property {string} [instagramHandle] - Instagram username (without @)
  * @property {string} [twitterHandle] - Twitter/X username (without @)
+ * @property {'public'|'promoterOnly'|'private'} [rsvpVisibility] - Who sees the user on attendee lists (missing = public)
+ * @property {string|null} [homeCity] - Slug of the city listings are scoped to (see cities.js); null/missing = all cities
  * @property {string} createdAt - ISO timestamp of account creation
  * @property {string} updatedAt - ISO timestamp of last update
  *
@@ -34,24 +37,148 @@
  * Document ID: {userId}
  */
 
+/**
+ * @typedef {Object} Venue
+ * @property {string} id - Venue identifier
+ * @property {string} name - Venue name as shown
+ * @property {string} searchName - Normalized name for autocomplete (see normalizeVenueName)
+ * @property {string[]} searchKeys - Normalized names the venue has been known by, including merged duplicates
+ * @property {Address} address - Venue address
+ * @property {number|null} capacity - Venue capacity (null = unknown)
+ * @property {string[]} photos - Photo URLs
+ * @property {Object} socials - { instagram, twitter, website }; handles without @
+ * @property {Object|null} coordinates - { lat, lng } (null = unknown)
+ * @property {string|null} mergedInto - ID of the venue this duplicate was merged into
+ * @property {string} createdBy - User ID of the promoter who added the venue
+ * @property {string} createdAt - ISO timestamp of creation
+ * @property {string} updatedAt - ISO timestamp of last update
+ *
+ * Collection: venues
+ * Document ID: auto-generated
+ */
+
+/**
+ * @typedef {Object} Performer
+ * @property {string} id - Performer identifier
+ * @property {string} name - Stage name as shown (e.g., 'DJ Tunez')
+ * @property {string} searchName - Normalized name for autocomplete and matching (see normalizePerformerName)
+ * @property {'dj'|'host'|'mc'|'artist'} role - What the performer usually does (see lineupHelpers.js)
+ * @property {string} bio - Short bio
+ * @property {string} photoUrl - Profile photo URL
+ * @property {Object} socials - { instagram, twitter, soundcloud }; handles without @
+ * @property {number} followersCount - Count of users following the performer
+ * @property {string} createdBy - User ID of the promoter who added the performer
+ * @property {string} createdAt - ISO timestamp of creation
+ * @property {string} updatedAt - ISO timestamp of last update
+ *
+ * Collection: performers
+ * Document ID: auto-generated
+ */
+
+/**
+ * @typedef {Object} EventTemplate
+ * @property {string} id - Template identifier
+ * @property {string} promoterId - User ID of the promoter who owns the template
+ * @property {string} name - Template name shown in the picker
+ * @property {string} category - Default event category (may be empty)
+ * @property {string} venue - Venue name
+ * @property {string|null} venueId - Linked venue ID
+ * @property {Address} address - Venue address
+ * @property {string} description - Event description
+ * @property {string[]} hashtags - Hashtag names
+ * @property {TicketTier[]} ticketTiers - Ticket tiers (without sale windows)
+ * @property {string} ticketLink - Default ticket URL
+ * @property {string} imageUrl - Flyer URL
+ * @property {string} imageStoragePath - Storage path of an uploaded flyer (kept while any template uses it)
+ * @property {string} createdAt - ISO timestamp of creation
+ * @property {string} updatedAt - ISO timestamp of last update
+ *
+ * Collection: users/{userId}/eventTemplates
+ * Document ID: auto-generated
+ *
+ * Indexes required:
+ * - imageStoragePath (collection group) for the flyer cleanup in cascadeDeleteService.js
+ */
+
+/**
+ * @typedef {Object} TicketTier
+ * @property {string} id - Tier identifier, unique within the event
+ * @property {string} name - Tier name (e.g., 'Early Bird', 'GA', 'VIP Table')
+ * @property {number} price - Tier price (0 for free entry)
+ * @property {string} currency - ISO 4217 currency code (e.g., 'USD')
+ * @property {number|null} quantity - Number of tickets in this tier (null = unlimited)
+ * @property {string|null} saleStart - ISO timestamp sales open (null = already on sale)
+ * @property {string|null} saleEnd - ISO timestamp sales close (null = until the event)
+ * @property {string} ticketLink - Tier purchase URL (empty = use the event's ticketLink)
+ */
+
+/**
+ * @typedef {Object} EventHost
+ * @property {string} userId - User ID of the host
+ * @property {'owner'|'editor'|'doorStaff'} role - What the host can do (see hostHelpers.js)
+ * @property {string|null} addedAt - ISO timestamp the host joined (null for the original promoter of older events)
+ */
+
+/**
+ * @typedef {Object} LineupEntry
+ * @property {string|null} performerId - Linked performer ID (null for names that aren't linked)
+ * @property {string} name - Performer name, copied from the performer when linked
+ * @property {'dj'|'host'|'mc'|'artist'} role - Role at this event
+ * @property {string|null} setTime - Set start in the event's timezone ("HH:mm"; null = not announced)
+ * @property {Object} socials - { instagram, soundcloud }; handles without @
+ */
+
 /**
  * @typedef {Object} Event
  * @property {string} eventId - Unique event identifier
  * @property {string} name - Event name/title
- * @property {string} venue - Venue name
+ * @property {string} venue - Venue name (copied from the linked venue)
+ * @property {string|null} [venueId] - Linked venue ID (events created before venues only have `venue`/`address`)
  * @property {Address} address - Venue address
- * @property {string} date - ISO timestamp of event date
- * @property {string} startTime - Event start time (e.g., '9:00 PM')
- * @property {string} [endTime] - Event end time (e.g., '2:00 AM')
+ * @property {Object|null} [coordinates] - { lat, lng } from the venue, typed in, or the city's from the local geocoding table
+ * @property {string|null} [geohash] - Geohash of `coordinates`, for "near me" queries (see geoHelpers.js)
+ * @property {string|null} [citySlug] - City the event is in, from `coordinates` (see cities.js); null outside every city
+ * @property {string} date - ISO timestamp of event date (same as startAt; used for date-range queries)
+ * @property {string} [startAt] - ISO instant the event starts
+ * @property {string|null} [endAt] - ISO instant the event ends (next day for overnight events; null without an end time)
+ * @property {boolean} [isMultiDay] - True when the event covers more than one day (festivals); overnight events ending before 6 AM don't count
+ * @property {string|null} [timezone] - IANA timezone the event takes place in (e.g., 'America/New_York')
+ * @property {string} startTime - Event start time in the event's timezone (e.g., '21:00' or '9:00 PM')
+ * @property {string} [endTime] - Event end time in the event's timezone (e.g., '02:00' or '2:00 AM')
  * @property {string} description - Event description
  * @property {string[]} hashtags - Array of associated hashtag names
+ * @property {LineupEntry[]} [lineup] - DJs, hosts, MCs and artists playing the event
+ * @property {string[]} [performerIds] - IDs of the linked performers, for array-contains queries on performer pages
  * @property {string} [ticketLink] - URL to purchase tickets
  * @property {string} [flyerUrl] - URL to event flyer image
  * @property {'brunch'|'nightlife'|'festivals'|'arts'|'afterwork'|'concerts'|'dayparty'|'boatrides'} category - Event category
- * @property {number} [price] - Ticket price (0 for free events)
+ * @property {TicketTier[]} [ticketTiers] - Ticket tiers (events created before tiers only have `price`)
+ * @property {number} [price] - Lowest ticket price (0 for free events)
  * @property {string} createdBy - User ID of event creator (promoter)
+ * @property {string} [promoterId] - User ID of the promoter who created the event
+ * @property {EventHost[]} [hosts] - Everyone who can manage the event (missing = promoterId is the sole owner)
+ * @property {string[]} [hostIds] - User IDs of the hosts, for array-contains queries
+ * @property {Object<string, string>} [hostRoles] - Map of host user ID to role, for security rules
  * @property {string[]} favoritedBy - Array of user IDs who favorited this event
  * @property {number} favoritesCount - Count of favorites
+ * @property {'draft'|'published'|'cancelled'|'postponed'|'soldOut'} [status] - Lifecycle status (missing = published)
+ * @property {string|null} [publishAt] - ISO timestamp before which a published event stays hidden
+ * @property {string} [postponedFrom] - Original ISO date of a postponed event
+ * @property {string|null} [postponedTo] - New ISO date of a postponed event (null = to be announced)
+ * @property {string} [seriesId] - Shared ID of all occurrences in a recurring series
+ * @property {Object} [recurrence] - Recurrence rule ({ frequency, count|until|dates })
+ * @property {string} [seriesStartDate] - ISO timestamp of the first occurrence in the series
+ * @property {number} [occurrenceIndex] - Position of this occurrence within the series
+ * @property {boolean} [isException] - True when this occurrence was edited on its own
+ * @property {string} [imageStoragePath] - Storage path of an uploaded flyer (empty for pasted URLs)
+ * @property {number|null} [capacity] - Maximum "going" RSVPs (null = unlimited)
+ * @property {number} [goingCount] - Count of confirmed "going" RSVPs
+ * @property {number} [maybeCount] - Count of "maybe" RSVPs
+ * @property {number} [waitlistCount] - Count of "going" RSVPs waiting for a spot
+ * @property {string} [promotedUserId] - User ID of the last guest promoted off the waitlist
+ * @property {string|null} [deletedAt] - ISO timestamp of when the event was moved to the trash
+ * @property {string|null} [deletedBy] - User ID of who moved the event to the trash
+ * @property {Object|null} [cascade] - References removed when the event was trashed, used to restore them
  * @property {string} createdAt - ISO timestamp of event creation
  * @property {string} updatedAt - ISO timestamp of last update
  *
@@ -65,6 +192,101 @@
  * - favoritedBy (array-contains), date (ascending)
  */
 
+/**
+ * @typedef {Object} Rsvp
+ * @property {string} userId - User ID of the attendee (matches the document ID)
+ * @property {'going'|'maybe'|'notGoing'} response - The user's response
+ * @property {'confirmed'|'waitlisted'} status - Whether a "going" RSVP has a spot
+ * @property {string|null} waitlistedAt - ISO timestamp the user joined the waitlist (orders promotion)
+ * @property {string} [promotedAt] - ISO timestamp the user was promoted off the waitlist
+ * @property {string} createdAt - ISO timestamp of the first response
+ * @property {string} updatedAt - ISO timestamp of last update
+ *
+ * Collection: events/{eventId}/rsvps
+ * Document ID: {userId}
+ *
+ * Indexes required:
+ * - userId (collection group, single field) - see syncPublicAttendance
+ */
+
+/**
+ * @typedef {Object} PublicAttendee
+ * @property {string} userId - User ID of the attendee (matches the document ID)
+ * @property {'going'|'maybe'} response - The attendee's response
+ * @property {string} createdAt - ISO timestamp of the RSVP's first response
+ *
+ * Confirmed "going" and "maybe" RSVPs of users whose rsvpVisibility is public,
+ * kept in step by rsvpService.js; anyone can read these, unlike the RSVPs.
+ *
+ * Collection: events/{eventId}/publicAttendees
+ * Document ID: {userId}
+ */
+
+/**
+ * @typedef {Object} CheckInCode
+ * @property {string} userId - User ID of the attendee (matches the document ID)
+ * @property {string} secret - Random secret used to sign the attendee's check-in QR code
+ * @property {string} createdAt - ISO timestamp of when the code was first issued
+ *
+ * Collection: events/{eventId}/checkInCodes
+ * Document ID: {userId}
+ */
+
+/**
+ * @typedef {Object} CheckIn
+ * @property {string} userId - User ID of the attendee (matches the document ID)
+ * @property {string} checkedInAt - ISO timestamp of when the attendee arrived
+ * @property {string} checkedInBy - User ID of the promoter who checked them in
+ *
+ * Collection: events/{eventId}/checkIns
+ * Document ID: {userId}
+ */
+
+/**
+ * @typedef {Object} PromoCode
+ * @property {string} code - Uppercase code guests type (matches the document ID)
+ * @property {'percent'|'fixed'} discountType - Percent off or a fixed amount off
+ * @property {number} discountValue - Percent (1-100) or amount off in the tier's currency
+ * @property {number|null} maxUses - Maximum redemptions (null = unlimited)
+ * @property {string|null} expiresAt - ISO timestamp the code stops working
+ * @property {Array<string>} tierIds - Ticket tier IDs the code applies to (empty = all tiers)
+ * @property {boolean} active - False while the promoter has paused the code
+ * @property {number} redemptionCount - Number of redemptions so far
+ * @property {string} createdAt - ISO timestamp of creation
+ * @property {string} updatedAt - ISO timestamp of last update
+ *
+ * Collection: events/{eventId}/promoCodes
+ * Document ID: {code}
+ */
+
+/**
+ * @typedef {Object} PromoRedemption
+ * @property {string} userId - User who redeemed the code (matches the document ID)
+ * @property {string} tierId - Ticket tier the code was used for
+ * @property {string} redeemedAt - ISO timestamp of the redemption
+ *
+ * Collection: events/{eventId}/promoCodes/{code}/redemptions
+ * Document ID: {userId}
+ */
+
+/**
+ * @typedef {Object} HostInvite
+ * @property {string} id - Invite ID ({eventId}_{inviteeId})
+ * @property {string} eventId - Event the invitee would co-host
+ * @property {string} eventTitle - Event title, for the invitee's profile
+ * @property {string|null} eventDate - ISO timestamp of the event
+ * @property {string} inviteeId - User ID of the invited promoter
+ * @property {string} inviteeUsername - Username of the invited promoter
+ * @property {string} invitedBy - User ID of the owner who sent the invite
+ * @property {'owner'|'editor'|'doorStaff'} role - Role offered
+ * @property {'pending'|'accepted'|'declined'} status - Invite status
+ * @property {string} createdAt - ISO timestamp the invite was sent
+ * @property {string|null} respondedAt - ISO timestamp the invitee answered
+ *
+ * Collection: hostInvites
+ * Document ID: {eventId}_{inviteeId}
+ */
+
 /**
  * @typedef {Object} Photo
  * @property {string} photoId - Unique photo identifier
@@ -76,6 +298,9 @@
  * @property {string} [caption] - Photo caption/description
  * @property {number} likes - Number of likes
  * @property {string[]} likedBy - Array of user IDs who liked this photo
+ * @property {string|null} [deletedAt] - ISO timestamp of when the photo was moved to the trash
+ * @property {string|null} [deletedBy] - User ID of who moved the photo to the trash
+ * @property {string|null} [detachedEventId] - Event this photo was linked to before that event was trashed
  * @property {string} createdAt - ISO timestamp of upload
  * @property {string} updatedAt - ISO timestamp of last update
  *
@@ -106,6 +331,45 @@
  * - lastUsed (descending)
  */
 
+/**
+ * @typedef {Object} SearchPosting
+ * @property {number} w - How strongly the word describes the event (see buildSearchTerms)
+ * @property {string|null} date - Event start (ISO), for date filters and sorting
+ * @property {string|null} category - Event category
+ * @property {string|null} city - Event city slug
+ */
+
+/**
+ * @typedef {Object} SearchTerm
+ * @property {Object<string, SearchPosting>} postings - Event ID => posting
+ *
+ * Collection: searchIndex
+ * Document ID: {term} (stemmed word, see searchIndexHelpers.js)
+ *
+ * Written by firestoreSearchProvider.js whenever events are saved.
+ * No indexes required (looked up by document ID).
+ */
+
+/**
+ * @typedef {Object} SearchDocument
+ * @property {number} version - SEARCH_INDEX_VERSION the event was indexed under
+ * @property {Object<string, number>} terms - Stemmed word => weight the event is indexed under
+ * @property {string|null} date - Event start (ISO)
+ * @property {string|null} category - Event category
+ * @property {string|null} city - Event city slug
+ * @property {string} indexedAt - ISO timestamp of the last indexing
+ *
+ * Collection: searchDocuments
+ * Document ID: {eventId}
+ *
+ * Collection: searchMeta
+ * Document ID: events - { documentCount } (number of events indexed)
+ *
+ * Collection: searchVocabulary
+ * Document ID: {letter} - { terms } (stemmed word => word as written, for
+ * every word indexed under that first letter; used for typo matching)
+ */
+
 /**
  * Firestore Security Rules Recommendations
  *
@@ -126,6 +390,206 @@
  *       return request.auth.uid == userId;
  *     }
  *
+ *     // The signed-in user's role on an event ('' if they don't host it).
+ *     // Events created before co-hosting have no hostRoles, so the promoter is the owner.
+ *     function hostRole(event) {
+ *       return 'hostRoles' in event
+ *         ? event.hostRoles.get(request.auth.uid, '')
+ *         : (event.get('promoterId', event.get('createdBy', '')) == request.auth.uid ? 'owner' : '');
+ *     }
+ *
+ *     // Helper function to check the signed-in user's role on an event by ID
+ *     function hasEventRole(eventId, roles) {
+ *       return isSignedIn()
+ *         && hostRole(get(/databases/$(database)/documents/events/$(eventId)).data) in roles;
+ *     }
+ *
+ *     // Host fields are only changed through hostService.js
+ *     function hostFieldsChanged() {
+ *       return request.resource.data.diff(resource.data).affectedKeys()
+ *         .hasAny(['promoterId', 'hosts', 'hostIds', 'hostRoles']);
+ *     }
+ *
+ *     function onlyHostFieldsChanged() {
+ *       return request.resource.data.diff(resource.data).affectedKeys()
+ *         .hasOnly(['hosts', 'hostIds', 'hostRoles']);
+ *     }
+ *
+ *     // Deleting an event takes it out of other users' favorites (see
+ *     // cascadeDeleteService.js): one event at a time, once it is deleted or
+ *     // in the trash
+ *     function removesDeletedFavorite(field) {
+ *       let before = resource.data.get(field, []);
+ *       let after = request.resource.data.get(field, []);
+ *       let removed = before.removeAll(after);
+ *       return request.resource.data.diff(resource.data).affectedKeys().hasOnly([field])
+ *         && before.toSet().hasAll(after) && removed.size() == 1
+ *         && (!existsAfter(/databases/$(database)/documents/events/$(removed[0]))
+ *           || getAfter(/databases/$(database)/documents/events/$(removed[0])).data.get('deletedAt', null) != null);
+ *     }
+ *
+ *     // The event counter an RSVP adds to ('' for none), as in getCounterField
+ *     // in rsvpService.js
+ *     function rsvpCounter(rsvp) {
+ *       return rsvp.response == 'maybe' ? 'maybeCount'
+ *         : rsvp.response != 'going' ? ''
+ *         : rsvp.status == 'waitlisted' ? 'waitlistCount' : 'goingCount';
+ *     }
+ *
+ *     // A counter after the user's RSVP moved from one counter to another:
+ *     // down one for the old (not below zero), up one for the new
+ *     function countsMove(field, from, to) {
+ *       let before = resource.data.get(field, 0);
+ *       return request.resource.data.get(field, 0)
+ *         == (field == from && before > 0 ? before - 1 : before) + (field == to ? 1 : 0);
+ *     }
+ *
+ *     // RSVP counters on an event only move with the signed-in user's own RSVP,
+ *     // written in the same batch (see setRsvp in rsvpService.js)
+ *     function movesOwnRsvpCounters(eventId) {
+ *       let rsvpPath = /databases/$(database)/documents/events/$(eventId)/rsvps/$(request.auth.uid);
+ *       let from = exists(rsvpPath) ? rsvpCounter(get(rsvpPath).data) : '';
+ *       let to = existsAfter(rsvpPath) ? rsvpCounter(getAfter(rsvpPath).data) : '';
+ *       return request.resource.data.diff(resource.data).affectedKeys()
+ *              .hasOnly(['goingCount', 'maybeCount', 'waitlistCount'])
+ *         && countsMove('goingCount', from, to) && countsMove('maybeCount', from, to)
+ *         && countsMove('waitlistCount', from, to);
+ *     }
+ *
+ *     // Promoting a guest off the waitlist moves them from the waitlist count
+ *     // to the going count, naming them in promotedUserId; isWaitlistPromotion
+ *     // checks the counts against their RSVP, written in the same batch
+ *     function movesPromotedRsvpCounters(eventId) {
+ *       let rsvpPath = /databases/$(database)/documents/events/$(eventId)/rsvps/$(request.resource.data.promotedUserId);
+ *       return request.resource.data.diff(resource.data).affectedKeys()
+ *              .hasOnly(['goingCount', 'waitlistCount', 'promotedUserId'])
+ *         && get(rsvpPath).data.status == 'waitlisted'
+ *         && getAfter(rsvpPath).data.status == 'confirmed';
+ *     }
+ *
+ *     // A public attendee list entry mirrors the user's confirmed RSVP, as it
+ *     // stands after the write, while their RSVPs are shown to everyone
+ *     function isPublicAttendee(eventId, userId) {
+ *       let rsvp = getAfter(/databases/$(database)/documents/events/$(eventId)/rsvps/$(userId)).data;
+ *       let entry = request.resource.data;
+ *       return entry.keys().hasOnly(['userId', 'response', 'createdAt'])
+ *         && entry.userId == userId
+ *         && entry.response in ['going', 'maybe']
+ *         && entry.response == rsvp.response
+ *         && entry.createdAt == rsvp.createdAt
+ *         && rsvp.status == 'confirmed'
+ *         && get(/databases/$(database)/documents/users/$(userId)).data.get('rsvpVisibility', 'public') == 'public';
+ *     }
+ *
+ *     // An RSVP that gets a spot must take one of the event's open spots in
+ *     // the same write: goingCount goes up by one and stays within capacity
+ *     function takesOpenSpot(eventId) {
+ *       let before = get(/databases/$(database)/documents/events/$(eventId)).data;
+ *       let after = getAfter(/databases/$(database)/documents/events/$(eventId)).data;
+ *       return after.get('goingCount', 0) == before.get('goingCount', 0) + 1
+ *         && (before.get('capacity', null) == null || after.get('goingCount', 0) <= before.capacity);
+ *     }
+ *
+ *     // A user's own RSVP, as written by setRsvp in rsvpService.js: "going"
+ *     // either takes an open spot or joins the back of the waitlist, anything
+ *     // else holds no spot
+ *     function isValidOwnRsvp(eventId) {
+ *       let rsvp = request.resource.data;
+ *       let wasWaitlisted = resource != null && resource.data.get('status', '') == 'waitlisted';
+ *       return rsvp.userId == request.auth.uid
+ *         && rsvp.response in ['going', 'maybe', 'notGoing']
+ *         && rsvp.get('promotedAt', null) == null
+ *         && (rsvp.response != 'going'
+ *           ? rsvp.status == 'confirmed' && rsvp.waitlistedAt == null
+ *           : (rsvp.status == 'waitlisted' && !wasWaitlisted && rsvp.waitlistedAt == rsvp.updatedAt)
+ *             || (rsvp.status == 'confirmed' && rsvp.waitlistedAt == null && takesOpenSpot(eventId)));
+ *     }
+ *
+ *     // Promoting a waitlisted guest (see promoteFromWaitlist in rsvpService.js,
+ *     // which picks the earliest): only into an open spot, moving them from
+ *     // the waitlist count to the going count in the same write
+ *     function isWaitlistPromotion(eventId) {
+ *       let before = get(/databases/$(database)/documents/events/$(eventId)).data;
+ *       let after = getAfter(/databases/$(database)/documents/events/$(eventId)).data;
+ *       let waitlistCount = before.get('waitlistCount', 0);
+ *       return resource.data.get('status', '') == 'waitlisted'
+ *         && request.resource.data.diff(resource.data).affectedKeys()
+ *              .hasOnly(['status', 'waitlistedAt', 'promotedAt', 'updatedAt'])
+ *         && request.resource.data.status == 'confirmed'
+ *         && request.resource.data.waitlistedAt == null
+ *         && takesOpenSpot(eventId)
+ *         && after.get('waitlistCount', 0) == (waitlistCount > 0 ? waitlistCount - 1 : 0);
+ *     }
+ *
+ *     // Search admins may write any search index entry (see scripts/rebuildSearchIndex.js)
+ *     function isSearchAdmin() {
+ *       return isSignedIn() && exists(/databases/$(database)/documents/searchAdmins/$(request.auth.uid));
+ *     }
+ *
+ *     // A performer's follower count moves by one with the signed-in user's own
+ *     // followedPerformers, in the same write (see followPerformer in AuthContext.jsx)
+ *     function followsPerformer(performerId) {
+ *       let userPath = /databases/$(database)/documents/users/$(request.auth.uid);
+ *       let before = get(userPath).data.get('followedPerformers', []);
+ *       let after = getAfter(userPath).data.get('followedPerformers', []);
+ *       let change = request.resource.data.get('followersCount', 0) - resource.data.get('followersCount', 0);
+ *       return request.resource.data.diff(resource.data).affectedKeys().hasOnly(['followersCount'])
+ *         && ((change == 1 && !(performerId in before) && performerId in after)
+ *           || (change == -1 && performerId in before && !(performerId in after)));
+ *     }
+ *
+ *     // Venue admins merge duplicate venues (see mergeVenues in venueService.js)
+ *     function isVenueAdmin() {
+ *       return isSignedIn() && exists(/databases/$(database)/documents/venueAdmins/$(request.auth.uid));
+ *     }
+ *
+ *     // Moving an event from a merged venue to the venue it was merged into
+ *     // (see scripts/repointVenueEvents.js): only the venue fields change
+ *     function repointsMergedVenue() {
+ *       let venueId = request.resource.data.venueId;
+ *       let oldVenueId = resource.data.get('venueId', null);
+ *       return request.resource.data.diff(resource.data).affectedKeys()
+ *              .hasOnly(['venueId', 'venue', 'address', 'coordinates', 'geohash', 'citySlug', 'updatedAt'])
+ *         && get(/databases/$(database)/documents/venues/$(venueId)).data.mergedInto == null
+ *         && (oldVenueId == null
+ *           || get(/databases/$(database)/documents/venues/$(oldVenueId)).data.mergedInto == venueId);
+ *     }
+ *
+ *     // The event's owners and editors keep its search entries up to date
+ *     function canIndexEvent(eventId) {
+ *       return hasEventRole(eventId, ['owner', 'editor']);
+ *     }
+ *
+ *     // A purged event's leftover search entries may be removed by anyone
+ *     function isPurgedEvent(eventId) {
+ *       return isSignedIn() && !exists(/databases/$(database)/documents/events/$(eventId));
+ *     }
+ *
+ *     // searchMeta's documentCount goes up by one as an event's searchDocuments
+ *     // entry is created, and down by one as it is deleted
+ *     function countsIndexedEvent(eventId) {
+ *       let entry = /databases/$(database)/documents/searchDocuments/$(eventId);
+ *       let change = request.resource.data.documentCount
+ *         - (resource == null ? 0 : resource.data.get('documentCount', 0));
+ *       return (change == 1 && canIndexEvent(eventId) && !exists(entry) && existsAfter(entry))
+ *         || (change == -1 && (canIndexEvent(eventId) || isPurgedEvent(eventId))
+ *           && exists(entry) && !existsAfter(entry));
+ *     }
+ *
+ *     // Restoring an event from the trash puts it back in the favorites it
+ *     // was taken out of (its `cascade` record), done by one of its hosts
+ *     function restoresTrashedFavorite(field, cascadeField, userId) {
+ *       let before = resource.data.get(field, []);
+ *       let after = request.resource.data.get(field, []);
+ *       let added = after.removeAll(before);
+ *       let event = get(/databases/$(database)/documents/events/$(added[0])).data;
+ *       return request.resource.data.diff(resource.data).affectedKeys().hasOnly([field])
+ *         && after.toSet().hasAll(before) && added.size() == 1
+ *         && event.get('deletedAt', null) != null
+ *         && hostRole(event) in ['owner', 'editor']
+ *         && userId in event.cascade.get(cascadeField, []);
+ *     }
+ *
  *     // Users collection
  *     match /users/{userId} {
  *       // Anyone can read user profiles
@@ -135,8 +599,32 @@
  *       allow create: if isSignedIn() && isOwner(userId);
  *       allow update: if isSignedIn() && isOwner(userId);
  *
+ *       // Deleting or restoring an event updates other users' favorites
+ *       // (see cascadeDeleteService.js), but only for that event
+ *       allow update: if isSignedIn()
+ *         && (removesDeletedFavorite('favoriteEvents') || removesDeletedFavorite('favorites')
+ *           || restoresTrashedFavorite('favoriteEvents', 'favoriteUserIds', userId)
+ *           || restoresTrashedFavorite('favorites', 'legacyFavoriteUserIds', userId));
+ *
  *       // Only the user can delete their own profile
  *       allow delete: if isSignedIn() && isOwner(userId);
+ *
+ *       // Event templates are private to each promoter
+ *       match /eventTemplates/{templateId} {
+ *         allow read, write: if isSignedIn() && isOwner(userId);
+ *       }
+ *     }
+ *
+ *     // Changing who sees your RSVPs updates the public attendee lists of
+ *     // every event you responded to (see syncPublicAttendance in rsvpService.js)
+ *     match /{path=**}/rsvps/{userId} {
+ *       allow list: if isSignedIn() && resource.data.userId == request.auth.uid;
+ *     }
+ *
+ *     // Purging an event checks whether any template still uses its flyer
+ *     // (see deleteFlyerIfUnused in cascadeDeleteService.js)
+ *     match /{path=**}/eventTemplates/{templateId} {
+ *       allow list: if isSignedIn();
  *     }
  *
  *     // Events collection
@@ -144,17 +632,170 @@
  *       // Anyone can read events
  *       allow read: if true;
  *
- *       // Only authenticated users can create events
+ *       // Only authenticated users can create events, as their sole owner
  *       allow create: if isSignedIn()
- *         && request.resource.data.createdBy == request.auth.uid;
+ *         && request.resource.data.get('promoterId', request.resource.data.get('createdBy', '')) == request.auth.uid
+ *         && request.resource.data.get('hostIds', [request.auth.uid]) == [request.auth.uid];
+ *
+ *       // Owners can change anything, including the hosts
+ *       allow update: if isSignedIn() && hostRole(resource.data) == 'owner';
+ *
+ *       // Editors can change everything except the hosts
+ *       allow update: if isSignedIn() && hostRole(resource.data) == 'editor'
+ *         && !hostFieldsChanged();
+ *
+ *       // Only owners can delete events
+ *       allow delete: if isSignedIn() && hostRole(resource.data) == 'owner';
  *
- *       // Only event creator can update their events
+ *       // Accepting a co-host invite adds the invitee with the offered role
+ *       // (see respondToHostInvite in hostService.js)
+ *       allow update: if isSignedIn() && onlyHostFieldsChanged()
+ *         && get(/databases/$(database)/documents/hostInvites/$(eventId + '_' + request.auth.uid)).data.status == 'pending'
+ *         && request.resource.data.hostRoles[request.auth.uid]
+ *              == get(/databases/$(database)/documents/hostInvites/$(eventId + '_' + request.auth.uid)).data.role;
+ *
+ *       // Venue admins move events off venues that were merged away
+ *       allow update: if isVenueAdmin() && repointsMergedVenue();
+ *
+ *       // Any host can step down, removing only themselves
+ *       allow update: if isSignedIn() && onlyHostFieldsChanged()
+ *         && request.auth.uid in resource.data.hostIds
+ *         && request.resource.data.hostIds.toSet() == resource.data.hostIds.toSet().difference([request.auth.uid].toSet());
+ *
+ *       // RSVPing keeps the headcount on the event up to date
+ *       // (see rsvpService.js), so allow counter-only updates that match an
+ *       // RSVP change in the same write
  *       allow update: if isSignedIn()
- *         && resource.data.createdBy == request.auth.uid;
+ *         && (movesOwnRsvpCounters(eventId) || movesPromotedRsvpCounters(eventId));
  *
- *       // Only event creator can delete their events
- *       allow delete: if isSignedIn()
- *         && resource.data.createdBy == request.auth.uid;
+ *       // RSVPs subcollection
+ *       match /rsvps/{userId} {
+ *         // Only the attendee and the event's hosts can read an RSVP; everyone
+ *         // else sees the public attendee list below
+ *         allow read: if isSignedIn() && (isOwner(userId)
+ *           || hasEventRole(eventId, ['owner', 'editor', 'doorStaff']));
+ *
+ *         // Whoever frees a spot promotes the earliest waitlisted guest, so
+ *         // the waitlist can be read (see promoteFromWaitlist)
+ *         allow read: if isSignedIn() && resource.data.status == 'waitlisted';
+ *
+ *         // Users manage their own RSVP; any signed-in user may promote
+ *         // someone off the waitlist into an open spot
+ *         allow create, update: if isSignedIn() && isOwner(userId) && isValidOwnRsvp(eventId);
+ *         allow delete: if isSignedIn() && isOwner(userId);
+ *         allow update: if isSignedIn() && isWaitlistPromotion(eventId);
+ *       }
+ *
+ *       // Public attendee list (see getAttendees in rsvpService.js): anyone
+ *       // may write an entry that mirrors a public, confirmed RSVP (the user
+ *       // themselves, or whoever promotes them off the waitlist)
+ *       match /publicAttendees/{userId} {
+ *         allow read: if true;
+ *         allow create, update: if isSignedIn() && isPublicAttendee(eventId, userId);
+ *         allow delete: if isSignedIn() && isOwner(userId);
+ *       }
+ *
+ *       // Check-in code secrets: only the attendee and the event's hosts may read them
+ *       match /checkInCodes/{userId} {
+ *         allow read: if isSignedIn() && (isOwner(userId)
+ *           || hasEventRole(eventId, ['owner', 'editor', 'doorStaff']));
+ *         allow create: if isSignedIn() && isOwner(userId);
+ *       }
+ *
+ *       // Door check-ins: recorded by any host (including door staff), each guest can see their own
+ *       match /checkIns/{userId} {
+ *         allow read: if isSignedIn() && (isOwner(userId)
+ *           || hasEventRole(eventId, ['owner', 'editor', 'doorStaff']));
+ *         allow create: if hasEventRole(eventId, ['owner', 'editor', 'doorStaff']);
+ *       }
+ *
+ *       // Promo codes: guests can look up a code they know, but only owners
+ *       // and editors can list them all or change them
+ *       match /promoCodes/{code} {
+ *         allow get: if true;
+ *         allow list, create, update, delete: if hasEventRole(eventId, ['owner', 'editor']);
+ *
+ *         // Redeeming a code bumps its counter by one, within the usage cap,
+ *         // in the same write as the guest's first redemption
+ *         // (see redeemPromoCode in promoCodeService.js)
+ *         allow update: if isSignedIn()
+ *           && request.resource.data.diff(resource.data).affectedKeys()
+ *                .hasOnly(['redemptionCount'])
+ *           && request.resource.data.redemptionCount == resource.data.get('redemptionCount', 0) + 1
+ *           && (resource.data.get('maxUses', null) == null
+ *             || request.resource.data.redemptionCount <= resource.data.maxUses)
+ *           && !exists(/databases/$(database)/documents/events/$(eventId)/promoCodes/$(code)/redemptions/$(request.auth.uid))
+ *           && existsAfter(/databases/$(database)/documents/events/$(eventId)/promoCodes/$(code)/redemptions/$(request.auth.uid));
+ *
+ *         match /redemptions/{userId} {
+ *           allow read: if isSignedIn() && (isOwner(userId)
+ *             || hasEventRole(eventId, ['owner', 'editor']));
+ *           allow create: if isSignedIn() && isOwner(userId)
+ *             && getAfter(/databases/$(database)/documents/events/$(eventId)/promoCodes/$(code)).data.get('redemptionCount', 0)
+ *                == get(/databases/$(database)/documents/events/$(eventId)/promoCodes/$(code)).data.get('redemptionCount', 0) + 1;
+ *         }
+ *       }
+ *     }
+ *
+ *     // Venues collection (see venueService.js)
+ *     match /venues/{venueId} {
+ *       // Anyone can read venues
+ *       allow read: if true;
+ *
+ *       // Any signed-in user can add a venue, as its creator
+ *       allow create: if isSignedIn()
+ *         && request.resource.data.createdBy == request.auth.uid
+ *         && request.resource.data.mergedInto == null;
+ *
+ *       // Only the creator can edit the venue's details
+ *       allow update: if isSignedIn() && resource.data.createdBy == request.auth.uid
+ *         && !request.resource.data.diff(resource.data).affectedKeys()
+ *              .hasAny(['createdBy', 'createdAt', 'mergedInto']);
+ *
+ *       // Venue admins can edit any venue and merge duplicates
+ *       allow update: if isVenueAdmin()
+ *         && !request.resource.data.diff(resource.data).affectedKeys().hasAny(['createdBy', 'createdAt']);
+ *     }
+ *
+ *     // Performers collection (see performerService.js)
+ *     match /performers/{performerId} {
+ *       // Anyone can read performers
+ *       allow read: if true;
+ *
+ *       // Any signed-in user can add a performer, as its creator, with no followers
+ *       allow create: if isSignedIn()
+ *         && request.resource.data.createdBy == request.auth.uid
+ *         && request.resource.data.followersCount == 0;
+ *
+ *       // Only the creator can edit the performer's profile
+ *       allow update: if isSignedIn() && resource.data.createdBy == request.auth.uid
+ *         && !request.resource.data.diff(resource.data).affectedKeys()
+ *              .hasAny(['createdBy', 'createdAt', 'followersCount']);
+ *
+ *       // Following or unfollowing keeps the follower count up to date
+ *       allow update: if isSignedIn() && followsPerformer(performerId);
+ *     }
+ *
+ *     // Venue admins, added by hand in the Firebase console
+ *     match /venueAdmins/{userId} {
+ *       allow read: if isSignedIn() && isOwner(userId);
+ *     }
+ *
+ *     // Co-host invites (see hostService.js)
+ *     match /hostInvites/{inviteId} {
+ *       // The invitee and the event's owners can see an invite
+ *       allow read: if isSignedIn() && (resource.data.inviteeId == request.auth.uid
+ *         || hasEventRole(resource.data.eventId, ['owner']));
+ *
+ *       // Only owners can send, resend or withdraw invites
+ *       allow create, update: if hasEventRole(request.resource.data.eventId, ['owner'])
+ *         && request.resource.data.invitedBy == request.auth.uid
+ *         && inviteId == request.resource.data.eventId + '_' + request.resource.data.inviteeId;
+ *       allow delete: if hasEventRole(resource.data.eventId, ['owner']);
+ *
+ *       // The invitee answers the invite
+ *       allow update: if isSignedIn() && resource.data.inviteeId == request.auth.uid
+ *         && request.resource.data.diff(resource.data).affectedKeys().hasOnly(['status', 'respondedAt']);
  *     }
  *
  *     // Photos collection
@@ -170,6 +811,16 @@
  *       allow update: if isSignedIn()
  *         && resource.data.postedBy == request.auth.uid;
  *
+ *       // An owner of a linked event may detach/reattach the photo
+ *       // when that event is deleted or restored
+ *       allow update: if isSignedIn()
+ *         && request.resource.data.diff(resource.data).affectedKeys()
+ *              .hasOnly(['eventId', 'detachedEventId'])
+ *         && (
+ *           hasEventRole(resource.data.eventId, ['owner'])
+ *           || hasEventRole(resource.data.detachedEventId, ['owner'])
+ *         );
+ *
  *       // Only photo uploader can delete their photos
  *       allow delete: if isSignedIn()
  *         && resource.data.postedBy == request.auth.uid;
@@ -187,6 +838,57 @@
  *       // Hashtags shouldn't be deleted, but if needed, require authentication
  *       allow delete: if isSignedIn();
  *     }
+ *
+ *     // Full-text search index, kept up to date by whoever saves an event
+ *     // (see firestoreSearchIndexer.js). Hosts may only write entries for
+ *     // their own events; each write names its event in `eventId`. Search
+ *     // admins (scripts/rebuildSearchIndex.js) may write any entry.
+ *     match /searchIndex/{term} {
+ *       allow read: if true;
+ *       allow write: if isSearchAdmin();
+ *
+ *       // Changes one event's posting; once the event is purged, only removes it
+ *       allow create, update: if isSignedIn()
+ *         && request.resource.data.keys().hasOnly(['postings', 'eventId'])
+ *         && request.resource.data.postings.diff(resource == null ? {} : resource.data.get('postings', {}))
+ *              .affectedKeys().hasOnly([request.resource.data.eventId])
+ *         && (canIndexEvent(request.resource.data.eventId)
+ *           || (isPurgedEvent(request.resource.data.eventId)
+ *             && !(request.resource.data.eventId in request.resource.data.postings)));
+ *     }
+ *
+ *     match /searchDocuments/{eventId} {
+ *       allow read: if true;
+ *       allow write: if isSearchAdmin() || canIndexEvent(eventId);
+ *       allow delete: if isPurgedEvent(eventId);
+ *     }
+ *
+ *     match /searchMeta/{docId} {
+ *       allow read: if true;
+ *       allow write: if isSearchAdmin();
+ *
+ *       // The indexed event count only moves with its event's searchDocuments entry
+ *       allow create, update: if isSignedIn()
+ *         && request.resource.data.keys().hasOnly(['documentCount', 'eventId'])
+ *         && countsIndexedEvent(request.resource.data.eventId);
+ *     }
+ *
+ *     match /searchVocabulary/{letter} {
+ *       allow read: if true;
+ *       allow write: if isSearchAdmin();
+ *
+ *       // Adds the words of an event being indexed
+ *       allow create, update: if isSignedIn()
+ *         && request.resource.data.keys().hasOnly(['terms', 'eventId'])
+ *         && request.resource.data.terms.diff(resource == null ? {} : resource.data.get('terms', {}))
+ *              .removedKeys().size() == 0
+ *         && canIndexEvent(request.resource.data.eventId);
+ *     }
+ *
+ *     // Search admins, added by hand in the Firebase console
+ *     match /searchAdmins/{userId} {
+ *       allow read: if isSignedIn() && isOwner(userId);
+ *     }
  *   }
  * }
  * ```
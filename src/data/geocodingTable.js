@@ -0,0 +1,32 @@
+// Local geocoding table
+// Approximate city-centre coordinates used to place events that don't have
+// their own lat/lng, and to offer "events near <city>" without a live
+// geocoding service. `zipPrefixes` are the first three digits of the ZIP
+// codes that belong to the city, used when the city name doesn't match.
+
+export const GEOCODING_TABLE = [
+  { city: 'Manhattan', state: 'NY', lat: 40.7831, lng: -73.9712, aliases: ['New York', 'New York City', 'NYC'], zipPrefixes: ['100', '101', '102'] },
+  { city: 'Brooklyn', state: 'NY', lat: 40.6782, lng: -73.9442, zipPrefixes: ['112'] },
+  { city: 'Queens', state: 'NY', lat: 40.7282, lng: -73.7949, aliases: ['Jamaica', 'Flushing', 'Astoria'], zipPrefixes: ['110', '111', '113', '114', '116'] },
+  { city: 'Bronx', state: 'NY', lat: 40.8448, lng: -73.8648, aliases: ['The Bronx'], zipPrefixes: ['104'] },
+  { city: 'Staten Island', state: 'NY', lat: 40.5795, lng: -74.1502, zipPrefixes: ['103'] },
+  { city: 'Harlem', state: 'NY', lat: 40.8116, lng: -73.9465 },
+  { city: 'Jersey City', state: 'NJ', lat: 40.7178, lng: -74.0431, zipPrefixes: ['073'] },
+  { city: 'Newark', state: 'NJ', lat: 40.7357, lng: -74.1724, zipPrefixes: ['071'] },
+  { city: 'Hoboken', state: 'NJ', lat: 40.7440, lng: -74.0324 },
+  { city: 'Yonkers', state: 'NY', lat: 40.9312, lng: -73.8988, zipPrefixes: ['107'] },
+  { city: 'Philadelphia', state: 'PA', lat: 39.9526, lng: -75.1652, zipPrefixes: ['191'] },
+  { city: 'Baltimore', state: 'MD', lat: 39.2904, lng: -76.6122, zipPrefixes: ['212'] },
+  { city: 'Washington', state: 'DC', lat: 38.9072, lng: -77.0369, aliases: ['Washington DC', 'DC'], zipPrefixes: ['200'] },
+  { city: 'Boston', state: 'MA', lat: 42.3601, lng: -71.0589, zipPrefixes: ['021'] },
+  { city: 'Atlanta', state: 'GA', lat: 33.7490, lng: -84.3880, aliases: ['ATL'], zipPrefixes: ['303'] },
+  { city: 'Charlotte', state: 'NC', lat: 35.2271, lng: -80.8431, zipPrefixes: ['282'] },
+  { city: 'Miami', state: 'FL', lat: 25.7617, lng: -80.1918, zipPrefixes: ['331'] },
+  { city: 'Houston', state: 'TX', lat: 29.7604, lng: -95.3698, aliases: ['HTX'], zipPrefixes: ['770'] },
+  { city: 'Dallas', state: 'TX', lat: 32.7767, lng: -96.7970, zipPrefixes: ['752'] },
+  { city: 'Chicago', state: 'IL', lat: 41.8781, lng: -87.6298, zipPrefixes: ['606'] },
+  { city: 'Los Angeles', state: 'CA', lat: 34.0522, lng: -118.2437, aliases: ['LA'], zipPrefixes: ['900'] },
+  { city: 'Oakland', state: 'CA', lat: 37.8044, lng: -122.2712, zipPrefixes: ['946'] },
+  { city: 'Toronto', state: 'ON', lat: 43.6532, lng: -79.3832 },
+  { city: 'London', state: '', lat: 51.5072, lng: -0.1276 },
+];
@@ -1,13 +1,14 @@
 /**
  * Seed Data for Afro-fete
  *
- * Realistic sample data for Afro-Caribbean events in NYC
+ * Realistic sample data for Afro-Caribbean events in NYC and Atlanta
  * Includes users, events, photos, and hashtags
+ * Events and users are tagged with their city (see cities.js)
  */
 
 import { USER_TYPES, EVENT_CATEGORIES } from './firestoreSchema.js';
 
-// Sample Users (5 promoters, 5 partygoers)
+// Sample Users (6 promoters, 6 partygoers)
 export const users = [
   // Promoters
   {
@@ -22,6 +23,7 @@ export const users = [
     twitterHandle: 'caribvibesnyc',
     favoriteEvents: [],
     followedHashtags: ['soca', 'reggae', 'afrobeats'],
+    homeCity: 'new-york',
     createdAt: new Date('2023-01-15').toISOString(),
     updatedAt: new Date('2023-01-15').toISOString(),
   },
@@ -37,6 +39,7 @@ export const users = [
     twitterHandle: 'afrobeatsqueen',
     favoriteEvents: [],
     followedHashtags: ['afrobeats', 'amapiano', 'afrofusion'],
+    homeCity: 'new-york',
     createdAt: new Date('2022-11-20').toISOString(),
     updatedAt: new Date('2022-11-20').toISOString(),
   },
@@ -51,6 +54,7 @@ export const users = [
     instagramHandle: 'bklynafterdark',
     favoriteEvents: [],
     followedHashtags: ['brooklyn', 'hiphop', 'rnb', 'nightlife'],
+    homeCity: 'new-york',
     createdAt: new Date('2023-03-10').toISOString(),
     updatedAt: new Date('2023-03-10').toISOString(),
   },
@@ -66,6 +70,7 @@ export const users = [
     twitterHandle: 'socasundays',
     favoriteEvents: [],
     followedHashtags: ['soca', 'dayparty', 'brunch', 'caribbean'],
+    homeCity: 'new-york',
     createdAt: new Date('2022-08-05').toISOString(),
     updatedAt: new Date('2022-08-05').toISOString(),
   },
@@ -80,9 +85,26 @@ export const users = [
     instagramHandle: 'harlemheatwave',
     favoriteEvents: [],
     followedHashtags: ['harlem', 'livemusic', 'jazz', 'soul'],
+    homeCity: 'new-york',
     createdAt: new Date('2023-02-14').toISOString(),
     updatedAt: new Date('2023-02-14').toISOString(),
   },
+  {
+    userId: 'user_011',
+    username: 'atlfetes',
+    fullName: 'Tiana Brooks',
+    email: 'tiana@atlfetes.com',
+    userType: USER_TYPES.PROMOTER,
+    profilePhoto: 'https://i.pravatar.cc/150?img=44',
+    bio: 'Atlanta day parties & Afrobeats nights 🍑🎶',
+    instagramHandle: 'atlfetes',
+    twitterHandle: 'atlfetes',
+    favoriteEvents: [],
+    followedHashtags: ['atlanta', 'dayparty', 'afrobeats', 'amapiano'],
+    homeCity: 'atlanta',
+    createdAt: new Date('2023-04-18').toISOString(),
+    updatedAt: new Date('2023-04-18').toISOString(),
+  },
   // Partygoers
   {
     userId: 'user_006',
@@ -95,6 +117,7 @@ export const users = [
     instagramHandle: 'dancefloorqueen',
     favoriteEvents: [],
     followedHashtags: ['soca', 'afrobeats', 'dayparty', 'brunch'],
+    homeCity: 'new-york',
     createdAt: new Date('2023-05-20').toISOString(),
     updatedAt: new Date('2023-05-20').toISOString(),
   },
@@ -109,6 +132,7 @@ export const users = [
     instagramHandle: 'vibeseekernyc',
     favoriteEvents: [],
     followedHashtags: ['nightlife', 'brooklyn', 'afrobeats', 'hiphop'],
+    homeCity: 'new-york',
     createdAt: new Date('2023-06-12').toISOString(),
     updatedAt: new Date('2023-06-12').toISOString(),
   },
@@ -123,6 +147,7 @@ export const users = [
     instagramHandle: 'carnivalcrazynyc',
     favoriteEvents: [],
     followedHashtags: ['carnival', 'soca', 'trinidad', 'brooklyn'],
+    homeCity: 'new-york',
     createdAt: new Date('2023-04-08').toISOString(),
     updatedAt: new Date('2023-04-08').toISOString(),
   },
@@ -137,6 +162,7 @@ export const users = [
     instagramHandle: 'brunchbaenyc',
     favoriteEvents: [],
     followedHashtags: ['brunch', 'dayparty', 'sundayfunday', 'brooklyn'],
+    homeCity: 'new-york',
     createdAt: new Date('2023-07-01').toISOString(),
     updatedAt: new Date('2023-07-01').toISOString(),
   },
@@ -151,12 +177,28 @@ export const users = [
     instagramHandle: 'afrogentlemannyc',
     favoriteEvents: [],
     followedHashtags: ['afrobeats', 'afrofusion', 'amapiano', 'nightlife'],
+    homeCity: 'new-york',
     createdAt: new Date('2023-03-25').toISOString(),
     updatedAt: new Date('2023-03-25').toISOString(),
   },
+  {
+    userId: 'user_012',
+    username: 'peachstatevibes',
+    fullName: 'Kofi Mensah',
+    email: 'kofi.mensah@email.com',
+    userType: USER_TYPES.PARTYGOER,
+    profilePhoto: 'https://i.pravatar.cc/150?img=59',
+    bio: 'ATL born, Accra raised | Brunch and amapiano every weekend',
+    instagramHandle: 'peachstatevibes',
+    favoriteEvents: [],
+    followedHashtags: ['atlanta', 'amapiano', 'brunch', 'afrobeats'],
+    homeCity: 'atlanta',
+    createdAt: new Date('2023-08-09').toISOString(),
+    updatedAt: new Date('2023-08-09').toISOString(),
+  },
 ];
 
-// Sample Events (30 events across 8 categories)
+// Sample Events (34 events across 8 categories, in New York and Atlanta)
 export const events = [
   // Brunch Events
   {
@@ -169,6 +211,7 @@ export const events = [
       state: 'NY',
       zip: '11249',
     },
+    citySlug: 'new-york',
     date: new Date('2025-10-21T12:00:00').toISOString(),
     startTime: '12:00 PM',
     endTime: '4:00 PM',
@@ -194,6 +237,7 @@ export const events = [
       state: 'NY',
       zip: '10012',
     },
+    citySlug: 'new-york',
     date: new Date('2025-10-22T11:30:00').toISOString(),
     startTime: '11:30 AM',
     endTime: '3:30 PM',
@@ -219,6 +263,7 @@ export const events = [
       state: 'NY',
       zip: '11237',
     },
+    citySlug: 'new-york',
     date: new Date('2025-10-26T13:00:00').toISOString(),
     startTime: '1:00 PM',
     endTime: '5:00 PM',
@@ -245,6 +290,7 @@ export const events = [
       state: 'NY',
       zip: '10001',
     },
+    citySlug: 'new-york',
     date: new Date('2025-10-21T22:00:00').toISOString(),
     startTime: '10:00 PM',
     endTime: '4:00 AM',
@@ -270,6 +316,7 @@ export const events = [
       state: 'NY',
       zip: '10002',
     },
+    citySlug: 'new-york',
     date: new Date('2025-10-25T23:00:00').toISOString(),
     startTime: '11:00 PM',
     endTime: '4:00 AM',
@@ -295,6 +342,7 @@ export const events = [
       state: 'NY',
       zip: '11249',
     },
+    citySlug: 'new-york',
     date: new Date('2025-10-22T22:00:00').toISOString(),
     startTime: '10:00 PM',
     endTime: '4:00 AM',
@@ -320,6 +368,7 @@ export const events = [
       state: 'NY',
       zip: '10014',
     },
+    citySlug: 'new-york',
     date: new Date('2025-10-26T23:00:00').toISOString(),
     startTime: '11:00 PM',
     endTime: '4:00 AM',
@@ -346,6 +395,7 @@ export const events = [
       state: 'NY',
       zip: '10011',
     },
+    citySlug: 'new-york',
     date: new Date('2025-10-27T14:00:00').toISOString(),
     startTime: '2:00 PM',
     endTime: '8:00 PM',
@@ -371,6 +421,7 @@ export const events = [
       state: 'NY',
       zip: '10038',
     },
+    citySlug: 'new-york',
     date: new Date('2025-10-27T13:00:00').toISOString(),
     startTime: '1:00 PM',
     endTime: '7:00 PM',
@@ -397,6 +448,7 @@ export const events = [
       state: 'NY',
       zip: '11215',
     },
+    citySlug: 'new-york',
     date: new Date('2025-10-28T11:00:00').toISOString(),
     startTime: '11:00 AM',
     endTime: '8:00 PM',
@@ -422,6 +474,7 @@ export const events = [
       state: 'NY',
       zip: '11205',
     },
+    citySlug: 'new-york',
     date: new Date('2025-10-29T12:00:00').toISOString(),
     startTime: '12:00 PM',
     endTime: '10:00 PM',
@@ -448,6 +501,7 @@ export const events = [
       state: 'NY',
       zip: '11238',
     },
+    citySlug: 'new-york',
     date: new Date('2025-10-23T18:00:00').toISOString(),
     startTime: '6:00 PM',
     endTime: '9:00 PM',
@@ -473,6 +527,7 @@ export const events = [
       state: 'NY',
       zip: '10009',
     },
+    citySlug: 'new-york',
     date: new Date('2025-10-24T19:00:00').toISOString(),
     startTime: '7:00 PM',
     endTime: '10:00 PM',
@@ -499,6 +554,7 @@ export const events = [
       state: 'NY',
       zip: '10002',
     },
+    citySlug: 'new-york',
     date: new Date('2025-11-06T18:00:00').toISOString(),
     startTime: '6:00 PM',
     endTime: '10:00 PM',
@@ -524,6 +580,7 @@ export const events = [
       state: 'NY',
       zip: '11249',
     },
+    citySlug: 'new-york',
     date: new Date('2025-11-13T18:30:00').toISOString(),
     startTime: '6:30 PM',
     endTime: '11:00 PM',
@@ -550,6 +607,7 @@ export const events = [
       state: 'NY',
       zip: '10001',
     },
+    citySlug: 'new-york',
     date: new Date('2025-12-05T20:00:00').toISOString(),
     startTime: '8:00 PM',
     endTime: '11:30 PM',
@@ -575,6 +633,7 @@ export const events = [
       state: 'NY',
       zip: '11211',
     },
+    citySlug: 'new-york',
     date: new Date('2025-11-20T19:00:00').toISOString(),
     startTime: '7:00 PM',
     endTime: '11:00 PM',
@@ -600,6 +659,7 @@ export const events = [
       state: 'NY',
       zip: '11217',
     },
+    citySlug: 'new-york',
     date: new Date('2025-12-12T20:00:00').toISOString(),
     startTime: '8:00 PM',
     endTime: '11:30 PM',
@@ -626,6 +686,7 @@ export const events = [
       state: 'NY',
       zip: '10014',
     },
+    citySlug: 'new-york',
     date: new Date('2025-11-10T17:00:00').toISOString(),
     startTime: '5:00 PM',
     endTime: '9:00 PM',
@@ -651,6 +712,7 @@ export const events = [
       state: 'NY',
       zip: '10010',
     },
+    citySlug: 'new-york',
     date: new Date('2025-11-24T16:00:00').toISOString(),
     startTime: '4:00 PM',
     endTime: '8:00 PM',
@@ -677,6 +739,7 @@ export const events = [
       state: 'NY',
       zip: '10027',
     },
+    citySlug: 'new-york',
     date: new Date('2025-11-18T19:30:00').toISOString(),
     startTime: '7:30 PM',
     endTime: '11:00 PM',
@@ -702,6 +765,7 @@ export const events = [
       state: 'NY',
       zip: '10016',
     },
+    citySlug: 'new-york',
     date: new Date('2025-12-01T14:00:00').toISOString(),
     startTime: '2:00 PM',
     endTime: '8:00 PM',
@@ -727,6 +791,7 @@ export const events = [
       state: 'NY',
       zip: '11238',
     },
+    citySlug: 'new-york',
     date: new Date('2025-12-08T17:00:00').toISOString(),
     startTime: '5:00 PM',
     endTime: '11:00 PM',
@@ -752,6 +817,7 @@ export const events = [
       state: 'NY',
       zip: '10037',
     },
+    citySlug: 'new-york',
     date: new Date('2025-11-27T18:00:00').toISOString(),
     startTime: '6:00 PM',
     endTime: '11:00 PM',
@@ -777,6 +843,7 @@ export const events = [
       state: 'NY',
       zip: '11249',
     },
+    citySlug: 'new-york',
     date: new Date('2025-12-06T15:00:00').toISOString(),
     startTime: '3:00 PM',
     endTime: '9:00 PM',
@@ -802,6 +869,7 @@ export const events = [
       state: 'NY',
       zip: '11378',
     },
+    citySlug: 'new-york',
     date: new Date('2025-11-29T22:00:00').toISOString(),
     startTime: '10:00 PM',
     endTime: '4:00 AM',
@@ -827,6 +895,7 @@ export const events = [
       state: 'NY',
       zip: '10002',
     },
+    citySlug: 'new-york',
     date: new Date('2025-12-14T12:30:00').toISOString(),
     startTime: '12:30 PM',
     endTime: '4:30 PM',
@@ -852,6 +921,7 @@ export const events = [
       state: 'NY',
       zip: '10014',
     },
+    citySlug: 'new-york',
     date: new Date('2025-12-04T21:00:00').toISOString(),
     startTime: '9:00 PM',
     endTime: '2:00 AM',
@@ -877,6 +947,7 @@ export const events = [
       state: 'NY',
       zip: '10014',
     },
+    citySlug: 'new-york',
     date: new Date('2025-11-21T19:00:00').toISOString(),
     startTime: '7:00 PM',
     endTime: '11:00 PM',
@@ -902,6 +973,7 @@ export const events = [
       state: 'NY',
       zip: '10019',
     },
+    citySlug: 'new-york',
     date: new Date('2025-11-26T18:30:00').toISOString(),
     startTime: '6:30 PM',
     endTime: '8:30 PM',
@@ -917,6 +989,111 @@ export const events = [
     createdAt: new Date('2025-10-20').toISOString(),
     updatedAt: new Date('2025-10-20').toISOString(),
   },
+  // Atlanta Events
+  {
+    eventId: 'event_031',
+    name: 'ATL Afrobeats Day Party',
+    venue: 'Monday Night Garage',
+    address: {
+      street: '933 Lee St SW',
+      city: 'Atlanta',
+      state: 'GA',
+      zip: '30310',
+    },
+    citySlug: 'atlanta',
+    date: new Date('2025-11-01T14:00:00').toISOString(),
+    startTime: '2:00 PM',
+    endTime: '9:00 PM',
+    description: 'The West End\'s biggest day party. Afrobeats, amapiano and dancehall in the garage, jollof and suya outside.',
+    hashtags: ['atlanta', 'afrobeats', 'dayparty', 'amapiano'],
+    ticketLink: 'https://eventbrite.com/atl-afrobeats-day-party',
+    flyerUrl: 'https://images.unsplash.com/photo-1492684223066-81342ee5ff30?w=600&h=800&fit=crop',
+    category: EVENT_CATEGORIES.DAYPARTY,
+    price: 25,
+    createdBy: 'user_011',
+    favoritedBy: [],
+    favoritesCount: 0,
+    createdAt: new Date('2025-10-14').toISOString(),
+    updatedAt: new Date('2025-10-14').toISOString(),
+  },
+  {
+    eventId: 'event_032',
+    name: 'Amapiano Brunch ATL',
+    venue: 'Ponce City Market Rooftop',
+    address: {
+      street: '675 Ponce De Leon Ave NE',
+      city: 'Atlanta',
+      state: 'GA',
+      zip: '30308',
+    },
+    citySlug: 'atlanta',
+    date: new Date('2025-11-09T12:00:00').toISOString(),
+    startTime: '12:00 PM',
+    endTime: '4:00 PM',
+    description: 'Bottomless brunch with skyline views and South African house all afternoon.',
+    hashtags: ['atlanta', 'amapiano', 'brunch', 'rooftop', 'sundayfunday'],
+    ticketLink: 'https://eventbrite.com/amapiano-brunch-atl',
+    flyerUrl: 'https://images.unsplash.com/photo-1414235077428-338989a2e8c0?w=600&h=800&fit=crop',
+    category: EVENT_CATEGORIES.BRUNCH,
+    price: 45,
+    createdBy: 'user_011',
+    favoritedBy: [],
+    favoritesCount: 0,
+    createdAt: new Date('2025-10-16').toISOString(),
+    updatedAt: new Date('2025-10-16').toISOString(),
+  },
+  {
+    eventId: 'event_033',
+    name: 'Soca & Dancehall Takeover ATL',
+    venue: 'Believe Music Hall',
+    address: {
+      street: '181 Peters St SW',
+      city: 'Atlanta',
+      state: 'GA',
+      zip: '30313',
+    },
+    citySlug: 'atlanta',
+    date: new Date('2025-11-15T22:00:00').toISOString(),
+    startTime: '10:00 PM',
+    endTime: '3:00 AM',
+    description: 'Caribbean Atlanta links up for a night of soca, dancehall and bashment.',
+    hashtags: ['atlanta', 'soca', 'dancehall', 'nightlife', 'caribbean'],
+    ticketLink: 'https://dice.fm/soca-dancehall-atl',
+    flyerUrl: 'https://images.unsplash.com/photo-1514525253161-7a46d19cd819?w=600&h=800&fit=crop',
+    category: EVENT_CATEGORIES.NIGHTLIFE,
+    price: 30,
+    createdBy: 'user_011',
+    favoritedBy: [],
+    favoritesCount: 0,
+    createdAt: new Date('2025-10-18').toISOString(),
+    updatedAt: new Date('2025-10-18').toISOString(),
+  },
+  {
+    eventId: 'event_034',
+    name: 'Afrobeats Queen Presents: ATL Edition',
+    venue: 'Tabernacle',
+    address: {
+      street: '152 Luckie St NW',
+      city: 'Atlanta',
+      state: 'GA',
+      zip: '30303',
+    },
+    citySlug: 'atlanta',
+    date: new Date('2025-11-22T20:00:00').toISOString(),
+    startTime: '8:00 PM',
+    endTime: '1:00 AM',
+    description: 'The NYC favourite heads south! Live Afrobeats showcase with special guest DJs from Lagos and Accra.',
+    hashtags: ['atlanta', 'afrobeats', 'concert', 'livemusic'],
+    ticketLink: 'https://eventbrite.com/afrobeats-queen-atl',
+    flyerUrl: 'https://images.unsplash.com/photo-1501386761578-eac5c94b800a?w=600&h=800&fit=crop',
+    category: EVENT_CATEGORIES.CONCERTS,
+    price: 55,
+    createdBy: 'user_002',
+    favoritedBy: [],
+    favoritesCount: 0,
+    createdAt: new Date('2025-10-19').toISOString(),
+    updatedAt: new Date('2025-10-19').toISOString(),
+  },
 ];
 
 // Trending Hashtags
@@ -936,6 +1113,7 @@ export const hashtags = [
   { hashtagId: 'sundayfunday', name: 'sundayfunday', count: 98, lastUsed: new Date('2025-10-20').toISOString(), createdAt: new Date('2022-01-01').toISOString(), trending: false },
   { hashtagId: 'carnival', name: 'carnival', count: 87, lastUsed: new Date('2025-10-18').toISOString(), createdAt: new Date('2022-01-01').toISOString(), trending: false },
   { hashtagId: 'livemusic', name: 'livemusic', count: 112, lastUsed: new Date('2025-10-19').toISOString(), createdAt: new Date('2022-01-01').toISOString(), trending: false },
+  { hashtagId: 'atlanta', name: 'atlanta', count: 64, lastUsed: new Date('2025-10-19').toISOString(), createdAt: new Date('2023-04-18').toISOString(), trending: false },
 ];
 
 // Sample Photos
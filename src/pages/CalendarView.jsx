@@ -0,0 +1,358 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ChevronLeft, ChevronRight, CalendarDays, Clock, X } from 'lucide-react';
+import { format } from 'date-fns';
+import Navbar from '../components/Navbar';
+import Footer from '../components/Footer';
+import Newsletter from '../components/Newsletter';
+import { getEvents } from '../services/eventService';
+import { EVENT_CATEGORIES, getCategoryColor } from '../data/eventCategories';
+import { formatEventTime } from '../utils/dateHelpers';
+import { parseFilterState, updateFilterParams } from '../utils/filterStateHelpers';
+import { getEventTimezone, parseTimeOfDay, toDayKey } from '../utils/timezoneHelpers';
+import {
+  toMonthKey,
+  parseMonthKey,
+  parseDayKey,
+  getWeekDays,
+  getMonthGrid,
+  getEventDayKeys,
+  groupEventsByDay,
+} from '../utils/calendarGridHelpers';
+
+// Events listed in a day cell before "+N more"
+const VISIBLE_EVENTS_PER_DAY = { month: 3, week: 8 };
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the time shown for an event in a day's agenda
+ * @param {Object} event - Event object
+ * @param {string} dayKey - Day the agenda is for
+ * @returns {string} Start time in the event's timezone, "All day", or "Continues" after a festival's first day
+ */
+const getAgendaTime = (event, dayKey) => {
+  if (getEventDayKeys(event)[0] !== dayKey) return 'Continues';
+  if (!parseTimeOfDay(event.startTime)) return 'All day';
+
+  return formatEventTime(event.startAt || event.date, getEventTimezone(event));
+};
+
+const CalendarView = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Everything that's shown lives in the URL so the view can be shared
+  const view = searchParams.get('view') === 'week' ? 'week' : 'month';
+  const month = parseMonthKey(searchParams.get('month')) || new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+  const weekStart = getWeekDays(parseDayKey(searchParams.get('week')) || new Date())[0];
+  const filters = parseFilterState(searchParams);
+  const category = filters.category || '';
+  const hashtag = filters.hashtags[0] || '';
+  const selectedDayKey = parseDayKey(searchParams.get('day')) ? searchParams.get('day') : null;
+
+  const [hashtagInput, setHashtagInput] = useState(hashtag);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Keyed on strings; the Date objects above are rebuilt every render
+  const monthKey = toMonthKey(month);
+  const weekKey = toDayKey(weekStart);
+  const weeks = useMemo(
+    () => (view === 'week' ? [getWeekDays(parseDayKey(weekKey))] : getMonthGrid(parseMonthKey(monthKey))),
+    [view, monthKey, weekKey]
+  );
+  const rangeStart = toDayKey(weeks[0][0]);
+  const rangeEnd = toDayKey(weeks[weeks.length - 1][6]);
+
+  // Fetch every event on the visible days
+  useEffect(() => {
+    const fetchEvents = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const result = await getEvents({
+          timeRange: { start: rangeStart, end: rangeEnd },
+          category: category || undefined,
+          hashtag: hashtag || undefined,
+          sortBy: 'date',
+          sortOrder: 'asc',
+          limit: 500,
+        });
+        setEvents(result.events);
+      } catch (err) {
+        console.error('Error fetching calendar events:', err);
+        setError('Failed to load events. Please try again later.');
+        setEvents([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEvents();
+  }, [rangeStart, rangeEnd, category, hashtag]);
+
+  const eventsByDay = useMemo(() => groupEventsByDay(events), [events]);
+  const todayKey = toDayKey(new Date());
+
+  // Update some URL params (filters or the calendar's own), keeping the rest
+  const updateParams = (updates) => {
+    setSearchParams(updateFilterParams(searchParams, updates));
+  };
+
+  const handleStep = (direction) => {
+    if (view === 'week') {
+      const nextWeek = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + direction * 7);
+      updateParams({ week: toDayKey(nextWeek), month: toMonthKey(nextWeek) });
+    } else {
+      updateParams({ month: toMonthKey(new Date(month.getFullYear(), month.getMonth() + direction, 1)) });
+    }
+  };
+
+  const handleToday = () => {
+    const today = new Date();
+    updateParams({ month: toMonthKey(today), week: view === 'week' ? toDayKey(getWeekDays(today)[0]) : null });
+  };
+
+  const handleViewChange = (nextView) => {
+    if (nextView === 'week') {
+      // Open the week of the first of the visible month (or today, if it's this month)
+      const anchor = toMonthKey(new Date()) === toMonthKey(month) ? new Date() : month;
+      updateParams({ view: 'week', week: toDayKey(getWeekDays(anchor)[0]) });
+    } else {
+      updateParams({ view: null, week: null, month: toMonthKey(weekStart) });
+    }
+  };
+
+  const handleHashtagSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ hashtags: [hashtagInput] });
+  };
+
+  const title = view === 'week'
+    ? `${format(weekStart, 'MMM d')} – ${format(weeks[0][6], 'MMM d, yyyy')}`
+    : format(month, 'MMMM yyyy');
+  const selectedDay = selectedDayKey ? parseDayKey(selectedDayKey) : null;
+  const selectedDayEvents = selectedDayKey ? eventsByDay[selectedDayKey] || [] : [];
+
+  return (
+    <div className="min-h-screen bg-white flex flex-col">
+      <Navbar />
+
+      <section className="py-12 px-4 sm:px-6 lg:px-8 bg-gradient-to-b from-gray-50 to-white">
+        <div className="max-w-7xl mx-auto">
+          <h1 className="text-3xl sm:text-4xl md:text-5xl font-bold text-gray-900 mb-8 flex items-center gap-3">
+            <CalendarDays className="w-10 h-10 text-[#FF6B6B]" />
+            Event Calendar
+          </h1>
+
+          {/* Filters */}
+          <div className="flex flex-wrap items-center gap-3 mb-6">
+            <select
+              value={category}
+              onChange={(e) => updateParams({ category: e.target.value })}
+              aria-label="Category"
+              className="px-4 py-2 bg-white border border-gray-200 rounded-full text-sm font-semibold text-gray-700 focus:outline-none focus:ring-2 focus:ring-[#FF6B6B]"
+            >
+              <option value="">All categories</option>
+              {EVENT_CATEGORIES.map(eventCategory => (
+                <option key={eventCategory.id} value={eventCategory.id}>{eventCategory.displayName}</option>
+              ))}
+            </select>
+
+            <form onSubmit={handleHashtagSubmit} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={hashtagInput}
+                onChange={(e) => setHashtagInput(e.target.value)}
+                placeholder="#hashtag"
+                aria-label="Hashtag"
+                className="px-4 py-2 bg-white border border-gray-200 rounded-full text-sm focus:outline-none focus:ring-2 focus:ring-[#FF6B6B]"
+              />
+              <button type="submit" className="px-4 py-2 text-sm font-semibold text-[#FF6B6B] hover:text-[#ff5252]">
+                Apply
+              </button>
+            </form>
+
+            {(category || hashtag) && (
+              <button
+                onClick={() => {
+                  setHashtagInput('');
+                  updateParams({ category: null, hashtags: [] });
+                }}
+                className="text-sm text-gray-500 hover:text-[#FF6B6B]"
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+
+          {/* Navigation */}
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => handleStep(-1)}
+                aria-label={view === 'week' ? 'Previous week' : 'Previous month'}
+                className="p-2 rounded-full hover:bg-gray-100 text-gray-700"
+              >
+                <ChevronLeft className="w-5 h-5" />
+              </button>
+              <button
+                onClick={() => handleStep(1)}
+                aria-label={view === 'week' ? 'Next week' : 'Next month'}
+                className="p-2 rounded-full hover:bg-gray-100 text-gray-700"
+              >
+                <ChevronRight className="w-5 h-5" />
+              </button>
+              <h2 className="text-2xl font-bold text-gray-900 ml-2">{title}</h2>
+              <button
+                onClick={handleToday}
+                className="ml-2 px-4 py-1.5 border border-gray-200 rounded-full text-sm font-semibold text-gray-700 hover:border-[#FF6B6B] hover:text-[#FF6B6B]"
+              >
+                Today
+              </button>
+            </div>
+
+            <div className="inline-flex bg-gray-50 rounded-full p-1">
+              {['month', 'week'].map(option => (
+                <button
+                  key={option}
+                  onClick={() => handleViewChange(option)}
+                  className={`px-5 py-2 rounded-full text-sm font-semibold capitalize transition-all duration-200 ${
+                    view === option
+                      ? 'bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white shadow-md'
+                      : 'text-gray-600 hover:text-[#FF6B6B]'
+                  }`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {error && <p className="text-red-600 mb-4">{error}</p>}
+
+          {/* Grid */}
+          <div className={`border border-gray-200 rounded-2xl overflow-hidden bg-white shadow-sm ${loading ? 'opacity-60' : ''}`}>
+            <div className="grid grid-cols-7 bg-gray-50 border-b border-gray-200">
+              {WEEKDAY_LABELS.map(label => (
+                <div key={label} className="py-2 text-center text-xs font-semibold uppercase text-gray-500">{label}</div>
+              ))}
+            </div>
+
+            {weeks.map(week => (
+              <div key={toDayKey(week[0])} className="grid grid-cols-7 border-b border-gray-100 last:border-b-0">
+                {week.map(day => {
+                  const dayKey = toDayKey(day);
+                  const dayEvents = eventsByDay[dayKey] || [];
+                  const visibleCount = VISIBLE_EVENTS_PER_DAY[view];
+                  const isOutsideMonth = view === 'month' && day.getMonth() !== month.getMonth();
+
+                  return (
+                    <div
+                      key={dayKey}
+                      onClick={() => updateParams({ day: dayKey })}
+                      className={`${view === 'week' ? 'min-h-[20rem]' : 'min-h-[7rem]'} p-1.5 sm:p-2 border-r border-gray-100 last:border-r-0 cursor-pointer hover:bg-gray-50 transition-colors ${
+                        isOutsideMonth ? 'bg-gray-50/60 text-gray-400' : 'text-gray-900'
+                      }`}
+                    >
+                      <span className={`inline-flex items-center justify-center w-7 h-7 rounded-full text-sm font-semibold ${
+                        dayKey === todayKey ? 'bg-[#FF6B6B] text-white' : ''
+                      }`}>
+                        {day.getDate()}
+                      </span>
+
+                      <div className="mt-1 space-y-1">
+                        {dayEvents.slice(0, visibleCount).map(event => (
+                          <Link
+                            key={event.id}
+                            to={`/events/${event.id}`}
+                            onClick={(e) => e.stopPropagation()}
+                            title={event.title}
+                            className="flex items-center gap-1 px-1.5 py-0.5 rounded text-xs text-gray-800 hover:bg-white truncate"
+                          >
+                            <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: getCategoryColor(event.category) }} />
+                            {view === 'week' && (
+                              <span className="text-gray-500 flex-shrink-0">{getAgendaTime(event, dayKey)}</span>
+                            )}
+                            <span className="truncate">{event.title || event.name}</span>
+                          </Link>
+                        ))}
+
+                        {dayEvents.length > visibleCount && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              updateParams({ day: dayKey });
+                            }}
+                            className="px-1.5 text-xs font-semibold text-[#FF6B6B] hover:text-[#ff5252]"
+                          >
+                            +{dayEvents.length - visibleCount} more
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+      </section>
+
+      {/* Day Agenda */}
+      {selectedDay && (
+        <div
+          className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4"
+          onClick={() => updateParams({ day: null })}
+        >
+          <div
+            className="bg-white rounded-2xl max-w-lg w-full max-h-[80vh] overflow-auto shadow-2xl p-6"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-2xl font-bold text-gray-900">{format(selectedDay, 'EEEE, MMMM d')}</h2>
+              <button
+                onClick={() => updateParams({ day: null })}
+                aria-label="Close"
+                className="p-2 rounded-full hover:bg-gray-100 text-gray-500"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            {selectedDayEvents.length > 0 ? (
+              <ul className="space-y-3">
+                {selectedDayEvents.map(event => (
+                  <li key={event.id}>
+                    <Link
+                      to={`/events/${event.id}`}
+                      className="flex items-start gap-3 p-3 rounded-xl border border-gray-200 hover:border-[#FF6B6B] transition-colors"
+                    >
+                      <span className="mt-1.5 w-3 h-3 rounded-full flex-shrink-0" style={{ backgroundColor: getCategoryColor(event.category) }} />
+                      <span className="flex-1 min-w-0">
+                        <span className="block font-semibold text-gray-900 truncate">{event.title || event.name}</span>
+                        <span className="flex items-center gap-1 text-sm text-gray-600">
+                          <Clock className="w-4 h-4" />
+                          {getAgendaTime(event, selectedDayKey)}
+                          {event.venue && ` · ${event.venue}`}
+                        </span>
+                      </span>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-gray-600">{loading ? 'Loading events...' : 'No events on this day.'}</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      <Newsletter />
+      <Footer />
+    </div>
+  );
+};
+
+export default CalendarView;
@@ -1,31 +1,106 @@
-import { useState, useEffect } from 'react';
-import { useParams, useNavigate, useLocation } from 'react-router-dom';
-import { Search, Menu, X } from 'lucide-react';
+import { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+import { Search, Menu, X, LayoutGrid, Map as MapIcon } from 'lucide-react';
 import Navbar from '../components/Navbar';
 import Footer from '../components/Footer';
 import CategoryCard from '../components/CategoryCard';
 import EventCard from '../components/EventCard';
 import Newsletter from '../components/Newsletter';
+import LocationFilter from '../components/LocationFilter';
+import EventMap from '../components/EventMap';
 import { getEvents, searchEventsByHashtag } from '../services/eventService';
 import { getTrendingHashtags } from '../services/hashtagService';
 import { useAuth } from '../context/AuthContext';
 import { EVENT_CATEGORIES } from '../data/eventCategories';
+import { toLocationQuery } from '../utils/geoHelpers';
+import { filterEventsByHashtag } from '../utils/filterHelpers';
+import {
+  ALL_DATES,
+  fromLocationFilter,
+  parseFilterState,
+  toDateFilters,
+  toLocationFilter,
+  updateFilterParams,
+} from '../utils/filterStateHelpers';
+
+/**
+ * Time filter tabs and the date range each one shows
+ */
+const TIME_FILTER_RANGES = {
+  'TODAY': 'today',
+  'TOMORROW': 'tomorrow',
+  'THIS WEEKEND': 'weekend',
+  'THIS MONTH': 'month',
+  'ALL DATES': ALL_DATES,
+};
+
+const EVENTS_PER_PAGE = 6;
+const EVENTS_PER_BATCH = 50;
+
+// Filters shown when the URL has none (see filterStateHelpers.js)
+const FILTER_DEFAULTS = { timeRange: 'month' };
+
+/**
+ * Normalize typed hashtag search text the way the URL stores it
+ * @param {string} text - Search box text
+ * @returns {string} Hashtag (no #, lowercase)
+ */
+const toHashtagKey = (text) => text.replace('#', '').toLowerCase().trim();
+
+/**
+ * Load a batch of a category's events
+ * @param {Object} options - { category, city, timeRange, locationFilter, startAfterDoc }
+ * @returns {Promise<Object>} { events, lastDoc, hasMore }
+ */
+const getCategoryBatch = ({ category, city, timeRange, locationFilter, startAfterDoc }) => (
+  getEvents({
+    category,
+    city,
+    ...toDateFilters(timeRange),
+    ...toLocationQuery(locationFilter),
+    sortBy: locationFilter.sortBy,
+    sortOrder: 'asc',
+    limit: EVENTS_PER_BATCH,
+    startAfterDoc,
+    collapseSeries: true,
+  })
+);
 
 const CategoryView = () => {
   const { categoryName } = useParams();
   const navigate = useNavigate();
   const location = useLocation();
-  const { user, toggleFavorite } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { user, toggleFavorite, homeCity } = useAuth();
+  const citySlug = homeCity || undefined;
+
+  // Time range, hashtags, location and page live in the URL so they can be shared
+  const filters = parseFilterState(searchParams, FILTER_DEFAULTS);
+  const locationFilter = toLocationFilter(filters);
+  const activeTimeFilter = Object.keys(TIME_FILTER_RANGES).find(filter => TIME_FILTER_RANGES[filter] === filters.timeRange);
+  const eventsToShow = filters.page * EVENTS_PER_PAGE;
+
+  // Keyed on strings; the hashtags array is rebuilt every render
+  const timeRange = filters.timeRange;
+  const hashtagKey = filters.hashtags.join(',');
+  const { near, radius, sort } = filters;
 
   // State
   const [events, setEvents] = useState([]);
-  const [displayedEvents, setDisplayedEvents] = useState([]);
+  const [listingPage, setListingPage] = useState(null); // { lastDoc, hasMore } of the category listing
   const [trendingHashtags, setTrendingHashtags] = useState([]);
-  const [activeTimeFilter, setActiveTimeFilter] = useState('THIS MONTH');
-  const [searchQuery, setSearchQuery] = useState('');
+  const [searchQuery, setSearchQuery] = useState(hashtagKey);
   const [loading, setLoading] = useState(true);
-  const [eventsToShow, setEventsToShow] = useState(6);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'map'
+
+  const displayedEvents = events.slice(0, eventsToShow);
+
+  // How many events the page in the URL shows, for the fetch below; kept in a
+  // ref so "Show more" doesn't refetch
+  const eventsToShowRef = useRef(eventsToShow);
+  eventsToShowRef.current = eventsToShow;
 
   // Find current category
   const currentCategory = EVENT_CATEGORIES.find(
@@ -33,38 +108,16 @@ const CategoryView = () => {
   );
 
   // Time filter tabs
-  const timeFilters = ['TODAY', 'TOMORROW', 'THIS WEEKEND', 'THIS MONTH'];
-
-  // Calculate date ranges for filters
-  const getDateRange = (filter) => {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    const endOfWeek = new Date(today);
-    endOfWeek.setDate(endOfWeek.getDate() + (7 - endOfWeek.getDay()));
-
-    const endOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-
-    switch (filter) {
-      case 'TODAY':
-        return { startDate: today.toISOString(), endDate: tomorrow.toISOString() };
-      case 'TOMORROW':
-        const dayAfterTomorrow = new Date(tomorrow);
-        dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 1);
-        return { startDate: tomorrow.toISOString(), endDate: dayAfterTomorrow.toISOString() };
-      case 'THIS WEEKEND':
-        return { startDate: today.toISOString(), endDate: endOfWeek.toISOString() };
-      case 'THIS MONTH':
-        return { startDate: today.toISOString(), endDate: endOfMonth.toISOString() };
-      default:
-        return { startDate: today.toISOString() };
-    }
-  };
+  const timeFilters = Object.keys(TIME_FILTER_RANGES);
+
+  // Keep the search box in step with back/forward navigation, without
+  // rewriting what's being typed (e.g. a leading #)
+  useEffect(() => {
+    setSearchQuery(prev => (toHashtagKey(prev) === hashtagKey ? prev : hashtagKey));
+  }, [hashtagKey]);
 
   // Fetch events based on category and filters
+  // Ranges are worked out in each event's own timezone (see getEvents)
   useEffect(() => {
     const fetchEvents = async () => {
       if (!currentCategory) {
@@ -74,49 +127,54 @@ const CategoryView = () => {
 
       setLoading(true);
       try {
-        const dateRange = getDateRange(activeTimeFilter);
+        const [hashtag, ...otherHashtags] = hashtagKey ? hashtagKey.split(',') : [];
 
-        // If there's a search query (hashtag), use it; otherwise filter by category
-        let result;
-        if (searchQuery.trim()) {
-          const hashtag = searchQuery.startsWith('#') ? searchQuery.slice(1) : searchQuery;
-          result = await searchEventsByHashtag(hashtag, {
+        // If there's a hashtag, search by it; otherwise filter by category
+        if (hashtag) {
+          const results = await searchEventsByHashtag(hashtag, {
             category: currentCategory.name,
-            ...dateRange,
-            limit: 50,
+            city: citySlug,
+            ...toDateFilters(timeRange),
+            limit: EVENTS_PER_BATCH,
             sortBy: 'date',
           });
-          setEvents(result);
+          setEvents(otherHashtags.reduce((matches, tag) => filterEventsByHashtag(matches, tag), results));
+          setListingPage(null);
         } else {
-          result = await getEvents({
+          const batchOptions = {
             category: currentCategory.name,
-            ...dateRange,
-            sortBy: 'date',
-            sortOrder: 'asc',
-            limit: 50,
-          });
-          const fetchedEvents = result.events || result;
+            city: citySlug,
+            timeRange,
+            locationFilter: toLocationFilter({ near, radius, sort }),
+          };
+          let result = await getCategoryBatch(batchOptions);
+          let fetchedEvents = result.events;
+
+          // A page restored from the URL needs every batch up to it
+          while (fetchedEvents.length < eventsToShowRef.current && result.hasMore) {
+            result = await getCategoryBatch({ ...batchOptions, startAfterDoc: result.lastDoc });
+            fetchedEvents = [...fetchedEvents, ...result.events];
+          }
           setEvents(fetchedEvents);
+          setListingPage({ lastDoc: result.lastDoc, hasMore: result.hasMore });
         }
-
-        setDisplayedEvents((result.events || result).slice(0, eventsToShow));
       } catch (error) {
         console.error('Error fetching events:', error);
         setEvents([]);
-        setDisplayedEvents([]);
+        setListingPage(null);
       } finally {
         setLoading(false);
       }
     };
 
     fetchEvents();
-  }, [categoryName, activeTimeFilter, currentCategory, navigate]);
+  }, [categoryName, timeRange, hashtagKey, near, radius, sort, currentCategory, navigate, citySlug]);
 
   // Fetch trending hashtags
   useEffect(() => {
     const fetchHashtags = async () => {
       try {
-        const hashtags = await getTrendingHashtags(10);
+        const hashtags = await getTrendingHashtags(10, { city: citySlug });
         setTrendingHashtags(hashtags);
       } catch (error) {
         console.error('Error fetching trending hashtags:', error);
@@ -124,86 +182,66 @@ const CategoryView = () => {
     };
 
     fetchHashtags();
-  }, []);
+  }, [citySlug]);
 
-  // Update displayed events when eventsToShow changes
-  useEffect(() => {
-    setDisplayedEvents(events.slice(0, eventsToShow));
-  }, [events, eventsToShow]);
+  // Change some filters in the URL; each change is a history entry, so
+  // back/forward steps through them
+  const updateFilters = (changes, options) => {
+    setSearchParams(updateFilterParams(searchParams, changes, FILTER_DEFAULTS), options);
+  };
 
-  // Handle search
-  const handleSearch = async (query) => {
+  // Handle search; typing replaces the history entry rather than adding one per key
+  const handleSearch = (query) => {
     setSearchQuery(query);
-
-    if (!query.trim()) {
-      // Reset to category view
-      setLoading(true);
-      try {
-        const dateRange = getDateRange(activeTimeFilter);
-        const result = await getEvents({
-          category: currentCategory.name,
-          ...dateRange,
-          sortBy: 'date',
-          sortOrder: 'asc',
-          limit: 50,
-        });
-        const fetchedEvents = result.events || result;
-        setEvents(fetchedEvents);
-        setDisplayedEvents(fetchedEvents.slice(0, 6));
-        setEventsToShow(6);
-      } catch (error) {
-        console.error('Error fetching events:', error);
-      } finally {
-        setLoading(false);
-      }
-      return;
-    }
-
-    // Search with hashtag
-    setLoading(true);
-    try {
-      const dateRange = getDateRange(activeTimeFilter);
-      const hashtag = query.startsWith('#') ? query.slice(1) : query;
-      const results = await searchEventsByHashtag(hashtag, {
-        category: currentCategory.name,
-        ...dateRange,
-        limit: 50,
-        sortBy: 'date',
-      });
-      setEvents(results);
-      setDisplayedEvents(results.slice(0, 6));
-      setEventsToShow(6);
-    } catch (error) {
-      console.error('Error searching by hashtag:', error);
-      setEvents([]);
-      setDisplayedEvents([]);
-    } finally {
-      setLoading(false);
-    }
+    updateFilters({ hashtags: toHashtagKey(query) ? [query] : [] }, { replace: true });
   };
 
-  // Handle category click
+  // Handle category click (the other filters carry over)
   const handleCategoryClick = (category) => {
-    navigate(`/category/${category.id}`);
+    navigate({ pathname: `/category/${category.id}`, search: updateFilterParams(searchParams, { page: 1 }).toString() });
     setSidebarOpen(false);
   };
 
   // Handle hashtag click
-  const handleHashtagClick = async (hashtag) => {
+  const handleHashtagClick = (hashtag) => {
     const normalizedHashtag = hashtag.startsWith('#') ? hashtag.slice(1) : hashtag;
     setSearchQuery(normalizedHashtag);
-    await handleSearch(normalizedHashtag);
+    updateFilters({ hashtags: [normalizedHashtag] });
   };
 
   // Handle time filter change
   const handleTimeFilterChange = (filter) => {
-    setActiveTimeFilter(filter);
-    setEventsToShow(6);
+    updateFilters({ timeRange: TIME_FILTER_RANGES[filter] });
   };
 
-  // Handle show more
-  const handleShowMore = () => {
-    setEventsToShow(prev => prev + 6);
+  // Handle location filter change
+  const handleLocationFilterChange = (filter) => {
+    updateFilters(fromLocationFilter(filter));
+  };
+
+  // Handle show more, loading the next batch of the listing once the loaded
+  // events run out; replaces the history entry rather than adding one
+  const handleShowMore = async () => {
+    if (eventsToShow + EVENTS_PER_PAGE > events.length && listingPage?.hasMore) {
+      setLoadingMore(true);
+      try {
+        const result = await getCategoryBatch({
+          category: currentCategory.name,
+          city: citySlug,
+          timeRange,
+          locationFilter,
+          startAfterDoc: listingPage.lastDoc,
+        });
+        setEvents(prev => [...prev, ...result.events]);
+        setListingPage({ lastDoc: result.lastDoc, hasMore: result.hasMore });
+      } catch (error) {
+        console.error('Error loading more events:', error);
+      } finally {
+        setLoadingMore(false);
+      }
+    }
+
+    updateFilters({ page: filters.page + 1 }, { replace: true });
   };
 
   // Handle favorite toggle
@@ -335,18 +373,54 @@ const CategoryView = () => {
                   ))}
                 </div>
               </div>
+
+              {/* Location Filter */}
+              <div className="mt-6">
+                <LocationFilter value={locationFilter} onChange={handleLocationFilterChange} />
+              </div>
             </div>
           </section>
 
           {/* Events Grid */}
           <section className="py-12 px-4 sm:px-6 lg:px-8 bg-gradient-to-b from-white to-gray-50">
             <div className="max-w-6xl mx-auto">
+              {/* Grid / Map Toggle */}
+              <div className="flex justify-center mb-8">
+                <div className="inline-flex bg-white rounded-full p-1 shadow-md">
+                  {[
+                    { mode: 'grid', label: 'Grid', icon: LayoutGrid },
+                    { mode: 'map', label: 'Map', icon: MapIcon },
+                  ].map((option) => (
+                    <button
+                      key={option.mode}
+                      onClick={() => setViewMode(option.mode)}
+                      className={`flex items-center gap-2 px-5 py-2 rounded-full text-sm font-semibold transition-all duration-200 ${
+                        viewMode === option.mode
+                          ? 'bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white shadow-md'
+                          : 'text-gray-600 hover:text-[#FF6B6B]'
+                      }`}
+                    >
+                      <option.icon className="w-4 h-4" />
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
               {loading ? (
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                   {[...Array(6)].map((_, i) => (
                     <div key={i} className="bg-gray-200 rounded-lg aspect-[4/3] animate-pulse"></div>
                   ))}
                 </div>
+              ) : viewMode === 'map' ? (
+                <EventMap
+                  events={events}
+                  isEventFavorited={isEventFavorited}
+                  onFavoriteToggle={handleFavoriteToggle}
+                  onHashtagClick={handleHashtagClick}
+                  currentUserId={user?.uid}
+                />
               ) : displayedEvents.length > 0 ? (
                 <>
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -363,13 +437,14 @@ const CategoryView = () => {
                   </div>
 
                   {/* Show More Button */}
-                  {eventsToShow < events.length && (
+                  {(eventsToShow < events.length || listingPage?.hasMore) && (
                     <div className="mt-12 text-center">
                       <button
                         onClick={handleShowMore}
-                        className="px-10 py-4 bg-white border-2 border-[#FF6B6B] text-[#FF6B6B] rounded-full font-semibold hover:bg-gradient-to-r hover:from-[#FF6B6B] hover:to-[#FF8E8E] hover:text-white hover:border-transparent transition-all duration-200 shadow-md hover:shadow-lg transform hover:scale-105"
+                        disabled={loadingMore}
+                        className="px-10 py-4 bg-white border-2 border-[#FF6B6B] text-[#FF6B6B] rounded-full font-semibold hover:bg-gradient-to-r hover:from-[#FF6B6B] hover:to-[#FF8E8E] hover:text-white hover:border-transparent transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed shadow-md hover:shadow-lg transform hover:scale-105"
                       >
-                        Show More Events
+                        {loadingMore ? 'Loading...' : 'Show More Events'}
                       </button>
                     </div>
                   )}
@@ -381,10 +456,7 @@ const CategoryView = () => {
                       No events found {searchQuery ? `for "${searchQuery}"` : ''}.
                     </p>
                     <button
-                      onClick={() => {
-                        setSearchQuery('');
-                        handleSearch('');
-                      }}
+                      onClick={() => handleSearch('')}
                       className="px-8 py-3 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-full font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all duration-200 shadow-md hover:shadow-lg"
                     >
                       Clear search
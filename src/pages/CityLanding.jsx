@@ -0,0 +1,41 @@
+import { useParams, Link } from 'react-router-dom';
+import Navbar from '../components/Navbar';
+import Footer from '../components/Footer';
+import Landing from './Landing';
+import { getCityBySlug } from '../data/cities';
+
+/**
+ * City Landing Page (/city/:citySlug)
+ * The landing page with every listing scoped to one city.
+ */
+const CityLanding = () => {
+  const { citySlug } = useParams();
+  const city = getCityBySlug(citySlug);
+
+  if (!city) {
+    return (
+      <div className="min-h-screen bg-white flex flex-col">
+        <Navbar />
+        <div className="flex-1 flex items-center justify-center px-4">
+          <div className="text-center max-w-md">
+            <div className="bg-red-50 rounded-2xl p-8 mb-6">
+              <p className="text-red-600 text-lg mb-4">We don't list events in that city yet.</p>
+              <Link
+                to="/"
+                className="inline-block px-6 py-3 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-xl font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all duration-200 shadow-md hover:shadow-lg"
+              >
+                Browse All Events
+              </Link>
+            </div>
+          </div>
+        </div>
+        <Footer />
+      </div>
+    );
+  }
+
+  // Keyed so filters reset when switching cities
+  return <Landing key={city.slug} city={city} />;
+};
+
+export default CityLanding;
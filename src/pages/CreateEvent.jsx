@@ -1,40 +1,70 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { Calendar, MapPin, DollarSign, Link as LinkIcon, Tag, Upload, Image as ImageIcon } from 'lucide-react';
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { LayoutTemplate } from 'lucide-react';
 import Navbar from '../components/Navbar';
 import Footer from '../components/Footer';
-import { createEvent } from '../services/eventService';
-import { uploadImage } from '../services/storageService';
+import EventForm from '../components/EventForm';
+import { createEvent, getEventById } from '../services/eventService';
+import { getEventTemplates, getEventTemplate } from '../services/eventTemplateService';
 import { useAuth } from '../context/AuthContext';
-import { EVENT_CATEGORIES } from '../data/eventCategories';
+import { isEventHost } from '../utils/hostHelpers';
+import { duplicateEventPrefill, templateToEventPrefill } from '../utils/eventTemplateHelpers';
 
 const CreateEvent = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
+  const [searchParams] = useSearchParams();
+  const duplicateId = searchParams.get('duplicate');
+  const templateId = searchParams.get('template');
 
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    category: '',
-    date: '',
-    startTime: '',
-    endTime: '',
-    venue: '',
-    street: '',
-    city: '',
-    state: '',
-    zip: '',
-    price: '',
-    ticketLink: '',
-    hashtags: '',
-  });
-
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [previewUrl, setPreviewUrl] = useState('');
-  const [imageUrl, setImageUrl] = useState('');
-  const [uploading, setUploading] = useState(false);
-  const [error, setError] = useState('');
   const [success, setSuccess] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState(templateId || '');
+  // Event or template the form starts from; the key remounts the form when it changes
+  const [prefill, setPrefill] = useState(null);
+  const [prefillKey, setPrefillKey] = useState('blank');
+  const [loadingPrefill, setLoadingPrefill] = useState(Boolean(duplicateId || templateId));
+  const [prefillError, setPrefillError] = useState('');
+
+  // Load the promoter's templates for the picker
+  useEffect(() => {
+    if (!user?.uid) return;
+
+    getEventTemplates(user.uid)
+      .then(setTemplates)
+      .catch((err) => console.error('Error fetching event templates:', err));
+  }, [user?.uid]);
+
+  // Prefill from ?duplicate=<eventId> or ?template=<templateId>
+  useEffect(() => {
+    if (!user?.uid || (!duplicateId && !templateId)) return;
+
+    const loadPrefill = async () => {
+      setLoadingPrefill(true);
+      setPrefillError('');
+      try {
+        if (duplicateId) {
+          const sourceEvent = await getEventById(duplicateId);
+          if (!isEventHost(sourceEvent, user.uid)) {
+            throw new Error('You can only duplicate events you host');
+          }
+          setPrefill(duplicateEventPrefill(sourceEvent));
+          setPrefillKey(`duplicate-${duplicateId}`);
+        } else {
+          const template = await getEventTemplate(user.uid, templateId);
+          setPrefill(templateToEventPrefill(template));
+          setPrefillKey(`template-${templateId}`);
+        }
+      } catch (err) {
+        console.error('Error loading event prefill:', err);
+        setPrefillError(err.message || 'Failed to load event');
+      } finally {
+        setLoadingPrefill(false);
+      }
+    };
+
+    loadPrefill();
+  }, [user?.uid, duplicateId, templateId]);
 
   // Redirect if not a promoter
   if (user && user.userType !== 'promoter') {
@@ -42,116 +72,24 @@ const CreateEvent = () => {
     return null;
   }
 
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData(prev => ({ ...prev, [name]: value }));
-    if (error) setError('');
-  };
-
-  const handleFileSelect = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-
-    // Validate file type
-    if (!file.type.startsWith('image/')) {
-      setError('Please select an image file');
-      return;
-    }
-
-    // Validate file size (max 5MB)
-    if (file.size > 5 * 1024 * 1024) {
-      setError('Image size must be less than 5MB');
-      return;
-    }
-
-    setSelectedFile(file);
-    setError('');
-
-    // Create preview
-    const reader = new FileReader();
-    reader.onloadend = () => {
-      setPreviewUrl(reader.result);
-    };
-    reader.readAsDataURL(file);
-  };
-
-  const handleImageUrlChange = (e) => {
-    const url = e.target.value;
-    setImageUrl(url);
-    setPreviewUrl(url);
-    setSelectedFile(null);
+  const handleTemplateSelect = (e) => {
+    const id = e.target.value;
+    const template = templates.find(item => item.id === id);
+    setSelectedTemplateId(id);
+    setPrefill(template ? templateToEventPrefill(template) : null);
+    setPrefillKey(template ? `template-${id}` : 'blank');
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setError('');
-    setUploading(true);
-
-    try {
-      // Validate required fields
-      if (!formData.title.trim()) {
-        throw new Error('Event title is required');
-      }
-      if (!formData.category) {
-        throw new Error('Category is required');
-      }
-      if (!formData.date) {
-        throw new Error('Event date is required');
-      }
-      if (!formData.venue.trim()) {
-        throw new Error('Venue name is required');
-      }
-
-      let finalImageUrl = imageUrl;
-
-      // Upload image if file is selected
-      if (selectedFile) {
-        const storagePath = `events/${user.uid}/${Date.now()}_${selectedFile.name}`;
-        finalImageUrl = await uploadImage(selectedFile, storagePath);
-      }
-
-      // Parse hashtags
-      const hashtagArray = formData.hashtags
-        .split(',')
-        .map(tag => tag.trim().toLowerCase().replace('#', ''))
-        .filter(tag => tag.length > 0);
-
-      // Prepare event data
-      const eventData = {
-        title: formData.title.trim(),
-        description: formData.description.trim(),
-        category: formData.category,
-        date: new Date(formData.date).toISOString(),
-        startTime: formData.startTime,
-        endTime: formData.endTime,
-        venue: formData.venue.trim(),
-        address: {
-          street: formData.street.trim(),
-          city: formData.city.trim(),
-          state: formData.state.trim(),
-          zip: formData.zip.trim(),
-        },
-        imageUrl: finalImageUrl,
-        price: parseFloat(formData.price) || 0,
-        ticketLink: formData.ticketLink.trim(),
-        hashtags: hashtagArray,
-      };
-
-      // Create event
-      await createEvent(eventData, user.uid);
+  const handleSubmit = async (eventData) => {
+    // Create event (duplicates and templates reuse the original flyer unless a new one was picked)
+    await createEvent({ imageStoragePath: prefill?.imageStoragePath || '', ...eventData }, user.uid);
 
-      setSuccess(true);
+    setSuccess(true);
 
-      // Redirect to profile after success
-      setTimeout(() => {
-        navigate('/profile', { state: { refresh: true } });
-      }, 2000);
-
-    } catch (err) {
-      console.error('Error creating event:', err);
-      setError(err.message || 'Failed to create event. Please try again.');
-      setUploading(false);
-    }
+    // Redirect to profile after success
+    setTimeout(() => {
+      navigate('/profile', { state: { refresh: true } });
+    }, 2000);
   };
 
   if (success) {
@@ -184,369 +122,65 @@ const CreateEvent = () => {
       {/* Header */}
       <section className="bg-gradient-to-br from-gray-50 via-white to-gray-50 py-8 sm:py-12 px-4 sm:px-6 lg:px-8">
         <div className="max-w-4xl mx-auto">
-          <h1 className="text-3xl sm:text-4xl md:text-5xl font-bold text-gray-900 mb-3 sm:mb-4">Create New Event</h1>
-          <p className="text-base sm:text-lg text-gray-600">Fill in the details below to create your event</p>
+          <h1 className="text-3xl sm:text-4xl md:text-5xl font-bold text-gray-900 mb-3 sm:mb-4">
+            {duplicateId ? 'Duplicate Event' : 'Create New Event'}
+          </h1>
+          <p className="text-base sm:text-lg text-gray-600">
+            {duplicateId
+              ? 'Everything has been copied over. Pick a new date and make any changes.'
+              : 'Fill in the details below to create your event'}
+          </p>
         </div>
       </section>
 
       {/* Form */}
       <section className="py-12 px-4 sm:px-6 lg:px-8 bg-white">
         <div className="max-w-4xl mx-auto">
-          <form onSubmit={handleSubmit} className="space-y-8">
-            {/* Basic Information */}
-            <div className="bg-white rounded-2xl border border-gray-200 p-4 sm:p-6 shadow-sm">
-              <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-4 sm:mb-6">Basic Information</h2>
-
-              {/* Event Title */}
-              <div className="mb-6">
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Event Title *
-                </label>
-                <input
-                  type="text"
-                  name="title"
-                  value={formData.title}
-                  onChange={handleChange}
-                  required
-                  placeholder="e.g., Afrobeats Brunch Party"
-                  className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                />
-              </div>
-
-              {/* Category */}
-              <div className="mb-6">
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Category *
-                </label>
-                <select
-                  name="category"
-                  value={formData.category}
-                  onChange={handleChange}
-                  required
-                  className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                >
-                  <option value="">Select a category</option>
-                  {EVENT_CATEGORIES.map((cat) => (
-                    <option key={cat.id} value={cat.name}>
-                      {cat.displayName}
-                    </option>
-                  ))}
-                </select>
-              </div>
-
-              {/* Description */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Description
-                </label>
-                <textarea
-                  name="description"
-                  value={formData.description}
-                  onChange={handleChange}
-                  rows={5}
-                  placeholder="Describe your event..."
-                  className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all resize-none"
-                />
-              </div>
-            </div>
-
-            {/* Date & Time */}
-            <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
-              <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
-                <Calendar className="w-6 h-6 text-[#FF6B6B]" />
-                Date & Time
-              </h2>
-
-              <div className="grid md:grid-cols-3 gap-6">
-                {/* Date */}
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Date *
-                  </label>
-                  <input
-                    type="date"
-                    name="date"
-                    value={formData.date}
-                    onChange={handleChange}
-                    required
-                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                  />
-                </div>
-
-                {/* Start Time */}
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Start Time
-                  </label>
-                  <input
-                    type="time"
-                    name="startTime"
-                    value={formData.startTime}
-                    onChange={handleChange}
-                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                  />
-                </div>
-
-                {/* End Time */}
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    End Time
-                  </label>
-                  <input
-                    type="time"
-                    name="endTime"
-                    value={formData.endTime}
-                    onChange={handleChange}
-                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                  />
-                </div>
-              </div>
-            </div>
-
-            {/* Location */}
-            <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
-              <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
-                <MapPin className="w-6 h-6 text-[#FF6B6B]" />
-                Location
-              </h2>
-
-              {/* Venue Name */}
-              <div className="mb-6">
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Venue Name *
-                </label>
-                <input
-                  type="text"
-                  name="venue"
-                  value={formData.venue}
-                  onChange={handleChange}
-                  required
-                  placeholder="e.g., Brooklyn Harbor Loft"
-                  className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                />
-              </div>
-
-              {/* Address */}
-              <div className="grid md:grid-cols-2 gap-6 mb-6">
-                <div className="md:col-span-2">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Street Address
-                  </label>
-                  <input
-                    type="text"
-                    name="street"
-                    value={formData.street}
-                    onChange={handleChange}
-                    placeholder="222 Pearl Street"
-                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                  />
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    City
-                  </label>
-                  <input
-                    type="text"
-                    name="city"
-                    value={formData.city}
-                    onChange={handleChange}
-                    placeholder="Brooklyn"
-                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                  />
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    State
-                  </label>
-                  <input
-                    type="text"
-                    name="state"
-                    value={formData.state}
-                    onChange={handleChange}
-                    placeholder="NY"
-                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                  />
-                </div>
-
-                <div className="md:col-span-2">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    ZIP Code
-                  </label>
-                  <input
-                    type="text"
-                    name="zip"
-                    value={formData.zip}
-                    onChange={handleChange}
-                    placeholder="11201"
-                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                  />
-                </div>
-              </div>
-            </div>
-
-            {/* Event Flyer/Image */}
-            <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
-              <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
-                <ImageIcon className="w-6 h-6 text-[#FF6B6B]" />
-                Event Flyer
-              </h2>
-
-              {/* Image Upload */}
-              {previewUrl ? (
-                <div className="relative mb-6">
-                  <img
-                    src={previewUrl}
-                    alt="Preview"
-                    className="w-full max-h-96 object-contain rounded-lg border-2 border-gray-200"
-                  />
-                  <button
-                    type="button"
-                    onClick={() => {
-                      setSelectedFile(null);
-                      setPreviewUrl('');
-                      setImageUrl('');
-                    }}
-                    className="absolute top-2 right-2 w-8 h-8 bg-white rounded-full flex items-center justify-center shadow-lg hover:bg-gray-100 transition-colors"
-                  >
-                    ×
-                  </button>
-                </div>
-              ) : (
-                <label className="block w-full border-2 border-dashed border-gray-300 rounded-lg p-12 text-center cursor-pointer hover:border-[#FF6B6B] hover:bg-gray-50 transition-all mb-6">
-                  <input
-                    type="file"
-                    accept="image/*"
-                    onChange={handleFileSelect}
-                    className="hidden"
-                  />
-                  <Upload className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-                  <p className="text-gray-600 font-medium mb-2">
-                    Click to upload event flyer
-                  </p>
-                  <p className="text-sm text-gray-500">
-                    PNG, JPG up to 5MB
-                  </p>
-                </label>
-              )}
-
-              {/* Or Image URL */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Or paste image URL
-                </label>
-                <input
-                  type="url"
-                  value={imageUrl}
-                  onChange={handleImageUrlChange}
-                  placeholder="https://example.com/image.jpg"
-                  className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                />
-              </div>
-            </div>
-
-            {/* Pricing & Tickets */}
-            <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
-              <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
-                <DollarSign className="w-6 h-6 text-[#FF6B6B]" />
-                Pricing & Tickets
-              </h2>
-
-              <div className="grid md:grid-cols-2 gap-6">
-                {/* Price */}
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Price (USD)
-                  </label>
-                  <input
-                    type="number"
-                    name="price"
-                    value={formData.price}
-                    onChange={handleChange}
-                    min="0"
-                    step="0.01"
-                    placeholder="0.00"
-                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                  />
-                </div>
-
-                {/* Ticket Link */}
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Ticket Link
-                  </label>
-                  <input
-                    type="url"
-                    name="ticketLink"
-                    value={formData.ticketLink}
-                    onChange={handleChange}
-                    placeholder="https://tickets.example.com"
-                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                  />
-                </div>
-              </div>
+          {/* Template Picker */}
+          {!duplicateId && templates.length > 0 && (
+            <div className="bg-gray-50 rounded-2xl border border-gray-200 p-4 sm:p-6 mb-8">
+              <label className="block text-sm font-medium text-gray-700 mb-2 flex items-center gap-2">
+                <LayoutTemplate className="w-4 h-4 text-[#FF6B6B]" />
+                Start from a template
+              </label>
+              <select
+                value={selectedTemplateId}
+                onChange={handleTemplateSelect}
+                className="w-full px-4 py-3 bg-white border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+              >
+                <option value="">Blank event</option>
+                {templates.map(template => (
+                  <option key={template.id} value={template.id}>
+                    {template.name}{template.venue ? ` · ${template.venue}` : ''}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-2">
+                Manage your templates from your profile
+              </p>
             </div>
+          )}
 
-            {/* Hashtags */}
-            <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
-              <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
-                <Tag className="w-6 h-6 text-[#FF6B6B]" />
-                Hashtags
-              </h2>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Event Hashtags
-                </label>
-                <input
-                  type="text"
-                  name="hashtags"
-                  value={formData.hashtags}
-                  onChange={handleChange}
-                  placeholder="e.g., afrobeats, brunch, brooklyn, dayparty"
-                  className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
-                />
-                <p className="text-xs text-gray-500 mt-2">
-                  Separate multiple hashtags with commas
-                </p>
-              </div>
+          {prefillError && (
+            <div className="bg-red-50 border-l-4 border-red-500 text-red-700 px-4 py-3 rounded-lg mb-8">
+              {prefillError}
             </div>
+          )}
 
-            {/* Error Message */}
-            {error && (
-              <div className="bg-red-50 border-l-4 border-red-500 text-red-700 px-4 py-3 rounded-lg">
-                <p className="font-medium">Error</p>
-                <p>{error}</p>
-              </div>
-            )}
-
-            {/* Submit Buttons */}
-            <div className="flex flex-col sm:flex-row gap-4 pt-4">
-              <button
-                type="button"
-                onClick={() => navigate('/profile')}
-                disabled={uploading}
-                className="flex-1 px-8 py-4 bg-white border-2 border-gray-300 text-gray-700 font-semibold rounded-xl hover:bg-gray-50 transition-all disabled:opacity-50"
-              >
-                Cancel
-              </button>
-              <button
-                type="submit"
-                disabled={uploading}
-                className="flex-1 px-8 py-4 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] hover:from-[#ff5252] hover:to-[#FF6B6B] text-white font-semibold rounded-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-lg hover:shadow-xl flex items-center justify-center gap-2"
-              >
-                {uploading ? (
-                  <>
-                    <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                    Creating Event...
-                  </>
-                ) : (
-                  'Create Event'
-                )}
-              </button>
+          {loadingPrefill ? (
+            <div className="text-center py-12">
+              <div className="w-12 h-12 border-4 border-[#FF6B6B] border-t-transparent rounded-full animate-spin mx-auto"></div>
             </div>
-          </form>
+          ) : (
+            <EventForm
+              key={prefillKey}
+              userId={user.uid}
+              event={prefill}
+              onSubmit={handleSubmit}
+              onCancel={() => navigate('/profile')}
+              allowRecurrence
+            />
+          )}
         </div>
       </section>
 
@@ -0,0 +1,405 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { Repeat, CalendarX, CalendarClock, Ticket, RotateCcw } from 'lucide-react';
+import Navbar from '../components/Navbar';
+import Footer from '../components/Footer';
+import EventForm from '../components/EventForm';
+import PromoCodeManager from '../components/PromoCodeManager';
+import HostManager from '../components/HostManager';
+import {
+  getEventById,
+  updateEvent,
+  updateEventOccurrences,
+  publishEvent,
+  cancelEvent,
+  postponeEvent,
+  setEventSoldOut,
+} from '../services/eventService';
+import { adjustHashtagCounts } from '../services/hashtagService';
+import { promoteFromWaitlist } from '../services/rsvpService';
+import { useAuth } from '../context/AuthContext';
+import { describeRecurrence } from '../utils/recurrenceHelpers';
+import { EVENT_STATUSES, getEventStatus, getStatusLabel } from '../utils/eventStatusHelpers';
+import { canEditEvent, canManageHosts, buildHostFields } from '../utils/hostHelpers';
+import { getEventTimezone, buildEventInstants } from '../utils/timezoneHelpers';
+
+const EditEvent = () => {
+  const { eventId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState(false);
+  const [updateScope, setUpdateScope] = useState('this');
+  const [statusUpdating, setStatusUpdating] = useState(false);
+  const [showPostpone, setShowPostpone] = useState(false);
+  const [postponeDate, setPostponeDate] = useState('');
+  const [postponeTime, setPostponeTime] = useState('');
+
+  // Fetch the event being edited
+  useEffect(() => {
+    const fetchEvent = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const eventData = await getEventById(eventId);
+        setEvent(eventData);
+      } catch (err) {
+        console.error('Error fetching event:', err);
+        setError(err.message || 'Event not found');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEvent();
+  }, [eventId]);
+
+  // Owners and editors may edit the event; only owners manage its hosts
+  const canEdit = canEditEvent(event, user?.uid);
+  const canManage = canManageHosts(event, user?.uid);
+  const status = getEventStatus(event);
+  const statusLabel = getStatusLabel(event);
+
+  const handleSubmit = async (eventData) => {
+    // Save event (recurring series can apply the changes to later dates too)
+    let previousOccurrences = [event];
+    if (event.seriesId) {
+      ({ previousOccurrences } = await updateEventOccurrences(eventId, eventData, updateScope));
+    } else {
+      await updateEvent(eventId, eventData);
+    }
+
+    // Keep hashtag usage counts in sync with added/removed tags, for every
+    // occurrence that changed (each counts on its own)
+    try {
+      await Promise.all(previousOccurrences.map(occurrence => (
+        adjustHashtagCounts(occurrence.hashtags || [], eventData.hashtags)
+      )));
+    } catch (err) {
+      // Don't fail the save if the counters can't be updated
+      console.error('Error adjusting hashtag counts:', err);
+    }
+
+    // A raised or removed capacity opens spots for people on the waitlist
+    if ((eventData.capacity || null) !== (event.capacity || null)) {
+      try {
+        await Promise.all(previousOccurrences.map((occurrence) => promoteFromWaitlist(occurrence.id)));
+      } catch (err) {
+        // Don't fail the save; the next freed spot will promote them
+        console.error('Error promoting from waitlist:', err);
+      }
+    }
+
+    setSuccess(true);
+
+    // Redirect to the event after success
+    setTimeout(() => {
+      navigate(`/events/${eventId}`);
+    }, 2000);
+  };
+
+  /**
+   * Run a status change and refresh the event being edited
+   * @param {Function} action - Async service call returning the updated event
+   */
+  const runStatusAction = async (action) => {
+    setStatusUpdating(true);
+    try {
+      const updatedEvent = await action();
+      setEvent(updatedEvent);
+      setShowPostpone(false);
+    } catch (err) {
+      console.error('Error updating event status:', err);
+      alert(err.message || 'Failed to update event status. Please try again.');
+    } finally {
+      setStatusUpdating(false);
+    }
+  };
+
+  const handleCancelEvent = () => {
+    const message = event.seriesId
+      ? 'Cancel this date? The other dates in the series stay on the calendar.'
+      : 'Cancel this event? It will be removed from listings and search.';
+    if (!window.confirm(message)) {
+      return;
+    }
+    runStatusAction(() => cancelEvent(eventId));
+  };
+
+  const handlePostpone = () => {
+    let reschedule = {};
+
+    if (postponeDate) {
+      // Keep the original start time when only the day changes
+      const { startAt, endAt } = buildEventInstants({
+        date: postponeDate,
+        startTime: postponeTime || event.startTime,
+        endTime: event.endTime,
+        timezone: getEventTimezone(event),
+      });
+      // Multi-day events keep their length
+      const duration = event.isMultiDay && event.endAt
+        ? new Date(event.endAt) - new Date(event.startAt || event.date)
+        : null;
+      reschedule = {
+        date: startAt,
+        endAt: duration !== null ? new Date(new Date(startAt).getTime() + duration).toISOString() : endAt,
+        ...(postponeTime ? { startTime: postponeTime } : {}),
+      };
+    }
+
+    runStatusAction(() => postponeEvent(eventId, reschedule));
+  };
+
+  // Loading state
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-white flex flex-col">
+        <Navbar />
+        <div className="flex-1 flex items-center justify-center py-20">
+          <div className="text-center">
+            <div className="w-16 h-16 border-4 border-[#FF6B6B] border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+            <p className="text-gray-600 text-lg">Loading event details...</p>
+          </div>
+        </div>
+        <Footer />
+      </div>
+    );
+  }
+
+  // Error / not allowed state
+  if (error || !event || !canEdit) {
+    return (
+      <div className="min-h-screen bg-white flex flex-col">
+        <Navbar />
+        <div className="flex-1 flex items-center justify-center py-20">
+          <div className="text-center max-w-md mx-auto px-4">
+            <div className="bg-white rounded-2xl shadow-lg p-12">
+              <h2 className="text-2xl font-bold text-gray-900 mb-4">
+                {error || !event ? 'Event Not Found' : 'Not Allowed'}
+              </h2>
+              <p className="text-gray-600 mb-6">
+                {error || !event
+                  ? error || 'The event you are looking for does not exist.'
+                  : 'Only the event\'s owners and editors can edit it.'}
+              </p>
+              <button
+                onClick={() => navigate('/profile')}
+                className="px-8 py-3 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-full font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all duration-200 shadow-md hover:shadow-lg"
+              >
+                Back to Profile
+              </button>
+            </div>
+          </div>
+        </div>
+        <Footer />
+      </div>
+    );
+  }
+
+  if (success) {
+    return (
+      <div className="min-h-screen bg-white flex flex-col">
+        <Navbar />
+        <div className="flex-1 flex items-center justify-center py-20">
+          <div className="text-center max-w-md mx-auto px-4">
+            <div className="bg-white rounded-2xl shadow-lg p-12">
+              <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                <svg className="w-8 h-8 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
+                </svg>
+              </div>
+              <h2 className="text-2xl font-bold text-gray-900 mb-4">Event Updated!</h2>
+              <p className="text-gray-600 mb-6">Your changes have been saved.</p>
+              <p className="text-sm text-gray-500">Redirecting to your event...</p>
+            </div>
+          </div>
+        </div>
+        <Footer />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-white flex flex-col">
+      <Navbar />
+
+      {/* Header */}
+      <section className="bg-gradient-to-br from-gray-50 via-white to-gray-50 py-8 sm:py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-4xl mx-auto">
+          <h1 className="text-3xl sm:text-4xl md:text-5xl font-bold text-gray-900 mb-3 sm:mb-4">Edit Event</h1>
+          <p className="text-base sm:text-lg text-gray-600">Update the details of your event</p>
+        </div>
+      </section>
+
+      {/* Form */}
+      <section className="py-12 px-4 sm:px-6 lg:px-8 bg-white">
+        <div className="max-w-4xl mx-auto">
+          {/* Recurring Series Options */}
+          {event.seriesId && (
+            <div className="bg-gradient-to-r from-pink-50 to-red-50 rounded-2xl border border-[#FF6B6B]/30 p-6 mb-8">
+              <div className="flex items-center gap-2 mb-4">
+                <Repeat className="w-5 h-5 text-[#FF6B6B]" />
+                <p className="font-semibold text-gray-900">
+                  Part of a series: {describeRecurrence(event.recurrence, event.seriesStartDate || event.date)}
+                </p>
+              </div>
+
+              <div className="flex flex-col sm:flex-row gap-4">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="updateScope"
+                    value="this"
+                    checked={updateScope === 'this'}
+                    onChange={(e) => setUpdateScope(e.target.value)}
+                    className="text-[#FF6B6B] focus:ring-[#FF6B6B]"
+                  />
+                  <span className="text-sm font-medium text-gray-700">This date only</span>
+                </label>
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="updateScope"
+                    value="future"
+                    checked={updateScope === 'future'}
+                    onChange={(e) => setUpdateScope(e.target.value)}
+                    className="text-[#FF6B6B] focus:ring-[#FF6B6B]"
+                  />
+                  <span className="text-sm font-medium text-gray-700">This and all future dates</span>
+                </label>
+              </div>
+              {updateScope === 'future' && (
+                <p className="text-sm text-gray-600 mt-3">
+                  Later dates you edited on their own keep their changes.
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Event Status */}
+          {status !== EVENT_STATUSES.DRAFT && (
+            <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm mb-8">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-bold text-gray-900">Event Status</h2>
+                <span className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm font-semibold">
+                  {statusLabel || 'Live'}
+                </span>
+              </div>
+
+              {status === EVENT_STATUSES.CANCELLED ? (
+                <button
+                  type="button"
+                  onClick={() => runStatusAction(() => publishEvent(eventId))}
+                  disabled={statusUpdating}
+                  className="flex items-center gap-2 text-sm font-semibold text-[#FF6B6B] hover:text-[#ff5252] disabled:opacity-50"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                  Reinstate event
+                </button>
+              ) : (
+                <div className="flex flex-wrap gap-6">
+                  <button
+                    type="button"
+                    onClick={() => runStatusAction(() => setEventSoldOut(eventId, status !== EVENT_STATUSES.SOLD_OUT))}
+                    disabled={statusUpdating}
+                    className="flex items-center gap-2 text-sm font-semibold text-gray-700 hover:text-[#FF6B6B] disabled:opacity-50"
+                  >
+                    <Ticket className="w-4 h-4" />
+                    {status === EVENT_STATUSES.SOLD_OUT ? 'Put back on sale' : 'Mark as sold out'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowPostpone(prev => !prev)}
+                    disabled={statusUpdating}
+                    className="flex items-center gap-2 text-sm font-semibold text-gray-700 hover:text-[#FF6B6B] disabled:opacity-50"
+                  >
+                    <CalendarClock className="w-4 h-4" />
+                    Postpone
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleCancelEvent}
+                    disabled={statusUpdating}
+                    className="flex items-center gap-2 text-sm font-semibold text-red-600 hover:text-red-700 disabled:opacity-50"
+                  >
+                    <CalendarX className="w-4 h-4" />
+                    {event.seriesId ? 'Cancel this date only' : 'Cancel event'}
+                  </button>
+                </div>
+              )}
+
+              {showPostpone && status !== EVENT_STATUSES.CANCELLED && (
+                <div className="mt-6 pt-6 border-t border-gray-200">
+                  <div className="grid md:grid-cols-2 gap-6 mb-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        New Date
+                      </label>
+                      <input
+                        type="date"
+                        value={postponeDate}
+                        onChange={(e) => setPostponeDate(e.target.value)}
+                        className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        New Start Time
+                      </label>
+                      <input
+                        type="time"
+                        value={postponeTime}
+                        onChange={(e) => setPostponeTime(e.target.value)}
+                        className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                      />
+                    </div>
+                  </div>
+                  <p className="text-xs text-gray-500 mb-4">
+                    Leave the date empty if the new date hasn't been announced yet.
+                    {getEventTimezone(event) && ` Times are in ${getEventTimezone(event).replace(/_/g, ' ')}.`}
+                  </p>
+                  <button
+                    type="button"
+                    onClick={handlePostpone}
+                    disabled={statusUpdating}
+                    className="px-6 py-3 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-xl font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all disabled:opacity-50"
+                  >
+                    {statusUpdating ? 'Saving...' : 'Confirm Postponement'}
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Hosts */}
+          <HostManager
+            event={event}
+            canManage={canManage}
+            onHostsChange={(hosts) => setEvent(prev => ({ ...prev, ...buildHostFields(hosts) }))}
+          />
+
+          {/* Promo Codes */}
+          <PromoCodeManager eventId={eventId} ticketTiers={event.ticketTiers} />
+
+          <EventForm
+            key={event.updatedAt}
+            userId={user.uid}
+            event={event}
+            onSubmit={handleSubmit}
+            onCancel={() => navigate('/profile')}
+            submitLabel="Save Changes"
+            submittingLabel="Saving Changes..."
+          />
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default EditEvent;
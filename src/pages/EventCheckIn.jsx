@@ -0,0 +1,365 @@
+import { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ScanLine, Camera, CameraOff, WifiOff, ClipboardCheck, AlertCircle } from 'lucide-react';
+import { format } from 'date-fns';
+import Navbar from '../components/Navbar';
+import Footer from '../components/Footer';
+import { getEventById } from '../services/eventService';
+import { getAttendees } from '../services/rsvpService';
+import { checkInAttendee, subscribeToCheckIns } from '../services/checkInService';
+import { useAuth } from '../context/AuthContext';
+import { canCheckInGuests } from '../utils/hostHelpers';
+
+// How often the camera feed is checked for a QR code
+const SCAN_INTERVAL_MS = 400;
+
+// Ignore the same code this long after it was scanned, so one QR isn't read twice
+const RESCAN_COOLDOWN_MS = 3000;
+
+const EventCheckIn = () => {
+  const { eventId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [progress, setProgress] = useState({ checkIns: [], checkedInCount: 0, expectedCount: 0, pendingSync: false });
+  const [attendeeNames, setAttendeeNames] = useState({});
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [cameraOn, setCameraOn] = useState(false);
+  const [cameraError, setCameraError] = useState('');
+
+  const videoRef = useRef(null);
+  const lastScanRef = useRef({ code: '', at: 0 });
+  const submitCodeRef = useRef(null);
+
+  // Camera scanning uses the browser's built-in QR detector where available
+  const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  // Every host role (owner, editor, door staff) can run the door
+  const canCheckIn = canCheckInGuests(event, user?.uid);
+
+  // Fetch the event
+  useEffect(() => {
+    const fetchEvent = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const eventData = await getEventById(eventId);
+        setEvent(eventData);
+      } catch (err) {
+        console.error('Error fetching event:', err);
+        setError(err.message || 'Event not found');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEvent();
+  }, [eventId]);
+
+  // Live check-in count; also keeps codes cached for offline check-in
+  useEffect(() => {
+    if (!canCheckIn) return;
+
+    const unsubscribe = subscribeToCheckIns(eventId, setProgress);
+
+    // Load guest names for the recent check-ins list (also caches profiles for offline use)
+    getAttendees(eventId, { viewerId: user.uid, hostIds: [user.uid] })
+      .then(({ going }) => {
+        const names = {};
+        going.forEach((attendee) => {
+          names[attendee.uid] = attendee.fullName || `@${attendee.username}`;
+        });
+        setAttendeeNames(names);
+      })
+      .catch((err) => console.error('Error loading guest list:', err));
+
+    return unsubscribe;
+  }, [eventId, canCheckIn, user?.uid]);
+
+  // Track connectivity for the offline banner
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  /**
+   * Check in the guest for a typed, pasted or scanned code
+   * @param {string} rawCode - Check-in code
+   */
+  const submitCode = async (rawCode) => {
+    if (!rawCode.trim()) return;
+
+    setProcessing(true);
+    try {
+      const checkIn = await checkInAttendee(eventId, rawCode, user.uid);
+      const name = checkIn.attendee.fullName || (checkIn.attendee.username ? `@${checkIn.attendee.username}` : 'Guest');
+      setResult({ type: 'success', message: `${name} is checked in` });
+      setCode('');
+    } catch (err) {
+      setResult({ type: 'error', message: err.message });
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // The scan loop outlives renders, so it calls the latest submitCode through a ref
+  submitCodeRef.current = submitCode;
+
+  // Scan the camera feed while it is on
+  useEffect(() => {
+    if (!cameraOn) return;
+
+    let stream = null;
+    let scanTimer = null;
+    let stopped = false;
+
+    const startCamera = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (stopped) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+        scanTimer = setInterval(async () => {
+          if (!videoRef.current || videoRef.current.readyState < 2) return;
+
+          try {
+            const barcodes = await detector.detect(videoRef.current);
+            const scanned = barcodes[0]?.rawValue;
+            if (!scanned) return;
+
+            const now = Date.now();
+            const { code: lastCode, at } = lastScanRef.current;
+            if (scanned === lastCode && now - at < RESCAN_COOLDOWN_MS) return;
+
+            lastScanRef.current = { code: scanned, at: now };
+            submitCodeRef.current(scanned);
+          } catch (err) {
+            console.error('Error scanning QR code:', err);
+          }
+        }, SCAN_INTERVAL_MS);
+      } catch (err) {
+        console.error('Error starting camera:', err);
+        setCameraError('Camera unavailable. Type or paste the code instead.');
+        setCameraOn(false);
+      }
+    };
+
+    setCameraError('');
+    startCamera();
+
+    return () => {
+      stopped = true;
+      clearInterval(scanTimer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [cameraOn]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitCode(code);
+  };
+
+  // Loading state
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-white flex flex-col">
+        <Navbar />
+        <div className="flex-1 flex items-center justify-center py-20">
+          <div className="text-center">
+            <div className="w-16 h-16 border-4 border-[#FF6B6B] border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
+            <p className="text-gray-600 text-lg">Loading event details...</p>
+          </div>
+        </div>
+        <Footer />
+      </div>
+    );
+  }
+
+  // Error / not allowed state
+  if (error || !event || !canCheckIn) {
+    return (
+      <div className="min-h-screen bg-white flex flex-col">
+        <Navbar />
+        <div className="flex-1 flex items-center justify-center py-20">
+          <div className="text-center max-w-md mx-auto px-4">
+            <div className="bg-white rounded-2xl shadow-lg p-12">
+              <h2 className="text-2xl font-bold text-gray-900 mb-4">
+                {error || !event ? 'Event Not Found' : 'Not Allowed'}
+              </h2>
+              <p className="text-gray-600 mb-6">
+                {error || !event
+                  ? error || 'The event you are looking for does not exist.'
+                  : 'Only the event\'s hosts and door staff can check guests in.'}
+              </p>
+              <button
+                onClick={() => navigate('/profile')}
+                className="px-8 py-3 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-full font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all duration-200 shadow-md hover:shadow-lg"
+              >
+                Back to Profile
+              </button>
+            </div>
+          </div>
+        </div>
+        <Footer />
+      </div>
+    );
+  }
+
+  const { checkIns, checkedInCount, expectedCount, pendingSync } = progress;
+  const percentCheckedIn = expectedCount > 0 ? Math.min(100, Math.round((checkedInCount / expectedCount) * 100)) : 0;
+
+  return (
+    <div className="min-h-screen bg-white flex flex-col">
+      <Navbar />
+
+      {/* Header */}
+      <section className="bg-gradient-to-br from-gray-50 via-white to-gray-50 py-8 sm:py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-3xl mx-auto">
+          <h1 className="text-3xl sm:text-4xl md:text-5xl font-bold text-gray-900 mb-3 sm:mb-4">Door Check-in</h1>
+          <p className="text-base sm:text-lg text-gray-600">{event.title || event.name}</p>
+        </div>
+      </section>
+
+      <section className="py-8 px-4 sm:px-6 lg:px-8 bg-white">
+        <div className="max-w-3xl mx-auto space-y-6">
+          {/* Offline Banner */}
+          {(!isOnline || pendingSync) && (
+            <div className="flex items-start gap-3 bg-yellow-50 border-l-4 border-yellow-500 text-yellow-800 px-4 py-3 rounded-lg">
+              <WifiOff className="w-5 h-5 flex-shrink-0 mt-0.5" />
+              <p className="text-sm">
+                {isOnline
+                  ? 'Syncing check-ins...'
+                  : 'You are offline. Keep checking guests in; everything syncs when the connection is back.'}
+              </p>
+            </div>
+          )}
+
+          {/* Checked-in Count */}
+          <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+            <div className="flex items-end justify-between mb-3">
+              <div>
+                <p className="text-sm font-medium text-gray-600">Checked in</p>
+                <p className="text-4xl font-bold text-gray-900">
+                  {checkedInCount}
+                  <span className="text-2xl text-gray-400"> / {expectedCount}</span>
+                </p>
+              </div>
+              <p className="text-sm text-gray-600">{percentCheckedIn}% arrived</p>
+            </div>
+            <div className="h-3 bg-gray-100 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] transition-all duration-300"
+                style={{ width: `${percentCheckedIn}%` }}
+              />
+            </div>
+          </div>
+
+          {/* Code Entry */}
+          <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+            <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
+              <ScanLine className="w-6 h-6 text-[#FF6B6B]" />
+              Scan or Enter Code
+            </h2>
+
+            {canScan && (
+              <div className="mb-6">
+                <button
+                  type="button"
+                  onClick={() => setCameraOn((on) => !on)}
+                  className="inline-flex items-center gap-2 px-5 py-2 bg-white border-2 border-[#FF6B6B] text-[#FF6B6B] rounded-full font-semibold text-sm hover:bg-[#FF6B6B] hover:text-white transition-all duration-200"
+                >
+                  {cameraOn ? <CameraOff className="w-4 h-4" /> : <Camera className="w-4 h-4" />}
+                  {cameraOn ? 'Stop Camera' : 'Scan with Camera'}
+                </button>
+                {cameraOn && (
+                  <video
+                    ref={videoRef}
+                    muted
+                    playsInline
+                    className="mt-4 w-full max-h-80 object-cover rounded-xl bg-black"
+                  />
+                )}
+                {cameraError && (
+                  <p className="text-sm text-red-600 mt-2">{cameraError}</p>
+                )}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="flex gap-3">
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="Paste or type a check-in code"
+                autoComplete="off"
+                autoCapitalize="off"
+                spellCheck={false}
+                className="flex-1 px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all font-mono text-sm"
+              />
+              <button
+                type="submit"
+                disabled={processing || !code.trim()}
+                className="px-6 py-3 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-xl font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all duration-200 shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Check In
+              </button>
+            </form>
+
+            {result && (
+              <div
+                className={`flex items-start gap-3 mt-4 px-4 py-3 rounded-lg border-l-4 ${
+                  result.type === 'success'
+                    ? 'bg-green-50 border-green-500 text-green-800'
+                    : 'bg-red-50 border-red-500 text-red-700'
+                }`}
+                role="status"
+              >
+                {result.type === 'success'
+                  ? <ClipboardCheck className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                  : <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />}
+                <p className="font-semibold">{result.message}</p>
+              </div>
+            )}
+          </div>
+
+          {/* Recent Check-ins */}
+          {checkIns.length > 0 && (
+            <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+              <h2 className="text-lg font-bold text-gray-900 mb-4">Recent Check-ins</h2>
+              <ul className="divide-y divide-gray-100">
+                {checkIns.slice(0, 20).map((checkIn) => (
+                  <li key={checkIn.userId} className="flex items-center justify-between py-2 text-sm">
+                    <span className="text-gray-800">{attendeeNames[checkIn.userId] || 'Guest'}</span>
+                    <span className="text-gray-500">{format(new Date(checkIn.checkedInAt), 'h:mm a')}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  );
+};
+
+export default EventCheckIn;
@@ -1,16 +1,37 @@
-import { useState, useEffect } from 'react';
-import { useParams, useNavigate, useLocation } from 'react-router-dom';
-import { Heart, ExternalLink, Menu, X, MapPin, Calendar, Clock, User } from 'lucide-react';
+import { useState, useEffect, useMemo } from 'react';
+import { Link, useParams, useNavigate, useLocation } from 'react-router-dom';
+import { Heart, ExternalLink, Menu, X, MapPin, Calendar, Clock, User, Users, Repeat, AlertCircle, ScanLine, CalendarPlus, Music } from 'lucide-react';
 import { format } from 'date-fns';
 import Navbar from '../components/Navbar';
 import Footer from '../components/Footer';
 import Newsletter from '../components/Newsletter';
 import HashtagFollowButton from '../components/HashtagFollowButton';
-import { getEventById } from '../services/eventService';
+import PerformerFollowButton from '../components/PerformerFollowButton';
+import RsvpButtons from '../components/RsvpButtons';
+import AttendeeList from '../components/AttendeeList';
+import CheckInPass from '../components/CheckInPass';
+import { getEventById, getEventSeries } from '../services/eventService';
+import { lookupPromoCode, applyPromoCode, redeemPromoCode } from '../services/promoCodeService';
+import { getEventHostProfiles } from '../services/hostService';
 import { getTrendingHashtags } from '../services/hashtagService';
 import { getCurrentUserData } from '../services/authService';
 import { useAuth } from '../context/AuthContext';
 import { EVENT_CATEGORIES } from '../data/eventCategories';
+import { describeRecurrence } from '../utils/recurrenceHelpers';
+import { EVENT_STATUSES, getEventStatus, isScheduled, isEventListed, isEventViewable } from '../utils/eventStatusHelpers';
+import { formatPrice, getTierSaleState } from '../utils/ticketTierHelpers';
+import { getEventHostIds, isEventHost, canEditEvent } from '../utils/hostHelpers';
+import { PERFORMER_ROLE_LABELS, sortLineup, formatSetTime } from '../utils/lineupHelpers';
+import { buildICalendar, getCalendarFileName } from '../utils/calendarHelpers';
+import {
+  getEventTimezone,
+  getEventInstants,
+  getEventSpan,
+  getTimezoneAbbreviation,
+  isMultiDayEvent,
+  toZonedWallClock,
+} from '../utils/timezoneHelpers';
+import { formatEventTime, formatFullDate, hasEventPassed, isEventHappeningNow } from '../utils/dateHelpers';
 
 const EventDetail = () => {
   const { eventId } = useParams();
@@ -21,11 +42,18 @@ const EventDetail = () => {
   // State
   const [event, setEvent] = useState(null);
   const [promoter, setPromoter] = useState(null);
+  const [coHosts, setCoHosts] = useState([]);
+  const [seriesOccurrences, setSeriesOccurrences] = useState([]);
   const [trendingHashtags, setTrendingHashtags] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [imageLoaded, setImageLoaded] = useState(false);
+  const [rsvpVersion, setRsvpVersion] = useState(0);
+  const [promoInput, setPromoInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [applyingPromo, setApplyingPromo] = useState(false);
 
   // Fetch event details
   useEffect(() => {
@@ -48,6 +76,30 @@ const EventDetail = () => {
             // Don't fail the whole page if promoter fetch fails
           }
         }
+
+        // Fetch the promoters co-hosting the event
+        if (eventData.hosts?.length > 1) {
+          try {
+            const hostProfiles = await getEventHostProfiles(eventData);
+            setCoHosts(hostProfiles.filter((host) => host.uid !== eventPromoterId));
+          } catch (hostsErr) {
+            console.error('Error fetching co-hosts:', hostsErr);
+          }
+        } else {
+          setCoHosts([]);
+        }
+
+        // Fetch the other dates of a recurring series
+        if (eventData.seriesId) {
+          try {
+            const occurrences = await getEventSeries(eventData.seriesId);
+            setSeriesOccurrences(occurrences);
+          } catch (seriesErr) {
+            console.error('Error fetching event series:', seriesErr);
+          }
+        } else {
+          setSeriesOccurrences([]);
+        }
       } catch (err) {
         console.error('Error fetching event:', err);
         setError(err.message || 'Event not found');
@@ -101,15 +153,88 @@ const EventDetail = () => {
     }
   };
 
+  // Download the event as an .ics file for Apple/Google/Outlook calendars
+  const handleAddToCalendar = () => {
+    const ics = buildICalendar([event], { baseUrl: window.location.origin });
+    const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getCalendarFileName(event);
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Validate a promo code and show discounted prices on the ticket tiers
+  const handleApplyPromo = async (e) => {
+    e.preventDefault();
+    if (!promoInput.trim()) return;
+
+    setApplyingPromo(true);
+    setPromoError('');
+    try {
+      setAppliedPromo(await lookupPromoCode(eventId, promoInput));
+    } catch (err) {
+      setAppliedPromo(null);
+      setPromoError(err.message || 'Invalid promo code');
+    } finally {
+      setApplyingPromo(false);
+    }
+  };
+
+  const handleRemovePromo = () => {
+    setAppliedPromo(null);
+    setPromoInput('');
+    setPromoError('');
+  };
+
+  // Count the promo redemption before sending the guest to the ticket link.
+  // The tab is opened during the click, before redeeming, so popup blockers
+  // allow it; it's pointed at the ticket link once the redemption is counted
+  const handleGetTicket = async (e, tier, tierLink) => {
+    if (!appliedPromo || applyPromoCode(appliedPromo, tier) === tier.price) return;
+
+    e.preventDefault();
+    if (!user) {
+      navigate('/signin', { state: { from: location.pathname } });
+      return;
+    }
+
+    const ticketWindow = window.open('', '_blank');
+    if (ticketWindow) ticketWindow.opener = null;
+
+    try {
+      await redeemPromoCode(eventId, appliedPromo.code, tier.id, user.uid);
+      if (ticketWindow) {
+        ticketWindow.location.href = tierLink;
+      } else {
+        window.location.href = tierLink;
+      }
+    } catch (err) {
+      ticketWindow?.close();
+      setPromoError(err.message || 'Failed to redeem promo code');
+    }
+  };
+
+  // Refresh the headcount and attendee list after the user RSVPs
+  const handleRsvpChange = async () => {
+    setRsvpVersion((version) => version + 1);
+    try {
+      const eventData = await getEventById(eventId);
+      setEvent(eventData);
+    } catch (err) {
+      console.error('Error refreshing event:', err);
+    }
+  };
+
   // Check if event is favorited
   const isEventFavorited = () => {
     return user?.favoriteEvents?.includes(eventId) || false;
   };
 
-  // Check if current user is the event creator
-  // Handle both 'promoterId' and 'createdBy' field names for backwards compatibility
-  const eventPromoterId = event?.promoterId || event?.createdBy;
-  const isOwnEvent = user?.uid && eventPromoterId === user.uid;
+  // Check if current user hosts the event (owner, editor or door staff)
+  const isHost = isEventHost(event, user?.uid);
+  const canEdit = canEditEvent(event, user?.uid);
+  const hostIds = useMemo(() => getEventHostIds(event), [event]);
 
   // Loading state
   if (loading) {
@@ -127,8 +252,8 @@ const EventDetail = () => {
     );
   }
 
-  // Error state
-  if (error || !event) {
+  // Error state (drafts and scheduled events are only visible to their promoter)
+  if (error || !event || (!isHost && !isEventViewable(event))) {
     return (
       <div className="min-h-screen bg-white flex flex-col">
         <Navbar />
@@ -151,11 +276,16 @@ const EventDetail = () => {
     );
   }
 
-  // Parse event data
-  const eventDate = typeof event.date === 'string' ? new Date(event.date) : event.date;
+  // Parse event data (dates and times are shown where the event takes place)
+  const eventTimezone = getEventTimezone(event);
+  const eventDate = toZonedWallClock(typeof event.date === 'string' ? new Date(event.date) : event.date, eventTimezone);
   const month = format(eventDate, 'MMM').toUpperCase();
   const day = format(eventDate, 'd');
-  const fullDate = format(eventDate, 'EEEE, MMMM d, yyyy');
+  const isMultiDay = isMultiDayEvent(event);
+  // Multi-day events show their date range (e.g. "June 6 – 8, 2025")
+  const fullDate = isMultiDay
+    ? formatFullDate(event.startAt || event.date, eventTimezone, getEventSpan(event).end)
+    : format(eventDate, 'EEEE, MMMM d, yyyy');
 
   const venueName = event.venueName || event.venue || '';
   const fullAddress = event.address?.street
@@ -165,6 +295,24 @@ const EventDetail = () => {
   const eventTitle = event.name || event.title || '';
   const description = event.description || '';
 
+  const recurrenceLabel = describeRecurrence(event.recurrence, event.seriesStartDate || event.date);
+  const otherOccurrences = seriesOccurrences.filter(
+    (occurrence) => occurrence.id !== event.id && isEventListed(occurrence) && !hasEventPassed(occurrence)
+  );
+
+  // For events in another timezone, also show when they happen for the viewer
+  const eventInstants = getEventInstants(event);
+  const viewerTimeLabel = eventTimezone && event.startTime && eventInstants
+    && formatEventTime(eventInstants.start) !== formatEventTime(eventInstants.start, eventTimezone)
+    ? `${format(eventInstants.start, 'EEE, MMM d')}, ${formatEventTime(eventInstants.start)}`
+      + `${event.endTime ? ` - ${isMultiDay ? `${format(eventInstants.end, 'EEE, MMM d')}, ` : ''}${formatEventTime(eventInstants.end)}` : ''}`
+      + ` ${getTimezoneAbbreviation(eventInstants.start)}`
+    : '';
+
+  const status = getEventStatus(event);
+  const isSoldOut = status === EVENT_STATUSES.SOLD_OUT;
+  const isHappeningNow = status !== EVENT_STATUSES.CANCELLED && isEventHappeningNow(event);
+
   // Find the category for the current event
   const eventCategory = EVENT_CATEGORIES.find(cat => cat.name === event.category);
 
@@ -265,10 +413,79 @@ const EventDetail = () => {
               )}
             </div>
 
+            {/* Status Banners */}
+            {status === EVENT_STATUSES.CANCELLED && (
+              <div className="flex items-start gap-3 bg-red-50 border-l-4 border-red-500 text-red-700 px-4 py-3 rounded-lg mb-8">
+                <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                <div>
+                  <p className="font-bold">{event.seriesId ? 'This date has been cancelled' : 'This event has been cancelled'}</p>
+                  <p className="text-sm">Check with the promoter about refunds for any tickets already purchased.</p>
+                </div>
+              </div>
+            )}
+
+            {status === EVENT_STATUSES.POSTPONED && (
+              <div className="flex items-start gap-3 bg-amber-50 border-l-4 border-amber-500 text-amber-800 px-4 py-3 rounded-lg mb-8">
+                <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                <div>
+                  <p className="font-bold">This event has been postponed</p>
+                  {event.postponedTo ? (
+                    <p className="text-sm">
+                      Originally {format(new Date(event.postponedFrom), 'EEEE, MMMM d')}. New date:{' '}
+                      <a href="#event-date" className="font-semibold underline hover:text-amber-900">
+                        {format(new Date(event.postponedTo), 'EEEE, MMMM d, yyyy')}
+                      </a>
+                    </p>
+                  ) : (
+                    <p className="text-sm">The new date will be announced soon.</p>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {isSoldOut && (
+              <div className="flex items-start gap-3 bg-gray-100 border-l-4 border-gray-500 text-gray-800 px-4 py-3 rounded-lg mb-8">
+                <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                <p className="font-bold">This event is sold out</p>
+              </div>
+            )}
+
+            {isHost && status === EVENT_STATUSES.DRAFT && (
+              <div className="flex items-start gap-3 bg-blue-50 border-l-4 border-blue-500 text-blue-800 px-4 py-3 rounded-lg mb-8">
+                <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                <div>
+                  <p className="font-bold">Draft</p>
+                  <p className="text-sm">
+                    Only the event&apos;s hosts can see this event.{' '}
+                    {canEdit && (
+                      <button
+                        onClick={() => navigate(`/events/${event.id}/edit`)}
+                        className="font-semibold underline hover:text-blue-900"
+                      >
+                        Publish it
+                      </button>
+                    )}
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {isHost && isScheduled(event) && (
+              <div className="flex items-start gap-3 bg-blue-50 border-l-4 border-blue-500 text-blue-800 px-4 py-3 rounded-lg mb-8">
+                <AlertCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+                <div>
+                  <p className="font-bold">Scheduled</p>
+                  <p className="text-sm">
+                    This event goes live on {format(new Date(event.publishAt), "EEEE, MMMM d 'at' h:mm a")}.
+                  </p>
+                </div>
+              </div>
+            )}
+
             {/* Event Details Card */}
             <div className="bg-white rounded-2xl border border-gray-200 shadow-lg p-8 relative">
               {/* Favorite Button (only show if not own event) */}
-              {!isOwnEvent && (
+              {!isHost && (
                 <button
                   onClick={handleFavoriteToggle}
                   className="absolute top-6 right-6 p-3 rounded-full bg-gray-50 hover:bg-gray-100 shadow-md hover:shadow-lg transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:ring-offset-2"
@@ -304,13 +521,24 @@ const EventDetail = () => {
                   {promoter && promoter.userType === 'promoter' && (
                     <div className="flex items-center gap-2 mb-4">
                       <User className="w-4 h-4 text-gray-500" />
-                      <span className="text-sm text-gray-600">Posted by</span>
+                      <span className="text-sm text-gray-600">{coHosts.length > 0 ? 'Hosted by' : 'Posted by'}</span>
                       <button
                         onClick={() => navigate(`/user/${promoter.uid}`)}
                         className="text-sm font-semibold text-[#FF6B6B] hover:text-[#ff5252] hover:underline transition-colors"
                       >
                         {promoter.fullName || promoter.username}
                       </button>
+                      {coHosts.map((host) => (
+                        <span key={host.uid} className="text-sm text-gray-600">
+                          &amp;{' '}
+                          <button
+                            onClick={() => navigate(`/user/${host.uid}`)}
+                            className="font-semibold text-[#FF6B6B] hover:text-[#ff5252] hover:underline transition-colors"
+                          >
+                            {host.fullName || host.username}
+                          </button>
+                        </span>
+                      ))}
                     </div>
                   )}
 
@@ -318,24 +546,77 @@ const EventDetail = () => {
                   <div className="flex items-start gap-2 mb-3">
                     <MapPin className="w-5 h-5 text-[#FF6B6B] flex-shrink-0 mt-0.5" />
                     <div>
-                      <p className="text-lg font-semibold text-gray-900">{venueName}</p>
+                      {event.venueId ? (
+                        <Link to={`/venues/${event.venueId}`} className="text-lg font-semibold text-gray-900 hover:text-[#FF6B6B] transition-colors">
+                          {venueName}
+                        </Link>
+                      ) : (
+                        <p className="text-lg font-semibold text-gray-900">{venueName}</p>
+                      )}
                       <p className="text-sm text-gray-600">{fullAddress}</p>
                     </div>
                   </div>
 
                   {/* Date & Time */}
-                  <div className="flex items-center gap-2 mb-4">
+                  <div id="event-date" className="flex items-center gap-2 mb-4 scroll-mt-24">
                     <Calendar className="w-5 h-5 text-[#FF6B6B]" />
                     <p className="text-gray-700">{fullDate}</p>
+                    {isHappeningNow && (
+                      <span className="px-2 py-0.5 bg-green-100 text-green-700 rounded-full text-xs font-semibold">
+                        Happening now
+                      </span>
+                    )}
                   </div>
 
                   {event.startTime && (
                     <div className="flex items-center gap-2 mb-6">
                       <Clock className="w-5 h-5 text-[#FF6B6B]" />
-                      <p className="text-gray-700">
-                        {formatTime(event.startTime)}
-                        {event.endTime && ` - ${formatTime(event.endTime)}`}
-                      </p>
+                      <div>
+                        <p className="text-gray-700">
+                          {formatTime(event.startTime)}
+                          {event.endTime && ` - ${formatTime(event.endTime)}`}
+                          {eventTimezone && eventInstants && ` ${getTimezoneAbbreviation(eventInstants.start, eventTimezone)}`}
+                        </p>
+                        {viewerTimeLabel && (
+                          <p className="text-sm text-gray-500">Your time: {viewerTimeLabel}</p>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {status !== EVENT_STATUSES.CANCELLED && (
+                    <button
+                      onClick={handleAddToCalendar}
+                      className="flex items-center gap-2 mb-6 px-4 py-2 border-2 border-[#FF6B6B] text-[#FF6B6B] rounded-full text-sm font-semibold hover:bg-[#FF6B6B] hover:text-white transition-colors"
+                    >
+                      <CalendarPlus className="w-4 h-4" />
+                      Add to calendar
+                    </button>
+                  )}
+
+                  {/* Recurring Series */}
+                  {event.seriesId && (
+                    <div className="mb-6">
+                      {recurrenceLabel && (
+                        <div className="flex items-center gap-2 mb-3">
+                          <Repeat className="w-5 h-5 text-[#FF6B6B]" />
+                          <p className="text-gray-700 font-medium">{recurrenceLabel}</p>
+                        </div>
+                      )}
+                      {otherOccurrences.length > 0 && (
+                        <div className="flex flex-wrap gap-2">
+                          <span className="text-sm text-gray-600">Other dates:</span>
+                          {otherOccurrences.map((occurrence) => (
+                            <button
+                              key={occurrence.id}
+                              onClick={() => navigate(`/events/${occurrence.id}`)}
+                              className="text-sm px-3 py-1 bg-gray-100 hover:bg-[#FF6B6B] hover:text-white rounded-full transition-colors"
+                            >
+                              {format(new Date(occurrence.date), 'EEE, MMM d')}
+                            </button>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   )}
 
@@ -349,6 +630,44 @@ const EventDetail = () => {
                     </div>
                   )}
 
+                  {/* Lineup */}
+                  {event.lineup?.length > 0 && (
+                    <div className="mb-6">
+                      <h3 className="text-lg font-bold text-gray-900 mb-3 flex items-center gap-2">
+                        <Music className="w-5 h-5 text-[#FF6B6B]" />
+                        Lineup
+                      </h3>
+                      <div className="divide-y divide-gray-100 border border-gray-200 rounded-2xl">
+                        {sortLineup(event.lineup, event.startTime).map((entry, index) => (
+                          <div key={`${entry.performerId || entry.name}-${index}`} className="flex items-center justify-between gap-4 px-4 py-3">
+                            <div className="min-w-0">
+                              {entry.performerId ? (
+                                <Link
+                                  to={`/performers/${entry.performerId}`}
+                                  className="font-semibold text-gray-900 hover:text-[#FF6B6B] transition-colors"
+                                >
+                                  {entry.name}
+                                </Link>
+                              ) : (
+                                <p className="font-semibold text-gray-900">{entry.name}</p>
+                              )}
+                              <p className="text-xs text-gray-500">
+                                {[PERFORMER_ROLE_LABELS[entry.role], formatSetTime(entry.setTime)].filter(Boolean).join(' · ')}
+                              </p>
+                            </div>
+                            {entry.performerId && (
+                              <PerformerFollowButton
+                                performer={{ id: entry.performerId, name: entry.name }}
+                                variant="minimal"
+                                size="sm"
+                              />
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   {/* Hashtags */}
                   {event.hashtags && event.hashtags.length > 0 && (
                     <div className="mb-6">
@@ -377,8 +696,152 @@ const EventDetail = () => {
                     </div>
                   )}
 
+                  {/* RSVPs */}
+                  <div className="mb-6">
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="text-lg font-bold text-gray-900 flex items-center gap-2">
+                        <Users className="w-5 h-5 text-[#FF6B6B]" />
+                        Who&apos;s Going
+                      </h3>
+                      <span className="text-sm text-gray-600">
+                        {event.goingCount || 0}{event.capacity ? `/${event.capacity}` : ''} going
+                        {event.maybeCount > 0 && ` · ${event.maybeCount} maybe`}
+                        {isHost && event.waitlistCount > 0 && ` · ${event.waitlistCount} waitlisted`}
+                      </span>
+                    </div>
+
+                    {!isHost && status !== EVENT_STATUSES.CANCELLED && (
+                      <div className="mb-4">
+                        <RsvpButtons event={event} onRsvpChange={handleRsvpChange} />
+                      </div>
+                    )}
+
+                    {!isHost && status !== EVENT_STATUSES.CANCELLED && (
+                      <div className="mb-4">
+                        <CheckInPass eventId={eventId} refreshKey={rsvpVersion} />
+                      </div>
+                    )}
+
+                    {isHost && status !== EVENT_STATUSES.CANCELLED && (
+                      <button
+                        onClick={() => navigate(`/events/${event.id}/checkin`)}
+                        className="inline-flex items-center gap-2 mb-4 px-5 py-2 bg-white border-2 border-[#FF6B6B] text-[#FF6B6B] rounded-full font-semibold text-sm hover:bg-[#FF6B6B] hover:text-white transition-all duration-200"
+                      >
+                        <ScanLine className="w-4 h-4" />
+                        Door Check-in
+                      </button>
+                    )}
+
+                    <AttendeeList
+                      eventId={eventId}
+                      hostIds={hostIds}
+                      viewerId={user?.uid || null}
+                      refreshKey={rsvpVersion}
+                    />
+                  </div>
+
+                  {/* Ticket Tiers */}
+                  {event.ticketTiers?.length > 0 && (
+                    <div className="mb-6">
+                      <h3 className="text-lg font-bold text-gray-900 mb-3">Tickets</h3>
+                      <div className="divide-y divide-gray-100 border border-gray-200 rounded-2xl">
+                        {event.ticketTiers.map((tier) => {
+                          const saleState = getTierSaleState(tier);
+                          const tierLink = tier.ticketLink || event.ticketLink;
+                          const canBuy = saleState === 'onSale' && !isSoldOut && status !== EVENT_STATUSES.CANCELLED && tierLink;
+                          const promoPrice = appliedPromo ? applyPromoCode(appliedPromo, tier) : tier.price;
+                          const hasDiscount = promoPrice !== tier.price;
+                          const details = [
+                            saleState === 'upcoming' && `On sale ${format(new Date(tier.saleStart), "MMM d 'at' h:mm a")}`,
+                            saleState === 'ended' && 'Sales ended',
+                            saleState === 'onSale' && tier.saleEnd && `Sales end ${format(new Date(tier.saleEnd), "MMM d 'at' h:mm a")}`,
+                            tier.quantity && `${tier.quantity} available`,
+                          ].filter(Boolean);
+
+                          return (
+                            <div key={tier.id} className="flex items-center justify-between gap-4 px-4 py-3">
+                              <div className="min-w-0">
+                                <p className="font-semibold text-gray-900">{tier.name}</p>
+                                {details.length > 0 && (
+                                  <p className="text-xs text-gray-500">{details.join(' · ')}</p>
+                                )}
+                              </div>
+                              <div className="flex items-center gap-3 flex-shrink-0">
+                                {hasDiscount && saleState !== 'ended' && (
+                                  <span className="text-sm text-gray-400 line-through">
+                                    {formatPrice(tier.price, tier.currency)}
+                                  </span>
+                                )}
+                                <span className={`font-bold ${saleState === 'ended' ? 'text-gray-400 line-through' : hasDiscount ? 'text-[#FF6B6B]' : 'text-gray-900'}`}>
+                                  {formatPrice(saleState === 'ended' ? tier.price : promoPrice, tier.currency)}
+                                </span>
+                                {canBuy && (
+                                  <a
+                                    href={tierLink}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    onClick={(e) => handleGetTicket(e, tier, tierLink)}
+                                    className="inline-flex items-center gap-1 px-4 py-2 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-full text-sm font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all duration-200"
+                                  >
+                                    Get
+                                    <ExternalLink className="w-3 h-3" />
+                                  </a>
+                                )}
+                              </div>
+                            </div>
+                          );
+                        })}
+                      </div>
+
+                      {/* Promo Code */}
+                      {!isSoldOut && status !== EVENT_STATUSES.CANCELLED && (
+                        appliedPromo ? (
+                          <div className="flex items-center justify-between gap-3 mt-3 text-sm">
+                            <span className="text-green-700 font-semibold">
+                              Code <span className="font-mono">{appliedPromo.code}</span> applied
+                            </span>
+                            <button
+                              type="button"
+                              onClick={handleRemovePromo}
+                              className="text-gray-500 hover:text-[#FF6B6B]"
+                            >
+                              Remove
+                            </button>
+                          </div>
+                        ) : (
+                          <form onSubmit={handleApplyPromo} className="flex gap-2 mt-3">
+                            <input
+                              type="text"
+                              value={promoInput}
+                              onChange={(e) => {
+                                setPromoInput(e.target.value);
+                                if (promoError) setPromoError('');
+                              }}
+                              placeholder="Promo code"
+                              className="flex-1 min-w-0 px-4 py-2 bg-gray-50 border border-gray-200 rounded-full text-sm uppercase focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                            />
+                            <button
+                              type="submit"
+                              disabled={applyingPromo || !promoInput.trim()}
+                              className="px-4 py-2 bg-white border-2 border-[#FF6B6B] text-[#FF6B6B] rounded-full text-sm font-semibold hover:bg-pink-50 transition-all disabled:opacity-50"
+                            >
+                              {applyingPromo ? 'Checking...' : 'Apply'}
+                            </button>
+                          </form>
+                        )
+                      )}
+                      {promoError && (
+                        <p className="text-sm text-red-600 mt-2">{promoError}</p>
+                      )}
+                    </div>
+                  )}
+
                   {/* Buy Tickets Button */}
-                  {event.ticketLink && (
+                  {isSoldOut ? (
+                    <div className="w-full px-8 py-4 bg-gray-200 text-gray-600 rounded-full font-bold text-lg text-center">
+                      Sold Out
+                    </div>
+                  ) : status !== EVENT_STATUSES.CANCELLED && event.ticketLink && (
                     <a
                       href={event.ticketLink}
                       target="_blank"
@@ -390,9 +853,9 @@ const EventDetail = () => {
                     </a>
                   )}
 
-                  {event.price !== undefined && event.price > 0 && (
+                  {!event.ticketTiers?.length && event.price > 0 && (
                     <p className="text-center text-gray-600 mt-3">
-                      Starting at ${event.price}
+                      Starting at {formatPrice(event.price)}
                     </p>
                   )}
                 </div>
@@ -315,7 +315,7 @@ function FirebaseTest() {
 
       // Test batch deletion
       addResult('Batch Operations', 'testing', 'Testing deleteMultipleEvents...');
-      const deleteResult = await deleteMultipleEvents(eventIds);
+      const deleteResult = await deleteMultipleEvents(eventIds, currentUser.uid);
 
       if (deleteResult.success) {
         addResult(
@@ -334,7 +334,7 @@ function FirebaseTest() {
       // Test batch photo deletion (skip if no photos, as it requires non-empty array)
       addResult('Batch Operations', 'testing', 'Testing deleteMultiplePhotos validation...');
       try {
-        await deleteMultiplePhotos([]);
+        await deleteMultiplePhotos([], currentUser.uid);
         addResult(
           'Batch Operations - Delete Photos',
           'error',
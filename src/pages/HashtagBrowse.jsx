@@ -7,14 +7,17 @@ import Newsletter from '../components/Newsletter';
 import HashtagFollowButton from '../components/HashtagFollowButton';
 import { getTrendingHashtags, searchHashtags } from '../services/hashtagService';
 import { useAuth } from '../context/AuthContext';
+import { parseFilterState, updateFilterParams } from '../utils/filterStateHelpers';
 
 const HashtagBrowse = () => {
   const navigate = useNavigate();
-  const [searchParams] = useSearchParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { user } = useAuth();
 
+  // The search term lives in the URL (?q=) so it survives a refresh
+  const searchTerm = parseFilterState(searchParams).q;
+
   // State
-  const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
   const [trendingHashtags, setTrendingHashtags] = useState([]);
   const [searchResults, setSearchResults] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -64,8 +67,9 @@ const HashtagBrowse = () => {
     navigate(`/?hashtag=${encodeURIComponent(hashtag)}`);
   };
 
+  // Typing replaces the history entry rather than adding one per key
   const handleSearchChange = (e) => {
-    setSearchTerm(e.target.value);
+    setSearchParams(updateFilterParams(searchParams, { q: e.target.value }), { replace: true });
   };
 
   const handleSearchSubmit = (e) => {
@@ -1,98 +1,178 @@
 import { useState, useEffect, useRef } from 'react';
-import { useNavigate, useLocation } from 'react-router-dom';
+import { useNavigate, useLocation, useSearchParams, Link } from 'react-router-dom';
+import { LayoutGrid, Map as MapIcon, MapPin, Search } from 'lucide-react';
 import Navbar from '../components/Navbar';
 import Footer from '../components/Footer';
 import CategoryCard from '../components/CategoryCard';
 import EventCard from '../components/EventCard';
 import Newsletter from '../components/Newsletter';
-import { getEvents, subscribeToEvents, searchEventsByHashtag } from '../services/eventService';
+import LocationFilter from '../components/LocationFilter';
+import EventMap from '../components/EventMap';
+import { getEvents, subscribeToEvents, searchEventsByHashtagQuery } from '../services/eventService';
 import { getTrendingHashtags } from '../services/hashtagService';
 import { EVENT_CATEGORIES } from '../data/eventCategories';
+import { DEFAULT_LOCATION_FILTER, toLocationQuery } from '../utils/geoHelpers';
+import { getCityLabel } from '../utils/cityHelpers';
+import {
+  ALL_DATES,
+  fromLocationFilter,
+  parseFilterState,
+  toDateFilters,
+  toLocationFilter,
+  updateFilterParams,
+} from '../utils/filterStateHelpers';
+import { formatHashtagQuery, isHashtagQuery, parseHashtagQuery } from '../utils/hashtagQueryHelpers';
 import { useAuth } from '../context/AuthContext';
 
-const Landing = () => {
+/**
+ * Time filter tabs and the date range each one shows
+ */
+const TIME_FILTER_RANGES = {
+  'TODAY': 'today',
+  'TOMORROW': 'tomorrow',
+  'THIS WEEKEND': 'weekend',
+  'THIS MONTH': 'month',
+  'ALL DATES': ALL_DATES,
+};
+
+const EVENTS_PER_PAGE = 6;
+
+// Events loaded per request; "Show more" pages through them before loading more
+const EVENTS_PER_BATCH = 50;
+
+// Filters shown when the URL has none (see filterStateHelpers.js)
+const FILTER_DEFAULTS = { timeRange: 'month' };
+
+/**
+ * Load a batch of upcoming events
+ * @param {Object} options - { timeRange, category, city, locationFilter, startAfterDoc }
+ * @returns {Promise<Object>} { events, lastDoc, hasMore }
+ */
+const getListingBatch = ({ timeRange, category, city, locationFilter, startAfterDoc }) => (
+  getEvents({
+    ...toDateFilters(timeRange),
+    category,
+    city,
+    ...toLocationQuery(locationFilter),
+    sortBy: locationFilter.sortBy,
+    sortOrder: 'asc',
+    limit: EVENTS_PER_BATCH,
+    startAfterDoc,
+    collapseSeries: true,
+  })
+);
+
+/**
+ * Load a batch of events matching a hashtag expression
+ * @param {string} hashtagQuery - Hashtag expression
+ * @param {Object} options - { timeRange, category, city, locationFilter, startAfterDoc }
+ * @returns {Promise<Object>} { events, lastDoc, hasMore }
+ */
+const searchHashtagBatch = (hashtagQuery, { timeRange, category, city, locationFilter, startAfterDoc }) => (
+  searchEventsByHashtagQuery(hashtagQuery, {
+    ...toDateFilters(timeRange),
+    ...toLocationQuery(locationFilter),
+    category: category || undefined,
+    city,
+    limit: EVENTS_PER_BATCH,
+    sortBy: 'date',
+    startAfterDoc,
+  })
+);
+
+/**
+ * Landing Page
+ * Also used for city landing pages (see CityLanding.jsx), which pass the city.
+ * Otherwise listings are scoped to the visitor's home city, if they picked one.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} [props.city] - City from cities.js
+ */
+const Landing = ({ city }) => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { user, toggleFavorite } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { user, toggleFavorite, homeCity } = useAuth();
   const eventsRef = useRef(null);
+  const citySlug = city?.slug || homeCity || undefined;
+
+  // Time range, category, hashtags, location and page live in the URL so they can be shared
+  const filters = parseFilterState(searchParams, FILTER_DEFAULTS);
+  const locationFilter = toLocationFilter(filters);
+  const activeTimeFilter = Object.keys(TIME_FILTER_RANGES).find(filter => TIME_FILTER_RANGES[filter] === filters.timeRange);
+  const selectedCategory = filters.category;
+  const eventsToShow = filters.page * EVENTS_PER_PAGE;
+  const timeRange = filters.timeRange;
+  const { near, radius, sort } = filters;
+
+  // A hashtag expression from the search bar, or clicked hashtags (all of them)
+  const selectedHashtag = filters.hashtagQuery || filters.hashtags.map(tag => `#${tag}`).join(' AND ') || null;
 
   // State
   const [events, setEvents] = useState([]);
-  const [displayedEvents, setDisplayedEvents] = useState([]);
+  const [listingPage, setListingPage] = useState(null); // { lastDoc, hasMore } of the listing or hashtag search
   const [trendingHashtags, setTrendingHashtags] = useState([]);
-  const [activeTimeFilter, setActiveTimeFilter] = useState('THIS MONTH');
-  const [selectedCategory, setSelectedCategory] = useState(null);
-  const [selectedHashtag, setSelectedHashtag] = useState(null);
   const [loading, setLoading] = useState(true);
   const [loadingMore, setLoadingMore] = useState(false);
-  const [eventsToShow, setEventsToShow] = useState(6);
+  const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'map'
+  const [searchText, setSearchText] = useState(selectedHashtag || filters.q);
+
+  // How many events the page in the URL shows, for the fetch below; kept in a
+  // ref so "Show more" doesn't refetch
+  const eventsToShowRef = useRef(eventsToShow);
+  eventsToShowRef.current = eventsToShow;
 
   // Time filter tabs
-  const timeFilters = ['TODAY', 'TOMORROW', 'THIS WEEKEND', 'THIS MONTH'];
-
-  // Calculate date ranges for filters
-  const getDateRange = (filter) => {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    const endOfWeek = new Date(today);
-    endOfWeek.setDate(endOfWeek.getDate() + (7 - endOfWeek.getDay()));
-
-    const endOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-
-    switch (filter) {
-      case 'TODAY':
-        return { startDate: today.toISOString(), endDate: tomorrow.toISOString() };
-      case 'TOMORROW':
-        const dayAfterTomorrow = new Date(tomorrow);
-        dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 1);
-        return { startDate: tomorrow.toISOString(), endDate: dayAfterTomorrow.toISOString() };
-      case 'THIS WEEKEND':
-        return { startDate: today.toISOString(), endDate: endOfWeek.toISOString() };
-      case 'THIS MONTH':
-        return { startDate: today.toISOString(), endDate: endOfMonth.toISOString() };
-      default:
-        return { startDate: today.toISOString() };
-    }
-  };
+  const timeFilters = Object.keys(TIME_FILTER_RANGES);
+
+  // Keep the search box in step with back/forward navigation
+  useEffect(() => {
+    setSearchText(selectedHashtag || filters.q);
+  }, [selectedHashtag, filters.q]);
 
   // Fetch events based on filters
+  // Ranges are worked out in each event's own timezone (see getEvents)
   useEffect(() => {
     const fetchEvents = async () => {
       setLoading(true);
       try {
-        const dateRange = getDateRange(activeTimeFilter);
-        const result = await getEvents({
-          ...dateRange,
+        const batchOptions = {
+          timeRange,
           category: selectedCategory,
-          sortBy: 'date',
-          sortOrder: 'asc',
-          limit: 50, // Fetch more for filtering
-        });
+          city: citySlug,
+          locationFilter: toLocationFilter({ near, radius, sort }),
+        };
+        const loadBatch = selectedHashtag
+          ? (options) => searchHashtagBatch(selectedHashtag, options)
+          : getListingBatch;
+        let result = await loadBatch(batchOptions);
+        let fetchedEvents = result.events;
+
+        // A page restored from the URL needs every batch up to it
+        while (fetchedEvents.length < eventsToShowRef.current && result.hasMore) {
+          result = await loadBatch({ ...batchOptions, startAfterDoc: result.lastDoc });
+          fetchedEvents = [...fetchedEvents, ...result.events];
+        }
 
-        const fetchedEvents = result.events || result;
         setEvents(fetchedEvents);
-        setDisplayedEvents(fetchedEvents.slice(0, eventsToShow));
+        setListingPage({ lastDoc: result.lastDoc, hasMore: result.hasMore });
       } catch (error) {
         console.error('Error fetching events:', error);
         setEvents([]);
-        setDisplayedEvents([]);
+        setListingPage(null);
       } finally {
         setLoading(false);
       }
     };
 
     fetchEvents();
-  }, [activeTimeFilter, selectedCategory]);
+  }, [timeRange, selectedCategory, selectedHashtag, near, radius, sort, citySlug]);
 
   // Fetch trending hashtags
   useEffect(() => {
     const fetchHashtags = async () => {
       try {
-        const hashtags = await getTrendingHashtags(10);
+        const hashtags = await getTrendingHashtags(10, { city: citySlug });
         setTrendingHashtags(hashtags);
       } catch (error) {
         console.error('Error fetching trending hashtags:', error);
@@ -100,55 +180,81 @@ const Landing = () => {
     };
 
     fetchHashtags();
-  }, []);
+  }, [citySlug]);
 
-  // Update displayed events when eventsToShow changes
-  useEffect(() => {
-    setDisplayedEvents(events.slice(0, eventsToShow));
-  }, [events, eventsToShow]);
+  const displayedEvents = events.slice(0, eventsToShow);
 
   // Handle category click - navigate to category page
   const handleCategoryClick = (category) => {
     navigate(`/category/${category.id}`);
   };
 
+  // Change some filters in the URL; each change is a history entry, so
+  // back/forward steps through them
+  const updateFilters = (changes, options) => {
+    setSearchParams(updateFilterParams(searchParams, changes, FILTER_DEFAULTS), options);
+  };
+
   // Handle hashtag click
-  const handleHashtagClick = async (hashtag) => {
-    setSelectedHashtag(hashtag);
-    setSelectedCategory(null);
-    setLoading(true);
+  const handleHashtagClick = (hashtag) => {
+    updateFilters({ hashtags: [hashtag], hashtagQuery: '', category: null });
+    scrollToEvents();
+  };
 
-    try {
-      const results = await searchEventsByHashtag(hashtag, {
-        limit: 50,
-        sortBy: 'date',
-      });
-      setEvents(results);
-      setDisplayedEvents(results.slice(0, 6));
-      setEventsToShow(6);
+  // Handle search submit - filter the listings below by a hashtag expression
+  // (e.g. "#soca OR #dancehall"), or open full-text search results
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = searchText.trim();
+    if (!trimmed) return;
+
+    if (isHashtagQuery(trimmed)) {
+      updateFilters({ hashtagQuery: formatHashtagQuery(parseHashtagQuery(trimmed)), hashtags: [], category: null });
       scrollToEvents();
-    } catch (error) {
-      console.error('Error searching by hashtag:', error);
-      setEvents([]);
-      setDisplayedEvents([]);
-    } finally {
-      setLoading(false);
+      return;
     }
+
+    const params = new URLSearchParams({ q: trimmed });
+    if (city) params.set('city', city.slug);
+    navigate(`/search?${params.toString()}`);
   };
 
   // Handle time filter change
   const handleTimeFilterChange = (filter) => {
-    setActiveTimeFilter(filter);
-    setEventsToShow(6);
+    updateFilters({ timeRange: TIME_FILTER_RANGES[filter] });
   };
 
-  // Handle show more
-  const handleShowMore = () => {
-    setLoadingMore(true);
-    setTimeout(() => {
-      setEventsToShow(prev => prev + 6);
-      setLoadingMore(false);
-    }, 300);
+  // Handle location filter change
+  const handleLocationFilterChange = (filter) => {
+    updateFilters(fromLocationFilter(filter));
+  };
+
+  // Handle show more, loading the next batch once the loaded events run out;
+  // replaces the history entry rather than adding one
+  const handleShowMore = async () => {
+    if (eventsToShow + EVENTS_PER_PAGE > events.length && listingPage?.hasMore) {
+      setLoadingMore(true);
+      try {
+        const batchOptions = {
+          timeRange,
+          category: selectedCategory,
+          city: citySlug,
+          locationFilter,
+          startAfterDoc: listingPage.lastDoc,
+        };
+        const result = selectedHashtag
+          ? await searchHashtagBatch(selectedHashtag, batchOptions)
+          : await getListingBatch(batchOptions);
+        setEvents(prev => [...prev, ...result.events]);
+        setListingPage({ lastDoc: result.lastDoc, hasMore: result.hasMore });
+      } catch (error) {
+        console.error('Error loading more events:', error);
+      } finally {
+        setLoadingMore(false);
+      }
+    }
+
+    updateFilters({ page: filters.page + 1 }, { replace: true });
   };
 
   // Handle favorite toggle
@@ -191,13 +297,51 @@ const Landing = () => {
           <div className="grid lg:grid-cols-2 gap-12 items-center">
             {/* Hero Text */}
             <div className="space-y-8">
-              <h1 className="text-4xl sm:text-5xl md:text-6xl lg:text-7xl font-bold text-gray-900 leading-tight">
-                Making memories is only a{' '}
-                <span className="text-[#FF6B6B] italic">
-                  #hashtag
-                </span>{' '}
-                away!
-              </h1>
+              {city ? (
+                <>
+                  <p className="flex items-center gap-2 text-[#FF6B6B] font-semibold uppercase tracking-wide">
+                    <MapPin className="w-5 h-5" />
+                    {city.name}
+                  </p>
+                  <h1 className="text-4xl sm:text-5xl md:text-6xl lg:text-7xl font-bold text-gray-900 leading-tight">
+                    The{' '}
+                    <span className="text-[#FF6B6B] italic">
+                      #{city.shortName.toLowerCase()}
+                    </span>{' '}
+                    scene, all in one place
+                  </h1>
+                  <p className="text-lg sm:text-xl text-gray-600">
+                    {city.tagline}.{' '}
+                    <Link to={`/promoters?city=${city.slug}`} className="font-semibold text-[#FF6B6B] hover:text-[#ff5252]">
+                      Meet the promoters
+                    </Link>
+                  </p>
+                </>
+              ) : (
+                <h1 className="text-4xl sm:text-5xl md:text-6xl lg:text-7xl font-bold text-gray-900 leading-tight">
+                  Making memories is only a{' '}
+                  <span className="text-[#FF6B6B] italic">
+                    #hashtag
+                  </span>{' '}
+                  away!
+                </h1>
+              )}
+              <form onSubmit={handleSearchSubmit} className="relative max-w-xl">
+                <Search className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                <input
+                  type="search"
+                  value={searchText}
+                  onChange={(e) => setSearchText(e.target.value)}
+                  placeholder="Search by event, DJ or venue, or try #soca OR #dancehall"
+                  className="w-full pl-12 pr-28 py-4 bg-white border border-gray-200 rounded-full shadow-md focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+                />
+                <button
+                  type="submit"
+                  className="absolute right-2 top-1/2 -translate-y-1/2 px-6 py-2.5 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-full font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all duration-200"
+                >
+                  Search
+                </button>
+              </form>
               <button
                 onClick={scrollToEvents}
                 className="bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] hover:from-[#ff5252] hover:to-[#FF6B6B] text-white px-8 py-3 sm:px-10 sm:py-4 rounded-full font-semibold transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-xl text-sm sm:text-base"
@@ -244,7 +388,7 @@ const Landing = () => {
         <div className="max-w-7xl mx-auto">
           {/* Time Filter Tabs */}
           <div className="flex justify-center relative z-10">
-            <div className="inline-flex gap-1 sm:gap-4 md:gap-6 bg-white rounded-full p-1.5 sm:p-2 mb-20 max-w-full" style={{ boxShadow: '0 10px 25px -5px rgba(0, 0, 0, 0.1), 0 8px 10px -6px rgba(0, 0, 0, 0.1)' }}>
+            <div className="inline-flex gap-1 sm:gap-4 md:gap-6 bg-white rounded-full p-1.5 sm:p-2 mb-8 max-w-full" style={{ boxShadow: '0 10px 25px -5px rgba(0, 0, 0, 0.1), 0 8px 10px -6px rgba(0, 0, 0, 0.1)' }}>
               {timeFilters.map((filter) => (
                 <button
                   key={filter}
@@ -262,6 +406,46 @@ const Landing = () => {
             </div>
           </div>
 
+          {/* Home City */}
+          {!city && homeCity && (
+            <p className="mb-4 flex items-center justify-center gap-2 text-sm text-gray-600">
+              <MapPin className="w-4 h-4 text-[#FF6B6B]" />
+              Showing events in {getCityLabel(homeCity)}
+              <Link to={`/city/${homeCity}`} className="font-semibold text-[#FF6B6B] hover:text-[#ff5252]">
+                City guide
+              </Link>
+            </p>
+          )}
+
+          {/* Location Filter */}
+          <div className="mb-8">
+            {/* Hashtag searches are read in date order, so they can't sort by distance */}
+            <LocationFilter value={locationFilter} onChange={handleLocationFilterChange} sortable={!selectedHashtag} />
+          </div>
+
+          {/* Grid / Map Toggle */}
+          <div className="flex justify-center mb-8">
+            <div className="inline-flex bg-white rounded-full p-1 shadow-md">
+              {[
+                { mode: 'grid', label: 'Grid', icon: LayoutGrid },
+                { mode: 'map', label: 'Map', icon: MapIcon },
+              ].map((option) => (
+                <button
+                  key={option.mode}
+                  onClick={() => setViewMode(option.mode)}
+                  className={`flex items-center gap-2 px-5 py-2 rounded-full text-sm font-semibold transition-all duration-200 ${
+                    viewMode === option.mode
+                      ? 'bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white shadow-md'
+                      : 'text-gray-600 hover:text-[#FF6B6B]'
+                  }`}
+                >
+                  <option.icon className="w-4 h-4" />
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
           {/* Active Filters Display */}
           {(selectedCategory || selectedHashtag) && (
             <div className="mb-8 flex flex-wrap items-center gap-3 justify-center bg-white rounded-full px-6 py-3 shadow-md w-fit mx-auto">
@@ -277,10 +461,7 @@ const Landing = () => {
                 </span>
               )}
               <button
-                onClick={() => {
-                  setSelectedCategory(null);
-                  setSelectedHashtag(null);
-                }}
+                onClick={() => updateFilters({ category: null, hashtags: [], hashtagQuery: '' })}
                 className="text-sm text-[#FF6B6B] hover:text-[#ff5252] font-semibold ml-2"
               >
                 Clear
@@ -295,6 +476,14 @@ const Landing = () => {
                 <div key={i} className="bg-gray-200 rounded-lg aspect-[4/3] animate-pulse"></div>
               ))}
             </div>
+          ) : viewMode === 'map' ? (
+            <EventMap
+              events={events}
+              isEventFavorited={isEventFavorited}
+              onFavoriteToggle={handleFavoriteToggle}
+              onHashtagClick={handleHashtagClick}
+              currentUserId={user?.uid}
+            />
           ) : displayedEvents.length > 0 ? (
             <>
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -311,7 +500,7 @@ const Landing = () => {
               </div>
 
               {/* Show More Button */}
-              {eventsToShow < events.length && (
+              {(eventsToShow < events.length || listingPage?.hasMore) && (
                 <div className="mt-16 text-center">
                   <button
                     onClick={handleShowMore}
@@ -328,11 +517,13 @@ const Landing = () => {
               <div className="bg-white rounded-2xl shadow-lg p-12 max-w-md mx-auto">
                 <p className="text-gray-600 text-lg mb-6">No events found for the selected filters.</p>
                 <button
-                  onClick={() => {
-                    setSelectedCategory(null);
-                    setSelectedHashtag(null);
-                    setActiveTimeFilter('TODAY');
-                  }}
+                  onClick={() => updateFilters({
+                    category: null,
+                    hashtags: [],
+                    hashtagQuery: '',
+                    timeRange: 'today',
+                    ...fromLocationFilter(DEFAULT_LOCATION_FILTER),
+                  })}
                   className="px-8 py-3 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-full font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all duration-200 shadow-md hover:shadow-lg"
                 >
                   Clear all filters
@@ -352,7 +543,7 @@ const Landing = () => {
       <section className="pt-20 pb-0 px-4 sm:px-6 lg:px-8 bg-gray-50">
         <div className="max-w-7xl mx-auto text-center">
           <h2 className="text-4xl sm:text-5xl font-bold text-gray-900 mb-12">
-            Trending Hashtags
+            {citySlug ? `Trending in ${getCityLabel(citySlug)}` : 'Trending Hashtags'}
           </h2>
 
           <div className="flex flex-wrap justify-center gap-4 pb-20">
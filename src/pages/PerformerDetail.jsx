@@ -0,0 +1,235 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ChevronLeft, Music, Users, Instagram, Twitter, Headphones } from 'lucide-react';
+import Navbar from '../components/Navbar';
+import Footer from '../components/Footer';
+import Newsletter from '../components/Newsletter';
+import EventCard from '../components/EventCard';
+import PerformerFollowButton from '../components/PerformerFollowButton';
+import { getPerformerById, getPerformerEvents } from '../services/performerService';
+import { useAuth } from '../context/AuthContext';
+import { PERFORMER_ROLE_LABELS, getPerformerSocialUrl } from '../utils/lineupHelpers';
+
+/**
+ * Performer Page (/performers/:performerId)
+ * A DJ, host, MC or artist's profile with their upcoming and past gigs.
+ */
+const PerformerDetail = () => {
+  const { performerId } = useParams();
+  const navigate = useNavigate();
+  const { user, toggleFavorite } = useAuth();
+
+  const [performer, setPerformer] = useState(null);
+  const [upcomingEvents, setUpcomingEvents] = useState([]);
+  const [pastEvents, setPastEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchPerformerData = async () => {
+      try {
+        setLoading(true);
+        setError('');
+
+        const [performerData, { upcoming, past }] = await Promise.all([
+          getPerformerById(performerId),
+          getPerformerEvents(performerId),
+        ]);
+
+        setPerformer(performerData);
+        setUpcomingEvents(upcoming);
+        setPastEvents(past);
+      } catch (err) {
+        console.error('Error fetching performer:', err);
+        setError(err.message === 'Performer not found' ? 'Performer not found' : 'Failed to load performer. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (performerId) {
+      fetchPerformerData();
+    }
+  }, [performerId]);
+
+  const handleFavoriteToggle = async (eventId) => {
+    try {
+      await toggleFavorite(eventId);
+    } catch (error) {
+      console.error('Error toggling favorite:', error);
+    }
+  };
+
+  // Keep the follower count in step without refetching
+  const handleFollowChange = (isFollowing) => {
+    setPerformer(prev => ({
+      ...prev,
+      followersCount: Math.max(0, (prev.followersCount || 0) + (isFollowing ? 1 : -1)),
+    }));
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-white flex flex-col">
+        <Navbar />
+        <div className="flex-1 flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-16 w-16 border-b-4 border-[#FF6B6B] mx-auto mb-4"></div>
+            <p className="text-gray-600 text-lg">Loading performer...</p>
+          </div>
+        </div>
+        <Footer />
+      </div>
+    );
+  }
+
+  if (error || !performer) {
+    return (
+      <div className="min-h-screen bg-white flex flex-col">
+        <Navbar />
+        <div className="flex-1 flex items-center justify-center px-4">
+          <div className="text-center max-w-md">
+            <div className="bg-red-50 rounded-2xl p-8 mb-6">
+              <p className="text-red-600 text-lg mb-4">{error || 'Performer not found'}</p>
+              <button
+                onClick={() => navigate(-1)}
+                className="px-6 py-3 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-xl font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all duration-200 shadow-md hover:shadow-lg"
+              >
+                Go Back
+              </button>
+            </div>
+          </div>
+        </div>
+        <Footer />
+      </div>
+    );
+  }
+
+  const socialLinks = [
+    { network: 'instagram', icon: Instagram, label: performer.socials?.instagram && `@${performer.socials.instagram}` },
+    { network: 'twitter', icon: Twitter, label: performer.socials?.twitter && `@${performer.socials.twitter}` },
+    { network: 'soundcloud', icon: Headphones, label: performer.socials?.soundcloud && 'SoundCloud' },
+  ].filter(link => link.label);
+
+  const renderEventGrid = (events) => (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+      {events.map((event) => (
+        <EventCard
+          key={event.id}
+          event={event}
+          isFavorited={user?.favoriteEvents?.includes(event.id)}
+          onFavoriteToggle={handleFavoriteToggle}
+          currentUserId={user?.uid}
+        />
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-white flex flex-col">
+      <Navbar />
+
+      {/* Back Button */}
+      <div className="max-w-7xl mx-auto w-full px-4 sm:px-6 lg:px-8 pt-8">
+        <button
+          onClick={() => navigate(-1)}
+          className="flex items-center gap-2 text-gray-600 hover:text-[#FF6B6B] transition-colors"
+        >
+          <ChevronLeft className="w-5 h-5" />
+          <span>Back</span>
+        </button>
+      </div>
+
+      {/* Performer Header */}
+      <section className="py-12 px-4 sm:px-6 lg:px-8 bg-gradient-to-b from-gray-50 to-white">
+        <div className="max-w-7xl mx-auto flex flex-col sm:flex-row items-center sm:items-start gap-8">
+          {performer.photoUrl ? (
+            <img
+              src={performer.photoUrl}
+              alt={performer.name}
+              className="w-40 h-40 rounded-full object-cover shadow-lg flex-shrink-0"
+            />
+          ) : (
+            <div className="w-40 h-40 rounded-full bg-gradient-to-br from-[#FF6B6B] to-[#FF8E8E] flex items-center justify-center shadow-lg flex-shrink-0">
+              <Music className="w-16 h-16 text-white" />
+            </div>
+          )}
+
+          <div className="text-center sm:text-left">
+            <p className="text-sm font-semibold uppercase tracking-wide text-[#FF6B6B] mb-2">
+              {PERFORMER_ROLE_LABELS[performer.role] || 'Performer'}
+            </p>
+            <h1 className="text-3xl sm:text-4xl md:text-5xl font-bold text-gray-900 mb-4">
+              {performer.name}
+            </h1>
+
+            <div className="flex flex-wrap items-center justify-center sm:justify-start gap-x-6 gap-y-2 text-gray-700 mb-6">
+              <span className="flex items-center gap-2">
+                <Users className="w-5 h-5 text-[#FF6B6B]" />
+                {performer.followersCount || 0} {performer.followersCount === 1 ? 'follower' : 'followers'}
+              </span>
+              <span className="flex items-center gap-2">
+                <Music className="w-5 h-5 text-[#FF6B6B]" />
+                {upcomingEvents.length} upcoming {upcomingEvents.length === 1 ? 'gig' : 'gigs'}
+              </span>
+            </div>
+
+            {performer.bio && (
+              <p className="text-gray-700 leading-relaxed max-w-2xl mb-6 whitespace-pre-line">{performer.bio}</p>
+            )}
+
+            <div className="flex flex-wrap items-center justify-center sm:justify-start gap-3">
+              <PerformerFollowButton
+                performer={performer}
+                variant="primary"
+                onFollowChange={handleFollowChange}
+              />
+              {socialLinks.map((link) => (
+                <a
+                  key={link.network}
+                  href={getPerformerSocialUrl(link.network, performer.socials[link.network])}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-full text-sm font-semibold hover:bg-gray-200 transition-colors"
+                >
+                  <link.icon className="w-4 h-4" />
+                  {link.label}
+                </a>
+              ))}
+            </div>
+          </div>
+        </div>
+      </section>
+
+      {/* Upcoming Events */}
+      <section className="py-12 px-4 sm:px-6 lg:px-8 bg-white">
+        <div className="max-w-7xl mx-auto">
+          <h2 className="text-3xl font-bold text-gray-900 mb-8">Upcoming Gigs</h2>
+          {upcomingEvents.length > 0 ? renderEventGrid(upcomingEvents) : (
+            <div className="bg-gray-50 rounded-2xl p-12 text-center">
+              <p className="text-gray-600 text-lg">No upcoming gigs announced yet.</p>
+            </div>
+          )}
+        </div>
+      </section>
+
+      {/* Past Events */}
+      {pastEvents.length > 0 && (
+        <section className="py-12 px-4 sm:px-6 lg:px-8 bg-gray-50">
+          <div className="max-w-7xl mx-auto">
+            <h2 className="text-3xl font-bold text-gray-900 mb-8">Past Gigs</h2>
+            {renderEventGrid(pastEvents)}
+          </div>
+        </section>
+      )}
+
+      {/* Newsletter */}
+      <Newsletter />
+
+      {/* Footer */}
+      <Footer />
+    </div>
+  );
+};
+
+export default PerformerDetail;
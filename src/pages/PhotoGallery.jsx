@@ -9,6 +9,7 @@ import PhotoUploadModal from '../components/PhotoUploadModal';
 import { getAllPhotos, getPhotosByHashtag } from '../services/photoService';
 import { getTrendingHashtags } from '../services/hashtagService';
 import { useAuth } from '../context/AuthContext';
+import { parseFilterState, updateFilterParams } from '../utils/filterStateHelpers';
 
 const PhotoGallery = () => {
   const navigate = useNavigate();
@@ -16,12 +17,14 @@ const PhotoGallery = () => {
   const { user } = useAuth();
   const [searchParams, setSearchParams] = useSearchParams();
 
+  // The hashtag lives in the URL so back/forward and shared links keep it
+  const selectedHashtag = parseFilterState(searchParams).hashtags[0] || '';
+
   const [photos, setPhotos] = useState([]);
   const [loading, setLoading] = useState(true);
   const [loadingMore, setLoadingMore] = useState(false);
   const [selectedPhoto, setSelectedPhoto] = useState(null);
   const [uploadModalOpen, setUploadModalOpen] = useState(false);
-  const [selectedHashtag, setSelectedHashtag] = useState((searchParams.get('hashtag') || '').toLowerCase());
   const [searchQuery, setSearchQuery] = useState('');
   const [trendingHashtags, setTrendingHashtags] = useState([]);
   const [lastDoc, setLastDoc] = useState(null);
@@ -32,13 +35,6 @@ const PhotoGallery = () => {
     fetchTrendingHashtags();
   }, [selectedHashtag]);
 
-  useEffect(() => {
-    const hashtagFromUrl = searchParams.get('hashtag');
-    if (hashtagFromUrl) {
-      setSelectedHashtag(hashtagFromUrl.toLowerCase());
-    }
-  }, [searchParams]);
-
   const fetchTrendingHashtags = async () => {
     try {
       const hashtags = await getTrendingHashtags(10);
@@ -106,25 +102,20 @@ const PhotoGallery = () => {
   };
 
   const handleHashtagClick = (hashtag) => {
-    const cleanHashtag = (hashtag.startsWith('#') ? hashtag.slice(1) : hashtag).toLowerCase();
-    setSelectedHashtag(cleanHashtag);
-    setSearchParams({ hashtag: cleanHashtag });
+    setSearchParams(updateFilterParams(searchParams, { hashtags: [hashtag] }));
     setSearchQuery('');
   };
 
   const handleSearchSubmit = (e) => {
     e.preventDefault();
     if (searchQuery.trim()) {
-      const cleanHashtag = (searchQuery.startsWith('#') ? searchQuery.slice(1) : searchQuery).toLowerCase();
-      setSelectedHashtag(cleanHashtag);
-      setSearchParams({ hashtag: cleanHashtag });
+      setSearchParams(updateFilterParams(searchParams, { hashtags: [searchQuery] }));
     }
   };
 
   const handleClearFilter = () => {
-    setSelectedHashtag('');
     setSearchQuery('');
-    setSearchParams({});
+    setSearchParams(updateFilterParams(searchParams, { hashtags: [] }));
   };
 
   const handleLoadMore = () => {
@@ -1,14 +1,33 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { Camera, ChevronLeft, ChevronRight, Trash2, X, Plus, Edit, Calendar } from 'lucide-react';
+import { Camera, ChevronLeft, ChevronRight, Trash2, X, Plus, Edit, Calendar, RotateCcw, ChevronDown, ChevronUp, CopyPlus, BookmarkPlus } from 'lucide-react';
+import { format } from 'date-fns';
 import Navbar from '../components/Navbar';
 import Footer from '../components/Footer';
 import Newsletter from '../components/Newsletter';
 import EventCard from '../components/EventCard';
 import ProfilePhotoUploadModal from '../components/ProfilePhotoUploadModal';
+import EventTemplateManager from '../components/EventTemplateManager';
+import CalendarSubscribe from '../components/CalendarSubscribe';
 import { getEvents, deleteEvent } from '../services/eventService';
 import { getUserPhotos, deletePhoto } from '../services/photoService';
+import { RSVP_VISIBILITY } from '../services/rsvpService';
+import { getPendingHostInvites, respondToHostInvite } from '../services/hostService';
+import { createEventTemplate } from '../services/eventTemplateService';
+import {
+  getDeletedEvents,
+  getDeletedPhotos,
+  restoreEvent,
+  restorePhoto,
+  purgeEvent,
+  purgePhoto,
+  getPurgeDate,
+  TRASH_RETENTION_DAYS,
+} from '../services/trashService';
+import { HOST_ROLE_LABELS, isEventHost, canEditEvent, canDeleteEvent } from '../utils/hostHelpers';
+import { buildTemplateFromEvent } from '../utils/eventTemplateHelpers';
+import { CALENDAR_FEED_TYPES } from '../utils/calendarHelpers';
 
 const Profile = () => {
   const { user, updateProfile, toggleFavorite, followHashtag, unfollowHashtag } = useAuth();
@@ -22,6 +41,7 @@ const Profile = () => {
     bio: '',
     instagramHandle: '',
     twitterHandle: '',
+    rsvpVisibility: RSVP_VISIBILITY.PUBLIC,
     password: '',
     confirmPassword: '',
   });
@@ -32,14 +52,63 @@ const Profile = () => {
   const [saveError, setSaveError] = useState('');
   const [favoriteEvents, setFavoriteEvents] = useState([]);
   const [myEvents, setMyEvents] = useState([]);
+  const [hostInvites, setHostInvites] = useState([]);
+  const [templatesVersion, setTemplatesVersion] = useState(0);
   const [photosPosted, setPhotosPosted] = useState([]);
   const [selectedPhotos, setSelectedPhotos] = useState([]);
   const [favoritesPage, setFavoritesPage] = useState(0);
   const [myEventsPage, setMyEventsPage] = useState(0);
   const [isPhotoModalOpen, setIsPhotoModalOpen] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [trashTab, setTrashTab] = useState('events');
+  const [deletedEvents, setDeletedEvents] = useState([]);
+  const [deletedPhotos, setDeletedPhotos] = useState([]);
+  const [trashLoading, setTrashLoading] = useState(false);
 
   const favoritesPerPage = 3;
 
+  const fetchFavoriteEvents = useCallback(async () => {
+    try {
+      const result = await getEvents({ limit: 50 });
+      const events = result.events || result;
+      const favorites = events.filter(event => user?.favoriteEvents?.includes(event.id));
+      setFavoriteEvents(favorites);
+    } catch (error) {
+      console.error('Error fetching favorite events:', error);
+    }
+  }, [user?.favoriteEvents]);
+
+  const fetchMyEvents = useCallback(async () => {
+    try {
+      // Include drafts, scheduled and cancelled events so promoters can manage them
+      const result = await getEvents({ limit: 50, includeUnlisted: true });
+      const events = result.events || result;
+      // Includes events the user co-hosts (legacy events fall back to promoterId/createdBy)
+      const myEventsList = events.filter(event => isEventHost(event, user?.uid));
+      setMyEvents(myEventsList);
+    } catch (error) {
+      console.error('Error fetching my events:', error);
+    }
+  }, [user?.uid]);
+
+  const fetchHostInvites = useCallback(async () => {
+    try {
+      const invites = await getPendingHostInvites(user?.uid);
+      setHostInvites(invites);
+    } catch (error) {
+      console.error('Error fetching host invites:', error);
+    }
+  }, [user?.uid]);
+
+  const fetchMyPhotos = useCallback(async () => {
+    try {
+      const photos = await getUserPhotos(user?.uid);
+      setPhotosPosted(photos);
+    } catch (error) {
+      console.error('Error fetching my photos:', error);
+    }
+  }, [user?.uid]);
+
   useEffect(() => {
     if (user) {
       setFormData({
@@ -48,6 +117,7 @@ const Profile = () => {
         bio: user.bio || '',
         instagramHandle: user.instagramHandle || '',
         twitterHandle: user.twitterHandle || '',
+        rsvpVisibility: user.rsvpVisibility || RSVP_VISIBILITY.PUBLIC,
         password: '',
         confirmPassword: '',
       });
@@ -60,45 +130,98 @@ const Profile = () => {
       // Fetch promoter's events
       if (user.userType === 'promoter') {
         fetchMyEvents();
+        fetchHostInvites();
       }
 
       // Fetch user's photos
       fetchMyPhotos();
     }
-  }, [user, location.state]);
+  }, [user, location.state, fetchFavoriteEvents, fetchMyEvents, fetchHostInvites, fetchMyPhotos]);
 
-  const fetchFavoriteEvents = async () => {
+  // Accepting a co-host invite adds the event to My Events
+  const handleHostInvite = async (invite, accept) => {
     try {
-      const result = await getEvents({ limit: 50 });
-      const events = result.events || result;
-      const favorites = events.filter(event => user?.favoriteEvents?.includes(event.id));
-      setFavoriteEvents(favorites);
+      await respondToHostInvite(invite.id, user?.uid, accept);
+      setHostInvites(prev => prev.filter(item => item.id !== invite.id));
+      if (accept) {
+        fetchMyEvents();
+      }
     } catch (error) {
-      console.error('Error fetching favorite events:', error);
+      console.error('Error responding to host invite:', error);
+      alert(error.message || 'Failed to respond to invite');
     }
   };
 
-  const fetchMyEvents = async () => {
+  const fetchTrash = async () => {
+    setTrashLoading(true);
     try {
-      const result = await getEvents({ limit: 50 });
-      const events = result.events || result;
-      // Handle both 'promoterId' and 'createdBy' field names for backwards compatibility
-      const myEventsList = events.filter(event => {
-        const eventPromoterId = event.promoterId || event.createdBy;
-        return eventPromoterId === user?.uid;
-      });
-      setMyEvents(myEventsList);
+      const [events, photos] = await Promise.all([
+        getDeletedEvents(user?.uid),
+        getDeletedPhotos(user?.uid),
+      ]);
+      setDeletedEvents(events);
+      setDeletedPhotos(photos);
     } catch (error) {
-      console.error('Error fetching my events:', error);
+      console.error('Error fetching trash:', error);
+    } finally {
+      setTrashLoading(false);
     }
   };
 
-  const fetchMyPhotos = async () => {
+  const handleToggleTrash = () => {
+    if (!showTrash) {
+      fetchTrash();
+    }
+    setShowTrash(prev => !prev);
+  };
+
+  const handleRestoreEvent = async (eventId) => {
     try {
-      const photos = await getUserPhotos(user?.uid);
-      setPhotosPosted(photos);
+      await restoreEvent(eventId);
+      setDeletedEvents(prev => prev.filter(event => event.id !== eventId));
+      await fetchMyEvents();
     } catch (error) {
-      console.error('Error fetching my photos:', error);
+      console.error('Error restoring event:', error);
+      alert('Failed to restore event. Please try again.');
+    }
+  };
+
+  const handleRestorePhoto = async (photoId) => {
+    try {
+      await restorePhoto(photoId);
+      setDeletedPhotos(prev => prev.filter(photo => photo.id !== photoId));
+      await fetchMyPhotos();
+    } catch (error) {
+      console.error('Error restoring photo:', error);
+      alert('Failed to restore photo. Please try again.');
+    }
+  };
+
+  const handlePurgeEvent = async (eventId) => {
+    if (!window.confirm('Permanently delete this event? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await purgeEvent(eventId);
+      setDeletedEvents(prev => prev.filter(event => event.id !== eventId));
+    } catch (error) {
+      console.error('Error purging event:', error);
+      alert('Failed to delete event. Please try again.');
+    }
+  };
+
+  const handlePurgePhoto = async (photoId) => {
+    if (!window.confirm('Permanently delete this photo? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await purgePhoto(photoId);
+      setDeletedPhotos(prev => prev.filter(photo => photo.id !== photoId));
+    } catch (error) {
+      console.error('Error purging photo:', error);
+      alert('Failed to delete photo. Please try again.');
     }
   };
 
@@ -139,6 +262,7 @@ const Profile = () => {
         bio: formData.bio,
         instagramHandle: formData.instagramHandle,
         twitterHandle: formData.twitterHandle,
+        rsvpVisibility: formData.rsvpVisibility,
       };
 
       // Only include password if it's actually provided
@@ -184,11 +308,14 @@ const Profile = () => {
     if (selectedPhotos.length === 0) return;
 
     try {
-      // Delete each selected photo
-      await Promise.all(selectedPhotos.map(photoId => deletePhoto(photoId)));
+      // Move each selected photo to the trash
+      await Promise.all(selectedPhotos.map(photoId => deletePhoto(photoId, user.uid)));
 
       // Refresh the photos list
       await fetchMyPhotos();
+      if (showTrash) {
+        fetchTrash();
+      }
 
       // Clear selection
       setSelectedPhotos([]);
@@ -230,13 +357,16 @@ const Profile = () => {
   };
 
   const handleDeleteEvent = async (eventId) => {
-    if (!window.confirm('Are you sure you want to delete this event?')) {
+    if (!window.confirm(`Delete this event? You can restore it from Recently Deleted for ${TRASH_RETENTION_DAYS} days.`)) {
       return;
     }
 
     try {
-      await deleteEvent(eventId);
+      await deleteEvent(eventId, user.uid);
       await fetchMyEvents();
+      if (showTrash) {
+        fetchTrash();
+      }
     } catch (error) {
       console.error('Error deleting event:', error);
       alert('Failed to delete event. Please try again.');
@@ -244,10 +374,28 @@ const Profile = () => {
   };
 
   const handleEditEvent = (eventId) => {
-    // Navigate to event edit page (we'll create this later)
     navigate(`/events/${eventId}/edit`);
   };
 
+  // Open the create form prefilled with everything but the date
+  const handleDuplicateEvent = (eventId) => {
+    navigate(`/events/create?duplicate=${eventId}`);
+  };
+
+  const handleSaveAsTemplate = async (event) => {
+    const name = window.prompt('Name this template', event.title || event.name || '');
+    if (name === null) return;
+
+    try {
+      await createEventTemplate(user?.uid, buildTemplateFromEvent(event, name));
+      setTemplatesVersion(prev => prev + 1);
+      alert('Template saved! Pick it the next time you create an event.');
+    } catch (error) {
+      console.error('Error saving template:', error);
+      alert('Failed to save template. Please try again.');
+    }
+  };
+
   const handleCreateEvent = () => {
     // Navigate to create event page (we'll create this later)
     navigate('/events/create');
@@ -403,6 +551,24 @@ const Profile = () => {
                   />
                 </div>
 
+                {/* RSVP Privacy */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Who can see my RSVPs
+                  </label>
+                  <select
+                    name="rsvpVisibility"
+                    value={formData.rsvpVisibility}
+                    onChange={handleChange}
+                    disabled={!isEditing}
+                    className="w-full px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent disabled:opacity-60 transition-all"
+                  >
+                    <option value={RSVP_VISIBILITY.PUBLIC}>Everyone</option>
+                    <option value={RSVP_VISIBILITY.PROMOTER_ONLY}>Only the event&apos;s promoter</option>
+                    <option value={RSVP_VISIBILITY.PRIVATE}>Nobody (just count me)</option>
+                  </select>
+                </div>
+
                 {isEditing && (
                   <>
                     {/* Password */}
@@ -480,6 +646,7 @@ const Profile = () => {
                             bio: user?.bio || '',
                             instagramHandle: user?.instagramHandle || '',
                             twitterHandle: user?.twitterHandle || '',
+                            rsvpVisibility: user?.rsvpVisibility || RSVP_VISIBILITY.PUBLIC,
                             password: '',
                             confirmPassword: '',
                           });
@@ -512,6 +679,45 @@ const Profile = () => {
               </button>
             </div>
 
+            {/* Co-host Invites */}
+            {hostInvites.length > 0 && (
+              <div className="bg-gradient-to-r from-pink-50 to-red-50 border-2 border-[#FF6B6B] rounded-2xl p-6 mb-12">
+                <h3 className="text-lg font-bold text-gray-900 mb-4">Co-host Invites</h3>
+                <div className="divide-y divide-pink-100">
+                  {hostInvites.map((invite) => (
+                    <div key={invite.id} className="flex flex-wrap items-center justify-between gap-4 py-3">
+                      <div>
+                        <button
+                          onClick={() => navigate(`/events/${invite.eventId}`)}
+                          className="font-semibold text-gray-900 hover:text-[#FF6B6B] text-left"
+                        >
+                          {invite.eventTitle}
+                        </button>
+                        <p className="text-sm text-gray-600">
+                          {invite.eventDate && `${format(new Date(invite.eventDate), 'EEE, MMM d')} · `}
+                          Invited as {HOST_ROLE_LABELS[invite.role]}
+                        </p>
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleHostInvite(invite, true)}
+                          className="px-5 py-2 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-full text-sm font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all"
+                        >
+                          Accept
+                        </button>
+                        <button
+                          onClick={() => handleHostInvite(invite, false)}
+                          className="px-5 py-2 bg-white border-2 border-gray-300 text-gray-700 rounded-full text-sm font-semibold hover:bg-gray-50 transition-all"
+                        >
+                          Decline
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {myEvents.length > 0 ? (
               <div className="relative">
                 {/* Navigation Buttons */}
@@ -546,20 +752,38 @@ const Profile = () => {
                       />
                       {/* Action Buttons Overlay */}
                       <div className="absolute bottom-4 right-4 flex gap-2">
+                        {canEditEvent(event, user?.uid) && (
+                          <button
+                            onClick={() => handleEditEvent(event.id)}
+                            className="p-2 bg-white rounded-full shadow-lg hover:shadow-xl hover:scale-110 transition-all border-2 border-gray-200"
+                            title="Edit Event"
+                          >
+                            <Edit className="w-4 h-4 text-[#FF6B6B]" />
+                          </button>
+                        )}
                         <button
-                          onClick={() => handleEditEvent(event.id)}
+                          onClick={() => handleDuplicateEvent(event.id)}
                           className="p-2 bg-white rounded-full shadow-lg hover:shadow-xl hover:scale-110 transition-all border-2 border-gray-200"
-                          title="Edit Event"
+                          title="Duplicate Event"
                         >
-                          <Edit className="w-4 h-4 text-[#FF6B6B]" />
+                          <CopyPlus className="w-4 h-4 text-[#FF6B6B]" />
                         </button>
                         <button
-                          onClick={() => handleDeleteEvent(event.id)}
+                          onClick={() => handleSaveAsTemplate(event)}
                           className="p-2 bg-white rounded-full shadow-lg hover:shadow-xl hover:scale-110 transition-all border-2 border-gray-200"
-                          title="Delete Event"
+                          title="Save as Template"
                         >
-                          <Trash2 className="w-4 h-4 text-red-500" />
+                          <BookmarkPlus className="w-4 h-4 text-[#FF6B6B]" />
                         </button>
+                        {canDeleteEvent(event, user?.uid) && (
+                          <button
+                            onClick={() => handleDeleteEvent(event.id)}
+                            className="p-2 bg-white rounded-full shadow-lg hover:shadow-xl hover:scale-110 transition-all border-2 border-gray-200"
+                            title="Delete Event"
+                          >
+                            <Trash2 className="w-4 h-4 text-red-500" />
+                          </button>
+                        )}
                       </div>
                     </div>
                   ))}
@@ -580,6 +804,12 @@ const Profile = () => {
                 </div>
               </div>
             )}
+
+            {/* Event Templates */}
+            <div className="mt-16">
+              <h2 className="text-4xl font-bold text-gray-900 mb-8">Event Templates</h2>
+              <EventTemplateManager promoterId={user.uid} refreshKey={templatesVersion} />
+            </div>
           </div>
         </section>
       )}
@@ -593,6 +823,9 @@ const Profile = () => {
               <p className="text-lg text-gray-600">
                 {favoriteEvents.length} {favoriteEvents.length === 1 ? 'event' : 'events'} favorited
               </p>
+              <div className="flex justify-center mt-4">
+                <CalendarSubscribe type={CALENDAR_FEED_TYPES.FAVORITES} id={user.uid} />
+              </div>
               {totalFavoritesPages > 1 && (
                 <p className="text-sm text-gray-500 mt-2">
                   Showing {favoritesPage * favoritesPerPage + 1}-{Math.min((favoritesPage + 1) * favoritesPerPage, favoriteEvents.length)} of {favoriteEvents.length}
@@ -719,6 +952,126 @@ const Profile = () => {
         </section>
       )}
 
+      {/* Recently Deleted Section */}
+      <section className="py-16 px-4 sm:px-6 lg:px-8 bg-white">
+        <div className="max-w-7xl mx-auto">
+          <button
+            onClick={handleToggleTrash}
+            className="flex items-center gap-2 text-2xl font-bold text-gray-900 hover:text-[#FF6B6B] transition-colors"
+            aria-expanded={showTrash}
+          >
+            <Trash2 className="w-6 h-6" />
+            Recently Deleted
+            {showTrash ? <ChevronUp className="w-6 h-6" /> : <ChevronDown className="w-6 h-6" />}
+          </button>
+          <p className="text-sm text-gray-500 mt-2">
+            Deleted events and photos are kept for {TRASH_RETENTION_DAYS} days before they're permanently removed.
+          </p>
+
+          {showTrash && (
+            <div className="mt-8">
+              {/* Tabs */}
+              <div className="flex gap-2 border-b border-gray-200 mb-6">
+                {[
+                  { id: 'events', label: 'Events', count: deletedEvents.length },
+                  { id: 'photos', label: 'Photos', count: deletedPhotos.length },
+                ].map((tab) => (
+                  <button
+                    key={tab.id}
+                    onClick={() => setTrashTab(tab.id)}
+                    className={`px-6 py-3 font-semibold border-b-2 -mb-px transition-colors ${
+                      trashTab === tab.id
+                        ? 'border-[#FF6B6B] text-[#FF6B6B]'
+                        : 'border-transparent text-gray-600 hover:text-gray-900'
+                    }`}
+                  >
+                    {tab.label} ({tab.count})
+                  </button>
+                ))}
+              </div>
+
+              {trashLoading ? (
+                <div className="flex justify-center py-12">
+                  <div className="w-10 h-10 border-4 border-[#FF6B6B] border-t-transparent rounded-full animate-spin"></div>
+                </div>
+              ) : trashTab === 'events' ? (
+                deletedEvents.length > 0 ? (
+                  <ul className="divide-y divide-gray-200">
+                    {deletedEvents.map((event) => (
+                      <li key={event.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 py-4">
+                        <div>
+                          <p className="font-semibold text-gray-900">{event.title || event.name}</p>
+                          <p className="text-sm text-gray-500">
+                            Deleted {format(new Date(event.deletedAt), 'MMM d, yyyy')} · Removed permanently on{' '}
+                            {format(getPurgeDate(event.deletedAt), 'MMM d, yyyy')}
+                          </p>
+                        </div>
+                        <div className="flex gap-3">
+                          <button
+                            onClick={() => handleRestoreEvent(event.id)}
+                            className="flex items-center gap-2 px-4 py-2 bg-white border-2 border-[#FF6B6B] text-[#FF6B6B] rounded-lg font-medium hover:bg-gray-50 transition-colors"
+                          >
+                            <RotateCcw className="w-4 h-4" />
+                            Restore
+                          </button>
+                          {/* Only owners can delete events; editors can restore them */}
+                          {canDeleteEvent(event, user?.uid) && (
+                            <button
+                              onClick={() => handlePurgeEvent(event.id)}
+                              className="flex items-center gap-2 px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg font-medium transition-colors"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                              Delete Forever
+                            </button>
+                          )}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-gray-600 text-center py-12">No recently deleted events.</p>
+                )
+              ) : deletedPhotos.length > 0 ? (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  {deletedPhotos.map((photo) => (
+                    <div key={photo.id} className="rounded-lg overflow-hidden border border-gray-200">
+                      <img
+                        src={photo.imageUrl}
+                        alt={photo.caption || `Deleted photo ${photo.id}`}
+                        className="w-full aspect-square object-cover opacity-75"
+                      />
+                      <div className="p-3">
+                        <p className="text-xs text-gray-500 mb-2">
+                          Removed permanently on {format(getPurgeDate(photo.deletedAt), 'MMM d, yyyy')}
+                        </p>
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleRestorePhoto(photo.id)}
+                            className="flex-1 flex items-center justify-center gap-1 px-2 py-1.5 border-2 border-[#FF6B6B] text-[#FF6B6B] rounded-lg text-sm font-medium hover:bg-gray-50 transition-colors"
+                          >
+                            <RotateCcw className="w-3 h-3" />
+                            Restore
+                          </button>
+                          <button
+                            onClick={() => handlePurgePhoto(photo.id)}
+                            className="p-1.5 bg-red-500 hover:bg-red-600 text-white rounded-lg transition-colors"
+                            title="Delete Forever"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-gray-600 text-center py-12">No recently deleted photos.</p>
+              )}
+            </div>
+          )}
+        </div>
+      </section>
+
       {/* Hashtags Followed Section */}
       {user?.followedHashtags && user.followedHashtags.length > 0 && (
         <section className="py-16 px-4 sm:px-6 lg:px-8 bg-gray-50">
@@ -744,6 +1097,22 @@ const Profile = () => {
                   </div>
                 ))}
               </div>
+
+              <div className="mt-8 pt-6 border-t border-gray-200">
+                <p className="text-sm text-gray-600 text-center mb-4">
+                  Get events for a hashtag in your calendar app
+                </p>
+                <div className="flex flex-wrap gap-3 justify-center">
+                  {user.followedHashtags.map((hashtag) => (
+                    <CalendarSubscribe
+                      key={hashtag}
+                      type={CALENDAR_FEED_TYPES.HASHTAG}
+                      id={hashtag}
+                      label={`#${hashtag}`}
+                    />
+                  ))}
+                </div>
+              </div>
             </div>
           </div>
         </section>
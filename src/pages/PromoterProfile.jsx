@@ -5,9 +5,12 @@ import Navbar from '../components/Navbar';
 import Footer from '../components/Footer';
 import Newsletter from '../components/Newsletter';
 import EventCard from '../components/EventCard';
+import CalendarSubscribe from '../components/CalendarSubscribe';
 import { getEvents } from '../services/eventService';
 import { getCurrentUserData } from '../services/authService';
 import { useAuth } from '../context/AuthContext';
+import { isEventHost } from '../utils/hostHelpers';
+import { CALENDAR_FEED_TYPES } from '../utils/calendarHelpers';
 
 const PromoterProfile = () => {
   const { promoterId } = useParams();
@@ -41,7 +44,7 @@ const PromoterProfile = () => {
         setPromoter(promoterData);
 
         // Fetch promoter's events
-        // Fetch all events and filter manually to handle both 'promoterId' and 'createdBy' fields
+        // Fetch all events and filter manually to include co-hosted and legacy ('createdBy') events
         const result = await getEvents({
           limit: 1000,
           sortBy: 'date',
@@ -49,11 +52,8 @@ const PromoterProfile = () => {
         });
 
         const allEvents = result.events || result;
-        // Filter events by this promoter (handle both field names)
-        const eventsList = allEvents.filter(event => {
-          const eventPromoterId = event.promoterId || event.createdBy;
-          return eventPromoterId === promoterId;
-        });
+        // Filter events hosted or co-hosted by this promoter
+        const eventsList = allEvents.filter(event => isEventHost(event, promoterId));
 
         setEvents(eventsList);
         setLoading(false);
@@ -222,9 +222,12 @@ const PromoterProfile = () => {
           <h2 className="text-3xl sm:text-4xl font-bold text-gray-900 text-center mb-4">
             Events by {promoter.fullName || promoter.username}
           </h2>
-          <p className="text-gray-600 text-center mb-12">
+          <p className="text-gray-600 text-center mb-4">
             {events.length} {events.length === 1 ? 'event' : 'events'} total
           </p>
+          <div className="flex justify-center mb-12">
+            <CalendarSubscribe type={CALENDAR_FEED_TYPES.PROMOTER} id={promoterId} />
+          </div>
 
           {events.length > 0 ? (
             <>
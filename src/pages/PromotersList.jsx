@@ -1,19 +1,29 @@
 import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { Instagram, Twitter, Calendar, Search } from 'lucide-react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { Instagram, Twitter, Calendar, Search, MapPin } from 'lucide-react';
 import Navbar from '../components/Navbar';
 import Footer from '../components/Footer';
 import Newsletter from '../components/Newsletter';
 import { getAllPromoters } from '../services/authService';
 import { getEvents } from '../services/eventService';
+import { getEventHostIds } from '../utils/hostHelpers';
+import { getCityLabel } from '../utils/cityHelpers';
+import { getCityBySlug } from '../data/cities';
+import { useAuth } from '../context/AuthContext';
+import { parseFilterState, updateFilterParams } from '../utils/filterStateHelpers';
 
 const PromotersList = () => {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { homeCity } = useAuth();
+  // A city in the URL (from a city page) wins over the home city
+  const citySlug = getCityBySlug(searchParams.get('city'))?.slug || homeCity || null;
+  // The search term lives in the URL (?q=) so it survives a refresh
+  const searchQuery = parseFilterState(searchParams).q;
   const [promoters, setPromoters] = useState([]);
   const [promotersWithEventCounts, setPromotersWithEventCounts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [searchQuery, setSearchQuery] = useState('');
 
   useEffect(() => {
     const fetchPromotersAndEvents = async () => {
@@ -24,25 +34,25 @@ const PromotersList = () => {
         // Fetch all promoters
         const promotersData = await getAllPromoters();
 
-        // Fetch all events to count events per promoter
-        const eventsResult = await getEvents({ limit: 1000 });
+        // Fetch all events (in the city) to count events per promoter
+        const eventsResult = await getEvents({ limit: 1000, city: citySlug || undefined });
         const allEvents = eventsResult.events || eventsResult;
 
-        // Count events per promoter
-        // Handle both 'promoterId' and 'createdBy' field names for backwards compatibility
+        // Count events per promoter, including events they co-host
         const eventCounts = {};
         allEvents.forEach((event) => {
-          const promoterId = event.promoterId || event.createdBy;
-          if (promoterId) {
-            eventCounts[promoterId] = (eventCounts[promoterId] || 0) + 1;
-          }
+          getEventHostIds(event).forEach((hostId) => {
+            eventCounts[hostId] = (eventCounts[hostId] || 0) + 1;
+          });
         });
 
-        // Add event counts to promoters
-        const promotersWithCounts = promotersData.map((promoter) => ({
-          ...promoter,
-          eventCount: eventCounts[promoter.uid] || 0,
-        }));
+        // Add event counts to promoters; in a city, keep those based there or hosting there
+        const promotersWithCounts = promotersData
+          .map((promoter) => ({
+            ...promoter,
+            eventCount: eventCounts[promoter.uid] || 0,
+          }))
+          .filter((promoter) => !citySlug || promoter.homeCity === citySlug || promoter.eventCount > 0);
 
         // Sort by event count (most active first)
         promotersWithCounts.sort((a, b) => b.eventCount - a.eventCount);
@@ -58,7 +68,7 @@ const PromotersList = () => {
     };
 
     fetchPromotersAndEvents();
-  }, []);
+  }, [citySlug]);
 
   const getPromoterInitials = (promoter) => {
     if (promoter?.fullName) {
@@ -134,6 +144,17 @@ const PromotersList = () => {
           <p className="text-lg sm:text-xl text-gray-600 mb-8 max-w-2xl mx-auto">
             Connect with the best event promoters in your area
           </p>
+          {citySlug && (
+            <p className="flex items-center justify-center gap-2 text-gray-600 -mt-4 mb-8">
+              <MapPin className="w-4 h-4 text-[#FF6B6B]" />
+              Promoters in {getCityLabel(citySlug)}
+              {citySlug !== homeCity && (
+                <Link to="/promoters" className="font-semibold text-[#FF6B6B] hover:text-[#ff5252]">
+                  {homeCity ? `Back to ${getCityLabel(homeCity)}` : 'All cities'}
+                </Link>
+              )}
+            </p>
+          )}
           <div className="w-32 h-1 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] mx-auto mb-12"></div>
 
           {/* Search Bar */}
@@ -144,7 +165,7 @@ const PromotersList = () => {
                 type="text"
                 placeholder="Search promoters by name or bio..."
                 value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
+                onChange={(e) => setSearchParams(updateFilterParams(searchParams, { q: e.target.value }), { replace: true })}
                 className="w-full pl-12 pr-4 py-4 bg-white border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent shadow-sm text-lg"
               />
             </div>
@@ -0,0 +1,352 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+import { Search, MapPin } from 'lucide-react';
+import Navbar from '../components/Navbar';
+import Footer from '../components/Footer';
+import Newsletter from '../components/Newsletter';
+import EventCard from '../components/EventCard';
+import SearchFacets from '../components/SearchFacets';
+import { searchIndexedEvents } from '../services/searchService';
+import { getCityLabel } from '../utils/cityHelpers';
+import { PRICE_BUCKETS, filterEventsByFacets, getSearchFacets } from '../utils/facetHelpers';
+import { parseFilterState, serializePriceRange, updateFilterParams } from '../utils/filterStateHelpers';
+import { useAuth } from '../context/AuthContext';
+
+const RESULTS_PER_PAGE = 12;
+
+// Matches loaded per request; facet counts cover every match loaded so far
+const MATCHES_PER_BATCH = 100;
+
+// Filters shown when the URL has none (see filterStateHelpers.js)
+const FILTER_DEFAULTS = { sort: 'relevance' };
+
+/**
+ * Turn a picked facet (see getSearchFacets) into filter state changes
+ * @param {string} facetId - Facet ID
+ * @param {string|null} value - Picked option, or null to un-pick
+ * @returns {Object} Changes for updateFilterParams
+ */
+const toFilterChanges = (facetId, value) => {
+  switch (facetId) {
+    case 'price':
+      return { priceRange: PRICE_BUCKETS.find(bucket => bucket.id === value)?.range || null };
+    case 'date':
+      return { timeRange: value };
+    case 'hashtag':
+      return { hashtags: value ? [value] : [] };
+    default:
+      return { [facetId]: value };
+  }
+};
+
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Best match' },
+  { value: 'date', label: 'Soonest' },
+];
+
+/**
+ * Search Results Page (/search?q=)
+ * Full-text search over every event, scoped to the city in the URL or the
+ * visitor's home city, with facets to narrow the results.
+ */
+const SearchResults = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { user, toggleFavorite, homeCity } = useAuth();
+
+  const filters = parseFilterState(searchParams, FILTER_DEFAULTS);
+  const queryText = filters.q;
+  const sortBy = filters.sort === 'date' ? 'date' : 'relevance';
+  const includePast = searchParams.get('past') === '1';
+  const citySlug = searchParams.get('city') || homeCity || undefined;
+  const visibleCount = filters.page * RESULTS_PER_PAGE;
+
+  // Facet selection, keyed on strings (filters is rebuilt every render)
+  const category = filters.category || undefined;
+  const price = serializePriceRange(filters.priceRange) || undefined;
+  const date = filters.timeRange || undefined;
+  const hashtag = filters.hashtags[0];
+
+  const [inputText, setInputText] = useState(queryText);
+  const [matches, setMatches] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [suggestion, setSuggestion] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+
+  const selection = useMemo(() => ({ category, price, date, hashtag }), [category, price, date, hashtag]);
+  const filteredEvents = useMemo(() => filterEventsByFacets(matches, selection), [matches, selection]);
+  const facets = useMemo(() => getSearchFacets(matches, selection), [matches, selection]);
+
+  // Keep the box in step with back/forward navigation
+  useEffect(() => {
+    setInputText(queryText);
+  }, [queryText]);
+
+  useEffect(() => {
+    const fetchResults = async () => {
+      if (!queryText.trim()) {
+        setMatches([]);
+        setTotal(0);
+        setNextCursor(null);
+        setSuggestion(null);
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError('');
+
+        const results = await searchIndexedEvents(queryText, {
+          limit: MATCHES_PER_BATCH,
+          city: citySlug,
+          startDate: includePast ? undefined : new Date().toISOString(),
+          sortBy,
+        });
+
+        setMatches(results.events);
+        setTotal(results.total);
+        setNextCursor(results.nextCursor);
+        setSuggestion(results.suggestion);
+      } catch (err) {
+        console.error('Error searching events:', err);
+        setError('Search is unavailable right now. Please try again later.');
+        setMatches([]);
+        setSuggestion(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchResults();
+  }, [queryText, citySlug, sortBy, includePast]);
+
+  // Changing the query, sort or a facet goes back to the first page
+  const updateParams = (changes, options) => {
+    setSearchParams(updateFilterParams(searchParams, changes, FILTER_DEFAULTS), options);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ q: inputText.trim() });
+  };
+
+  const handleFacetToggle = (facetId, value) => {
+    updateParams(toFilterChanges(facetId, value));
+  };
+
+  const handleClearFacets = () => {
+    updateParams({ category: null, priceRange: null, timeRange: null, hashtags: [] });
+  };
+
+  // Show the next page, loading more matches once the loaded ones run out.
+  // Replaces the history entry rather than adding one.
+  const handleLoadMore = async () => {
+    const showNextPage = () => updateParams({ page: filters.page + 1 }, { replace: true });
+
+    if (visibleCount + RESULTS_PER_PAGE <= filteredEvents.length || !nextCursor) {
+      showNextPage();
+      return;
+    }
+
+    try {
+      setLoadingMore(true);
+
+      const results = await searchIndexedEvents(queryText, {
+        limit: MATCHES_PER_BATCH,
+        cursor: nextCursor,
+        city: citySlug,
+        startDate: includePast ? undefined : new Date().toISOString(),
+        sortBy,
+      });
+
+      setMatches(prev => [...prev, ...results.events]);
+      setNextCursor(results.nextCursor);
+      showNextPage();
+    } catch (err) {
+      console.error('Error loading more results:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleFavoriteToggle = async (eventId) => {
+    if (!user) {
+      navigate('/signin', { state: { from: `${location.pathname}${location.search}` } });
+      return;
+    }
+
+    try {
+      await toggleFavorite(eventId);
+    } catch (err) {
+      console.error('Error toggling favorite:', err);
+    }
+  };
+
+  const handleHashtagClick = (tag) => {
+    handleFacetToggle('hashtag', tag.replace('#', '').toLowerCase());
+  };
+
+  return (
+    <div className="min-h-screen bg-white flex flex-col">
+      <Navbar />
+
+      {/* Search Header */}
+      <section className="py-12 px-4 sm:px-6 lg:px-8 bg-gradient-to-b from-gray-50 to-white">
+        <div className="max-w-3xl mx-auto">
+          <h1 className="text-3xl sm:text-4xl font-bold text-gray-900 mb-6 text-center">Search Events</h1>
+
+          <form onSubmit={handleSubmit} className="relative">
+            <Search className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+            <input
+              type="search"
+              value={inputText}
+              onChange={(e) => setInputText(e.target.value)}
+              placeholder="Search by event, DJ, venue or #hashtag"
+              className="w-full pl-12 pr-28 py-4 bg-white border border-gray-200 rounded-full shadow-md focus:outline-none focus:ring-2 focus:ring-[#FF6B6B] focus:border-transparent transition-all"
+            />
+            <button
+              type="submit"
+              className="absolute right-2 top-1/2 -translate-y-1/2 px-6 py-2.5 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-full font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all duration-200"
+            >
+              Search
+            </button>
+          </form>
+
+          <div className="flex flex-wrap items-center justify-center gap-4 mt-6 text-sm">
+            {citySlug && (
+              <span className="flex items-center gap-1 text-gray-600">
+                <MapPin className="w-4 h-4 text-[#FF6B6B]" />
+                {getCityLabel(citySlug)}
+              </span>
+            )}
+            <div className="inline-flex bg-white rounded-full p-1 shadow-sm border border-gray-200">
+              {SORT_OPTIONS.map((option) => (
+                <button
+                  key={option.value}
+                  onClick={() => updateParams({ sort: option.value })}
+                  className={`px-4 py-1.5 rounded-full font-semibold transition-all duration-200 ${
+                    sortBy === option.value
+                      ? 'bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white shadow-md'
+                      : 'text-gray-600 hover:text-[#FF6B6B]'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <label className="flex items-center gap-2 text-gray-600 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={includePast}
+                onChange={(e) => updateParams({ past: e.target.checked ? '1' : null, page: 1 })}
+                className="w-4 h-4 accent-[#FF6B6B]"
+              />
+              Include past events
+            </label>
+          </div>
+        </div>
+      </section>
+
+      {/* Results */}
+      <section className="py-12 px-4 sm:px-6 lg:px-8 bg-white flex-1">
+        <div className="max-w-7xl mx-auto">
+          {!loading && suggestion && (
+            <p className="text-gray-600 mb-4">
+              Did you mean{' '}
+              <button
+                onClick={() => updateParams({ q: suggestion })}
+                className="font-semibold italic text-[#FF6B6B] hover:text-[#ff5252]"
+              >
+                {suggestion}
+              </button>
+              ?
+            </p>
+          )}
+          {loading ? (
+            <div className="flex justify-center items-center py-20">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#FF6B6B]"></div>
+            </div>
+          ) : error ? (
+            <div className="bg-red-50 rounded-2xl p-8 text-center">
+              <p className="text-red-600">{error}</p>
+            </div>
+          ) : !queryText.trim() ? (
+            <div className="bg-gray-50 rounded-2xl p-12 text-center">
+              <p className="text-gray-600 text-lg">Search for a party, a DJ, a venue or a #hashtag.</p>
+            </div>
+          ) : matches.length === 0 ? (
+            <div className="bg-gray-50 rounded-2xl p-12 text-center">
+              <p className="text-gray-600 text-lg">No events match "{queryText}".</p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+              {/* Facets */}
+              <div className="lg:col-span-1">
+                <SearchFacets facets={facets} onToggle={handleFacetToggle} onClear={handleClearFacets} />
+                {nextCursor && (
+                  <p className="text-xs text-gray-500 mt-6">
+                    Counts cover the first {matches.length} of {total} matches.
+                  </p>
+                )}
+              </div>
+
+              {/* Matching Events */}
+              <div className="lg:col-span-3">
+                <p className="text-gray-600 mb-6">
+                  {filteredEvents.length === matches.length
+                    ? `${total} ${total === 1 ? 'match' : 'matches'}`
+                    : `${filteredEvents.length} of ${matches.length} matches`}{' '}
+                  for <span className="font-semibold text-gray-900">"{queryText}"</span>
+                </p>
+
+                {filteredEvents.length === 0 ? (
+                  <div className="bg-gray-50 rounded-2xl p-12 text-center">
+                    <p className="text-gray-600 text-lg">No matches with these filters.</p>
+                  </div>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+                    {filteredEvents.slice(0, visibleCount).map((event) => (
+                      <EventCard
+                        key={event.id}
+                        event={event}
+                        isFavorited={user?.favoriteEvents?.includes(event.id)}
+                        onFavoriteToggle={handleFavoriteToggle}
+                        onHashtagClick={handleHashtagClick}
+                        currentUserId={user?.uid}
+                      />
+                    ))}
+                  </div>
+                )}
+
+                {(visibleCount < filteredEvents.length || nextCursor) && (
+                  <div className="flex justify-center mt-12">
+                    <button
+                      onClick={handleLoadMore}
+                      disabled={loadingMore}
+                      className="bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] hover:from-[#ff5252] hover:to-[#FF6B6B] text-white px-10 py-3 rounded-full font-semibold transition-all duration-200 shadow-lg hover:shadow-xl disabled:opacity-50"
+                    >
+                      {loadingMore ? 'Loading...' : 'Load More'}
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </section>
+
+      {/* Newsletter */}
+      <Newsletter />
+
+      {/* Footer */}
+      <Footer />
+    </div>
+  );
+};
+
+export default SearchResults;
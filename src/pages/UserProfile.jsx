@@ -9,6 +9,7 @@ import { getEvents } from '../services/eventService';
 import { getUserPhotos } from '../services/photoService';
 import { getCurrentUserData } from '../services/authService';
 import { useAuth } from '../context/AuthContext';
+import { isEventHost } from '../utils/hostHelpers';
 
 const UserProfile = () => {
   const { userId } = useParams();
@@ -48,11 +49,8 @@ const UserProfile = () => {
           });
 
           const allEvents = result.events || result;
-          // Filter events by this user (handle both field names)
-          const eventsList = allEvents.filter(event => {
-            const eventPromoterId = event.promoterId || event.createdBy;
-            return eventPromoterId === userId;
-          });
+          // Filter events hosted or co-hosted by this user
+          const eventsList = allEvents.filter(event => isEventHost(event, userId));
 
           setEvents(eventsList);
         }
@@ -0,0 +1,263 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ChevronLeft, MapPin, Users, Instagram, Twitter, Globe, Navigation } from 'lucide-react';
+import Navbar from '../components/Navbar';
+import Footer from '../components/Footer';
+import Newsletter from '../components/Newsletter';
+import EventCard from '../components/EventCard';
+import VenueManager from '../components/VenueManager';
+import { getVenueById, getVenueEvents, isVenueAdmin } from '../services/venueService';
+import { useAuth } from '../context/AuthContext';
+import { formatVenueAddress, getVenueMapUrl, getVenueSocialUrl } from '../utils/venueHelpers';
+
+const VenueDetail = () => {
+  const { venueId } = useParams();
+  const navigate = useNavigate();
+  const { user, toggleFavorite } = useAuth();
+
+  const [venue, setVenue] = useState(null);
+  const [upcomingEvents, setUpcomingEvents] = useState([]);
+  const [pastEvents, setPastEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [venueAdminId, setVenueAdminId] = useState(null); // Signed-in user, once they're known to be a venue admin
+
+  useEffect(() => {
+    const fetchVenueData = async () => {
+      try {
+        // Refreshes after edits keep the page (and the venue tools) on screen
+        setError('');
+
+        const venueData = await getVenueById(venueId);
+
+        // Duplicates that were merged away point at the venue they became
+        if (venueData.mergedInto) {
+          navigate(`/venues/${venueData.mergedInto}`, { replace: true });
+          return;
+        }
+
+        const { upcoming, past } = await getVenueEvents(venueId);
+
+        setVenue(venueData);
+        setUpcomingEvents(upcoming);
+        setPastEvents(past);
+        setLoading(false);
+      } catch (err) {
+        console.error('Error fetching venue:', err);
+        setError(err.message === 'Venue not found' ? 'Venue not found' : 'Failed to load venue. Please try again later.');
+        setLoading(false);
+      }
+    };
+
+    if (venueId) {
+      fetchVenueData();
+    }
+  }, [venueId, navigate, refreshKey]);
+
+  // Venue admins can merge duplicates into this venue
+  useEffect(() => {
+    if (!user?.uid) return;
+
+    isVenueAdmin(user.uid)
+      .then(isAdmin => setVenueAdminId(isAdmin ? user.uid : null))
+      .catch(err => console.error('Error checking venue admin:', err));
+  }, [user?.uid]);
+
+  const canMerge = Boolean(user) && venueAdminId === user.uid;
+
+  const handleFavoriteToggle = async (eventId) => {
+    try {
+      await toggleFavorite(eventId);
+    } catch (error) {
+      console.error('Error toggling favorite:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-white flex flex-col">
+        <Navbar />
+        <div className="flex-1 flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-16 w-16 border-b-4 border-[#FF6B6B] mx-auto mb-4"></div>
+            <p className="text-gray-600 text-lg">Loading venue...</p>
+          </div>
+        </div>
+        <Footer />
+      </div>
+    );
+  }
+
+  if (error || !venue) {
+    return (
+      <div className="min-h-screen bg-white flex flex-col">
+        <Navbar />
+        <div className="flex-1 flex items-center justify-center px-4">
+          <div className="text-center max-w-md">
+            <div className="bg-red-50 rounded-2xl p-8 mb-6">
+              <p className="text-red-600 text-lg mb-4">{error || 'Venue not found'}</p>
+              <button
+                onClick={() => navigate(-1)}
+                className="px-6 py-3 bg-gradient-to-r from-[#FF6B6B] to-[#FF8E8E] text-white rounded-xl font-semibold hover:from-[#ff5252] hover:to-[#FF6B6B] transition-all duration-200 shadow-md hover:shadow-lg"
+              >
+                Go Back
+              </button>
+            </div>
+          </div>
+        </div>
+        <Footer />
+      </div>
+    );
+  }
+
+  const address = formatVenueAddress(venue.address);
+  const mapUrl = getVenueMapUrl(venue);
+  const [coverPhoto, ...otherPhotos] = venue.photos || [];
+  const socialLinks = [
+    { network: 'instagram', icon: Instagram, label: venue.socials?.instagram && `@${venue.socials.instagram}` },
+    { network: 'twitter', icon: Twitter, label: venue.socials?.twitter && `@${venue.socials.twitter}` },
+    { network: 'website', icon: Globe, label: venue.socials?.website && 'Website' },
+  ].filter(link => link.label);
+
+  const renderEventGrid = (events) => (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+      {events.map((event) => (
+        <EventCard
+          key={event.id}
+          event={event}
+          isFavorited={user?.favoriteEvents?.includes(event.id)}
+          onFavoriteToggle={handleFavoriteToggle}
+          currentUserId={user?.uid}
+        />
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-white flex flex-col">
+      <Navbar />
+
+      {/* Back Button */}
+      <div className="max-w-7xl mx-auto w-full px-4 sm:px-6 lg:px-8 pt-8">
+        <button
+          onClick={() => navigate(-1)}
+          className="flex items-center gap-2 text-gray-600 hover:text-[#FF6B6B] transition-colors"
+        >
+          <ChevronLeft className="w-5 h-5" />
+          <span>Back</span>
+        </button>
+      </div>
+
+      {/* Venue Header */}
+      <section className="py-12 px-4 sm:px-6 lg:px-8 bg-gradient-to-b from-gray-50 to-white">
+        <div className="max-w-7xl mx-auto">
+          {coverPhoto && (
+            <img
+              src={coverPhoto}
+              alt={venue.name}
+              className="w-full h-64 sm:h-80 object-cover rounded-2xl shadow-lg mb-8"
+            />
+          )}
+
+          <h1 className="text-3xl sm:text-4xl md:text-5xl font-bold text-gray-900 mb-4">
+            {venue.name}
+          </h1>
+
+          <div className="flex flex-wrap items-center gap-x-6 gap-y-2 text-gray-700 mb-6">
+            {address && (
+              <span className="flex items-center gap-2">
+                <MapPin className="w-5 h-5 text-[#FF6B6B]" />
+                {address}
+              </span>
+            )}
+            {venue.capacity && (
+              <span className="flex items-center gap-2">
+                <Users className="w-5 h-5 text-[#FF6B6B]" />
+                Capacity {venue.capacity.toLocaleString()}
+              </span>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            {mapUrl && (
+              <a
+                href={mapUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center gap-2 px-4 py-2 border-2 border-[#FF6B6B] text-[#FF6B6B] rounded-full text-sm font-semibold hover:bg-[#FF6B6B] hover:text-white transition-colors"
+              >
+                <Navigation className="w-4 h-4" />
+                Directions
+              </a>
+            )}
+            {socialLinks.map((link) => (
+              <a
+                key={link.network}
+                href={getVenueSocialUrl(link.network, venue.socials[link.network])}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-full text-sm font-semibold hover:bg-gray-200 transition-colors"
+              >
+                <link.icon className="w-4 h-4" />
+                {link.label}
+              </a>
+            ))}
+          </div>
+
+          {otherPhotos.length > 0 && (
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mt-8">
+              {otherPhotos.map(photo => (
+                <img key={photo} src={photo} alt="" className="w-full h-32 object-cover rounded-xl" />
+              ))}
+            </div>
+          )}
+        </div>
+      </section>
+
+      {/* Venue tools for the promoter who added the venue, and venue admins */}
+      {(canMerge || (user && venue.createdBy === user.uid)) && (
+        <section className="px-4 sm:px-6 lg:px-8 pb-8">
+          <div className="max-w-7xl mx-auto">
+            <VenueManager
+              key={venue.id}
+              venue={venue}
+              canMerge={canMerge}
+              onChange={() => setRefreshKey(key => key + 1)}
+            />
+          </div>
+        </section>
+      )}
+
+      {/* Upcoming Events */}
+      <section className="py-12 px-4 sm:px-6 lg:px-8 bg-white">
+        <div className="max-w-7xl mx-auto">
+          <h2 className="text-3xl font-bold text-gray-900 mb-8">Upcoming at {venue.name}</h2>
+          {upcomingEvents.length > 0 ? renderEventGrid(upcomingEvents) : (
+            <div className="bg-gray-50 rounded-2xl p-12 text-center">
+              <p className="text-gray-600 text-lg">No upcoming events here yet.</p>
+            </div>
+          )}
+        </div>
+      </section>
+
+      {/* Past Events */}
+      {pastEvents.length > 0 && (
+        <section className="py-12 px-4 sm:px-6 lg:px-8 bg-gray-50">
+          <div className="max-w-7xl mx-auto">
+            <h2 className="text-3xl font-bold text-gray-900 mb-8">Past Events</h2>
+            {renderEventGrid(pastEvents)}
+          </div>
+        </section>
+      )}
+
+      {/* Newsletter */}
+      <Newsletter />
+
+      {/* Footer */}
+      <Footer />
+    </div>
+  );
+};
+
+export default VenueDetail;
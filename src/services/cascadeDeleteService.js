@@ -0,0 +1,316 @@
+import {
+  collection,
+  collectionGroup,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  arrayRemove,
+  arrayUnion,
+  increment,
+  writeBatch,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { deleteImage } from './storageService';
+import { updateMultipleHashtagCounts } from './hashtagService';
+import { removeEventsFromSearch } from './searchService';
+
+// Firestore batch limit is 500 operations
+const BATCH_SIZE = 500;
+
+/**
+ * Commit a list of write operations, splitting them across as many batches as needed
+ * @param {Array<Function>} operations - Functions that each add one write to a batch
+ * @returns {Promise<void>}
+ */
+const commitInBatches = async (operations) => {
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    operations.slice(i, i + BATCH_SIZE).forEach((operation) => operation(batch));
+    await batch.commit();
+  }
+};
+
+/**
+ * Find the users and photos that point at an event
+ * Favorites live in `favoriteEvents` (AuthContext) and the legacy `favorites`
+ * field written by toggleFavorite() in eventService.js.
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} Object with favoriteUserIds, legacyFavoriteUserIds and photoIds
+ */
+const findEventReferences = async (eventId) => {
+  const [favoritesSnapshot, legacyFavoritesSnapshot, photosSnapshot] = await Promise.all([
+    getDocs(query(collection(db, 'users'), where('favoriteEvents', 'array-contains', eventId))),
+    getDocs(query(collection(db, 'users'), where('favorites', 'array-contains', eventId))),
+    getDocs(query(collection(db, 'photos'), where('eventId', '==', eventId))),
+  ]);
+
+  return {
+    favoriteUserIds: favoritesSnapshot.docs.map((doc) => doc.id),
+    legacyFavoriteUserIds: legacyFavoritesSnapshot.docs.map((doc) => doc.id),
+    photoIds: photosSnapshot.docs.map((doc) => doc.id),
+  };
+};
+
+/**
+ * Build the writes that take back an event's hashtag count contributions
+ * Counts are decremented atomically; hashtags without a document, or whose
+ * count is already zero (e.g. never counted for this event), are skipped.
+ *
+ * @param {Array<string>} hashtags - Hashtags of the event
+ * @returns {Promise<Array<Function>>} Batch operations
+ */
+const buildHashtagReleaseOperations = async (hashtags = []) => {
+  const normalizedHashtags = [
+    ...new Set(hashtags.map((tag) => tag.replace('#', '').toLowerCase().trim()).filter(Boolean)),
+  ];
+
+  const hashtagDocs = await Promise.all(
+    normalizedHashtags.map((tag) => getDoc(doc(db, 'hashtags', tag)))
+  );
+
+  return hashtagDocs
+    .filter((hashtagDoc) => hashtagDoc.exists() && (hashtagDoc.data().count || 0) > 0)
+    .map((hashtagDoc) => (batch) => batch.update(hashtagDoc.ref, { count: increment(-1) }));
+};
+
+/**
+ * Delete an uploaded flyer unless another event (e.g. the rest of a recurring series,
+ * or a duplicate) or a promoter's event template still uses it
+ * @param {string} eventId - Event being purged
+ * @param {string} storagePath - Storage path of the flyer
+ * @returns {Promise<boolean>} True if the file was deleted
+ */
+const deleteFlyerIfUnused = async (eventId, storagePath) => {
+  if (!storagePath) {
+    return false;
+  }
+
+  const sharedSnapshot = await getDocs(
+    query(collection(db, 'events'), where('imageStoragePath', '==', storagePath))
+  );
+
+  if (sharedSnapshot.docs.some((doc) => doc.id !== eventId)) {
+    return false;
+  }
+
+  const templateSnapshot = await getDocs(
+    query(collectionGroup(db, 'eventTemplates'), where('imageStoragePath', '==', storagePath))
+  );
+
+  if (!templateSnapshot.empty) {
+    return false;
+  }
+
+  await deleteImage(storagePath);
+  return true;
+};
+
+/**
+ * Delete one event and clean up everything that points at it
+ * @param {string} eventId - Event ID
+ * @param {string|null} deletedBy - ID of the user deleting the event
+ * @param {boolean} permanent - Purge instead of moving to the trash
+ * @returns {Promise<Object>} Per-event report
+ */
+const cascadeDeleteEvent = async (eventId, deletedBy, permanent) => {
+  const eventRef = doc(db, 'events', eventId);
+  const eventDoc = await getDoc(eventRef);
+
+  if (!eventDoc.exists()) {
+    throw new Error('Event not found');
+  }
+
+  const eventData = eventDoc.data();
+  const operations = [];
+  const report = {
+    eventId,
+    favoritesRemoved: 0,
+    photosDetached: 0,
+    hashtagsReleased: 0,
+    flyerDeleted: false,
+  };
+
+  // Events already in the trash were detached when they were deleted
+  const alreadyDetached = Boolean(eventData.cascade);
+  let cascade = eventData.cascade || null;
+  // Security rules only let other users' favorites drop an event once it is
+  // deleted or in the trash, so these are queued after the event write
+  const favoriteOperations = [];
+
+  if (!alreadyDetached) {
+    const { favoriteUserIds, legacyFavoriteUserIds, photoIds } = await findEventReferences(eventId);
+
+    favoriteUserIds.forEach((userId) => {
+      favoriteOperations.push((batch) => batch.update(doc(db, 'users', userId), { favoriteEvents: arrayRemove(eventId) }));
+    });
+    legacyFavoriteUserIds.forEach((userId) => {
+      favoriteOperations.push((batch) => batch.update(doc(db, 'users', userId), { favorites: arrayRemove(eventId) }));
+    });
+
+    // Keep the old link on the photo so a restore can reattach it
+    photoIds.forEach((photoId) => {
+      operations.push((batch) => batch.update(doc(db, 'photos', photoId), {
+        eventId: null,
+        detachedEventId: permanent ? null : eventId,
+      }));
+    });
+
+    const hashtagOperations = await buildHashtagReleaseOperations(eventData.hashtags);
+    operations.push(...hashtagOperations);
+
+    report.favoritesRemoved = new Set([...favoriteUserIds, ...legacyFavoriteUserIds]).size;
+    report.photosDetached = photoIds.length;
+    report.hashtagsReleased = hashtagOperations.length;
+
+    cascade = {
+      favoriteUserIds,
+      legacyFavoriteUserIds,
+      hashtags: eventData.hashtags || [],
+    };
+  }
+
+  if (permanent) {
+    // Drop the restore links left on photos when the event was trashed
+    if (alreadyDetached) {
+      const detachedPhotos = await getDocs(
+        query(collection(db, 'photos'), where('detachedEventId', '==', eventId))
+      );
+      detachedPhotos.forEach((photoDoc) => {
+        operations.push((batch) => batch.update(photoDoc.ref, { detachedEventId: null }));
+      });
+    }
+
+    report.flyerDeleted = await deleteFlyerIfUnused(eventId, eventData.imageStoragePath);
+    operations.push((batch) => batch.delete(eventRef));
+  } else {
+    operations.push((batch) => batch.update(eventRef, {
+      deletedAt: new Date().toISOString(),
+      deletedBy,
+      cascade,
+    }));
+  }
+
+  await commitInBatches([...operations, ...favoriteOperations]);
+
+  try {
+    await removeEventsFromSearch([eventId]);
+  } catch (error) {
+    // The event is deleted either way; npm run rebuild-search-index catches search up
+    console.error('Error removing event from search:', error);
+  }
+
+  return report;
+};
+
+/**
+ * Delete events and clean up everything that points at them
+ *
+ * For each event this removes it from users' `favoriteEvents` and legacy
+ * `favorites`, detaches photos linked to it and takes back its hashtag count
+ * contributions. By default the event is then moved to the trash, remembering
+ * what was detached so restoreEventReferences() can undo it. With
+ * `permanent: true` the event document and its uploaded flyer are removed too.
+ *
+ * Events are processed one at a time so a failure only affects that event.
+ *
+ * @param {Array<string>} eventIds - IDs of the events to delete
+ * @param {string|null} deletedBy - ID of the user deleting the events (required unless permanent)
+ * @param {Object} [options] - Additional options
+ * @param {boolean} [options.permanent=false] - Purge the events instead of moving them to the trash
+ * @returns {Promise<Object>} Result object with success count, per-event results and any errors
+ * @throws {Error} If the arguments are invalid
+ *
+ * @example
+ * const result = await cascadeDeleteEvents(['event1', 'event2'], user.uid);
+ * console.log(`Deleted ${result.successCount}/${result.totalAttempted} events`);
+ * result.results.forEach(({ eventId, favoritesRemoved }) => {
+ *   console.log(`${eventId}: removed from ${favoritesRemoved} users' favorites`);
+ * });
+ */
+export const cascadeDeleteEvents = async (eventIds, deletedBy, options = {}) => {
+  try {
+    const { permanent = false } = options;
+
+    if (!Array.isArray(eventIds) || eventIds.length === 0) {
+      throw new Error('eventIds must be a non-empty array');
+    }
+
+    if (!permanent && !deletedBy) {
+      throw new Error('deletedBy is required');
+    }
+
+    const results = [];
+    const errors = [];
+
+    for (const eventId of eventIds) {
+      try {
+        results.push(await cascadeDeleteEvent(eventId, deletedBy, permanent));
+      } catch (error) {
+        console.error(`Error deleting event ${eventId}:`, error);
+        errors.push({
+          eventId,
+          error: error.message,
+        });
+      }
+    }
+
+    return {
+      successCount: results.length,
+      totalAttempted: eventIds.length,
+      results,
+      errors,
+      success: errors.length === 0,
+    };
+  } catch (error) {
+    console.error('Error in cascadeDeleteEvents:', error);
+    throw new Error(error.message || 'Failed to delete events');
+  }
+};
+
+/**
+ * Undo the cleanup done when an event was moved to the trash
+ * Re-adds the event to the favorites it was removed from (for users that still
+ * exist), reattaches its photos and restores its hashtag counts.
+ *
+ * @param {Object} event - Trashed event object (with its `cascade` record)
+ * @returns {Promise<void>}
+ * @throws {Error} If restoring the references fails
+ */
+export const restoreEventReferences = async (event) => {
+  try {
+    if (!event?.cascade) {
+      return;
+    }
+
+    const { favoriteUserIds = [], legacyFavoriteUserIds = [], hashtags = [] } = event.cascade;
+    const operations = [];
+
+    // Skip users who deleted their account while the event was in the trash
+    const userIds = [...new Set([...favoriteUserIds, ...legacyFavoriteUserIds])];
+    const userDocs = await Promise.all(userIds.map((userId) => getDoc(doc(db, 'users', userId))));
+    const existingUserIds = new Set(userDocs.filter((userDoc) => userDoc.exists()).map((userDoc) => userDoc.id));
+
+    favoriteUserIds.filter((userId) => existingUserIds.has(userId)).forEach((userId) => {
+      operations.push((batch) => batch.update(doc(db, 'users', userId), { favoriteEvents: arrayUnion(event.id) }));
+    });
+    legacyFavoriteUserIds.filter((userId) => existingUserIds.has(userId)).forEach((userId) => {
+      operations.push((batch) => batch.update(doc(db, 'users', userId), { favorites: arrayUnion(event.id) }));
+    });
+
+    const detachedPhotos = await getDocs(
+      query(collection(db, 'photos'), where('detachedEventId', '==', event.id))
+    );
+    detachedPhotos.forEach((photoDoc) => {
+      operations.push((batch) => batch.update(photoDoc.ref, { eventId: event.id, detachedEventId: null }));
+    });
+
+    await commitInBatches(operations);
+    await updateMultipleHashtagCounts(hashtags);
+  } catch (error) {
+    console.error('Error restoring event references:', error);
+    throw new Error(error.message || 'Failed to restore event references');
+  }
+};
@@ -0,0 +1,234 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  setDoc,
+  onSnapshot,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { RSVP_RESPONSES, RSVP_STATUSES } from './rsvpService';
+import {
+  generateCheckInSecret,
+  createCheckInCode,
+  parseCheckInCode,
+  verifyCheckInCode,
+} from '../utils/checkInHelpers';
+
+/**
+ * Check if an RSVP holds a confirmed spot
+ * @param {Object|null} rsvp - RSVP document data
+ * @returns {boolean} True for a confirmed "going" RSVP
+ */
+const isConfirmedGoing = (rsvp) =>
+  rsvp?.response === RSVP_RESPONSES.GOING && rsvp.status === RSVP_STATUSES.CONFIRMED;
+
+/**
+ * Get (creating on first use) the signed check-in code for an attendee
+ *
+ * The signing secret is stored at `events/{eventId}/checkInCodes/{userId}`,
+ * which only the attendee and the event's promoter can read.
+ *
+ * @param {string} eventId - Event ID
+ * @param {string} userId - Attendee's user ID
+ * @returns {Promise<string|null>} Code to render as a QR, or null without a confirmed spot
+ * @throws {Error} If the code can't be created
+ *
+ * @example
+ * const code = await getCheckInCode(eventId, user.uid);
+ * if (code) {
+ *   const qrDataUrl = await QRCode.toDataURL(code);
+ * }
+ */
+export const getCheckInCode = async (eventId, userId) => {
+  try {
+    if (!userId) {
+      return null;
+    }
+
+    const rsvpDoc = await getDoc(doc(db, 'events', eventId, 'rsvps', userId));
+    if (!rsvpDoc.exists() || !isConfirmedGoing(rsvpDoc.data())) {
+      return null;
+    }
+
+    const codeRef = doc(db, 'events', eventId, 'checkInCodes', userId);
+    const codeDoc = await getDoc(codeRef);
+
+    let secret = codeDoc.exists() ? codeDoc.data().secret : null;
+    if (!secret) {
+      secret = generateCheckInSecret();
+      await setDoc(codeRef, {
+        userId,
+        secret,
+        createdAt: new Date().toISOString(),
+      });
+    }
+
+    return await createCheckInCode(eventId, userId, secret);
+  } catch (error) {
+    console.error('Error getting check-in code:', error);
+    throw new Error(error.message || 'Failed to get check-in code');
+  }
+};
+
+/**
+ * Check an attendee in at the door
+ *
+ * Verifies the code's signature, that it belongs to this event, that the
+ * attendee still has a confirmed spot and that they haven't already checked
+ * in. The check-in is written to `events/{eventId}/checkIns/{userId}`.
+ *
+ * Works offline: lookups fall back to the local Firestore cache (kept warm by
+ * subscribeToCheckIns()) and the write is queued until the connection returns,
+ * so this resolves without waiting for the server.
+ *
+ * @param {string} eventId - Event being checked in to
+ * @param {string} code - Typed, pasted or scanned check-in code
+ * @param {string} checkedInBy - User ID of the promoter doing the check-in
+ * @returns {Promise<Object>} Check-in ({ userId, checkedInAt, checkedInBy, attendee })
+ * @throws {Error} If the code is invalid, for another event, or already used
+ *
+ * @example
+ * try {
+ *   const { attendee } = await checkInAttendee(eventId, scannedCode, user.uid);
+ *   console.log(`Welcome, ${attendee.fullName}!`);
+ * } catch (error) {
+ *   console.log(error.message); // e.g. "Already checked in at 9:42 PM"
+ * }
+ */
+export const checkInAttendee = async (eventId, code, checkedInBy) => {
+  try {
+    const parsedCode = parseCheckInCode(code);
+    if (!parsedCode) {
+      throw new Error('Not a valid check-in code');
+    }
+
+    if (parsedCode.eventId !== eventId) {
+      throw new Error('This code is for a different event');
+    }
+
+    const { userId } = parsedCode;
+    const [codeDoc, rsvpDoc, checkInDoc] = await Promise.all([
+      getDoc(doc(db, 'events', eventId, 'checkInCodes', userId)),
+      getDoc(doc(db, 'events', eventId, 'rsvps', userId)),
+      getDoc(doc(db, 'events', eventId, 'checkIns', userId)),
+    ]);
+
+    const isValid = codeDoc.exists() && await verifyCheckInCode(parsedCode, codeDoc.data().secret);
+    if (!isValid) {
+      throw new Error('Not a valid check-in code');
+    }
+
+    if (checkInDoc.exists()) {
+      const checkedInAt = new Date(checkInDoc.data().checkedInAt);
+      throw new Error(`Already checked in at ${checkedInAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`);
+    }
+
+    if (!rsvpDoc.exists() || !isConfirmedGoing(rsvpDoc.data())) {
+      throw new Error('This guest no longer has a confirmed spot');
+    }
+
+    const checkIn = {
+      userId,
+      checkedInAt: new Date().toISOString(),
+      checkedInBy,
+    };
+
+    // Don't await: offline, the promise only settles once the write syncs
+    setDoc(doc(db, 'events', eventId, 'checkIns', userId), checkIn).catch((error) => {
+      console.error('Error syncing check-in:', error);
+    });
+
+    let attendee = { fullName: '', username: '', profilePhoto: '' };
+    try {
+      const userDoc = await getDoc(doc(db, 'users', userId));
+      if (userDoc.exists()) {
+        const { fullName = '', username = '', profilePhoto = '' } = userDoc.data();
+        attendee = { fullName, username, profilePhoto };
+      }
+    } catch (error) {
+      // Profile may not be cached while offline; the check-in still counts
+      console.error('Error fetching attendee profile:', error);
+    }
+
+    return { ...checkIn, attendee };
+  } catch (error) {
+    console.error('Error checking in attendee:', error);
+    throw new Error(error.message || 'Failed to check in attendee');
+  }
+};
+
+/**
+ * Subscribe to live check-in progress for an event
+ *
+ * Also listens to the RSVPs and check-in codes so they stay in the local
+ * cache, letting checkInAttendee() verify codes while offline.
+ *
+ * @param {string} eventId - Event ID
+ * @param {Function} callback - Called with { checkIns, checkedInCount, expectedCount, pendingSync }
+ * @returns {Function} Unsubscribe function to stop listening
+ *
+ * @example
+ * const unsubscribe = subscribeToCheckIns(eventId, ({ checkedInCount, expectedCount }) => {
+ *   console.log(`${checkedInCount}/${expectedCount} checked in`);
+ * });
+ *
+ * // Clean up
+ * unsubscribe();
+ */
+export const subscribeToCheckIns = (eventId, callback) => {
+  try {
+    let checkIns = [];
+    let pendingSync = false;
+    let expectedCount = 0;
+
+    const emit = () => {
+      callback({
+        checkIns,
+        checkedInCount: checkIns.length,
+        expectedCount,
+        pendingSync,
+      });
+    };
+
+    const unsubscribeCheckIns = onSnapshot(
+      collection(db, 'events', eventId, 'checkIns'),
+      { includeMetadataChanges: true },
+      (querySnapshot) => {
+        checkIns = querySnapshot.docs
+          .map((doc) => doc.data())
+          .sort((a, b) => new Date(b.checkedInAt) - new Date(a.checkedInAt));
+        pendingSync = querySnapshot.metadata.hasPendingWrites;
+        emit();
+      },
+      (error) => {
+        console.error('Error in check-ins subscription:', error);
+        callback({ checkIns: [], checkedInCount: 0, expectedCount: 0, pendingSync: false }, error);
+      }
+    );
+
+    const unsubscribeRsvps = onSnapshot(
+      collection(db, 'events', eventId, 'rsvps'),
+      (querySnapshot) => {
+        expectedCount = querySnapshot.docs.filter((doc) => isConfirmedGoing(doc.data())).length;
+        emit();
+      },
+      (error) => console.error('Error in RSVPs subscription:', error)
+    );
+
+    // Nothing to render; this only keeps the secrets cached for offline checks
+    const unsubscribeCodes = onSnapshot(
+      collection(db, 'events', eventId, 'checkInCodes'),
+      () => {},
+      (error) => console.error('Error in check-in codes subscription:', error)
+    );
+
+    return () => {
+      unsubscribeCheckIns();
+      unsubscribeRsvps();
+      unsubscribeCodes();
+    };
+  } catch (error) {
+    console.error('Error setting up check-ins subscription:', error);
+    throw new Error(error.message || 'Failed to subscribe to check-ins');
+  }
+};
@@ -5,7 +5,6 @@ import {
   getDoc,
   getDocs,
   updateDoc,
-  deleteDoc,
   query,
   where,
   orderBy,
@@ -18,9 +17,88 @@ import {
   writeBatch,
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
+import { generateOccurrenceDates, collapseSeries } from '../utils/recurrenceHelpers';
+import { normalizeTicketTiers, getPriceRange, eventMatchesPriceRange } from '../utils/ticketTierHelpers';
+import { HOST_ROLES, buildHostFields } from '../utils/hostHelpers';
+import { buildLineupFields } from '../utils/lineupHelpers';
+import { EVENT_STATUSES, getEventStatus, isEventListed } from '../utils/eventStatusHelpers';
+import { toZonedWallClock, zonedWallClockToUtc, toDayKey, buildEventInstants } from '../utils/timezoneHelpers';
+import { getQueryDateRange } from '../utils/dateHelpers';
+import { filterEventsByTimeRange } from '../utils/filterHelpers';
+import { DEFAULT_RADIUS_MILES, getGeohashQueryBounds, getEventDistanceMiles } from '../utils/geoHelpers';
+import { parseHashtagQuery, getHashtagQueryTags, matchesHashtagQuery, planHashtagQuery } from '../utils/hashtagQueryHelpers';
+import { cascadeDeleteEvents } from './cascadeDeleteService';
+import { indexEventsForSearch, searchIndexedEvents } from './searchService';
+import { getHashtagByTag, updateHashtagCount } from './hashtagService';
+
+// Events read per round trip while filling a page of a hashtag expression
+const HASHTAG_QUERY_BATCH_SIZE = 100;
+
+// Round trips per page before returning a short page (with hasMore) instead
+const HASHTAG_QUERY_MAX_BATCHES = 10;
+
+// Firestore batch limit is 500 operations
+const BATCH_SIZE = 500;
+
+/**
+ * Commit a list of write operations, splitting them across as many batches as needed
+ * (series writes are capped by MAX_OCCURRENCES, but shouldn't depend on it)
+ * @param {Array<Function>} operations - Functions that each add one write to a batch
+ * @returns {Promise<void>}
+ */
+const commitInBatches = async (operations) => {
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    operations.slice(i, i + BATCH_SIZE).forEach((operation) => operation(batch));
+    await batch.commit();
+  }
+};
+
+/**
+ * Bring the search index up to date after events are saved
+ * Failures are logged rather than thrown: the events are saved either way and
+ * `npm run rebuild-search-index` catches search up.
+ * @param {Array<Object>} events - Saved event documents
+ */
+const syncSearchIndex = async (events) => {
+  try {
+    await indexEventsForSearch(events);
+  } catch (error) {
+    console.error('Error updating search index:', error);
+  }
+};
+
+/**
+ * Count new events' hashtags towards hashtag usage counts
+ * Every event document counts once (so a series counts once per occurrence),
+ * matching what deleting events takes back (see cascadeDeleteEvents).
+ * Failures are logged rather than thrown: the events are saved either way.
+ * @param {Array<Object>} events - Created event documents
+ */
+const countEventHashtags = async (events) => {
+  try {
+    const uses = {};
+    events.forEach((event) => {
+      new Set((event.hashtags || []).map(tag => tag.replace('#', '').toLowerCase().trim()).filter(Boolean))
+        .forEach((tag) => {
+          uses[tag] = (uses[tag] || 0) + 1;
+        });
+    });
+
+    await Promise.all(Object.entries(uses).map(([tag, amount]) => updateHashtagCount(tag, amount)));
+  } catch (error) {
+    console.error('Error counting event hashtags:', error);
+  }
+};
 
 /**
  * Create a new event
+ * Events are published immediately unless `eventData.status` is 'draft' or
+ * `eventData.publishAt` schedules them for later.
+ *
+ * Pricing comes from `eventData.ticketTiers` (see ticketTierHelpers.js); `price`
+ * is set to the lowest tier price. Events without tiers keep a single `price`.
+ *
  * @param {Object} eventData - Event information
  * @param {string} promoterId - ID of the promoter creating the event
  * @returns {Promise<Object>} Created event object with ID
@@ -28,31 +106,58 @@ import { db } from '../config/firebase';
  */
 export const createEvent = async (eventData, promoterId) => {
   try {
+    // Recurring events are written as a linked series of occurrences
+    if (eventData.recurrence) {
+      const occurrences = await createEventSeries(eventData, promoterId);
+      return occurrences[0];
+    }
+
     const eventRef = doc(collection(db, 'events'));
     const eventId = eventRef.id;
+    const ticketTiers = normalizeTicketTiers(eventData.ticketTiers);
 
     const event = {
       id: eventId,
       promoterId,
+      ...buildHostFields([{ userId: promoterId, role: HOST_ROLES.OWNER, addedAt: new Date().toISOString() }]), // Co-hosts are added by invite (see hostService.js)
       title: eventData.title,
       description: eventData.description || '',
       category: eventData.category, // e.g., 'nightlife', 'brunch', 'arts', etc.
-      date: eventData.date, // ISO string or Timestamp
-      startTime: eventData.startTime,
+      date: eventData.date, // ISO start instant (same as startAt), used for date-range queries
+      startAt: eventData.startAt || eventData.date,
+      endAt: eventData.endAt || null, // null when there's no end time
+      isMultiDay: eventData.isMultiDay || false, // Covers more than one day (see getEventSpan)
+      timezone: eventData.timezone || null, // IANA zone the event takes place in (see timezoneHelpers.js)
+      startTime: eventData.startTime, // Wall-clock time in `timezone`
       endTime: eventData.endTime,
       address: eventData.address || {},
       venue: eventData.venue || '',
+      venueId: eventData.venueId || null, // Linked venue (see venueService.js); null for older events
+      coordinates: eventData.coordinates || null, // { lat, lng } for "near me" searches (see geoHelpers.js)
+      geohash: eventData.geohash || null,
+      citySlug: eventData.citySlug || null, // City the event is in (see cities.js); null outside every city
       imageUrl: eventData.imageUrl || '',
-      price: eventData.price || 0,
+      imageStoragePath: eventData.imageStoragePath || '', // Set when the flyer was uploaded to Storage
+      ticketTiers,
+      price: ticketTiers.length > 0 ? getPriceRange({ ticketTiers }).min : eventData.price || 0, // Lowest tier price, kept for sorting and older clients
       ticketLink: eventData.ticketLink || '',
       hashtags: eventData.hashtags || [],
+      ...buildLineupFields(eventData.lineup), // DJs, hosts and artists with set times (see lineupHelpers.js)
+      status: eventData.status || EVENT_STATUSES.PUBLISHED,
+      publishAt: eventData.publishAt || null, // Hidden from listings until this time
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       favoritedBy: [], // Array of user IDs who favorited this event
       favoritesCount: 0,
+      capacity: eventData.capacity || null, // Max "going" RSVPs, null for no limit
+      goingCount: 0,
+      maybeCount: 0,
+      waitlistCount: 0,
     };
 
     await setDoc(eventRef, event);
+    await syncSearchIndex([event]);
+    await countEventHashtags([event]);
 
     return event;
   } catch (error) {
@@ -61,6 +166,271 @@ export const createEvent = async (eventData, promoterId) => {
   }
 };
 
+/**
+ * Get how many days after its start day an event's end date falls
+ * @param {Object} eventData - Event information with `startAt`/`endAt`
+ * @param {string} [timeZone] - Event's IANA timezone
+ * @returns {number} Days between the start and end dates (0 for single-day events)
+ */
+const getEndDayOffset = (eventData, timeZone) => {
+  if (!eventData.isMultiDay || !eventData.endAt) return 0;
+
+  const startDay = toZonedWallClock(eventData.startAt || eventData.date, timeZone);
+  // Without an end time the event runs until midnight after its last day
+  const endInstant = new Date(new Date(eventData.endAt).getTime() - (eventData.endTime ? 0 : 1));
+  const endDay = toZonedWallClock(endInstant, timeZone);
+  startDay.setHours(0, 0, 0, 0);
+  endDay.setHours(0, 0, 0, 0);
+
+  return Math.round((endDay - startDay) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Create a recurring event series
+ * Every occurrence is its own event document sharing a `seriesId`, so each
+ * date can be favorited, edited or cancelled independently.
+ *
+ * @param {Object} eventData - Event information (same shape as createEvent)
+ * @param {Object} eventData.recurrence - Recurrence rule (see generateOccurrenceDates)
+ * @param {string} promoterId - ID of the promoter creating the series
+ * @returns {Promise<Array<Object>>} Created occurrence objects, sorted by date
+ * @throws {Error} If series creation fails
+ *
+ * @example
+ * const occurrences = await createEventSeries(
+ *   { ...eventData, recurrence: { frequency: 'weekly', count: 8 } },
+ *   'promoter123'
+ * );
+ * console.log(occurrences[0].seriesId);
+ */
+export const createEventSeries = async (eventData, promoterId) => {
+  try {
+    const { recurrence, ...baseData } = eventData;
+    const timeZone = baseData.timezone || undefined;
+    // Multi-day occurrences keep the same number of days between start and end
+    const endDayOffset = getEndDayOffset(baseData, timeZone);
+    // Step through dates on the event's own wall clock so daylight saving
+    // changes don't shift later occurrences by an hour
+    const occurrenceDates = generateOccurrenceDates(toZonedWallClock(baseData.date, timeZone), recurrence)
+      .map((wallClock) => {
+        const endDay = new Date(wallClock);
+        endDay.setDate(endDay.getDate() + endDayOffset);
+
+        return {
+          date: zonedWallClockToUtc(wallClock, timeZone),
+          instants: buildEventInstants({
+            date: toDayKey(wallClock),
+            endDate: endDayOffset > 0 ? toDayKey(endDay) : undefined,
+            startTime: baseData.startTime,
+            endTime: baseData.endTime,
+            timezone: timeZone,
+          }),
+        };
+      });
+    const ticketTiers = normalizeTicketTiers(baseData.ticketTiers);
+    const lineupFields = buildLineupFields(baseData.lineup);
+
+    // The first occurrence's ID doubles as the series ID
+    const seriesId = doc(collection(db, 'events')).id;
+    const now = new Date().toISOString();
+    const operations = [];
+    const hostFields = buildHostFields([{ userId: promoterId, role: HOST_ROLES.OWNER, addedAt: now }]);
+
+    const occurrences = occurrenceDates.map(({ date: occurrenceDate, instants }, index) => {
+      const eventRef = index === 0 ? doc(db, 'events', seriesId) : doc(collection(db, 'events'));
+
+      const event = {
+        id: eventRef.id,
+        promoterId,
+        ...hostFields,
+        title: baseData.title,
+        description: baseData.description || '',
+        category: baseData.category,
+        date: occurrenceDate.toISOString(),
+        startAt: occurrenceDate.toISOString(),
+        endAt: instants.endAt,
+        isMultiDay: instants.isMultiDay,
+        timezone: baseData.timezone || null,
+        startTime: baseData.startTime,
+        endTime: baseData.endTime,
+        address: baseData.address || {},
+        venue: baseData.venue || '',
+        venueId: baseData.venueId || null,
+        coordinates: baseData.coordinates || null,
+        geohash: baseData.geohash || null,
+        citySlug: baseData.citySlug || null,
+        imageUrl: baseData.imageUrl || '',
+        imageStoragePath: baseData.imageStoragePath || '',
+        ticketTiers,
+        price: ticketTiers.length > 0 ? getPriceRange({ ticketTiers }).min : baseData.price || 0,
+        ticketLink: baseData.ticketLink || '',
+        hashtags: baseData.hashtags || [],
+        ...lineupFields,
+        status: baseData.status || EVENT_STATUSES.PUBLISHED,
+        publishAt: baseData.publishAt || null,
+        seriesId,
+        recurrence,
+        seriesStartDate: occurrenceDates[0].date.toISOString(),
+        occurrenceIndex: index,
+        isException: false, // true once this occurrence is edited on its own
+        createdAt: now,
+        updatedAt: now,
+        favoritedBy: [],
+        favoritesCount: 0,
+        capacity: baseData.capacity || null,
+        goingCount: 0,
+        maybeCount: 0,
+        waitlistCount: 0,
+      };
+
+      operations.push((batch) => batch.set(eventRef, event));
+      return event;
+    });
+
+    await commitInBatches(operations);
+    await syncSearchIndex(occurrences);
+    await countEventHashtags(occurrences);
+
+    return occurrences;
+  } catch (error) {
+    console.error('Error creating event series:', error);
+    throw new Error(error.message || 'Failed to create event series');
+  }
+};
+
+/**
+ * Get multi-day events that started before a date but are still running on it
+ * Date-range queries match on the start `date`, so a festival that began
+ * yesterday would otherwise drop out of "today". The other filters are
+ * applied in-memory to keep to a single composite index (isMultiDay + endAt).
+ * @param {string} since - ISO date the events must still be running on
+ * @param {Object} [filters] - Equality filters to match
+ * @param {string} [filters.category] - Event category
+ * @param {string} [filters.promoterId] - Promoter ID
+ * @param {string} [filters.hashtag] - Hashtag (normalized)
+ * @param {string} [filters.city] - City slug
+ * @returns {Promise<Array<Object>>} Events that started before `since`, oldest first
+ */
+const getOngoingMultiDayEvents = async (since, { category, promoterId, hashtag, city } = {}) => {
+  const querySnapshot = await getDocs(query(
+    collection(db, 'events'),
+    where('isMultiDay', '==', true),
+    where('endAt', '>=', since)
+  ));
+
+  return querySnapshot.docs
+    .map((eventDoc) => ({ id: eventDoc.id, ...eventDoc.data() }))
+    .filter(event => event.date < since)
+    .filter(event => !category || event.category === category)
+    .filter(event => !promoterId || event.promoterId === promoterId)
+    .filter(event => !hashtag || event.hashtags?.includes(hashtag))
+    .filter(event => !city || event.citySlug === city)
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Get events within a radius of a point
+ * Runs one geohash range query per cell covering the circle (see
+ * getGeohashQueryBounds), limited to upcoming dates (or the requested range)
+ * with the geohash + date index, then checks the exact distance and applies
+ * the other filters and sorting in-memory. Festivals that started earlier but
+ * are still on come from getOngoingMultiDayEvents. Events without coordinates
+ * never match.
+ *
+ * Results can be sorted by distance, so there is no document cursor: every
+ * match is worked out on each call and `lastDoc` is an offset into them.
+ * @param {Object} filters - getEvents filters, with `near` set; `startAfterDoc`
+ *   is the `lastDoc` of the previous page
+ * @returns {Promise<Object>} Same shape as getEvents, with `distanceMiles` on each event
+ */
+const getEventsNear = async (filters) => {
+  const {
+    near,
+    radiusMiles = DEFAULT_RADIUS_MILES,
+    category,
+    hashtag,
+    city,
+    timeRange,
+    promoterId,
+    minPrice,
+    maxPrice,
+    limit: limitCount = 20,
+    sortBy = 'date',
+    sortOrder = 'asc',
+    startAfterDoc,
+    collapseSeries: shouldCollapseSeries = false,
+    includeUnlisted = false,
+  } = filters;
+  // Without a start, only upcoming events are read
+  const { startDate = new Date().toISOString(), endDate } = timeRange ? getQueryDateRange(timeRange) : filters;
+  const offset = startAfterDoc?.nearOffset || 0;
+
+  const [snapshots, ongoingEvents] = await Promise.all([
+    Promise.all(getGeohashQueryBounds(near, radiusMiles).map(([start, end]) => getDocs(query(
+      collection(db, 'events'),
+      where('geohash', '>=', start),
+      where('geohash', '<=', end),
+      where('date', '>=', startDate),
+      ...(endDate ? [where('date', '<=', endDate)] : []),
+      orderBy('geohash')
+    )))),
+    getOngoingMultiDayEvents(startDate, { category, promoterId, hashtag, city }),
+  ]);
+
+  const matches = new Map();
+  [...snapshots.flatMap(snapshot => snapshot.docs.map((eventDoc) => ({ id: eventDoc.id, ...eventDoc.data() }))), ...ongoingEvents]
+    .forEach(event => matches.set(event.id, event));
+
+  let events = [...matches.values()]
+    .map(event => ({ ...event, distanceMiles: getEventDistanceMiles(event, near) }))
+    .filter(event => event.distanceMiles !== null && event.distanceMiles <= radiusMiles)
+    .filter(event => !category || event.category === category)
+    .filter(event => !promoterId || event.promoterId === promoterId)
+    .filter(event => !hashtag || event.hashtags?.includes(hashtag))
+    .filter(event => !city || event.citySlug === city)
+    .filter(event => !event.deletedAt)
+    .filter(event => includeUnlisted || isEventListed(event));
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    events = events.filter(event => eventMatchesPriceRange(event, { min: minPrice, max: maxPrice }));
+  }
+
+  // Overlap check, so festivals that are already running are included
+  if (timeRange) {
+    events = filterEventsByTimeRange(events, timeRange);
+  }
+
+  switch (sortBy) {
+    case 'distance':
+      events.sort((a, b) => a.distanceMiles - b.distanceMiles);
+      break;
+
+    case 'popularity':
+    case 'trending':
+      events.sort((a, b) => (b.favoritesCount || 0) - (a.favoritesCount || 0));
+      break;
+
+    case 'date':
+    default:
+      events.sort((a, b) => (sortOrder === 'desc' ? b.date.localeCompare(a.date) : a.date.localeCompare(b.date)));
+      break;
+  }
+
+  if (shouldCollapseSeries) {
+    events = collapseSeries(events);
+  }
+
+  const pageEvents = events.slice(offset, offset + limitCount);
+  const hasMore = events.length > offset + limitCount;
+
+  return {
+    events: pageEvents,
+    lastDoc: hasMore ? { nearOffset: offset + limitCount } : null,
+    hasMore,
+    count: pageEvents.length,
+  };
+};
+
 /**
  * Get events with advanced filtering, pagination, and sorting
  *
@@ -71,19 +441,35 @@ export const createEvent = async (eventData, promoterId) => {
  * 4. promoterId + favoritesCount (DESC) + date
  * 5. date (ASC) - single field index
  * 6. favoritesCount (DESC) + date (ASC)
+ * 7. isMultiDay + endAt (ASC) - with timeRange, for multi-day events that are already running
+ * 8. citySlug + date (ASC/DESC), citySlug + category + date, citySlug + favoritesCount (DESC) + date
+ * 9. geohash (ASC) + date (ASC) - with `near` (see getEventsNear)
  *
  * @param {Object} filters - Filter options
  * @param {string} [filters.category] - Filter by event category
  * @param {string} [filters.hashtag] - Filter by hashtag (uses array-contains)
  * @param {string} [filters.startDate] - Filter events on or after this date (ISO string)
  * @param {string} [filters.endDate] - Filter events before this date (ISO string)
+ * @param {string|Object} [filters.timeRange] - Named range ('today', 'tomorrow', 'weekend', 'week', 'month')
+ *   or { start, end } days ("yyyy-MM-dd", e.g. a calendar month), evaluated in each event's
+ *   timezone; replaces startDate/endDate. Multi-day events that are still running are
+ *   included on the first page.
  * @param {string} [filters.promoterId] - Filter by promoter ID
- * @param {number} [filters.minPrice] - Minimum price filter
- * @param {number} [filters.maxPrice] - Maximum price filter
+ * @param {string} [filters.city] - Filter by city slug (see cities.js)
+ * @param {number} [filters.minPrice] - Minimum price filter (matches if any ticket tier is at least this)
+ * @param {number} [filters.maxPrice] - Maximum price filter (matches if any ticket tier is at most this)
+ * @param {Object} [filters.near] - { lat, lng } to search around; only upcoming events (or those in
+ *   the requested dates) with coordinates within `radiusMiles` are returned, each with `distanceMiles`
+ * @param {number} [filters.radiusMiles=25] - Search radius in miles, with `near`
  * @param {number} [filters.limit=20] - Maximum number of events to return
- * @param {string} [filters.sortBy='date'] - Sort field: 'date', 'popularity', 'trending'
+ * @param {string} [filters.sortBy='date'] - Sort field: 'date', 'popularity', 'trending',
+ *   or 'distance' (closest first, with `near`)
  * @param {string} [filters.sortOrder='asc'] - Sort order: 'asc' or 'desc'
- * @param {Object} [filters.startAfterDoc] - Document snapshot for pagination (from previous query)
+ * @param {Object} [filters.startAfterDoc] - `lastDoc` from the previous page (a document snapshot,
+ *   or an offset with `near`)
+ * @param {boolean} [filters.collapseSeries=false] - Show each recurring series once (earliest occurrence)
+ * @param {boolean} [filters.includeUnlisted=false] - Include drafts, scheduled and cancelled events (for owner views)
+ *   Events in the trash are never included; see trashService.js
  * @returns {Promise<Object>} Object containing events array and pagination info
  * @throws {Error} If fetching events fails
  *
@@ -103,9 +489,30 @@ export const createEvent = async (eventData, promoterId) => {
  *   limit: 20,
  *   startAfterDoc: previousResult.lastDoc
  * });
+ *
+ * @example
+ * // Show "Every Sunday" brunch series as a single card
+ * const result = await getEvents({ category: 'brunch', collapseSeries: true });
+ *
+ * @example
+ * // Events this weekend within 10 miles, closest first
+ * const result = await getEvents({
+ *   timeRange: 'weekend',
+ *   near: { lat: 40.6782, lng: -73.9442 },
+ *   radiusMiles: 10,
+ *   sortBy: 'distance'
+ * });
+ *
+ * @example
+ * // Upcoming events in Atlanta
+ * const result = await getEvents({ city: 'atlanta', startDate: new Date().toISOString() });
  */
 export const getEvents = async (filters = {}) => {
   try {
+    if (filters.near) {
+      return await getEventsNear(filters);
+    }
+
     let q = collection(db, 'events');
     const constraints = [];
 
@@ -113,17 +520,23 @@ export const getEvents = async (filters = {}) => {
     const {
       category,
       hashtag,
-      startDate,
-      endDate,
+      city,
+      timeRange,
       promoterId,
       minPrice,
       maxPrice,
       limit: limitCount = 20,
       sortBy = 'date',
       sortOrder = 'asc',
-      startAfterDoc
+      startAfterDoc,
+      collapseSeries: shouldCollapseSeries = false,
+      includeUnlisted = false,
     } = filters;
 
+    // Named ranges depend on each event's timezone, so query a window wide
+    // enough for every zone and narrow it down in-memory below
+    const { startDate, endDate } = timeRange ? getQueryDateRange(timeRange) : filters;
+
     // Apply equality filters
     if (category) {
       constraints.push(where('category', '==', category));
@@ -133,6 +546,10 @@ export const getEvents = async (filters = {}) => {
       constraints.push(where('promoterId', '==', promoterId));
     }
 
+    if (city) {
+      constraints.push(where('citySlug', '==', city));
+    }
+
     // Apply array-contains filter for hashtags
     // NOTE: Can only use one array-contains per query
     if (hashtag) {
@@ -195,27 +612,50 @@ export const getEvents = async (filters = {}) => {
       });
     });
 
-    // Apply price filtering in-memory if needed
+    // Festivals that started before the range but are still on
+    if (timeRange && !startAfterDoc) {
+      const ongoingEvents = await getOngoingMultiDayEvents(startDate, { category, promoterId, hashtag, city });
+      if (sortBy === 'popularity' || sortBy === 'trending') {
+        events = [...events, ...ongoingEvents].sort((a, b) => (b.favoritesCount || 0) - (a.favoritesCount || 0));
+      } else {
+        events = sortOrder === 'desc' ? [...events, ...ongoingEvents.reverse()] : [...ongoingEvents, ...events];
+      }
+    }
+
+    // Apply price filtering in-memory if needed (matches on any ticket tier)
     if (needsPriceFilter) {
-      events = events.filter(event => {
-        const eventPrice = event.price || 0;
-        const passesMin = minPrice === undefined || eventPrice >= minPrice;
-        const passesMax = maxPrice === undefined || eventPrice <= maxPrice;
-        return passesMin && passesMax;
-      });
+      events = events.filter(event => eventMatchesPriceRange(event, { min: minPrice, max: maxPrice }));
+    }
+
+    if (timeRange) {
+      events = filterEventsByTimeRange(events, timeRange);
+    }
+
+    // Hide events in the trash
+    events = events.filter(event => !event.deletedAt);
+
+    // Hide drafts, cancelled events and events scheduled for later
+    // (done in-memory so events created before statuses existed still match)
+    if (!includeUnlisted) {
+      events = events.filter(event => isEventListed(event));
     }
 
     // Get last document for pagination
     const lastDoc = querySnapshot.docs[querySnapshot.docs.length - 1];
 
     // Remove _doc from response to keep it clean
-    const cleanEvents = events.map(({ _doc, ...event }) => event);
+    let cleanEvents = events.map(({ _doc, ...event }) => event);
+
+    // Collapse recurring series into a single entry if requested
+    if (shouldCollapseSeries) {
+      cleanEvents = collapseSeries(cleanEvents);
+    }
 
     return {
       events: cleanEvents,
       lastDoc, // Use this for next page: getEvents({ ...filters, startAfterDoc: lastDoc })
-      hasMore: events.length === limitCount,
-      count: events.length
+      hasMore: querySnapshot.docs.length === limitCount,
+      count: cleanEvents.length
     };
   } catch (error) {
     console.error('Error getting events:', error);
@@ -234,14 +674,17 @@ export const getEvents = async (filters = {}) => {
 /**
  * Get a single event by ID
  * @param {string} eventId - Event ID
+ * @param {Object} [options] - Additional options
+ * @param {boolean} [options.includeDeleted=false] - Return the event even if it is in the trash
  * @returns {Promise<Object>} Event object
  * @throws {Error} If event not found or fetch fails
  */
-export const getEventById = async (eventId) => {
+export const getEventById = async (eventId, options = {}) => {
   try {
+    const { includeDeleted = false } = options;
     const eventDoc = await getDoc(doc(db, 'events', eventId));
 
-    if (!eventDoc.exists()) {
+    if (!eventDoc.exists() || (!includeDeleted && eventDoc.data().deletedAt)) {
       throw new Error('Event not found');
     }
 
@@ -255,6 +698,24 @@ export const getEventById = async (eventId) => {
   }
 };
 
+/**
+ * Normalize ticket tiers in an update and keep `price` at the lowest tier price
+ * @param {Object} updates - Fields to update
+ * @returns {Object} Updates with normalized pricing
+ */
+const withTicketPricing = (updates) => {
+  if (!updates.ticketTiers) {
+    return updates;
+  }
+
+  const ticketTiers = normalizeTicketTiers(updates.ticketTiers);
+  return {
+    ...updates,
+    ticketTiers,
+    ...(ticketTiers.length > 0 ? { price: getPriceRange({ ticketTiers }).min } : {}),
+  };
+};
+
 /**
  * Update an existing event
  * @param {string} eventId - Event ID
@@ -268,7 +729,7 @@ export const updateEvent = async (eventId, updates) => {
 
     // Add updatedAt timestamp
     const updateData = {
-      ...updates,
+      ...withTicketPricing(updates),
       updatedAt: new Date().toISOString(),
     };
 
@@ -276,10 +737,13 @@ export const updateEvent = async (eventId, updates) => {
 
     // Get updated event data
     const eventDoc = await getDoc(eventRef);
-    return {
+    const updatedEvent = {
       id: eventDoc.id,
       ...eventDoc.data(),
     };
+    await syncSearchIndex([updatedEvent]);
+
+    return updatedEvent;
   } catch (error) {
     console.error('Error updating event:', error);
     throw new Error(error.message || 'Failed to update event');
@@ -288,13 +752,24 @@ export const updateEvent = async (eventId, updates) => {
 
 /**
  * Delete an event
+ * The event is moved to the trash, where it can be restored until it is
+ * purged (see trashService.js). Favorites, linked photos and hashtag counts
+ * are cleaned up by cascadeDeleteEvents().
+ *
  * @param {string} eventId - Event ID
- * @returns {Promise<void>}
+ * @param {string} deletedBy - ID of the user deleting the event
+ * @returns {Promise<Object>} Cleanup report for the event (see cascadeDeleteEvents)
  * @throws {Error} If deletion fails
  */
-export const deleteEvent = async (eventId) => {
+export const deleteEvent = async (eventId, deletedBy) => {
   try {
-    await deleteDoc(doc(db, 'events', eventId));
+    const result = await cascadeDeleteEvents([eventId], deletedBy);
+
+    if (!result.success) {
+      throw new Error(result.errors[0].error);
+    }
+
+    return result.results[0];
   } catch (error) {
     console.error('Error deleting event:', error);
     throw new Error(error.message || 'Failed to delete event');
@@ -396,6 +871,7 @@ export const subscribeToEvents = (filters = {}, callback) => {
     const {
       category,
       hashtag,
+      city,
       startDate,
       endDate,
       promoterId,
@@ -404,6 +880,8 @@ export const subscribeToEvents = (filters = {}, callback) => {
       limit: limitCount = 20,
       sortBy = 'date',
       sortOrder = 'asc',
+      collapseSeries: shouldCollapseSeries = false,
+      includeUnlisted = false,
     } = filters;
 
     // Apply equality filters
@@ -415,6 +893,10 @@ export const subscribeToEvents = (filters = {}, callback) => {
       constraints.push(where('promoterId', '==', promoterId));
     }
 
+    if (city) {
+      constraints.push(where('citySlug', '==', city));
+    }
+
     // Apply array-contains filter for hashtags
     if (hashtag) {
       constraints.push(where('hashtags', 'array-contains', hashtag));
@@ -468,14 +950,22 @@ export const subscribeToEvents = (filters = {}, callback) => {
           });
         });
 
-        // Apply price filtering in-memory if needed
+        // Apply price filtering in-memory if needed (matches on any ticket tier)
         if (needsPriceFilter) {
-          events = events.filter(event => {
-            const eventPrice = event.price || 0;
-            const passesMin = minPrice === undefined || eventPrice >= minPrice;
-            const passesMax = maxPrice === undefined || eventPrice <= maxPrice;
-            return passesMin && passesMax;
-          });
+          events = events.filter(event => eventMatchesPriceRange(event, { min: minPrice, max: maxPrice }));
+        }
+
+        // Hide events in the trash
+        events = events.filter(event => !event.deletedAt);
+
+        // Hide drafts, cancelled events and events scheduled for later
+        if (!includeUnlisted) {
+          events = events.filter(event => isEventListed(event));
+        }
+
+        // Collapse recurring series into a single entry if requested
+        if (shouldCollapseSeries) {
+          events = collapseSeries(events);
         }
 
         // Call the callback with updated events
@@ -546,6 +1036,9 @@ export const subscribeToUserFavorites = (userId, callback) => {
 
           const snapshot = await getDocs(q);
           snapshot.forEach((doc) => {
+            // Skip favorites that were moved to the trash
+            if (doc.data().deletedAt) return;
+
             favoriteEvents.push({
               id: doc.id,
               ...doc.data(),
@@ -634,60 +1127,24 @@ export const subscribeToTrendingHashtags = (callback, limitCount = 10) => {
 // ============================================================================
 
 /**
- * Delete multiple events in a single batch operation
- * Firestore batched writes have a limit of 500 operations per batch
+ * Delete multiple events
+ * Each event is moved to the trash and cleaned up like deleteEvent(); the
+ * cleanup writes are batched per event (Firestore allows 500 operations per batch).
  *
  * @param {Array<string>} eventIds - Array of event IDs to delete
- * @returns {Promise<Object>} Result object with success count and any errors
+ * @param {string} deletedBy - ID of the user deleting the events
+ * @returns {Promise<Object>} Result object with success count, per-event results and any errors
  *
  * @example
- * const result = await deleteMultipleEvents(['event1', 'event2', 'event3']);
+ * const result = await deleteMultipleEvents(['event1', 'event2', 'event3'], user.uid);
  * console.log(`Deleted ${result.successCount} events`);
  * if (result.errors.length > 0) {
- *   console.error('Errors:', result.errors);
+ *   console.error('Errors:', result.errors); // [{ eventId, error }]
  * }
  */
-export const deleteMultipleEvents = async (eventIds) => {
+export const deleteMultipleEvents = async (eventIds, deletedBy) => {
   try {
-    if (!Array.isArray(eventIds) || eventIds.length === 0) {
-      throw new Error('eventIds must be a non-empty array');
-    }
-
-    // Firestore batch limit is 500 operations
-    const BATCH_SIZE = 500;
-    let successCount = 0;
-    const errors = [];
-
-    // Process deletions in batches of 500
-    for (let i = 0; i < eventIds.length; i += BATCH_SIZE) {
-      const batchIds = eventIds.slice(i, i + BATCH_SIZE);
-      const batch = writeBatch(db);
-
-      // Add delete operations to batch
-      batchIds.forEach(eventId => {
-        const eventRef = doc(db, 'events', eventId);
-        batch.delete(eventRef);
-      });
-
-      try {
-        await batch.commit();
-        successCount += batchIds.length;
-      } catch (error) {
-        console.error(`Error deleting batch starting at index ${i}:`, error);
-        errors.push({
-          batchStartIndex: i,
-          batchSize: batchIds.length,
-          error: error.message,
-        });
-      }
-    }
-
-    return {
-      successCount,
-      totalAttempted: eventIds.length,
-      errors,
-      success: errors.length === 0,
-    };
+    return await cascadeDeleteEvents(eventIds, deletedBy);
   } catch (error) {
     console.error('Error in deleteMultipleEvents:', error);
     throw new Error(error.message || 'Failed to delete multiple events');
@@ -696,27 +1153,32 @@ export const deleteMultipleEvents = async (eventIds) => {
 
 /**
  * Delete multiple photos in a single batch operation
- * This deletes the photo documents from Firestore
- * NOTE: This does NOT delete the actual image files from Firebase Storage
- * For complete deletion, also use deletePhotoFile() from photoService.js
+ * Photos are moved to the trash like deletePhoto() in photoService.js.
+ * Their image files stay in Firebase Storage until the trash is purged
+ * (see purgePhoto() in trashService.js).
  *
  * Firestore batched writes have a limit of 500 operations per batch
  *
  * @param {Array<string>} photoIds - Array of photo IDs to delete
+ * @param {string} deletedBy - ID of the user deleting the photos
  * @returns {Promise<Object>} Result object with success count and any errors
  *
  * @example
- * const result = await deleteMultiplePhotos(['photo1', 'photo2', 'photo3']);
- * console.log(`Deleted ${result.successCount} photo documents`);
+ * const result = await deleteMultiplePhotos(['photo1', 'photo2', 'photo3'], user.uid);
+ * console.log(`Deleted ${result.successCount} photos`);
  */
-export const deleteMultiplePhotos = async (photoIds) => {
+export const deleteMultiplePhotos = async (photoIds, deletedBy) => {
   try {
     if (!Array.isArray(photoIds) || photoIds.length === 0) {
       throw new Error('photoIds must be a non-empty array');
     }
 
-    // Firestore batch limit is 500 operations
-    const BATCH_SIZE = 500;
+    if (!deletedBy) {
+      throw new Error('deletedBy is required');
+    }
+
+    const deletedAt = new Date().toISOString();
+
     let successCount = 0;
     const errors = [];
 
@@ -725,10 +1187,10 @@ export const deleteMultiplePhotos = async (photoIds) => {
       const batchIds = photoIds.slice(i, i + BATCH_SIZE);
       const batch = writeBatch(db);
 
-      // Add delete operations to batch
+      // Move each photo to the trash
       batchIds.forEach(photoId => {
         const photoRef = doc(db, 'photos', photoId);
-        batch.delete(photoRef);
+        batch.update(photoRef, { deletedAt, deletedBy });
       });
 
       try {
@@ -756,6 +1218,287 @@ export const deleteMultiplePhotos = async (photoIds) => {
   }
 };
 
+// ============================================================================
+// RECURRING SERIES
+// ============================================================================
+
+/**
+ * Get every occurrence of a recurring series
+ *
+ * @param {string} seriesId - Series ID shared by the occurrences
+ * @param {Object} options - Additional options
+ * @param {boolean} [options.includeCancelled=false] - Include cancelled occurrences
+ * @returns {Promise<Array>} Occurrences sorted by date
+ * @throws {Error} If fetching the series fails
+ *
+ * @example
+ * const occurrences = await getEventSeries(event.seriesId);
+ */
+export const getEventSeries = async (seriesId, options = {}) => {
+  try {
+    if (!seriesId) {
+      throw new Error('No seriesId provided');
+    }
+
+    const { includeCancelled = false } = options;
+
+    // Single equality filter, sorted in memory to avoid needing a composite index
+    const q = query(collection(db, 'events'), where('seriesId', '==', seriesId));
+    const querySnapshot = await getDocs(q);
+
+    let occurrences = [];
+    querySnapshot.forEach((doc) => {
+      occurrences.push({
+        id: doc.id,
+        ...doc.data(),
+      });
+    });
+
+    // Occurrences in the trash are never part of the series
+    occurrences = occurrences.filter(event => !event.deletedAt);
+
+    if (!includeCancelled) {
+      occurrences = occurrences.filter(event => getEventStatus(event) !== EVENT_STATUSES.CANCELLED);
+    }
+
+    occurrences.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return occurrences;
+  } catch (error) {
+    console.error('Error getting event series:', error);
+    throw new Error(error.message || 'Failed to get event series');
+  }
+};
+
+/**
+ * Update one occurrence of a series, or that occurrence and every later one
+ *
+ * With scope 'this', only the given occurrence changes and it is flagged as an
+ * exception. With scope 'future', the updates are applied to the given
+ * occurrence and all later ones, except later occurrences that were edited on
+ * their own (exceptions), which keep their changes. A changed date only moves
+ * the given occurrence; later occurrences keep their own day but pick up the
+ * new time.
+ *
+ * @param {string} eventId - ID of the occurrence being edited
+ * @param {Object} updates - Fields to update
+ * @param {'this'|'future'} [scope='this'] - Which occurrences to update
+ * @returns {Promise<Object>} Result object with the updated event, the number of occurrences
+ *   updated, `previousOccurrences` (each updated occurrence as it was before, e.g. to
+ *   adjust hashtag counts) and `skippedCount` (later exceptions left as they were)
+ * @throws {Error} If update fails
+ *
+ * @example
+ * // Change the venue for the rest of the season
+ * await updateEventOccurrences(eventId, { venue: 'New Spot' }, 'future');
+ */
+export const updateEventOccurrences = async (eventId, updates, scope = 'this') => {
+  try {
+    const event = await getEventById(eventId);
+
+    if (!event.seriesId || scope === 'this') {
+      const updatedEvent = await updateEvent(eventId, {
+        ...updates,
+        ...(event.seriesId ? { isException: true } : {}),
+      });
+      return { event: updatedEvent, updatedCount: 1, previousOccurrences: [event], skippedCount: 0 };
+    }
+
+    if (scope !== 'future') {
+      throw new Error(`Invalid update scope: ${scope}`);
+    }
+
+    const occurrences = await getEventSeries(event.seriesId, { includeCancelled: true });
+    const fromDate = new Date(event.date);
+    const laterOccurrences = occurrences.filter(occurrence => new Date(occurrence.date) > fromDate);
+    const futureOccurrences = [
+      event,
+      ...laterOccurrences.filter(occurrence => occurrence.id !== eventId && !occurrence.isException),
+    ];
+    const skippedCount = laterOccurrences.filter(occurrence => occurrence.isException).length;
+
+    const { date: newDate, startAt: newStartAt, endAt: newEndAt, ...sharedUpdates } = withTicketPricing(updates);
+    const newTime = newDate ? new Date(newDate) : null;
+    // How long each occurrence runs, if the edit sets an end time
+    const duration = newEndAt ? new Date(newEndAt) - new Date(newStartAt || newDate) : null;
+    const now = new Date().toISOString();
+
+    const operations = [];
+    const updatedOccurrences = [];
+
+    futureOccurrences.forEach((occurrence) => {
+      const occurrenceUpdates = {
+        ...sharedUpdates,
+        isException: false,
+        updatedAt: now,
+      };
+
+      if (newTime) {
+        if (occurrence.id === eventId) {
+          occurrenceUpdates.date = newTime.toISOString();
+        } else {
+          // Keep this occurrence's day, but move it to the new start time
+          // (both read on the event's own wall clock)
+          const timeZone = updates.timezone || occurrence.timezone || undefined;
+          const newWallClock = toZonedWallClock(newTime, timeZone);
+          const occurrenceDate = toZonedWallClock(occurrence.date, timeZone);
+          occurrenceDate.setHours(newWallClock.getHours(), newWallClock.getMinutes(), 0, 0);
+          occurrenceUpdates.date = zonedWallClockToUtc(occurrenceDate, timeZone).toISOString();
+        }
+
+        if (newStartAt !== undefined) {
+          occurrenceUpdates.startAt = occurrenceUpdates.date;
+          occurrenceUpdates.endAt = duration !== null
+            ? new Date(new Date(occurrenceUpdates.date).getTime() + duration).toISOString()
+            : null;
+        }
+      }
+
+      operations.push((batch) => batch.update(doc(db, 'events', occurrence.id), occurrenceUpdates));
+      updatedOccurrences.push({ ...occurrence, ...occurrenceUpdates });
+    });
+
+    await commitInBatches(operations);
+    await syncSearchIndex(updatedOccurrences);
+
+    const updatedEvent = await getEventById(eventId);
+    return {
+      event: updatedEvent,
+      updatedCount: futureOccurrences.length,
+      previousOccurrences: futureOccurrences,
+      skippedCount,
+    };
+  } catch (error) {
+    console.error('Error updating event occurrences:', error);
+    throw new Error(error.message || 'Failed to update event occurrences');
+  }
+};
+
+// ============================================================================
+// EVENT LIFECYCLE
+// ============================================================================
+
+/**
+ * Publish a draft event, either right away or at a scheduled time
+ *
+ * @param {string} eventId - Event ID
+ * @param {string|null} [publishAt=null] - ISO timestamp to publish at (null publishes now)
+ * @returns {Promise<Object>} Updated event object
+ * @throws {Error} If publishing fails
+ *
+ * @example
+ * // Go live Friday at noon
+ * await publishEvent(eventId, '2025-06-06T16:00:00.000Z');
+ */
+export const publishEvent = async (eventId, publishAt = null) => {
+  try {
+    return await updateEvent(eventId, {
+      status: EVENT_STATUSES.PUBLISHED,
+      publishAt,
+    });
+  } catch (error) {
+    console.error('Error publishing event:', error);
+    throw new Error(error.message || 'Failed to publish event');
+  }
+};
+
+/**
+ * Cancel an event
+ * Cancelled events are hidden from listings and search, but their detail page
+ * stays up with a cancellation notice. For a recurring series this only
+ * cancels the given occurrence.
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} Updated event object
+ * @throws {Error} If cancellation fails
+ */
+export const cancelEvent = async (eventId) => {
+  try {
+    return await updateEvent(eventId, {
+      status: EVENT_STATUSES.CANCELLED,
+      cancelledAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error cancelling event:', error);
+    throw new Error(error.message || 'Failed to cancel event');
+  }
+};
+
+/**
+ * Postpone an event
+ * The original date is kept in `postponedFrom`. If a new date is known, the
+ * event moves to it and `postponedTo` records it; otherwise the event stays
+ * listed as postponed with the new date to be announced.
+ *
+ * @param {string} eventId - Event ID
+ * @param {Object} [reschedule={}] - New date details, if known
+ * @param {string} [reschedule.date] - New ISO start instant
+ * @param {string|null} [reschedule.endAt] - New ISO end instant (see buildEventInstants)
+ * @param {string} [reschedule.startTime] - New start time ("HH:mm")
+ * @param {string} [reschedule.endTime] - New end time ("HH:mm")
+ * @returns {Promise<Object>} Updated event object
+ * @throws {Error} If postponing fails
+ *
+ * @example
+ * // Date to be announced
+ * await postponeEvent(eventId);
+ *
+ * // Moved to a new date
+ * await postponeEvent(eventId, { date: '2025-07-12T21:00:00.000Z', startTime: '21:00' });
+ */
+export const postponeEvent = async (eventId, reschedule = {}) => {
+  try {
+    const event = await getEventById(eventId);
+    const { date, endAt, startTime, endTime } = reschedule;
+
+    const updates = {
+      status: EVENT_STATUSES.POSTPONED,
+      postponedAt: new Date().toISOString(),
+      // Keep the very first date if the event is postponed more than once
+      postponedFrom: event.postponedFrom || event.date,
+      postponedTo: date || null,
+    };
+
+    if (date) {
+      updates.date = date;
+      updates.startAt = date;
+      if (endAt !== undefined) updates.endAt = endAt;
+      if (startTime !== undefined) updates.startTime = startTime;
+      if (endTime !== undefined) updates.endTime = endTime;
+    }
+
+    // A postponed occurrence no longer follows the series schedule
+    if (event.seriesId) {
+      updates.isException = true;
+    }
+
+    return await updateEvent(eventId, updates);
+  } catch (error) {
+    console.error('Error postponing event:', error);
+    throw new Error(error.message || 'Failed to postpone event');
+  }
+};
+
+/**
+ * Mark an event as sold out, or put it back on sale
+ * Sold out events stay listed; the ticket button is replaced by a notice.
+ *
+ * @param {string} eventId - Event ID
+ * @param {boolean} [soldOut=true] - Whether the event is sold out
+ * @returns {Promise<Object>} Updated event object
+ * @throws {Error} If update fails
+ */
+export const setEventSoldOut = async (eventId, soldOut = true) => {
+  try {
+    return await updateEvent(eventId, {
+      status: soldOut ? EVENT_STATUSES.SOLD_OUT : EVENT_STATUSES.PUBLISHED,
+    });
+  } catch (error) {
+    console.error('Error updating sold out status:', error);
+    throw new Error(error.message || 'Failed to update sold out status');
+  }
+};
+
 // ============================================================================
 // SEARCH FUNCTIONALITY
 // ============================================================================
@@ -763,26 +1506,26 @@ export const deleteMultiplePhotos = async (photoIds) => {
 /**
  * Search events by text across multiple fields
  *
- * IMPORTANT: Firestore does not have native full-text search capabilities.
- * This implementation fetches all events and performs client-side filtering.
- * For production apps with large datasets, consider using:
- * - Algolia (recommended for Firestore)
- * - ElasticSearch
- * - Typesense
- * - Firebase Extensions: Search with Algolia
+ * Runs against the full-text search index (see searchService.js), so every
+ * event can be found, not just the ones in a recent window. Words match on
+ * their stems ("parties" finds "party") without accents, typos are forgiven
+ * ("soca brunh" finds "Soca Brunch"), every word must match, and the fields
+ * count for more in this order:
+ * - Event title
+ * - Lineup names, e.g. DJs and hosts
+ * - Hashtags
+ * - Venue name
+ * - Event description
  *
- * This function searches across:
- * - Event title (case-insensitive)
- * - Event description (case-insensitive)
- * - Venue name (case-insensitive)
- * - Hashtags (exact match, case-insensitive)
+ * For paged results with totals, use searchIndexedEvents() directly.
  *
  * @param {string} searchTerm - Search term to look for
  * @param {Object} options - Additional search options
  * @param {number} [options.limit=50] - Maximum number of results to return
  * @param {string} [options.category] - Filter by category
+ * @param {string} [options.city] - Filter by city slug (see cities.js)
  * @param {string} [options.startDate] - Filter by start date
- * @param {string} [options.sortBy='date'] - Sort by: 'date', 'popularity', 'relevance'
+ * @param {string} [options.sortBy='date'] - Sort by: 'date', 'popularity' (favorites among the best matches), 'relevance'
  * @returns {Promise<Array>} Array of matching events
  *
  * @example
@@ -801,114 +1544,25 @@ export const searchEventsByText = async (searchTerm, options = {}) => {
     const {
       limit: limitCount = 50,
       category,
+      city,
       startDate,
       sortBy = 'date',
     } = options;
 
-    // Normalize search term
-    const normalizedSearch = searchTerm.toLowerCase().trim();
-    const searchWords = normalizedSearch.split(/\s+/); // Split into words
-
-    // Build base query with optional filters
-    let q = collection(db, 'events');
-    const constraints = [];
-
-    // Apply category filter if provided
-    if (category) {
-      constraints.push(where('category', '==', category));
-    }
-
-    // Apply date filter if provided
-    if (startDate) {
-      constraints.push(where('date', '>=', startDate));
-    }
-
-    // Add sorting based on sortBy
-    switch (sortBy) {
-      case 'popularity':
-        constraints.push(orderBy('favoritesCount', 'desc'));
-        break;
-      case 'date':
-      default:
-        constraints.push(orderBy('date', 'asc'));
-        break;
-    }
-
-    // Fetch a larger set to filter client-side
-    // Firestore doesn't support text search, so we over-fetch then filter
-    constraints.push(limit(limitCount * 3)); // Fetch 3x to account for filtering
-
-    if (constraints.length > 0) {
-      q = query(q, ...constraints);
-    }
-
-    const querySnapshot = await getDocs(q);
-    let events = [];
-
-    querySnapshot.forEach((doc) => {
-      events.push({
-        id: doc.id,
-        ...doc.data(),
-      });
+    const { events } = await searchIndexedEvents(searchTerm, {
+      limit: limitCount,
+      category,
+      city,
+      startDate,
+      sortBy: sortBy === 'date' ? 'date' : 'relevance',
     });
 
-    // Client-side text search
-    const scoredEvents = events
-      .map((event) => {
-        const titleLower = (event.title || '').toLowerCase();
-        const descriptionLower = (event.description || '').toLowerCase();
-        const venueLower = (event.venue || '').toLowerCase();
-        const hashtagsLower = (event.hashtags || []).map(h => h.toLowerCase());
-
-        let score = 0;
-
-        // Check each search word
-        searchWords.forEach(word => {
-          // Title match (highest weight)
-          if (titleLower.includes(word)) {
-            score += 10;
-            // Exact word match gets bonus
-            if (titleLower.split(/\s+/).includes(word)) {
-              score += 5;
-            }
-          }
-
-          // Venue match (medium-high weight)
-          if (venueLower.includes(word)) {
-            score += 7;
-          }
-
-          // Description match (medium weight)
-          if (descriptionLower.includes(word)) {
-            score += 3;
-          }
-
-          // Hashtag match (exact match only, high weight)
-          hashtagsLower.forEach(hashtag => {
-            if (hashtag === word || hashtag === `#${word}`) {
-              score += 8;
-            }
-          });
-        });
-
-        return {
-          ...event,
-          searchScore: score,
-        };
-      })
-      .filter(event => event.searchScore > 0); // Only include events with matches
-
-    // Sort by relevance if requested
-    if (sortBy === 'relevance') {
-      scoredEvents.sort((a, b) => b.searchScore - a.searchScore);
+    // The index ranks by relevance or date, so popularity re-sorts the best matches
+    if (sortBy === 'popularity') {
+      return [...events].sort((a, b) => (b.favoritesCount || 0) - (a.favoritesCount || 0));
     }
 
-    // Remove search score from results and apply limit
-    const results = scoredEvents
-      .slice(0, limitCount)
-      .map(({ searchScore, ...event }) => event);
-
-    return results;
+    return events;
   } catch (error) {
     console.error('Error searching events:', error);
     throw new Error(error.message || 'Failed to search events');
@@ -922,7 +1576,9 @@ export const searchEventsByText = async (searchTerm, options = {}) => {
  * @param {Object} options - Additional filter options
  * @param {number} [options.limit=20] - Maximum number of results
  * @param {string} [options.category] - Filter by category
+ * @param {string} [options.city] - Filter by city slug (see cities.js)
  * @param {string} [options.startDate] - Filter by start date
+ * @param {string} [options.timeRange] - Named range evaluated in each event's timezone (see getEvents)
  * @param {string} [options.sortBy='date'] - Sort by: 'date', 'popularity'
  * @returns {Promise<Array>} Array of events with the specified hashtag
  *
@@ -946,9 +1602,11 @@ export const searchEventsByHashtag = async (hashtag, options = {}) => {
     const {
       limit: limitCount = 20,
       category,
-      startDate,
+      city,
+      timeRange,
       sortBy = 'date',
     } = options;
+    const startDate = timeRange ? getQueryDateRange(timeRange).startDate : options.startDate;
 
     // Build query with hashtag filter
     const constraints = [
@@ -961,6 +1619,10 @@ export const searchEventsByHashtag = async (hashtag, options = {}) => {
       constraints.push(where('category', '==', category));
     }
 
+    if (city) {
+      constraints.push(where('citySlug', '==', city));
+    }
+
     // Apply date filter if provided
     if (startDate) {
       constraints.push(where('date', '>=', startDate));
@@ -985,7 +1647,7 @@ export const searchEventsByHashtag = async (hashtag, options = {}) => {
     const q = query(collection(db, 'events'), ...constraints);
     const querySnapshot = await getDocs(q);
 
-    const events = [];
+    let events = [];
     querySnapshot.forEach((doc) => {
       events.push({
         id: doc.id,
@@ -993,7 +1655,17 @@ export const searchEventsByHashtag = async (hashtag, options = {}) => {
       });
     });
 
-    return events;
+    // Festivals that started before the range but are still on
+    if (timeRange) {
+      const ongoingEvents = await getOngoingMultiDayEvents(startDate, { category, city, hashtag: normalizedHashtag });
+      events = sortBy === 'popularity'
+        ? [...events, ...ongoingEvents].sort((a, b) => (b.favoritesCount || 0) - (a.favoritesCount || 0))
+        : [...ongoingEvents, ...events];
+    }
+
+    // Hide deleted events, drafts, cancelled events and events scheduled for later
+    const listedEvents = events.filter(event => !event.deletedAt && isEventListed(event));
+    return timeRange ? filterEventsByTimeRange(listedEvents, timeRange) : listedEvents;
   } catch (error) {
     console.error('Error searching events by hashtag:', error);
 
@@ -1006,3 +1678,185 @@ export const searchEventsByHashtag = async (hashtag, options = {}) => {
     throw new Error(error.message || 'Failed to search events by hashtag');
   }
 };
+
+/**
+ * Order events the way a popularity query does: most favorited first, then soonest
+ * @param {Object} a - Event
+ * @param {Object} b - Event
+ * @returns {number} Sort order
+ */
+const compareByPopularity = (a, b) => (
+  (b.favoritesCount || 0) - (a.favoritesCount || 0) || (a.date || '').localeCompare(b.date || '')
+);
+
+/**
+ * Search events with a hashtag expression, e.g. "#afrobeats AND #brooklyn NOT #18plus"
+ * or "#soca OR #dancehall" (see hashtagQueryHelpers.js for the syntax)
+ *
+ * Firestore allows one array-contains per query, so only the most selective
+ * part of the expression runs in the query (by hashtag usage counts, see
+ * planHashtagQuery); the rest is checked in memory, as is the distance from
+ * `near`. Pages are filled by reading on until `limit` events match, and
+ * `lastDoc` is the last event returned, so the next page picks up right after
+ * it. Events can't be ordered by distance, since pages are read in order.
+ *
+ * @param {string} expression - Hashtag expression
+ * @param {Object} [options] - Additional filter options
+ * @param {number} [options.limit=20] - Events per page
+ * @param {string} [options.category] - Filter by category
+ * @param {string} [options.city] - Filter by city slug (see cities.js)
+ * @param {Object} [options.near] - { lat, lng } to only match events around
+ * @param {number} [options.radiusMiles=DEFAULT_RADIUS_MILES] - Search radius around `near`
+ * @param {string} [options.startDate] - Filter by start date
+ * @param {string} [options.timeRange] - Named range evaluated in each event's timezone (see getEvents);
+ *   multi-day events that are still running are included on the page they sort into
+ * @param {string} [options.sortBy='date'] - Sort by: 'date', 'popularity'
+ * @param {Object} [options.startAfterDoc] - `lastDoc` from the previous page
+ * @returns {Promise<Object>} { events, lastDoc, hasMore, count }, as getEvents;
+ *   with `near`, each event has `distanceMiles`
+ * @throws {Error} If the expression is malformed or the search fails
+ *
+ * @example
+ * const firstPage = await searchEventsByHashtagQuery('#soca OR #dancehall', { city: 'new-york' });
+ * const secondPage = await searchEventsByHashtagQuery('#soca OR #dancehall', {
+ *   city: 'new-york',
+ *   startAfterDoc: firstPage.lastDoc,
+ * });
+ */
+export const searchEventsByHashtagQuery = async (expression, options = {}) => {
+  try {
+    const clauses = parseHashtagQuery(expression);
+
+    const {
+      limit: limitCount = 20,
+      category,
+      city,
+      near,
+      radiusMiles = DEFAULT_RADIUS_MILES,
+      timeRange,
+      sortBy = 'date',
+      startAfterDoc,
+    } = options;
+    const { startDate, endDate } = timeRange ? getQueryDateRange(timeRange) : options;
+
+    // Hashtag usage counts decide which part of the expression Firestore runs;
+    // hashtags without a count are left out, so they count as most used
+    const tags = getHashtagQueryTags(clauses);
+    const hashtagDocs = await Promise.all(tags.map(tag => getHashtagByTag(tag)));
+    const counts = Object.fromEntries(tags
+      .map((tag, index) => [tag, hashtagDocs[index]?.count])
+      .filter(([, count]) => count !== undefined));
+    const plan = planHashtagQuery(clauses, counts);
+
+    const constraints = [];
+
+    if (plan) {
+      constraints.push(where('hashtags', plan.operator, plan.value));
+    }
+
+    if (category) {
+      constraints.push(where('category', '==', category));
+    }
+
+    if (city) {
+      constraints.push(where('citySlug', '==', city));
+    }
+
+    if (startDate) {
+      constraints.push(where('date', '>=', startDate));
+    }
+
+    if (endDate) {
+      constraints.push(where('date', '<=', endDate));
+    }
+
+    switch (sortBy) {
+      case 'popularity':
+        constraints.push(orderBy('favoritesCount', 'desc'));
+        constraints.push(orderBy('date', 'asc'));
+        break;
+      case 'date':
+      default:
+        constraints.push(orderBy('date', 'asc'));
+        break;
+    }
+
+    const toEvent = (eventData) => (near
+      ? { ...eventData, distanceMiles: getEventDistanceMiles(eventData, near) }
+      : eventData);
+
+    const isMatch = event => (
+      !event.deletedAt
+      && isEventListed(event)
+      && matchesHashtagQuery(event, clauses)
+      && (!near || (event.distanceMiles !== null && event.distanceMiles <= radiusMiles))
+      && (!timeRange || filterEventsByTimeRange([event], timeRange).length > 0)
+    );
+
+    // Read on until the page is full, stopping right after its last event
+    let events = [];
+    let cursor = startAfterDoc;
+    let hasMore = true;
+
+    for (let batchCount = 0; batchCount < HASHTAG_QUERY_MAX_BATCHES && events.length < limitCount; batchCount++) {
+      const batchConstraints = cursor
+        ? [...constraints, startAfter(cursor), limit(HASHTAG_QUERY_BATCH_SIZE)]
+        : [...constraints, limit(HASHTAG_QUERY_BATCH_SIZE)];
+      const querySnapshot = await getDocs(query(collection(db, 'events'), ...batchConstraints));
+
+      let readCount = 0;
+
+      for (const eventDoc of querySnapshot.docs) {
+        readCount++;
+        cursor = eventDoc;
+        const event = toEvent({ id: eventDoc.id, ...eventDoc.data() });
+        if (isMatch(event)) events.push(event);
+        if (events.length === limitCount) break;
+      }
+
+      // Firestore ran out of events and every one of them was read
+      if (querySnapshot.docs.length < HASHTAG_QUERY_BATCH_SIZE && readCount === querySnapshot.docs.length) {
+        hasMore = false;
+        break;
+      }
+    }
+
+    // Festivals that started before the range but are still on. By date they
+    // all come first; by popularity each page takes the ones that sort
+    // between its first and last event, so pages stay in one order
+    if (timeRange && (sortBy === 'popularity' || !startAfterDoc)) {
+      const ongoingEvents = (await getOngoingMultiDayEvents(startDate, { category, city }))
+        .map(toEvent)
+        .filter(isMatch);
+
+      if (sortBy === 'popularity') {
+        const previousEvent = startAfterDoc?.data();
+        const lastEvent = hasMore ? cursor?.data() : null;
+        const pageEvents = ongoingEvents.filter(event => (
+          (!previousEvent || compareByPopularity(event, previousEvent) > 0)
+          && (!lastEvent || compareByPopularity(event, lastEvent) <= 0)
+        ));
+        events = [...events, ...pageEvents].sort(compareByPopularity);
+      } else {
+        events = [...ongoingEvents, ...events];
+      }
+    }
+
+    return {
+      events,
+      lastDoc: cursor || null, // Use this for next page: searchEventsByHashtagQuery(expression, { ...options, startAfterDoc: lastDoc })
+      hasMore,
+      count: events.length,
+    };
+  } catch (error) {
+    console.error('Error searching events by hashtag query:', error);
+
+    if (error.message?.includes('index')) {
+      throw new Error(
+        'Missing Firestore index for hashtag search. Check console for index creation link.'
+      );
+    }
+
+    throw new Error(error.message || 'Failed to search events by hashtag query');
+  }
+};
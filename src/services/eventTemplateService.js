@@ -0,0 +1,157 @@
+import {
+  collection,
+  doc,
+  setDoc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  deleteDoc,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { normalizeTicketTiers } from '../utils/ticketTierHelpers';
+
+/**
+ * Get the templates collection of a promoter
+ * Templates are private to each promoter, stored under `users/{promoterId}/eventTemplates`.
+ *
+ * @param {string} promoterId - Promoter's user ID
+ * @returns {Object} Firestore collection reference
+ */
+const templatesCollection = (promoterId) => collection(db, 'users', promoterId, 'eventTemplates');
+
+/**
+ * Clean up template fields before they are saved
+ * @param {Object} templateData - Template fields (see buildTemplateFromEvent)
+ * @returns {Object} Normalized template fields
+ */
+const normalizeTemplate = (templateData) => ({
+  name: templateData.name?.trim() || 'Untitled template',
+  category: templateData.category || '',
+  venue: templateData.venue?.trim() || '',
+  venueId: templateData.venueId || null,
+  address: {
+    street: templateData.address?.street?.trim() || '',
+    city: templateData.address?.city?.trim() || '',
+    state: templateData.address?.state?.trim() || '',
+    zip: templateData.address?.zip?.trim() || '',
+  },
+  description: templateData.description?.trim() || '',
+  hashtags: [...new Set(templateData.hashtags || [])],
+  ticketTiers: normalizeTicketTiers(templateData.ticketTiers),
+  ticketLink: templateData.ticketLink?.trim() || '',
+  imageUrl: templateData.imageUrl || '',
+  imageStoragePath: templateData.imageStoragePath || '',
+});
+
+/**
+ * Save a new event template for a promoter
+ * @param {string} promoterId - Promoter's user ID
+ * @param {Object} templateData - Template fields (see buildTemplateFromEvent)
+ * @returns {Promise<Object>} Created template with ID
+ * @throws {Error} If saving fails
+ *
+ * @example
+ * await createEventTemplate(user.uid, buildTemplateFromEvent(event, 'Sunday Brunch'));
+ */
+export const createEventTemplate = async (promoterId, templateData) => {
+  try {
+    const templateRef = doc(templatesCollection(promoterId));
+    const template = {
+      id: templateRef.id,
+      promoterId,
+      ...normalizeTemplate(templateData),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await setDoc(templateRef, template);
+
+    return template;
+  } catch (error) {
+    console.error('Error creating event template:', error);
+    throw new Error(error.message || 'Failed to create event template');
+  }
+};
+
+/**
+ * Get all of a promoter's event templates
+ * @param {string} promoterId - Promoter's user ID
+ * @returns {Promise<Array<Object>>} Templates sorted by name
+ * @throws {Error} If fetching fails
+ */
+export const getEventTemplates = async (promoterId) => {
+  try {
+    const querySnapshot = await getDocs(templatesCollection(promoterId));
+
+    return querySnapshot.docs
+      .map((templateDoc) => templateDoc.data())
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error fetching event templates:', error);
+    throw new Error(error.message || 'Failed to fetch event templates');
+  }
+};
+
+/**
+ * Get a single event template
+ * @param {string} promoterId - Promoter's user ID
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Template
+ * @throws {Error} If the template doesn't exist
+ */
+export const getEventTemplate = async (promoterId, templateId) => {
+  try {
+    const templateDoc = await getDoc(doc(templatesCollection(promoterId), templateId));
+
+    if (!templateDoc.exists()) {
+      throw new Error('Template not found');
+    }
+
+    return templateDoc.data();
+  } catch (error) {
+    console.error('Error fetching event template:', error);
+    throw new Error(error.message || 'Failed to fetch event template');
+  }
+};
+
+/**
+ * Update an event template
+ * @param {string} promoterId - Promoter's user ID
+ * @param {string} templateId - Template ID
+ * @param {Object} templateData - Full set of template fields
+ * @returns {Promise<Object>} Updated template fields
+ * @throws {Error} If updating fails
+ */
+export const updateEventTemplate = async (promoterId, templateId, templateData) => {
+  try {
+    const updates = {
+      ...normalizeTemplate(templateData),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await updateDoc(doc(templatesCollection(promoterId), templateId), updates);
+
+    return updates;
+  } catch (error) {
+    console.error('Error updating event template:', error);
+    throw new Error(error.message || 'Failed to update event template');
+  }
+};
+
+/**
+ * Delete an event template
+ * The template's flyer is left in Storage, since events made from it may still use it.
+ *
+ * @param {string} promoterId - Promoter's user ID
+ * @param {string} templateId - Template ID
+ * @returns {Promise<void>}
+ * @throws {Error} If deletion fails
+ */
+export const deleteEventTemplate = async (promoterId, templateId) => {
+  try {
+    await deleteDoc(doc(templatesCollection(promoterId), templateId));
+  } catch (error) {
+    console.error('Error deleting event template:', error);
+    throw new Error(error.message || 'Failed to delete event template');
+  }
+};
@@ -0,0 +1,207 @@
+/**
+ * Firestore Search Index Writer
+ *
+ * Keeps the inverted index read by firestoreSearchProvider.js up to date. It
+ * takes the Firestore instance to write to (rather than importing the app's),
+ * so scripts/rebuildSearchIndex.js can run it from Node; for the same reason
+ * every import here uses a full `.js` specifier.
+ *
+ * - `searchIndex/{word}`: `postings` maps event ID => { w, date, category, city }
+ * - `searchDocuments/{eventId}`: the words an event is indexed under, so
+ *   re-indexing only rewrites words that changed
+ * - `searchMeta/events`: `documentCount`, for ranking rare words higher
+ * - `searchVocabulary/{letter}`: `terms` maps every word indexed under that
+ *   first letter to how it was written, for typo matching and "did you mean".
+ *   Words are never taken out, so it may list words no event has any more.
+ *
+ * Each event's writes are committed together and name the event in an
+ * `eventId` field, so security rules can check the writer hosts that event
+ * (see firestoreSchema.js).
+ */
+
+import {
+  doc,
+  getDoc,
+  writeBatch,
+  deleteField,
+  increment,
+} from 'firebase/firestore';
+import {
+  SEARCH_INDEX_VERSION,
+  buildSearchTerms,
+  buildSearchVocabulary,
+} from '../utils/searchIndexHelpers.js';
+
+// Firestore batch limit is 500 operations
+const BATCH_SIZE = 500;
+
+export const INDEX_COLLECTION = 'searchIndex';
+export const DOCUMENTS_COLLECTION = 'searchDocuments';
+export const VOCABULARY_COLLECTION = 'searchVocabulary';
+export const STATS_DOC_PATH = ['searchMeta', 'events'];
+
+/**
+ * Build what is stored about an event in the index
+ * Each posting carries the event's date, category and city so searches can be
+ * filtered and sorted across every match without loading the events.
+ * @param {Object} event - Event object
+ * @returns {Object} { version, terms, date, category, city }
+ */
+const buildIndexEntry = (event) => ({
+  version: SEARCH_INDEX_VERSION,
+  terms: buildSearchTerms(event),
+  date: event.date || null,
+  category: event.category || null,
+  city: event.citySlug || null,
+});
+
+/**
+ * Build the posting stored under each word for an event
+ * @param {Object} entry - Index entry (see buildIndexEntry)
+ * @param {number} weight - Weight of the word for the event
+ * @returns {Object} { w, date, category, city }
+ */
+const toPosting = (entry, weight) => ({
+  w: weight,
+  date: entry.date,
+  category: entry.category,
+  city: entry.city,
+});
+
+/**
+ * Create an index writer for a Firestore instance
+ * @param {Object} db - Firestore instance
+ * @returns {Object} { indexEvents, removeEvents }
+ *
+ * @example
+ * const indexer = createFirestoreSearchIndexer(getFirestore(app));
+ * await indexer.indexEvents(events);
+ */
+export const createFirestoreSearchIndexer = (db) => {
+  /**
+   * Commit queued batch operations in chunks of BATCH_SIZE
+   * @param {Array<Function>} operations - Functions that add one operation to a batch
+   */
+  const commitOperations = async (operations) => {
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+      const batch = writeBatch(db);
+      operations.slice(i, i + BATCH_SIZE).forEach((operation) => operation(batch));
+      await batch.commit();
+    }
+  };
+
+  /**
+   * Queue the operations that take an event out of the index
+   * @param {string} eventId - Event ID
+   * @param {Object} previous - The event's current index entry
+   * @returns {Array<Function>} Batch operations
+   */
+  const getRemovalOperations = (eventId, previous) => [
+    ...Object.keys(previous.terms || {}).map(term => (batch) => batch.set(
+      doc(db, INDEX_COLLECTION, term),
+      { postings: { [eventId]: deleteField() }, eventId },
+      { merge: true }
+    )),
+    (batch) => batch.delete(doc(db, DOCUMENTS_COLLECTION, eventId)),
+    (batch) => batch.set(doc(db, ...STATS_DOC_PATH), { documentCount: increment(-1), eventId }, { merge: true }),
+  ];
+
+  /**
+   * Queue the operations that add or update an event in the index
+   * @param {Object} event - Full event document
+   * @param {Object|null} previous - The event's current index entry
+   * @returns {Array<Function>} Batch operations
+   */
+  const getIndexOperations = (event, previous) => {
+    const operations = [];
+    const entry = buildIndexEntry(event);
+    const vocabulary = buildSearchVocabulary([event]);
+    // Events indexed under older rules are rewritten in full
+    const isCurrent = previous?.version === SEARCH_INDEX_VERSION;
+    const detailsChanged = !isCurrent
+      || previous.date !== entry.date
+      || previous.category !== entry.category
+      || previous.city !== entry.city;
+    // New words, grouped by vocabulary document
+    const newWords = {};
+
+    Object.entries(entry.terms).forEach(([term, weight]) => {
+      if (detailsChanged || previous.terms?.[term] !== weight) {
+        operations.push((batch) => batch.set(
+          doc(db, INDEX_COLLECTION, term),
+          { postings: { [event.id]: toPosting(entry, weight) }, eventId: event.id },
+          { merge: true }
+        ));
+      }
+
+      // Parts of words (see buildSearchTerms) aren't words to suggest
+      if (term in vocabulary && (!isCurrent || !(term in previous.terms))) {
+        newWords[term[0]] = { ...newWords[term[0]], [term]: vocabulary[term] };
+      }
+    });
+
+    Object.entries(newWords).forEach(([letter, terms]) => {
+      operations.push((batch) => batch.set(
+        doc(db, VOCABULARY_COLLECTION, letter),
+        { terms, eventId: event.id },
+        { merge: true }
+      ));
+    });
+
+    Object.keys(previous?.terms || {})
+      .filter(term => !(term in entry.terms))
+      .forEach((term) => {
+        operations.push((batch) => batch.set(
+          doc(db, INDEX_COLLECTION, term),
+          { postings: { [event.id]: deleteField() }, eventId: event.id },
+          { merge: true }
+        ));
+      });
+
+    operations.push((batch) => batch.set(doc(db, DOCUMENTS_COLLECTION, event.id), {
+      ...entry,
+      indexedAt: new Date().toISOString(),
+    }));
+
+    if (!previous) {
+      operations.push((batch) => batch.set(doc(db, ...STATS_DOC_PATH), { documentCount: increment(1), eventId: event.id }, { merge: true }));
+    }
+
+    return operations;
+  };
+
+  return {
+    /**
+     * Add or update events in the index; events in the trash are removed
+     * @param {Array<Object>} events - Full event documents
+     * @returns {Promise<void>}
+     */
+    async indexEvents(events) {
+      for (const event of events) {
+        const previousDoc = await getDoc(doc(db, DOCUMENTS_COLLECTION, event.id));
+        const previous = previousDoc.exists() ? previousDoc.data() : null;
+
+        if (event.deletedAt) {
+          if (previous) await commitOperations(getRemovalOperations(event.id, previous));
+          continue;
+        }
+
+        await commitOperations(getIndexOperations(event, previous));
+      }
+    },
+
+    /**
+     * Take events out of the index
+     * @param {Array<string>} eventIds - Event IDs
+     * @returns {Promise<void>}
+     */
+    async removeEvents(eventIds) {
+      for (const eventId of eventIds) {
+        const previousDoc = await getDoc(doc(db, DOCUMENTS_COLLECTION, eventId));
+        if (previousDoc.exists()) {
+          await commitOperations(getRemovalOperations(eventId, previousDoc.data()));
+        }
+      }
+    },
+  };
+};
@@ -0,0 +1,313 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  limit,
+  documentId,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import {
+  createFirestoreSearchIndexer,
+  INDEX_COLLECTION,
+  VOCABULARY_COLLECTION,
+  STATS_DOC_PATH,
+} from './firestoreSearchIndexer';
+import {
+  SEARCH_MATCH_WEIGHTS,
+  parseSearchQuery,
+  getTermRarity,
+  matchSearchTerm,
+  findSearchCorrections,
+  suggestSearchQuery,
+} from '../utils/searchIndexHelpers';
+import { isEventListed } from '../utils/eventStatusHelpers';
+
+// Firestore 'in' queries take at most 30 values
+const FETCH_CHUNK_SIZE = 30;
+
+// Most indexed words a half-typed last word is expanded to
+const PREFIX_EXPANSIONS = 10;
+
+// Most indexed words a misspelled word is expanded to
+const FUZZY_EXPANSIONS = 5;
+
+const indexer = createFirestoreSearchIndexer(db);
+
+/**
+ * Load the postings stored under a word
+ * @param {string} term - Stemmed word
+ * @returns {Promise<Object>} Event ID => posting ({} if the word isn't indexed)
+ */
+const loadTermPostings = async (term) => {
+  const termDoc = await getDoc(doc(db, INDEX_COLLECTION, term));
+  return termDoc.exists() ? termDoc.data().postings || {} : {};
+};
+
+/**
+ * Load the indexed words starting with the same letter as a word
+ * @param {string} word - Stemmed word
+ * @param {Map<string, Promise<Object>>} cache - Vocabulary documents already requested
+ * @returns {Promise<Object>} Stemmed word => word as written
+ */
+const loadVocabulary = (word, cache) => {
+  const letter = word[0];
+
+  if (!cache.has(letter)) {
+    cache.set(letter, getDoc(doc(db, VOCABULARY_COLLECTION, letter))
+      .then(vocabularyDoc => (vocabularyDoc.exists() ? vocabularyDoc.data().terms || {} : {})));
+  }
+
+  return cache.get(letter);
+};
+
+/**
+ * Load the indexed words starting with the word being typed
+ * @param {string} prefix - Stemmed start of a word
+ * @param {Object} weights - Match weights
+ * @returns {Promise<Array<Object>>} [{ term, postings, factor }]
+ */
+const loadPrefixClause = async (prefix, weights) => {
+  const prefixSnapshot = await getDocs(query(
+    collection(db, INDEX_COLLECTION),
+    where(documentId(), '>=', prefix),
+    where(documentId(), '<=', `${prefix}\uf8ff`), // \uf8ff sorts after every other character
+    limit(PREFIX_EXPANSIONS)
+  ));
+
+  return prefixSnapshot.docs.map(termDoc => ({
+    term: termDoc.id,
+    postings: termDoc.data().postings || {},
+    factor: matchSearchTerm(prefix, termDoc.id, { isPrefix: true, weights }),
+  }));
+};
+
+/**
+ * Load the indexed words closest to a misspelled word
+ * @param {string} word - Stemmed query word
+ * @param {boolean} isPrefix - Whether the word is still being typed
+ * @param {Object} vocabulary - Indexed words starting with the same letter
+ * @param {Object} weights - Match weights
+ * @returns {Promise<Array<Object>>} [{ term, postings, factor }]
+ */
+const loadFuzzyClause = async (word, isPrefix, vocabulary, weights) => {
+  const closest = Object.keys(vocabulary)
+    .map(term => ({ term, factor: matchSearchTerm(word, term, { isPrefix, weights }) }))
+    .filter(candidate => candidate.factor > 0)
+    .sort((a, b) => b.factor - a.factor)
+    .slice(0, FUZZY_EXPANSIONS);
+
+  return Promise.all(closest.map(async candidate => ({
+    ...candidate,
+    postings: await loadTermPostings(candidate.term),
+  })));
+};
+
+/**
+ * Load the postings of the words in a search
+ * Words with no matches as typed fall back to the closest indexed words.
+ * Typos in a word's first letter aren't caught, since the words are looked
+ * up by first letter.
+ * @param {Object} parsedQuery - Parsed query (see parseSearchQuery)
+ * @param {Object} weights - Match weights
+ * @returns {Promise<Array<Object>>} One clause per query word:
+ *   { word, isPrefix, entries: [{ term, postings, factor }], vocabulary (fuzzy clauses only) }
+ */
+const loadQueryPostings = async ({ terms, prefix }, weights) => {
+  const vocabularyCache = new Map();
+
+  const loadClause = async (word, isPrefix) => {
+    const entries = isPrefix
+      ? await loadPrefixClause(word, weights)
+      : [{ term: word, postings: await loadTermPostings(word), factor: weights.exact }];
+
+    if (entries.some(entry => Object.keys(entry.postings).length > 0)) {
+      return { word, isPrefix, entries };
+    }
+
+    const vocabulary = await loadVocabulary(word, vocabularyCache);
+    return { word, isPrefix, entries: await loadFuzzyClause(word, isPrefix, vocabulary, weights), vocabulary };
+  };
+
+  return Promise.all([
+    ...terms.map(word => loadClause(word, false)),
+    ...(prefix ? [loadClause(prefix, true)] : []),
+  ]);
+};
+
+/**
+ * Word a "did you mean" suggestion from the clauses that needed fuzzy matching
+ * @param {string} queryText - What the user typed
+ * @param {Array<Object>} clauses - Clauses (see loadQueryPostings)
+ * @returns {string|null} Corrected query, or null
+ */
+const getSuggestion = (queryText, clauses) => {
+  const corrections = {};
+
+  clauses
+    .filter(clause => clause.vocabulary)
+    .forEach(({ word, isPrefix, vocabulary }) => {
+      Object.assign(corrections, findSearchCorrections(
+        isPrefix ? { terms: [], prefix: word } : { terms: [word], prefix: null },
+        vocabulary
+      ));
+    });
+
+  return suggestSearchQuery(queryText, corrections);
+};
+
+/**
+ * Score the events matching every clause of a search
+ * @param {Array<Object>} clauses - Clauses (see loadQueryPostings)
+ * @param {number} documentCount - Number of events indexed
+ * @returns {Map<string, Object>} Event ID => { score, posting }
+ */
+const scoreMatches = (clauses, documentCount) => {
+  let matches = null;
+
+  clauses.forEach(({ entries }) => {
+    const clauseMatches = new Map();
+
+    entries.forEach(({ postings, factor }) => {
+      const rarity = getTermRarity(Object.keys(postings).length, documentCount);
+
+      Object.entries(postings).forEach(([eventId, posting]) => {
+        const score = posting.w * rarity * factor;
+        if (score > (clauseMatches.get(eventId)?.score || 0)) {
+          clauseMatches.set(eventId, { score, posting });
+        }
+      });
+    });
+
+    // Every clause must match
+    if (matches === null) {
+      matches = clauseMatches;
+      return;
+    }
+
+    const combined = new Map();
+    clauseMatches.forEach((match, eventId) => {
+      if (matches.has(eventId)) {
+        combined.set(eventId, { score: matches.get(eventId).score + match.score, posting: match.posting });
+      }
+    });
+    matches = combined;
+  });
+
+  return matches || new Map();
+};
+
+/**
+ * Load events by ID, keeping the given order
+ * @param {Array<string>} eventIds - Event IDs (at most FETCH_CHUNK_SIZE)
+ * @returns {Promise<Array<Object>>} Events that still exist
+ */
+const loadEvents = async (eventIds) => {
+  const snapshot = await getDocs(query(collection(db, 'events'), where(documentId(), 'in', eventIds)));
+  const eventsById = new Map(snapshot.docs.map(eventDoc => [eventDoc.id, { id: eventDoc.id, ...eventDoc.data() }]));
+
+  return eventIds.map(eventId => eventsById.get(eventId)).filter(Boolean);
+};
+
+/**
+ * Search provider backed by an inverted index stored in Firestore
+ * (see firestoreSearchIndexer.js for how it is laid out and written)
+ *
+ * Every event is indexed, including drafts and scheduled events; whether an
+ * event is listed is checked when results are loaded, since scheduled events
+ * go live without being saved again.
+ *
+ * A word's postings live in one document, which Firestore caps at 1 MB
+ * (roughly 10,000 events per word). Past that, swap in an external engine
+ * (see searchService.js).
+ */
+export const firestoreSearchProvider = {
+  name: 'firestore',
+
+  /**
+   * Add or update events in the index; events in the trash are removed
+   * @param {Array<Object>} events - Full event documents
+   * @returns {Promise<void>}
+   */
+  indexEvents: (events) => indexer.indexEvents(events),
+
+  /**
+   * Take events out of the index
+   * @param {Array<string>} eventIds - Event IDs
+   * @returns {Promise<void>}
+   */
+  removeEvents: (eventIds) => indexer.removeEvents(eventIds),
+
+  /**
+   * Find listed events matching every word of a query
+   * @param {string} queryText - What the user typed
+   * @param {Object} [options] - See searchIndexedEvents
+   * @returns {Promise<Object>} { events, total, nextCursor, suggestion }
+   */
+  async search(queryText, options = {}) {
+    const {
+      limit: limitCount = 20,
+      cursor,
+      category,
+      city,
+      startDate,
+      endDate,
+      sortBy = 'relevance',
+      matchWeights = SEARCH_MATCH_WEIGHTS,
+    } = options;
+
+    const parsedQuery = parseSearchQuery(queryText);
+    if (parsedQuery.terms.length === 0 && !parsedQuery.prefix) {
+      return { events: [], total: 0, nextCursor: null, suggestion: null };
+    }
+
+    const [clauses, statsDoc] = await Promise.all([
+      loadQueryPostings(parsedQuery, matchWeights),
+      getDoc(doc(db, ...STATS_DOC_PATH)),
+    ]);
+    const documentCount = statsDoc.exists() ? statsDoc.data().documentCount || 0 : 0;
+
+    const candidates = [...scoreMatches(clauses, documentCount)]
+      .map(([eventId, { score, posting }]) => ({ eventId, score, date: posting.date || '', category: posting.category, city: posting.city }))
+      .filter(candidate => (
+        (!category || candidate.category === category)
+        && (!city || candidate.city === city)
+        && (!startDate || candidate.date >= startDate)
+        && (!endDate || candidate.date <= endDate)
+      ))
+      .sort((a, b) => (
+        sortBy === 'date'
+          ? a.date.localeCompare(b.date)
+          : b.score - a.score || a.date.localeCompare(b.date)
+      ));
+
+    // Drafts, cancelled events and events scheduled for later are skipped
+    // while filling the page, so the cursor is a position in `candidates`
+    const events = [];
+    let position = Number(cursor) || 0;
+
+    while (events.length < limitCount && position < candidates.length) {
+      const chunk = candidates.slice(position, position + FETCH_CHUNK_SIZE);
+      const loaded = await loadEvents(chunk.map(candidate => candidate.eventId));
+      const loadedById = new Map(loaded.map(event => [event.id, event]));
+
+      for (const candidate of chunk) {
+        position += 1;
+        const event = loadedById.get(candidate.eventId);
+        if (event && !event.deletedAt && isEventListed(event)) {
+          events.push(event);
+          if (events.length === limitCount) break;
+        }
+      }
+    }
+
+    return {
+      events,
+      total: candidates.length,
+      nextCursor: position < candidates.length ? String(position) : null,
+      suggestion: getSuggestion(queryText, clauses),
+    };
+  },
+};
@@ -7,18 +7,26 @@ import {
   updateDoc,
   increment,
   query,
+  where,
   orderBy,
   limit,
+  runTransaction,
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
+import { isEventListed } from '../utils/eventStatusHelpers';
+import { scoreHashtagMatch } from '../utils/searchIndexHelpers';
+
+// Upcoming events counted for a city's trending hashtags
+const CITY_TRENDING_EVENT_LIMIT = 500;
 
 /**
  * Update hashtag count (increment when used)
  * @param {string} hashtag - Hashtag to update (without #)
+ * @param {number} [amount=1] - How many uses to add (e.g. one per occurrence of a series)
  * @returns {Promise<Object>} Updated hashtag object
  * @throws {Error} If update fails
  */
-export const updateHashtagCount = async (hashtag) => {
+export const updateHashtagCount = async (hashtag, amount = 1) => {
   try {
     if (!hashtag) {
       throw new Error('No hashtag provided');
@@ -37,7 +45,7 @@ export const updateHashtagCount = async (hashtag) => {
     if (hashtagDoc.exists()) {
       // Hashtag exists, increment count
       await updateDoc(hashtagRef, {
-        count: increment(1),
+        count: increment(amount),
         lastUsed: new Date().toISOString(),
       });
     } else {
@@ -45,7 +53,7 @@ export const updateHashtagCount = async (hashtag) => {
       await setDoc(hashtagRef, {
         tag: normalizedHashtag,
         name: normalizedHashtag, // Add name field for UI compatibility
-        count: 1,
+        count: amount,
         createdAt: new Date().toISOString(),
         lastUsed: new Date().toISOString(),
       });
@@ -85,14 +93,143 @@ export const updateMultipleHashtagCounts = async (hashtags) => {
   }
 };
 
+/**
+ * Decrement hashtag count (when a hashtag is removed from an event)
+ * Runs in a transaction, so concurrent edits can't overwrite each other's
+ * counts. Counts stop at zero: events saved before their hashtags were
+ * counted would otherwise take them below it.
+ * @param {string} hashtag - Hashtag to update (without #)
+ * @returns {Promise<Object|null>} Updated hashtag object, or null if the hashtag doesn't exist
+ * @throws {Error} If update fails
+ */
+export const decrementHashtagCount = async (hashtag) => {
+  try {
+    if (!hashtag) {
+      throw new Error('No hashtag provided');
+    }
+
+    // Normalize hashtag (remove # if present, convert to lowercase)
+    const normalizedHashtag = hashtag.replace('#', '').toLowerCase().trim();
+
+    if (!normalizedHashtag) {
+      throw new Error('Invalid hashtag');
+    }
+
+    const hashtagRef = doc(db, 'hashtags', normalizedHashtag);
+
+    return await runTransaction(db, async (transaction) => {
+      const hashtagDoc = await transaction.get(hashtagRef);
+
+      if (!hashtagDoc.exists()) {
+        return null;
+      }
+
+      const hashtag = hashtagDoc.data();
+      const count = Math.max(0, (hashtag.count || 0) - 1);
+
+      if (count !== hashtag.count) {
+        transaction.update(hashtagRef, { count });
+      }
+
+      return {
+        id: hashtagDoc.id,
+        ...hashtag,
+        count,
+      };
+    });
+  } catch (error) {
+    console.error('Error decrementing hashtag count:', error);
+    throw new Error(error.message || 'Failed to decrement hashtag count');
+  }
+};
+
+/**
+ * Adjust hashtag counts after an event's hashtags change
+ * Increments tags that were added and decrements tags that were removed.
+ * @param {Array<string>} previousHashtags - Hashtags before the change
+ * @param {Array<string>} nextHashtags - Hashtags after the change
+ * @returns {Promise<Object>} Object with the normalized added and removed hashtags
+ * @throws {Error} If update fails
+ *
+ * @example
+ * await adjustHashtagCounts(['afrobeats', 'brunch'], ['afrobeats', 'dayparty']);
+ * // Returns: { added: ['dayparty'], removed: ['brunch'] }
+ */
+export const adjustHashtagCounts = async (previousHashtags = [], nextHashtags = []) => {
+  try {
+    const normalize = (tags) => [
+      ...new Set(
+        tags
+          .map((tag) => tag.replace('#', '').toLowerCase().trim())
+          .filter(Boolean)
+      ),
+    ];
+
+    const previous = normalize(previousHashtags);
+    const next = normalize(nextHashtags);
+
+    const added = next.filter((tag) => !previous.includes(tag));
+    const removed = previous.filter((tag) => !next.includes(tag));
+
+    await Promise.all([
+      updateMultipleHashtagCounts(added),
+      ...removed.map((tag) => decrementHashtagCount(tag)),
+    ]);
+
+    return { added, removed };
+  } catch (error) {
+    console.error('Error adjusting hashtag counts:', error);
+    throw new Error(error.message || 'Failed to adjust hashtag counts');
+  }
+};
+
+/**
+ * Get trending hashtags in a city
+ * Hashtag documents only hold overall counts, so a city's hashtags are
+ * counted from its upcoming events (citySlug + date index).
+ * @param {string} city - City slug
+ * @param {number} maxResults - Maximum number of hashtags to return
+ * @returns {Promise<Array>} Hashtag objects ({ id, tag, name, count }), most used first
+ */
+const getCityTrendingHashtags = async (city, maxResults) => {
+  const querySnapshot = await getDocs(query(
+    collection(db, 'events'),
+    where('citySlug', '==', city),
+    where('date', '>=', new Date().toISOString()),
+    orderBy('date', 'asc'),
+    limit(CITY_TRENDING_EVENT_LIMIT)
+  ));
+
+  const counts = {};
+  querySnapshot.docs
+    .map((eventDoc) => eventDoc.data())
+    .filter((event) => !event.deletedAt && isEventListed(event))
+    .forEach((event) => {
+      new Set(event.hashtags || []).forEach((tag) => {
+        counts[tag] = (counts[tag] || 0) + 1;
+      });
+    });
+
+  return Object.entries(counts)
+    .sort(([tagA, countA], [tagB, countB]) => countB - countA || tagA.localeCompare(tagB))
+    .slice(0, maxResults)
+    .map(([tag, count]) => ({ id: tag, tag, name: tag, count }));
+};
+
 /**
  * Get trending hashtags sorted by usage count
  * @param {number} maxResults - Maximum number of hashtags to return (default: 10)
+ * @param {Object} [options] - Options
+ * @param {string} [options.city] - Only count upcoming events in this city (see cities.js)
  * @returns {Promise<Array>} Array of trending hashtag objects
  * @throws {Error} If fetching trending hashtags fails
  */
-export const getTrendingHashtags = async (maxResults = 10) => {
+export const getTrendingHashtags = async (maxResults = 10, options = {}) => {
   try {
+    if (options.city) {
+      return await getCityTrendingHashtags(options.city, maxResults);
+    }
+
     const q = query(
       collection(db, 'hashtags'),
       orderBy('count', 'desc'),
@@ -189,6 +326,8 @@ export const getHashtagByTag = async (hashtag) => {
 
 /**
  * Search hashtags by partial match
+ * Forgives accents, plurals and typos ("afrobeat" and "afrobaets" both find
+ * #afrobeats); closest matches come first, then the most used.
  * @param {string} searchTerm - Partial hashtag to search for
  * @param {number} maxResults - Maximum number of results (default: 10)
  * @returns {Promise<Array>} Array of matching hashtag objects
@@ -200,9 +339,6 @@ export const searchHashtags = async (searchTerm, maxResults = 10) => {
       return [];
     }
 
-    // Normalize search term
-    const normalizedSearch = searchTerm.replace('#', '').toLowerCase().trim();
-
     // Get all hashtags (in a production app, you'd want better search indexing)
     const q = query(
       collection(db, 'hashtags'),
@@ -211,24 +347,30 @@ export const searchHashtags = async (searchTerm, maxResults = 10) => {
     );
 
     const querySnapshot = await getDocs(q);
-    const hashtags = [];
+    const matches = [];
 
     querySnapshot.forEach((doc) => {
       const data = doc.data();
-      // Check if hashtag starts with or contains the search term
       const tagName = data.tag || data.name || doc.id;
-      if (tagName && tagName.toLowerCase().includes(normalizedSearch)) {
-        hashtags.push({
-          id: doc.id,
-          name: tagName, // Add name field for UI compatibility
-          count: data.count || data.usageCount || 0, // Support both count and usageCount
-          ...data,
+      const score = scoreHashtagMatch(searchTerm, tagName);
+      if (score > 0) {
+        matches.push({
+          score,
+          hashtag: {
+            id: doc.id,
+            name: tagName, // Add name field for UI compatibility
+            count: data.count || data.usageCount || 0, // Support both count and usageCount
+            ...data,
+          },
         });
       }
     });
 
+    // Closest matches first; ties keep the most used first
+    matches.sort((a, b) => b.score - a.score);
+
     // Return limited results
-    return hashtags.slice(0, maxResults);
+    return matches.slice(0, maxResults).map(match => match.hashtag);
   } catch (error) {
     console.error('Error searching hashtags:', error);
     throw new Error(error.message || 'Failed to search hashtags');
@@ -0,0 +1,328 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  query,
+  where,
+  runTransaction,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { HOST_ROLES, getEventHosts, buildHostFields } from '../utils/hostHelpers';
+
+/**
+ * Whether a co-host invite is still waiting for an answer
+ */
+export const HOST_INVITE_STATUSES = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+};
+
+/**
+ * Get the ID of a host invite
+ * One invite per event and invitee, so re-inviting someone replaces the old invite.
+ *
+ * @param {string} eventId - Event ID
+ * @param {string} inviteeId - User ID of the invited promoter
+ * @returns {string} Invite document ID
+ */
+const getInviteId = (eventId, inviteeId) => `${eventId}_${inviteeId}`;
+
+/**
+ * Make sure an event keeps at least one owner after a host change
+ * @param {Array<Object>} hosts - Hosts after the change
+ * @throws {Error} If no owner is left
+ */
+const assertHasOwner = (hosts) => {
+  if (!hosts.some((host) => host.role === HOST_ROLES.OWNER)) {
+    throw new Error('An event needs at least one owner');
+  }
+};
+
+/**
+ * Invite a promoter to co-host an event
+ * The invite is stored in the top-level `hostInvites` collection so the
+ * invitee can find it from their profile. They join the event once they accept.
+ *
+ * @param {string} eventId - Event ID
+ * @param {string} username - Username of the promoter to invite
+ * @param {string} role - Role to offer (HOST_ROLES.EDITOR or HOST_ROLES.DOOR_STAFF; owners may also invite owners)
+ * @param {string} invitedBy - User ID of the host sending the invite
+ * @returns {Promise<Object>} Created invite
+ * @throws {Error} If the user isn't found, is already a host, or the invite fails
+ *
+ * @example
+ * await inviteHost(eventId, 'djkay', HOST_ROLES.EDITOR, user.uid);
+ */
+export const inviteHost = async (eventId, username, role, invitedBy) => {
+  try {
+    if (!Object.values(HOST_ROLES).includes(role)) {
+      throw new Error('Invalid host role');
+    }
+
+    const usersSnapshot = await getDocs(
+      query(collection(db, 'users'), where('username', '==', username.trim().replace(/^@/, '')))
+    );
+    const invitee = usersSnapshot.docs
+      .map((userDoc) => ({ uid: userDoc.id, ...userDoc.data() }))
+      .find((userData) => userData.userType === 'promoter');
+
+    if (!invitee) {
+      throw new Error(`No promoter found with the username @${username.trim().replace(/^@/, '')}`);
+    }
+
+    const eventDoc = await getDoc(doc(db, 'events', eventId));
+    if (!eventDoc.exists()) {
+      throw new Error('Event not found');
+    }
+
+    const event = eventDoc.data();
+    if (getEventHosts(event).some((host) => host.userId === invitee.uid)) {
+      throw new Error(`@${invitee.username} already hosts this event`);
+    }
+
+    const inviteId = getInviteId(eventId, invitee.uid);
+    const invite = {
+      id: inviteId,
+      eventId,
+      eventTitle: event.title || event.name || '',
+      eventDate: event.date || null,
+      inviteeId: invitee.uid,
+      inviteeUsername: invitee.username || '',
+      invitedBy,
+      role,
+      status: HOST_INVITE_STATUSES.PENDING,
+      createdAt: new Date().toISOString(),
+      respondedAt: null,
+    };
+
+    await setDoc(doc(db, 'hostInvites', inviteId), invite);
+
+    return invite;
+  } catch (error) {
+    console.error('Error inviting host:', error);
+    throw new Error(error.message || 'Failed to invite host');
+  }
+};
+
+/**
+ * Get the pending co-host invites sent for an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array<Object>>} Pending invites, oldest first
+ * @throws {Error} If fetching fails
+ */
+export const getEventHostInvites = async (eventId) => {
+  try {
+    // Filter status and sort in memory to avoid a composite index
+    const querySnapshot = await getDocs(
+      query(collection(db, 'hostInvites'), where('eventId', '==', eventId))
+    );
+
+    return querySnapshot.docs
+      .map((inviteDoc) => inviteDoc.data())
+      .filter((invite) => invite.status === HOST_INVITE_STATUSES.PENDING)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  } catch (error) {
+    console.error('Error fetching event host invites:', error);
+    throw new Error(error.message || 'Failed to fetch host invites');
+  }
+};
+
+/**
+ * Get the co-host invites waiting for a user's answer
+ * @param {string} userId - User ID of the invitee
+ * @returns {Promise<Array<Object>>} Pending invites, newest first
+ * @throws {Error} If fetching fails
+ */
+export const getPendingHostInvites = async (userId) => {
+  try {
+    const querySnapshot = await getDocs(
+      query(collection(db, 'hostInvites'), where('inviteeId', '==', userId))
+    );
+
+    return querySnapshot.docs
+      .map((inviteDoc) => inviteDoc.data())
+      .filter((invite) => invite.status === HOST_INVITE_STATUSES.PENDING)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  } catch (error) {
+    console.error('Error fetching host invites:', error);
+    throw new Error(error.message || 'Failed to fetch host invites');
+  }
+};
+
+/**
+ * Accept or decline a co-host invite
+ * Accepting adds the user to the event's hosts with the offered role.
+ *
+ * @param {string} inviteId - Invite ID
+ * @param {string} userId - User ID of the invitee answering
+ * @param {boolean} accept - True to accept, false to decline
+ * @returns {Promise<void>}
+ * @throws {Error} If the invite isn't for this user or was already answered
+ *
+ * @example
+ * await respondToHostInvite(invite.id, user.uid, true);
+ */
+export const respondToHostInvite = async (inviteId, userId, accept) => {
+  try {
+    const inviteRef = doc(db, 'hostInvites', inviteId);
+
+    await runTransaction(db, async (transaction) => {
+      const inviteDoc = await transaction.get(inviteRef);
+      if (!inviteDoc.exists()) {
+        throw new Error('Invite not found');
+      }
+
+      const invite = inviteDoc.data();
+      if (invite.inviteeId !== userId) {
+        throw new Error('This invite is for someone else');
+      }
+      if (invite.status !== HOST_INVITE_STATUSES.PENDING) {
+        throw new Error('This invite has already been answered');
+      }
+
+      const now = new Date().toISOString();
+
+      if (accept) {
+        const eventRef = doc(db, 'events', invite.eventId);
+        const eventDoc = await transaction.get(eventRef);
+        if (!eventDoc.exists()) {
+          throw new Error('Event not found');
+        }
+
+        const hosts = getEventHosts(eventDoc.data()).filter((host) => host.userId !== userId);
+        transaction.update(eventRef, buildHostFields([
+          ...hosts,
+          { userId, role: invite.role, addedAt: now },
+        ]));
+      }
+
+      transaction.update(inviteRef, {
+        status: accept ? HOST_INVITE_STATUSES.ACCEPTED : HOST_INVITE_STATUSES.DECLINED,
+        respondedAt: now,
+      });
+    });
+  } catch (error) {
+    console.error('Error responding to host invite:', error);
+    throw new Error(error.message || 'Failed to respond to host invite');
+  }
+};
+
+/**
+ * Withdraw a co-host invite before it is answered
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<void>}
+ * @throws {Error} If deletion fails
+ */
+export const revokeHostInvite = async (inviteId) => {
+  try {
+    await deleteDoc(doc(db, 'hostInvites', inviteId));
+  } catch (error) {
+    console.error('Error revoking host invite:', error);
+    throw new Error(error.message || 'Failed to revoke host invite');
+  }
+};
+
+/**
+ * Change a host's role on an event
+ * @param {string} eventId - Event ID
+ * @param {string} userId - User ID of the host
+ * @param {string} role - New role (one of HOST_ROLES)
+ * @returns {Promise<Array<Object>>} Updated hosts
+ * @throws {Error} If the change would leave the event without an owner
+ */
+export const updateHostRole = async (eventId, userId, role) => {
+  try {
+    if (!Object.values(HOST_ROLES).includes(role)) {
+      throw new Error('Invalid host role');
+    }
+
+    const eventRef = doc(db, 'events', eventId);
+
+    return await runTransaction(db, async (transaction) => {
+      const eventDoc = await transaction.get(eventRef);
+      if (!eventDoc.exists()) {
+        throw new Error('Event not found');
+      }
+
+      const hosts = getEventHosts(eventDoc.data()).map((host) => (
+        host.userId === userId ? { ...host, role } : host
+      ));
+      assertHasOwner(hosts);
+
+      transaction.update(eventRef, buildHostFields(hosts));
+      return hosts;
+    });
+  } catch (error) {
+    console.error('Error updating host role:', error);
+    throw new Error(error.message || 'Failed to update host role');
+  }
+};
+
+/**
+ * Remove a host from an event (or let a co-host step down)
+ * @param {string} eventId - Event ID
+ * @param {string} userId - User ID of the host to remove
+ * @returns {Promise<Array<Object>>} Remaining hosts
+ * @throws {Error} If the change would leave the event without an owner
+ */
+export const removeHost = async (eventId, userId) => {
+  try {
+    const eventRef = doc(db, 'events', eventId);
+
+    return await runTransaction(db, async (transaction) => {
+      const eventDoc = await transaction.get(eventRef);
+      if (!eventDoc.exists()) {
+        throw new Error('Event not found');
+      }
+
+      const hosts = getEventHosts(eventDoc.data()).filter((host) => host.userId !== userId);
+      assertHasOwner(hosts);
+
+      transaction.update(eventRef, buildHostFields(hosts));
+      return hosts;
+    });
+  } catch (error) {
+    console.error('Error removing host:', error);
+    throw new Error(error.message || 'Failed to remove host');
+  }
+};
+
+/**
+ * Get an event's hosts with their profile details
+ * @param {Object} event - Event object
+ * @returns {Promise<Array<Object>>} Hosts with uid, fullName, username and profilePhoto
+ * @throws {Error} If fetching fails
+ */
+export const getEventHostProfiles = async (event) => {
+  try {
+    const hosts = getEventHosts(event);
+    const usersById = {};
+    const batchSize = 10;
+
+    // NOTE: Firestore 'in' queries are limited to 10 items
+    for (let i = 0; i < hosts.length; i += batchSize) {
+      const batch = hosts.slice(i, i + batchSize).map((host) => host.userId);
+      const usersSnapshot = await getDocs(
+        query(collection(db, 'users'), where('__name__', 'in', batch))
+      );
+      usersSnapshot.forEach((userDoc) => {
+        usersById[userDoc.id] = userDoc.data();
+      });
+    }
+
+    return hosts.map((host) => ({
+      ...host,
+      uid: host.userId,
+      fullName: usersById[host.userId]?.fullName || '',
+      username: usersById[host.userId]?.username || '',
+      profilePhoto: usersById[host.userId]?.profilePhoto || '',
+    }));
+  } catch (error) {
+    console.error('Error fetching event hosts:', error);
+    throw new Error(error.message || 'Failed to fetch event hosts');
+  }
+};
@@ -0,0 +1,212 @@
+import {
+  collection,
+  doc,
+  setDoc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { normalizePerformerName, PERFORMER_ROLES } from '../utils/lineupHelpers';
+import { isEventListed } from '../utils/eventStatusHelpers';
+import { hasEventPassed } from '../utils/dateHelpers';
+
+/**
+ * Clean up performer fields before they are saved
+ * @param {Object} performerData - Performer fields (name, role, bio, photoUrl, socials)
+ * @returns {Object} Normalized performer fields
+ */
+const normalizePerformer = (performerData) => ({
+  name: performerData.name?.trim() || '',
+  searchName: normalizePerformerName(performerData.name),
+  role: Object.values(PERFORMER_ROLES).includes(performerData.role) ? performerData.role : PERFORMER_ROLES.DJ,
+  bio: performerData.bio?.trim() || '',
+  photoUrl: performerData.photoUrl?.trim() || '',
+  socials: {
+    instagram: performerData.socials?.instagram?.trim().replace(/^@/, '') || '',
+    twitter: performerData.socials?.twitter?.trim().replace(/^@/, '') || '',
+    soundcloud: performerData.socials?.soundcloud?.trim() || '',
+  },
+});
+
+/**
+ * Create a performer (DJ, host, MC or artist)
+ * @param {Object} performerData - Performer fields (see normalizePerformer)
+ * @param {string} createdBy - User ID of the promoter adding the performer
+ * @returns {Promise<Object>} Created performer with ID
+ * @throws {Error} If the name is missing or saving fails
+ *
+ * @example
+ * const performer = await createPerformer({ name: 'DJ Tunez', role: 'dj' }, user.uid);
+ */
+export const createPerformer = async (performerData, createdBy) => {
+  try {
+    const fields = normalizePerformer(performerData);
+    if (!fields.name) {
+      throw new Error('Performer name is required');
+    }
+
+    const performerRef = doc(collection(db, 'performers'));
+    const performer = {
+      id: performerRef.id,
+      ...fields,
+      followersCount: 0, // Kept in step by followPerformer/unfollowPerformer (see AuthContext)
+      createdBy,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await setDoc(performerRef, performer);
+
+    return performer;
+  } catch (error) {
+    console.error('Error creating performer:', error);
+    throw new Error(error.message || 'Failed to create performer');
+  }
+};
+
+/**
+ * Get a performer by ID
+ * @param {string} performerId - Performer ID
+ * @returns {Promise<Object>} Performer
+ * @throws {Error} If the performer doesn't exist
+ */
+export const getPerformerById = async (performerId) => {
+  try {
+    const performerDoc = await getDoc(doc(db, 'performers', performerId));
+
+    if (!performerDoc.exists()) {
+      throw new Error('Performer not found');
+    }
+
+    return { id: performerDoc.id, ...performerDoc.data() };
+  } catch (error) {
+    console.error('Error fetching performer:', error);
+    throw new Error(error.message || 'Failed to fetch performer');
+  }
+};
+
+/**
+ * Update a performer's profile
+ * Lineups keep the name and socials they were saved with until the event is
+ * next edited.
+ * @param {string} performerId - Performer ID
+ * @param {Object} performerData - Full set of performer fields (see normalizePerformer)
+ * @returns {Promise<Object>} Updated performer fields
+ * @throws {Error} If updating fails
+ */
+export const updatePerformer = async (performerId, performerData) => {
+  try {
+    const fields = normalizePerformer(performerData);
+    if (!fields.name) {
+      throw new Error('Performer name is required');
+    }
+
+    const updates = {
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await updateDoc(doc(db, 'performers', performerId), updates);
+
+    return updates;
+  } catch (error) {
+    console.error('Error updating performer:', error);
+    throw new Error(error.message || 'Failed to update performer');
+  }
+};
+
+/**
+ * Find performers whose name starts with a search term, for autocomplete
+ * Matching ignores case and punctuation (see normalizePerformerName).
+ * @param {string} searchTerm - What the user has typed
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit=8] - Maximum number of performers
+ * @returns {Promise<Array<Object>>} Matching performers
+ * @throws {Error} If the search fails
+ *
+ * @example
+ * const performers = await searchPerformers('dj tu');
+ */
+export const searchPerformers = async (searchTerm, options = {}) => {
+  try {
+    const { limit: limitCount = 8 } = options;
+    const searchName = normalizePerformerName(searchTerm);
+    if (!searchName) return [];
+
+    const querySnapshot = await getDocs(query(
+      collection(db, 'performers'),
+      where('searchName', '>=', searchName),
+      where('searchName', '<=', `${searchName}\uf8ff`), // \uf8ff sorts after every other character
+      orderBy('searchName'),
+      limit(limitCount)
+    ));
+
+    return querySnapshot.docs.map((performerDoc) => ({ id: performerDoc.id, ...performerDoc.data() }));
+  } catch (error) {
+    console.error('Error searching performers:', error);
+    throw new Error(error.message || 'Failed to search performers');
+  }
+};
+
+/**
+ * Find the performer matching a typed name, or create it
+ * Names match loosely (see normalizePerformerName).
+ * @param {Object} performerData - Performer fields ({ name, role, socials })
+ * @param {string} createdBy - User ID to record if a performer is created
+ * @returns {Promise<Object>} Existing or created performer
+ * @throws {Error} If the lookup or creation fails
+ */
+export const findOrCreatePerformer = async (performerData, createdBy) => {
+  try {
+    const querySnapshot = await getDocs(query(
+      collection(db, 'performers'),
+      where('searchName', '==', normalizePerformerName(performerData.name)),
+      limit(1)
+    ));
+
+    if (!querySnapshot.empty) {
+      const performerDoc = querySnapshot.docs[0];
+      return { id: performerDoc.id, ...performerDoc.data() };
+    }
+
+    return await createPerformer(performerData, createdBy);
+  } catch (error) {
+    console.error('Error finding performer:', error);
+    throw new Error(error.message || 'Failed to find performer');
+  }
+};
+
+/**
+ * Get a performer's gigs, split into upcoming and past
+ * Drafts, cancelled events and events in the trash are left out.
+ * @param {string} performerId - Performer ID
+ * @returns {Promise<Object>} { upcoming, past } - upcoming soonest first, past most recent first
+ * @throws {Error} If fetching fails
+ */
+export const getPerformerEvents = async (performerId) => {
+  try {
+    // Sorted in-memory to avoid a performerIds + date composite index
+    const querySnapshot = await getDocs(query(
+      collection(db, 'events'),
+      where('performerIds', 'array-contains', performerId)
+    ));
+
+    const events = querySnapshot.docs
+      .map((eventDoc) => ({ id: eventDoc.id, ...eventDoc.data() }))
+      .filter(event => !event.deletedAt && isEventListed(event))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return {
+      upcoming: events.filter(event => !hasEventPassed(event)),
+      past: events.filter(event => hasEventPassed(event)).reverse(),
+    };
+  } catch (error) {
+    console.error('Error fetching performer events:', error);
+    throw new Error(error.message || 'Failed to fetch performer events');
+  }
+};
@@ -4,7 +4,7 @@ import {
   setDoc,
   getDoc,
   getDocs,
-  deleteDoc,
+  updateDoc,
   query,
   where,
   orderBy,
@@ -12,7 +12,7 @@ import {
   startAfter,
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
-import { uploadImage, deleteImage } from './storageService';
+import { uploadImage } from './storageService';
 
 /**
  * Upload a photo with metadata
@@ -91,6 +91,9 @@ export const getAllPhotos = async (options = {}) => {
 
     const photos = [];
     querySnapshot.forEach((doc) => {
+      // Skip photos in the trash
+      if (doc.data().deletedAt) return;
+
       photos.push({
         id: doc.id,
         ...doc.data(),
@@ -102,7 +105,7 @@ export const getAllPhotos = async (options = {}) => {
     return {
       photos,
       lastDoc: newLastDoc,
-      hasMore: photos.length === maxResults,
+      hasMore: querySnapshot.docs.length === maxResults,
     };
   } catch (error) {
     console.error('Error getting all photos:', error);
@@ -141,6 +144,9 @@ export const getUserPhotos = async (userId, options = {}) => {
 
     let photos = [];
     querySnapshot.forEach((doc) => {
+      // Skip photos in the trash
+      if (doc.data().deletedAt) return;
+
       photos.push({
         id: doc.id,
         ...doc.data(),
@@ -194,6 +200,9 @@ export const getEventPhotos = async (eventId, options = {}) => {
 
     const photos = [];
     querySnapshot.forEach((doc) => {
+      // Skip photos in the trash
+      if (doc.data().deletedAt) return;
+
       photos.push({
         id: doc.id,
         ...doc.data(),
@@ -241,6 +250,9 @@ export const getPhotosByHashtag = async (hashtag, options = {}) => {
 
     const photos = [];
     querySnapshot.forEach((doc) => {
+      // Skip photos in the trash
+      if (doc.data().deletedAt) return;
+
       photos.push({
         id: doc.id,
         ...doc.data(),
@@ -252,7 +264,7 @@ export const getPhotosByHashtag = async (hashtag, options = {}) => {
     return {
       photos,
       lastDoc: newLastDoc,
-      hasMore: photos.length === maxResults,
+      hasMore: querySnapshot.docs.length === maxResults,
     };
   } catch (error) {
     console.error('Error getting photos by hashtag:', error);
@@ -262,28 +274,31 @@ export const getPhotosByHashtag = async (hashtag, options = {}) => {
 
 /**
  * Delete a photo
+ * The photo is moved to the trash; its image stays in Firebase Storage until
+ * the trash is purged (see trashService.js).
+ *
  * @param {string} photoId - Photo ID
+ * @param {string} deletedBy - ID of the user deleting the photo
  * @returns {Promise<void>}
  * @throws {Error} If deletion fails
  */
-export const deletePhoto = async (photoId) => {
+export const deletePhoto = async (photoId, deletedBy) => {
   try {
-    // Get photo document to retrieve storage path
-    const photoDoc = await getDoc(doc(db, 'photos', photoId));
-
-    if (!photoDoc.exists()) {
-      throw new Error('Photo not found');
+    if (!deletedBy) {
+      throw new Error('deletedBy is required');
     }
 
-    const photoData = photoDoc.data();
+    const photoRef = doc(db, 'photos', photoId);
+    const photoDoc = await getDoc(photoRef);
 
-    // Delete image from Firebase Storage
-    if (photoData.storagePath) {
-      await deleteImage(photoData.storagePath);
+    if (!photoDoc.exists()) {
+      throw new Error('Photo not found');
     }
 
-    // Delete photo document from Firestore
-    await deleteDoc(doc(db, 'photos', photoId));
+    await updateDoc(photoRef, {
+      deletedAt: new Date().toISOString(),
+      deletedBy,
+    });
   } catch (error) {
     console.error('Error deleting photo:', error);
     throw new Error(error.message || 'Failed to delete photo');
@@ -293,14 +308,17 @@ export const deletePhoto = async (photoId) => {
 /**
  * Get a single photo by ID
  * @param {string} photoId - Photo ID
+ * @param {Object} [options] - Additional options
+ * @param {boolean} [options.includeDeleted=false] - Return the photo even if it is in the trash
  * @returns {Promise<Object>} Photo object
  * @throws {Error} If photo not found or fetch fails
  */
-export const getPhotoById = async (photoId) => {
+export const getPhotoById = async (photoId, options = {}) => {
   try {
+    const { includeDeleted = false } = options;
     const photoDoc = await getDoc(doc(db, 'photos', photoId));
 
-    if (!photoDoc.exists()) {
+    if (!photoDoc.exists() || (!includeDeleted && photoDoc.data().deletedAt)) {
       throw new Error('Photo not found');
     }
 
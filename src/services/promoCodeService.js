@@ -0,0 +1,377 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  runTransaction,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+
+/**
+ * Kinds of discount a promo code can give
+ */
+export const DISCOUNT_TYPES = {
+  PERCENT: 'percent',
+  FIXED: 'fixed',
+};
+
+/**
+ * Normalize a promo code for storage and lookup
+ * Codes are case-insensitive and may only contain letters, numbers, dashes and underscores.
+ *
+ * @param {string} code - Code as typed
+ * @returns {string} Uppercase code, or empty string if it contains invalid characters
+ *
+ * @test
+ * describe('normalizePromoCode', () => {
+ *   it('trims and uppercases codes', () => {
+ *     expect(normalizePromoCode(' vip20 ')).toBe('VIP20');
+ *   });
+ *
+ *   it('rejects invalid characters', () => {
+ *     expect(normalizePromoCode('VIP 20')).toBe('');
+ *     expect(normalizePromoCode('a/b')).toBe('');
+ *     expect(normalizePromoCode(null)).toBe('');
+ *   });
+ * });
+ */
+export const normalizePromoCode = (code) => {
+  if (typeof code !== 'string') return '';
+
+  const normalized = code.trim().toUpperCase();
+  return /^[A-Z0-9_-]{1,32}$/.test(normalized) ? normalized : '';
+};
+
+/**
+ * Check whether a promo code can be used, optionally for a specific ticket tier
+ *
+ * @param {Object|null} promo - Promo code document data
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.tierId] - Tier the code is being used for
+ * @param {Date} [options.now=new Date()] - Current time (injectable for testing)
+ * @returns {Object} { valid: boolean, reason: string|null }
+ *
+ * @example
+ * const { valid, reason } = validatePromoCode(promo, { tierId: 'tier-2' });
+ * if (!valid) setError(reason);
+ *
+ * @test
+ * describe('validatePromoCode', () => {
+ *   const now = new Date('2025-06-01T12:00:00Z');
+ *   const promo = { code: 'VIP20', active: true, discountType: 'percent', discountValue: 20, maxUses: 10, redemptionCount: 0, expiresAt: '2025-07-01T00:00:00Z', tierIds: [] };
+ *
+ *   it('accepts a usable code', () => {
+ *     expect(validatePromoCode(promo, { now })).toEqual({ valid: true, reason: null });
+ *   });
+ *
+ *   it('rejects missing, inactive, expired and used-up codes', () => {
+ *     expect(validatePromoCode(null, { now }).valid).toBe(false);
+ *     expect(validatePromoCode({ ...promo, active: false }, { now }).reason).toBe('This code is no longer active');
+ *     expect(validatePromoCode({ ...promo, expiresAt: '2025-05-01T00:00:00Z' }, { now }).reason).toBe('This code has expired');
+ *     expect(validatePromoCode({ ...promo, redemptionCount: 10 }, { now }).reason).toBe('This code has been fully redeemed');
+ *   });
+ *
+ *   it('enforces tier restrictions', () => {
+ *     const tierPromo = { ...promo, tierIds: ['tier-1'] };
+ *     expect(validatePromoCode(tierPromo, { tierId: 'tier-1', now }).valid).toBe(true);
+ *     expect(validatePromoCode(tierPromo, { tierId: 'tier-2', now }).reason).toBe("This code doesn't apply to this ticket");
+ *   });
+ * });
+ */
+export const validatePromoCode = (promo, options = {}) => {
+  const { tierId, now = new Date() } = options;
+
+  if (!promo) {
+    return { valid: false, reason: 'Invalid promo code' };
+  }
+
+  if (promo.active === false) {
+    return { valid: false, reason: 'This code is no longer active' };
+  }
+
+  if (promo.expiresAt && new Date(promo.expiresAt) <= now) {
+    return { valid: false, reason: 'This code has expired' };
+  }
+
+  if (promo.maxUses && (promo.redemptionCount || 0) >= promo.maxUses) {
+    return { valid: false, reason: 'This code has been fully redeemed' };
+  }
+
+  if (tierId && promo.tierIds?.length > 0 && !promo.tierIds.includes(tierId)) {
+    return { valid: false, reason: "This code doesn't apply to this ticket" };
+  }
+
+  return { valid: true, reason: null };
+};
+
+/**
+ * Get a ticket tier's price after a promo code
+ * Prices never go below zero and are rounded to cents.
+ *
+ * @param {Object} promo - Promo code document data
+ * @param {Object} tier - Ticket tier ({ id, price })
+ * @returns {number} Discounted price (the original price if the code doesn't apply to the tier)
+ *
+ * @test
+ * describe('applyPromoCode', () => {
+ *   it('takes a percentage off', () => {
+ *     expect(applyPromoCode({ discountType: 'percent', discountValue: 25, tierIds: [] }, { id: 't', price: 30 })).toBe(22.5);
+ *   });
+ *
+ *   it('takes a fixed amount off without going below zero', () => {
+ *     expect(applyPromoCode({ discountType: 'fixed', discountValue: 10, tierIds: [] }, { id: 't', price: 30 })).toBe(20);
+ *     expect(applyPromoCode({ discountType: 'fixed', discountValue: 50, tierIds: [] }, { id: 't', price: 30 })).toBe(0);
+ *   });
+ *
+ *   it('leaves other tiers alone', () => {
+ *     expect(applyPromoCode({ discountType: 'fixed', discountValue: 10, tierIds: ['vip'] }, { id: 'ga', price: 30 })).toBe(30);
+ *   });
+ * });
+ */
+export const applyPromoCode = (promo, tier) => {
+  const price = tier.price || 0;
+
+  if (promo.tierIds?.length > 0 && !promo.tierIds.includes(tier.id)) {
+    return price;
+  }
+
+  const discount = promo.discountType === DISCOUNT_TYPES.PERCENT
+    ? price * (promo.discountValue / 100)
+    : promo.discountValue;
+
+  return Math.max(0, Math.round((price - discount) * 100) / 100);
+};
+
+/**
+ * Create a promo code for an event
+ * The code itself is the document ID under `events/{eventId}/promoCodes`, so
+ * each code is unique per event.
+ *
+ * @param {string} eventId - Event ID
+ * @param {Object} promoData - Promo code settings
+ * @param {string} promoData.code - Code guests will type
+ * @param {'percent'|'fixed'} promoData.discountType - Kind of discount
+ * @param {number} promoData.discountValue - Percent (1-100) or amount off
+ * @param {number|null} [promoData.maxUses] - Maximum redemptions (null = unlimited)
+ * @param {string|null} [promoData.expiresAt] - ISO timestamp the code stops working
+ * @param {Array<string>} [promoData.tierIds] - Tiers the code applies to (empty = all)
+ * @returns {Promise<Object>} Created promo code
+ * @throws {Error} If the code is invalid or already exists
+ *
+ * @example
+ * await createPromoCode(eventId, {
+ *   code: 'DJKAY20',
+ *   discountType: 'percent',
+ *   discountValue: 20,
+ *   maxUses: 50,
+ *   expiresAt: '2025-07-01T00:00:00.000Z',
+ *   tierIds: ['tier-2'],
+ * });
+ */
+export const createPromoCode = async (eventId, promoData) => {
+  try {
+    const code = normalizePromoCode(promoData.code);
+    if (!code) {
+      throw new Error('Promo codes may only use letters, numbers, dashes and underscores (max 32)');
+    }
+
+    if (!Object.values(DISCOUNT_TYPES).includes(promoData.discountType)) {
+      throw new Error('Choose a percent or fixed discount');
+    }
+
+    const discountValue = Number(promoData.discountValue);
+    if (!(discountValue > 0) || (promoData.discountType === DISCOUNT_TYPES.PERCENT && discountValue > 100)) {
+      throw new Error('Enter a discount between 1 and 100 percent, or an amount above 0');
+    }
+
+    const maxUses = promoData.maxUses ? Number(promoData.maxUses) : null;
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      throw new Error('Usage cap must be a positive whole number');
+    }
+
+    const promoRef = doc(db, 'events', eventId, 'promoCodes', code);
+    const existing = await getDoc(promoRef);
+    if (existing.exists()) {
+      throw new Error(`The code ${code} already exists for this event`);
+    }
+
+    const promo = {
+      code,
+      discountType: promoData.discountType,
+      discountValue,
+      maxUses,
+      expiresAt: promoData.expiresAt || null,
+      tierIds: promoData.tierIds || [],
+      active: true,
+      redemptionCount: 0,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await setDoc(promoRef, promo);
+
+    return promo;
+  } catch (error) {
+    console.error('Error creating promo code:', error);
+    throw new Error(error.message || 'Failed to create promo code');
+  }
+};
+
+/**
+ * Get all promo codes for an event, with their redemption counts
+ * Only the event's promoter can list codes (see firestoreSchema.js rules).
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array<Object>>} Promo codes, newest first
+ * @throws {Error} If fetching fails
+ */
+export const getPromoCodes = async (eventId) => {
+  try {
+    const querySnapshot = await getDocs(collection(db, 'events', eventId, 'promoCodes'));
+
+    return querySnapshot.docs
+      .map((doc) => doc.data())
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  } catch (error) {
+    console.error('Error getting promo codes:', error);
+    throw new Error(error.message || 'Failed to get promo codes');
+  }
+};
+
+/**
+ * Turn a promo code on or off
+ * @param {string} eventId - Event ID
+ * @param {string} code - Promo code
+ * @param {boolean} active - Whether guests can use the code
+ * @returns {Promise<void>}
+ * @throws {Error} If update fails
+ */
+export const setPromoCodeActive = async (eventId, code, active) => {
+  try {
+    await updateDoc(doc(db, 'events', eventId, 'promoCodes', normalizePromoCode(code)), {
+      active,
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error updating promo code:', error);
+    throw new Error(error.message || 'Failed to update promo code');
+  }
+};
+
+/**
+ * Delete a promo code
+ * @param {string} eventId - Event ID
+ * @param {string} code - Promo code
+ * @returns {Promise<void>}
+ * @throws {Error} If deletion fails
+ */
+export const deletePromoCode = async (eventId, code) => {
+  try {
+    await deleteDoc(doc(db, 'events', eventId, 'promoCodes', normalizePromoCode(code)));
+  } catch (error) {
+    console.error('Error deleting promo code:', error);
+    throw new Error(error.message || 'Failed to delete promo code');
+  }
+};
+
+/**
+ * Look up and validate a code a guest typed
+ *
+ * @param {string} eventId - Event ID
+ * @param {string} code - Code as typed
+ * @returns {Promise<Object>} Valid promo code
+ * @throws {Error} With a guest-facing reason if the code can't be used
+ *
+ * @example
+ * try {
+ *   const promo = await lookupPromoCode(eventId, 'djkay20');
+ *   const discounted = applyPromoCode(promo, tier);
+ * } catch (error) {
+ *   setPromoError(error.message); // e.g. "This code has expired"
+ * }
+ */
+export const lookupPromoCode = async (eventId, code) => {
+  try {
+    const normalized = normalizePromoCode(code);
+    if (!normalized) {
+      throw new Error('Invalid promo code');
+    }
+
+    const promoDoc = await getDoc(doc(db, 'events', eventId, 'promoCodes', normalized));
+    const promo = promoDoc.exists() ? promoDoc.data() : null;
+
+    const { valid, reason } = validatePromoCode(promo);
+    if (!valid) {
+      throw new Error(reason);
+    }
+
+    return promo;
+  } catch (error) {
+    console.error('Error looking up promo code:', error);
+    throw new Error(error.message || 'Failed to look up promo code');
+  }
+};
+
+/**
+ * Redeem a promo code for a ticket tier
+ *
+ * Runs in a transaction so the usage cap can't be exceeded by guests
+ * redeeming at the same time. Each user can redeem a code once; redeeming
+ * again returns the earlier redemption without counting it twice.
+ *
+ * @param {string} eventId - Event ID
+ * @param {string} code - Promo code
+ * @param {string} tierId - Ticket tier being bought
+ * @param {string} userId - ID of the user redeeming the code
+ * @returns {Promise<Object>} Redemption ({ userId, tierId, redeemedAt })
+ * @throws {Error} With a guest-facing reason if the code can't be used
+ */
+export const redeemPromoCode = async (eventId, code, tierId, userId) => {
+  try {
+    if (!userId) {
+      throw new Error('You must be signed in to use a promo code');
+    }
+
+    const normalized = normalizePromoCode(code);
+    if (!normalized) {
+      throw new Error('Invalid promo code');
+    }
+
+    const promoRef = doc(db, 'events', eventId, 'promoCodes', normalized);
+    const redemptionRef = doc(db, 'events', eventId, 'promoCodes', normalized, 'redemptions', userId);
+
+    return await runTransaction(db, async (transaction) => {
+      const promoDoc = await transaction.get(promoRef);
+      const redemptionDoc = await transaction.get(redemptionRef);
+
+      if (redemptionDoc.exists()) {
+        return redemptionDoc.data();
+      }
+
+      const promo = promoDoc.exists() ? promoDoc.data() : null;
+      const { valid, reason } = validatePromoCode(promo, { tierId });
+      if (!valid) {
+        throw new Error(reason);
+      }
+
+      const redemption = {
+        userId,
+        tierId,
+        redeemedAt: new Date().toISOString(),
+      };
+
+      transaction.set(redemptionRef, redemption);
+      transaction.update(promoRef, {
+        redemptionCount: (promo.redemptionCount || 0) + 1,
+      });
+
+      return redemption;
+    });
+  } catch (error) {
+    console.error('Error redeeming promo code:', error);
+    throw new Error(error.message || 'Failed to redeem promo code');
+  }
+};
@@ -0,0 +1,521 @@
+import {
+  collection,
+  collectionGroup,
+  doc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  runTransaction,
+  writeBatch,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { EVENT_STATUSES, getEventStatus } from '../utils/eventStatusHelpers';
+
+/**
+ * RSVP responses a user can give for an event
+ */
+export const RSVP_RESPONSES = {
+  GOING: 'going',
+  MAYBE: 'maybe',
+  NOT_GOING: 'notGoing',
+};
+
+/**
+ * Whether a "going" RSVP has a spot or is waiting for one
+ */
+export const RSVP_STATUSES = {
+  CONFIRMED: 'confirmed',
+  WAITLISTED: 'waitlisted',
+};
+
+/**
+ * Who can see a user's name on attendee lists (users.rsvpVisibility)
+ */
+export const RSVP_VISIBILITY = {
+  PUBLIC: 'public',
+  PROMOTER_ONLY: 'promoterOnly',
+  PRIVATE: 'private',
+};
+
+/**
+ * Get the event counter an RSVP contributes to
+ * @param {Object|null} rsvp - RSVP document data
+ * @returns {string|null} Counter field name on the event, or null
+ */
+const getCounterField = (rsvp) => {
+  if (!rsvp) return null;
+
+  if (rsvp.response === RSVP_RESPONSES.GOING) {
+    return rsvp.status === RSVP_STATUSES.WAITLISTED ? 'waitlistCount' : 'goingCount';
+  }
+
+  if (rsvp.response === RSVP_RESPONSES.MAYBE) {
+    return 'maybeCount';
+  }
+
+  return null;
+};
+
+/**
+ * Check if an RSVP goes on the event's public attendee list
+ * (`events/{eventId}/publicAttendees`, readable by anyone; the RSVPs
+ * themselves are only readable by the attendee and the event's hosts)
+ * @param {Object|null} rsvp - RSVP document data
+ * @param {Object} attendee - User document of the attendee
+ * @returns {boolean} True for a confirmed "going" or "maybe" from a user who shows their RSVPs to everyone
+ */
+const isPubliclyListed = (rsvp, attendee) => Boolean(rsvp)
+  && rsvp.status === RSVP_STATUSES.CONFIRMED
+  && (rsvp.response === RSVP_RESPONSES.GOING || rsvp.response === RSVP_RESPONSES.MAYBE)
+  && (attendee.rsvpVisibility || RSVP_VISIBILITY.PUBLIC) === RSVP_VISIBILITY.PUBLIC;
+
+/**
+ * Get the public attendee list entry for an RSVP
+ * @param {Object} rsvp - RSVP document data
+ * @returns {Object} { userId, response, createdAt }
+ */
+const toPublicAttendee = (rsvp) => ({
+  userId: rsvp.userId,
+  response: rsvp.response,
+  createdAt: rsvp.createdAt,
+});
+
+/**
+ * Check if an event has a free spot
+ * @param {Object} event - Event document data
+ * @returns {boolean} True if the event has no capacity limit or isn't full
+ */
+const hasOpenSpot = (event) => !event.capacity || (event.goingCount || 0) < event.capacity;
+
+/**
+ * RSVP to an event, or change an existing RSVP
+ *
+ * "Going" RSVPs take a spot while the event has capacity left; once it is full
+ * they join the waitlist. When someone gives up a spot, the earliest waitlisted
+ * user is promoted automatically.
+ *
+ * Counters (`goingCount`, `maybeCount`, `waitlistCount`) are kept on the event
+ * document so cards can show headcount without reading the RSVPs, and the
+ * public attendee list is updated to match the user's `rsvpVisibility`.
+ *
+ * @param {string} eventId - Event ID
+ * @param {string} userId - ID of the user responding
+ * @param {'going'|'maybe'|'notGoing'} response - One of RSVP_RESPONSES
+ * @returns {Promise<Object>} The saved RSVP ({ userId, response, status, ... })
+ * @throws {Error} If the event can't be RSVP'd to or saving fails
+ *
+ * @example
+ * const rsvp = await setRsvp(eventId, user.uid, 'going');
+ * if (rsvp.status === 'waitlisted') {
+ *   console.log("You're on the waitlist");
+ * }
+ */
+export const setRsvp = async (eventId, userId, response) => {
+  try {
+    if (!userId) {
+      throw new Error('You must be signed in to RSVP');
+    }
+
+    if (!Object.values(RSVP_RESPONSES).includes(response)) {
+      throw new Error(`Invalid RSVP response: ${response}`);
+    }
+
+    const eventRef = doc(db, 'events', eventId);
+    const rsvpRef = doc(db, 'events', eventId, 'rsvps', userId);
+    const publicAttendeeRef = doc(db, 'events', eventId, 'publicAttendees', userId);
+    const userRef = doc(db, 'users', userId);
+
+    const { rsvp, freedSpot } = await runTransaction(db, async (transaction) => {
+      const eventDoc = await transaction.get(eventRef);
+      const rsvpDoc = await transaction.get(rsvpRef);
+      const userDoc = await transaction.get(userRef);
+
+      if (!eventDoc.exists() || eventDoc.data().deletedAt) {
+        throw new Error('Event not found');
+      }
+
+      const event = eventDoc.data();
+      const eventStatus = getEventStatus(event);
+      if (eventStatus === EVENT_STATUSES.CANCELLED || eventStatus === EVENT_STATUSES.DRAFT) {
+        throw new Error('This event is not taking RSVPs');
+      }
+
+      const previous = rsvpDoc.exists() ? rsvpDoc.data() : null;
+      const now = new Date().toISOString();
+
+      // Going → going keeps the existing spot or waitlist position
+      if (previous?.response === response && response === RSVP_RESPONSES.GOING) {
+        return { rsvp: previous, freedSpot: false };
+      }
+
+      const counterUpdates = {};
+      const previousCounter = getCounterField(previous);
+      if (previousCounter) {
+        counterUpdates[previousCounter] = Math.max(0, (event[previousCounter] || 0) - 1);
+      }
+
+      let status = RSVP_STATUSES.CONFIRMED;
+      if (response === RSVP_RESPONSES.GOING) {
+        const goingCount = counterUpdates.goingCount ?? (event.goingCount || 0);
+        status = hasOpenSpot({ ...event, goingCount }) ? RSVP_STATUSES.CONFIRMED : RSVP_STATUSES.WAITLISTED;
+      }
+
+      const nextRsvp = {
+        userId,
+        response,
+        status,
+        waitlistedAt: status === RSVP_STATUSES.WAITLISTED ? now : null,
+        createdAt: previous?.createdAt || now,
+        updatedAt: now,
+      };
+
+      const nextCounter = getCounterField(nextRsvp);
+      if (nextCounter) {
+        counterUpdates[nextCounter] = (counterUpdates[nextCounter] ?? (event[nextCounter] || 0)) + 1;
+      }
+
+      transaction.set(rsvpRef, nextRsvp);
+      if (Object.keys(counterUpdates).length > 0) {
+        transaction.update(eventRef, counterUpdates);
+      }
+
+      if (isPubliclyListed(nextRsvp, userDoc.data() || {})) {
+        transaction.set(publicAttendeeRef, toPublicAttendee(nextRsvp));
+      } else {
+        transaction.delete(publicAttendeeRef);
+      }
+
+      return {
+        rsvp: nextRsvp,
+        freedSpot: previousCounter === 'goingCount' && nextCounter !== 'goingCount',
+      };
+    });
+
+    if (freedSpot) {
+      await promoteFromWaitlist(eventId);
+    }
+
+    return rsvp;
+  } catch (error) {
+    console.error('Error saving RSVP:', error);
+    throw new Error(error.message || 'Failed to save RSVP');
+  }
+};
+
+/**
+ * Get a user's RSVP for an event
+ * @param {string} eventId - Event ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} RSVP object, or null if the user hasn't responded
+ * @throws {Error} If fetching fails
+ */
+export const getUserRsvp = async (eventId, userId) => {
+  try {
+    if (!userId) {
+      return null;
+    }
+
+    const rsvpDoc = await getDoc(doc(db, 'events', eventId, 'rsvps', userId));
+
+    if (!rsvpDoc.exists()) {
+      return null;
+    }
+
+    return {
+      id: rsvpDoc.id,
+      ...rsvpDoc.data(),
+    };
+  } catch (error) {
+    console.error('Error getting RSVP:', error);
+    throw new Error(error.message || 'Failed to get RSVP');
+  }
+};
+
+/**
+ * Promote waitlisted users while the event has open spots
+ * Called automatically when a spot frees up or capacity is raised. Each
+ * promotion runs in its own transaction so concurrent RSVPs can't overfill
+ * the event. The event records who was promoted (`promotedUserId`), which the
+ * security rules check the counter change against.
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array<string>>} IDs of the users who got a spot
+ * @throws {Error} If promotion fails
+ */
+export const promoteFromWaitlist = async (eventId) => {
+  try {
+    // Single equality filter, sorted in memory to avoid needing a composite index
+    const q = query(
+      collection(db, 'events', eventId, 'rsvps'),
+      where('status', '==', RSVP_STATUSES.WAITLISTED)
+    );
+    const querySnapshot = await getDocs(q);
+
+    const waitlist = querySnapshot.docs
+      .map((doc) => doc.data())
+      .sort((a, b) => new Date(a.waitlistedAt) - new Date(b.waitlistedAt));
+
+    const eventRef = doc(db, 'events', eventId);
+    const promoted = [];
+
+    for (const entry of waitlist) {
+      const rsvpRef = doc(db, 'events', eventId, 'rsvps', entry.userId);
+      const userRef = doc(db, 'users', entry.userId);
+
+      const didPromote = await runTransaction(db, async (transaction) => {
+        const eventDoc = await transaction.get(eventRef);
+        const rsvpDoc = await transaction.get(rsvpRef);
+        const userDoc = await transaction.get(userRef);
+
+        if (!eventDoc.exists() || !hasOpenSpot(eventDoc.data())) {
+          return false;
+        }
+
+        // Skip anyone who changed their RSVP since the waitlist was read
+        if (!rsvpDoc.exists() || rsvpDoc.data().status !== RSVP_STATUSES.WAITLISTED) {
+          return null;
+        }
+
+        const event = eventDoc.data();
+        const promotedRsvp = {
+          ...rsvpDoc.data(),
+          status: RSVP_STATUSES.CONFIRMED,
+          waitlistedAt: null,
+          promotedAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        };
+        transaction.update(rsvpRef, {
+          status: promotedRsvp.status,
+          waitlistedAt: promotedRsvp.waitlistedAt,
+          promotedAt: promotedRsvp.promotedAt,
+          updatedAt: promotedRsvp.updatedAt,
+        });
+        transaction.update(eventRef, {
+          goingCount: (event.goingCount || 0) + 1,
+          waitlistCount: Math.max(0, (event.waitlistCount || 0) - 1),
+          promotedUserId: entry.userId,
+        });
+        if (isPubliclyListed(promotedRsvp, userDoc.data() || {})) {
+          transaction.set(doc(db, 'events', eventId, 'publicAttendees', entry.userId), toPublicAttendee(promotedRsvp));
+        }
+
+        return true;
+      });
+
+      // Event is full again
+      if (didPromote === false) {
+        break;
+      }
+
+      if (didPromote) {
+        promoted.push(entry.userId);
+      }
+    }
+
+    return promoted;
+  } catch (error) {
+    console.error('Error promoting from waitlist:', error);
+    throw new Error(error.message || 'Failed to promote from waitlist');
+  }
+};
+
+/**
+ * Set or remove an event's capacity limit
+ * Raising or removing the limit promotes people from the waitlist.
+ *
+ * @param {string} eventId - Event ID
+ * @param {number|null} capacity - Maximum "going" RSVPs, or null for no limit
+ * @returns {Promise<Array<string>>} IDs of users promoted from the waitlist
+ * @throws {Error} If update fails
+ */
+export const setEventCapacity = async (eventId, capacity) => {
+  try {
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) {
+      throw new Error('Capacity must be a positive whole number');
+    }
+
+    await updateDoc(doc(db, 'events', eventId), {
+      capacity,
+      updatedAt: new Date().toISOString(),
+    });
+
+    return await promoteFromWaitlist(eventId);
+  } catch (error) {
+    console.error('Error setting event capacity:', error);
+    throw new Error(error.message || 'Failed to set event capacity');
+  }
+};
+
+/**
+ * Check if a viewer may see an attendee's name
+ * @param {Object} attendee - User document of the attendee
+ * @param {string|null} viewerId - ID of the user viewing the list
+ * @param {Array<string>} hostIds - IDs of the event's hosts
+ * @returns {boolean} True if the attendee should be listed by name
+ */
+const canViewAttendee = (attendee, viewerId, hostIds) => {
+  if (viewerId && attendee.uid === viewerId) return true;
+
+  const visibility = attendee.rsvpVisibility || RSVP_VISIBILITY.PUBLIC;
+  if (visibility === RSVP_VISIBILITY.PUBLIC) return true;
+  if (visibility === RSVP_VISIBILITY.PROMOTER_ONLY) return Boolean(viewerId) && hostIds.includes(viewerId);
+
+  return false;
+};
+
+/**
+ * Bring a user's entries on public attendee lists in line with their
+ * `rsvpVisibility`, after they change it
+ * @param {string} userId - User ID
+ * @param {string} rsvpVisibility - The user's new setting (one of RSVP_VISIBILITY)
+ * @returns {Promise<void>}
+ * @throws {Error} If updating fails
+ */
+export const syncPublicAttendance = async (userId, rsvpVisibility) => {
+  try {
+    // Collection group query on rsvps.userId (see FIRESTORE_INDEX_SETUP.md)
+    const querySnapshot = await getDocs(
+      query(collectionGroup(db, 'rsvps'), where('userId', '==', userId))
+    );
+
+    // Firestore batches are limited to 500 writes
+    const batchSize = 500;
+    for (let i = 0; i < querySnapshot.docs.length; i += batchSize) {
+      const batch = writeBatch(db);
+      querySnapshot.docs.slice(i, i + batchSize).forEach((rsvpDoc) => {
+        const rsvp = rsvpDoc.data();
+        const publicAttendeeRef = doc(db, 'events', rsvpDoc.ref.parent.parent.id, 'publicAttendees', userId);
+        if (isPubliclyListed(rsvp, { rsvpVisibility })) {
+          batch.set(publicAttendeeRef, toPublicAttendee(rsvp));
+        } else {
+          batch.delete(publicAttendeeRef);
+        }
+      });
+      await batch.commit();
+    }
+  } catch (error) {
+    console.error('Error updating public attendance:', error);
+    throw new Error(error.message || 'Failed to update public attendance');
+  }
+};
+
+/**
+ * Get the attendee list for an event, filtered by each attendee's privacy setting
+ *
+ * Hosts read every RSVP: attendees who only show their RSVPs to the promoter
+ * are listed, private ones are only counted in `hiddenCount`, and the waitlist
+ * is included. Everyone else reads the public attendee list (attendees whose
+ * `rsvpVisibility` is public) plus their own RSVP, and the rest of the
+ * event's going and maybe counts is `hiddenCount`.
+ *
+ * NOTE: RSVP documents only hold user IDs; names/photos are read from the
+ * user profiles at display time.
+ *
+ * @param {string} eventId - Event ID
+ * @param {Object} options - Viewer options
+ * @param {string|null} [options.viewerId=null] - ID of the signed-in user viewing the list
+ * @param {Array<string>} [options.hostIds=[]] - IDs of the event's hosts (see getEventHostIds)
+ * @returns {Promise<Object>} Object with going, maybe and waitlist user arrays and hiddenCount
+ * @throws {Error} If fetching fails
+ *
+ * @example
+ * const { going, maybe, hiddenCount } = await getAttendees(eventId, {
+ *   viewerId: user?.uid,
+ *   hostIds: getEventHostIds(event),
+ * });
+ */
+export const getAttendees = async (eventId, options = {}) => {
+  try {
+    const { viewerId = null, hostIds = [] } = options;
+    const isHost = Boolean(viewerId) && hostIds.includes(viewerId);
+
+    let rsvps;
+    let attendingCount = null;
+    if (isHost) {
+      const querySnapshot = await getDocs(collection(db, 'events', eventId, 'rsvps'));
+      rsvps = querySnapshot.docs.map((doc) => doc.data());
+    } else {
+      const [publicSnapshot, ownRsvp, eventDoc] = await Promise.all([
+        getDocs(collection(db, 'events', eventId, 'publicAttendees')),
+        getUserRsvp(eventId, viewerId),
+        getDoc(doc(db, 'events', eventId)),
+      ]);
+      rsvps = publicSnapshot.docs
+        .map((doc) => doc.data())
+        .filter((entry) => entry.userId !== viewerId);
+      if (ownRsvp) {
+        rsvps.push(ownRsvp);
+      }
+
+      const event = eventDoc.data() || {};
+      attendingCount = (event.goingCount || 0) + (event.maybeCount || 0);
+    }
+    rsvps = rsvps.filter((rsvp) => rsvp.response !== RSVP_RESPONSES.NOT_GOING);
+
+    // Fetch attendee profiles
+    // NOTE: Firestore 'in' queries are limited to 10 items
+    const userIds = rsvps.map((rsvp) => rsvp.userId);
+    const usersById = {};
+    const batchSize = 10;
+
+    for (let i = 0; i < userIds.length; i += batchSize) {
+      const batch = userIds.slice(i, i + batchSize);
+      const usersSnapshot = await getDocs(
+        query(collection(db, 'users'), where('__name__', 'in', batch))
+      );
+      usersSnapshot.forEach((userDoc) => {
+        usersById[userDoc.id] = { uid: userDoc.id, ...userDoc.data() };
+      });
+    }
+
+    const going = [];
+    const maybe = [];
+    const waitlist = [];
+    let hiddenCount = 0;
+
+    rsvps
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .forEach((rsvp) => {
+        const attendee = usersById[rsvp.userId];
+        if (!attendee) return;
+
+        const isWaitlisted = rsvp.status === RSVP_STATUSES.WAITLISTED;
+        if (isWaitlisted && !isHost && rsvp.userId !== viewerId) return;
+
+        if (!canViewAttendee(attendee, viewerId, hostIds)) {
+          hiddenCount++;
+          return;
+        }
+
+        const entry = {
+          uid: attendee.uid,
+          fullName: attendee.fullName || '',
+          username: attendee.username || '',
+          profilePhoto: attendee.profilePhoto || '',
+          waitlistedAt: rsvp.waitlistedAt || null,
+        };
+
+        if (isWaitlisted) {
+          waitlist.push(entry);
+        } else if (rsvp.response === RSVP_RESPONSES.GOING) {
+          going.push(entry);
+        } else {
+          maybe.push(entry);
+        }
+      });
+
+    waitlist.sort((a, b) => new Date(a.waitlistedAt) - new Date(b.waitlistedAt));
+
+    // Everyone going or maybe who isn't on the public list
+    if (attendingCount !== null) {
+      hiddenCount = Math.max(0, attendingCount - going.length - maybe.length);
+    }
+
+    return { going, maybe, waitlist, hiddenCount };
+  } catch (error) {
+    console.error('Error getting attendees:', error);
+    throw new Error(error.message || 'Failed to get attendees');
+  }
+};
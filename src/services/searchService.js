@@ -0,0 +1,134 @@
+import { collection, getDocs } from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { firestoreSearchProvider } from './firestoreSearchProvider';
+
+/**
+ * @typedef {Object} SearchResults
+ * @property {Array<Object>} events - Listed events on this page, best match first (or soonest, for sortBy 'date')
+ * @property {number} total - Number of matching events before drafts and cancelled events are skipped
+ * @property {string|null} nextCursor - Pass as `cursor` to get the next page (null on the last page)
+ * @property {string|null} suggestion - "Did you mean" query when words only matched with typos (null otherwise)
+ */
+
+/**
+ * @typedef {Object} SearchProvider
+ * @property {string} name - Provider name, for logging
+ * @property {function(Array<Object>): Promise<void>} indexEvents - Add or update events (events in the trash are removed)
+ * @property {function(Array<string>): Promise<void>} removeEvents - Take events out of the index by ID
+ * @property {function(string, Object): Promise<SearchResults>} search - Run a query (options as in searchIndexedEvents)
+ */
+
+// Events are indexed in Firestore itself unless another engine is plugged in
+let searchProvider = firestoreSearchProvider;
+
+/**
+ * Swap the search engine, e.g. for an external one such as Algolia or Typesense
+ * Call once at startup, then run rebuildSearchIndex() to fill the new index
+ * (`npm run rebuild-search-index` only fills the built-in Firestore index).
+ * @param {SearchProvider} provider - Search provider
+ *
+ * @example
+ * setSearchProvider({
+ *   name: 'typesense',
+ *   indexEvents: (events) => upsertTypesenseDocuments(events),
+ *   removeEvents: (eventIds) => deleteTypesenseDocuments(eventIds),
+ *   search: (queryText, options) => searchTypesense(queryText, options), // Resolves to SearchResults
+ * });
+ */
+export const setSearchProvider = (provider) => {
+  searchProvider = provider;
+};
+
+/**
+ * Get the search engine in use
+ * @returns {SearchProvider} Search provider
+ */
+export const getSearchProvider = () => searchProvider;
+
+/**
+ * Add or update events in the search index
+ * Events in the trash are taken out instead.
+ * @param {Array<Object>} events - Full event documents
+ * @returns {Promise<void>}
+ * @throws {Error} If indexing fails
+ */
+export const indexEventsForSearch = async (events) => {
+  try {
+    if (events.length === 0) return;
+    await searchProvider.indexEvents(events);
+  } catch (error) {
+    console.error(`Error indexing events (${searchProvider.name}):`, error);
+    throw new Error(error.message || 'Failed to index events for search');
+  }
+};
+
+/**
+ * Take events out of the search index
+ * @param {Array<string>} eventIds - Event IDs
+ * @returns {Promise<void>}
+ * @throws {Error} If removal fails
+ */
+export const removeEventsFromSearch = async (eventIds) => {
+  try {
+    if (eventIds.length === 0) return;
+    await searchProvider.removeEvents(eventIds);
+  } catch (error) {
+    console.error(`Error removing events from search (${searchProvider.name}):`, error);
+    throw new Error(error.message || 'Failed to remove events from search');
+  }
+};
+
+/**
+ * Search every event by title, venue, description, lineup and hashtags
+ * All words must match; the last word also matches as a prefix while it is
+ * being typed. Accents and plurals are ignored, and words with no matches
+ * as typed match the closest indexed words instead. Drafts, cancelled events
+ * and events in the trash are left out.
+ *
+ * @param {string} queryText - What the user typed
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit=20] - Results per page
+ * @param {string} [options.cursor] - `nextCursor` from the previous page
+ * @param {string} [options.category] - Filter by category
+ * @param {string} [options.city] - Filter by city slug (see cities.js)
+ * @param {string} [options.startDate] - Only events starting at or after this ISO timestamp
+ * @param {string} [options.endDate] - Only events starting at or before this ISO timestamp
+ * @param {'relevance'|'date'} [options.sortBy='relevance'] - Best match first, or soonest first
+ * @param {Object} [options.matchWeights=SEARCH_MATCH_WEIGHTS] - How much exact, prefix and fuzzy matches count for (see searchIndexHelpers.js)
+ * @returns {Promise<SearchResults>} Page of results
+ * @throws {Error} If the search fails
+ *
+ * @example
+ * const firstPage = await searchIndexedEvents('soca brunch', { city: 'new-york' });
+ * const secondPage = await searchIndexedEvents('soca brunch', { city: 'new-york', cursor: firstPage.nextCursor });
+ */
+export const searchIndexedEvents = async (queryText, options = {}) => {
+  try {
+    return await searchProvider.search(queryText, options);
+  } catch (error) {
+    console.error(`Error searching events (${searchProvider.name}):`, error);
+    throw new Error(error.message || 'Failed to search events');
+  }
+};
+
+/**
+ * Index every event from scratch with the current provider
+ * Needed after switching providers. The built-in Firestore index is rebuilt
+ * with `npm run rebuild-search-index` instead (see scripts/README.md), since
+ * only a search admin may write index entries for other promoters' events.
+ * @returns {Promise<number>} Number of events processed
+ * @throws {Error} If indexing fails
+ */
+export const rebuildSearchIndex = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, 'events'));
+    const events = snapshot.docs.map(eventDoc => ({ id: eventDoc.id, ...eventDoc.data() }));
+
+    await searchProvider.indexEvents(events);
+
+    return events.length;
+  } catch (error) {
+    console.error(`Error rebuilding search index (${searchProvider.name}):`, error);
+    throw new Error(error.message || 'Failed to rebuild search index');
+  }
+};
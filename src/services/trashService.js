@@ -0,0 +1,302 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { deleteImage } from './storageService';
+import { cascadeDeleteEvents, restoreEventReferences } from './cascadeDeleteService';
+import { indexEventsForSearch } from './searchService';
+import { canEditEvent, canDeleteEvent } from '../utils/hostHelpers';
+
+/**
+ * Number of days deleted events and photos stay in the trash before they are purged
+ */
+export const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Get the date a trashed item will be permanently removed
+ * @param {string} deletedAt - ISO timestamp of when the item was deleted
+ * @param {number} [retentionDays=TRASH_RETENTION_DAYS] - Days items stay in the trash
+ * @returns {Date} Purge date
+ */
+export const getPurgeDate = (deletedAt, retentionDays = TRASH_RETENTION_DAYS) => {
+  const purgeDate = new Date(deletedAt);
+  purgeDate.setDate(purgeDate.getDate() + retentionDays);
+  return purgeDate;
+};
+
+/**
+ * Get the trashed documents of a collection deleted by a user
+ * @param {string} collectionName - 'events' or 'photos'
+ * @param {string} userId - ID of the user who deleted the items
+ * @returns {Promise<Array>} Items sorted by most recently deleted
+ */
+const getTrashedItems = async (collectionName, userId) => {
+  // Single equality filter, sorted in memory to avoid needing a composite index
+  const q = query(collection(db, collectionName), where('deletedBy', '==', userId));
+  const querySnapshot = await getDocs(q);
+
+  const items = [];
+  querySnapshot.forEach((doc) => {
+    // deletedBy is cleared on restore, but skip anything without deletedAt to be safe
+    if (!doc.data().deletedAt) return;
+
+    items.push({
+      id: doc.id,
+      ...doc.data(),
+    });
+  });
+
+  items.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+  return items;
+};
+
+/**
+ * Get the events in the trash that a user owns or edits
+ * Every owner and editor sees an event in their trash, whoever deleted it.
+ * Events from before co-hosting have no hostIds, so those are found by who
+ * deleted them.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Deleted events, most recently deleted first
+ * @throws {Error} If fetching fails
+ */
+export const getDeletedEvents = async (userId) => {
+  try {
+    if (!userId) {
+      throw new Error('No userId provided');
+    }
+
+    // hostIds (array-contains) + deletedAt index (see FIRESTORE_INDEX_SETUP.md)
+    const [hostedSnapshot, deletedByUser] = await Promise.all([
+      getDocs(query(
+        collection(db, 'events'),
+        where('hostIds', 'array-contains', userId),
+        where('deletedAt', '!=', null)
+      )),
+      getTrashedItems('events', userId),
+    ]);
+
+    const eventsById = new Map(deletedByUser.map((event) => [event.id, event]));
+    hostedSnapshot.forEach((doc) => eventsById.set(doc.id, { id: doc.id, ...doc.data() }));
+
+    return [...eventsById.values()]
+      .filter((event) => canEditEvent(event, userId))
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  } catch (error) {
+    console.error('Error getting deleted events:', error);
+    throw new Error(error.message || 'Failed to get deleted events');
+  }
+};
+
+/**
+ * Get photos a user has moved to the trash
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Deleted photos, most recently deleted first
+ * @throws {Error} If fetching fails
+ */
+export const getDeletedPhotos = async (userId) => {
+  try {
+    if (!userId) {
+      throw new Error('No userId provided');
+    }
+
+    return await getTrashedItems('photos', userId);
+  } catch (error) {
+    console.error('Error getting deleted photos:', error);
+    throw new Error(error.message || 'Failed to get deleted photos');
+  }
+};
+
+/**
+ * Restore an event from the trash
+ * Also puts back the favorites, photo links and hashtag counts that were
+ * cleaned up when it was deleted.
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<void>}
+ * @throws {Error} If restoring fails
+ */
+export const restoreEvent = async (eventId) => {
+  try {
+    const eventRef = doc(db, 'events', eventId);
+    const eventDoc = await getDoc(eventRef);
+
+    if (!eventDoc.exists()) {
+      throw new Error('Event not found');
+    }
+
+    await restoreEventReferences({ id: eventDoc.id, ...eventDoc.data() });
+
+    const restoredFields = {
+      deletedAt: null,
+      deletedBy: null,
+      cascade: null,
+      updatedAt: new Date().toISOString(),
+    };
+    await updateDoc(eventRef, restoredFields);
+
+    try {
+      await indexEventsForSearch([{ id: eventDoc.id, ...eventDoc.data(), ...restoredFields }]);
+    } catch (error) {
+      // The event is restored either way; npm run rebuild-search-index catches search up
+      console.error('Error adding restored event to search:', error);
+    }
+  } catch (error) {
+    console.error('Error restoring event:', error);
+    throw new Error(error.message || 'Failed to restore event');
+  }
+};
+
+/**
+ * Restore a photo from the trash
+ * @param {string} photoId - Photo ID
+ * @returns {Promise<void>}
+ * @throws {Error} If restoring fails
+ */
+export const restorePhoto = async (photoId) => {
+  try {
+    const photoRef = doc(db, 'photos', photoId);
+    const photoDoc = await getDoc(photoRef);
+
+    if (!photoDoc.exists()) {
+      throw new Error('Photo not found');
+    }
+
+    await updateDoc(photoRef, {
+      deletedAt: null,
+      deletedBy: null,
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error restoring photo:', error);
+    throw new Error(error.message || 'Failed to restore photo');
+  }
+};
+
+/**
+ * Permanently delete an event
+ * Removes the event document and its uploaded flyer from Firebase Storage via
+ * cascadeDeleteEvents(). The flyer is kept while other events (e.g. the rest
+ * of a recurring series) still use it.
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<void>}
+ * @throws {Error} If purging fails
+ */
+export const purgeEvent = async (eventId) => {
+  try {
+    const eventDoc = await getDoc(doc(db, 'events', eventId));
+
+    if (!eventDoc.exists()) {
+      return;
+    }
+
+    const result = await cascadeDeleteEvents([eventId], null, { permanent: true });
+
+    if (!result.success) {
+      throw new Error(result.errors[0].error);
+    }
+  } catch (error) {
+    console.error('Error purging event:', error);
+    throw new Error(error.message || 'Failed to purge event');
+  }
+};
+
+/**
+ * Permanently delete a photo
+ * Removes the photo document and its image from Firebase Storage. (Photo
+ * hashtags don't count towards hashtag usage counts, so there are none to
+ * take back.)
+ *
+ * @param {string} photoId - Photo ID
+ * @returns {Promise<void>}
+ * @throws {Error} If purging fails
+ */
+export const purgePhoto = async (photoId) => {
+  try {
+    const photoRef = doc(db, 'photos', photoId);
+    const photoDoc = await getDoc(photoRef);
+
+    if (!photoDoc.exists()) {
+      return;
+    }
+
+    const photoData = photoDoc.data();
+
+    if (photoData.storagePath) {
+      await deleteImage(photoData.storagePath);
+    }
+
+    await deleteDoc(photoRef);
+  } catch (error) {
+    console.error('Error purging photo:', error);
+    throw new Error(error.message || 'Failed to purge photo');
+  }
+};
+
+/**
+ * Permanently delete a user's trashed events and photos older than the retention period
+ * Runs at the start of each session (see AuthContext); it can also be called
+ * from a scheduled job. Only events the user owns are purged, since only
+ * owners may delete events; editors leave them for the owners.
+ *
+ * @param {string} userId - ID of the user whose trash to purge
+ * @param {number} [retentionDays=TRASH_RETENTION_DAYS] - Days items stay in the trash
+ * @returns {Promise<Object>} Result object with purge counts and any errors
+ * @throws {Error} If the trash can't be read
+ *
+ * @example
+ * const result = await purgeExpiredTrash(user.uid);
+ * console.log(`Purged ${result.eventsPurged} events and ${result.photosPurged} photos`);
+ */
+export const purgeExpiredTrash = async (userId, retentionDays = TRASH_RETENTION_DAYS) => {
+  try {
+    const now = new Date();
+    const isExpired = (item) => getPurgeDate(item.deletedAt, retentionDays) <= now;
+
+    const [deletedEvents, deletedPhotos] = await Promise.all([
+      getDeletedEvents(userId),
+      getDeletedPhotos(userId),
+    ]);
+
+    let eventsPurged = 0;
+    let photosPurged = 0;
+    const errors = [];
+
+    const purgeableEvents = deletedEvents.filter((event) => isExpired(event) && canDeleteEvent(event, userId));
+    for (const event of purgeableEvents) {
+      try {
+        await purgeEvent(event.id);
+        eventsPurged++;
+      } catch (error) {
+        errors.push({ type: 'event', id: event.id, error: error.message });
+      }
+    }
+
+    for (const photo of deletedPhotos.filter(isExpired)) {
+      try {
+        await purgePhoto(photo.id);
+        photosPurged++;
+      } catch (error) {
+        errors.push({ type: 'photo', id: photo.id, error: error.message });
+      }
+    }
+
+    return {
+      eventsPurged,
+      photosPurged,
+      errors,
+      success: errors.length === 0,
+    };
+  } catch (error) {
+    console.error('Error purging expired trash:', error);
+    throw new Error(error.message || 'Failed to purge expired trash');
+  }
+};
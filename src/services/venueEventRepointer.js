@@ -0,0 +1,94 @@
+/**
+ * Venue Event Repointer
+ *
+ * Moves events over to the venue their venue was merged into (see
+ * mergeVenues in venueService.js). Merges are done by venue admins, who can't
+ * edit other promoters' events from the app, so this runs from
+ * scripts/repointVenueEvents.js instead; it takes the Firestore instance to
+ * write to, and every import here uses a full `.js` specifier so it runs
+ * under Node.
+ *
+ * Security rules only let venue admins change an event's venue fields, and
+ * only from a merged venue to the venue it was merged into (see
+ * firestoreSchema.js).
+ */
+
+import { collection, doc, getDocs, query, where, writeBatch } from 'firebase/firestore';
+import { venueToEventFields } from '../utils/venueHelpers.js';
+import { buildGeoFields } from '../utils/geoHelpers.js';
+import { getCitySlugForCoordinates } from '../utils/cityHelpers.js';
+
+// Firestore batch limit is 500 operations
+const BATCH_SIZE = 500;
+
+/**
+ * Get the fields an event takes from the venue it is held at
+ * Events keep their own coordinates unless the venue has some.
+ * @param {Object} venue - Venue document, with its ID
+ * @returns {Object} Event fields (venueId, venue, address, and coordinates, geohash and citySlug when known)
+ */
+export const getVenueEventUpdates = (venue) => ({
+  ...venueToEventFields(venue),
+  ...(venue.coordinates
+    ? { ...buildGeoFields(venue.coordinates), citySlug: getCitySlugForCoordinates(venue.coordinates) }
+    : {}),
+});
+
+/**
+ * Re-point every event still held at a merged venue
+ * Events linked to a merged venue, and older events whose typed venue name
+ * matches the kept venue or any venue merged into it, take the kept venue's
+ * ID, name and address. Safe to run repeatedly: re-pointed events no longer
+ * match.
+ *
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Array<Object>>} The updated events, with their new fields (for search indexing)
+ * @throws {Error} If reading or writing fails
+ */
+export const repointMergedVenueEvents = async (db) => {
+  const venuesSnapshot = await getDocs(collection(db, 'venues'));
+  const venuesById = new Map(venuesSnapshot.docs.map((venueDoc) => [venueDoc.id, { id: venueDoc.id, ...venueDoc.data() }]));
+
+  // Kept venue ID => venues merged into it (mergeVenues never leaves chains)
+  const duplicatesByVenueId = new Map();
+  venuesById.forEach((venue) => {
+    if (venue.mergedInto && venuesById.has(venue.mergedInto)) {
+      duplicatesByVenueId.set(venue.mergedInto, [...(duplicatesByVenueId.get(venue.mergedInto) || []), venue]);
+    }
+  });
+
+  const now = new Date().toISOString();
+  const updates = []; // { event, fields }
+
+  for (const [venueId, duplicates] of duplicatesByVenueId) {
+    const venue = venuesById.get(venueId);
+    const duplicateIds = duplicates.map((duplicate) => duplicate.id);
+    const names = [...new Set([venue, ...duplicates].map((entry) => entry.name))];
+
+    const snapshots = await Promise.all([
+      ...duplicateIds.map((id) => getDocs(query(collection(db, 'events'), where('venueId', '==', id)))),
+      ...names.map((name) => getDocs(query(collection(db, 'events'), where('venue', '==', name)))),
+    ]);
+
+    const eventsById = new Map();
+    snapshots.forEach((snapshot) => {
+      snapshot.docs.forEach((eventDoc) => {
+        const event = { id: eventDoc.id, ...eventDoc.data() };
+        if (!event.venueId || duplicateIds.includes(event.venueId)) {
+          eventsById.set(event.id, event);
+        }
+      });
+    });
+
+    const fields = { ...getVenueEventUpdates(venue), updatedAt: now };
+    eventsById.forEach((event) => updates.push({ event, fields }));
+  }
+
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    updates.slice(i, i + BATCH_SIZE).forEach(({ event, fields }) => batch.update(doc(db, 'events', event.id), fields));
+    await batch.commit();
+  }
+
+  return updates.map(({ event, fields }) => ({ ...event, ...fields }));
+};
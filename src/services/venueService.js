@@ -0,0 +1,332 @@
+import {
+  collection,
+  doc,
+  setDoc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  writeBatch,
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { normalizeVenueName } from '../utils/venueHelpers';
+import { normalizeCoordinates } from '../utils/geoHelpers';
+import { isEventListed } from '../utils/eventStatusHelpers';
+import { hasEventPassed } from '../utils/dateHelpers';
+
+/**
+ * Clean up venue fields before they are saved
+ * @param {Object} venueData - Venue fields (name, address, capacity, photos, socials, coordinates)
+ * @returns {Object} Normalized venue fields
+ */
+const normalizeVenue = (venueData) => {
+  const capacity = Number(venueData.capacity);
+
+  return {
+    name: venueData.name?.trim() || '',
+    searchName: normalizeVenueName(venueData.name),
+    address: {
+      street: venueData.address?.street?.trim() || '',
+      city: venueData.address?.city?.trim() || '',
+      state: venueData.address?.state?.trim() || '',
+      zip: venueData.address?.zip?.trim() || '',
+    },
+    capacity: Number.isInteger(capacity) && capacity > 0 ? capacity : null,
+    photos: (venueData.photos || []).filter(Boolean),
+    socials: {
+      instagram: venueData.socials?.instagram?.trim().replace(/^@/, '') || '',
+      twitter: venueData.socials?.twitter?.trim().replace(/^@/, '') || '',
+      website: venueData.socials?.website?.trim() || '',
+    },
+    coordinates: normalizeCoordinates(venueData.coordinates),
+  };
+};
+
+/**
+ * Create a venue
+ * @param {Object} venueData - Venue fields (see normalizeVenue)
+ * @param {string} createdBy - User ID of the promoter adding the venue
+ * @returns {Promise<Object>} Created venue with ID
+ * @throws {Error} If the name is missing or saving fails
+ *
+ * @example
+ * const venue = await createVenue({ name: 'Lot 45', address: { city: 'Brooklyn', state: 'NY' } }, user.uid);
+ */
+export const createVenue = async (venueData, createdBy) => {
+  try {
+    const fields = normalizeVenue(venueData);
+    if (!fields.name) {
+      throw new Error('Venue name is required');
+    }
+
+    const venueRef = doc(collection(db, 'venues'));
+    const venue = {
+      id: venueRef.id,
+      ...fields,
+      searchKeys: [fields.searchName], // Every name the venue has been known by (see mergeVenues)
+      mergedInto: null,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await setDoc(venueRef, venue);
+
+    return venue;
+  } catch (error) {
+    console.error('Error creating venue:', error);
+    throw new Error(error.message || 'Failed to create venue');
+  }
+};
+
+/**
+ * Get a venue by ID
+ * Merged venues are still returned; check `mergedInto` to follow them.
+ * @param {string} venueId - Venue ID
+ * @returns {Promise<Object>} Venue
+ * @throws {Error} If the venue doesn't exist
+ */
+export const getVenueById = async (venueId) => {
+  try {
+    const venueDoc = await getDoc(doc(db, 'venues', venueId));
+
+    if (!venueDoc.exists()) {
+      throw new Error('Venue not found');
+    }
+
+    return { id: venueDoc.id, ...venueDoc.data() };
+  } catch (error) {
+    console.error('Error fetching venue:', error);
+    throw new Error(error.message || 'Failed to fetch venue');
+  }
+};
+
+/**
+ * Check if a user may merge venues
+ * Venue admins are added by hand in the Firebase console (`venueAdmins/{uid}`).
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True for venue admins
+ * @throws {Error} If the check fails
+ */
+export const isVenueAdmin = async (userId) => {
+  try {
+    if (!userId) {
+      return false;
+    }
+
+    const adminDoc = await getDoc(doc(db, 'venueAdmins', userId));
+    return adminDoc.exists();
+  } catch (error) {
+    console.error('Error checking venue admin:', error);
+    throw new Error(error.message || 'Failed to check venue admin');
+  }
+};
+
+/**
+ * Update a venue's details
+ * Only the promoter who added the venue (or a venue admin) may do this.
+ * Events keep the name and address they were saved with; use mergeVenues to
+ * re-point events.
+ * @param {string} venueId - Venue ID
+ * @param {Object} venueData - Full set of venue fields (see normalizeVenue)
+ * @returns {Promise<Object>} Updated venue fields
+ * @throws {Error} If updating fails
+ */
+export const updateVenue = async (venueId, venueData) => {
+  try {
+    const venue = await getVenueById(venueId);
+    const fields = normalizeVenue(venueData);
+    if (!fields.name) {
+      throw new Error('Venue name is required');
+    }
+
+    const updates = {
+      ...fields,
+      searchKeys: [...new Set([...(venue.searchKeys || []), fields.searchName])],
+      updatedAt: new Date().toISOString(),
+    };
+
+    await updateDoc(doc(db, 'venues', venueId), updates);
+
+    return updates;
+  } catch (error) {
+    console.error('Error updating venue:', error);
+    throw new Error(error.message || 'Failed to update venue');
+  }
+};
+
+/**
+ * Find venues whose name starts with a search term, for autocomplete
+ * Matching ignores case, punctuation and a leading "The" (see normalizeVenueName).
+ * @param {string} searchTerm - What the user has typed
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit=8] - Maximum number of venues
+ * @returns {Promise<Array<Object>>} Matching venues, merged venues excluded
+ * @throws {Error} If the search fails
+ *
+ * @example
+ * const venues = await searchVenues('lot 4');
+ */
+export const searchVenues = async (searchTerm, options = {}) => {
+  try {
+    const { limit: limitCount = 8 } = options;
+    const searchName = normalizeVenueName(searchTerm);
+    if (!searchName) return [];
+
+    const querySnapshot = await getDocs(query(
+      collection(db, 'venues'),
+      where('searchName', '>=', searchName),
+      where('searchName', '<=', `${searchName}\uf8ff`), // \uf8ff sorts after every other character
+      orderBy('searchName'),
+      limit(limitCount * 2) // Room for merged venues, which are dropped below
+    ));
+
+    return querySnapshot.docs
+      .map((venueDoc) => ({ id: venueDoc.id, ...venueDoc.data() }))
+      .filter(venue => !venue.mergedInto)
+      .slice(0, limitCount);
+  } catch (error) {
+    console.error('Error searching venues:', error);
+    throw new Error(error.message || 'Failed to search venues');
+  }
+};
+
+/**
+ * Find the venue matching a typed name and address, or create it
+ * Names match loosely (see normalizeVenueName), including names of venues
+ * that were merged away. When the city is known it must match too, so two
+ * "The Loft"s in different cities stay apart.
+ * @param {Object} venueData - Venue fields ({ name, address })
+ * @param {string} createdBy - User ID to record if a venue is created
+ * @returns {Promise<Object>} Existing or created venue
+ * @throws {Error} If the lookup or creation fails
+ */
+export const findOrCreateVenue = async (venueData, createdBy) => {
+  try {
+    const searchName = normalizeVenueName(venueData.name);
+    const city = venueData.address?.city?.trim().toLowerCase() || '';
+
+    const querySnapshot = await getDocs(query(
+      collection(db, 'venues'),
+      where('searchKeys', 'array-contains', searchName)
+    ));
+
+    const existingVenue = querySnapshot.docs
+      .map((venueDoc) => ({ id: venueDoc.id, ...venueDoc.data() }))
+      .find(venue => (
+        !venue.mergedInto && (!city || !venue.address?.city || venue.address.city.toLowerCase() === city)
+      ));
+
+    return existingVenue || await createVenue(venueData, createdBy);
+  } catch (error) {
+    console.error('Error finding venue:', error);
+    throw new Error(error.message || 'Failed to find venue');
+  }
+};
+
+/**
+ * Get the events at a venue, split into upcoming and past
+ * Includes events still linked to venues merged into it (until
+ * scripts/repointVenueEvents.js moves them over). Drafts, cancelled events
+ * and events in the trash are left out.
+ * @param {string} venueId - Venue ID
+ * @returns {Promise<Object>} { upcoming, past } - upcoming soonest first, past most recent first
+ * @throws {Error} If fetching fails
+ */
+export const getVenueEvents = async (venueId) => {
+  try {
+    const mergedSnapshot = await getDocs(query(collection(db, 'venues'), where('mergedInto', '==', venueId)));
+    const venueIds = [venueId, ...mergedSnapshot.docs.map((venueDoc) => venueDoc.id)];
+
+    // Sorted in-memory to avoid a venueId + date composite index
+    const snapshots = await Promise.all(
+      venueIds.map((id) => getDocs(query(collection(db, 'events'), where('venueId', '==', id))))
+    );
+
+    const events = snapshots
+      .flatMap((snapshot) => snapshot.docs.map((eventDoc) => ({ id: eventDoc.id, ...eventDoc.data() })))
+      .filter(event => !event.deletedAt && isEventListed(event))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return {
+      upcoming: events.filter(event => !hasEventPassed(event)),
+      past: events.filter(event => hasEventPassed(event)).reverse(),
+    };
+  } catch (error) {
+    console.error('Error fetching venue events:', error);
+    throw new Error(error.message || 'Failed to fetch venue events');
+  }
+};
+
+/**
+ * Fold duplicate venues into one
+ * Only venue admins may merge (see isVenueAdmin). Duplicates stay behind with
+ * `mergedInto` set so old links still resolve, and their names are remembered
+ * so they match the kept venue in findOrCreateVenue. Photos are combined and
+ * missing details filled in. Venues merged into a duplicate earlier are
+ * pointed at the kept venue too, so there are no chains to follow.
+ *
+ * Events belong to their hosts, so they aren't changed here: the venue page
+ * lists them straight away (see getVenueEvents), and
+ * scripts/repointVenueEvents.js gives them the kept venue's name and address.
+ *
+ * @param {string} targetVenueId - Venue to keep
+ * @param {Array<string>} duplicateVenueIds - Venues to fold into it
+ * @returns {Promise<Object>} { venue, mergedVenueIds }
+ * @throws {Error} If a venue doesn't exist or the merge fails
+ *
+ * @example
+ * await mergeVenues(venue.id, ['dupA', 'dupB']);
+ */
+export const mergeVenues = async (targetVenueId, duplicateVenueIds) => {
+  try {
+    const duplicateIds = [...new Set(duplicateVenueIds)].filter(id => id !== targetVenueId);
+    if (duplicateIds.length === 0) {
+      throw new Error('Choose at least one other venue to merge');
+    }
+
+    const [target, ...duplicates] = await Promise.all(
+      [targetVenueId, ...duplicateIds].map(venueId => getVenueById(venueId))
+    );
+
+    const earlierSnapshots = await Promise.all(
+      duplicateIds.map(venueId => getDocs(query(collection(db, 'venues'), where('mergedInto', '==', venueId))))
+    );
+    const earlierIds = earlierSnapshots
+      .flatMap(snapshot => snapshot.docs.map(venueDoc => venueDoc.id))
+      .filter(venueId => venueId !== targetVenueId);
+    const mergedVenueIds = [...duplicateIds, ...earlierIds];
+
+    // The document ID isn't a field to save
+    const { id: _targetId, ...targetFields } = target;
+    const mergedVenue = {
+      ...targetFields,
+      photos: [...new Set([target, ...duplicates].flatMap(venue => venue.photos || []))],
+      capacity: target.capacity || duplicates.find(venue => venue.capacity)?.capacity || null,
+      coordinates: target.coordinates || duplicates.find(venue => venue.coordinates)?.coordinates || null,
+      socials: {
+        instagram: target.socials?.instagram || duplicates.find(venue => venue.socials?.instagram)?.socials.instagram || '',
+        twitter: target.socials?.twitter || duplicates.find(venue => venue.socials?.twitter)?.socials.twitter || '',
+        website: target.socials?.website || duplicates.find(venue => venue.socials?.website)?.socials.website || '',
+      },
+      searchKeys: [...new Set([target, ...duplicates].flatMap(venue => venue.searchKeys || [venue.searchName]))],
+      updatedAt: new Date().toISOString(),
+    };
+
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'venues', targetVenueId), mergedVenue);
+    mergedVenueIds.forEach((venueId) => batch.update(doc(db, 'venues', venueId), {
+      mergedInto: targetVenueId,
+      updatedAt: mergedVenue.updatedAt,
+    }));
+    await batch.commit();
+
+    return { venue: { id: targetVenueId, ...mergedVenue }, mergedVenueIds };
+  } catch (error) {
+    console.error('Error merging venues:', error);
+    throw new Error(error.message || 'Failed to merge venues');
+  }
+};
@@ -0,0 +1,194 @@
+/**
+ * Calendar Grid Utilities
+ *
+ * This module provides helper functions for the month and week calendar
+ * views: building the grid of days, keeping the visible month in the URL
+ * ("yyyy-MM") and placing events on the days they cover.
+ *
+ * Grid days are plain local dates. Events are placed on the days they cover
+ * in their own timezone (see getEventSpan), the same way the time filters
+ * work, so a 9 PM show in New York is on the same day for every viewer.
+ */
+
+import { getEventSpan, getEventTimezone, toZonedWallClock, toDayKey } from './timezoneHelpers';
+
+// Longest event placed on the calendar day by day, as a guard against bad data
+const MAX_EVENT_DAYS = 62;
+
+/**
+ * Format a date as a "yyyy-MM" month key for the URL
+ * @param {Date} date - Any day in the month
+ * @returns {string} Month key
+ *
+ * @test
+ * describe('toMonthKey', () => {
+ *   it('pads the month', () => {
+ *     expect(toMonthKey(new Date(2025, 5, 14))).toBe('2025-06');
+ *   });
+ * });
+ */
+export const toMonthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Read a "yyyy-MM" month key
+ * @param {string|null} monthKey - Month key from the URL
+ * @returns {Date|null} First day of the month, or null if the key is missing or invalid
+ *
+ * @test
+ * describe('parseMonthKey', () => {
+ *   it('returns the first of the month', () => {
+ *     expect(parseMonthKey('2025-06')).toEqual(new Date(2025, 5, 1));
+ *   });
+ *
+ *   it('rejects invalid keys', () => {
+ *     expect(parseMonthKey('2025-13')).toBeNull();
+ *     expect(parseMonthKey('june')).toBeNull();
+ *     expect(parseMonthKey(null)).toBeNull();
+ *   });
+ * });
+ */
+export const parseMonthKey = (monthKey) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(monthKey || '');
+  if (!match) return null;
+
+  const month = Number(match[2]);
+  return month >= 1 && month <= 12 ? new Date(Number(match[1]), month - 1, 1) : null;
+};
+
+/**
+ * Read a "yyyy-MM-dd" day key
+ * @param {string|null} dayKey - Day key (see toDayKey)
+ * @returns {Date|null} Local date, or null if the key is missing or invalid
+ *
+ * @test
+ * describe('parseDayKey', () => {
+ *   it('reads valid days', () => {
+ *     expect(parseDayKey('2025-06-14')).toEqual(new Date(2025, 5, 14));
+ *   });
+ *
+ *   it('rejects days that do not exist', () => {
+ *     expect(parseDayKey('2025-02-30')).toBeNull();
+ *   });
+ * });
+ */
+export const parseDayKey = (dayKey) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dayKey || '');
+  if (!match) return null;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return toDayKey(date) === dayKey ? date : null;
+};
+
+/**
+ * Get the seven days of the week (Sunday to Saturday) containing a date
+ * @param {Date} date - Any day in the week
+ * @returns {Array<Date>} Days at local midnight
+ *
+ * @test
+ * describe('getWeekDays', () => {
+ *   it('starts on Sunday', () => {
+ *     const days = getWeekDays(new Date(2025, 5, 11)); // Wednesday
+ *     expect(days.map(toDayKey)).toEqual([
+ *       '2025-06-08', '2025-06-09', '2025-06-10', '2025-06-11', '2025-06-12', '2025-06-13', '2025-06-14',
+ *     ]);
+ *   });
+ * });
+ */
+export const getWeekDays = (date) => {
+  const sunday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+
+  return Array.from({ length: 7 }, (_, index) => (
+    new Date(sunday.getFullYear(), sunday.getMonth(), sunday.getDate() + index)
+  ));
+};
+
+/**
+ * Get the weeks shown for a month: every week that has a day in the month
+ * @param {Date} month - Any day in the month
+ * @returns {Array<Array<Date>>} Weeks of seven days, including the neighbouring months' days
+ *
+ * @test
+ * describe('getMonthGrid', () => {
+ *   it('covers the whole month in full weeks', () => {
+ *     const weeks = getMonthGrid(new Date(2025, 5, 1)); // June 2025 starts on a Sunday
+ *     expect(weeks).toHaveLength(5);
+ *     expect(toDayKey(weeks[0][0])).toBe('2025-06-01');
+ *     expect(toDayKey(weeks[4][6])).toBe('2025-07-05');
+ *   });
+ * });
+ */
+export const getMonthGrid = (month) => {
+  const firstDay = new Date(month.getFullYear(), month.getMonth(), 1);
+  const lastDay = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+  const weeks = [];
+
+  for (let weekStart = getWeekDays(firstDay)[0]; weekStart <= lastDay;) {
+    const week = getWeekDays(weekStart);
+    weeks.push(week);
+    weekStart = new Date(week[6].getFullYear(), week[6].getMonth(), week[6].getDate() + 1);
+  }
+
+  return weeks;
+};
+
+/**
+ * Get the days an event is on, in its own timezone
+ * Multi-day events are on every day they cover; overnight parties only on
+ * the night they start.
+ * @param {Object} event - Event object
+ * @returns {Array<string>} "yyyy-MM-dd" day keys ([] if the date is invalid)
+ *
+ * @test
+ * describe('getEventDayKeys', () => {
+ *   it('lists every day of a festival', () => {
+ *     expect(getEventDayKeys({
+ *       startAt: '2025-06-06T18:00:00.000Z', endAt: '2025-06-08T23:00:00.000Z', startTime: '18:00', endTime: '23:00', timezone: 'UTC',
+ *     })).toEqual(['2025-06-06', '2025-06-07', '2025-06-08']);
+ *   });
+ *
+ *   it('keeps overnight parties on one day', () => {
+ *     expect(getEventDayKeys({
+ *       startAt: '2025-06-07T22:00:00.000Z', endAt: '2025-06-08T03:00:00.000Z', startTime: '22:00', endTime: '03:00', timezone: 'UTC',
+ *     })).toEqual(['2025-06-07']);
+ *   });
+ * });
+ */
+export const getEventDayKeys = (event) => {
+  const span = getEventSpan(event);
+  if (!span) return [];
+
+  const timeZone = getEventTimezone(event);
+  const day = toZonedWallClock(span.start, timeZone);
+  const lastDayKey = toDayKey(toZonedWallClock(span.end, timeZone));
+  const dayKeys = [toDayKey(day)];
+
+  while (dayKeys[dayKeys.length - 1] < lastDayKey && dayKeys.length < MAX_EVENT_DAYS) {
+    day.setDate(day.getDate() + 1);
+    dayKeys.push(toDayKey(day));
+  }
+
+  return dayKeys;
+};
+
+/**
+ * Group events by the days they are on
+ * @param {Array<Object>} events - Events
+ * @returns {Object} Day key => events on that day, earliest start first
+ *
+ * @example
+ * const eventsByDay = groupEventsByDay(events);
+ * const todaysEvents = eventsByDay[toDayKey(new Date())] || [];
+ */
+export const groupEventsByDay = (events) => {
+  const eventsByDay = {};
+
+  [...events]
+    .sort((a, b) => new Date(a.startAt || a.date) - new Date(b.startAt || b.date))
+    .forEach((event) => {
+      getEventDayKeys(event).forEach((dayKey) => {
+        eventsByDay[dayKey] = [...(eventsByDay[dayKey] || []), event];
+      });
+    });
+
+  return eventsByDay;
+};
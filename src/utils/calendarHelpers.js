@@ -0,0 +1,374 @@
+/**
+ * Calendar Export Utilities
+ *
+ * This module builds iCalendar (RFC 5545) data for events: single `.ics`
+ * files for "Add to calendar" and subscribable feeds (a promoter's events,
+ * a hashtag, or a user's favorites) served by `api/calendar.js`.
+ *
+ * Events with a timezone are written as UTC instants, so every calendar app
+ * shows them at the right time wherever the subscriber is. Older events
+ * without one are written as "floating" local times, matching how they store
+ * a calendar day plus wall-clock `startTime`/`endTime`.
+ *
+ * Nothing here touches Firebase or the DOM, so the same code runs in the
+ * browser and in the serverless feed function.
+ */
+
+import { EVENT_STATUSES, getEventStatus, isScheduled } from './eventStatusHelpers.js';
+import { getEventInstants, getEventTimezone, toZonedWallClock } from './timezoneHelpers.js';
+
+/**
+ * Product identifier written into every calendar
+ */
+export const ICAL_PRODUCT_ID = '-//Afro Fete//Events//EN';
+
+/**
+ * Feeds that can be subscribed to
+ */
+export const CALENDAR_FEED_TYPES = {
+  PROMOTER: 'promoter',
+  HASHTAG: 'hashtag',
+  FAVORITES: 'favorites',
+};
+
+/**
+ * How long past events stay in subscribed feeds
+ */
+export const FEED_HISTORY_DAYS = 30;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a Date as an iCalendar DATE value (local day)
+ * @param {Date} date - Date
+ * @returns {string} e.g. "20250607"
+ */
+const formatICalDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+/**
+ * Format a Date as a floating iCalendar DATE-TIME value (local wall-clock time)
+ * @param {Date} date - Date
+ * @returns {string} e.g. "20250607T220000"
+ */
+const formatICalLocalDateTime = (date) => (
+  `${formatICalDate(date)}T${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+);
+
+/**
+ * Format a Date as a UTC iCalendar DATE-TIME value
+ * @param {Date} date - Date
+ * @returns {string} e.g. "20250607T020000Z"
+ */
+const formatICalUtcDateTime = (date) => `${date.toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+
+/**
+ * Escape a value for an iCalendar TEXT property
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ *
+ * @test
+ * describe('escapeICalText', () => {
+ *   it('escapes backslashes, separators and newlines', () => {
+ *     expect(escapeICalText('Food; drinks, music\nand more \\o/')).toBe('Food\\; drinks\\, music\\nand more \\\\o/');
+ *   });
+ * });
+ */
+export const escapeICalText = (text = '') => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to at most 75 octets per line, as RFC 5545 requires
+ * Continuation lines start with a single space. Multi-byte characters are never split.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (joined with CRLF)
+ *
+ * @test
+ * describe('foldICalLine', () => {
+ *   it('leaves short lines alone', () => {
+ *     expect(foldICalLine('SUMMARY:Brunch')).toBe('SUMMARY:Brunch');
+ *   });
+ *
+ *   it('folds long lines at 75 octets', () => {
+ *     const folded = foldICalLine(`DESCRIPTION:${'a'.repeat(100)}`);
+ *     const [first, second] = folded.split('\r\n');
+ *     expect(first).toHaveLength(75);
+ *     expect(second.startsWith(' ')).toBe(true);
+ *   });
+ * });
+ */
+export const foldICalLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Get the public URL of an event's detail page
+ * @param {Object} event - Event object
+ * @param {string} baseUrl - Site origin (e.g. "https://afrofete.com")
+ * @returns {string} Event URL
+ */
+export const getEventUrl = (event, baseUrl) => `${baseUrl.replace(/\/$/, '')}/events/${event.id}`;
+
+/**
+ * Format an event's venue and address for the LOCATION property
+ * @param {Object} event - Event object
+ * @returns {string} Location text
+ */
+const formatLocation = (event) => {
+  const venue = event.venueName || event.venue || '';
+  const address = typeof event.address === 'string'
+    ? event.address
+    : [
+      event.address?.street,
+      event.address?.city,
+      [event.address?.state, event.address?.zip].filter(Boolean).join(' '),
+    ].filter(Boolean).join(', ');
+
+  return [venue, address].filter(Boolean).join(', ');
+};
+
+/**
+ * Build the VEVENT lines for one event
+ *
+ * The UID is stable per event and SEQUENCE follows `updatedAt`, so calendar
+ * apps replace their copy when an event changes instead of adding a new one.
+ *
+ * @param {Object} event - Event object
+ * @param {Object} options - Build options
+ * @param {string} options.baseUrl - Site origin for the link back to the event
+ * @param {Date} [options.now=new Date()] - Time the calendar is generated (DTSTAMP)
+ * @returns {Array<string>} Unfolded content lines, or an empty array if the event has no valid date
+ */
+export const buildICalEventLines = (event, options) => {
+  const { baseUrl, now = new Date() } = options;
+  const times = getEventInstants(event);
+  if (!times) return [];
+
+  const timeZone = getEventTimezone(event);
+  const formatDate = (date) => formatICalDate(toZonedWallClock(date, timeZone));
+  const formatDateTime = (date) => (timeZone ? formatICalUtcDateTime(date) : formatICalLocalDateTime(date));
+
+  const url = getEventUrl(event, baseUrl);
+  const status = getEventStatus(event);
+  const title = event.title || event.name || 'Event';
+  const description = [event.description, url].filter(Boolean).join('\n\n');
+  const updatedAt = event.updatedAt ? new Date(event.updatedAt) : null;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@afrofete`,
+    `DTSTAMP:${formatICalUtcDateTime(now)}`,
+    times.allDay ? `DTSTART;VALUE=DATE:${formatDate(times.start)}` : `DTSTART:${formatDateTime(times.start)}`,
+    times.allDay ? `DTEND;VALUE=DATE:${formatDate(times.end)}` : `DTEND:${formatDateTime(times.end)}`,
+    `SUMMARY:${escapeICalText(status === EVENT_STATUSES.CANCELLED ? `Cancelled: ${title}` : title)}`,
+    `DESCRIPTION:${escapeICalText(description)}`,
+    `URL:${url}`,
+  ];
+
+  const location = formatLocation(event);
+  if (location) {
+    lines.push(`LOCATION:${escapeICalText(location)}`);
+  }
+
+  if (updatedAt && !isNaN(updatedAt.getTime())) {
+    lines.push(`LAST-MODIFIED:${formatICalUtcDateTime(updatedAt)}`);
+    lines.push(`SEQUENCE:${Math.floor(updatedAt.getTime() / 1000)}`);
+  }
+
+  if (status === EVENT_STATUSES.CANCELLED) {
+    lines.push('STATUS:CANCELLED');
+  } else if (status === EVENT_STATUSES.POSTPONED && !event.postponedTo) {
+    lines.push('STATUS:TENTATIVE');
+  } else {
+    lines.push('STATUS:CONFIRMED');
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a complete iCalendar document
+ * @param {Array<Object>} events - Events to include
+ * @param {Object} options - Build options
+ * @param {string} options.baseUrl - Site origin for links back to events
+ * @param {string} [options.name] - Calendar name shown by subscribing apps
+ * @param {string} [options.refreshInterval='PT6H'] - How often subscribers should refetch (ISO 8601 duration)
+ * @param {Date} [options.now=new Date()] - Time the calendar is generated
+ * @returns {string} iCalendar text with CRLF line endings
+ *
+ * @example
+ * const ics = buildICalendar([event], { baseUrl: window.location.origin });
+ *
+ * @test
+ * describe('buildICalendar', () => {
+ *   const event = {
+ *     id: 'abc', title: 'Boat Ride, NYC', date: '2025-06-07T00:00:00.000Z',
+ *     startTime: '22:00', endTime: '02:00', venue: 'Pier 36',
+ *     address: { street: '299 South St', city: 'New York', state: 'NY', zip: '10002' },
+ *   };
+ *   const ics = buildICalendar([event], { baseUrl: 'https://afrofete.com', name: 'Test', now: new Date('2025-06-01T00:00:00Z') });
+ *
+ *   it('wraps events in a VCALENDAR with CRLF line endings', () => {
+ *     expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+ *     expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+ *   });
+ *
+ *   it('writes times past midnight on the next day', () => {
+ *     expect(ics).toContain('DTSTART:20250607T220000');
+ *     expect(ics).toContain('DTEND:20250608T020000');
+ *   });
+ *
+ *   it('writes events with a timezone in UTC', () => {
+ *     const zoned = buildICalendar([{
+ *       ...event, timezone: 'America/New_York', startAt: '2025-06-08T02:00:00.000Z', endAt: '2025-06-08T06:00:00.000Z',
+ *     }], { baseUrl: 'https://afrofete.com' });
+ *     expect(zoned).toContain('DTSTART:20250608T020000Z');
+ *     expect(zoned).toContain('DTEND:20250608T060000Z');
+ *   });
+ *
+ *   it('escapes text and links back to the event', () => {
+ *     expect(ics).toContain('SUMMARY:Boat Ride\\, NYC');
+ *     expect(ics).toContain('URL:https://afrofete.com/events/abc');
+ *     expect(ics).toContain('LOCATION:Pier 36\\, 299 South St\\, New York\\, NY 10002');
+ *   });
+ * });
+ */
+export const buildICalendar = (events, options) => {
+  const { baseUrl, name, refreshInterval = 'PT6H', now = new Date() } = options;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICAL_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+
+  if (name) {
+    lines.push(`NAME:${escapeICalText(name)}`);
+    lines.push(`X-WR-CALNAME:${escapeICalText(name)}`);
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`);
+    lines.push(`X-PUBLISHED-TTL:${refreshInterval}`);
+  }
+
+  events.forEach((event) => {
+    lines.push(...buildICalEventLines(event, { baseUrl, now }));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldICalLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Get the earliest time a subscribed feed still shows past events from
+ * Feed queries use it as a lower bound on `date`, so polls only read recent
+ * and upcoming events.
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Date} FEED_HISTORY_DAYS before now
+ */
+export const getFeedCutoff = (now = new Date()) => (
+  new Date(now.getTime() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000)
+);
+
+/**
+ * Pick the events that belong in a subscribed feed
+ * Drafts, events scheduled for later and trashed events are left out.
+ * Cancelled events stay so subscribers see the cancellation, and past
+ * events are kept for FEED_HISTORY_DAYS.
+ *
+ * @param {Array<Object>} events - Candidate events
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Array<Object>} Feed events sorted by date
+ *
+ * @test
+ * describe('selectFeedEvents', () => {
+ *   const now = new Date('2025-06-01T12:00:00Z');
+ *
+ *   it('keeps upcoming and cancelled events', () => {
+ *     const events = [
+ *       { id: 'a', date: '2025-06-10T00:00:00.000Z' },
+ *       { id: 'b', date: '2025-06-05T00:00:00.000Z', status: 'cancelled' },
+ *     ];
+ *     expect(selectFeedEvents(events, now).map(e => e.id)).toEqual(['b', 'a']);
+ *   });
+ *
+ *   it('drops drafts, trashed and long-past events', () => {
+ *     const events = [
+ *       { id: 'a', date: '2025-06-10T00:00:00.000Z', status: 'draft' },
+ *       { id: 'b', date: '2025-06-10T00:00:00.000Z', deletedAt: '2025-05-30T00:00:00.000Z' },
+ *       { id: 'c', date: '2025-01-01T00:00:00.000Z' },
+ *     ];
+ *     expect(selectFeedEvents(events, now)).toEqual([]);
+ *   });
+ * });
+ */
+export const selectFeedEvents = (events, now = new Date()) => {
+  const cutoff = getFeedCutoff(now);
+
+  return events
+    .filter((event) => !event.deletedAt)
+    .filter((event) => getEventStatus(event) !== EVENT_STATUSES.DRAFT && !isScheduled(event, now))
+    .filter((event) => {
+      const times = getEventInstants(event);
+      return times && times.end >= cutoff;
+    })
+    .sort((a, b) => getEventInstants(a).start - getEventInstants(b).start);
+};
+
+/**
+ * Get the subscription URL of a calendar feed
+ * @param {string} baseUrl - Site origin
+ * @param {string} type - One of CALENDAR_FEED_TYPES
+ * @param {string} id - Promoter ID, hashtag name or user ID
+ * @returns {string} HTTPS feed URL
+ *
+ * @example
+ * getCalendarFeedUrl('https://afrofete.com', 'hashtag', 'brunch');
+ * // Returns: 'https://afrofete.com/api/calendar?type=hashtag&id=brunch'
+ */
+export const getCalendarFeedUrl = (baseUrl, type, id) => (
+  `${baseUrl.replace(/\/$/, '')}/api/calendar?type=${type}&id=${encodeURIComponent(id)}`
+);
+
+/**
+ * Turn a feed URL into a webcal:// link, which calendar apps open as a subscription
+ * @param {string} url - HTTP(S) feed URL
+ * @returns {string} webcal:// URL
+ */
+export const toWebcalUrl = (url) => url.replace(/^https?:\/\//, 'webcal://');
+
+/**
+ * Build a safe file name for an event's .ics download
+ * @param {Object} event - Event object
+ * @returns {string} File name (e.g. "afrobeats-brunch.ics")
+ */
+export const getCalendarFileName = (event) => {
+  const slug = (event.title || event.name || 'event')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  return `${slug || 'event'}.ics`;
+};
@@ -0,0 +1,165 @@
+/**
+ * Check-in Code Utilities
+ *
+ * This module provides helper functions for creating and verifying the codes
+ * attendees show at the door. A code names the event and attendee and carries
+ * an HMAC-SHA256 signature made with a secret only the attendee and the event's
+ * promoter can read, so codes can't be guessed or altered to check in someone
+ * else. Uses the Web Crypto API, which works offline.
+ */
+
+// Version prefix so the code format can change later
+export const CHECK_IN_CODE_PREFIX = 'AFC1';
+
+// Signature length in bytes (128 bits is plenty and keeps the QR small)
+const SIGNATURE_BYTES = 16;
+
+/**
+ * Encode bytes as URL-safe base64 without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64url string
+ */
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Generate a random secret used to sign an attendee's check-in code
+ * @returns {string} 256-bit random secret as base64url
+ *
+ * @test
+ * describe('generateCheckInSecret', () => {
+ *   it('returns a 43 character base64url string', () => {
+ *     expect(generateCheckInSecret()).toMatch(/^[A-Za-z0-9_-]{43}$/);
+ *   });
+ *
+ *   it('returns a different secret each time', () => {
+ *     expect(generateCheckInSecret()).not.toBe(generateCheckInSecret());
+ *   });
+ * });
+ */
+export const generateCheckInSecret = () => {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return toBase64Url(bytes);
+};
+
+/**
+ * Compute the signature for an event/attendee pair
+ * @param {string} eventId - Event ID
+ * @param {string} userId - Attendee's user ID
+ * @param {string} secret - Attendee's check-in secret
+ * @returns {Promise<string>} Truncated HMAC-SHA256 signature as base64url
+ */
+const computeSignature = async (eventId, userId, secret) => {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${eventId}:${userId}`));
+  return toBase64Url(new Uint8Array(signature).slice(0, SIGNATURE_BYTES));
+};
+
+/**
+ * Create the signed check-in code for an attendee
+ * @param {string} eventId - Event ID
+ * @param {string} userId - Attendee's user ID
+ * @param {string} secret - Attendee's check-in secret
+ * @returns {Promise<string>} Code in the form "AFC1.{eventId}.{userId}.{signature}"
+ *
+ * @test
+ * describe('createCheckInCode', () => {
+ *   it('includes the prefix, event and user', async () => {
+ *     const code = await createCheckInCode('event1', 'user1', 'secret');
+ *     expect(code.startsWith('AFC1.event1.user1.')).toBe(true);
+ *   });
+ *
+ *   it('is stable for the same inputs', async () => {
+ *     expect(await createCheckInCode('e', 'u', 's')).toBe(await createCheckInCode('e', 'u', 's'));
+ *   });
+ * });
+ */
+export const createCheckInCode = async (eventId, userId, secret) => {
+  const signature = await computeSignature(eventId, userId, secret);
+  return [CHECK_IN_CODE_PREFIX, eventId, userId, signature].join('.');
+};
+
+/**
+ * Parse a typed, pasted or scanned check-in code
+ * Surrounding whitespace is ignored.
+ *
+ * @param {string} code - Raw code
+ * @returns {Object|null} { eventId, userId, signature }, or null if it isn't a check-in code
+ *
+ * @test
+ * describe('parseCheckInCode', () => {
+ *   it('parses a valid code', () => {
+ *     expect(parseCheckInCode(' AFC1.event1.user1.abc_- ')).toEqual({
+ *       eventId: 'event1',
+ *       userId: 'user1',
+ *       signature: 'abc_-',
+ *     });
+ *   });
+ *
+ *   it('rejects other formats', () => {
+ *     expect(parseCheckInCode('hello')).toBeNull();
+ *     expect(parseCheckInCode('XYZ1.event1.user1.abc')).toBeNull();
+ *     expect(parseCheckInCode('AFC1.event1..abc')).toBeNull();
+ *     expect(parseCheckInCode(null)).toBeNull();
+ *   });
+ * });
+ */
+export const parseCheckInCode = (code) => {
+  if (typeof code !== 'string') return null;
+
+  const parts = code.trim().split('.');
+  if (parts.length !== 4 || parts[0] !== CHECK_IN_CODE_PREFIX) return null;
+
+  const [, eventId, userId, signature] = parts;
+  if (!eventId || !userId || !/^[A-Za-z0-9_-]+$/.test(signature)) return null;
+
+  return { eventId, userId, signature };
+};
+
+/**
+ * Check a parsed code's signature against the attendee's secret
+ * @param {Object} parsedCode - Result of parseCheckInCode()
+ * @param {string} secret - Attendee's check-in secret
+ * @returns {Promise<boolean>} True if the signature matches
+ *
+ * @test
+ * describe('verifyCheckInCode', () => {
+ *   it('accepts a code signed with the secret', async () => {
+ *     const code = await createCheckInCode('event1', 'user1', 'secret');
+ *     expect(await verifyCheckInCode(parseCheckInCode(code), 'secret')).toBe(true);
+ *   });
+ *
+ *   it('rejects a different secret or a swapped user', async () => {
+ *     const code = await createCheckInCode('event1', 'user1', 'secret');
+ *     const parsed = parseCheckInCode(code);
+ *     expect(await verifyCheckInCode(parsed, 'other')).toBe(false);
+ *     expect(await verifyCheckInCode({ ...parsed, userId: 'user2' }, 'secret')).toBe(false);
+ *   });
+ * });
+ */
+export const verifyCheckInCode = async (parsedCode, secret) => {
+  if (!parsedCode || !secret) return false;
+
+  const expected = await computeSignature(parsedCode.eventId, parsedCode.userId, secret);
+  if (expected.length !== parsedCode.signature.length) return false;
+
+  // Compare every character so timing doesn't reveal how much matched
+  let mismatch = 0;
+  for (let i = 0; i < expected.length; i++) {
+    mismatch |= expected.charCodeAt(i) ^ parsedCode.signature.charCodeAt(i);
+  }
+  return mismatch === 0;
+};
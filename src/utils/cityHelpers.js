@@ -0,0 +1,94 @@
+/**
+ * City Utilities
+ *
+ * This module provides helper functions for browsing by city (metro area):
+ * working out which city an event is in, and remembering the visitor's home
+ * city.
+ *
+ * Events store the city as `citySlug` (see cities.js), set from their
+ * coordinates when they're saved. Signed-in users keep their home city on
+ * their profile (`homeCity`); guests keep it in localStorage.
+ */
+
+import { CITIES, getCityBySlug } from '../data/cities.js';
+import { normalizeCoordinates, getDistanceMiles } from './geoHelpers.js';
+
+const HOME_CITY_STORAGE_KEY = 'afrofete:homeCity';
+
+/**
+ * Get the city a point is in
+ * @param {Object} [coordinates] - { lat, lng }
+ * @returns {string|null} Slug of the nearest city within its radius, or null outside every city
+ *
+ * @test
+ * describe('getCitySlugForCoordinates', () => {
+ *   it('includes the suburbs', () => {
+ *     expect(getCitySlugForCoordinates({ lat: 40.7357, lng: -74.1724 })).toBe('new-york'); // Newark
+ *   });
+ *
+ *   it('picks the nearest city', () => {
+ *     expect(getCitySlugForCoordinates({ lat: 33.7490, lng: -84.3880 })).toBe('atlanta');
+ *   });
+ *
+ *   it('returns null outside every city or without coordinates', () => {
+ *     expect(getCitySlugForCoordinates({ lat: 39.9526, lng: -75.1652 })).toBeNull(); // Philadelphia
+ *     expect(getCitySlugForCoordinates(null)).toBeNull();
+ *   });
+ * });
+ */
+export const getCitySlugForCoordinates = (coordinates) => {
+  const point = normalizeCoordinates(coordinates);
+  if (!point) return null;
+
+  const nearest = CITIES
+    .map(city => ({ slug: city.slug, radiusMiles: city.radiusMiles, distance: getDistanceMiles(point, city) }))
+    .filter(({ distance, radiusMiles }) => distance <= radiusMiles)
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  return nearest ? nearest.slug : null;
+};
+
+/**
+ * Get the home city saved on this device
+ * @returns {string|null} City slug, or null if none is saved (or storage is unavailable)
+ */
+export const getStoredHomeCity = () => {
+  try {
+    const slug = window.localStorage.getItem(HOME_CITY_STORAGE_KEY);
+    return getCityBySlug(slug) ? slug : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Save the home city on this device
+ * @param {string|null} slug - City slug, or null for all cities
+ */
+export const storeHomeCity = (slug) => {
+  try {
+    if (slug) {
+      window.localStorage.setItem(HOME_CITY_STORAGE_KEY, slug);
+    } else {
+      window.localStorage.removeItem(HOME_CITY_STORAGE_KEY);
+    }
+  } catch (error) {
+    // Private browsing can block storage; the choice just won't be remembered
+    console.error('Error saving home city:', error);
+  }
+};
+
+/**
+ * Get a label for a city filter
+ * @param {string|null} slug - City slug, or null for all cities
+ * @returns {string} City name, or "All cities"
+ *
+ * @test
+ * describe('getCityLabel', () => {
+ *   it('names the city', () => {
+ *     expect(getCityLabel('washington-dc')).toBe('Washington, DC');
+ *     expect(getCityLabel(null)).toBe('All cities');
+ *   });
+ * });
+ */
+export const getCityLabel = (slug) => getCityBySlug(slug)?.name || 'All cities';
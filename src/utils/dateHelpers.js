@@ -3,11 +3,34 @@
  *
  * This module provides helper functions for formatting dates, comparing dates,
  * and getting date ranges for event filtering.
+ *
+ * Every helper takes an optional IANA `timeZone` (e.g. an event's
+ * `timezone`). Calendar days, weekends and times are then evaluated in that
+ * zone instead of the viewer's, so a Miami event viewed from London still
+ * lands on the right day. Without one, the viewer's local time is used.
+ *
+ * hasEventPassed, getDaysUntilEvent and isEventHappeningNow also take a whole
+ * event, so multi-day and overnight events count until they end rather than
+ * from the moment they start.
  */
 
+import {
+  getEventInstants,
+  getEventSpan,
+  getEventTimezone,
+  toZonedWallClock,
+  zonedWallClockToUtc,
+} from './timezoneHelpers';
+
+/**
+ * Range types accepted by getDateRange
+ */
+export const DATE_RANGE_TYPES = ['today', 'tomorrow', 'weekend', 'week', 'month'];
+
 /**
  * Format date for event display (e.g., "JAN 14", "DEC 31")
  * @param {Date|string} date - Date to format
+ * @param {string} [timeZone] - IANA timezone to read the date in (defaults to the viewer's)
  * @returns {string} Formatted date string in "MMM DD" format
  * @throws {TypeError} If date is invalid
  *
@@ -40,13 +63,15 @@
  *   });
  * });
  */
-export const formatEventDate = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
+export const formatEventDate = (date, timeZone) => {
+  const parsed = typeof date === 'string' ? new Date(date) : date;
 
-  if (!(dateObj instanceof Date) || isNaN(dateObj.getTime())) {
+  if (!(parsed instanceof Date) || isNaN(parsed.getTime())) {
     throw new TypeError('Invalid date provided');
   }
 
+  const dateObj = toZonedWallClock(parsed, timeZone);
+
   const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
   const month = months[dateObj.getMonth()];
   const day = String(dateObj.getDate()).padStart(2, '0');
@@ -56,7 +81,10 @@ export const formatEventDate = (date) => {
 
 /**
  * Format date with full month name and year (e.g., "January 14, 2025")
+ * Pass an end date to format a multi-day range (e.g., "June 6 – 8, 2025").
  * @param {Date|string} date - Date to format
+ * @param {string} [timeZone] - IANA timezone to read the date in (defaults to the viewer's)
+ * @param {Date|string} [endDate] - Last day of a multi-day event
  * @returns {string} Formatted date string
  * @throws {TypeError} If date is invalid
  *
@@ -64,6 +92,9 @@ export const formatEventDate = (date) => {
  * formatFullDate('2025-01-14T20:00:00');
  * // Returns: "January 14, 2025"
  *
+ * formatFullDate('2025-06-30T18:00:00', undefined, '2025-07-02T23:00:00');
+ * // Returns: "June 30 – July 2, 2025"
+ *
  * @test
  * describe('formatFullDate', () => {
  *   it('should format date with full month name', () => {
@@ -75,15 +106,28 @@ export const formatEventDate = (date) => {
  *     const result = formatFullDate(new Date('2025-12-31'));
  *     expect(result).toBe('December 31, 2025');
  *   });
+ *
+ *   it('should format multi-day ranges', () => {
+ *     expect(formatFullDate('2025-06-06T18:00:00', undefined, '2025-06-08T23:00:00')).toBe('June 6 – 8, 2025');
+ *     expect(formatFullDate('2025-06-30T18:00:00', undefined, '2025-07-02T23:00:00')).toBe('June 30 – July 2, 2025');
+ *     expect(formatFullDate('2025-12-31T18:00:00', undefined, '2026-01-02T23:00:00'))
+ *       .toBe('December 31, 2025 – January 2, 2026');
+ *   });
+ *
+ *   it('should format a single day when the end is on the same day', () => {
+ *     expect(formatFullDate('2025-06-06T18:00:00', undefined, '2025-06-06T23:00:00')).toBe('June 6, 2025');
+ *   });
  * });
  */
-export const formatFullDate = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
+export const formatFullDate = (date, timeZone, endDate) => {
+  const parsed = typeof date === 'string' ? new Date(date) : date;
 
-  if (!(dateObj instanceof Date) || isNaN(dateObj.getTime())) {
+  if (!(parsed instanceof Date) || isNaN(parsed.getTime())) {
     throw new TypeError('Invalid date provided');
   }
 
+  const dateObj = toZonedWallClock(parsed, timeZone);
+
   const months = [
     'January', 'February', 'March', 'April', 'May', 'June',
     'July', 'August', 'September', 'October', 'November', 'December'
@@ -93,12 +137,35 @@ export const formatFullDate = (date) => {
   const day = dateObj.getDate();
   const year = dateObj.getFullYear();
 
+  const parsedEnd = typeof endDate === 'string' ? new Date(endDate) : endDate;
+  if (!(parsedEnd instanceof Date) || isNaN(parsedEnd.getTime())) {
+    return `${month} ${day}, ${year}`;
+  }
+
+  const endObj = toZonedWallClock(parsedEnd, timeZone);
+  const endMonth = months[endObj.getMonth()];
+  const endDay = endObj.getDate();
+  const endYear = endObj.getFullYear();
+
+  if (endYear !== year) {
+    return `${month} ${day}, ${year} – ${endMonth} ${endDay}, ${endYear}`;
+  }
+
+  if (endMonth !== month) {
+    return `${month} ${day} – ${endMonth} ${endDay}, ${year}`;
+  }
+
+  if (endDay !== day) {
+    return `${month} ${day} – ${endDay}, ${year}`;
+  }
+
   return `${month} ${day}, ${year}`;
 };
 
 /**
  * Format time for event display (e.g., "9:00 PM", "2:30 AM")
  * @param {Date|string} date - Date/time to format
+ * @param {string} [timeZone] - IANA timezone to read the time in (defaults to the viewer's)
  * @returns {string} Formatted time string
  * @throws {TypeError} If date is invalid
  *
@@ -130,15 +197,22 @@ export const formatFullDate = (date) => {
  *     const result = formatEventTime('2025-01-14T12:00:00');
  *     expect(result).toBe('12:00 PM');
  *   });
+ *
+ *   it('should show the time in the given timezone', () => {
+ *     const result = formatEventTime('2025-01-15T02:00:00.000Z', 'America/New_York');
+ *     expect(result).toBe('9:00 PM');
+ *   });
  * });
  */
-export const formatEventTime = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
+export const formatEventTime = (date, timeZone) => {
+  const parsed = typeof date === 'string' ? new Date(date) : date;
 
-  if (!(dateObj instanceof Date) || isNaN(dateObj.getTime())) {
+  if (!(parsed instanceof Date) || isNaN(parsed.getTime())) {
     throw new TypeError('Invalid date provided');
   }
 
+  const dateObj = toZonedWallClock(parsed, timeZone);
+
   let hours = dateObj.getHours();
   const minutes = dateObj.getMinutes();
   const ampm = hours >= 12 ? 'PM' : 'AM';
@@ -154,6 +228,7 @@ export const formatEventTime = (date) => {
 /**
  * Get relative date description (e.g., "Today", "Tomorrow", "Saturday")
  * @param {Date|string} date - Date to describe
+ * @param {string} [timeZone] - IANA timezone to compare calendar days in (defaults to the viewer's)
  * @returns {string} Relative date description
  * @throws {TypeError} If date is invalid
  *
@@ -201,14 +276,16 @@ export const formatEventTime = (date) => {
  *   });
  * });
  */
-export const getRelativeDateDescription = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
+export const getRelativeDateDescription = (date, timeZone) => {
+  const parsed = typeof date === 'string' ? new Date(date) : date;
 
-  if (!(dateObj instanceof Date) || isNaN(dateObj.getTime())) {
+  if (!(parsed instanceof Date) || isNaN(parsed.getTime())) {
     throw new TypeError('Invalid date provided');
   }
 
-  const now = new Date();
+  const dateObj = toZonedWallClock(parsed, timeZone);
+
+  const now = toZonedWallClock(new Date(), timeZone);
   now.setHours(0, 0, 0, 0);
 
   const eventDate = new Date(dateObj);
@@ -236,6 +313,7 @@ export const getRelativeDateDescription = (date) => {
 /**
  * Check if date is today
  * @param {Date|string} date - Date to check
+ * @param {string} [timeZone] - IANA timezone to compare calendar days in (defaults to the viewer's)
  * @returns {boolean} True if date is today
  * @throws {TypeError} If date is invalid
  *
@@ -268,14 +346,16 @@ export const getRelativeDateDescription = (date) => {
  *   });
  * });
  */
-export const isToday = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
+export const isToday = (date, timeZone) => {
+  const parsed = typeof date === 'string' ? new Date(date) : date;
 
-  if (!(dateObj instanceof Date) || isNaN(dateObj.getTime())) {
+  if (!(parsed instanceof Date) || isNaN(parsed.getTime())) {
     throw new TypeError('Invalid date provided');
   }
 
-  const now = new Date();
+  const dateObj = toZonedWallClock(parsed, timeZone);
+
+  const now = toZonedWallClock(new Date(), timeZone);
   const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
   const checkDate = new Date(dateObj.getFullYear(), dateObj.getMonth(), dateObj.getDate());
 
@@ -285,6 +365,7 @@ export const isToday = (date) => {
 /**
  * Check if date is tomorrow
  * @param {Date|string} date - Date to check
+ * @param {string} [timeZone] - IANA timezone to compare calendar days in (defaults to the viewer's)
  * @returns {boolean} True if date is tomorrow
  * @throws {TypeError} If date is invalid
  *
@@ -316,14 +397,16 @@ export const isToday = (date) => {
  *   });
  * });
  */
-export const isTomorrow = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
+export const isTomorrow = (date, timeZone) => {
+  const parsed = typeof date === 'string' ? new Date(date) : date;
 
-  if (!(dateObj instanceof Date) || isNaN(dateObj.getTime())) {
+  if (!(parsed instanceof Date) || isNaN(parsed.getTime())) {
     throw new TypeError('Invalid date provided');
   }
 
-  const now = new Date();
+  const dateObj = toZonedWallClock(parsed, timeZone);
+
+  const now = toZonedWallClock(new Date(), timeZone);
   const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
   const checkDate = new Date(dateObj.getFullYear(), dateObj.getMonth(), dateObj.getDate());
 
@@ -333,6 +416,7 @@ export const isTomorrow = (date) => {
 /**
  * Check if date is this weekend (Saturday or Sunday)
  * @param {Date|string} date - Date to check
+ * @param {string} [timeZone] - IANA timezone to compare calendar days in (defaults to the viewer's)
  * @returns {boolean} True if date is this weekend
  * @throws {TypeError} If date is invalid
  *
@@ -369,16 +453,24 @@ export const isTomorrow = (date) => {
  *   it('should return false for next weekend', () => {
  *     expect(isThisWeekend('2025-01-25T20:00:00')).toBe(false);
  *   });
+ *
+ *   it('should check the weekend in the given timezone', () => {
+ *     // Saturday 11 PM in Miami is already Sunday morning in London
+ *     expect(isThisWeekend('2025-01-19T04:00:00.000Z', 'America/New_York')).toBe(true);
+ *     expect(isThisWeekend('2025-01-18T03:00:00.000Z', 'America/New_York')).toBe(false);
+ *   });
  * });
  */
-export const isThisWeekend = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
+export const isThisWeekend = (date, timeZone) => {
+  const parsed = typeof date === 'string' ? new Date(date) : date;
 
-  if (!(dateObj instanceof Date) || isNaN(dateObj.getTime())) {
+  if (!(parsed instanceof Date) || isNaN(parsed.getTime())) {
     throw new TypeError('Invalid date provided');
   }
 
-  const now = new Date();
+  const dateObj = toZonedWallClock(parsed, timeZone);
+
+  const now = toZonedWallClock(new Date(), timeZone);
   const currentDayOfWeek = now.getDay();
 
   // Calculate days until Saturday
@@ -404,6 +496,7 @@ export const isThisWeekend = (date) => {
 /**
  * Check if date is in the current month
  * @param {Date|string} date - Date to check
+ * @param {string} [timeZone] - IANA timezone to compare calendar days in (defaults to the viewer's)
  * @returns {boolean} True if date is in current month
  * @throws {TypeError} If date is invalid
  *
@@ -435,14 +528,16 @@ export const isThisWeekend = (date) => {
  *   });
  * });
  */
-export const isThisMonth = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
+export const isThisMonth = (date, timeZone) => {
+  const parsed = typeof date === 'string' ? new Date(date) : date;
 
-  if (!(dateObj instanceof Date) || isNaN(dateObj.getTime())) {
+  if (!(parsed instanceof Date) || isNaN(parsed.getTime())) {
     throw new TypeError('Invalid date provided');
   }
 
-  const now = new Date();
+  const dateObj = toZonedWallClock(parsed, timeZone);
+
+  const now = toZonedWallClock(new Date(), timeZone);
 
   return (
     dateObj.getMonth() === now.getMonth() &&
@@ -453,7 +548,8 @@ export const isThisMonth = (date) => {
 /**
  * Get date range for a given range type
  * @param {string} range - Range type ('today', 'tomorrow', 'weekend', 'month', 'week')
- * @returns {Object} Object with start and end dates
+ * @param {string} [timeZone] - IANA timezone the days are in (defaults to the viewer's)
+ * @returns {Object} Object with start and end instants
  * @throws {Error} If range type is invalid
  *
  * @example
@@ -498,14 +594,21 @@ export const isThisMonth = (date) => {
  *   it('should throw error for invalid range', () => {
  *     expect(() => getDateRange('invalid')).toThrow(Error);
  *   });
+ *
+ *   it('should use the days of the given timezone', () => {
+ *     jest.setSystemTime(new Date('2025-01-13T10:00:00.000Z'));
+ *     const { start, end } = getDateRange('today', 'America/Los_Angeles');
+ *     expect(start.toISOString()).toBe('2025-01-13T08:00:00.000Z');
+ *     expect(end.toISOString()).toBe('2025-01-14T07:59:59.999Z');
+ *   });
  * });
  */
-export const getDateRange = (range) => {
+export const getDateRange = (range, timeZone) => {
   if (!range || typeof range !== 'string') {
     throw new Error('Invalid range type');
   }
 
-  const now = new Date();
+  const now = toZonedWallClock(new Date(), timeZone);
   now.setHours(0, 0, 0, 0);
 
   let start, end;
@@ -555,12 +658,75 @@ export const getDateRange = (range) => {
       throw new Error(`Invalid range type: ${range}`);
   }
 
-  return { start, end };
+  return {
+    start: zonedWallClockToUtc(start, timeZone),
+    end: zonedWallClockToUtc(end, timeZone),
+  };
 };
 
+/**
+ * Largest difference between any timezone and UTC, in hours (UTC+14)
+ */
+const MAX_TIMEZONE_OFFSET_HOURS = 14;
+
+/**
+ * Get ISO bounds for querying events that could fall in a range in any timezone
+ * The viewer's range is widened by the largest timezone offset on both sides
+ * and never starts before today; narrow the results down per event with
+ * filterEventsByTimeRange.
+ * Custom day ranges ({ start, end } as "yyyy-MM-dd", e.g. a calendar month)
+ * cover those days in every timezone and may be in the past.
+ * @param {string|Object} range - Range type (see getDateRange) or { start, end } day keys
+ * @returns {Object} { startDate, endDate } ISO strings
+ *
+ * @example
+ * const { startDate, endDate } = getQueryDateRange('weekend');
+ *
+ * @test
+ * describe('getQueryDateRange', () => {
+ *   it('covers custom days in every timezone', () => {
+ *     expect(getQueryDateRange({ start: '2025-06-01', end: '2025-06-30' })).toEqual({
+ *       startDate: '2025-05-31T10:00:00.000Z',
+ *       endDate: '2025-07-01T13:59:59.999Z',
+ *     });
+ *   });
+ * });
+ */
+export const getQueryDateRange = (range) => {
+  const padding = MAX_TIMEZONE_OFFSET_HOURS * 60 * 60 * 1000;
+
+  if (typeof range === 'object') {
+    const [startYear, startMonth, startDay] = range.start.split('-').map(Number);
+    const [endYear, endMonth, endDay] = range.end.split('-').map(Number);
+
+    return {
+      startDate: new Date(Date.UTC(startYear, startMonth - 1, startDay) - padding).toISOString(),
+      endDate: new Date(Date.UTC(endYear, endMonth - 1, endDay + 1) - 1 + padding).toISOString(),
+    };
+  }
+
+  const { start, end } = getDateRange(range);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  return {
+    startDate: new Date(Math.max(start.getTime(), today.getTime()) - padding).toISOString(),
+    endDate: new Date(end.getTime() + padding).toISOString(),
+  };
+};
+
+/**
+ * Check if a value is an event object rather than a date
+ * @param {*} value - Date, date string or event
+ * @returns {boolean} True for event objects
+ */
+const isEventObject = (value) => Boolean(value) && typeof value === 'object' && !(value instanceof Date);
+
 /**
  * Check if event has passed (is in the past)
- * @param {Date|string} date - Event date to check
+ * Pass the event itself so it only counts as passed once it has ended;
+ * a bare date counts as passed as soon as it is reached.
+ * @param {Object|Date|string} eventOrDate - Event object, or event date to check
  * @returns {boolean} True if event has passed
  * @throws {TypeError} If date is invalid
  *
@@ -569,6 +735,10 @@ export const getDateRange = (range) => {
  * hasEventPassed('2025-01-12T20:00:00'); // Returns: true
  * hasEventPassed('2025-01-14T20:00:00'); // Returns: false
  *
+ * // A festival that started yesterday and ends tomorrow
+ * hasEventPassed({ startAt: '2025-01-12T12:00:00', endAt: '2025-01-14T23:00:00', startTime: '12:00', endTime: '23:00' });
+ * // Returns: false
+ *
  * @test
  * describe('hasEventPassed', () => {
  *   const now = new Date('2025-01-13T10:00:00');
@@ -590,10 +760,28 @@ export const getDateRange = (range) => {
  *     expect(hasEventPassed('2025-01-13T11:00:00')).toBe(false);
  *     expect(hasEventPassed('2025-01-14T20:00:00')).toBe(false);
  *   });
+ *
+ *   it('should use the end of events that are still going', () => {
+ *     const event = {
+ *       startAt: new Date('2025-01-12T12:00:00').toISOString(),
+ *       endAt: new Date('2025-01-14T23:00:00').toISOString(),
+ *       startTime: '12:00',
+ *       endTime: '23:00',
+ *     };
+ *     expect(hasEventPassed(event)).toBe(false);
+ *   });
  * });
  */
-export const hasEventPassed = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
+export const hasEventPassed = (eventOrDate) => {
+  if (isEventObject(eventOrDate)) {
+    const instants = getEventInstants(eventOrDate);
+    if (!instants) {
+      throw new TypeError('Invalid date provided');
+    }
+    return instants.end <= new Date();
+  }
+
+  const dateObj = typeof eventOrDate === 'string' ? new Date(eventOrDate) : eventOrDate;
 
   if (!(dateObj instanceof Date) || isNaN(dateObj.getTime())) {
     throw new TypeError('Invalid date provided');
@@ -603,9 +791,44 @@ export const hasEventPassed = (date) => {
   return dateObj < now;
 };
 
+/**
+ * Check if an event is in progress
+ * @param {Object} event - Event object
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} True between the event's start and end
+ *
+ * @example
+ * // A party from 10:00 PM to 3:00 AM, checked at 1:00 AM
+ * isEventHappeningNow(event); // Returns: true
+ *
+ * @test
+ * describe('isEventHappeningNow', () => {
+ *   const event = { date: '2025-01-13T00:00:00.000Z', startTime: '22:00', endTime: '03:00' };
+ *
+ *   it('should be true after midnight for overnight events', () => {
+ *     expect(isEventHappeningNow(event, new Date(2025, 0, 14, 1, 0))).toBe(true);
+ *   });
+ *
+ *   it('should be false before the start and after the end', () => {
+ *     expect(isEventHappeningNow(event, new Date(2025, 0, 13, 21, 0))).toBe(false);
+ *     expect(isEventHappeningNow(event, new Date(2025, 0, 14, 3, 0))).toBe(false);
+ *   });
+ * });
+ */
+export const isEventHappeningNow = (event, now = new Date()) => {
+  const instants = getEventInstants(event);
+  if (!instants) return false;
+
+  return instants.start <= now && now < instants.end;
+};
+
 /**
  * Get days until event
- * @param {Date|string} date - Event date
+ * Pass the event itself to get 0 on every day it is on (multi-day events)
+ * and count the days since it ended once it is over.
+ * @param {Object|Date|string} eventOrDate - Event object, or event date
+ * @param {string} [timeZone] - IANA timezone to compare calendar days in
+ *   (defaults to the event's timezone, then the viewer's)
  * @returns {number} Number of days until event (negative if passed)
  * @throws {TypeError} If date is invalid
  *
@@ -637,16 +860,45 @@ export const hasEventPassed = (date) => {
  *   it('should return 0 for today', () => {
  *     expect(getDaysUntilEvent('2025-01-13T20:00:00')).toBe(0);
  *   });
+ *
+ *   it('should return 0 while a multi-day event is on', () => {
+ *     const event = { date: '2025-01-11T00:00:00.000Z', startAt: new Date(2025, 0, 11, 12).toISOString(),
+ *       endAt: new Date(2025, 0, 14, 23).toISOString(), startTime: '12:00', endTime: '23:00' };
+ *     expect(getDaysUntilEvent(event)).toBe(0);
+ *   });
+ *
+ *   it('should count from the last day of a multi-day event once it ends', () => {
+ *     const event = { date: '2025-01-08T00:00:00.000Z', startAt: new Date(2025, 0, 8, 12).toISOString(),
+ *       endAt: new Date(2025, 0, 10, 23).toISOString(), startTime: '12:00', endTime: '23:00' };
+ *     expect(getDaysUntilEvent(event)).toBe(-3);
+ *   });
  * });
  */
-export const getDaysUntilEvent = (date) => {
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
+export const getDaysUntilEvent = (eventOrDate, timeZone) => {
+  if (isEventObject(eventOrDate)) {
+    const span = getEventSpan(eventOrDate);
+    if (!span) {
+      throw new TypeError('Invalid date provided');
+    }
 
-  if (!(dateObj instanceof Date) || isNaN(dateObj.getTime())) {
+    const eventTimeZone = timeZone || getEventTimezone(eventOrDate);
+    const daysUntilStart = getDaysUntilEvent(span.start, eventTimeZone);
+    if (daysUntilStart > 0) {
+      return daysUntilStart;
+    }
+
+    return Math.min(getDaysUntilEvent(span.end, eventTimeZone), 0);
+  }
+
+  const parsed = typeof eventOrDate === 'string' ? new Date(eventOrDate) : eventOrDate;
+
+  if (!(parsed instanceof Date) || isNaN(parsed.getTime())) {
     throw new TypeError('Invalid date provided');
   }
 
-  const now = new Date();
+  const dateObj = toZonedWallClock(parsed, timeZone);
+
+  const now = toZonedWallClock(new Date(), timeZone);
   now.setHours(0, 0, 0, 0);
 
   const eventDate = new Date(dateObj);
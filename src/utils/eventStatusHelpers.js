@@ -0,0 +1,211 @@
+/**
+ * Event Lifecycle Utilities
+ *
+ * This module provides helper functions for working with an event's lifecycle
+ * status (draft, published, cancelled, postponed, sold out) and its scheduled
+ * publish time, including which events may appear in public listings.
+ */
+
+/**
+ * Supported event statuses
+ */
+export const EVENT_STATUSES = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+  CANCELLED: 'cancelled',
+  POSTPONED: 'postponed',
+  SOLD_OUT: 'soldOut',
+};
+
+/**
+ * Get the lifecycle status of an event
+ * Events created before statuses existed have no `status` field and are treated
+ * as published, unless they carry the older `cancelled` flag.
+ *
+ * @param {Object} event - Event object
+ * @returns {string} One of EVENT_STATUSES
+ *
+ * @example
+ * getEventStatus({ status: 'soldOut' }); // Returns: 'soldOut'
+ * getEventStatus({ cancelled: true });   // Returns: 'cancelled'
+ * getEventStatus({});                    // Returns: 'published'
+ *
+ * @test
+ * describe('getEventStatus', () => {
+ *   it('should return the stored status', () => {
+ *     expect(getEventStatus({ status: 'draft' })).toBe('draft');
+ *   });
+ *
+ *   it('should treat the legacy cancelled flag as cancelled', () => {
+ *     expect(getEventStatus({ cancelled: true })).toBe('cancelled');
+ *   });
+ *
+ *   it('should default to published', () => {
+ *     expect(getEventStatus({})).toBe('published');
+ *     expect(getEventStatus(null)).toBe('published');
+ *   });
+ * });
+ */
+export const getEventStatus = (event) => {
+  if (event?.status && Object.values(EVENT_STATUSES).includes(event.status)) {
+    return event.status;
+  }
+
+  if (event?.cancelled) {
+    return EVENT_STATUSES.CANCELLED;
+  }
+
+  return EVENT_STATUSES.PUBLISHED;
+};
+
+/**
+ * Check if an event is published but waiting for its scheduled publish time
+ * @param {Object} event - Event object
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} True if publishAt is in the future
+ *
+ * @example
+ * isScheduled({ status: 'published', publishAt: '2099-01-01T00:00:00.000Z' }); // Returns: true
+ *
+ * @test
+ * describe('isScheduled', () => {
+ *   const now = new Date('2025-06-01T12:00:00Z');
+ *
+ *   it('should be true before publishAt', () => {
+ *     expect(isScheduled({ publishAt: '2025-06-02T00:00:00Z' }, now)).toBe(true);
+ *   });
+ *
+ *   it('should be false once publishAt has passed', () => {
+ *     expect(isScheduled({ publishAt: '2025-06-01T00:00:00Z' }, now)).toBe(false);
+ *   });
+ *
+ *   it('should be false for drafts and events without publishAt', () => {
+ *     expect(isScheduled({ status: 'draft', publishAt: '2025-06-02T00:00:00Z' }, now)).toBe(false);
+ *     expect(isScheduled({}, now)).toBe(false);
+ *   });
+ * });
+ */
+export const isScheduled = (event, now = new Date()) => {
+  if (!event?.publishAt || getEventStatus(event) === EVENT_STATUSES.DRAFT) {
+    return false;
+  }
+
+  return new Date(event.publishAt) > now;
+};
+
+/**
+ * Check if an event should appear in public listings and search results
+ * Drafts, cancelled events and events scheduled for later are hidden.
+ * Postponed and sold out events stay listed so people can still find them.
+ *
+ * @param {Object} event - Event object
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} True if the event is publicly listed
+ *
+ * @example
+ * const visible = events.filter(event => isEventListed(event));
+ *
+ * @test
+ * describe('isEventListed', () => {
+ *   const now = new Date('2025-06-01T12:00:00Z');
+ *
+ *   it('should list published, postponed and sold out events', () => {
+ *     expect(isEventListed({}, now)).toBe(true);
+ *     expect(isEventListed({ status: 'postponed' }, now)).toBe(true);
+ *     expect(isEventListed({ status: 'soldOut' }, now)).toBe(true);
+ *   });
+ *
+ *   it('should hide drafts and cancelled events', () => {
+ *     expect(isEventListed({ status: 'draft' }, now)).toBe(false);
+ *     expect(isEventListed({ status: 'cancelled' }, now)).toBe(false);
+ *     expect(isEventListed({ cancelled: true }, now)).toBe(false);
+ *   });
+ *
+ *   it('should hide events scheduled for later', () => {
+ *     expect(isEventListed({ status: 'published', publishAt: '2025-06-02T00:00:00Z' }, now)).toBe(false);
+ *   });
+ * });
+ */
+export const isEventListed = (event, now = new Date()) => {
+  const status = getEventStatus(event);
+
+  if (status === EVENT_STATUSES.DRAFT || status === EVENT_STATUSES.CANCELLED) {
+    return false;
+  }
+
+  return !isScheduled(event, now);
+};
+
+/**
+ * Check if an event's detail page can be viewed by the public
+ * Unlike listings, cancelled events stay viewable so existing links and
+ * favorites show the cancellation notice instead of a missing page.
+ *
+ * @param {Object} event - Event object
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} True if anyone may view the event
+ *
+ * @test
+ * describe('isEventViewable', () => {
+ *   const now = new Date('2025-06-01T12:00:00Z');
+ *
+ *   it('should allow cancelled events', () => {
+ *     expect(isEventViewable({ status: 'cancelled' }, now)).toBe(true);
+ *   });
+ *
+ *   it('should block drafts and scheduled events', () => {
+ *     expect(isEventViewable({ status: 'draft' }, now)).toBe(false);
+ *     expect(isEventViewable({ publishAt: '2025-06-02T00:00:00Z' }, now)).toBe(false);
+ *   });
+ * });
+ */
+export const isEventViewable = (event, now = new Date()) => {
+  if (getEventStatus(event) === EVENT_STATUSES.DRAFT) {
+    return false;
+  }
+
+  return !isScheduled(event, now);
+};
+
+/**
+ * Get a short display label for an event's status
+ * @param {Object} event - Event object
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string|null} Label such as 'Sold Out', or null for a normal published event
+ *
+ * @example
+ * getStatusLabel({ status: 'soldOut' }); // Returns: 'Sold Out'
+ * getStatusLabel({});                    // Returns: null
+ *
+ * @test
+ * describe('getStatusLabel', () => {
+ *   it('should label each non-default status', () => {
+ *     expect(getStatusLabel({ status: 'draft' })).toBe('Draft');
+ *     expect(getStatusLabel({ status: 'cancelled' })).toBe('Cancelled');
+ *     expect(getStatusLabel({ status: 'postponed' })).toBe('Postponed');
+ *     expect(getStatusLabel({ status: 'soldOut' })).toBe('Sold Out');
+ *   });
+ *
+ *   it('should label scheduled events', () => {
+ *     expect(getStatusLabel({ publishAt: '2025-06-02T00:00:00Z' }, new Date('2025-06-01T00:00:00Z'))).toBe('Scheduled');
+ *   });
+ *
+ *   it('should return null for live published events', () => {
+ *     expect(getStatusLabel({ status: 'published' })).toBeNull();
+ *   });
+ * });
+ */
+export const getStatusLabel = (event, now = new Date()) => {
+  switch (getEventStatus(event)) {
+    case EVENT_STATUSES.DRAFT:
+      return 'Draft';
+    case EVENT_STATUSES.CANCELLED:
+      return 'Cancelled';
+    case EVENT_STATUSES.POSTPONED:
+      return 'Postponed';
+    case EVENT_STATUSES.SOLD_OUT:
+      return 'Sold Out';
+    default:
+      return isScheduled(event, now) ? 'Scheduled' : null;
+  }
+};
@@ -0,0 +1,152 @@
+/**
+ * Event Template Utilities
+ *
+ * This module provides helper functions for starting a new event from an
+ * existing one: duplicating an event with a new date, and saving/using
+ * reusable event templates (venue, address, description, hashtags, ticket
+ * tiers and flyer).
+ *
+ * Both produce a "prefill" object shaped like an event document, which
+ * EventForm accepts through its `event` prop. Prefills never carry a date,
+ * status or anything tied to the original event's attendance.
+ */
+
+/**
+ * Drop the parts of ticket tiers that only make sense for one date
+ * (sale windows), keeping names, prices, currencies, quantities and links.
+ * @param {Array<Object>} [tiers] - Ticket tiers
+ * @returns {Array<Object>} Reusable tiers
+ */
+const toReusableTiers = (tiers = []) => tiers.map((tier) => ({
+  ...tier,
+  saleStart: null,
+  saleEnd: null,
+}));
+
+/**
+ * Build template data from an existing event
+ * @param {Object} event - Event object
+ * @param {string} [name] - Template name (defaults to the event title)
+ * @returns {Object} Template data ({ name, venue, venueId, address, description, hashtags, ticketTiers, ticketLink, imageUrl, imageStoragePath, category })
+ *
+ * @example
+ * buildTemplateFromEvent(event, 'Sunday Brunch @ Lot 45');
+ *
+ * @test
+ * describe('buildTemplateFromEvent', () => {
+ *   const event = {
+ *     title: 'Afrobeats Brunch',
+ *     venue: 'Lot 45',
+ *     address: { city: 'Brooklyn' },
+ *     hashtags: ['brunch'],
+ *     ticketTiers: [{ id: 'ga', name: 'GA', price: 20, saleEnd: '2025-06-01T00:00:00.000Z' }],
+ *     date: '2025-06-08T16:00:00.000Z',
+ *     goingCount: 40,
+ *   };
+ *
+ *   it('keeps the reusable fields', () => {
+ *     const template = buildTemplateFromEvent(event);
+ *     expect(template.name).toBe('Afrobeats Brunch');
+ *     expect(template.venue).toBe('Lot 45');
+ *     expect(template.hashtags).toEqual(['brunch']);
+ *   });
+ *
+ *   it('drops the date and sale windows', () => {
+ *     const template = buildTemplateFromEvent(event, 'Brunch');
+ *     expect(template.date).toBeUndefined();
+ *     expect(template.goingCount).toBeUndefined();
+ *     expect(template.ticketTiers[0].saleEnd).toBeNull();
+ *   });
+ * });
+ */
+export const buildTemplateFromEvent = (event, name) => ({
+  name: name?.trim() || event.title || event.name || 'Untitled template',
+  category: event.category || '',
+  venue: event.venue || event.venueName || '',
+  venueId: event.venueId || null,
+  address: {
+    street: event.address?.street || '',
+    city: event.address?.city || '',
+    state: event.address?.state || '',
+    zip: event.address?.zip || '',
+  },
+  description: event.description || '',
+  hashtags: event.hashtags || [],
+  ticketTiers: toReusableTiers(event.ticketTiers),
+  ticketLink: event.ticketLink || '',
+  imageUrl: event.imageUrl || event.flyerUrl || '',
+  imageStoragePath: event.imageStoragePath || '',
+});
+
+/**
+ * Turn a template into a prefill for a new event
+ * The template name is not used as the event title.
+ * @param {Object} template - Event template
+ * @returns {Object} Event prefill for EventForm
+ *
+ * @test
+ * describe('templateToEventPrefill', () => {
+ *   it('copies the template fields but not its name', () => {
+ *     const prefill = templateToEventPrefill({ id: 't1', name: 'Brunch', venue: 'Lot 45', hashtags: ['brunch'] });
+ *     expect(prefill.venue).toBe('Lot 45');
+ *     expect(prefill.title).toBe('');
+ *     expect(prefill.id).toBeUndefined();
+ *   });
+ * });
+ */
+export const templateToEventPrefill = (template) => ({
+  title: '',
+  category: template.category || '',
+  venue: template.venue || '',
+  venueId: template.venueId || null,
+  address: template.address || {},
+  description: template.description || '',
+  hashtags: template.hashtags || [],
+  ticketTiers: toReusableTiers(template.ticketTiers),
+  ticketLink: template.ticketLink || '',
+  imageUrl: template.imageUrl || '',
+  imageStoragePath: template.imageStoragePath || '',
+});
+
+/**
+ * Turn an existing event into a prefill for a duplicate on a new date
+ * Keeps everything the promoter entered, including times and timezone, except
+ * the date, publishing settings and sale windows; headcounts, favorites, hosts
+ * and series links start fresh.
+ * @param {Object} event - Event to duplicate
+ * @returns {Object} Event prefill for EventForm
+ *
+ * @test
+ * describe('duplicateEventPrefill', () => {
+ *   const event = {
+ *     id: 'e1', title: 'Afrobeats Brunch', category: 'brunch', startTime: '14:00', capacity: 150,
+ *     date: '2025-06-08T18:00:00.000Z', status: 'soldOut', seriesId: 's1', goingCount: 150,
+ *   };
+ *
+ *   it('keeps the title, times and capacity', () => {
+ *     const prefill = duplicateEventPrefill({ ...event, timezone: 'America/Chicago' });
+ *     expect(prefill.title).toBe('Afrobeats Brunch');
+ *     expect(prefill.startTime).toBe('14:00');
+ *     expect(prefill.timezone).toBe('America/Chicago');
+ *     expect(prefill.capacity).toBe(150);
+ *   });
+ *
+ *   it('clears the date and everything tied to the original', () => {
+ *     const prefill = duplicateEventPrefill(event);
+ *     expect(prefill.date).toBe('');
+ *     expect(prefill.status).toBeUndefined();
+ *     expect(prefill.id).toBeUndefined();
+ *     expect(prefill.seriesId).toBeUndefined();
+ *     expect(prefill.goingCount).toBeUndefined();
+ *   });
+ * });
+ */
+export const duplicateEventPrefill = (event) => ({
+  ...templateToEventPrefill(buildTemplateFromEvent(event)),
+  title: event.title || event.name || '',
+  date: '',
+  startTime: event.startTime || '',
+  endTime: event.endTime || '',
+  timezone: event.timezone || '',
+  capacity: event.capacity || null,
+});
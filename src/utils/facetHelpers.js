@@ -0,0 +1,219 @@
+/**
+ * Search Facet Utilities
+ *
+ * This module provides the facets shown beside search results: how many
+ * results fall into each category, price bucket, date bucket and hashtag,
+ * and the filters a picked facet applies (see combineFilters).
+ *
+ * Picked facets are kept as a selection: { category, price, date, hashtag },
+ * where price and date are bucket IDs from PRICE_BUCKETS and DATE_BUCKETS.
+ * Each facet's counts leave out its own pick, so the other options of a
+ * facet stay visible (and countable) after one is picked.
+ */
+
+import { combineFilters, filterEventsByPrice, filterEventsByTimeRange } from './filterHelpers';
+import { getCategoryById } from '../data/eventCategories';
+
+/**
+ * Price buckets; an event falls in every bucket one of its ticket tiers does
+ */
+export const PRICE_BUCKETS = [
+  { id: 'free', label: 'Free', range: { min: 0, max: 0 } },
+  { id: 'under-20', label: 'Under $20', range: { min: 0.01, max: 19.99 } },
+  { id: '20-50', label: '$20 - $50', range: { min: 20, max: 50 } },
+  { id: 'over-50', label: 'Over $50', range: { min: 50.01 } },
+];
+
+/**
+ * Date buckets, as time ranges for filterEventsByTimeRange
+ * They overlap, so an event tonight counts for today, this week and this month.
+ */
+export const DATE_BUCKETS = [
+  { id: 'today', label: 'Today', range: 'today' },
+  { id: 'tomorrow', label: 'Tomorrow', range: 'tomorrow' },
+  { id: 'weekend', label: 'This Weekend', range: 'weekend' },
+  { id: 'week', label: 'Next 7 Days', range: 'week' },
+  { id: 'month', label: 'This Month', range: 'month' },
+];
+
+// Most hashtags listed in the hashtag facet
+export const FACET_HASHTAG_LIMIT = 10;
+
+/**
+ * Normalize a hashtag for counting and matching (no #, lowercase)
+ * @param {string} tag - Hashtag
+ * @returns {string} Normalized hashtag
+ */
+const normalizeFacetHashtag = (tag) => tag.replace('#', '').toLowerCase().trim();
+
+/**
+ * Turn a facet selection into combineFilters filters
+ * @param {Object} selection - Picked facets { category, price, date, hashtag }
+ * @returns {Object} Filters for combineFilters
+ *
+ * @test
+ * describe('getFacetFilters', () => {
+ *   it('maps buckets to ranges', () => {
+ *     expect(getFacetFilters({ category: 'brunch', price: 'free', date: 'weekend' })).toEqual({
+ *       category: 'brunch',
+ *       hashtag: undefined,
+ *       priceRange: { min: 0, max: 0 },
+ *       timeRange: 'weekend',
+ *     });
+ *   });
+ *
+ *   it('ignores unknown buckets', () => {
+ *     expect(getFacetFilters({ price: 'cheap' }).priceRange).toBeUndefined();
+ *   });
+ * });
+ */
+export const getFacetFilters = (selection = {}) => ({
+  category: selection.category || undefined,
+  hashtag: selection.hashtag || undefined,
+  priceRange: PRICE_BUCKETS.find(bucket => bucket.id === selection.price)?.range,
+  timeRange: DATE_BUCKETS.find(bucket => bucket.id === selection.date)?.range,
+});
+
+/**
+ * Narrow events to a facet selection
+ * Keeps the order the events came in (e.g. best match first).
+ * @param {Array<Object>} events - Array of event objects
+ * @param {Object} selection - Picked facets { category, price, date, hashtag }
+ * @returns {Array<Object>} Events matching every picked facet
+ *
+ * @test
+ * describe('filterEventsByFacets', () => {
+ *   it('applies every picked facet', () => {
+ *     const events = [
+ *       { eventId: '1', category: 'brunch', price: 0, hashtags: ['soca'] },
+ *       { eventId: '2', category: 'brunch', price: 40, hashtags: ['soca'] },
+ *       { eventId: '3', category: 'nightlife', price: 0, hashtags: ['soca'] }
+ *     ];
+ *     const result = filterEventsByFacets(events, { category: 'brunch', price: 'free', hashtag: 'soca' });
+ *     expect(result.map(event => event.eventId)).toEqual(['1']);
+ *   });
+ * });
+ */
+export const filterEventsByFacets = (events, selection = {}) => combineFilters(events, getFacetFilters(selection));
+
+/**
+ * Count events per value and list the values, most common first
+ * @param {Map<string, number>} counts - Value => count
+ * @param {string|undefined} selected - Picked value (listed even with no events)
+ * @param {Function} getLabel - Value => label
+ * @returns {Array<Object>} [{ value, label, count, selected }]
+ */
+const toCountedOptions = (counts, selected, getLabel) => {
+  if (selected && !counts.has(selected)) counts.set(selected, 0);
+
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([value, count]) => ({ value, label: getLabel(value), count, selected: value === selected }));
+};
+
+/**
+ * Get the facets for a list of search results
+ * @param {Array<Object>} events - Every result, before facets are applied
+ * @param {Object} [selection={}] - Picked facets { category, price, date, hashtag }
+ * @param {Object} [options] - Facet options
+ * @param {number} [options.hashtagLimit=FACET_HASHTAG_LIMIT] - Most hashtags to list
+ * @returns {Array<Object>} [{ id, label, options: [{ value, label, count, selected }] }]
+ *   (options with no events are left out unless picked)
+ *
+ * @example
+ * const facets = getSearchFacets(results, { category: 'brunch' });
+ * // facets[1] => { id: 'price', label: 'Price', options: [{ value: 'free', label: 'Free', count: 4, selected: false }, ...] }
+ *
+ * @test
+ * describe('getSearchFacets', () => {
+ *   const events = [
+ *     { eventId: '1', category: 'brunch', price: 0, hashtags: ['soca', 'brunch'] },
+ *     { eventId: '2', category: 'brunch', ticketTiers: [{ price: 15 }, { price: 60 }], hashtags: ['Soca'] },
+ *     { eventId: '3', category: 'nightlife', price: 25, hashtags: ['afrobeats'] }
+ *   ];
+ *   const getFacet = (facets, id) => facets.find(facet => facet.id === id);
+ *
+ *   it('counts categories and hashtags', () => {
+ *     const facets = getSearchFacets(events);
+ *     expect(getFacet(facets, 'category').options.map(option => [option.value, option.count])).toEqual([['brunch', 2], ['nightlife', 1]]);
+ *     expect(getFacet(facets, 'hashtag').options[0]).toEqual({ value: 'soca', label: '#soca', count: 2, selected: false });
+ *   });
+ *
+ *   it('counts events in every price bucket one of their tiers is in', () => {
+ *     const price = getFacet(getSearchFacets(events), 'price').options;
+ *     expect(price.map(option => [option.value, option.count])).toEqual([['free', 1], ['under-20', 1], ['20-50', 1], ['over-50', 1]]);
+ *   });
+ *
+ *   it('narrows other facets but not the picked one', () => {
+ *     const facets = getSearchFacets(events, { category: 'brunch' });
+ *     expect(getFacet(facets, 'category').options.find(option => option.value === 'nightlife').count).toBe(1);
+ *     expect(getFacet(facets, 'price').options.some(option => option.value === '20-50')).toBe(false);
+ *   });
+ *
+ *   it('keeps picked options with no events', () => {
+ *     const facets = getSearchFacets(events, { hashtag: 'kompa' });
+ *     expect(getFacet(facets, 'hashtag').options.find(option => option.selected)).toEqual({ value: 'kompa', label: '#kompa', count: 0, selected: true });
+ *     expect(getFacet(facets, 'category').options).toEqual([]);
+ *   });
+ * });
+ */
+export const getSearchFacets = (events, selection = {}, options = {}) => {
+  const { hashtagLimit = FACET_HASHTAG_LIMIT } = options;
+
+  // Results narrowed by every picked facet except one
+  const withoutFacet = (facetId) => filterEventsByFacets(events, { ...selection, [facetId]: undefined });
+
+  const categoryCounts = new Map();
+  withoutFacet('category').forEach((event) => {
+    if (event.category) categoryCounts.set(event.category, (categoryCounts.get(event.category) || 0) + 1);
+  });
+
+  const hashtagCounts = new Map();
+  withoutFacet('hashtag').forEach((event) => {
+    new Set((event.hashtags || []).map(normalizeFacetHashtag).filter(Boolean)).forEach((tag) => {
+      hashtagCounts.set(tag, (hashtagCounts.get(tag) || 0) + 1);
+    });
+  });
+
+  const priceEvents = withoutFacet('price');
+  const dateEvents = withoutFacet('date');
+  const selectedHashtag = selection.hashtag ? normalizeFacetHashtag(selection.hashtag) : undefined;
+
+  return [
+    {
+      id: 'category',
+      label: 'Category',
+      options: toCountedOptions(categoryCounts, selection.category, value => getCategoryById(value)?.displayName || value),
+    },
+    {
+      id: 'price',
+      label: 'Price',
+      options: PRICE_BUCKETS
+        .map(bucket => ({
+          value: bucket.id,
+          label: bucket.label,
+          count: filterEventsByPrice(priceEvents, bucket.range).length,
+          selected: bucket.id === selection.price,
+        }))
+        .filter(option => option.count > 0 || option.selected),
+    },
+    {
+      id: 'date',
+      label: 'Date',
+      options: DATE_BUCKETS
+        .map(bucket => ({
+          value: bucket.id,
+          label: bucket.label,
+          count: filterEventsByTimeRange(dateEvents, bucket.range).length,
+          selected: bucket.id === selection.date,
+        }))
+        .filter(option => option.count > 0 || option.selected),
+    },
+    {
+      id: 'hashtag',
+      label: 'Hashtags',
+      options: toCountedOptions(hashtagCounts, selectedHashtag, value => `#${value}`)
+        .filter((option, index) => index < hashtagLimit || option.selected),
+    },
+  ];
+};
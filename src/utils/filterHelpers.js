@@ -5,6 +5,20 @@
  * events based on various criteria like hashtags, categories, time ranges, etc.
  */
 
+import { eventMatchesPriceRange } from './ticketTierHelpers';
+import { DATE_RANGE_TYPES, getDateRange } from './dateHelpers';
+import { getEventSpan, getEventTimezone, toZonedWallClock, zonedWallClockToUtc } from './timezoneHelpers';
+import {
+  SEARCH_FIELD_WEIGHTS,
+  SEARCH_MATCH_WEIGHTS,
+  buildSearchTerms,
+  buildSearchVocabulary,
+  parseSearchQuery,
+  scoreSearchMatch,
+  findSearchCorrections,
+  suggestSearchQuery,
+} from './searchIndexHelpers';
+
 /**
  * Filter events by a specific hashtag
  * @param {Array<Object>} events - Array of event objects
@@ -77,9 +91,39 @@ export const filterEventsByHashtag = (events, hashtag) => {
 };
 
 /**
- * Filter events by time range (today, tomorrow, this weekend, this month, custom)
+ * Get the instants a custom { start, end } day range covers in a timezone
+ * Day strings ("yyyy-MM-dd") are whole days in that zone; the end day is inclusive.
+ * @param {Object} range - Custom range ({ start, end } as day strings or Dates)
+ * @param {string} [timeZone] - IANA timezone (defaults to the viewer's)
+ * @returns {Object} { start, end } instants
+ */
+const getCustomRangeBounds = (range, timeZone) => {
+  const toWallClockDay = (value) => {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const [year, month, day] = value.split('-').map(Number);
+      return new Date(year, month - 1, day);
+    }
+    return toZonedWallClock(new Date(value), timeZone);
+  };
+
+  const start = toWallClockDay(range.start);
+  const end = toWallClockDay(range.end);
+  end.setHours(23, 59, 59, 999);
+
+  return {
+    start: zonedWallClockToUtc(start, timeZone),
+    end: zonedWallClockToUtc(end, timeZone),
+  };
+};
+
+/**
+ * Filter events by time range (today, tomorrow, this weekend, this week, this month, custom)
+ * Ranges are evaluated in each event's own timezone (see timezoneHelpers.js),
+ * so "this weekend" means the weekend where the event takes place. Events
+ * match every day they cover, so a festival that started yesterday is still
+ * on today; overnight parties only count for the night they start.
  * @param {Array<Object>} events - Array of event objects
- * @param {string|Object} range - Time range ('today', 'tomorrow', 'weekend', 'month') or {start, end}
+ * @param {string|Object} range - Time range ('today', 'tomorrow', 'weekend', 'week', 'month') or {start, end}
  * @returns {Array<Object>} Filtered array of events
  * @throws {TypeError} If events is not an array
  *
@@ -131,6 +175,31 @@ export const filterEventsByHashtag = (events, hashtag) => {
  *     expect(result).toHaveLength(1);
  *     expect(result[0].eventId).toBe('1');
  *   });
+ *
+ *   it('should use the event timezone', () => {
+ *     // 9 PM on Oct 21 in Miami is 1 AM on Oct 22 UTC
+ *     const events = [{
+ *       eventId: '1', timezone: 'America/New_York', startTime: '21:00',
+ *       date: '2025-10-22T01:00:00.000Z', startAt: '2025-10-22T01:00:00.000Z'
+ *     }];
+ *     const result = filterEventsByTimeRange(events, { start: '2025-10-21', end: '2025-10-21' });
+ *     expect(result).toHaveLength(1);
+ *   });
+ *
+ *   it('should include multi-day events on every day they cover', () => {
+ *     const events = [{
+ *       eventId: '1', startTime: '18:00', endTime: '23:00',
+ *       date: new Date(2025, 9, 19, 18).toISOString(),
+ *       startAt: new Date(2025, 9, 19, 18).toISOString(),
+ *       endAt: new Date(2025, 9, 22, 23).toISOString()
+ *     }];
+ *     expect(filterEventsByTimeRange(events, 'today')).toHaveLength(1);
+ *   });
+ *
+ *   it('should keep overnight events on the night they start', () => {
+ *     const events = [{ eventId: '1', date: '2025-10-20T00:00:00.000Z', startTime: '22:00', endTime: '03:00' }];
+ *     expect(filterEventsByTimeRange(events, 'today')).toHaveLength(0);
+ *   });
  * });
  */
 export const filterEventsByTimeRange = (events, range) => {
@@ -142,60 +211,26 @@ export const filterEventsByTimeRange = (events, range) => {
     return events;
   }
 
-  const now = new Date();
-  now.setHours(0, 0, 0, 0); // Start of today
-
-  let startDate, endDate;
-
-  if (typeof range === 'string') {
-    switch (range.toLowerCase()) {
-      case 'today': {
-        startDate = new Date(now);
-        endDate = new Date(now);
-        endDate.setHours(23, 59, 59, 999);
-        break;
-      }
-      case 'tomorrow': {
-        startDate = new Date(now);
-        startDate.setDate(startDate.getDate() + 1);
-        endDate = new Date(startDate);
-        endDate.setHours(23, 59, 59, 999);
-        break;
-      }
-      case 'weekend': {
-        // Find next/current weekend (Saturday-Sunday)
-        const dayOfWeek = now.getDay();
-        const daysUntilSaturday = dayOfWeek === 0 ? 6 : 6 - dayOfWeek;
-        startDate = new Date(now);
-        startDate.setDate(startDate.getDate() + daysUntilSaturday);
-        endDate = new Date(startDate);
-        endDate.setDate(endDate.getDate() + 1);
-        endDate.setHours(23, 59, 59, 999);
-        break;
-      }
-      case 'month': {
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
-        break;
-      }
-      default:
-        return events;
-    }
-  } else if (typeof range === 'object' && range.start && range.end) {
-    startDate = new Date(range.start);
-    endDate = new Date(range.end);
-    endDate.setHours(23, 59, 59, 999);
-  } else {
+  const isNamedRange = typeof range === 'string' && DATE_RANGE_TYPES.includes(range.toLowerCase());
+  const isCustomRange = typeof range === 'object' && range.start && range.end;
+
+  if (!isNamedRange && !isCustomRange) {
     return events;
   }
 
   return events.filter((event) => {
-    if (!event.date) {
+    const span = getEventSpan(event);
+    if (!span) {
       return false;
     }
 
-    const eventDate = new Date(event.date);
-    return eventDate >= startDate && eventDate <= endDate;
+    // Each event's range is worked out in its own timezone
+    const timeZone = getEventTimezone(event);
+    const { start, end } = isNamedRange
+      ? getDateRange(range, timeZone)
+      : getCustomRangeBounds(range, timeZone);
+
+    return span.start <= end && span.end >= start;
   });
 };
 
@@ -260,10 +295,15 @@ export const filterEventsByCategory = (events, category) => {
 };
 
 /**
- * Search events by text query (searches name, description, venue, hashtags)
+ * Search events by text query (searches name, lineup, hashtags, venue, description, address)
+ * Matching forgives case, accents, plurals and typos (see searchIndexHelpers.js);
+ * every word must match. Best matches come first.
  * @param {Array<Object>} events - Array of event objects
  * @param {string} searchTerm - Search query
- * @returns {Array<Object>} Filtered array of events matching search
+ * @param {Object} [options] - Scoring options
+ * @param {Object} [options.fieldWeights=SEARCH_FIELD_WEIGHTS] - How much each field counts for
+ * @param {Object} [options.matchWeights=SEARCH_MATCH_WEIGHTS] - How much exact, prefix and fuzzy matches count for
+ * @returns {Array<Object>} Filtered array of events matching search, best match first
  * @throws {TypeError} If events is not an array
  *
  * @example
@@ -326,9 +366,34 @@ export const filterEventsByCategory = (events, category) => {
  *     const result = searchEvents(events, '');
  *     expect(result).toHaveLength(2);
  *   });
+ *
+ *   it('should forgive typos, accents and plurals', () => {
+ *     expect(searchEvents(events, 'soca brunh')[0].eventId).toBe('2');
+ *     expect(searchEvents(events, 'Afrobeat')[0].eventId).toBe('1');
+ *     expect(searchEvents(events, 'Dançe')[0].eventId).toBe('1');
+ *   });
+ *
+ *   it('should match part of a hashtag or title word', () => {
+ *     expect(searchEvents(events, 'beats').map(event => event.eventId)).toEqual(['1']);
+ *     expect(searchEvents(events, 'runch').map(event => event.eventId)).toEqual(['2']);
+ *   });
+ *
+ *   it('should need every word to match', () => {
+ *     expect(searchEvents(events, 'soca brooklyn')).toHaveLength(0);
+ *   });
+ *
+ *   it('should rank by configurable field weights', () => {
+ *     const ranked = [
+ *       { eventId: 'a', name: 'Vibes', description: 'Brunch' },
+ *       { eventId: 'b', name: 'Brunch', description: 'Vibes' }
+ *     ];
+ *     expect(searchEvents(ranked, 'brunch').map(event => event.eventId)).toEqual(['b', 'a']);
+ *     const descriptionFirst = { ...SEARCH_FIELD_WEIGHTS, title: 1, description: 10 };
+ *     expect(searchEvents(ranked, 'brunch', { fieldWeights: descriptionFirst }).map(event => event.eventId)).toEqual(['a', 'b']);
+ *   });
  * });
  */
-export const searchEvents = (events, searchTerm) => {
+export const searchEvents = (events, searchTerm, options = {}) => {
   if (!Array.isArray(events)) {
     throw new TypeError('Events must be an array');
   }
@@ -337,54 +402,56 @@ export const searchEvents = (events, searchTerm) => {
     return events;
   }
 
-  const normalizedSearch = searchTerm.toLowerCase().trim();
+  const parsedQuery = parseSearchQuery(searchTerm);
 
-  if (!normalizedSearch) {
+  if (parsedQuery.terms.length === 0 && !parsedQuery.prefix) {
     return events;
   }
 
-  return events.filter((event) => {
-    // Search in event name
-    if (event.name && event.name.toLowerCase().includes(normalizedSearch)) {
-      return true;
-    }
-
-    // Search in description
-    if (event.description && event.description.toLowerCase().includes(normalizedSearch)) {
-      return true;
-    }
-
-    // Search in venue
-    if (event.venue && event.venue.toLowerCase().includes(normalizedSearch)) {
-      return true;
-    }
+  const { fieldWeights = SEARCH_FIELD_WEIGHTS, matchWeights = SEARCH_MATCH_WEIGHTS } = options;
 
-    // Search in address
-    if (event.address) {
-      const addressString = [
-        event.address.street,
-        event.address.city,
-        event.address.state,
-        event.address.zip,
-      ]
-        .filter(Boolean)
-        .join(' ')
-        .toLowerCase();
-
-      if (addressString.includes(normalizedSearch)) {
-        return true;
-      }
-    }
+  return events
+    .map((event) => ({
+      event,
+      score: scoreSearchMatch(buildSearchTerms(event, fieldWeights, matchWeights), parsedQuery, matchWeights),
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ event }) => event);
+};
 
-    // Search in hashtags
-    if (event.hashtags && Array.isArray(event.hashtags)) {
-      return event.hashtags.some((tag) =>
-        tag.toLowerCase().includes(normalizedSearch)
-      );
-    }
+/**
+ * Get a "did you mean" suggestion for a search over a list of events
+ * @param {Array<Object>} events - Array of event objects
+ * @param {string} searchTerm - Search query
+ * @returns {string|null} Corrected query, or null if every word matches as typed
+ *
+ * @example
+ * getSearchSuggestion(events, 'soka brunch');
+ * // Returns: 'soca brunch'
+ *
+ * @test
+ * describe('getSearchSuggestion', () => {
+ *   const events = [{ name: 'Soca Brunch', hashtags: ['afrobeats'] }];
+ *
+ *   it('should correct misspelled words', () => {
+ *     expect(getSearchSuggestion(events, 'soka brunch')).toBe('soca brunch');
+ *     expect(getSearchSuggestion(events, 'afrobeets')).toBe('afrobeats');
+ *   });
+ *
+ *   it('should return null when the search matches', () => {
+ *     expect(getSearchSuggestion(events, 'soca bru')).toBeNull();
+ *     expect(getSearchSuggestion(events, '')).toBeNull();
+ *   });
+ * });
+ */
+export const getSearchSuggestion = (events, searchTerm) => {
+  if (!Array.isArray(events) || !searchTerm || typeof searchTerm !== 'string') {
+    return null;
+  }
 
-    return false;
-  });
+  const corrections = findSearchCorrections(parseSearchQuery(searchTerm), buildSearchVocabulary(events));
+  return suggestSearchQuery(searchTerm, corrections);
 };
 
 /**
@@ -465,6 +532,8 @@ export const sortEventsByDate = (events, order = 'asc') => {
 
 /**
  * Filter events by price range
+ * An event matches when any of its ticket tiers (or its single legacy `price`)
+ * is within the range.
  * @param {Array<Object>} events - Array of event objects
  * @param {Object} priceRange - Price range {min, max}
  * @returns {Array<Object>} Filtered array of events
@@ -496,6 +565,16 @@ export const sortEventsByDate = (events, order = 'asc') => {
  *     const result = filterEventsByPrice(events, { min: 0, max: 10 });
  *     expect(result).toHaveLength(1);
  *   });
+ *
+ *   it('should match events on any ticket tier', () => {
+ *     const events = [
+ *       { eventId: '1', price: 20, ticketTiers: [{ name: 'Early', price: 20 }, { name: 'VIP', price: 300 }] },
+ *       { eventId: '2', price: 40, ticketTiers: [{ name: 'GA', price: 40 }] }
+ *     ];
+ *     const result = filterEventsByPrice(events, { min: 100 });
+ *     expect(result).toHaveLength(1);
+ *     expect(result[0].eventId).toBe('1');
+ *   });
  * });
  */
 export const filterEventsByPrice = (events, priceRange) => {
@@ -513,23 +592,13 @@ export const filterEventsByPrice = (events, priceRange) => {
     return events;
   }
 
-  return events.filter((event) => {
-    const price = event.price ?? 0;
-
-    if (min !== undefined && price < min) {
-      return false;
-    }
-
-    if (max !== undefined && price > max) {
-      return false;
-    }
-
-    return true;
-  });
+  return events.filter((event) => eventMatchesPriceRange(event, { min, max }));
 };
 
 /**
  * Combine multiple filters on events
+ * For how many events each filter option would leave, see getSearchFacets in
+ * facetHelpers.js.
  * @param {Array<Object>} events - Array of event objects
  * @param {Object} filters - Object containing filter criteria
  * @returns {Array<Object>} Filtered and sorted array of events
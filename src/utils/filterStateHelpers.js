@@ -0,0 +1,402 @@
+/**
+ * Filter State Utilities
+ *
+ * This module keeps the filters of a listing page in its query string, so a
+ * refresh, a shared link or the back button shows the same events. Pages read
+ * their filters with parseFilterState and change them with updateFilterParams,
+ * rather than keeping them in React state.
+ *
+ * The state is { q, category, timeRange, priceRange, hashtags, hashtagQuery,
+ * sort, near, radius, page }, where timeRange is one of DATE_RANGE_TYPES or
+ * ALL_DATES, priceRange is { min, max }, hashtagQuery is a hashtag expression
+ * (see hashtagQueryHelpers.js), near is the "lat,lng" to search around (see
+ * toLocationFilter), radius is in miles and page is how many pages of results
+ * are shown.
+ */
+
+import { DATE_RANGE_TYPES } from './dateHelpers';
+import { PRICE_BUCKETS } from './facetHelpers';
+import { GEOCODING_TABLE } from '../data/geocodingTable';
+import {
+  DEFAULT_LOCATION_FILTER,
+  DEFAULT_RADIUS_MILES,
+  RADIUS_OPTIONS_MILES,
+  getPlaceLabel,
+  normalizeCoordinates,
+} from './geoHelpers';
+
+/**
+ * Query string parameter for each filter
+ * These match the parameters SearchResults and CalendarView already used.
+ */
+export const FILTER_STATE_PARAMS = {
+  q: 'q',
+  category: 'category',
+  timeRange: 'date',
+  priceRange: 'price',
+  hashtags: 'hashtag',
+  hashtagQuery: 'tags',
+  sort: 'sort',
+  near: 'near',
+  radius: 'radius',
+  page: 'page',
+};
+
+/**
+ * Time range for every upcoming date
+ * Pages whose default is a named range need it to put "all dates" in the URL.
+ */
+export const ALL_DATES = 'all';
+
+/**
+ * Filter state with nothing picked; pages pass their own defaults on top
+ */
+export const EMPTY_FILTER_STATE = {
+  q: '',
+  category: null,
+  timeRange: null,
+  priceRange: null,
+  hashtags: [],
+  hashtagQuery: '',
+  sort: null,
+  near: null,
+  radius: DEFAULT_RADIUS_MILES,
+  page: 1,
+};
+
+// Decimal places kept for "near" coordinates (about 10m)
+const NEAR_PRECISION = 4;
+
+/**
+ * Normalize a hashtag for the URL (no #, lowercase)
+ * @param {string} tag - Hashtag
+ * @returns {string} Normalized hashtag
+ */
+const normalizeStateHashtag = (tag) => tag.replace('#', '').toLowerCase().trim();
+
+/**
+ * Write a price range as a PRICE_BUCKETS ID, or "min-max" for other ranges
+ * @param {Object|null} range - { min, max }
+ * @returns {string|null} URL value (null for no range)
+ *
+ * @test
+ * describe('serializePriceRange', () => {
+ *   it('uses bucket IDs for bucket ranges', () => {
+ *     expect(serializePriceRange({ min: 0, max: 0 })).toBe('free');
+ *     expect(serializePriceRange({ min: 50.01 })).toBe('over-50');
+ *   });
+ *
+ *   it('writes other ranges as min-max', () => {
+ *     expect(serializePriceRange({ min: 10, max: 40 })).toBe('10-40');
+ *     expect(serializePriceRange({ max: 30 })).toBe('-30');
+ *   });
+ * });
+ */
+export const serializePriceRange = (range) => {
+  if (!range || (range.min === undefined && range.max === undefined)) return null;
+
+  const bucket = PRICE_BUCKETS.find(({ range: bucketRange }) => (
+    bucketRange.min === range.min && bucketRange.max === range.max
+  ));
+  if (bucket) return bucket.id;
+
+  return `${range.min ?? ''}-${range.max ?? ''}`;
+};
+
+/**
+ * Read a price range written by serializePriceRange
+ * @param {string|null} value - URL value
+ * @returns {Object|null} { min, max }, or null if missing or malformed
+ *
+ * @test
+ * describe('parsePriceRange', () => {
+ *   it('reads bucket IDs and min-max ranges', () => {
+ *     expect(parsePriceRange('under-20')).toEqual({ min: 0.01, max: 19.99 });
+ *     expect(parsePriceRange('10-40')).toEqual({ min: 10, max: 40 });
+ *     expect(parsePriceRange('25-')).toEqual({ min: 25 });
+ *   });
+ *
+ *   it('ignores malformed values', () => {
+ *     expect(parsePriceRange('cheap')).toBeNull();
+ *     expect(parsePriceRange('-')).toBeNull();
+ *   });
+ * });
+ */
+export const parsePriceRange = (value) => {
+  if (!value) return null;
+
+  const bucket = PRICE_BUCKETS.find(({ id }) => id === value);
+  if (bucket) return { ...bucket.range };
+
+  const match = value.match(/^(\d+(?:\.\d+)?)?-(\d+(?:\.\d+)?)?$/);
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+
+  const range = {};
+  if (match[1] !== undefined) range.min = Number(match[1]);
+  if (match[2] !== undefined) range.max = Number(match[2]);
+  return range;
+};
+
+/**
+ * Read a "lat,lng" centre from the URL
+ * @param {string|null} value - URL value
+ * @returns {string|null} "lat,lng" with plain numbers, or null if missing or malformed
+ *
+ * @test
+ * describe('parseNear', () => {
+ *   it('reads coordinates', () => {
+ *     expect(parseNear('40.6782,-73.9442')).toBe('40.6782,-73.9442');
+ *     expect(parseNear('40.50,-73.90')).toBe('40.5,-73.9');
+ *   });
+ *
+ *   it('ignores malformed and out-of-range values', () => {
+ *     expect(parseNear('brooklyn')).toBeNull();
+ *     expect(parseNear('91,0')).toBeNull();
+ *   });
+ * });
+ */
+const parseNear = (value) => {
+  const [lat, lng, ...rest] = (value || '').split(',');
+  const center = rest.length === 0 ? normalizeCoordinates({ lat, lng }) : null;
+  return center ? `${center.lat},${center.lng}` : null;
+};
+
+/**
+ * Read a listing page's filters from its query string
+ * Missing or invalid values fall back to the defaults.
+ * @param {URLSearchParams} searchParams - Query string (e.g. from useSearchParams)
+ * @param {Object} [defaults={}] - Page defaults, on top of EMPTY_FILTER_STATE
+ * @returns {Object} { q, category, timeRange, priceRange, hashtags, hashtagQuery, sort, near, radius, page }
+ *
+ * @example
+ * const [searchParams] = useSearchParams();
+ * const filters = parseFilterState(searchParams, { timeRange: 'month' });
+ *
+ * @test
+ * describe('parseFilterState', () => {
+ *   it('reads every filter', () => {
+ *     const params = new URLSearchParams('q=soca&category=brunch&date=weekend&price=free&hashtag=Soca,%23kompa&tags=%23soca+OR+%23kompa&sort=date&near=40.6782,-73.9442&radius=10&page=3');
+ *     expect(parseFilterState(params)).toEqual({
+ *       q: 'soca',
+ *       category: 'brunch',
+ *       timeRange: 'weekend',
+ *       priceRange: { min: 0, max: 0 },
+ *       hashtags: ['soca', 'kompa'],
+ *       hashtagQuery: '#soca OR #kompa',
+ *       sort: 'date',
+ *       near: '40.6782,-73.9442',
+ *       radius: 10,
+ *       page: 3,
+ *     });
+ *   });
+ *
+ *   it('falls back to defaults for missing or invalid values', () => {
+ *     const filters = parseFilterState(new URLSearchParams('date=someday&near=here&radius=7&page=-2'), { timeRange: 'month' });
+ *     expect(filters.timeRange).toBe('month');
+ *     expect(filters.near).toBeNull();
+ *     expect(filters.radius).toBe(DEFAULT_RADIUS_MILES);
+ *     expect(filters.page).toBe(1);
+ *     expect(filters.hashtags).toEqual([]);
+ *   });
+ *
+ *   it('reads all dates over a default range', () => {
+ *     expect(parseFilterState(new URLSearchParams('date=all'), { timeRange: 'month' }).timeRange).toBe(ALL_DATES);
+ *   });
+ * });
+ */
+export const parseFilterState = (searchParams, defaults = {}) => {
+  const state = { ...EMPTY_FILTER_STATE, ...defaults };
+  const get = (field) => searchParams.get(FILTER_STATE_PARAMS[field]);
+
+  const timeRange = get('timeRange')?.toLowerCase();
+  const page = parseInt(get('page'), 10);
+  const radius = Number(get('radius'));
+  const hashtags = (get('hashtags') || '').split(',').map(normalizeStateHashtag).filter(Boolean);
+
+  return {
+    q: get('q') || state.q,
+    category: get('category') || state.category,
+    timeRange: DATE_RANGE_TYPES.includes(timeRange) || timeRange === ALL_DATES ? timeRange : state.timeRange,
+    priceRange: parsePriceRange(get('priceRange')) || state.priceRange,
+    hashtags: hashtags.length > 0 ? [...new Set(hashtags)] : state.hashtags,
+    hashtagQuery: get('hashtagQuery') || state.hashtagQuery,
+    sort: get('sort') || state.sort,
+    near: parseNear(get('near')) || state.near,
+    radius: RADIUS_OPTIONS_MILES.includes(radius) ? radius : state.radius,
+    page: page > 0 ? page : state.page,
+  };
+};
+
+/**
+ * Turn a filter state time range into the date filters getEvents and the
+ * hashtag searches take
+ * ALL_DATES has no named range; it shows every event from now on.
+ * @param {string|null} timeRange - Filter state time range
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} { timeRange } or { startDate }
+ *
+ * @test
+ * describe('toDateFilters', () => {
+ *   it('passes named ranges through', () => {
+ *     expect(toDateFilters('weekend')).toEqual({ timeRange: 'weekend' });
+ *   });
+ *
+ *   it('starts all dates now', () => {
+ *     const now = new Date('2025-06-01T12:00:00Z');
+ *     expect(toDateFilters(ALL_DATES, now)).toEqual({ startDate: '2025-06-01T12:00:00.000Z' });
+ *   });
+ * });
+ */
+export const toDateFilters = (timeRange, now = new Date()) => (
+  timeRange === ALL_DATES ? { startDate: now.toISOString() } : { timeRange }
+);
+
+/**
+ * Turn filter state into the value LocationFilter takes
+ * Centres in the geocoding table show as that city; any other centre came
+ * from the browser's location. Listings sort closest-first with
+ * sort "distance", and only around a centre.
+ * @param {Object} filters - { near, radius, sort }, from parseFilterState
+ * @returns {Object} { center, label, radiusMiles, sortBy } (see DEFAULT_LOCATION_FILTER)
+ *
+ * @test
+ * describe('toLocationFilter', () => {
+ *   it('labels cities from the geocoding table', () => {
+ *     expect(toLocationFilter({ near: '40.6782,-73.9442', radius: 10, sort: 'distance' })).toEqual({
+ *       center: { lat: 40.6782, lng: -73.9442 },
+ *       label: 'Brooklyn, NY',
+ *       radiusMiles: 10,
+ *       sortBy: 'distance',
+ *     });
+ *   });
+ *
+ *   it('labels other centres as near me', () => {
+ *     expect(toLocationFilter({ near: '40.7,-73.9', radius: 25, sort: null }).label).toBe('Near me');
+ *   });
+ *
+ *   it('searches anywhere, soonest first, without a centre', () => {
+ *     expect(toLocationFilter({ near: null, radius: 25, sort: 'distance' })).toEqual(DEFAULT_LOCATION_FILTER);
+ *   });
+ * });
+ */
+export const toLocationFilter = ({ near, radius, sort }) => {
+  if (!near) {
+    return { ...DEFAULT_LOCATION_FILTER, radiusMiles: radius };
+  }
+
+  const [lat, lng] = near.split(',').map(Number);
+  const place = GEOCODING_TABLE.find(entry => entry.lat === lat && entry.lng === lng);
+
+  return {
+    center: { lat, lng },
+    label: place ? getPlaceLabel(place) : 'Near me',
+    radiusMiles: radius,
+    sortBy: sort === 'distance' ? 'distance' : 'date',
+  };
+};
+
+/**
+ * Turn a LocationFilter value into filter state changes, for updateFilterParams
+ * @param {Object} locationFilter - { center, radiusMiles, sortBy }
+ * @returns {Object} { near, radius, sort }
+ *
+ * @test
+ * describe('fromLocationFilter', () => {
+ *   it('rounds the centre', () => {
+ *     expect(fromLocationFilter({ center: { lat: 40.712776, lng: -74.005974 }, radiusMiles: 10, sortBy: 'distance' }))
+ *       .toEqual({ near: '40.7128,-74.006', radius: 10, sort: 'distance' });
+ *   });
+ *
+ *   it('clears the sort without a centre', () => {
+ *     expect(fromLocationFilter({ center: null, radiusMiles: 25, sortBy: 'distance' }))
+ *       .toEqual({ near: null, radius: 25, sort: null });
+ *   });
+ * });
+ */
+export const fromLocationFilter = ({ center, radiusMiles, sortBy }) => {
+  const round = (degrees) => Number(degrees.toFixed(NEAR_PRECISION));
+
+  return {
+    near: center ? `${round(center.lat)},${round(center.lng)}` : null,
+    radius: radiusMiles,
+    sort: center && sortBy === 'distance' ? 'distance' : null,
+  };
+};
+
+/**
+ * Write one filter as its URL value
+ * @param {string} field - Filter state field
+ * @param {*} value - Filter value
+ * @returns {string|null} URL value (null to leave the parameter out)
+ */
+const serializeFilterValue = (field, value) => {
+  if (field === 'priceRange') return serializePriceRange(value);
+  if (field === 'hashtags') {
+    const tags = (Array.isArray(value) ? value : [value]).filter(Boolean).map(normalizeStateHashtag);
+    return tags.length > 0 ? [...new Set(tags)].join(',') : null;
+  }
+  if (value === null || value === undefined || value === '') return null;
+  return String(value);
+};
+
+/**
+ * Change some filters in a query string
+ * Values equal to the page defaults are left out of the URL, other parameters
+ * are kept, and changing any filter but the page goes back to page 1. Keys
+ * that aren't filter state fields (e.g. CalendarView's "view") are set as
+ * plain parameters, or removed when empty.
+ * @param {URLSearchParams} searchParams - Current query string
+ * @param {Object} changes - Filter state fields (or plain parameters) to change
+ * @param {Object} [defaults={}] - Page defaults, as passed to parseFilterState
+ * @returns {URLSearchParams} New query string, for setSearchParams
+ *
+ * @example
+ * setSearchParams(updateFilterParams(searchParams, { timeRange: 'weekend' }, { timeRange: 'month' }));
+ *
+ * @test
+ * describe('updateFilterParams', () => {
+ *   it('writes filters and keeps other parameters', () => {
+ *     const next = updateFilterParams(new URLSearchParams('city=new-york'), { hashtags: ['#Soca'], priceRange: { min: 10, max: 40 } });
+ *     expect(next.toString()).toBe('city=new-york&hashtag=soca&price=10-40');
+ *   });
+ *
+ *   it('leaves defaults out', () => {
+ *     const next = updateFilterParams(new URLSearchParams('date=today'), { timeRange: 'month' }, { timeRange: 'month' });
+ *     expect(next.has('date')).toBe(false);
+ *   });
+ *
+ *   it('goes back to page 1 when a filter changes', () => {
+ *     const params = new URLSearchParams('page=3');
+ *     expect(updateFilterParams(params, { category: 'brunch' }).has('page')).toBe(false);
+ *     expect(updateFilterParams(params, { page: 4 }).get('page')).toBe('4');
+ *   });
+ *
+ *   it('sets plain parameters', () => {
+ *     const next = updateFilterParams(new URLSearchParams('view=week'), { view: null, month: '2025-06' });
+ *     expect(next.toString()).toBe('month=2025-06');
+ *   });
+ * });
+ */
+export const updateFilterParams = (searchParams, changes, defaults = {}) => {
+  const next = new URLSearchParams(searchParams);
+  const state = { ...EMPTY_FILTER_STATE, ...defaults };
+
+  Object.entries(changes).forEach(([field, value]) => {
+    const param = FILTER_STATE_PARAMS[field] || field;
+    const serialized = serializeFilterValue(field, value);
+    const isDefault = field in FILTER_STATE_PARAMS && serialized === serializeFilterValue(field, state[field]);
+
+    if (serialized === null || isDefault) {
+      next.delete(param);
+    } else {
+      next.set(param, serialized);
+    }
+  });
+
+  const changesFilter = Object.keys(changes).some(field => field in FILTER_STATE_PARAMS && field !== 'page');
+  if (changesFilter && !('page' in changes)) {
+    next.delete(FILTER_STATE_PARAMS.page);
+  }
+
+  return next;
+};
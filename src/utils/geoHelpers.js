@@ -0,0 +1,326 @@
+/**
+ * Geo Utilities
+ *
+ * This module provides helper functions for location-aware discovery:
+ * geohashes for "near me" queries, distances between coordinates, and a
+ * lookup against the local geocoding table (see data/geocodingTable.js) so
+ * nothing depends on a live geocoding service.
+ *
+ * Events store:
+ * - `coordinates`: { lat, lng } (null when the location is unknown)
+ * - `geohash`: geohash of `coordinates`, so events near a point can be found
+ *   with a few string range queries (see getGeohashQueryBounds)
+ *
+ * Distances are in miles.
+ */
+
+import { GEOCODING_TABLE } from '../data/geocodingTable.js';
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Enough for ~5m accuracy; query bounds never need more
+const GEOHASH_PRECISION = 9;
+
+const EARTH_RADIUS_MILES = 3958.8;
+const MILES_PER_DEGREE_LATITUDE = 69.05;
+
+/**
+ * Radius choices for "within N miles" filters
+ */
+export const RADIUS_OPTIONS_MILES = [5, 10, 25, 50, 100];
+
+/**
+ * Default radius for "near me" searches
+ */
+export const DEFAULT_RADIUS_MILES = 25;
+
+/**
+ * Location filter state for listings before a place is chosen (see LocationFilter)
+ * `center` is the { lat, lng } to search around, or null for anywhere.
+ */
+export const DEFAULT_LOCATION_FILTER = {
+  center: null,
+  label: 'Anywhere',
+  radiusMiles: DEFAULT_RADIUS_MILES,
+  sortBy: 'date',
+};
+
+/**
+ * Get the getEvents filters for a location filter
+ * @param {Object} locationFilter - { center, radiusMiles } (see DEFAULT_LOCATION_FILTER)
+ * @returns {Object} { near, radiusMiles }, or {} to search anywhere
+ *
+ * @test
+ * describe('toLocationQuery', () => {
+ *   it('searches around the chosen centre', () => {
+ *     expect(toLocationQuery({ center: { lat: 1, lng: 2 }, radiusMiles: 10 }))
+ *       .toEqual({ near: { lat: 1, lng: 2 }, radiusMiles: 10 });
+ *   });
+ *
+ *   it('searches anywhere without a centre', () => {
+ *     expect(toLocationQuery(DEFAULT_LOCATION_FILTER)).toEqual({});
+ *   });
+ * });
+ */
+export const toLocationQuery = (locationFilter) => (
+  locationFilter.center ? { near: locationFilter.center, radiusMiles: locationFilter.radiusMiles } : {}
+);
+
+/**
+ * Get the display label for a city in the geocoding table
+ * @param {Object} place - Geocoding table entry
+ * @returns {string} e.g. "Brooklyn, NY"
+ */
+export const getPlaceLabel = (place) => [place.city, place.state].filter(Boolean).join(', ');
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Clean up a { lat, lng } pair, e.g. from form inputs
+ * @param {Object} [coordinates] - { lat, lng } as numbers or numeric strings
+ * @returns {Object|null} { lat, lng } as numbers, or null if missing or out of range
+ *
+ * @test
+ * describe('normalizeCoordinates', () => {
+ *   it('parses numeric strings', () => {
+ *     expect(normalizeCoordinates({ lat: '40.68', lng: '-73.94' })).toEqual({ lat: 40.68, lng: -73.94 });
+ *   });
+ *
+ *   it('rejects empty and out-of-range values', () => {
+ *     expect(normalizeCoordinates({ lat: '', lng: '' })).toBeNull();
+ *     expect(normalizeCoordinates({ lat: 91, lng: 0 })).toBeNull();
+ *     expect(normalizeCoordinates(null)).toBeNull();
+ *   });
+ * });
+ */
+export const normalizeCoordinates = (coordinates) => {
+  if (!coordinates || coordinates.lat === '' || coordinates.lng === '') return null;
+
+  const lat = Number(coordinates.lat);
+  const lng = Number(coordinates.lng);
+  if (coordinates.lat == null || coordinates.lng == null || !Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+  return { lat, lng };
+};
+
+/**
+ * Encode coordinates as a geohash
+ * Geohashes sharing a prefix are in the same cell, so nearby places sort
+ * next to each other.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} [precision=9] - Number of characters
+ * @returns {string} Geohash
+ *
+ * @test
+ * describe('encodeGeohash', () => {
+ *   it('matches known geohashes', () => {
+ *     expect(encodeGeohash(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+ *     expect(encodeGeohash(40.6782, -73.9442, 5)).toBe('dr5rm');
+ *   });
+ * });
+ */
+export const encodeGeohash = (lat, lng, precision = GEOHASH_PRECISION) => {
+  let latMin = -90;
+  let latMax = 90;
+  let lngMin = -180;
+  let lngMax = 180;
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let isLngBit = true;
+
+  // Bits alternate between longitude and latitude, five to a character
+  while (hash.length < precision) {
+    if (isLngBit) {
+      const mid = (lngMin + lngMax) / 2;
+      value = value * 2 + (lng >= mid ? 1 : 0);
+      if (lng >= mid) lngMin = mid; else lngMax = mid;
+    } else {
+      const mid = (latMin + latMax) / 2;
+      value = value * 2 + (lat >= mid ? 1 : 0);
+      if (lat >= mid) latMin = mid; else latMax = mid;
+    }
+    isLngBit = !isLngBit;
+
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Get the event fields that come from its coordinates
+ * @param {Object} [coordinates] - { lat, lng }
+ * @returns {Object} { coordinates, geohash } (both null when unknown)
+ *
+ * @example
+ * const eventData = { ...eventData, ...buildGeoFields({ lat: 40.68, lng: -73.94 }) };
+ */
+export const buildGeoFields = (coordinates) => {
+  const normalized = normalizeCoordinates(coordinates);
+
+  return {
+    coordinates: normalized,
+    geohash: normalized ? encodeGeohash(normalized.lat, normalized.lng) : null,
+  };
+};
+
+/**
+ * Get the distance between two points along the Earth's surface
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} Distance in miles
+ *
+ * @test
+ * describe('getDistanceMiles', () => {
+ *   it('measures great-circle distance', () => {
+ *     const brooklyn = { lat: 40.6782, lng: -73.9442 };
+ *     const manhattan = { lat: 40.7831, lng: -73.9712 };
+ *     expect(getDistanceMiles(brooklyn, manhattan)).toBeCloseTo(7.4, 1);
+ *     expect(getDistanceMiles(brooklyn, brooklyn)).toBe(0);
+ *   });
+ * });
+ */
+export const getDistanceMiles = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Get how far an event is from a point
+ * @param {Object} event - Event with `coordinates`
+ * @param {Object} center - { lat, lng }
+ * @returns {number|null} Distance in miles, or null if the event has no coordinates
+ */
+export const getEventDistanceMiles = (event, center) => {
+  const coordinates = normalizeCoordinates(event.coordinates);
+  return coordinates ? getDistanceMiles(center, coordinates) : null;
+};
+
+/**
+ * Get geohash ranges that together cover a circle
+ * Uses the centre's geohash cell and its eight neighbours at the finest
+ * precision whose cells are at least as big as the radius, so every point in
+ * the circle falls in one of them. Results need a distance check afterwards,
+ * since the cells also cover points outside the circle.
+ * @param {Object} center - { lat, lng }
+ * @param {number} radiusMiles - Radius in miles
+ * @returns {Array<Array<string>>} [start, end] pairs for `geohash >= start && geohash <= end` queries
+ *
+ * @example
+ * const bounds = getGeohashQueryBounds({ lat: 40.68, lng: -73.94 }, 10);
+ * // Returns up to 9 ranges, e.g. [['dr5r', 'dr5r~'], ...]
+ *
+ * @test
+ * describe('getGeohashQueryBounds', () => {
+ *   it('covers points inside the radius', () => {
+ *     const center = { lat: 40.6782, lng: -73.9442 };
+ *     const bounds = getGeohashQueryBounds(center, 10);
+ *     const harlem = encodeGeohash(40.8116, -73.9465);
+ *     expect(bounds.some(([start, end]) => harlem >= start && harlem <= end)).toBe(true);
+ *   });
+ *
+ *   it('returns at most nine unique ranges', () => {
+ *     const bounds = getGeohashQueryBounds({ lat: 33.749, lng: -84.388 }, 25);
+ *     expect(bounds.length).toBeLessThanOrEqual(9);
+ *     expect(new Set(bounds.map(([start]) => start)).size).toBe(bounds.length);
+ *   });
+ * });
+ */
+export const getGeohashQueryBounds = (center, radiusMiles) => {
+  const radiusLatDegrees = radiusMiles / MILES_PER_DEGREE_LATITUDE;
+  // Cells get narrower towards the poles, so size them for the edge of the circle nearest a pole
+  const farthestLat = Math.min(89.9, Math.abs(center.lat) + radiusLatDegrees);
+  const radiusLngDegrees = radiusLatDegrees / Math.cos(toRadians(farthestLat));
+
+  let precision = GEOHASH_PRECISION;
+  let cellLat = 0;
+  let cellLng = 0;
+  for (; precision > 0; precision--) {
+    const bits = precision * 5;
+    cellLat = 180 / 2 ** Math.floor(bits / 2);
+    cellLng = 360 / 2 ** Math.ceil(bits / 2);
+    if (cellLat >= radiusLatDegrees && cellLng >= radiusLngDegrees) break;
+  }
+
+  // No cell is big enough: search everywhere
+  if (precision === 0) return [['', '~']];
+
+  const hashes = new Set();
+  [-1, 0, 1].forEach((latStep) => {
+    [-1, 0, 1].forEach((lngStep) => {
+      const lat = Math.max(-90, Math.min(90, center.lat + latStep * cellLat));
+      const lng = ((center.lng + lngStep * cellLng + 540) % 360) - 180;
+      hashes.add(encodeGeohash(lat, lng, precision));
+    });
+  });
+
+  // '~' sorts after every geohash character
+  return [...hashes].sort().map(hash => [hash, `${hash}~`]);
+};
+
+/**
+ * Look up approximate coordinates for an address in the local geocoding table
+ * Tries the city (and state, when given), then the ZIP code's first three digits.
+ * @param {Object|string} [address] - Address object ({ city, state, zip }) or legacy "City, ST" string
+ * @returns {Object|null} { lat, lng }, or null if the address isn't in the table
+ *
+ * @test
+ * describe('geocodeAddress', () => {
+ *   it('matches cities and their aliases', () => {
+ *     expect(geocodeAddress({ city: 'Brooklyn', state: 'NY' })).toEqual({ lat: 40.6782, lng: -73.9442 });
+ *     expect(geocodeAddress({ city: 'new york city' })).toEqual({ lat: 40.7831, lng: -73.9712 });
+ *     expect(geocodeAddress('Atlanta, GA')).toEqual({ lat: 33.749, lng: -84.388 });
+ *   });
+ *
+ *   it('falls back to the ZIP code', () => {
+ *     expect(geocodeAddress({ city: 'Bed-Stuy', zip: '11216' })).toEqual({ lat: 40.6782, lng: -73.9442 });
+ *   });
+ *
+ *   it('returns null for unknown places', () => {
+ *     expect(geocodeAddress({ city: 'Nowhere' })).toBeNull();
+ *   });
+ * });
+ */
+export const geocodeAddress = (address) => {
+  if (!address) return null;
+
+  const [cityPart, statePart] = typeof address === 'string' ? address.split(',') : [address.city, address.state];
+  const city = cityPart?.trim().toLowerCase() || '';
+  const state = statePart?.trim().toLowerCase() || '';
+  const zipPrefix = typeof address === 'string' ? '' : address.zip?.trim().slice(0, 3) || '';
+
+  const entry = (city && GEOCODING_TABLE.find(place => (
+    [place.city, ...(place.aliases || [])].some(name => name.toLowerCase() === city)
+      && (!state || !place.state || place.state.toLowerCase() === state)
+  ))) || (zipPrefix && GEOCODING_TABLE.find(place => place.zipPrefixes?.includes(zipPrefix)));
+
+  return entry ? { lat: entry.lat, lng: entry.lng } : null;
+};
+
+/**
+ * Format a distance for display
+ * @param {number} miles - Distance in miles
+ * @returns {string} e.g. "0.4 mi", "12 mi"
+ *
+ * @test
+ * describe('formatDistance', () => {
+ *   it('keeps one decimal under 10 miles', () => {
+ *     expect(formatDistance(0.42)).toBe('0.4 mi');
+ *     expect(formatDistance(12.6)).toBe('13 mi');
+ *   });
+ * });
+ */
+export const formatDistance = (miles) => (
+  miles < 10 ? `${miles.toFixed(1)} mi` : `${Math.round(miles)} mi`
+);
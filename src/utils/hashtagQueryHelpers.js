@@ -0,0 +1,269 @@
+/**
+ * Hashtag Query Utilities
+ *
+ * This module parses hashtag expressions such as
+ * "#afrobeats AND #brooklyn NOT #18plus" or "#soca OR #dancehall", checks
+ * events against them, and picks which part of an expression Firestore can
+ * run itself (a query allows a single array-contains or array-contains-any).
+ *
+ * An expression is parsed into clauses joined by OR; each clause lists the
+ * hashtags an event must have (include) and must not have (exclude). NOT binds
+ * tightest, then AND, then OR, and hashtags next to each other are ANDed, so
+ * "#a #b OR #c NOT #d" reads as (a AND b) OR (c AND NOT d). Parentheses are
+ * not supported.
+ */
+
+// Most values Firestore allows in one array-contains-any
+export const ARRAY_CONTAINS_ANY_LIMIT = 30;
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Normalize a hashtag in an expression (no #, lowercase)
+ * @param {string} tag - Hashtag
+ * @returns {string} Normalized hashtag
+ */
+const normalizeQueryHashtag = (tag) => tag.replace('#', '').toLowerCase().trim();
+
+/**
+ * Parse a hashtag expression into clauses
+ * @param {string} text - Expression, e.g. "#soca OR #dancehall"
+ * @returns {Array<Object>} Clauses joined by OR: [{ include: [tags], exclude: [tags] }]
+ * @throws {Error} If the expression is empty or an operator is missing a hashtag
+ *
+ * @example
+ * parseHashtagQuery('#afrobeats AND #brooklyn NOT #18plus');
+ * // => [{ include: ['afrobeats', 'brooklyn'], exclude: ['18plus'] }]
+ *
+ * @test
+ * describe('parseHashtagQuery', () => {
+ *   it('reads AND and NOT into one clause', () => {
+ *     expect(parseHashtagQuery('#Afrobeats AND #brooklyn NOT #18plus')).toEqual([
+ *       { include: ['afrobeats', 'brooklyn'], exclude: ['18plus'] }
+ *     ]);
+ *   });
+ *
+ *   it('splits clauses on OR', () => {
+ *     expect(parseHashtagQuery('#soca or #dancehall #brunch')).toEqual([
+ *       { include: ['soca'], exclude: [] },
+ *       { include: ['dancehall', 'brunch'], exclude: [] }
+ *     ]);
+ *   });
+ *
+ *   it('allows a leading NOT', () => {
+ *     expect(parseHashtagQuery('NOT #18plus')).toEqual([{ include: [], exclude: ['18plus'] }]);
+ *   });
+ *
+ *   it('rejects dangling operators', () => {
+ *     expect(() => parseHashtagQuery('#soca OR')).toThrow();
+ *     expect(() => parseHashtagQuery('AND #soca')).toThrow();
+ *     expect(() => parseHashtagQuery('')).toThrow();
+ *   });
+ * });
+ */
+export const parseHashtagQuery = (text) => {
+  const tokens = (text || '').trim().split(/\s+/).filter(Boolean);
+  const clauses = [];
+  let clause = { include: [], exclude: [] };
+  let expectsHashtag = true;
+  let negate = false;
+
+  tokens.forEach((token) => {
+    const operator = token.toUpperCase();
+
+    if (operator === 'OR' || operator === 'AND') {
+      if (expectsHashtag) {
+        throw new Error(`Expected a hashtag before ${operator}`);
+      }
+      if (operator === 'OR') {
+        clauses.push(clause);
+        clause = { include: [], exclude: [] };
+      }
+      expectsHashtag = true;
+      return;
+    }
+
+    if (operator === 'NOT') {
+      if (negate) {
+        throw new Error('Expected a hashtag after NOT');
+      }
+      negate = true;
+      expectsHashtag = true;
+      return;
+    }
+
+    const tag = normalizeQueryHashtag(token);
+    if (!tag) {
+      throw new Error(`"${token}" is not a hashtag`);
+    }
+
+    const list = negate ? clause.exclude : clause.include;
+    if (!list.includes(tag)) list.push(tag);
+    negate = false;
+    expectsHashtag = false;
+  });
+
+  if (expectsHashtag) {
+    throw new Error(tokens.length === 0 ? 'Hashtag query is empty' : 'Expected a hashtag at the end of the query');
+  }
+
+  clauses.push(clause);
+  return clauses;
+};
+
+/**
+ * Check whether search box text is a hashtag expression (rather than words)
+ * Every word must be a #hashtag or AND / OR / NOT.
+ * @param {string} text - Search box text
+ * @returns {boolean} True if it parses as a hashtag expression
+ *
+ * @test
+ * describe('isHashtagQuery', () => {
+ *   it('accepts hashtags and operators', () => {
+ *     expect(isHashtagQuery('#soca OR #dancehall')).toBe(true);
+ *     expect(isHashtagQuery('#brunch')).toBe(true);
+ *   });
+ *
+ *   it('rejects plain words and broken expressions', () => {
+ *     expect(isHashtagQuery('soca brunch')).toBe(false);
+ *     expect(isHashtagQuery('#soca brunch')).toBe(false);
+ *     expect(isHashtagQuery('#soca AND')).toBe(false);
+ *   });
+ * });
+ */
+export const isHashtagQuery = (text) => {
+  const tokens = (text || '').trim().split(/\s+/).filter(Boolean);
+  const isValidToken = token => OPERATORS.includes(token.toUpperCase()) || (token.startsWith('#') && token.length > 1);
+
+  if (tokens.length === 0 || !tokens.every(isValidToken)) return false;
+
+  try {
+    parseHashtagQuery(text);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Write clauses back as an expression, e.g. for the URL or a filter chip
+ * @param {Array<Object>} clauses - Clauses from parseHashtagQuery
+ * @returns {string} Expression
+ *
+ * @test
+ * describe('formatHashtagQuery', () => {
+ *   it('round-trips through parseHashtagQuery', () => {
+ *     const clauses = parseHashtagQuery('#a #b not #c or #d');
+ *     expect(formatHashtagQuery(clauses)).toBe('#a AND #b NOT #c OR #d');
+ *   });
+ * });
+ */
+export const formatHashtagQuery = (clauses) => clauses
+  .map(clause => [
+    clause.include.map(tag => `#${tag}`).join(' AND '),
+    ...clause.exclude.map(tag => `NOT #${tag}`),
+  ].filter(Boolean).join(' '))
+  .join(' OR ');
+
+/**
+ * Get every hashtag an expression needs somewhere (its included hashtags)
+ * @param {Array<Object>} clauses - Clauses from parseHashtagQuery
+ * @returns {Array<string>} Distinct hashtags
+ */
+export const getHashtagQueryTags = (clauses) => [...new Set(clauses.flatMap(clause => clause.include))];
+
+/**
+ * Check an event against a hashtag expression
+ * @param {Object} event - Event object
+ * @param {Array<Object>} clauses - Clauses from parseHashtagQuery
+ * @returns {boolean} True if any clause matches
+ *
+ * @test
+ * describe('matchesHashtagQuery', () => {
+ *   const clauses = parseHashtagQuery('#afrobeats AND #brooklyn NOT #18plus OR #soca');
+ *
+ *   it('matches a clause', () => {
+ *     expect(matchesHashtagQuery({ hashtags: ['Afrobeats', 'brooklyn'] }, clauses)).toBe(true);
+ *     expect(matchesHashtagQuery({ hashtags: ['soca', '18plus'] }, clauses)).toBe(true);
+ *   });
+ *
+ *   it('respects NOT', () => {
+ *     expect(matchesHashtagQuery({ hashtags: ['afrobeats', 'brooklyn', '18plus'] }, clauses)).toBe(false);
+ *     expect(matchesHashtagQuery({}, clauses)).toBe(false);
+ *   });
+ * });
+ */
+export const matchesHashtagQuery = (event, clauses) => {
+  const tags = new Set((event.hashtags || []).map(normalizeQueryHashtag));
+
+  return clauses.some(clause => (
+    clause.include.every(tag => tags.has(tag)) && !clause.exclude.some(tag => tags.has(tag))
+  ));
+};
+
+/**
+ * Pick the most selective part of an expression for Firestore to run
+ * Either one hashtag every clause needs (array-contains), or one hashtag from
+ * each clause (array-contains-any), whichever matches the fewest events by
+ * hashtag usage counts. The rest of the expression is checked in memory with
+ * matchesHashtagQuery.
+ * @param {Array<Object>} clauses - Clauses from parseHashtagQuery
+ * @param {Object} [counts={}] - Hashtag => number of events using it (unknown hashtags count as most used)
+ * @returns {Object|null} { operator: 'array-contains'|'array-contains-any', value } for
+ *   where('hashtags', operator, value), or null if a clause has no included hashtag
+ *   (every event has to be checked)
+ *
+ * @test
+ * describe('planHashtagQuery', () => {
+ *   it('uses the rarest hashtag a clause needs', () => {
+ *     const clauses = parseHashtagQuery('#afrobeats AND #brooklyn NOT #18plus');
+ *     expect(planHashtagQuery(clauses, { afrobeats: 120, brooklyn: 40 })).toEqual({ operator: 'array-contains', value: 'brooklyn' });
+ *   });
+ *
+ *   it('uses array-contains-any across OR clauses', () => {
+ *     const clauses = parseHashtagQuery('#soca OR #dancehall AND #brunch');
+ *     expect(planHashtagQuery(clauses, { soca: 10, dancehall: 50, brunch: 5 })).toEqual({
+ *       operator: 'array-contains-any',
+ *       value: ['soca', 'brunch'],
+ *     });
+ *   });
+ *
+ *   it('prefers a hashtag every clause shares when it is rarer', () => {
+ *     const clauses = parseHashtagQuery('#brunch #soca OR #brunch #kompa');
+ *     expect(planHashtagQuery(clauses, { brunch: 8, soca: 6, kompa: 7 })).toEqual({ operator: 'array-contains', value: 'brunch' });
+ *   });
+ *
+ *   it('gives up when a clause only excludes', () => {
+ *     expect(planHashtagQuery(parseHashtagQuery('#soca OR NOT #18plus'))).toBeNull();
+ *   });
+ * });
+ */
+export const planHashtagQuery = (clauses, counts = {}) => {
+  const getCount = tag => counts[tag] ?? Number.MAX_SAFE_INTEGER;
+  const rarest = tags => tags.reduce((best, tag) => (getCount(tag) < getCount(best) ? tag : best));
+  const candidates = [];
+
+  // A hashtag in every clause
+  const shared = clauses[0].include.filter(tag => clauses.every(clause => clause.include.includes(tag)));
+  if (shared.length > 0) {
+    const tag = rarest(shared);
+    candidates.push({ operator: 'array-contains', value: tag, cost: getCount(tag) });
+  }
+
+  // The rarest hashtag of each clause
+  if (clauses.every(clause => clause.include.length > 0)) {
+    const tags = [...new Set(clauses.map(clause => rarest(clause.include)))];
+    const cost = Math.min(tags.reduce((sum, tag) => sum + getCount(tag), 0), Number.MAX_SAFE_INTEGER);
+
+    if (tags.length === 1) {
+      candidates.push({ operator: 'array-contains', value: tags[0], cost });
+    } else if (tags.length <= ARRAY_CONTAINS_ANY_LIMIT) {
+      candidates.push({ operator: 'array-contains-any', value: tags, cost });
+    }
+  }
+
+  if (candidates.length === 0) return null;
+
+  const { operator, value } = candidates.reduce((best, candidate) => (candidate.cost < best.cost ? candidate : best));
+  return { operator, value };
+};
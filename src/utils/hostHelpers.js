@@ -0,0 +1,181 @@
+/**
+ * Event Host Utilities
+ *
+ * This module provides helper functions for working with an event's hosts:
+ * the promoters (and their door staff) who can manage it together.
+ *
+ * Hosts are stored three ways on the event document, all written together by
+ * buildHostFields so they never drift apart:
+ * - `hosts`: [{ userId, role, addedAt }] in the order they were added (for display)
+ * - `hostIds`: [userId] (for array-contains queries and the co-host rules)
+ * - `hostRoles`: { [userId]: role } (for security rules, which can't search arrays of maps)
+ *
+ * Events created before co-hosting existed only have `promoterId` (or the
+ * older `createdBy`); every helper here treats that user as the sole owner.
+ */
+
+/**
+ * Host roles, from most to least access
+ * - owner: everything, including managing hosts and deleting the event
+ * - editor: edit the event, its tickets and promo codes, and run the door
+ * - doorStaff: run door check-in and see the full attendee list
+ */
+export const HOST_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  DOOR_STAFF: 'doorStaff',
+};
+
+/**
+ * Display labels for host roles
+ */
+export const HOST_ROLE_LABELS = {
+  [HOST_ROLES.OWNER]: 'Owner',
+  [HOST_ROLES.EDITOR]: 'Editor',
+  [HOST_ROLES.DOOR_STAFF]: 'Door Staff',
+};
+
+/**
+ * Get an event's hosts, treating a legacy `promoterId` as the sole owner
+ * @param {Object} event - Event object
+ * @returns {Array<Object>} Hosts ({ userId, role, addedAt })
+ *
+ * @test
+ * describe('getEventHosts', () => {
+ *   it('returns the saved hosts', () => {
+ *     const hosts = [{ userId: 'a', role: 'owner' }, { userId: 'b', role: 'editor' }];
+ *     expect(getEventHosts({ promoterId: 'a', hosts })).toBe(hosts);
+ *   });
+ *
+ *   it('falls back to the promoter as owner', () => {
+ *     expect(getEventHosts({ createdBy: 'a' })).toEqual([
+ *       { userId: 'a', role: 'owner', addedAt: null },
+ *     ]);
+ *   });
+ *
+ *   it('returns an empty array without an owner', () => {
+ *     expect(getEventHosts(null)).toEqual([]);
+ *   });
+ * });
+ */
+export const getEventHosts = (event) => {
+  if (Array.isArray(event?.hosts) && event.hosts.length > 0) {
+    return event.hosts;
+  }
+
+  const ownerId = event?.promoterId || event?.createdBy;
+  return ownerId ? [{ userId: ownerId, role: HOST_ROLES.OWNER, addedAt: null }] : [];
+};
+
+/**
+ * Get the IDs of everyone hosting an event
+ * @param {Object} event - Event object
+ * @returns {Array<string>} Host user IDs
+ */
+export const getEventHostIds = (event) => getEventHosts(event).map((host) => host.userId);
+
+/**
+ * Get a user's role on an event
+ * @param {Object} event - Event object
+ * @param {string|null} userId - User ID
+ * @returns {string|null} One of HOST_ROLES, or null if the user isn't a host
+ *
+ * @test
+ * describe('getHostRole', () => {
+ *   const event = { promoterId: 'a', hosts: [{ userId: 'a', role: 'owner' }, { userId: 'b', role: 'doorStaff' }] };
+ *
+ *   it('finds the role of a host', () => {
+ *     expect(getHostRole(event, 'b')).toBe('doorStaff');
+ *   });
+ *
+ *   it('returns null for everyone else', () => {
+ *     expect(getHostRole(event, 'c')).toBeNull();
+ *     expect(getHostRole(event, null)).toBeNull();
+ *   });
+ * });
+ */
+export const getHostRole = (event, userId) => {
+  if (!userId) return null;
+  return getEventHosts(event).find((host) => host.userId === userId)?.role || null;
+};
+
+/**
+ * Check if a user hosts an event in any role
+ * @param {Object} event - Event object
+ * @param {string|null} userId - User ID
+ * @returns {boolean} True for owners, editors and door staff
+ */
+export const isEventHost = (event, userId) => Boolean(getHostRole(event, userId));
+
+/**
+ * Check if a user can edit an event (details, status, tickets, promo codes)
+ * @param {Object} event - Event object
+ * @param {string|null} userId - User ID
+ * @returns {boolean} True for owners and editors
+ *
+ * @test
+ * describe('canEditEvent', () => {
+ *   const event = { hosts: [{ userId: 'a', role: 'owner' }, { userId: 'b', role: 'editor' }, { userId: 'c', role: 'doorStaff' }] };
+ *
+ *   it('allows owners and editors', () => {
+ *     expect(canEditEvent(event, 'a')).toBe(true);
+ *     expect(canEditEvent(event, 'b')).toBe(true);
+ *   });
+ *
+ *   it('does not allow door staff', () => {
+ *     expect(canEditEvent(event, 'c')).toBe(false);
+ *   });
+ * });
+ */
+export const canEditEvent = (event, userId) => {
+  const role = getHostRole(event, userId);
+  return role === HOST_ROLES.OWNER || role === HOST_ROLES.EDITOR;
+};
+
+/**
+ * Check if a user can invite, remove or change the role of hosts
+ * @param {Object} event - Event object
+ * @param {string|null} userId - User ID
+ * @returns {boolean} True for owners only
+ */
+export const canManageHosts = (event, userId) => getHostRole(event, userId) === HOST_ROLES.OWNER;
+
+/**
+ * Check if a user can delete an event or move it to the trash
+ * @param {Object} event - Event object
+ * @param {string|null} userId - User ID
+ * @returns {boolean} True for owners only
+ */
+export const canDeleteEvent = (event, userId) => getHostRole(event, userId) === HOST_ROLES.OWNER;
+
+/**
+ * Check if a user can run door check-in for an event
+ * @param {Object} event - Event object
+ * @param {string|null} userId - User ID
+ * @returns {boolean} True for every host role
+ */
+export const canCheckInGuests = (event, userId) => isEventHost(event, userId);
+
+/**
+ * Build the host fields stored on an event document from a list of hosts
+ * @param {Array<Object>} hosts - Hosts ({ userId, role, addedAt })
+ * @returns {Object} { hosts, hostIds, hostRoles }
+ *
+ * @example
+ * buildHostFields([{ userId: 'a', role: 'owner', addedAt: '2025-06-01T00:00:00.000Z' }]);
+ * // Returns: { hosts: [...], hostIds: ['a'], hostRoles: { a: 'owner' } }
+ *
+ * @test
+ * describe('buildHostFields', () => {
+ *   it('derives ids and roles from the host list', () => {
+ *     const fields = buildHostFields([{ userId: 'a', role: 'owner' }, { userId: 'b', role: 'editor' }]);
+ *     expect(fields.hostIds).toEqual(['a', 'b']);
+ *     expect(fields.hostRoles).toEqual({ a: 'owner', b: 'editor' });
+ *   });
+ * });
+ */
+export const buildHostFields = (hosts) => ({
+  hosts,
+  hostIds: hosts.map((host) => host.userId),
+  hostRoles: Object.fromEntries(hosts.map((host) => [host.userId, host.role])),
+});
@@ -0,0 +1,240 @@
+/**
+ * Lineup Utilities
+ *
+ * This module provides helper functions for an event's lineup: the DJs,
+ * hosts, MCs and artists playing it, with their roles and set times.
+ *
+ * Lineups are stored two ways on the event document, both written together by
+ * buildLineupFields so they never drift apart:
+ * - `lineup`: [{ performerId, name, role, setTime, socials }] in running order
+ * - `performerIds`: [performerId] (for array-contains queries on performer pages)
+ *
+ * Each entry keeps a copy of the performer's name and socials so event pages
+ * don't need to load every performer document.
+ */
+
+import { parseTimeOfDay } from './timezoneHelpers';
+import { getVenueSocialUrl } from './venueHelpers';
+
+/**
+ * Roles a performer can have on a lineup
+ */
+export const PERFORMER_ROLES = {
+  DJ: 'dj',
+  HOST: 'host',
+  MC: 'mc',
+  ARTIST: 'artist',
+};
+
+export const PERFORMER_ROLE_LABELS = {
+  [PERFORMER_ROLES.DJ]: 'DJ',
+  [PERFORMER_ROLES.HOST]: 'Host',
+  [PERFORMER_ROLES.MC]: 'MC',
+  [PERFORMER_ROLES.ARTIST]: 'Live Artist',
+};
+
+/**
+ * Normalize a performer name for matching and autocomplete
+ * Ignores case, punctuation and repeated spaces, so "DJ Tunez", "dj tunez"
+ * and "DJ-Tunez!" all match.
+ * @param {string} name - Performer name as typed
+ * @returns {string} Normalized name ('' if empty)
+ *
+ * @test
+ * describe('normalizePerformerName', () => {
+ *   it('ignores case and punctuation', () => {
+ *     expect(normalizePerformerName('  DJ-Tunez! ')).toBe('dj tunez');
+ *     expect(normalizePerformerName("Jah Prayzah's Band")).toBe('jah prayzahs band');
+ *   });
+ *
+ *   it('handles missing names', () => {
+ *     expect(normalizePerformerName(undefined)).toBe('');
+ *   });
+ * });
+ */
+export const normalizePerformerName = (name) => {
+  if (!name || typeof name !== 'string') return '';
+
+  return name
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Clean up lineup entries before they are saved
+ * Drops entries without a name, defaults unknown roles to DJ and stores set
+ * times as 24-hour "HH:mm".
+ *
+ * @param {Array<Object>} lineup - Lineup entries as entered in the form
+ * @returns {Array<Object>} Normalized entries
+ *
+ * @example
+ * normalizeLineup([{ performerId: 'p1', name: ' DJ Tunez ', role: 'dj', setTime: '11:30 PM' }]);
+ * // Returns: [{ performerId: 'p1', name: 'DJ Tunez', role: 'dj', setTime: '23:30',
+ * //             socials: { instagram: '', soundcloud: '' } }]
+ *
+ * @test
+ * describe('normalizeLineup', () => {
+ *   it('cleans names, roles and set times', () => {
+ *     const [entry] = normalizeLineup([{ name: ' Tunez ', role: 'headliner', setTime: '1:00 AM', socials: { instagram: '@tunez' } }]);
+ *     expect(entry.name).toBe('Tunez');
+ *     expect(entry.role).toBe('dj');
+ *     expect(entry.setTime).toBe('01:00');
+ *     expect(entry.socials.instagram).toBe('tunez');
+ *     expect(entry.performerId).toBeNull();
+ *   });
+ *
+ *   it('drops unnamed entries and bad set times', () => {
+ *     const lineup = normalizeLineup([{ name: 'MC Mo', setTime: 'late' }, { name: ' ' }]);
+ *     expect(lineup).toHaveLength(1);
+ *     expect(lineup[0].setTime).toBeNull();
+ *   });
+ *
+ *   it('returns an empty array for missing input', () => {
+ *     expect(normalizeLineup(undefined)).toEqual([]);
+ *   });
+ * });
+ */
+export const normalizeLineup = (lineup) => {
+  if (!Array.isArray(lineup)) {
+    return [];
+  }
+
+  return lineup
+    .filter((entry) => entry?.name?.trim())
+    .map((entry) => {
+      const time = parseTimeOfDay(entry.setTime);
+
+      return {
+        performerId: entry.performerId || null,
+        name: entry.name.trim(),
+        role: Object.values(PERFORMER_ROLES).includes(entry.role) ? entry.role : PERFORMER_ROLES.DJ,
+        setTime: time && time.hours < 24 && time.minutes < 60
+          ? `${String(time.hours).padStart(2, '0')}:${String(time.minutes).padStart(2, '0')}`
+          : null,
+        socials: {
+          instagram: entry.socials?.instagram?.trim().replace(/^@/, '') || '',
+          soundcloud: entry.socials?.soundcloud?.trim() || '',
+        },
+      };
+    });
+};
+
+/**
+ * Build the lineup fields stored on an event document
+ * @param {Array<Object>} lineup - Lineup entries (see normalizeLineup)
+ * @returns {Object} { lineup, performerIds }
+ *
+ * @test
+ * describe('buildLineupFields', () => {
+ *   it('lists each linked performer once', () => {
+ *     const fields = buildLineupFields([
+ *       { performerId: 'a', name: 'Tunez', role: 'dj' },
+ *       { performerId: 'a', name: 'Tunez', role: 'host' },
+ *       { name: 'Walk-in MC', role: 'mc' },
+ *     ]);
+ *     expect(fields.lineup).toHaveLength(3);
+ *     expect(fields.performerIds).toEqual(['a']);
+ *   });
+ * });
+ */
+export const buildLineupFields = (lineup) => {
+  const entries = normalizeLineup(lineup);
+
+  return {
+    lineup: entries,
+    performerIds: [...new Set(entries.map(entry => entry.performerId).filter(Boolean))],
+  };
+};
+
+/**
+ * Get a lineup in running order
+ * Sets earlier in the day than the event's start time are treated as after
+ * midnight, so a 1 AM set follows an 11 PM one. Entries without a set time
+ * keep their order at the end.
+ * @param {Array<Object>} lineup - Lineup entries
+ * @param {string} [startTime] - Event start time ("HH:mm")
+ * @returns {Array<Object>} Sorted copy of the lineup
+ *
+ * @test
+ * describe('sortLineup', () => {
+ *   it('runs past midnight', () => {
+ *     const lineup = [
+ *       { name: 'Closer', setTime: '01:00' },
+ *       { name: 'Host', setTime: null },
+ *       { name: 'Opener', setTime: '22:00' },
+ *     ];
+ *     expect(sortLineup(lineup, '21:00').map(entry => entry.name)).toEqual(['Opener', 'Closer', 'Host']);
+ *   });
+ * });
+ */
+export const sortLineup = (lineup, startTime) => {
+  const start = parseTimeOfDay(startTime);
+  const startMinutes = start ? start.hours * 60 + start.minutes : 0;
+
+  const getSortMinutes = (entry) => {
+    const time = parseTimeOfDay(entry.setTime);
+    if (!time) return Infinity;
+
+    const minutes = time.hours * 60 + time.minutes;
+    return minutes < startMinutes ? minutes + 24 * 60 : minutes;
+  };
+
+  return [...(lineup || [])].sort((a, b) => {
+    const difference = getSortMinutes(a) - getSortMinutes(b);
+    return Number.isNaN(difference) ? 0 : difference;
+  });
+};
+
+/**
+ * Format a set time for display (e.g., "11:30 PM")
+ * @param {string|null} setTime - Set time ("HH:mm")
+ * @returns {string} Formatted time ('' if not set)
+ *
+ * @test
+ * describe('formatSetTime', () => {
+ *   it('uses a 12-hour clock', () => {
+ *     expect(formatSetTime('23:30')).toBe('11:30 PM');
+ *     expect(formatSetTime('00:15')).toBe('12:15 AM');
+ *     expect(formatSetTime(null)).toBe('');
+ *   });
+ * });
+ */
+export const formatSetTime = (setTime) => {
+  const time = parseTimeOfDay(setTime);
+  if (!time) return '';
+
+  return `${time.hours % 12 || 12}:${String(time.minutes).padStart(2, '0')} ${time.hours >= 12 ? 'PM' : 'AM'}`;
+};
+
+/**
+ * Get the names on an event's lineup
+ * @param {Object} event - Event object
+ * @returns {Array<string>} Performer names ([] for events without a lineup)
+ */
+export const getLineupNames = (event) => (event?.lineup || []).map(entry => entry.name).filter(Boolean);
+
+/**
+ * Get the full URL for a performer social handle or link
+ * @param {string} network - 'instagram', 'twitter' or 'soundcloud'
+ * @param {string} value - Handle (with or without @) or URL
+ * @returns {string} URL ('' if empty)
+ *
+ * @test
+ * describe('getPerformerSocialUrl', () => {
+ *   it('builds SoundCloud URLs from handles', () => {
+ *     expect(getPerformerSocialUrl('soundcloud', 'djtunez')).toBe('https://soundcloud.com/djtunez');
+ *     expect(getPerformerSocialUrl('instagram', '@djtunez')).toBe('https://instagram.com/djtunez');
+ *   });
+ * });
+ */
+export const getPerformerSocialUrl = (network, value) => {
+  const handle = value?.trim().replace(/^@/, '');
+  if (network === 'soundcloud' && handle && !/^https?:\/\//i.test(handle) && !handle.includes('.')) {
+    return `https://soundcloud.com/${handle}`;
+  }
+
+  return getVenueSocialUrl(network, value);
+};
@@ -0,0 +1,150 @@
+/**
+ * Map Utilities
+ *
+ * This module provides helper functions for the event map: where map tiles
+ * come from, and grouping nearby pins into clusters so busy areas stay
+ * readable at every zoom level.
+ *
+ * The tile source is pluggable through environment variables, so development
+ * can run against locally served tiles instead of a public tile server:
+ * - `VITE_MAP_TILE_URL`: URL template with {z}/{x}/{y} (and optional {s})
+ * - `VITE_MAP_TILE_ATTRIBUTION`: attribution shown on the map
+ * - `VITE_MAP_MAX_ZOOM`: deepest zoom level the tiles go to
+ */
+
+const TILE_SIZE = 256;
+
+/**
+ * Tiles used when no tile source is configured
+ */
+export const DEFAULT_TILE_SOURCE = {
+  url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  maxZoom: 19,
+};
+
+/**
+ * Get the tile source for the map from the environment
+ * @param {Object} [env=import.meta.env] - Environment variables
+ * @returns {Object} { url, attribution, maxZoom }
+ *
+ * @example
+ * // .env.local
+ * // VITE_MAP_TILE_URL=http://localhost:8080/tiles/{z}/{x}/{y}.png
+ * const { url } = getTileSource();
+ *
+ * @test
+ * describe('getTileSource', () => {
+ *   it('uses the configured tiles', () => {
+ *     const source = getTileSource({ VITE_MAP_TILE_URL: 'http://localhost:8080/{z}/{x}/{y}.png', VITE_MAP_MAX_ZOOM: '16' });
+ *     expect(source.url).toBe('http://localhost:8080/{z}/{x}/{y}.png');
+ *     expect(source.maxZoom).toBe(16);
+ *   });
+ *
+ *   it('falls back to OpenStreetMap', () => {
+ *     expect(getTileSource({})).toEqual(DEFAULT_TILE_SOURCE);
+ *   });
+ * });
+ */
+export const getTileSource = (env = import.meta.env) => {
+  const maxZoom = Number(env.VITE_MAP_MAX_ZOOM);
+
+  return {
+    url: env.VITE_MAP_TILE_URL || DEFAULT_TILE_SOURCE.url,
+    attribution: env.VITE_MAP_TILE_ATTRIBUTION ?? (env.VITE_MAP_TILE_URL ? '' : DEFAULT_TILE_SOURCE.attribution),
+    maxZoom: Number.isInteger(maxZoom) && maxZoom > 0 ? maxZoom : DEFAULT_TILE_SOURCE.maxZoom,
+  };
+};
+
+/**
+ * Project coordinates to pixels on the Web Mercator world map at a zoom level
+ * @param {Object} coordinates - { lat, lng }
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { x, y } in pixels from the top-left of the world
+ *
+ * @test
+ * describe('projectToPixels', () => {
+ *   it('puts 0,0 in the middle of the world', () => {
+ *     expect(projectToPixels({ lat: 0, lng: 0 }, 0)).toEqual({ x: 128, y: 128 });
+ *   });
+ * });
+ */
+export const projectToPixels = ({ lat, lng }, zoom) => {
+  const worldSize = TILE_SIZE * 2 ** zoom;
+  const sinLat = Math.sin((Math.max(-85, Math.min(85, lat)) * Math.PI) / 180);
+
+  return {
+    x: ((lng + 180) / 360) * worldSize,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * worldSize,
+  };
+};
+
+/**
+ * Group points that would overlap on screen into clusters
+ * Each point joins the first cluster whose first point is within `radius`
+ * pixels at this zoom level; a cluster sits at the average of its points.
+ * @param {Array<Object>} points - Items with `lat` and `lng`
+ * @param {number} zoom - Zoom level
+ * @param {number} [radius=48] - Cluster radius in pixels
+ * @returns {Array<Object>} Clusters: { lat, lng, items }
+ *
+ * @test
+ * describe('clusterMapPoints', () => {
+ *   const points = [
+ *     { id: 'a', lat: 40.6782, lng: -73.9442 },
+ *     { id: 'b', lat: 40.6790, lng: -73.9450 },
+ *     { id: 'c', lat: 33.749, lng: -84.388 },
+ *   ];
+ *
+ *   it('groups nearby points when zoomed out', () => {
+ *     const clusters = clusterMapPoints(points, 8);
+ *     expect(clusters).toHaveLength(2);
+ *     expect(clusters[0].items.map(item => item.id)).toEqual(['a', 'b']);
+ *   });
+ *
+ *   it('splits them when zoomed in', () => {
+ *     expect(clusterMapPoints(points, 18)).toHaveLength(3);
+ *   });
+ * });
+ */
+export const clusterMapPoints = (points, zoom, radius = 48) => {
+  const clusters = [];
+
+  points.forEach((point) => {
+    const pixel = projectToPixels(point, zoom);
+    const cluster = clusters.find(({ origin }) => Math.hypot(origin.x - pixel.x, origin.y - pixel.y) <= radius);
+
+    if (cluster) {
+      cluster.items.push(point);
+    } else {
+      clusters.push({ origin: pixel, items: [point] });
+    }
+  });
+
+  return clusters.map(({ items }) => ({
+    lat: items.reduce((sum, item) => sum + item.lat, 0) / items.length,
+    lng: items.reduce((sum, item) => sum + item.lng, 0) / items.length,
+    items,
+  }));
+};
+
+/**
+ * Get the bounding box around a set of points
+ * @param {Array<Object>} points - Items with `lat` and `lng`
+ * @returns {Array<Array<number>>|null} [[south, west], [north, east]], or null with no points
+ *
+ * @test
+ * describe('getMapBounds', () => {
+ *   it('wraps every point', () => {
+ *     expect(getMapBounds([{ lat: 1, lng: 5 }, { lat: -2, lng: 3 }])).toEqual([[-2, 3], [1, 5]]);
+ *     expect(getMapBounds([])).toBeNull();
+ *   });
+ * });
+ */
+export const getMapBounds = (points) => {
+  if (points.length === 0) return null;
+
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  return [[Math.min(...lats), Math.min(...lngs)], [Math.max(...lats), Math.max(...lngs)]];
+};
@@ -0,0 +1,353 @@
+/**
+ * Recurring Event Utilities
+ *
+ * This module provides helper functions for generating the occurrence dates of
+ * a recurring event series, describing a recurrence rule in plain English, and
+ * collapsing series occurrences for list views.
+ */
+
+/**
+ * Supported recurrence frequencies
+ */
+export const RECURRENCE_FREQUENCIES = {
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
+  MONTHLY_BY_WEEKDAY: 'monthlyByWeekday',
+  CUSTOM: 'custom',
+};
+
+// Hard cap on generated occurrences so a typo can't create hundreds of documents
+export const MAX_OCCURRENCES = 52;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINALS = ['first', 'second', 'third', 'fourth'];
+
+/**
+ * Get which occurrence of its weekday a date is within its month
+ * @param {Date} date - Date to inspect
+ * @returns {number} 1-4 for the nth weekday, or -1 when it is the 5th (treated as "last")
+ */
+const getWeekdayOrdinal = (date) => {
+  const nth = Math.ceil(date.getDate() / 7);
+  return nth > 4 ? -1 : nth;
+};
+
+/**
+ * Get the date of the nth weekday in a given month
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {number} weekday - Day of week (0 = Sunday)
+ * @param {number} ordinal - 1-4, or -1 for the last such weekday
+ * @returns {Date} Matching date at 00:00 local time
+ */
+const getNthWeekdayOfMonth = (year, month, weekday, ordinal) => {
+  if (ordinal === -1) {
+    const lastDay = new Date(year, month + 1, 0);
+    const offset = (lastDay.getDay() - weekday + 7) % 7;
+    return new Date(year, month, lastDay.getDate() - offset);
+  }
+
+  const firstDay = new Date(year, month, 1);
+  const offset = (weekday - firstDay.getDay() + 7) % 7;
+  return new Date(year, month, 1 + offset + (ordinal - 1) * 7);
+};
+
+/**
+ * Read a date value as a local calendar day (00:00 local time)
+ * Date-only strings ("2025-01-26") parse as UTC midnight, which is the day
+ * before west of UTC; read those as the calendar day the promoter picked.
+ * @param {Date|string} value - Date or date string
+ * @returns {Date|null} Local midnight of that day, or null if invalid
+ */
+const toLocalCalendarDay = (value) => {
+  const day = new Date(value);
+  if (isNaN(day.getTime())) return null;
+
+  const isDateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return isDateOnly
+    ? new Date(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate())
+    : new Date(day.getFullYear(), day.getMonth(), day.getDate());
+};
+
+/**
+ * Generate the occurrence dates for a recurrence rule
+ * @param {Date|string} startDate - Date of the first occurrence
+ * @param {Object} recurrence - Recurrence rule
+ * @param {string} recurrence.frequency - One of RECURRENCE_FREQUENCIES
+ * @param {string} [recurrence.until] - Last possible occurrence date (ISO string; a
+ *   date-only value like "2025-01-26" is that local calendar day)
+ * @param {number} [recurrence.count] - Number of occurrences to generate
+ * @param {Array<string>} [recurrence.dates] - Explicit dates for 'custom' frequency
+ * @returns {Array<Date>} Sorted occurrence dates, starting with startDate
+ * @throws {TypeError} If startDate is invalid
+ * @throws {Error} If the frequency is unknown
+ *
+ * @example
+ * generateOccurrenceDates('2025-01-05T12:00:00', { frequency: 'weekly', count: 3 });
+ * // Returns: [Jan 5, Jan 12, Jan 19] (all at 12:00)
+ *
+ * generateOccurrenceDates('2025-01-05T12:00:00', { frequency: 'monthlyByWeekday', count: 3 });
+ * // Returns: [Jan 5, Feb 2, Mar 2] (first Sunday of each month)
+ *
+ * @test
+ * describe('generateOccurrenceDates', () => {
+ *   it('should generate weekly dates', () => {
+ *     const dates = generateOccurrenceDates('2025-01-05T12:00:00', { frequency: 'weekly', count: 3 });
+ *     expect(dates.map(d => d.getDate())).toEqual([5, 12, 19]);
+ *   });
+ *
+ *   it('should generate biweekly dates until a date', () => {
+ *     const dates = generateOccurrenceDates('2025-01-05T12:00:00', {
+ *       frequency: 'biweekly',
+ *       until: '2025-02-02T00:00:00'
+ *     });
+ *     expect(dates.map(d => d.getDate())).toEqual([5, 19, 2]);
+ *   });
+ *
+ *   it('should include the until day for date-only values', () => {
+ *     const dates = generateOccurrenceDates('2025-01-05T12:00:00', { frequency: 'weekly', until: '2025-01-26' });
+ *     expect(dates.map(d => d.getDate())).toEqual([5, 12, 19, 26]);
+ *   });
+ *
+ *   it('should keep the same weekday ordinal for monthly series', () => {
+ *     const dates = generateOccurrenceDates('2025-01-12T12:00:00', { frequency: 'monthlyByWeekday', count: 3 });
+ *     expect(dates.map(d => d.getDate())).toEqual([12, 9, 9]); // 2nd Sunday
+ *   });
+ *
+ *   it('should use explicit dates for custom series', () => {
+ *     const dates = generateOccurrenceDates('2025-01-05T12:00:00', {
+ *       frequency: 'custom',
+ *       dates: ['2025-01-20', '2025-01-10']
+ *     });
+ *     expect(dates).toHaveLength(3);
+ *     expect(dates[1].getDate()).toBe(10);
+ *   });
+ *
+ *   it('should never exceed MAX_OCCURRENCES', () => {
+ *     const dates = generateOccurrenceDates('2025-01-05T12:00:00', { frequency: 'weekly', count: 500 });
+ *     expect(dates).toHaveLength(MAX_OCCURRENCES);
+ *   });
+ * });
+ */
+export const generateOccurrenceDates = (startDate, recurrence) => {
+  const start = typeof startDate === 'string' ? new Date(startDate) : startDate;
+
+  if (!(start instanceof Date) || isNaN(start.getTime())) {
+    throw new TypeError('Invalid date provided');
+  }
+
+  if (!recurrence || !recurrence.frequency) {
+    return [start];
+  }
+
+  const { frequency, until, count, dates = [] } = recurrence;
+
+  // Custom series: the start date plus every explicit date, keeping the start time
+  if (frequency === RECURRENCE_FREQUENCIES.CUSTOM) {
+    const customDates = dates
+      .map((value) => {
+        const occurrence = toLocalCalendarDay(value);
+        if (!occurrence) return null;
+        occurrence.setHours(start.getHours(), start.getMinutes(), 0, 0);
+        return occurrence;
+      })
+      .filter(Boolean);
+
+    const unique = new Map();
+    [start, ...customDates].forEach((date) => unique.set(date.getTime(), date));
+
+    return [...unique.values()]
+      .sort((a, b) => a - b)
+      .slice(0, MAX_OCCURRENCES);
+  }
+
+  const untilDate = until ? toLocalCalendarDay(until) : null;
+  if (untilDate) {
+    untilDate.setHours(23, 59, 59, 999);
+  }
+
+  const maxCount = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const weekday = start.getDay();
+  const ordinal = getWeekdayOrdinal(start);
+  const occurrences = [];
+
+  for (let i = 0; occurrences.length < maxCount; i++) {
+    let next;
+
+    switch (frequency) {
+      case RECURRENCE_FREQUENCIES.WEEKLY:
+        next = new Date(start);
+        next.setDate(start.getDate() + i * 7);
+        break;
+
+      case RECURRENCE_FREQUENCIES.BIWEEKLY:
+        next = new Date(start);
+        next.setDate(start.getDate() + i * 14);
+        break;
+
+      case RECURRENCE_FREQUENCIES.MONTHLY_BY_WEEKDAY:
+        next = getNthWeekdayOfMonth(start.getFullYear(), start.getMonth() + i, weekday, ordinal);
+        next.setHours(start.getHours(), start.getMinutes(), 0, 0);
+        break;
+
+      default:
+        throw new Error(`Invalid recurrence frequency: ${frequency}`);
+    }
+
+    if (untilDate && next > untilDate) {
+      break;
+    }
+
+    occurrences.push(next);
+
+    // Without an end condition, a single occurrence is all we can safely generate
+    if (!untilDate && !count) {
+      break;
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Describe a recurrence rule in plain English (e.g., "Every Sunday")
+ * @param {Object} recurrence - Recurrence rule
+ * @param {Date|string} startDate - Date of the first occurrence
+ * @returns {string} Human readable description, or '' if not recurring
+ *
+ * @example
+ * describeRecurrence({ frequency: 'weekly' }, '2025-01-05T12:00:00');
+ * // Returns: "Every Sunday"
+ *
+ * describeRecurrence({ frequency: 'monthlyByWeekday' }, '2025-01-12T12:00:00');
+ * // Returns: "Second Sunday of every month"
+ *
+ * @test
+ * describe('describeRecurrence', () => {
+ *   it('should describe weekly series', () => {
+ *     expect(describeRecurrence({ frequency: 'weekly' }, '2025-01-05T12:00:00')).toBe('Every Sunday');
+ *   });
+ *
+ *   it('should describe biweekly series', () => {
+ *     expect(describeRecurrence({ frequency: 'biweekly' }, '2025-01-05T12:00:00')).toBe('Every other Sunday');
+ *   });
+ *
+ *   it('should describe last-weekday monthly series', () => {
+ *     expect(describeRecurrence({ frequency: 'monthlyByWeekday' }, '2025-01-31T12:00:00'))
+ *       .toBe('Last Friday of every month');
+ *   });
+ *
+ *   it('should return empty string for non-recurring events', () => {
+ *     expect(describeRecurrence(null, '2025-01-05T12:00:00')).toBe('');
+ *   });
+ * });
+ */
+export const describeRecurrence = (recurrence, startDate) => {
+  if (!recurrence || !recurrence.frequency) {
+    return '';
+  }
+
+  const start = typeof startDate === 'string' ? new Date(startDate) : startDate;
+  if (!(start instanceof Date) || isNaN(start.getTime())) {
+    return '';
+  }
+
+  const dayName = DAY_NAMES[start.getDay()];
+
+  switch (recurrence.frequency) {
+    case RECURRENCE_FREQUENCIES.WEEKLY:
+      return `Every ${dayName}`;
+
+    case RECURRENCE_FREQUENCIES.BIWEEKLY:
+      return `Every other ${dayName}`;
+
+    case RECURRENCE_FREQUENCIES.MONTHLY_BY_WEEKDAY: {
+      const ordinal = getWeekdayOrdinal(start);
+      const ordinalName = ordinal === -1 ? 'last' : ORDINALS[ordinal - 1];
+      return `${ordinalName.charAt(0).toUpperCase()}${ordinalName.slice(1)} ${dayName} of every month`;
+    }
+
+    case RECURRENCE_FREQUENCIES.CUSTOM:
+      return 'Multiple dates';
+
+    default:
+      return '';
+  }
+};
+
+/**
+ * Collapse series occurrences into a single entry per series
+ * The earliest occurrence in the list represents the series and gets a
+ * `seriesOccurrences` array ({ id, date }) plus a `recurrenceLabel`.
+ * Non-recurring events are returned untouched, and list order is preserved.
+ * @param {Array<Object>} events - Array of event objects
+ * @returns {Array<Object>} Array with one entry per series
+ * @throws {TypeError} If events is not an array
+ *
+ * @example
+ * collapseSeries([
+ *   { id: 'a', seriesId: 's1', date: '2025-01-05T12:00:00', recurrence: { frequency: 'weekly' } },
+ *   { id: 'b', seriesId: 's1', date: '2025-01-12T12:00:00', recurrence: { frequency: 'weekly' } },
+ *   { id: 'c', date: '2025-01-06T20:00:00' }
+ * ]);
+ * // Returns: [{ id: 'a', recurrenceLabel: 'Every Sunday', seriesOccurrences: [a, b], ... }, { id: 'c', ... }]
+ *
+ * @test
+ * describe('collapseSeries', () => {
+ *   it('should keep one entry per series', () => {
+ *     const result = collapseSeries([
+ *       { id: 'a', seriesId: 's1', date: '2025-01-05T12:00:00', recurrence: { frequency: 'weekly' } },
+ *       { id: 'b', seriesId: 's1', date: '2025-01-12T12:00:00', recurrence: { frequency: 'weekly' } },
+ *       { id: 'c', date: '2025-01-06T20:00:00' }
+ *     ]);
+ *     expect(result).toHaveLength(2);
+ *     expect(result[0].seriesOccurrences).toHaveLength(2);
+ *     expect(result[0].recurrenceLabel).toBe('Every Sunday');
+ *   });
+ *
+ *   it('should throw error for invalid input', () => {
+ *     expect(() => collapseSeries('not an array')).toThrow(TypeError);
+ *   });
+ * });
+ */
+export const collapseSeries = (events) => {
+  if (!Array.isArray(events)) {
+    throw new TypeError('Events must be an array');
+  }
+
+  const seriesMap = new Map();
+
+  events.forEach((event) => {
+    if (!event.seriesId) return;
+    if (!seriesMap.has(event.seriesId)) {
+      seriesMap.set(event.seriesId, []);
+    }
+    seriesMap.get(event.seriesId).push(event);
+  });
+
+  const emitted = new Set();
+  const collapsed = [];
+
+  events.forEach((event) => {
+    if (!event.seriesId) {
+      collapsed.push(event);
+      return;
+    }
+
+    if (emitted.has(event.seriesId)) return;
+    emitted.add(event.seriesId);
+
+    const occurrences = [...seriesMap.get(event.seriesId)].sort(
+      (a, b) => new Date(a.date) - new Date(b.date)
+    );
+    const first = occurrences[0];
+
+    collapsed.push({
+      ...first,
+      recurrenceLabel: describeRecurrence(first.recurrence, first.seriesStartDate || first.date),
+      seriesOccurrences: occurrences.map(({ id, date }) => ({ id, date })),
+    });
+  });
+
+  return collapsed;
+};
@@ -0,0 +1,679 @@
+/**
+ * Search Index Utilities
+ *
+ * This module provides the text processing behind full-text event search:
+ * splitting text into words, folding accents ("Fête" matches "fete"),
+ * reducing words to a common stem ("parties" and "party" both become
+ * "party"), working out how strongly each word describes an event and
+ * forgiving typos ("brunh" finds "brunch").
+ *
+ * The same functions are used to index events and to read search queries, so
+ * whatever a query is turned into matches what was stored (see
+ * firestoreSearchProvider.js). Changing how text is indexed means bumping
+ * SEARCH_INDEX_VERSION and running `npm run rebuild-search-index` (see
+ * scripts/README.md) after deploying.
+ */
+
+/**
+ * Version of the indexing rules below
+ * Events indexed under an older version are re-indexed in full.
+ */
+export const SEARCH_INDEX_VERSION = 3;
+
+/**
+ * How much a word counts for depending on the field it appears in
+ * A word found in several fields adds up.
+ */
+export const SEARCH_FIELD_WEIGHTS = {
+  title: 10,
+  lineup: 8,
+  hashtags: 8,
+  venue: 7,
+  description: 3,
+  address: 2,
+};
+
+/**
+ * How much a query word counts for depending on how it matched
+ * - exact: the same word (after folding accents and stemming)
+ * - prefix: the start of a longer word, while it is being typed
+ * - contains: part of a longer title word or hashtag ("beats" in #afrobeats)
+ * - fuzzy: a word one or two typos away; divided by the number of typos
+ */
+export const SEARCH_MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.6,
+  contains: 0.4,
+  fuzzy: 0.5,
+};
+
+// Most words indexed per event, keeping the highest weighted ones
+export const MAX_TERMS_PER_EVENT = 150;
+
+// Fields whose words are also found by a part of them ("beats" in #afrobeats)
+const SUBWORD_FIELDS = ['title', 'hashtags'];
+
+// Shortest word part indexed on its own
+const MIN_SUBWORD_LENGTH = 4;
+
+// Words too common to be worth indexing
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'our', 'the', 'this', 'to', 'we', 'with', 'you', 'your',
+]);
+
+/**
+ * Strip accents and other diacritics
+ * @param {string} text - Any text
+ * @returns {string} Text with "ê" as "e", "ñ" as "n" and so on
+ *
+ * @test
+ * describe('foldAccents', () => {
+ *   it('strips diacritics', () => {
+ *     expect(foldAccents('Fête à Montréal')).toBe('Fete a Montreal');
+ *     expect(foldAccents('Señor Coco')).toBe('Senor Coco');
+ *   });
+ * });
+ */
+export const foldAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Reduce a word to its stem so plurals and verb forms match
+ * A light English stemmer: it only strips endings where that is safe for the
+ * short words common in event listings.
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ *
+ * @test
+ * describe('stemWord', () => {
+ *   it('matches plurals', () => {
+ *     expect(stemWord('parties')).toBe(stemWord('party'));
+ *     expect(stemWord('brunches')).toBe(stemWord('brunch'));
+ *     expect(stemWord('afrobeats')).toBe(stemWord('afrobeat'));
+ *   });
+ *
+ *   it('matches verb forms', () => {
+ *     expect(stemWord('dancing')).toBe(stemWord('dance'));
+ *     expect(stemWord('booked')).toBe(stemWord('book'));
+ *   });
+ *
+ *   it('leaves short words alone', () => {
+ *     expect(stemWord('bus')).toBe('bus');
+ *     expect(stemWord('king')).toBe('king');
+ *   });
+ * });
+ */
+export const stemWord = (word) => {
+  if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+  let stem = word;
+
+  if (stem.endsWith('ies') && stem.length > 4) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (stem.endsWith('sses')) {
+    stem = stem.slice(0, -2);
+  } else if (/(ch|sh|x|z)es$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  if (stem.endsWith('ing') && stem.length >= 7) {
+    stem = stem.slice(0, -3);
+  } else if (stem.endsWith('ed') && stem.length >= 6) {
+    stem = stem.slice(0, -2);
+  }
+
+  // "dance" and "danc(ing)" share a stem
+  if (stem.endsWith('e') && stem.length > 4) {
+    stem = stem.slice(0, -1);
+  }
+
+  return stem;
+};
+
+/**
+ * Split text into lowercase, accent-free words
+ * @param {string} text - Any text
+ * @returns {Array<string>} Words in order, not stemmed
+ */
+const splitWords = (text) => {
+  if (!text || typeof text !== 'string') return [];
+
+  return foldAccents(text)
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+/**
+ * Split text into the words worth searching on, leaving out common words
+ * @param {string} text - Any text
+ * @returns {Array<string>} Words in order, not stemmed
+ */
+const splitSearchWords = (text) => splitWords(text).filter(word => !STOP_WORDS.has(word));
+
+/**
+ * Split text into search words
+ * Ignores case, accents, punctuation and common words, and stems what is left.
+ * @param {string} text - Any text
+ * @returns {Array<string>} Stemmed words in order (may repeat)
+ *
+ * @test
+ * describe('tokenizeSearchText', () => {
+ *   it('splits, lowercases and stems', () => {
+ *     expect(tokenizeSearchText('The Best Brunch Parties in BK!')).toEqual(['best', 'brunch', 'party', 'bk']);
+ *   });
+ *
+ *   it('folds accents', () => {
+ *     expect(tokenizeSearchText('Fête')).toEqual(tokenizeSearchText('fete'));
+ *   });
+ *
+ *   it('handles hashtags and missing text', () => {
+ *     expect(tokenizeSearchText('#afrobeats')).toEqual(['afrobeat']);
+ *     expect(tokenizeSearchText(undefined)).toEqual([]);
+ *   });
+ * });
+ */
+export const tokenizeSearchText = (text) => splitSearchWords(text).map(stemWord);
+
+/**
+ * Get the text of each searchable field of an event
+ * @param {Object} event - Event object
+ * @returns {Object} Field name => text, keyed like SEARCH_FIELD_WEIGHTS
+ */
+const getSearchableFields = (event) => ({
+  title: event.title || event.name || '',
+  lineup: (event.lineup || []).map(entry => entry.name).join(' '),
+  hashtags: (event.hashtags || []).join(' '),
+  venue: event.venue || '',
+  description: event.description || '',
+  address: [event.address?.street, event.address?.city, event.address?.state, event.address?.zip]
+    .filter(Boolean)
+    .join(' '),
+});
+
+/**
+ * Get the endings of a word that are long enough to search on
+ * Together with prefix matching while typing, these let any part of a title
+ * word or hashtag find it.
+ * @param {string} word - Lowercase word, not stemmed
+ * @returns {Array<string>} Stemmed endings, longest first (not the word itself)
+ */
+const getSubwords = (word) => {
+  const subwords = [];
+  for (let start = 1; word.length - start >= MIN_SUBWORD_LENGTH; start++) {
+    subwords.push(stemWord(word.slice(start)));
+  }
+  return subwords;
+};
+
+/**
+ * Work out the words an event is indexed under and how strongly each applies
+ * Parts of title words and hashtags are indexed too, at their field weight ×
+ * the `contains` match weight, in whatever room the whole words leave.
+ * @param {Object} event - Event object
+ * @param {Object} [weights=SEARCH_FIELD_WEIGHTS] - Field weights
+ * @param {Object} [matchWeights=SEARCH_MATCH_WEIGHTS] - Match weights
+ * @returns {Object} Stemmed word => weight, at most MAX_TERMS_PER_EVENT words
+ *
+ * @test
+ * describe('buildSearchTerms', () => {
+ *   it('adds up the weight of every field a word is in', () => {
+ *     const terms = buildSearchTerms({
+ *       title: 'Soca Brunch',
+ *       hashtags: ['soca'],
+ *       venue: 'Lot 45',
+ *       description: 'Soca all day',
+ *       lineup: [{ name: 'DJ Spider' }],
+ *       address: { city: 'Brooklyn' },
+ *     });
+ *     expect(terms.soca).toBe(10 + 8 + 3);
+ *     expect(terms.brunch).toBe(10);
+ *     expect(terms.spider).toBe(8);
+ *     expect(terms.lot).toBe(7);
+ *     expect(terms.brooklyn).toBe(2);
+ *   });
+ *
+ *   it('counts a word once per field', () => {
+ *     expect(buildSearchTerms({ description: 'soca soca soca' }).soca).toBe(3);
+ *   });
+ *
+ *   it('takes custom weights', () => {
+ *     const terms = buildSearchTerms({ title: 'Soca', description: 'Soca' }, { title: 1, description: 1 });
+ *     expect(terms.soca).toBe(2);
+ *   });
+ *
+ *   it('indexes parts of title words and hashtags', () => {
+ *     const terms = buildSearchTerms({ title: 'Sunday Afrobeats', hashtags: ['#dancehall'], description: 'Homecoming' });
+ *     expect(terms.beat).toBe(10 * 0.4);
+ *     expect(terms.hall).toBe(8 * 0.4);
+ *     expect(terms.coming).toBeUndefined();
+ *   });
+ * });
+ */
+export const buildSearchTerms = (event, weights = SEARCH_FIELD_WEIGHTS, matchWeights = SEARCH_MATCH_WEIGHTS) => {
+  const fields = getSearchableFields(event);
+  const terms = {};
+
+  Object.entries(fields).forEach(([field, text]) => {
+    new Set(tokenizeSearchText(text)).forEach((term) => {
+      terms[term] = (terms[term] || 0) + (weights[field] || 0);
+    });
+  });
+
+  const rankedTerms = Object.entries(terms)
+    .filter(([, weight]) => weight > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_TERMS_PER_EVENT);
+  const indexed = Object.fromEntries(rankedTerms);
+
+  const subwords = {};
+  SUBWORD_FIELDS.forEach((field) => {
+    const weight = (weights[field] || 0) * matchWeights.contains;
+    splitSearchWords(fields[field]).forEach((word) => {
+      getSubwords(word)
+        .filter(subword => !(subword in indexed))
+        .forEach((subword) => {
+          subwords[subword] = Math.max(subwords[subword] || 0, weight);
+        });
+    });
+  });
+
+  Object.entries(subwords)
+    .filter(([, weight]) => weight > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_TERMS_PER_EVENT - rankedTerms.length)
+    .forEach(([subword, weight]) => {
+      indexed[subword] = weight;
+    });
+
+  return indexed;
+};
+
+/**
+ * Get the words events are indexed under, as they were written
+ * Used to word "did you mean" suggestions, since stems such as "danc" aren't
+ * words. The first spelling found (titles first) is kept.
+ * @param {Array<Object>} events - Event objects
+ * @returns {Object} Stemmed word => word
+ *
+ * @test
+ * describe('buildSearchVocabulary', () => {
+ *   it('maps stems to a real spelling', () => {
+ *     const vocabulary = buildSearchVocabulary([{ title: 'Dancing Queens', description: 'Dance all night' }]);
+ *     expect(vocabulary.danc).toBe('dancing');
+ *     expect(vocabulary.queen).toBe('queens');
+ *   });
+ * });
+ */
+export const buildSearchVocabulary = (events) => {
+  const vocabulary = {};
+
+  events.forEach((event) => {
+    Object.values(getSearchableFields(event)).forEach((text) => {
+      splitSearchWords(text).forEach((word) => {
+        const stem = stemWord(word);
+        if (!(stem in vocabulary)) vocabulary[stem] = word;
+      });
+    });
+  });
+
+  return vocabulary;
+};
+
+/**
+ * Read a search query
+ * The last word is also matched as a prefix, so results appear while the
+ * user is still typing it (unless the query ends with a space).
+ * @param {string} queryText - What the user typed
+ * @returns {Object} { terms, prefix } - stemmed whole words, and the last word to prefix-match (or null)
+ *
+ * @test
+ * describe('parseSearchQuery', () => {
+ *   it('prefix-matches the word being typed', () => {
+ *     expect(parseSearchQuery('soca brun')).toEqual({ terms: ['soca'], prefix: 'brun' });
+ *   });
+ *
+ *   it('matches every word in full after a trailing space', () => {
+ *     expect(parseSearchQuery('soca brunch ')).toEqual({ terms: ['soca', 'brunch'], prefix: null });
+ *   });
+ *
+ *   it('drops repeated and common words', () => {
+ *     expect(parseSearchQuery('the soca soca')).toEqual({ terms: [], prefix: 'soca' });
+ *   });
+ * });
+ */
+export const parseSearchQuery = (queryText) => {
+  const words = [...new Set(tokenizeSearchText(queryText))];
+  const isTyping = words.length > 0 && typeof queryText === 'string' && /[a-z0-9]$/i.test(foldAccents(queryText));
+  const prefix = isTyping ? words[words.length - 1] : null;
+
+  return {
+    terms: isTyping ? words.slice(0, -1) : words,
+    prefix,
+  };
+};
+
+/**
+ * Get how much a word says about the events it matches (inverse document frequency)
+ * Rare words count for more than words on nearly every event.
+ * @param {number} documentFrequency - Number of events with the word
+ * @param {number} documentCount - Number of events indexed
+ * @returns {number} Multiplier of at least 1
+ *
+ * @test
+ * describe('getTermRarity', () => {
+ *   it('ranks rare words higher', () => {
+ *     expect(getTermRarity(2, 1000)).toBeGreaterThan(getTermRarity(500, 1000));
+ *     expect(getTermRarity(1000, 1000)).toBe(1);
+ *   });
+ * });
+ */
+export const getTermRarity = (documentFrequency, documentCount) => {
+  if (!documentFrequency) return 1;
+
+  return 1 + Math.log(Math.max(documentCount, documentFrequency) / documentFrequency);
+};
+
+/**
+ * Get how many typos a query word may have and still match
+ * Short words get none, or "bar" would match "car", "bus" and "bay".
+ * @param {string} word - Query word
+ * @returns {number} 0, 1 or 2
+ *
+ * @test
+ * describe('getAllowedTypos', () => {
+ *   it('allows more typos in longer words', () => {
+ *     expect(getAllowedTypos('dj')).toBe(0);
+ *     expect(getAllowedTypos('soca')).toBe(1);
+ *     expect(getAllowedTypos('afrobeat')).toBe(2);
+ *   });
+ * });
+ */
+export const getAllowedTypos = (word) => {
+  if (word.length < 4) return 0;
+  return word.length < 8 ? 1 : 2;
+};
+
+/**
+ * Count the typos between two words (Damerau-Levenshtein distance)
+ * A missing, extra or wrong letter is one typo, and so is swapping two
+ * letters next to each other.
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} [maxDistance=Infinity] - Stop counting past this many
+ * @returns {number} Number of typos (maxDistance + 1 once past maxDistance)
+ *
+ * @test
+ * describe('getEditDistance', () => {
+ *   it('counts missing, wrong and swapped letters', () => {
+ *     expect(getEditDistance('brunh', 'brunch')).toBe(1);
+ *     expect(getEditDistance('soka', 'soca')).toBe(1);
+ *     expect(getEditDistance('brnuch', 'brunch')).toBe(1);
+ *     expect(getEditDistance('kompa', 'soca')).toBe(3);
+ *   });
+ *
+ *   it('stops early past the limit', () => {
+ *     expect(getEditDistance('afrobeat', 'amapiano', 2)).toBe(3);
+ *   });
+ * });
+ */
+export const getEditDistance = (a, b, maxDistance = Infinity) => {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const nextRow = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+
+      nextRow[j] = distance;
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+
+    if (rowMinimum > maxDistance) return maxDistance + 1;
+
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return Math.min(row[b.length], maxDistance + 1);
+};
+
+/**
+ * Work out how a query word matches an indexed word
+ * @param {string} queryWord - Stemmed query word
+ * @param {string} term - Stemmed indexed word
+ * @param {boolean} isPrefix - Whether the query word is still being typed
+ * @returns {Object|null} { type: 'exact'|'prefix'|'fuzzy', typos }, or null for no match
+ */
+const getTermMatch = (queryWord, term, isPrefix) => {
+  if (term === queryWord) return { type: 'exact', typos: 0 };
+
+  if (isPrefix) {
+    if (term.startsWith(queryWord)) return { type: 'prefix', typos: 0 };
+    // "dancin" is on its way to "dancing", which is indexed as "danc"
+    if (queryWord.startsWith(term) && term.length >= 4 && queryWord.length - term.length <= 3) {
+      return { type: 'prefix', typos: 0 };
+    }
+  }
+
+  const allowedTypos = getAllowedTypos(queryWord);
+  if (!allowedTypos) return null;
+
+  let typos = getEditDistance(queryWord, term, allowedTypos);
+  if (isPrefix && term.length > queryWord.length) {
+    typos = Math.min(typos, getEditDistance(queryWord, term.slice(0, queryWord.length), allowedTypos));
+  }
+
+  return typos <= allowedTypos ? { type: 'fuzzy', typos } : null;
+};
+
+/**
+ * Score how well a query word matches an indexed word
+ * @param {string} queryWord - Stemmed query word
+ * @param {string} term - Stemmed indexed word
+ * @param {Object} [options] - Match options
+ * @param {boolean} [options.isPrefix=false] - Whether the query word is still being typed
+ * @param {Object} [options.weights=SEARCH_MATCH_WEIGHTS] - Match weights
+ * @returns {number} Match weight (0 for no match)
+ *
+ * @test
+ * describe('matchSearchTerm', () => {
+ *   it('ranks exact over prefix over fuzzy matches', () => {
+ *     expect(matchSearchTerm('brunch', 'brunch')).toBe(1);
+ *     expect(matchSearchTerm('brun', 'brunch', { isPrefix: true })).toBe(0.6);
+ *     expect(matchSearchTerm('brunh', 'brunch')).toBe(0.5);
+ *     expect(matchSearchTerm('brun', 'brunch')).toBe(0);
+ *   });
+ *
+ *   it('forgives typos while typing', () => {
+ *     expect(matchSearchTerm('brunh', 'brunch', { isPrefix: true })).toBe(0.5);
+ *   });
+ *
+ *   it('counts two typos for less than one', () => {
+ *     expect(matchSearchTerm('afrobeet', 'afrobeat')).toBe(0.5);
+ *     expect(matchSearchTerm('afrobaet', 'afrobeit')).toBe(0.25);
+ *   });
+ *
+ *   it('takes custom weights', () => {
+ *     expect(matchSearchTerm('brunh', 'brunch', { weights: { ...SEARCH_MATCH_WEIGHTS, fuzzy: 0.2 } })).toBe(0.2);
+ *   });
+ *
+ *   it('does not guess at short words', () => {
+ *     expect(matchSearchTerm('bar', 'car')).toBe(0);
+ *   });
+ * });
+ */
+export const matchSearchTerm = (queryWord, term, options = {}) => {
+  const { isPrefix = false, weights = SEARCH_MATCH_WEIGHTS } = options;
+  const match = getTermMatch(queryWord, term, isPrefix);
+
+  if (!match) return 0;
+  return match.type === 'fuzzy' ? weights.fuzzy / match.typos : weights[match.type];
+};
+
+/**
+ * Score an event's indexed words against a search query
+ * Every query word must match one of the words; each adds the best
+ * field weight × match weight it finds.
+ * @param {Object} terms - Stemmed word => weight (see buildSearchTerms)
+ * @param {Object} parsedQuery - Parsed query (see parseSearchQuery)
+ * @param {Object} [matchWeights=SEARCH_MATCH_WEIGHTS] - Match weights
+ * @returns {number} Score (0 if any query word is missing)
+ *
+ * @test
+ * describe('scoreSearchMatch', () => {
+ *   const terms = buildSearchTerms({ title: 'Soca Brunch', description: 'Bottomless mimosas' });
+ *
+ *   it('needs every word to match', () => {
+ *     expect(scoreSearchMatch(terms, parseSearchQuery('soca brunch '))).toBe(20);
+ *     expect(scoreSearchMatch(terms, parseSearchQuery('soca dinner '))).toBe(0);
+ *   });
+ *
+ *   it('scores typos lower than exact words', () => {
+ *     expect(scoreSearchMatch(terms, parseSearchQuery('soca brunh '))).toBe(15);
+ *   });
+ *
+ *   it('takes custom weights', () => {
+ *     const weights = { ...SEARCH_MATCH_WEIGHTS, fuzzy: 1 };
+ *     expect(scoreSearchMatch(terms, parseSearchQuery('soca brunh '), weights)).toBe(20);
+ *   });
+ * });
+ */
+export const scoreSearchMatch = (terms, parsedQuery, matchWeights = SEARCH_MATCH_WEIGHTS) => {
+  const clauses = [
+    ...parsedQuery.terms.map(word => ({ word, isPrefix: false })),
+    ...(parsedQuery.prefix ? [{ word: parsedQuery.prefix, isPrefix: true }] : []),
+  ];
+  if (clauses.length === 0) return 0;
+
+  let score = 0;
+
+  for (const { word, isPrefix } of clauses) {
+    const best = Object.entries(terms).reduce((max, [term, weight]) => (
+      Math.max(max, weight * matchSearchTerm(word, term, { isPrefix, weights: matchWeights }))
+    ), 0);
+
+    if (best === 0) return 0;
+    score += best;
+  }
+
+  return score;
+};
+
+/**
+ * Find corrections for query words that only match with typos
+ * Words that match an indexed word exactly, or as a prefix while typing,
+ * are left alone.
+ * @param {Object} parsedQuery - Parsed query (see parseSearchQuery)
+ * @param {Object} vocabulary - Stemmed word => word (see buildSearchVocabulary)
+ * @returns {Object} Stemmed query word => suggested word (empty if nothing to correct)
+ *
+ * @test
+ * describe('findSearchCorrections', () => {
+ *   const vocabulary = { soca: 'soca', brunch: 'brunch', afrobeat: 'afrobeats' };
+ *
+ *   it('suggests the closest word', () => {
+ *     expect(findSearchCorrections(parseSearchQuery('soka brunch '), vocabulary)).toEqual({ soka: 'soca' });
+ *     expect(findSearchCorrections(parseSearchQuery('afrobeets'), vocabulary)).toEqual({ afrobeet: 'afrobeats' });
+ *   });
+ *
+ *   it('leaves words that match alone', () => {
+ *     expect(findSearchCorrections(parseSearchQuery('soca bru'), vocabulary)).toEqual({});
+ *   });
+ * });
+ */
+export const findSearchCorrections = (parsedQuery, vocabulary) => {
+  const clauses = [
+    ...parsedQuery.terms.map(word => ({ word, isPrefix: false })),
+    ...(parsedQuery.prefix ? [{ word: parsedQuery.prefix, isPrefix: true }] : []),
+  ];
+  const corrections = {};
+
+  clauses.forEach(({ word, isPrefix }) => {
+    let closest = null;
+
+    for (const term of Object.keys(vocabulary)) {
+      const match = getTermMatch(word, term, isPrefix);
+      if (!match) continue;
+      if (match.type !== 'fuzzy') return;
+      if (!closest || match.typos < closest.typos) closest = { term, typos: match.typos };
+    }
+
+    if (closest) corrections[word] = vocabulary[closest.term];
+  });
+
+  return corrections;
+};
+
+/**
+ * Reword a query with corrected spellings, for "did you mean" links
+ * @param {string} queryText - What the user typed
+ * @param {Object} corrections - Stemmed query word => word (see findSearchCorrections)
+ * @returns {string|null} Corrected query, or null if there is nothing to correct
+ *
+ * @test
+ * describe('suggestSearchQuery', () => {
+ *   it('swaps in the corrected words', () => {
+ *     expect(suggestSearchQuery('Soka brunch', { soka: 'soca' })).toBe('soca brunch');
+ *     expect(suggestSearchQuery('brunch at the lott', { lott: 'lot' })).toBe('brunch at the lot');
+ *   });
+ *
+ *   it('returns null without corrections', () => {
+ *     expect(suggestSearchQuery('soca brunch', {})).toBeNull();
+ *   });
+ * });
+ */
+export const suggestSearchQuery = (queryText, corrections) => {
+  if (Object.keys(corrections).length === 0) return null;
+
+  return splitWords(queryText)
+    .map(word => corrections[stemWord(word)] || word)
+    .join(' ');
+};
+
+/**
+ * Score how well a hashtag matches what was typed
+ * @param {string} queryText - What the user typed (with or without #)
+ * @param {string} tag - Hashtag name
+ * @param {Object} [weights=SEARCH_MATCH_WEIGHTS] - Match weights
+ * @returns {number} Match weight (0 for no match)
+ *
+ * @test
+ * describe('scoreHashtagMatch', () => {
+ *   it('matches plurals, prefixes and parts of tags', () => {
+ *     expect(scoreHashtagMatch('afrobeat', 'afrobeats')).toBe(1);
+ *     expect(scoreHashtagMatch('#afro', 'afrobeats')).toBe(0.6);
+ *     expect(scoreHashtagMatch('beats', 'afrobeats')).toBe(0.4);
+ *   });
+ *
+ *   it('forgives accents and typos', () => {
+ *     expect(scoreHashtagMatch('Fête', 'fete')).toBe(1);
+ *     expect(scoreHashtagMatch('afrobaets', 'afrobeats')).toBeGreaterThan(0);
+ *     expect(scoreHashtagMatch('kompa', 'soca')).toBe(0);
+ *   });
+ * });
+ */
+export const scoreHashtagMatch = (queryText, tag, weights = SEARCH_MATCH_WEIGHTS) => {
+  const query = splitSearchWords(queryText).join('');
+  const name = splitSearchWords(tag).join('');
+  if (!query || !name) return 0;
+
+  const match = matchSearchTerm(stemWord(query), stemWord(name), { isPrefix: true, weights });
+  if (match > 0) return match;
+
+  return name.includes(query) ? weights.contains : 0;
+};
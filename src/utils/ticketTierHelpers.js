@@ -0,0 +1,267 @@
+/**
+ * Ticket Tier Utilities
+ *
+ * This module provides helper functions for working with an event's ticket
+ * tiers (e.g. early bird, general admission, VIP table): normalizing them
+ * before they are saved, checking sale windows, and formatting prices.
+ *
+ * Events created before tiers existed only have a single numeric `price`;
+ * every helper here treats that as one tier so old and new events behave alike.
+ */
+
+/**
+ * Currencies offered in the event form
+ */
+export const TICKET_CURRENCIES = ['USD', 'CAD', 'EUR', 'GBP', 'JMD', 'NGN', 'GHS', 'XCD'];
+
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Clean up ticket tiers before they are saved
+ * Drops tiers without a name and coerces numeric fields.
+ *
+ * @param {Array<Object>} tiers - Ticket tiers as entered in the form
+ * @returns {Array<Object>} Normalized tiers
+ *
+ * @example
+ * normalizeTicketTiers([{ name: ' VIP ', price: '300', quantity: '' }]);
+ * // Returns: [{ id: 'tier-1', name: 'VIP', price: 300, currency: 'USD', quantity: null,
+ * //             saleStart: null, saleEnd: null, ticketLink: '' }]
+ *
+ * @test
+ * describe('normalizeTicketTiers', () => {
+ *   it('coerces prices and quantities', () => {
+ *     const [tier] = normalizeTicketTiers([{ name: 'GA', price: '30', quantity: '100' }]);
+ *     expect(tier.price).toBe(30);
+ *     expect(tier.quantity).toBe(100);
+ *     expect(tier.currency).toBe('USD');
+ *   });
+ *
+ *   it('drops unnamed tiers and keeps existing ids', () => {
+ *     const tiers = normalizeTicketTiers([{ id: 'abc', name: 'VIP', price: 5 }, { name: ' ', price: 10 }]);
+ *     expect(tiers).toHaveLength(1);
+ *     expect(tiers[0].id).toBe('abc');
+ *   });
+ *
+ *   it('returns an empty array for missing input', () => {
+ *     expect(normalizeTicketTiers(undefined)).toEqual([]);
+ *   });
+ * });
+ */
+export const normalizeTicketTiers = (tiers) => {
+  if (!Array.isArray(tiers)) {
+    return [];
+  }
+
+  return tiers
+    .filter((tier) => tier?.name?.trim())
+    .map((tier, index) => {
+      const price = Number(tier.price);
+      const quantity = parseInt(tier.quantity, 10);
+
+      return {
+        id: tier.id || `tier-${index + 1}`,
+        name: tier.name.trim(),
+        price: Number.isFinite(price) && price > 0 ? Math.round(price * 100) / 100 : 0,
+        currency: tier.currency || DEFAULT_CURRENCY,
+        quantity: Number.isInteger(quantity) && quantity > 0 ? quantity : null,
+        saleStart: tier.saleStart || null,
+        saleEnd: tier.saleEnd || null,
+        ticketLink: tier.ticketLink?.trim() || '',
+      };
+    });
+};
+
+/**
+ * Get an event's ticket tiers, treating a legacy single `price` as one tier
+ * @param {Object} event - Event object
+ * @returns {Array<Object>} Ticket tiers
+ *
+ * @test
+ * describe('getTicketTiers', () => {
+ *   it('returns the saved tiers', () => {
+ *     const event = { ticketTiers: [{ name: 'GA', price: 30 }] };
+ *     expect(getTicketTiers(event)).toHaveLength(1);
+ *   });
+ *
+ *   it('falls back to the legacy price', () => {
+ *     expect(getTicketTiers({ price: 25 })).toEqual([
+ *       expect.objectContaining({ name: 'General Admission', price: 25 }),
+ *     ]);
+ *   });
+ * });
+ */
+export const getTicketTiers = (event) => {
+  if (Array.isArray(event?.ticketTiers) && event.ticketTiers.length > 0) {
+    return event.ticketTiers;
+  }
+
+  return [{
+    id: 'legacy',
+    name: 'General Admission',
+    price: event?.price || 0,
+    currency: DEFAULT_CURRENCY,
+    quantity: null,
+    saleStart: null,
+    saleEnd: null,
+    ticketLink: event?.ticketLink || '',
+  }];
+};
+
+/**
+ * Get the lowest and highest ticket price of an event
+ * @param {Object} event - Event object
+ * @returns {Object} { min, max, currency } (currency of the cheapest tier)
+ *
+ * @test
+ * describe('getPriceRange', () => {
+ *   it('spans all tiers', () => {
+ *     const event = { ticketTiers: [{ name: 'VIP', price: 300 }, { name: 'Early', price: 20 }] };
+ *     expect(getPriceRange(event)).toEqual({ min: 20, max: 300, currency: 'USD' });
+ *   });
+ *
+ *   it('handles free legacy events', () => {
+ *     expect(getPriceRange({})).toEqual({ min: 0, max: 0, currency: 'USD' });
+ *   });
+ * });
+ */
+export const getPriceRange = (event) => {
+  const tiers = getTicketTiers(event);
+  const cheapest = tiers.reduce((lowest, tier) => ((tier.price || 0) < (lowest.price || 0) ? tier : lowest));
+  const max = Math.max(...tiers.map((tier) => tier.price || 0));
+
+  return {
+    min: cheapest.price || 0,
+    max,
+    currency: cheapest.currency || DEFAULT_CURRENCY,
+  };
+};
+
+/**
+ * Check if any of an event's ticket prices falls within a range
+ * @param {Object} event - Event object
+ * @param {Object} priceRange - Price range {min, max} (either may be undefined)
+ * @returns {boolean} True if at least one tier matches
+ *
+ * @test
+ * describe('eventMatchesPriceRange', () => {
+ *   const event = { ticketTiers: [{ name: 'Early', price: 20 }, { name: 'VIP', price: 300 }] };
+ *
+ *   it('matches when any tier is in range', () => {
+ *     expect(eventMatchesPriceRange(event, { min: 250 })).toBe(true);
+ *     expect(eventMatchesPriceRange(event, { max: 25 })).toBe(true);
+ *   });
+ *
+ *   it('does not match when every tier is out of range', () => {
+ *     expect(eventMatchesPriceRange(event, { min: 30, max: 100 })).toBe(false);
+ *   });
+ *
+ *   it('uses the legacy price', () => {
+ *     expect(eventMatchesPriceRange({ price: 0 }, { min: 0, max: 10 })).toBe(true);
+ *   });
+ * });
+ */
+export const eventMatchesPriceRange = (event, priceRange = {}) => {
+  const { min, max } = priceRange;
+
+  return getTicketTiers(event).some((tier) => {
+    const price = tier.price ?? 0;
+    return (min === undefined || price >= min) && (max === undefined || price <= max);
+  });
+};
+
+/**
+ * Check where a tier is in its sale window
+ * @param {Object} tier - Ticket tier
+ * @param {Date} [now=new Date()] - Current time (injectable for testing)
+ * @returns {'upcoming'|'onSale'|'ended'} Sale state
+ *
+ * @test
+ * describe('getTierSaleState', () => {
+ *   const now = new Date('2025-06-01T12:00:00Z');
+ *
+ *   it('is on sale without a window', () => {
+ *     expect(getTierSaleState({}, now)).toBe('onSale');
+ *   });
+ *
+ *   it('detects upcoming and ended windows', () => {
+ *     expect(getTierSaleState({ saleStart: '2025-06-02T00:00:00Z' }, now)).toBe('upcoming');
+ *     expect(getTierSaleState({ saleEnd: '2025-05-31T00:00:00Z' }, now)).toBe('ended');
+ *   });
+ * });
+ */
+export const getTierSaleState = (tier, now = new Date()) => {
+  if (tier.saleStart && new Date(tier.saleStart) > now) return 'upcoming';
+  if (tier.saleEnd && new Date(tier.saleEnd) < now) return 'ended';
+  return 'onSale';
+};
+
+/**
+ * Format a ticket price
+ * @param {number} amount - Price
+ * @param {string} [currency='USD'] - ISO 4217 currency code
+ * @returns {string} Formatted price (e.g., "$20", "CA$25.50", "Free")
+ *
+ * @test
+ * describe('formatPrice', () => {
+ *   it('formats whole and fractional amounts', () => {
+ *     expect(formatPrice(20)).toBe('$20');
+ *     expect(formatPrice(25.5)).toBe('$25.50');
+ *   });
+ *
+ *   it('shows free events as Free', () => {
+ *     expect(formatPrice(0)).toBe('Free');
+ *   });
+ * });
+ */
+export const formatPrice = (amount, currency = DEFAULT_CURRENCY) => {
+  if (!amount) {
+    return 'Free';
+  }
+
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+  }).format(amount);
+};
+
+/**
+ * Format an event's price range for cards and listings
+ * @param {Object} event - Event object
+ * @returns {string} "Free", "$30" for a single price, "From $20" for a range, or "Free – $50" when some tiers are free
+ *
+ * @test
+ * describe('formatPriceRange', () => {
+ *   it('shows a single price as is', () => {
+ *     expect(formatPriceRange({ price: 30 })).toBe('$30');
+ *   });
+ *
+ *   it('shows the lowest price of a range', () => {
+ *     const event = { ticketTiers: [{ name: 'Early', price: 20 }, { name: 'VIP', price: 300 }] };
+ *     expect(formatPriceRange(event)).toBe('From $20');
+ *   });
+ *
+ *   it('handles free events', () => {
+ *     expect(formatPriceRange({})).toBe('Free');
+ *   });
+ *
+ *   it('shows the top price when the cheapest tier is free', () => {
+ *     const event = { ticketTiers: [{ name: 'RSVP', price: 0 }, { name: 'VIP', price: 50 }] };
+ *     expect(formatPriceRange(event)).toBe('Free – $50');
+ *   });
+ * });
+ */
+export const formatPriceRange = (event) => {
+  const { min, max, currency } = getPriceRange(event);
+
+  if (min === max) {
+    return formatPrice(min, currency);
+  }
+
+  if (min === 0) {
+    return `Free – ${formatPrice(max, currency)}`;
+  }
+
+  return `From ${formatPrice(min, currency)}`;
+};
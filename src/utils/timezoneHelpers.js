@@ -0,0 +1,584 @@
+/**
+ * Timezone Utilities
+ *
+ * This module provides helper functions for working with event times in the
+ * event's own IANA timezone (e.g. "America/New_York"), independent of the
+ * viewer's timezone. It only uses the built-in Intl API.
+ *
+ * Events store:
+ * - `timezone`: IANA zone the event takes place in
+ * - `startAt` / `endAt`: real start/end instants (ISO strings, UTC)
+ * - `date`: same as `startAt`, kept for date-range queries and older clients
+ * - `startTime` / `endTime`: wall-clock times in the event's zone ("HH:mm")
+ * - `isMultiDay`: true when the event covers more than one day (festivals),
+ *   so listings can find it on the days after it starts
+ *
+ * Events created before timezones existed only have `date` and free-text
+ * times; they are treated as happening in the viewer's zone, which is how
+ * they were always shown.
+ *
+ * Several helpers work with "wall-clock" Dates: Date objects whose local
+ * getters (getHours(), getDate(), ...) read as the time in another zone. They
+ * let the existing local-time date math run unchanged for any zone.
+ */
+
+/**
+ * Length assumed for events without an end time
+ */
+export const DEFAULT_EVENT_DURATION_HOURS = 3;
+
+/**
+ * Get the viewer's IANA timezone
+ * @returns {string} e.g. "Europe/London"
+ */
+export const getViewerTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Check if a string is a timezone the Intl API understands
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean} True if valid
+ *
+ * @test
+ * describe('isValidTimezone', () => {
+ *   it('accepts IANA zones', () => {
+ *     expect(isValidTimezone('America/New_York')).toBe(true);
+ *   });
+ *
+ *   it('rejects anything else', () => {
+ *     expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+ *     expect(isValidTimezone('')).toBe(false);
+ *   });
+ * });
+ */
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the timezones to offer in pickers
+ * @returns {Array<string>} IANA timezone names
+ */
+export const getSupportedTimezones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return [getViewerTimezone()];
+};
+
+const partsFormatters = new Map();
+
+/**
+ * Get a cached formatter that splits an instant into parts in a timezone
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+const getPartsFormatter = (timeZone) => {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return partsFormatters.get(timeZone);
+};
+
+/**
+ * Get the calendar date and time of an instant in a timezone
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+export const getZonedParts = (date, timeZone) => {
+  const dateObj = typeof date === 'string' ? new Date(date) : date;
+  const parts = {};
+
+  getPartsFormatter(timeZone).formatToParts(dateObj).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+/**
+ * Get a timezone's offset from UTC at an instant
+ * @param {number} timestamp - Instant in milliseconds
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds (e.g. -4h for New York in summer)
+ */
+const getTimezoneOffset = (timestamp, timeZone) => {
+  const wholeSeconds = Math.floor(timestamp / 1000) * 1000;
+  const parts = getZonedParts(new Date(wholeSeconds), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return asUtc - wholeSeconds;
+};
+
+/**
+ * Turn an instant into a wall-clock Date for a timezone
+ * Without a timezone the instant is returned as-is (viewer's local time).
+ * @param {Date|string} date - Instant
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {Date} Date whose local getters read as the time in `timeZone`
+ *
+ * @example
+ * // 1:00 AM UTC is 9:00 PM the evening before in New York (summer)
+ * toZonedWallClock('2025-06-08T01:00:00.000Z', 'America/New_York').getHours();
+ * // Returns: 21
+ *
+ * @test
+ * describe('toZonedWallClock', () => {
+ *   it('reads the instant in the given zone', () => {
+ *     const wallClock = toZonedWallClock('2025-06-08T01:00:00.000Z', 'America/New_York');
+ *     expect(wallClock.getDate()).toBe(7);
+ *     expect(wallClock.getHours()).toBe(21);
+ *   });
+ *
+ *   it('returns the same instant without a zone', () => {
+ *     const date = new Date('2025-06-08T01:00:00.000Z');
+ *     expect(toZonedWallClock(date).getTime()).toBe(date.getTime());
+ *   });
+ * });
+ */
+export const toZonedWallClock = (date, timeZone) => {
+  const dateObj = typeof date === 'string' ? new Date(date) : new Date(date.getTime());
+  if (!timeZone || isNaN(dateObj.getTime())) return dateObj;
+
+  const parts = getZonedParts(dateObj, timeZone);
+  return new Date(
+    parts.year, parts.month - 1, parts.day,
+    parts.hour, parts.minute, parts.second, dateObj.getMilliseconds()
+  );
+};
+
+/**
+ * Turn a wall-clock time held in UTC fields (e.g. from Date.UTC) into a real
+ * instant in a timezone. Unlike local wall-clock Dates, these can't be
+ * shifted by daylight saving changes in the viewer's own timezone.
+ * @param {number} wallClock - Milliseconds whose UTC fields hold the time in `timeZone`
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} Instant
+ */
+const utcFieldsToInstant = (wallClock, timeZone) => {
+  // The offset at the first guess can differ from the offset at the answer
+  // when a daylight saving change falls in between, so check it once more
+  const guess = wallClock - getTimezoneOffset(wallClock, timeZone);
+  return new Date(wallClock - getTimezoneOffset(guess, timeZone));
+};
+
+/**
+ * Turn a wall-clock Date for a timezone back into a real instant
+ * The reverse of toZonedWallClock. Without a timezone the Date is returned as-is.
+ * @param {Date} wallClock - Date whose local getters hold the time in `timeZone`
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {Date} Instant
+ *
+ * @test
+ * describe('zonedWallClockToUtc', () => {
+ *   it('converts a wall-clock time to an instant', () => {
+ *     const instant = zonedWallClockToUtc(new Date(2025, 5, 7, 21, 0), 'America/New_York');
+ *     expect(instant.toISOString()).toBe('2025-06-08T01:00:00.000Z');
+ *   });
+ *
+ *   it('follows daylight saving time', () => {
+ *     const instant = zonedWallClockToUtc(new Date(2025, 0, 7, 21, 0), 'America/New_York');
+ *     expect(instant.toISOString()).toBe('2025-01-08T02:00:00.000Z');
+ *   });
+ * });
+ */
+export const zonedWallClockToUtc = (wallClock, timeZone) => {
+  if (!timeZone) return new Date(wallClock.getTime());
+
+  return utcFieldsToInstant(Date.UTC(
+    wallClock.getFullYear(), wallClock.getMonth(), wallClock.getDate(),
+    wallClock.getHours(), wallClock.getMinutes(), wallClock.getSeconds(), wallClock.getMilliseconds()
+  ), timeZone);
+};
+
+/**
+ * Parse a stored time of day ("21:00" or "9:00 PM")
+ * @param {string} time - Stored time string
+ * @returns {Object|null} { hours, minutes }, or null if missing/invalid
+ *
+ * @test
+ * describe('parseTimeOfDay', () => {
+ *   it('parses 24-hour and 12-hour times', () => {
+ *     expect(parseTimeOfDay('21:30')).toEqual({ hours: 21, minutes: 30 });
+ *     expect(parseTimeOfDay('9:30 PM')).toEqual({ hours: 21, minutes: 30 });
+ *     expect(parseTimeOfDay('12:00 AM')).toEqual({ hours: 0, minutes: 0 });
+ *   });
+ *
+ *   it('returns null for anything else', () => {
+ *     expect(parseTimeOfDay('')).toBeNull();
+ *     expect(parseTimeOfDay('late')).toBeNull();
+ *   });
+ * });
+ */
+export const parseTimeOfDay = (time) => {
+  const match = time?.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const meridiem = match[3]?.toUpperCase();
+
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+
+  return { hours, minutes };
+};
+
+/**
+ * Format a wall-clock Date as a "yyyy-MM-dd" day key
+ * @param {Date} date - Date (local getters are used)
+ * @returns {string} Day key
+ */
+export const toDayKey = (date) => (
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+);
+
+/**
+ * Get the timezone an event takes place in
+ * @param {Object} event - Event object
+ * @returns {string|undefined} IANA timezone, or undefined for events without one (viewer's zone)
+ */
+export const getEventTimezone = (event) => (isValidTimezone(event?.timezone) ? event.timezone : undefined);
+
+/**
+ * Build the stored date fields of an event from what the promoter entered
+ * Times are read in the event's timezone. Without an end date, end times at
+ * or before the start time are on the next day (e.g. 10:00 PM - 3:00 AM).
+ * Multi-day events (festivals, weekenders) set `endDate`; without an end time
+ * they run through the whole last day.
+ *
+ * @param {Object} fields - Entered values
+ * @param {string} fields.date - Event day ("yyyy-MM-dd")
+ * @param {string} [fields.endDate] - Last day of a multi-day event ("yyyy-MM-dd")
+ * @param {string} [fields.startTime] - Start time ("HH:mm"); the event starts at midnight without one
+ * @param {string} [fields.endTime] - End time ("HH:mm")
+ * @param {string} [fields.timezone] - IANA timezone (defaults to the viewer's)
+ * @returns {Object} { date, startAt, endAt, timezone, isMultiDay } with ISO instants; endAt is null without an end
+ *
+ * @example
+ * buildEventInstants({ date: '2025-06-07', startTime: '22:00', endTime: '03:00', timezone: 'America/New_York' });
+ * // Returns: {
+ * //   date: '2025-06-08T02:00:00.000Z',
+ * //   startAt: '2025-06-08T02:00:00.000Z',
+ * //   endAt: '2025-06-08T07:00:00.000Z',
+ * //   timezone: 'America/New_York',
+ * //   isMultiDay: false
+ * // }
+ *
+ * @test
+ * describe('buildEventInstants', () => {
+ *   it('reads times in the event timezone', () => {
+ *     const result = buildEventInstants({ date: '2025-06-07', startTime: '21:00', timezone: 'America/New_York' });
+ *     expect(result.startAt).toBe('2025-06-08T01:00:00.000Z');
+ *     expect(result.date).toBe(result.startAt);
+ *     expect(result.endAt).toBeNull();
+ *   });
+ *
+ *   it('rolls end times past midnight over to the next day', () => {
+ *     const result = buildEventInstants({ date: '2025-06-07', startTime: '22:00', endTime: '03:00', timezone: 'Europe/London' });
+ *     expect(result.startAt).toBe('2025-06-07T21:00:00.000Z');
+ *     expect(result.endAt).toBe('2025-06-08T02:00:00.000Z');
+ *     expect(result.isMultiDay).toBe(false);
+ *   });
+ *
+ *   it('ends multi-day events on the end date', () => {
+ *     const result = buildEventInstants({
+ *       date: '2025-06-06', endDate: '2025-06-08', startTime: '18:00', endTime: '02:00', timezone: 'Europe/London',
+ *     });
+ *     expect(result.endAt).toBe('2025-06-08T01:00:00.000Z');
+ *     expect(result.isMultiDay).toBe(true);
+ *   });
+ *
+ *   it('runs through the last day without an end time', () => {
+ *     const result = buildEventInstants({ date: '2025-06-06', endDate: '2025-06-08', timezone: 'UTC' });
+ *     expect(result.endAt).toBe('2025-06-09T00:00:00.000Z');
+ *   });
+ *
+ *   it('gives the same instants whatever the viewer timezone', () => {
+ *     // 2:00 AM on 2025-03-09 doesn't exist in New York (daylight saving starts)
+ *     const fields = { date: '2025-03-09', startTime: '21:00', endTime: '02:00', timezone: 'America/New_York' };
+ *     const viewerTimezone = process.env.TZ;
+ *     try {
+ *       ['America/New_York', 'UTC'].forEach((tz) => {
+ *         process.env.TZ = tz;
+ *         const result = buildEventInstants(fields);
+ *         expect(result.startAt).toBe('2025-03-10T01:00:00.000Z');
+ *         expect(result.endAt).toBe('2025-03-10T06:00:00.000Z');
+ *       });
+ *     } finally {
+ *       if (viewerTimezone === undefined) delete process.env.TZ;
+ *       else process.env.TZ = viewerTimezone;
+ *     }
+ *   });
+ * });
+ */
+export const buildEventInstants = ({ date, endDate, startTime, endTime, timezone }) => {
+  const timeZone = isValidTimezone(timezone) ? timezone : getViewerTimezone();
+  const [year, month, day] = date.split('-').map(Number);
+  const isMultiDayInput = Boolean(endDate) && endDate > date;
+  const [lastYear, lastMonth, lastDay] = (isMultiDayInput ? endDate : date).split('-').map(Number);
+
+  // Wall clocks are held in UTC fields, so the viewer's timezone can't shift them
+  const start = parseTimeOfDay(startTime) || { hours: 0, minutes: 0 };
+  const startWallClock = Date.UTC(year, month - 1, day, start.hours, start.minutes);
+  const startAt = utcFieldsToInstant(startWallClock, timeZone).toISOString();
+
+  let endWallClock = null;
+  const end = parseTimeOfDay(endTime);
+  if (end) {
+    endWallClock = Date.UTC(lastYear, lastMonth - 1, lastDay, end.hours, end.minutes);
+    if (endWallClock <= startWallClock) {
+      endWallClock = Date.UTC(lastYear, lastMonth - 1, lastDay + 1, end.hours, end.minutes);
+    }
+  } else if (isMultiDayInput) {
+    endWallClock = Date.UTC(lastYear, lastMonth - 1, lastDay + 1);
+  }
+
+  const endAt = endWallClock !== null ? utcFieldsToInstant(endWallClock, timeZone).toISOString() : null;
+  const span = getEventSpan({ startAt, endAt, startTime, endTime, timezone: timeZone });
+
+  return {
+    date: startAt,
+    startAt,
+    endAt,
+    timezone: timeZone,
+    isMultiDay: getSpanDayCount(span, timeZone) > 1,
+  };
+};
+
+/**
+ * Get the calendar day of an event without a stored timezone
+ * Older events were saved as UTC midnight of the picked day, so those keep
+ * their UTC calendar day; everything else uses the local day.
+ * @param {string|Date} date - Stored event date
+ * @returns {Date|null} Local midnight of the event day, or null if invalid
+ */
+const getLegacyEventDay = (date) => {
+  if (typeof date === 'string' && date.endsWith('T00:00:00.000Z')) {
+    const [year, month, day] = date.slice(0, 10).split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  const dateObj = new Date(date);
+  if (isNaN(dateObj.getTime())) return null;
+
+  return new Date(dateObj.getFullYear(), dateObj.getMonth(), dateObj.getDate());
+};
+
+/**
+ * Work out when an event starts and ends
+ *
+ * Uses the stored `startAt`/`endAt` instants when present. Older events are
+ * rebuilt from their day plus `startTime`/`endTime` in the viewer's zone.
+ * Events without an end time get DEFAULT_EVENT_DURATION_HOURS, and events
+ * without a start time are all-day.
+ *
+ * @param {Object} event - Event object
+ * @returns {Object|null} { start, end, allDay } as instants, or null if the date is invalid
+ *
+ * @test
+ * describe('getEventInstants', () => {
+ *   it('uses the stored instants', () => {
+ *     const { start, end, allDay } = getEventInstants({
+ *       startAt: '2025-06-08T01:00:00.000Z', endAt: '2025-06-08T05:00:00.000Z', startTime: '21:00', timezone: 'America/New_York',
+ *     });
+ *     expect(start.toISOString()).toBe('2025-06-08T01:00:00.000Z');
+ *     expect(end.toISOString()).toBe('2025-06-08T05:00:00.000Z');
+ *     expect(allDay).toBe(false);
+ *   });
+ *
+ *   it('rebuilds older events from the date and times', () => {
+ *     const { start, end } = getEventInstants({ date: '2025-06-07T00:00:00.000Z', startTime: '10:00 PM', endTime: '3:00 AM' });
+ *     expect(start).toEqual(new Date(2025, 5, 7, 22, 0));
+ *     expect(end).toEqual(new Date(2025, 5, 8, 3, 0));
+ *   });
+ *
+ *   it('uses a default length without an end time', () => {
+ *     const { end } = getEventInstants({ date: '2025-06-07T00:00:00.000Z', startTime: '21:00' });
+ *     expect(end).toEqual(new Date(2025, 5, 8, 0, 0));
+ *   });
+ *
+ *   it('treats older events without a start time as all-day', () => {
+ *     const { start, end, allDay } = getEventInstants({ date: '2025-06-07T00:00:00.000Z' });
+ *     expect(allDay).toBe(true);
+ *     expect(start).toEqual(new Date(2025, 5, 7));
+ *     expect(end).toEqual(new Date(2025, 5, 8));
+ *   });
+ * });
+ */
+export const getEventInstants = (event) => {
+  const allDay = !parseTimeOfDay(event?.startTime);
+
+  if (event?.startAt) {
+    const start = new Date(event.startAt);
+    if (isNaN(start.getTime())) return null;
+
+    let end = event.endAt ? new Date(event.endAt) : null;
+    if (!end || isNaN(end.getTime())) {
+      if (allDay) {
+        const timeZone = getEventTimezone(event);
+        const nextDay = toZonedWallClock(start, timeZone);
+        nextDay.setDate(nextDay.getDate() + 1);
+        end = zonedWallClockToUtc(nextDay, timeZone);
+      } else {
+        end = new Date(start.getTime() + DEFAULT_EVENT_DURATION_HOURS * 60 * 60 * 1000);
+      }
+    }
+
+    return { start, end, allDay };
+  }
+
+  const day = getLegacyEventDay(event?.date);
+  if (!day) return null;
+
+  if (allDay) {
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+    return { start: day, end: nextDay, allDay };
+  }
+
+  const startTime = parseTimeOfDay(event.startTime);
+  const start = new Date(day);
+  start.setHours(startTime.hours, startTime.minutes);
+
+  const endTime = parseTimeOfDay(event.endTime);
+  let end;
+  if (endTime) {
+    end = new Date(day);
+    end.setHours(endTime.hours, endTime.minutes);
+    if (end <= start) {
+      end.setDate(end.getDate() + 1);
+    }
+  } else {
+    end = new Date(start.getTime() + DEFAULT_EVENT_DURATION_HOURS * 60 * 60 * 1000);
+  }
+
+  return { start, end, allDay };
+};
+
+/**
+ * Hour before which an overnight event's end still belongs to the night before
+ * (a 10:00 PM - 4:00 AM party is a one-day event)
+ */
+export const OVERNIGHT_CUTOFF_HOUR = 6;
+
+/**
+ * Get the stretch of time an event covers, for day-based listings
+ *
+ * Unlike getEventInstants, events without an end time only cover their start
+ * (no assumed length), and overnight ends before OVERNIGHT_CUTOFF_HOUR are
+ * pulled back to the end of the previous day, so a party that runs to 3 AM
+ * isn't also listed the next day.
+ *
+ * @param {Object} event - Event object
+ * @returns {Object|null} { start, end } instants, or null if the date is invalid. `end` is
+ *   inclusive: the last millisecond the event is on, so an event ending at 11 PM ends at 10:59:59.999 PM
+ *
+ * @test
+ * describe('getEventSpan', () => {
+ *   it('covers only the start without an end time', () => {
+ *     const { start, end } = getEventSpan({ startAt: '2025-06-07T21:00:00.000Z', startTime: '21:00', timezone: 'UTC' });
+ *     expect(end).toEqual(start);
+ *   });
+ *
+ *   it('keeps overnight parties on the night they start', () => {
+ *     const { end } = getEventSpan({
+ *       startAt: '2025-06-07T22:00:00.000Z', endAt: '2025-06-08T03:00:00.000Z', startTime: '22:00', endTime: '03:00', timezone: 'UTC',
+ *     });
+ *     expect(end.toISOString()).toBe('2025-06-07T23:59:59.999Z');
+ *   });
+ *
+ *   it('covers every day of a multi-day event', () => {
+ *     const { end } = getEventSpan({
+ *       startAt: '2025-06-06T18:00:00.000Z', endAt: '2025-06-08T23:00:00.000Z', startTime: '18:00', endTime: '23:00', timezone: 'UTC',
+ *     });
+ *     expect(end.toISOString()).toBe('2025-06-08T22:59:59.999Z');
+ *   });
+ * });
+ */
+export const getEventSpan = (event) => {
+  const instants = getEventInstants(event);
+  if (!instants) return null;
+
+  const hasEnd = instants.allDay || Boolean(event.endAt) || Boolean(parseTimeOfDay(event.endTime));
+  if (!hasEnd) {
+    return { start: instants.start, end: instants.start };
+  }
+
+  const timeZone = getEventTimezone(event);
+  const startWallClock = toZonedWallClock(instants.start, timeZone);
+  // The last moment the event is on, so an end at midnight doesn't count the next day
+  const lastWallClock = toZonedWallClock(new Date(instants.end.getTime() - 1), timeZone);
+
+  if (toDayKey(lastWallClock) !== toDayKey(startWallClock) && lastWallClock.getHours() < OVERNIGHT_CUTOFF_HOUR) {
+    lastWallClock.setHours(0, 0, 0, 0);
+    lastWallClock.setTime(lastWallClock.getTime() - 1);
+  }
+
+  return { start: instants.start, end: zonedWallClockToUtc(lastWallClock, timeZone) };
+};
+
+/**
+ * Count the calendar days a span touches in a timezone
+ * @param {Object|null} span - { start, end } instants (see getEventSpan)
+ * @param {string} [timeZone] - IANA timezone (defaults to the viewer's)
+ * @returns {number} Number of days (1 for single-day events, 0 for a null span)
+ */
+const getSpanDayCount = (span, timeZone) => {
+  if (!span) return 0;
+
+  const firstDay = toZonedWallClock(span.start, timeZone);
+  const lastDay = toZonedWallClock(span.end, timeZone);
+  firstDay.setHours(0, 0, 0, 0);
+  lastDay.setHours(0, 0, 0, 0);
+
+  return Math.round((lastDay - firstDay) / (24 * 60 * 60 * 1000)) + 1;
+};
+
+/**
+ * Check if an event runs over more than one day (festivals, weekenders)
+ * Overnight events that end before OVERNIGHT_CUTOFF_HOUR don't count.
+ * @param {Object} event - Event object
+ * @returns {boolean} True for multi-day events
+ */
+export const isMultiDayEvent = (event) => getSpanDayCount(getEventSpan(event), getEventTimezone(event)) > 1;
+
+/**
+ * Get the short name of a timezone at an instant (e.g. "EDT", "GMT+1")
+ * @param {Date|string} date - Instant (the name changes with daylight saving time)
+ * @param {string} [timeZone] - IANA timezone (defaults to the viewer's)
+ * @returns {string} Short timezone name
+ */
+export const getTimezoneAbbreviation = (date, timeZone) => {
+  const dateObj = typeof date === 'string' ? new Date(date) : date;
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(dateObj)
+    .find(({ type }) => type === 'timeZoneName');
+
+  return part?.value || '';
+};
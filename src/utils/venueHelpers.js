@@ -0,0 +1,153 @@
+/**
+ * Venue Utilities
+ *
+ * This module provides helper functions for venue entities: matching venue
+ * names that were typed differently, formatting addresses and copying a
+ * venue's details onto an event.
+ *
+ * Events keep their own `venue` name and `address` (older events only have
+ * those), plus a `venueId` once they are linked to a venue document.
+ */
+
+/**
+ * Normalize a venue name for matching and autocomplete
+ * Ignores case, punctuation, a leading "The" and repeated spaces, so
+ * "The Shrine", "shrine" and "Shrine!" all match.
+ * @param {string} name - Venue name as typed
+ * @returns {string} Normalized name ('' if empty)
+ *
+ * @example
+ * normalizeVenueName('  The Brooklyn Harbor-Loft ');
+ * // Returns: "brooklyn harbor loft"
+ *
+ * @test
+ * describe('normalizeVenueName', () => {
+ *   it('ignores case, punctuation and a leading "The"', () => {
+ *     expect(normalizeVenueName('The Shrine')).toBe('shrine');
+ *     expect(normalizeVenueName('SHRINE!')).toBe('shrine');
+ *     expect(normalizeVenueName("Lot  45's Rooftop")).toBe('lot 45s rooftop');
+ *   });
+ *
+ *   it('handles missing names', () => {
+ *     expect(normalizeVenueName(undefined)).toBe('');
+ *   });
+ * });
+ */
+export const normalizeVenueName = (name) => {
+  if (!name || typeof name !== 'string') return '';
+
+  return name
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the /, '');
+};
+
+/**
+ * Format an address on one line (e.g., "222 Pearl Street, Brooklyn, NY 11201")
+ * Missing parts are left out.
+ * @param {Object|string} [address] - Address object ({ street, city, state, zip }) or legacy string
+ * @returns {string} Formatted address ('' if empty)
+ *
+ * @test
+ * describe('formatVenueAddress', () => {
+ *   it('joins the parts that are set', () => {
+ *     expect(formatVenueAddress({ street: '222 Pearl Street', city: 'Brooklyn', state: 'NY', zip: '11201' }))
+ *       .toBe('222 Pearl Street, Brooklyn, NY 11201');
+ *     expect(formatVenueAddress({ city: 'Brooklyn' })).toBe('Brooklyn');
+ *   });
+ *
+ *   it('passes legacy string addresses through', () => {
+ *     expect(formatVenueAddress('Harlem, NY')).toBe('Harlem, NY');
+ *   });
+ * });
+ */
+export const formatVenueAddress = (address) => {
+  if (!address) return '';
+  if (typeof address === 'string') return address;
+
+  const stateZip = [address.state, address.zip].filter(Boolean).join(' ');
+  return [address.street, address.city, stateZip].filter(Boolean).join(', ');
+};
+
+/**
+ * Get the event fields that come from a venue
+ * @param {Object} venue - Venue document
+ * @returns {Object} { venueId, venue, address } for an event
+ *
+ * @example
+ * setFormData(prev => ({ ...prev, ...venueToEventFields(venue) }));
+ */
+export const venueToEventFields = (venue) => ({
+  venueId: venue.id,
+  venue: venue.name,
+  address: {
+    street: venue.address?.street || '',
+    city: venue.address?.city || '',
+    state: venue.address?.state || '',
+    zip: venue.address?.zip || '',
+  },
+});
+
+/**
+ * Get a map link for a venue, preferring its coordinates over its address
+ * @param {Object} venue - Venue document
+ * @returns {string} Google Maps URL ('' if the venue has no location)
+ *
+ * @test
+ * describe('getVenueMapUrl', () => {
+ *   it('uses coordinates when set', () => {
+ *     expect(getVenueMapUrl({ coordinates: { lat: 40.7, lng: -73.99 } }))
+ *       .toBe('https://www.google.com/maps/search/?api=1&query=40.7%2C-73.99');
+ *   });
+ *
+ *   it('falls back to the name and address', () => {
+ *     expect(getVenueMapUrl({ name: 'Lot 45', address: { city: 'Brooklyn' } }))
+ *       .toBe('https://www.google.com/maps/search/?api=1&query=Lot%2045%2C%20Brooklyn');
+ *   });
+ * });
+ */
+export const getVenueMapUrl = (venue) => {
+  const { coordinates } = venue;
+  const hasCoordinates = Number.isFinite(coordinates?.lat) && Number.isFinite(coordinates?.lng);
+  const location = hasCoordinates
+    ? `${coordinates.lat},${coordinates.lng}`
+    : [venue.name, formatVenueAddress(venue.address)].filter(Boolean).join(', ');
+
+  return location ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(location)}` : '';
+};
+
+/**
+ * Get the full URL for a venue social handle or link
+ * @param {string} network - 'instagram', 'twitter' or 'website'
+ * @param {string} value - Handle (with or without @) or URL
+ * @returns {string} URL ('' if empty)
+ *
+ * @test
+ * describe('getVenueSocialUrl', () => {
+ *   it('builds profile URLs from handles', () => {
+ *     expect(getVenueSocialUrl('instagram', '@lot45bk')).toBe('https://instagram.com/lot45bk');
+ *   });
+ *
+ *   it('keeps full URLs and adds a scheme to websites', () => {
+ *     expect(getVenueSocialUrl('twitter', 'https://x.com/lot45bk')).toBe('https://x.com/lot45bk');
+ *     expect(getVenueSocialUrl('website', 'lot45.com')).toBe('https://lot45.com');
+ *   });
+ * });
+ */
+export const getVenueSocialUrl = (network, value) => {
+  const trimmed = value?.trim();
+  if (!trimmed) return '';
+  if (/^https?:\/\//i.test(trimmed)) return trimmed;
+
+  const handle = trimmed.replace(/^@/, '');
+  switch (network) {
+    case 'instagram':
+      return `https://instagram.com/${handle}`;
+    case 'twitter':
+      return `https://x.com/${handle}`;
+    default:
+      return `https://${trimmed}`;
+  }
+};
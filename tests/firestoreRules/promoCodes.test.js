@@ -0,0 +1,178 @@
+/**
+ * Security rule tests for promo codes and their redemptions
+ *
+ * Redeeming a code (see redeemPromoCode in promoCodeService.js) writes the
+ * guest's redemption and bumps the code's redemptionCount in one transaction.
+ * The rules are what actually hold the usage cap and one redemption per guest,
+ * so these tests make the same writes against the Firestore emulator.
+ *
+ * The rules are read from the doc comment in src/data/firestoreSchema.js.
+ *
+ * Usage: npm run test:rules
+ */
+
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { readFile } from 'node:fs/promises';
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from '@firebase/rules-unit-testing';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  runTransaction,
+  setDoc,
+  updateDoc,
+} from 'firebase/firestore';
+
+const EVENT_ID = 'event-1';
+const CODE = 'VIP20';
+const HOST_ID = 'host';
+
+/**
+ * Get the security rules from the fenced block in firestoreSchema.js
+ * @returns {Promise<string>} Rules source
+ */
+const loadRules = async () => {
+  const schema = await readFile(new URL('../../src/data/firestoreSchema.js', import.meta.url), 'utf8');
+  const [, block] = schema.match(/ \* ```\n([\s\S]*?)\n \* ```/);
+  return block.split('\n').map((line) => line.replace(/^ \*( |$)/, '')).join('\n');
+};
+
+/**
+ * Redeem the code the way redeemPromoCode does
+ * @param {Object} db - Firestore instance of the signed-in guest
+ * @param {string} userId - Guest's user ID
+ * @param {Object} [options] - Ways to tamper with the write
+ * @param {number} [options.step=1] - How far to move redemptionCount
+ * @param {boolean} [options.withRedemption=true] - Whether to write the redemption
+ * @param {boolean} [options.withCount=true] - Whether to bump redemptionCount
+ * @returns {Promise<void>}
+ */
+const redeem = (db, userId, { step = 1, withRedemption = true, withCount = true } = {}) => {
+  const promoRef = doc(db, 'events', EVENT_ID, 'promoCodes', CODE);
+  const redemptionRef = doc(db, 'events', EVENT_ID, 'promoCodes', CODE, 'redemptions', userId);
+
+  return runTransaction(db, async (transaction) => {
+    const promoDoc = await transaction.get(promoRef);
+
+    if (withRedemption) {
+      transaction.set(redemptionRef, { userId, tierId: 'tier-1', redeemedAt: new Date().toISOString() });
+    }
+    if (withCount) {
+      transaction.update(promoRef, { redemptionCount: (promoDoc.data().redemptionCount || 0) + step });
+    }
+  });
+};
+
+describe('promo code rules', () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-afro-fete',
+      firestore: { rules: await loadRules() },
+    });
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'events', EVENT_ID), {
+        name: 'Brunch Party',
+        promoterId: HOST_ID,
+        hostIds: [HOST_ID],
+        hostRoles: { [HOST_ID]: 'owner' },
+      });
+      await setDoc(doc(db, 'events', EVENT_ID, 'promoCodes', CODE), {
+        code: CODE,
+        active: true,
+        discountType: 'percent',
+        discountValue: 20,
+        maxUses: 2,
+        redemptionCount: 0,
+        tierIds: [],
+      });
+    });
+  });
+
+  const guestDb = (userId) => testEnv.authenticatedContext(userId).firestore();
+
+  describe('redeeming', () => {
+    it('lets a guest redeem a code', async () => {
+      await assertSucceeds(redeem(guestDb('alice'), 'alice'));
+    });
+
+    it('lets each guest redeem a code only once', async () => {
+      await assertSucceeds(redeem(guestDb('alice'), 'alice'));
+      await assertFails(redeem(guestDb('alice'), 'alice'));
+    });
+
+    it('stops redemptions at maxUses', async () => {
+      await assertSucceeds(redeem(guestDb('alice'), 'alice'));
+      await assertSucceeds(redeem(guestDb('bob'), 'bob'));
+      await assertFails(redeem(guestDb('carol'), 'carol'));
+    });
+
+    it('has no cap without maxUses', async () => {
+      await testEnv.withSecurityRulesDisabled((context) => updateDoc(
+        doc(context.firestore(), 'events', EVENT_ID, 'promoCodes', CODE),
+        { maxUses: null, redemptionCount: 100 }
+      ));
+
+      await assertSucceeds(redeem(guestDb('alice'), 'alice'));
+    });
+
+    it('only moves the count by one', async () => {
+      await assertFails(redeem(guestDb('alice'), 'alice', { step: 2 }));
+      await assertFails(redeem(guestDb('alice'), 'alice', { step: -1 }));
+    });
+
+    it('needs the count and the redemption in the same write', async () => {
+      await assertFails(redeem(guestDb('alice'), 'alice', { withRedemption: false }));
+      await assertFails(redeem(guestDb('alice'), 'alice', { withCount: false }));
+    });
+
+    it("doesn't let guests redeem for someone else", async () => {
+      const db = guestDb('alice');
+      await assertFails(runTransaction(db, async (transaction) => {
+        transaction.set(doc(db, 'events', EVENT_ID, 'promoCodes', CODE, 'redemptions', 'bob'), { userId: 'bob' });
+        transaction.update(doc(db, 'events', EVENT_ID, 'promoCodes', CODE), { redemptionCount: 1 });
+      }));
+    });
+
+    it('needs a signed-in guest', async () => {
+      await assertFails(redeem(testEnv.unauthenticatedContext().firestore(), 'alice'));
+    });
+
+    it("doesn't let guests change anything else on the code", async () => {
+      await assertFails(updateDoc(doc(guestDb('alice'), 'events', EVENT_ID, 'promoCodes', CODE), { maxUses: 100 }));
+    });
+  });
+
+  describe('reading', () => {
+    it('lets anyone look up a code they know, but only hosts list them', async () => {
+      await assertSucceeds(getDoc(doc(guestDb('alice'), 'events', EVENT_ID, 'promoCodes', CODE)));
+      await assertFails(getDocs(collection(guestDb('alice'), 'events', EVENT_ID, 'promoCodes')));
+      await assertSucceeds(getDocs(collection(guestDb(HOST_ID), 'events', EVENT_ID, 'promoCodes')));
+    });
+
+    it('shows a redemption to the guest and the hosts only', async () => {
+      await redeem(guestDb('alice'), 'alice');
+      const path = ['events', EVENT_ID, 'promoCodes', CODE, 'redemptions', 'alice'];
+
+      await assertSucceeds(getDoc(doc(guestDb('alice'), ...path)));
+      await assertSucceeds(getDoc(doc(guestDb(HOST_ID), ...path)));
+      await assertFails(getDoc(doc(guestDb('bob'), ...path)));
+      await assertFails(getDocs(collection(guestDb('bob'), 'events', EVENT_ID, 'promoCodes', CODE, 'redemptions')));
+    });
+  });
+});